@@ -96,6 +96,54 @@ const experiences = Object.freeze([
   }),
 ]);
 
+const certifications = Object.freeze([
+  Object.freeze({
+    owner: users[0].username,
+    name: 'Certification 1',
+    issuingOrg: 'Organization 1',
+    issueDate: '2021-03-15',
+  }),
+  Object.freeze({
+    owner: users[0].username,
+    name: 'AWS Certified Solutions Architect - Associate',
+    issuingOrg: 'Amazon Web Services',
+    issueDate: '2023-11-01',
+  }),
+]);
+
+const projects = Object.freeze([
+  Object.freeze({
+    owner: users[0].username,
+    name: 'Project 1',
+    startDate: '2022-01-01',
+  }),
+  Object.freeze({
+    owner: users[0].username,
+    name: 'Resume Manager',
+    startDate: '2024-06-15',
+    endDate: '2025-02-28',
+  }),
+]);
+
+// These are missing section ID and position, which will need to be added
+// later.
+const customSectionEntries = Object.freeze([
+  Object.freeze({
+    owner: users[0].username,
+    title: 'Scaling Resume Storage',
+    subtitle: 'Journal of Examples',
+    endDate: '2023-05-01',
+  }),
+  Object.freeze({
+    owner: users[0].username,
+    title: 'Volunteer Tutor',
+    subtitle: 'Community Center',
+    location: 'Los Angeles, CA',
+    startDate: '2021-01-01',
+    endDate: '2022-06-30',
+  }),
+]);
+
 // These are missing text snippet ID and version, which will need to be added
 // later.
 const skills = Object.freeze([
@@ -139,6 +187,26 @@ const documents_x_experiences = Object.freeze(
   )
 );
 
+const documents_x_certifications = Object.freeze(
+  certifications.map((_, idx) =>
+    Object.freeze({
+      documentId: 1,
+      certificationId: idx + 1,
+      position: idx,
+    })
+  )
+);
+
+const documents_x_projects = Object.freeze(
+  projects.map((_, idx) =>
+    Object.freeze({
+      documentId: 1,
+      projectId: idx + 1,
+      position: idx,
+    })
+  )
+);
+
 const documents_x_skills = Object.freeze(
   skills.map((_, idx) =>
     Object.freeze({
@@ -159,6 +227,17 @@ const experiences_x_text_snippets = Object.freeze(
   )
 );
 
+const projects_x_text_snippets = Object.freeze(
+  textSnippets.map((_, idx) =>
+    Object.freeze({
+      documentXProjectId: 1,
+      textSnippetId: idx + 1,
+      textSnippetVersion: versions[idx],
+      position: idx,
+    })
+  )
+);
+
 // ==================================================
 
 module.exports = {
@@ -170,10 +249,16 @@ module.exports = {
   versions,
   educations,
   experiences,
+  certifications,
+  projects,
+  customSectionEntries,
   skills,
   documents_x_sections,
   documents_x_educations,
   documents_x_experiences,
+  documents_x_certifications,
+  documents_x_projects,
   documents_x_skills,
   experiences_x_text_snippets,
+  projects_x_text_snippets,
 };
@@ -13,8 +13,17 @@ const documentsRoutes = require('./routes/documents');
 const sectionsRoutes = require('./routes/sections');
 const educationsRoutes = require('./routes/educations');
 const experiencesRoutes = require('./routes/experiences');
+const certificationsRoutes = require('./routes/certifications');
+const projectsRoutes = require('./routes/projects');
+const skillsRoutes = require('./routes/skills');
+const customSectionsRoutes = require('./routes/customSections');
+const summariesRoutes = require('./routes/summaries');
 const experiencesXTextSnippetsRoutes = require('./routes/experiences_x_textSnippets');
+const projectsXTextSnippetsRoutes = require('./routes/projects_x_textSnippets');
 const textSnippetsRoutes = require('./routes/textSnippets');
+const documentSnapshotsRoutes = require('./routes/documentSnapshots');
+const jobApplicationsRoutes = require('./routes/jobApplications');
+const coverLettersRoutes = require('./routes/coverLetters');
 
 const { NotFoundError } = require('./errors/appErrors');
 
@@ -40,8 +49,17 @@ app.use(`${urlPrefix}/users/:username/documents`, documentsRoutes);
 app.use(`${urlPrefix}/`, sectionsRoutes);
 app.use(`${urlPrefix}/users`, educationsRoutes);
 app.use(`${urlPrefix}/users`, experiencesRoutes);
+app.use(`${urlPrefix}/users`, certificationsRoutes);
+app.use(`${urlPrefix}/users`, projectsRoutes);
+app.use(`${urlPrefix}/users`, skillsRoutes);
+app.use(`${urlPrefix}/users`, customSectionsRoutes);
+app.use(`${urlPrefix}/users`, summariesRoutes);
 app.use(`${urlPrefix}/users`, experiencesXTextSnippetsRoutes);
+app.use(`${urlPrefix}/users`, projectsXTextSnippetsRoutes);
 app.use(`${urlPrefix}/users`, textSnippetsRoutes);
+app.use(`${urlPrefix}/users`, documentSnapshotsRoutes);
+app.use(`${urlPrefix}/users`, jobApplicationsRoutes);
+app.use(`${urlPrefix}/users`, coverLettersRoutes);
 
 /** Catch-all for handling 404 errors. */
 app.use(function (req, res, next) {
@@ -18,11 +18,18 @@ const DATABASE_URI =
 
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === 'test' ? 1 : 12;
 
+// In seconds.
+const ACCESS_TOKEN_LIFETIME = +process.env.ACCESS_TOKEN_LIFETIME || 15 * 60;
+const REFRESH_TOKEN_LIFETIME =
+  +process.env.REFRESH_TOKEN_LIFETIME || 30 * 24 * 60 * 60;
+
 logger.info('Resume Manager Config:');
 logger.info('NODE_ENV: ' + process.env.NODE_ENV);
 logger.info('SECRET_KEY: ' + SECRET_KEY);
 logger.info('PORT: ' + PORT.toString());
 logger.info('BCRYPT_WORK_FACTOR: ' + BCRYPT_WORK_FACTOR);
+logger.info('ACCESS_TOKEN_LIFETIME: ' + ACCESS_TOKEN_LIFETIME);
+logger.info('REFRESH_TOKEN_LIFETIME: ' + REFRESH_TOKEN_LIFETIME);
 logger.info('DATABASE_URI: ' + DATABASE_URI);
 logger.info('---');
 
@@ -32,5 +39,7 @@ module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_LIFETIME,
+  REFRESH_TOKEN_LIFETIME,
   DATABASE_URI,
 };
@@ -20,6 +20,21 @@ CREATE TABLE contact_info (
 	github TEXT
 );
 
+-- Refresh tokens are stored as hashes.  A refresh token can only be used once,
+-- to get a new access token and the next refresh token of the same family.
+-- Signing out or reusing a refresh token revokes the whole family.
+CREATE TABLE refresh_tokens (
+	token_hash TEXT PRIMARY KEY,
+	family_id UUID NOT NULL,
+	username TEXT NOT NULL
+		REFERENCES users ON DELETE CASCADE,
+	created_on TIMESTAMPTZ(3) NOT NULL DEFAULT NOW(),
+	expires_on TIMESTAMPTZ(3) NOT NULL,
+	used_on TIMESTAMPTZ(3)
+);
+
+CREATE INDEX refresh_tokens_family_id_idx ON refresh_tokens (family_id);
+
 /*
 ==================================================
 Documents.
@@ -36,18 +51,66 @@ CREATE TABLE documents (
 	is_master BOOLEAN NOT NULL,
 	is_template BOOLEAN NOT NULL,
 	is_locked BOOLEAN NOT NULL DEFAULT FALSE,
+	kind TEXT NOT NULL DEFAULT 'resume'
+		CHECK (kind IN ('resume', 'coverLetter')),
 	UNIQUE (document_name, owner)
 );
 
+-- Extra info of documents that are cover letters.  Resume document is the
+-- resume that the cover letter is sent with, if any.
+CREATE TABLE cover_letters (
+	document_id INTEGER PRIMARY KEY
+		REFERENCES documents ON DELETE CASCADE,
+	resume_document_id INTEGER
+		REFERENCES documents ON DELETE SET NULL,
+	company TEXT,
+	role TEXT
+);
+
+CREATE TABLE document_snapshots (
+	id SERIAL PRIMARY KEY,
+	owner TEXT NOT NULL
+		REFERENCES users ON DELETE CASCADE,
+	document_id INTEGER
+		REFERENCES documents ON DELETE SET NULL,
+	snapshot_name TEXT NOT NULL,
+	created_on TIMESTAMPTZ(3) NOT NULL DEFAULT NOW(),
+	content JSONB NOT NULL,
+	UNIQUE (snapshot_name, owner)
+);
+
+-- Document is the resume that was sent for the job application, if any.
+CREATE TABLE job_applications (
+	id SERIAL PRIMARY KEY,
+	owner TEXT NOT NULL
+		REFERENCES users ON DELETE CASCADE,
+	document_id INTEGER
+		REFERENCES documents ON DELETE SET NULL,
+	company TEXT NOT NULL,
+	role TEXT NOT NULL,
+	posting_url TEXT,
+	status TEXT NOT NULL DEFAULT 'saved'
+		CHECK (status IN ('saved', 'applied', 'interviewing', 'offer', 'rejected')),
+	applied_on DATE,
+	notes TEXT,
+	created_on TIMESTAMPTZ(3) NOT NULL DEFAULT NOW(),
+	last_updated TIMESTAMPTZ(3)
+);
+
 /*
 ==================================================
 Document-related.
 --------------------------------------------------
 */
 
+-- Sections without an owner are built in and available to everyone.  Sections
+-- with an owner are custom sections made by that user.
 CREATE TABLE sections (
 	id SERIAL PRIMARY KEY,
-	section_name TEXT UNIQUE NOT NULL
+	section_name TEXT NOT NULL,
+	owner TEXT
+		REFERENCES users ON DELETE CASCADE,
+	UNIQUE NULLS NOT DISTINCT (section_name, owner)
 );
 
 /*
@@ -69,6 +132,10 @@ CREATE TABLE text_snippets (
 		REFERENCES text_snippets ON DELETE SET NULL (parent)
 );
 
+-- For searching the content of text snippets.
+CREATE INDEX text_snippets_content_search_idx
+	ON text_snippets USING GIN (to_tsvector('english', content));
+
 /*
 ==================================================
 Section Entries; Details that will not change often.
@@ -102,13 +169,14 @@ CREATE TABLE experiences (
 
 CREATE TABLE skills (
 	id SERIAL PRIMARY KEY,
-	name TEXT UNIQUE NOT NULL,
+	name TEXT NOT NULL,
 	owner TEXT NOT NULL
 		REFERENCES users ON DELETE CASCADE,
 	text_snippet_id INTEGER NOT NULL,
 	text_snippet_version TIMESTAMPTZ(3) NOT NULL,
 	FOREIGN KEY (text_snippet_id, text_snippet_version)
-		REFERENCES text_snippets (id, version)
+		REFERENCES text_snippets (id, version),
+	UNIQUE (name, owner)
 );
 
 CREATE TABLE certifications (
@@ -129,6 +197,22 @@ CREATE TABLE projects (
 	end_date DATE
 );
 
+CREATE TABLE custom_section_entries (
+	id SERIAL PRIMARY KEY,
+	owner TEXT NOT NULL
+		REFERENCES users ON DELETE CASCADE,
+	section_id INTEGER NOT NULL
+		REFERENCES sections ON DELETE CASCADE,
+	title TEXT NOT NULL,
+	subtitle TEXT,
+	location TEXT,
+	start_date DATE,
+	end_date DATE,
+	position INTEGER NOT NULL
+		CHECK (position >= 0),
+	UNIQUE (section_id, position) DEFERRABLE INITIALLY DEFERRED
+);
+
 /*
 ==================================================
 Relations.
@@ -200,6 +284,15 @@ CREATE TABLE documents_x_projects (
 	UNIQUE (document_id, position) DEFERRABLE INITIALLY DEFERRED
 );
 
+CREATE TABLE documents_x_summaries (
+	document_id INTEGER PRIMARY KEY
+		REFERENCES documents ON DELETE CASCADE,
+	text_snippet_id INTEGER NOT NULL,
+	text_snippet_version TIMESTAMPTZ(3) NOT NULL,
+	FOREIGN KEY (text_snippet_id, text_snippet_version)
+		REFERENCES text_snippets (id, version) ON DELETE CASCADE
+);
+
 CREATE TABLE experiences_x_text_snippets (
 	document_x_experience_id INTEGER
 		REFERENCES documents_x_experiences ON DELETE CASCADE,
@@ -225,3 +318,30 @@ CREATE TABLE projects_x_text_snippets (
 		REFERENCES text_snippets (id, version) ON DELETE CASCADE,
 	UNIQUE (document_x_project_id, position) DEFERRABLE INITIALLY DEFERRED
 );
+
+CREATE TABLE custom_section_entries_x_text_snippets (
+	custom_section_entry_id INTEGER
+		REFERENCES custom_section_entries ON DELETE CASCADE,
+	text_snippet_id INTEGER,
+	text_snippet_version TIMESTAMPTZ(3) NOT NULL,
+	position INTEGER NOT NULL
+		CHECK (position >= 0),
+	PRIMARY KEY (custom_section_entry_id, text_snippet_id),
+	FOREIGN KEY (text_snippet_id, text_snippet_version)
+		REFERENCES text_snippets (id, version) ON DELETE CASCADE,
+	UNIQUE (custom_section_entry_id, position) DEFERRABLE INITIALLY DEFERRED
+);
+
+-- Text snippets are the paragraphs of the cover letter.
+CREATE TABLE cover_letters_x_text_snippets (
+	document_id INTEGER
+		REFERENCES cover_letters ON DELETE CASCADE,
+	text_snippet_id INTEGER,
+	text_snippet_version TIMESTAMPTZ(3) NOT NULL,
+	position INTEGER NOT NULL
+		CHECK (position >= 0),
+	PRIMARY KEY (document_id, text_snippet_id),
+	FOREIGN KEY (text_snippet_id, text_snippet_version)
+		REFERENCES text_snippets (id, version) ON DELETE CASCADE,
+	UNIQUE (document_id, position) DEFERRABLE INITIALLY DEFERRED
+);
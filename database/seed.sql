@@ -19,7 +19,8 @@ INSERT INTO sections (section_name) VALUES
     ('Work Experience'),
     ('Skills'),
     ('Certifications'),
-    ('Projects');
+    ('Projects'),
+    ('Summary');
 
 -- ==================================================
 
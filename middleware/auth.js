@@ -11,7 +11,7 @@ const logger = require('../util/logger');
 /**
  * Authenticates a JSON web token, if there is one in the header.  Stores the
  * authentication token payload in "res.locals.user".  If there is no token or
- * if it is invalid, then no error is thrown.
+ * if it is invalid or expired, then no error is thrown.
  */
 function authenticateJWT(req, res, next) {
   const logPrefix = 'middleware/auth - authenticateJWT()';
@@ -26,7 +26,15 @@ function authenticateJWT(req, res, next) {
 
     return next();
   } catch (err) {
-    logger.warn(`${logPrefix}: Invalid JWT for authorization "${authHeader}".`);
+    if (err.name === 'TokenExpiredError') {
+      logger.warn(
+        `${logPrefix}: Expired JWT for authorization "${authHeader}".`
+      );
+    } else {
+      logger.warn(
+        `${logPrefix}: Invalid JWT for authorization "${authHeader}".`
+      );
+    }
     return next();
   }
 }
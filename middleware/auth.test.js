@@ -6,7 +6,7 @@ const { authenticateJWT, ensureLoggedIn } = require('./auth');
 
 const { UnauthorizedError } = require('../errors/appErrors');
 
-const { SECRET_KEY } = require('../config');
+const { SECRET_KEY, ACCESS_TOKEN_LIFETIME } = require('../config');
 
 // ==================================================
 
@@ -18,6 +18,18 @@ describe('authenticateJWT', () => {
   // Manually create JWT to make tests resemble unit tests as much as possible.
   const validJWT = jwt.sign({ username }, SECRET_KEY);
   const invalidJWT = jwt.sign({ username }, 'wrong');
+  const expiredJWT = jwt.sign(
+    { username, exp: Math.floor(Date.now() / 1000) - 10 },
+    SECRET_KEY
+  );
+  // Made before tokens had an expiration.
+  const oldJWT = jwt.sign(
+    {
+      username,
+      iat: Math.floor(Date.now() / 1000) - 2 * ACCESS_TOKEN_LIFETIME,
+    },
+    SECRET_KEY
+  );
 
   test('Successfully authenticates a valid JWT.', () => {
     // Arrange
@@ -71,6 +83,28 @@ describe('authenticateJWT', () => {
     // Assert
     expect(res.locals).toEqual({});
   });
+
+  test.each([
+    ['expired', expiredJWT],
+    ['too old', oldJWT],
+  ])(
+    'Continues without a user when the authentication token is %s.',
+    (_, token) => {
+      // Arrange
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = { locals: {} };
+      const next = (err) => {
+        // Assert
+        expect(err).not.toBeDefined();
+      };
+
+      // Act
+      authenticateJWT(req, res, next);
+
+      // Assert
+      expect(res.locals).toEqual({});
+    }
+  );
 });
 
 // --------------------------------------------------
@@ -0,0 +1,261 @@
+'use strict';
+
+const db = require('../database/db');
+const Document_X_Certification = require('./document_x_certification');
+const { convertPropsForSqlUpdate } = require('../util/sqlHelpers');
+const { convertDateToString } = require('../util/modelHelpers');
+
+const { AppServerError, NotFoundError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents a certification, such as a professional certificate or license.
+ */
+class Certification {
+  static tableName = 'certifications';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    id,
+    owner,
+    name,
+    issuing_org AS "issuingOrg",
+    issue_date AS "issueDate"`;
+
+  constructor(id, owner, name, issuingOrg, issueDate) {
+    this.id = id;
+    this.owner = owner;
+    this.name = name;
+    this.issuingOrg = issuingOrg;
+    this.issueDate = issueDate;
+  }
+
+  /**
+   * Creates a new certification entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new certification.
+   * @param {String} props.owner - Username that the certification belongs to.
+   * @param {String} props.name - Name of the certification.
+   * @param {String} props.issuingOrg - Name of the organization that issued
+   *  the certification.
+   * @param {String} props.issueDate - The date the certification was issued.
+   * @returns {Promise<Certification>} A new Certification instance that
+   *  contains the certification's data.
+   */
+  static async add(props) {
+    const logPrefix = `${this.name}.add(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed properties/attributes.
+    const { owner, name, issuingOrg, issueDate } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${Certification.tableName} (
+    owner,
+    name,
+    issuing_org,
+    issue_date
+  )
+  VALUES ($1, $2, $3, $4)
+  RETURNING ${Certification._allDbColsAsJs};`,
+      values: [owner, name, issuingOrg, issueDate],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    const certification = new Certification(...Object.values(result.rows[0]));
+
+    certification.issueDate = convertDateToString(certification.issueDate);
+
+    return certification;
+  }
+
+  /**
+   * Retrieves all the certifications belonging to a user.
+   *
+   * @param {String} owner - Username to get the certifications for.
+   * @returns {Promise<Certification[]>} A list of Certification instances.
+   */
+  static async getAll(owner) {
+    const logPrefix = `${this.name}.getAll(${owner})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT ${Certification._allDbColsAsJs}
+  FROM ${Certification.tableName}
+  WHERE owner = $1;`,
+      values: [owner],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => {
+      const certification = new Certification(...Object.values(data));
+
+      certification.issueDate = convertDateToString(certification.issueDate);
+
+      return certification;
+    });
+  }
+
+  /**
+   * Gets all certifications belonging to a document.  The returned
+   * Certifications' order is related to their positions.
+   *
+   * @param {Number} documentId - ID of the document to get certifications
+   *  from.
+   * @returns {Promise<Certification[]>} A list of Certification instances.
+   */
+  static async getAllInDocument(documentId) {
+    const logPrefix = `${this.name}.getAllInDocument(documentId = ${documentId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT ${Certification._allDbColsAsJs}
+  FROM ${Document_X_Certification.tableName} AS dxc
+  JOIN ${Certification.tableName} AS c
+  ON dxc.certification_id = c.id
+  WHERE dxc.document_id = $1
+  ORDER BY dxc.position;`,
+      values: [documentId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => {
+      const certification = new Certification(...Object.values(data));
+
+      certification.issueDate = convertDateToString(certification.issueDate);
+
+      return certification;
+    });
+  }
+
+  /**
+   * Retrieves a specific certification by ID.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific certification.
+   * @param {Number} queryParams.id - ID of the certification.
+   * @returns {Promise<Certification>} A new Certification instance that
+   *  contains the certification's data.
+   */
+  static async get(queryParams) {
+    const logPrefix = `${this.name}.get(${JSON.stringify(queryParams)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed parameters.
+    const { id } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${Certification._allDbColsAsJs}
+  FROM ${Certification.tableName}
+  WHERE id = $1;`,
+      values: [id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rows.length === 0) {
+      logger.error(`${logPrefix}: Certification not found.`);
+      throw new NotFoundError(`Can not find certification with ID ${id}.`);
+    }
+
+    const certification = new Certification(...Object.values(result.rows[0]));
+
+    certification.issueDate = convertDateToString(certification.issueDate);
+
+    return certification;
+  }
+
+  /**
+   * Updates a certification with new properties.  If no properties are
+   * passed, then the certification is not updated.
+   *
+   * @param {Object} props - Contains the updated properties.
+   * @param {String} [props.name] - New name of the certification.
+   * @param {String} [props.issuingOrg] - New name of the issuing
+   *  organization.
+   * @param {String} [props.issueDate] - New issue date.
+   * @returns {Promise<Certification>} The same Certification instance that this
+   *  method was called on, but with updated property values.
+   */
+  async update(props) {
+    const logPrefix = `${this.constructor.name}${JSON.stringify(
+      this
+    )}.update(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    const [sqlSubstring, sqlValues] = convertPropsForSqlUpdate(props);
+
+    // Comma at end of sqlSubstring will be removed.
+    const queryConfig = {
+      text: `
+  UPDATE ${Certification.tableName}
+  SET ${sqlSubstring.slice(0, -1)}
+  WHERE id = $${sqlValues.length + 1}
+  RETURNING ${Certification._allDbColsAsJs};`,
+      values: [...sqlValues, this.id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount === 0) {
+      logger.error(
+        `${logPrefix}: Certification with ID ${this.id} was not found.`
+      );
+      throw new AppServerError(
+        `Certification with ID ${this.id} was not found.`
+      );
+    }
+
+    // Update current instance's properties.
+    Object.entries(result.rows[0]).forEach(([colName, val]) => {
+      this[colName] = colName.includes('Date') ? convertDateToString(val) : val;
+    });
+
+    return this;
+  }
+
+  /**
+   * Deletes a certification entry in the database.  Does not delete the
+   * instance properties/fields.  Remember to delete the instance this belongs
+   * to!
+   */
+  async delete() {
+    const logPrefix = `${this.constructor.name}${JSON.stringify(
+      this
+    )}.delete()`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  DELETE FROM ${Certification.tableName}
+  WHERE id = $1;`,
+      values: [this.id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount) {
+      logger.info(
+        `${logPrefix}: ${result.rowCount} certification(s) deleted: ` +
+          `id = ${this.id}.`
+      );
+    } else {
+      logger.info(`${logPrefix}: 0 certifications deleted.`);
+    }
+  }
+}
+
+// ==================================================
+
+module.exports = Certification;
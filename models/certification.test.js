@@ -0,0 +1,47 @@
+'use strict';
+
+const Certification = require('./certification');
+
+const { runCommonTests } = require('./_testCommon');
+const { users, certifications } = require('../_testData');
+
+// ==================================================
+
+const dataForNewInstances = certifications;
+
+const dataForUpdate = Object.freeze(
+  dataForNewInstances.map((data) =>
+    Object.freeze({
+      name: 'New ' + data.name,
+      issuingOrg: 'New ' + data.issuingOrg,
+      issueDate: '2024-05-05',
+    })
+  )
+);
+
+const expectedDataInNewInstances = dataForNewInstances.map((data) => ({
+  id: expect.any(Number),
+  owner: data.owner,
+  name: data.name,
+  issuingOrg: data.issuingOrg,
+  issueDate: data.issueDate,
+}));
+
+const whereClauseToGetOne = 'WHERE id = $1';
+const whereClauseToGetAll = 'WHERE owner = $1';
+
+// Don't freeze, because ID will be added later.
+const testCasesForGet = [
+  ['ID', { owner: users[0].username }, expectedDataInNewInstances[0]],
+];
+
+runCommonTests({
+  class: Certification,
+  tableName: Certification.tableName,
+  dataForNewInstances,
+  dataForUpdate,
+  expectedDataInNewInstances,
+  whereClauseToGetOne,
+  whereClauseToGetAll,
+  testCasesForGet,
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const db = require('../database/db');
+const { convertPropsForSqlUpdate } = require('../util/sqlHelpers');
+
+const { AppServerError, NotFoundError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents the info of a document that is a cover letter, other than the
+ * info that all documents have.  A cover letter can be for a company and role,
+ * and can link to the resume that it is sent with.  The paragraphs of a cover
+ * letter are text snippets; see CoverLetter_X_Text_Snippet.
+ */
+class CoverLetter {
+  static tableName = 'cover_letters';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    document_id AS "documentId",
+    resume_document_id AS "resumeDocumentId",
+    company,
+    role`;
+
+  constructor(documentId, resumeDocumentId, company, role) {
+    this.documentId = documentId;
+    this.resumeDocumentId = resumeDocumentId;
+    this.company = company;
+    this.role = role;
+  }
+
+  /**
+   * Creates a new cover letter entry in the database.  The document of the
+   * cover letter must already exist.
+   *
+   * @param {Object} props - Contains data for creating a new cover letter.
+   * @param {Number} props.documentId - ID of the document that is the cover
+   *  letter.
+   * @param {Number} [props.resumeDocumentId] - ID of the resume that the cover
+   *  letter is sent with.
+   * @param {String} [props.company] - Name of the company that the cover
+   *  letter is for.
+   * @param {String} [props.role] - Job title that the cover letter is for.
+   * @returns {Promise<CoverLetter>} A new CoverLetter instance that contains
+   *  the cover letter's data.
+   */
+  static async add(props) {
+    const logPrefix = `${this.name}.add(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed properties/attributes.
+    const { documentId, resumeDocumentId, company, role } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${CoverLetter.tableName} (
+    document_id,
+    resume_document_id,
+    company,
+    role
+  )
+  VALUES ($1, $2, $3, $4)
+  RETURNING ${CoverLetter._allDbColsAsJs};`,
+      values: [documentId, resumeDocumentId, company, role],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return new CoverLetter(...Object.values(result.rows[0]));
+  }
+
+  /**
+   * Retrieves the cover letter info of a document.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific cover letter.
+   * @param {Number} queryParams.documentId - ID of the document that is the
+   *  cover letter.
+   * @returns {Promise<CoverLetter>} A new CoverLetter instance that contains
+   *  the cover letter's data.
+   */
+  static async get(queryParams) {
+    const logPrefix = `${this.name}.get(${JSON.stringify(queryParams)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed parameters.
+    const { documentId } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${CoverLetter._allDbColsAsJs}
+  FROM ${CoverLetter.tableName}
+  WHERE document_id = $1;`,
+      values: [documentId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rows.length === 0) {
+      logger.error(`${logPrefix}: Cover letter not found.`);
+      throw new NotFoundError(
+        `Can not find cover letter with document ID ${documentId}.`
+      );
+    }
+
+    return new CoverLetter(...Object.values(result.rows[0]));
+  }
+
+  /**
+   * Updates a cover letter with new properties.
+   *
+   * @param {Object} props - Contains the updated properties.
+   * @param {Number | null} [props.resumeDocumentId] - ID of the new resume that
+   *  the cover letter is sent with, or null to unlink the resume.
+   * @param {String | null} [props.company] - New name of the company.
+   * @param {String | null} [props.role] - New job title.
+   * @returns {Promise<CoverLetter>} The same CoverLetter instance that this
+   *  method was called on, but with updated property values.
+   */
+  async update(props) {
+    const logPrefix = `${this.constructor.name}${JSON.stringify(
+      this
+    )}.update(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    const [sqlSubstring, sqlValues] = convertPropsForSqlUpdate(props);
+
+    // Comma at end of sqlSubstring will be removed.
+    const queryConfig = {
+      text: `
+  UPDATE ${CoverLetter.tableName}
+  SET ${sqlSubstring.slice(0, -1)}
+  WHERE document_id = $${sqlValues.length + 1}
+  RETURNING ${CoverLetter._allDbColsAsJs};`,
+      values: [...sqlValues, this.documentId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount === 0) {
+      logger.error(
+        `${logPrefix}: Cover letter with document ID ${this.documentId} ` +
+          'was not found.'
+      );
+      throw new AppServerError(
+        `Cover letter with document ID ${this.documentId} was not found.`
+      );
+    }
+
+    // Update current instance's properties.
+    Object.entries(result.rows[0]).forEach(([colName, val]) => {
+      this[colName] = val;
+    });
+
+    return this;
+  }
+}
+
+// ==================================================
+
+module.exports = CoverLetter;
@@ -0,0 +1,180 @@
+'use strict';
+
+const CoverLetter = require('./coverLetter');
+
+const db = require('../database/db');
+const Document = require('./document');
+const User = require('./user');
+
+const { users, documents } = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+const { NotFoundError } = require('../errors/appErrors');
+
+// ==================================================
+
+describe('CoverLetter', () => {
+  const props = Object.freeze({
+    company: 'Company 1',
+    role: 'Software Engineer',
+  });
+
+  let resume;
+  let document;
+
+  beforeAll(async () => {
+    await commonBeforeAll(db);
+    await User.register(users[0]);
+    resume = await Document.add(documents[0]);
+  });
+
+  beforeEach(async () => {
+    await clearTable(db, CoverLetter.tableName);
+    await db.query({
+      queryConfig: {
+        text: `
+  DELETE FROM ${Document.tableName}
+  WHERE id != $1;`,
+        values: [resume.id],
+      },
+    });
+
+    document = await Document.add({
+      ...documents[1],
+      documentName: 'Cover letter',
+      isTemplate: false,
+      kind: 'coverLetter',
+    });
+  });
+
+  afterAll(() => commonAfterAll(db));
+
+  // --------------------------------------------------
+  // add
+
+  describe('add', () => {
+    test('Adds a new cover letter.', async () => {
+      // Act
+      const coverLetter = await CoverLetter.add({
+        documentId: document.id,
+        resumeDocumentId: resume.id,
+        ...props,
+      });
+
+      // Assert
+      expect(coverLetter).toStrictEqual(
+        new CoverLetter(document.id, resume.id, props.company, props.role)
+      );
+    });
+
+    test('Adds a cover letter without optional info.', async () => {
+      // Act
+      const coverLetter = await CoverLetter.add({ documentId: document.id });
+
+      // Assert
+      expect(coverLetter).toStrictEqual(
+        new CoverLetter(document.id, null, null, null)
+      );
+    });
+  });
+
+  // --------------------------------------------------
+  // get
+
+  describe('get', () => {
+    test('Gets a cover letter.', async () => {
+      // Arrange
+      const coverLetter = await CoverLetter.add({
+        documentId: document.id,
+        ...props,
+      });
+
+      // Act
+      const result = await CoverLetter.get({ documentId: document.id });
+
+      // Assert
+      expect(result).toStrictEqual(coverLetter);
+    });
+
+    test('Throws a NotFoundError if document is not a cover letter.', async () => {
+      // Act
+      async function runFunc() {
+        await CoverLetter.get({ documentId: resume.id });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+
+    test('Unlinks the resume after the resume is deleted.', async () => {
+      // Arrange
+      const otherResume = await Document.add({
+        ...documents[1],
+        documentName: 'Other resume',
+      });
+      await CoverLetter.add({
+        documentId: document.id,
+        resumeDocumentId: otherResume.id,
+      });
+
+      // Act
+      await otherResume.delete();
+      const result = await CoverLetter.get({ documentId: document.id });
+
+      // Assert
+      expect(result.resumeDocumentId).toBeNull();
+    });
+  });
+
+  // --------------------------------------------------
+  // update
+
+  describe('update', () => {
+    test('Updates a cover letter.', async () => {
+      // Arrange
+      const coverLetter = await CoverLetter.add({
+        documentId: document.id,
+        resumeDocumentId: resume.id,
+        ...props,
+      });
+      const updatedProps = Object.freeze({
+        resumeDocumentId: null,
+        role: 'Senior Software Engineer',
+      });
+
+      // Act
+      const result = await coverLetter.update(updatedProps);
+
+      // Assert
+      expect(result).toBe(coverLetter);
+      expect(result).toEqual({ ...coverLetter, ...updatedProps });
+      expect(await CoverLetter.get({ documentId: document.id })).toEqual(
+        result
+      );
+    });
+  });
+
+  // --------------------------------------------------
+  // delete
+
+  describe('delete', () => {
+    test('Is deleted along with its document.', async () => {
+      // Arrange
+      await CoverLetter.add({ documentId: document.id, ...props });
+
+      // Act
+      await document.delete();
+
+      // Assert
+      async function runFunc() {
+        await CoverLetter.get({ documentId: document.id });
+      }
+
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+'use strict';
+
+const { snakeCase } = require('change-case-all');
+
+const db = require('../database/db');
+
+const Relationship = require('./relationship');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents a cover letter and text snippet relationship.  These text snippets
+ * are the paragraphs of the cover letter.
+ */
+class CoverLetter_X_Text_Snippet extends Relationship {
+  static tableName = 'cover_letters_x_text_snippets';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    document_id AS "documentId",
+    text_snippet_id AS "textSnippetId",
+    text_snippet_version AS "textSnippetVersion",
+    position`;
+
+  constructor(documentId, textSnippetId, textSnippetVersion, position) {
+    super();
+    this.documentId = documentId;
+    this.textSnippetId = textSnippetId;
+    this.textSnippetVersion = textSnippetVersion;
+    this.position = position;
+  }
+
+  /**
+   * Creates a new cover_letter_x_text_snippet entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new
+   *  cover_letter_x_text_snippet.
+   * @param {Number} props.documentId - ID of the document that is the cover
+   *  letter.
+   * @param {Number} props.textSnippetId - ID of the text snippet.
+   * @param {Date} props.textSnippetVersion - Version of the text snippet.
+   * @param {Number} props.position - Position of the paragraph among other
+   *  paragraphs in the cover letter.
+   * @returns {Promise<CoverLetter_X_Text_Snippet>} A new
+   *  CoverLetter_X_Text_Snippet instance that contains the
+   *  cover_letter_x_text_snippet's data.
+   */
+  static async add(props) {
+    // Allowed properties/attributes.
+    const { documentId, textSnippetId, textSnippetVersion, position } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${CoverLetter_X_Text_Snippet.tableName} (
+    document_id,
+    text_snippet_id,
+    text_snippet_version,
+    position
+  )
+  VALUES ($1, $2, $3, $4)
+  RETURNING ${CoverLetter_X_Text_Snippet._allDbColsAsJs};`,
+      values: [documentId, textSnippetId, textSnippetVersion, position],
+    };
+
+    const notFoundMessage =
+      'Cover letter or text snippet was not found.  ' +
+      `Document ID: ${documentId}, ` +
+      `text snippet ID: ${textSnippetId}.`;
+
+    return await super.add(props, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Retrieves all the cover_letters_x_text_snippets belonging to a cover
+   * letter.
+   *
+   * @param {Number} documentId - ID of the document that is the cover letter.
+   * @returns {Promise<CoverLetter_X_Text_Snippet[]>} A list of
+   *  CoverLetter_X_Text_Snippet instances, in order of position.
+   */
+  static async getAll(documentId) {
+    const queryConfig = {
+      text: `
+  SELECT ${CoverLetter_X_Text_Snippet._allDbColsAsJs}
+  FROM ${CoverLetter_X_Text_Snippet.tableName}
+  WHERE document_id = $1
+  ORDER BY position;`,
+      values: [documentId],
+    };
+
+    return await super.getAll(documentId, queryConfig);
+  }
+
+  /**
+   * Retrieves a specific cover_letter_x_text_snippet by ID.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific cover_letter_x_text_snippet.
+   * @param {Number} queryParams.documentId - Document ID of the
+   *  cover_letter_x_text_snippet.
+   * @param {Number} queryParams.textSnippetId - Text snippet ID of the
+   *  cover_letter_x_text_snippet.
+   * @returns {CoverLetter_X_Text_Snippet} A new CoverLetter_X_Text_Snippet
+   *  instance that contains the cover_letter_x_text_snippet's data.
+   */
+  static async get(queryParams) {
+    // Allowed parameters.
+    const { documentId, textSnippetId } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${CoverLetter_X_Text_Snippet._allDbColsAsJs}
+  FROM ${CoverLetter_X_Text_Snippet.tableName}
+  WHERE document_id = $1 AND text_snippet_id = $2;`,
+      values: [documentId, textSnippetId],
+    };
+
+    const notFoundMessage =
+      'Can not find cover letter-text snippet relation with ' +
+      `document ID ${documentId} and text snippet ID ${textSnippetId}.`;
+
+    return await super.get(queryParams, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Updates the positions of all paragraphs in a cover letter.
+   *
+   * @param {Number} documentId - ID of the cover letter that is having its
+   *  paragraphs reordered.
+   * @param {Number[]} textSnippetIds - List of text snippets IDs with the
+   *  desired ordering.
+   * @returns {Promise<CoverLetter_X_Text_Snippet[]>} A list of
+   *  CoverLetter_X_Text_Snippet instances.
+   */
+  static async updateAllPositions(documentId, textSnippetIds) {
+    let name = 'documentId';
+    const attachTo = {
+      jsName: name,
+      sqlName: snakeCase(name),
+      id: documentId,
+    };
+
+    name = 'textSnippetId';
+    const attachWiths = {
+      jsName: name,
+      sqlName: snakeCase(name),
+      ids: textSnippetIds,
+    };
+
+    return await super.updateAllPositions(attachTo, attachWiths);
+  }
+
+  /**
+   * Replaces all text snippet versions in all cover_letters_x_text_snippets.
+   * This is used in conjunction with updating a text snippet to allow all
+   * references to be updated as well, so that cover letters show the new
+   * version of their paragraphs.
+   *
+   * @param {Number} textSnippetId - ID of the text snippet to be replaced.
+   * @param {Date | String} oldTextSnippetVersion - Version of the text snippet
+   *  to be replaced.
+   * @param {Date | String} newTextSnippetVersion - Newer version of the text
+   *  snippet that is replacing.
+   * @param {Number} [documentId] - ID of the cover letter to limit the
+   *  replacement to.  All cover letters are included if not given.
+   * @returns {Promise<Number>} Number of text snippets updated.
+   */
+  static async replaceTextSnippet(
+    textSnippetId,
+    oldTextSnippetVersion,
+    newTextSnippetVersion,
+    documentId = null
+  ) {
+    const logPrefix =
+      `${this.name}.replaceTextSnippet(` +
+      `textSnippetId = ${textSnippetId}, ` +
+      `oldTextSnippetVersion = "${oldTextSnippetVersion}", ` +
+      `newTextSnippetVersion = "${newTextSnippetVersion}", ` +
+      `documentId = ${documentId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  UPDATE ${CoverLetter_X_Text_Snippet.tableName}
+  SET text_snippet_version = $1
+  WHERE text_snippet_id = $2
+    AND text_snippet_version = $3
+    AND ($4::INTEGER IS NULL OR document_id = $4);`,
+      values: [
+        newTextSnippetVersion,
+        textSnippetId,
+        oldTextSnippetVersion,
+        documentId,
+      ],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    logger.verbose(`${logPrefix}: ${result.rowCount} replaced.`);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Deletes a cover_letter_x_text_snippet entry in the database.
+   *
+   * @param {Number} documentId - ID of the cover letter to remove the paragraph
+   *  from.
+   * @param {Number} textSnippetId - ID of the text snippet to be removed.
+   */
+  static async delete(documentId, textSnippetId) {
+    const queryConfig = {
+      text: `
+  DELETE FROM ${CoverLetter_X_Text_Snippet.tableName}
+  WHERE document_id = $1 AND text_snippet_id = $2;`,
+      values: [documentId, textSnippetId],
+    };
+
+    const deletedLog =
+      'cover_letter_x_text_snippet(s) deleted: ' +
+      `documentId = ${documentId}, ` +
+      `textSnippetId = ${textSnippetId}.`;
+
+    await super.delete(queryConfig, deletedLog);
+  }
+
+  /**
+   * Deletes a cover_letter_x_text_snippet entry in the database.  Does not
+   * delete the instance properties/fields.  Remember to delete the instance
+   * this belongs to!
+   */
+  async delete() {
+    await CoverLetter_X_Text_Snippet.delete(
+      this.documentId,
+      this.textSnippetId
+    );
+  }
+}
+
+// ==================================================
+
+module.exports = CoverLetter_X_Text_Snippet;
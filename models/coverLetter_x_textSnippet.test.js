@@ -0,0 +1,298 @@
+'use strict';
+
+const db = require('../database/db');
+const CoverLetter_X_Text_Snippet = require('./coverLetter_x_textSnippet');
+
+const { NotFoundError } = require('../errors/appErrors');
+
+const CoverLetter = require('./coverLetter');
+const Document = require('./document');
+const TextSnippet = require('./textSnippet');
+const User = require('./user');
+const { users, documents, textSnippets } = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+describe('CoverLetter_X_Text_Snippet', () => {
+  // To help with expects by directly getting data from the database.
+  const sqlTextSelectAll = `
+  SELECT ${CoverLetter_X_Text_Snippet._allDbColsAsJs}
+  FROM ${CoverLetter_X_Text_Snippet.tableName}`;
+
+  const coverLetterDocuments = [];
+  const existingTextSnippets = [];
+  const coverLetterXTextSnippetDatas = [];
+
+  beforeAll(async () => {
+    await commonBeforeAll(db);
+
+    await User.register({
+      username: users[0].username,
+      password: users[0].password,
+    });
+
+    for (const documentName of ['Cover letter 1', 'Cover letter 2']) {
+      const document = await Document.add({
+        ...documents[1],
+        documentName,
+        isTemplate: false,
+        kind: 'coverLetter',
+      });
+      await CoverLetter.add({ documentId: document.id });
+      coverLetterDocuments.push(document);
+    }
+
+    for (const textSnippet of textSnippets) {
+      existingTextSnippets.push(await TextSnippet.add(textSnippet));
+    }
+
+    existingTextSnippets.forEach((textSnippet, i) =>
+      coverLetterXTextSnippetDatas.push({
+        documentId: coverLetterDocuments[0].id,
+        textSnippetId: textSnippet.id,
+        textSnippetVersion: textSnippet.version,
+        position: i,
+      })
+    );
+  });
+
+  beforeEach(() => clearTable(db, CoverLetter_X_Text_Snippet.tableName));
+
+  afterAll(() => commonAfterAll(db));
+
+  // -------------------------------------------------- add
+
+  describe('add', () => {
+    test('Adds a new cover_letter_x_text_snippet.', async () => {
+      // Act
+      const instance = await CoverLetter_X_Text_Snippet.add(
+        coverLetterXTextSnippetDatas[0]
+      );
+
+      // Assert
+      expect(instance).toBeInstanceOf(CoverLetter_X_Text_Snippet);
+      expect(instance).toEqual(coverLetterXTextSnippetDatas[0]);
+
+      const databaseEntries = (
+        await db.query({ queryConfig: { text: sqlTextSelectAll } })
+      ).rows;
+
+      expect(databaseEntries).toEqual([coverLetterXTextSnippetDatas[0]]);
+    });
+
+    test.each([
+      ['cover letter', { documentId: 999 }],
+      ['text snippet', { textSnippetId: 999 }],
+    ])('Throws an Error if %s does not exist.', async (_, nonexistentData) => {
+      // Act
+      async function runFunc() {
+        await CoverLetter_X_Text_Snippet.add({
+          ...coverLetterXTextSnippetDatas[0],
+          ...nonexistentData,
+        });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // -------------------------------------------------- getAll
+
+  describe('getAll', () => {
+    test('Gets all paragraphs of a cover letter in the correct order.', async () => {
+      // Arrange
+      // Reverse positions, so that they are not in the order of addition.
+      const reversedDatas = coverLetterXTextSnippetDatas.map((data, i) => ({
+        ...data,
+        position: coverLetterXTextSnippetDatas.length - i - 1,
+      }));
+
+      for (const data of reversedDatas) {
+        await CoverLetter_X_Text_Snippet.add(data);
+      }
+
+      // Act
+      const instances = await CoverLetter_X_Text_Snippet.getAll(
+        coverLetterDocuments[0].id
+      );
+      const paragraphs = await TextSnippet.getAllForCoverLetter(
+        users[0].username,
+        coverLetterDocuments[0].id
+      );
+
+      // Assert
+      expect(instances).toEqual(reversedDatas.toReversed());
+      expect(paragraphs).toEqual(existingTextSnippets.toReversed());
+    });
+  });
+
+  // -------------------------------------------------- get
+
+  describe('get', () => {
+    test('Gets a specified cover_letter_x_text_snippet.', async () => {
+      // Arrange
+      const existingData = coverLetterXTextSnippetDatas[0];
+      await CoverLetter_X_Text_Snippet.add(existingData);
+
+      // Act
+      const instance = await CoverLetter_X_Text_Snippet.get({
+        documentId: existingData.documentId,
+        textSnippetId: existingData.textSnippetId,
+      });
+
+      // Assert
+      expect(instance).toEqual(existingData);
+    });
+
+    test('Throws an Error if cover_letter_x_text_snippet is not found.', async () => {
+      // Act
+      async function runFunc() {
+        await CoverLetter_X_Text_Snippet.get({
+          documentId: 999,
+          textSnippetId: 999,
+        });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // -------------------------------------------------- updateAllPositions
+
+  describe('updateAllPositions', () => {
+    test('Reorders all paragraphs of a cover letter.', async () => {
+      // Arrange
+      for (const data of coverLetterXTextSnippetDatas) {
+        await CoverLetter_X_Text_Snippet.add(data);
+      }
+
+      const textSnippetIds = coverLetterXTextSnippetDatas
+        .map(({ textSnippetId }) => textSnippetId)
+        .toReversed();
+
+      // Act
+      await CoverLetter_X_Text_Snippet.updateAllPositions(
+        coverLetterDocuments[0].id,
+        textSnippetIds
+      );
+
+      // Assert
+      const instances = await CoverLetter_X_Text_Snippet.getAll(
+        coverLetterDocuments[0].id
+      );
+
+      expect(instances.map(({ textSnippetId }) => textSnippetId)).toEqual(
+        textSnippetIds
+      );
+    });
+  });
+
+  // -------------------------------------------------- replaceTextSnippet
+
+  describe('replaceTextSnippet', () => {
+    let updatedTextSnippet;
+    const existingDatas = [];
+
+    beforeEach(async () => {
+      existingDatas.length = 0;
+
+      for (const document of coverLetterDocuments) {
+        existingDatas.push(
+          await CoverLetter_X_Text_Snippet.add({
+            ...coverLetterXTextSnippetDatas[0],
+            documentId: document.id,
+          })
+        );
+      }
+
+      updatedTextSnippet = await existingTextSnippets[0].update({
+        content: 'new content',
+      });
+    });
+
+    test('Replaces the text snippet version in cover letters.', async () => {
+      // Act
+      const amountReplaced =
+        await CoverLetter_X_Text_Snippet.replaceTextSnippet(
+          existingDatas[0].textSnippetId,
+          existingDatas[0].textSnippetVersion,
+          updatedTextSnippet.version
+        );
+
+      // Assert
+      expect(amountReplaced).toBe(2);
+
+      const databaseEntries = (
+        await db.query({ queryConfig: { text: sqlTextSelectAll } })
+      ).rows;
+
+      expect(databaseEntries).toEqual(
+        existingDatas.map((data) => ({
+          ...data,
+          textSnippetVersion: updatedTextSnippet.version,
+        }))
+      );
+    });
+
+    test('Replaces the text snippet version in only one cover letter.', async () => {
+      // Act
+      const amountReplaced =
+        await CoverLetter_X_Text_Snippet.replaceTextSnippet(
+          existingDatas[0].textSnippetId,
+          existingDatas[0].textSnippetVersion,
+          updatedTextSnippet.version,
+          coverLetterDocuments[1].id
+        );
+
+      // Assert
+      expect(amountReplaced).toBe(1);
+
+      const databaseEntries = (
+        await db.query({
+          queryConfig: { text: sqlTextSelectAll + '\n  ORDER BY document_id' },
+        })
+      ).rows;
+
+      expect(databaseEntries).toEqual([
+        { ...existingDatas[0] },
+        {
+          ...existingDatas[1],
+          textSnippetVersion: updatedTextSnippet.version,
+        },
+      ]);
+    });
+  });
+
+  // -------------------------------------------------- delete
+
+  describe('delete', () => {
+    test('Deletes a cover_letter_x_text_snippet.', async () => {
+      // Arrange
+      const instance = await CoverLetter_X_Text_Snippet.add(
+        coverLetterXTextSnippetDatas[0]
+      );
+
+      // Act
+      await instance.delete();
+
+      // Assert
+      const databaseEntries = (
+        await db.query({ queryConfig: { text: sqlTextSelectAll } })
+      ).rows;
+
+      expect(databaseEntries.length).toBe(0);
+    });
+
+    test('Does not throw an Error if cover_letter_x_text_snippet is not found.', async () => {
+      // Act
+      await CoverLetter_X_Text_Snippet.delete(999, 999);
+    });
+  });
+});
@@ -0,0 +1,330 @@
+'use strict';
+
+const db = require('../database/db');
+const Relationship = require('./relationship');
+const { convertPropsForSqlUpdate } = require('../util/sqlHelpers');
+const { convertDateToString } = require('../util/modelHelpers');
+
+const { AppServerError, NotFoundError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents an entry in a custom section, such as a publication in a
+ * "Publications" section.  Entries belong to a single custom section and are
+ * ordered by their positions in it.
+ */
+class CustomSectionEntry {
+  static tableName = 'custom_section_entries';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    id,
+    owner,
+    section_id AS "sectionId",
+    title,
+    subtitle,
+    location,
+    start_date AS "startDate",
+    end_date AS "endDate",
+    position`;
+
+  constructor(
+    id,
+    owner,
+    sectionId,
+    title,
+    subtitle,
+    location,
+    startDate,
+    endDate,
+    position
+  ) {
+    this.id = id;
+    this.owner = owner;
+    this.sectionId = sectionId;
+    this.title = title;
+    this.subtitle = subtitle;
+    this.location = location;
+    this.startDate = startDate;
+    this.endDate = endDate;
+    this.position = position;
+  }
+
+  /**
+   * Creates a CustomSectionEntry instance from a row of data in the database.
+   * Dates are converted into Strings.
+   *
+   * @param {Object} data - A row of data, with the same properties as
+   *  _allDbColsAsJs.
+   * @returns {CustomSectionEntry} A new CustomSectionEntry instance.
+   */
+  static #fromDbRow(data) {
+    const entry = new CustomSectionEntry(...Object.values(data));
+
+    entry.startDate = convertDateToString(entry.startDate);
+    entry.endDate = convertDateToString(entry.endDate);
+
+    return entry;
+  }
+
+  /**
+   * Creates a new custom section entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new entry.
+   * @param {String} props.owner - Username that the entry belongs to.
+   * @param {Number} props.sectionId - ID of the custom section that the entry
+   *  is in.
+   * @param {String} props.title - Title of the entry.
+   * @param {String} [props.subtitle] - Subtitle of the entry, such as an
+   *  organization or publisher.
+   * @param {String} [props.location] - Location of the entry.
+   * @param {String} [props.startDate] - The start date of the entry.
+   * @param {String} [props.endDate] - The end date of the entry.
+   * @param {Number} props.position - Position of the entry among other entries
+   *  in the custom section.
+   * @returns {Promise<CustomSectionEntry>} A new CustomSectionEntry instance
+   *  that contains the entry's data.
+   * @throws {NotFoundError} If the custom section does not exist.
+   */
+  static async add(props) {
+    const logPrefix = `${this.name}.add(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed properties/attributes.
+    const {
+      owner,
+      sectionId,
+      title,
+      subtitle,
+      location,
+      startDate,
+      endDate,
+      position,
+    } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${CustomSectionEntry.tableName} (
+    owner,
+    section_id,
+    title,
+    subtitle,
+    location,
+    start_date,
+    end_date,
+    position
+  )
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  RETURNING ${CustomSectionEntry._allDbColsAsJs};`,
+      values: [
+        owner,
+        sectionId,
+        title,
+        subtitle,
+        location,
+        startDate,
+        endDate,
+        position,
+      ],
+    };
+
+    const result = await db.query({
+      queryConfig,
+      logPrefix,
+      errorCallback: (err) => {
+        // PostgreSQL error code 23503 is for foreign key violation.
+        if (err.code === '23503') {
+          throw new NotFoundError(
+            `Can not find custom section with ID ${sectionId}.`
+          );
+        }
+      },
+    });
+
+    return CustomSectionEntry.#fromDbRow(result.rows[0]);
+  }
+
+  /**
+   * Retrieves all the entries in a custom section.
+   *
+   * @param {Number} sectionId - ID of the custom section to get the entries
+   *  from.
+   * @returns {Promise<CustomSectionEntry[]>} A list of CustomSectionEntry
+   *  instances, in order of position.
+   */
+  static async getAll(sectionId) {
+    const logPrefix = `${this.name}.getAll(sectionId = ${sectionId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT ${CustomSectionEntry._allDbColsAsJs}
+  FROM ${CustomSectionEntry.tableName}
+  WHERE section_id = $1
+  ORDER BY position;`,
+      values: [sectionId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => CustomSectionEntry.#fromDbRow(data));
+  }
+
+  /**
+   * Retrieves a specific custom section entry by ID.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific entry.
+   * @param {Number} queryParams.id - ID of the entry.
+   * @returns {Promise<CustomSectionEntry>} A new CustomSectionEntry instance
+   *  that contains the entry's data.
+   * @throws {NotFoundError} If the entry does not exist.
+   */
+  static async get(queryParams) {
+    const logPrefix = `${this.name}.get(${JSON.stringify(queryParams)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed parameters.
+    const { id } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${CustomSectionEntry._allDbColsAsJs}
+  FROM ${CustomSectionEntry.tableName}
+  WHERE id = $1;`,
+      values: [id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rows.length === 0) {
+      logger.error(`${logPrefix}: Custom section entry not found.`);
+      throw new NotFoundError(
+        `Can not find custom section entry with ID ${id}.`
+      );
+    }
+
+    return CustomSectionEntry.#fromDbRow(result.rows[0]);
+  }
+
+  /**
+   * Updates the positions of all entries in a custom section.
+   *
+   * @param {Number} sectionId - ID of the custom section that is having its
+   *  entries reordered.
+   * @param {Number[]} entryIds - List of entry IDs with the desired ordering.
+   * @returns {Promise<CustomSectionEntry[]>} A list of CustomSectionEntry
+   *  instances.
+   */
+  static async updateAllPositions(sectionId, entryIds) {
+    const attachTo = {
+      jsName: 'sectionId',
+      sqlName: 'section_id',
+      id: sectionId,
+    };
+    const attachWiths = { jsName: 'entryId', sqlName: 'id', ids: entryIds };
+
+    // Entries are not a relationship, but are positioned within a custom
+    // section the same way.
+    const entries = await Relationship.updateAllPositions.call(
+      this,
+      attachTo,
+      attachWiths
+    );
+
+    entries.forEach((entry) => {
+      entry.startDate = convertDateToString(entry.startDate);
+      entry.endDate = convertDateToString(entry.endDate);
+    });
+
+    return entries;
+  }
+
+  /**
+   * Updates a custom section entry with new properties.  If no properties are
+   * passed, then the entry is not updated.
+   *
+   * @param {Object} props - Contains the updated properties.
+   * @param {String} [props.title] - New title of the entry.
+   * @param {String} [props.subtitle] - New subtitle of the entry.
+   * @param {String} [props.location] - New location of the entry.
+   * @param {String} [props.startDate] - New start date of the entry.
+   * @param {String} [props.endDate] - New end date of the entry.
+   * @returns {Promise<CustomSectionEntry>} The same CustomSectionEntry instance
+   *  that this method was called on, but with updated property values.
+   */
+  async update(props) {
+    const logPrefix = `${this.constructor.name}${JSON.stringify(
+      this
+    )}.update(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    const [sqlSubstring, sqlValues] = convertPropsForSqlUpdate(props);
+
+    // Comma at end of sqlSubstring will be removed.
+    const queryConfig = {
+      text: `
+  UPDATE ${CustomSectionEntry.tableName}
+  SET ${sqlSubstring.slice(0, -1)}
+  WHERE id = $${sqlValues.length + 1}
+  RETURNING ${CustomSectionEntry._allDbColsAsJs};`,
+      values: [...sqlValues, this.id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount === 0) {
+      logger.error(
+        `${logPrefix}: Custom section entry with ID ${this.id} was not found.`
+      );
+      throw new AppServerError(
+        `Custom section entry with ID ${this.id} was not found.`
+      );
+    }
+
+    // Update current instance's properties.
+    Object.entries(result.rows[0]).forEach(([colName, val]) => {
+      this[colName] = colName.includes('Date') ? convertDateToString(val) : val;
+    });
+
+    return this;
+  }
+
+  /**
+   * Deletes a custom section entry in the database.  Does not delete the
+   * instance properties/fields.  Remember to delete the instance this belongs
+   * to!
+   */
+  async delete() {
+    const logPrefix = `${this.constructor.name}${JSON.stringify(
+      this
+    )}.delete()`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  DELETE FROM ${CustomSectionEntry.tableName}
+  WHERE id = $1;`,
+      values: [this.id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount) {
+      logger.info(
+        `${logPrefix}: ${result.rowCount} custom section entry(s) deleted: ` +
+          `id = ${this.id}.`
+      );
+    } else {
+      logger.info(`${logPrefix}: 0 custom section entries deleted.`);
+    }
+  }
+}
+
+// ==================================================
+
+module.exports = CustomSectionEntry;
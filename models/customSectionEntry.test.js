@@ -0,0 +1,264 @@
+'use strict';
+
+const db = require('../database/db');
+const CustomSectionEntry = require('./customSectionEntry');
+
+const { AppServerError, NotFoundError } = require('../errors/appErrors');
+
+const Section = require('./section');
+const User = require('./user');
+const { users, customSectionEntries } = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+describe('CustomSectionEntry', () => {
+  // To help with expects by directly getting data from the database.
+  const sqlTextSelectAll = `
+  SELECT ${CustomSectionEntry._allDbColsAsJs}
+  FROM ${CustomSectionEntry.tableName}`;
+
+  let section;
+  let entryDatas;
+
+  beforeAll(async () => {
+    await commonBeforeAll(db);
+
+    await User.register({
+      username: users[0].username,
+      password: users[0].password,
+    });
+
+    section = await Section.add({
+      sectionName: 'Publications',
+      owner: users[0].username,
+    });
+
+    entryDatas = customSectionEntries.map((entry, i) => ({
+      ...entry,
+      sectionId: section.id,
+      position: i,
+    }));
+  });
+
+  beforeEach(() => clearTable(db, CustomSectionEntry.tableName));
+
+  afterAll(() => commonAfterAll(db));
+
+  /**
+   * Creates the data that an entry is expected to have after being added.
+   */
+  function getExpectedData(entryData) {
+    return {
+      id: expect.any(Number),
+      subtitle: null,
+      location: null,
+      startDate: null,
+      endDate: null,
+      ...entryData,
+    };
+  }
+
+  // -------------------------------------------------- add
+
+  describe('add', () => {
+    test('Adds a new entry.', async () => {
+      // Act
+      const instance = await CustomSectionEntry.add(entryDatas[0]);
+
+      // Assert
+      expect(instance).toBeInstanceOf(CustomSectionEntry);
+      expect(instance).toEqual(getExpectedData(entryDatas[0]));
+
+      const databaseEntry = (
+        await db.query({
+          queryConfig: {
+            text: sqlTextSelectAll + '\n  WHERE id = $1;',
+            values: [instance.id],
+          },
+        })
+      ).rows[0];
+
+      expect(databaseEntry).toEqual({
+        ...getExpectedData(entryDatas[0]),
+        endDate: expect.any(Date),
+      });
+    });
+
+    test('Throws an Error if the section does not exist.', async () => {
+      // Act
+      async function runFunc() {
+        await CustomSectionEntry.add({ ...entryDatas[0], sectionId: 999 });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+
+      const databaseEntries = (
+        await db.query({ queryConfig: { text: sqlTextSelectAll } })
+      ).rows;
+
+      // Ensure nothing gets added into database.
+      expect(databaseEntries.length).toBe(0);
+    });
+  });
+
+  // -------------------------------------------------- getAll
+
+  describe('getAll', () => {
+    test('Gets all entries of a section in the correct order.', async () => {
+      // Arrange
+      // Reverse positions, so that they are not in the order of addition.
+      const reversedEntryDatas = entryDatas.map((entryData, i) => ({
+        ...entryData,
+        position: entryDatas.length - i - 1,
+      }));
+
+      for (const entryData of reversedEntryDatas) {
+        await CustomSectionEntry.add(entryData);
+      }
+
+      // Act
+      const instances = await CustomSectionEntry.getAll(section.id);
+
+      // Assert
+      expect(instances).toEqual(
+        reversedEntryDatas.toReversed().map(getExpectedData)
+      );
+    });
+
+    test('Returns an empty list if section has no entries.', async () => {
+      // Act
+      const instances = await CustomSectionEntry.getAll(section.id);
+
+      // Assert
+      expect(instances).toEqual([]);
+    });
+  });
+
+  // -------------------------------------------------- get
+
+  describe('get', () => {
+    test('Gets a specified entry.', async () => {
+      // Arrange
+      const { id } = await CustomSectionEntry.add(entryDatas[1]);
+
+      // Act
+      const instance = await CustomSectionEntry.get({ id });
+
+      // Assert
+      expect(instance).toBeInstanceOf(CustomSectionEntry);
+      expect(instance).toEqual({ ...entryDatas[1], id });
+    });
+
+    test('Throws an Error if entry is not found.', async () => {
+      // Act
+      async function runFunc() {
+        await CustomSectionEntry.get({ id: 999 });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // -------------------------------------------------- updateAllPositions
+
+  describe('updateAllPositions', () => {
+    test('Reorders all entries of a section.', async () => {
+      // Arrange
+      const entryIds = [];
+      for (const entryData of entryDatas) {
+        entryIds.push((await CustomSectionEntry.add(entryData)).id);
+      }
+
+      // Act
+      await CustomSectionEntry.updateAllPositions(
+        section.id,
+        entryIds.toReversed()
+      );
+
+      // Assert
+      const instances = await CustomSectionEntry.getAll(section.id);
+
+      expect(instances.map(({ id }) => id)).toEqual(entryIds.toReversed());
+      expect(instances.map(({ position }) => position)).toEqual([0, 1]);
+    });
+  });
+
+  // -------------------------------------------------- update
+
+  describe('update', () => {
+    test('Updates an entry.', async () => {
+      // Arrange
+      const instance = await CustomSectionEntry.add(entryDatas[0]);
+      const updatedProps = {
+        title: 'New Title',
+        location: 'Remote',
+        startDate: '2023-01-01',
+      };
+
+      // Act
+      const updatedInstance = await instance.update(updatedProps);
+
+      // Assert
+      expect(updatedInstance).toEqual({
+        ...getExpectedData(entryDatas[0]),
+        ...updatedProps,
+      });
+      expect(await CustomSectionEntry.get({ id: instance.id })).toEqual(
+        updatedInstance
+      );
+    });
+
+    test('Throws an Error if entry is not found.', async () => {
+      // Arrange
+      const nonexistentInstance = new CustomSectionEntry(999);
+
+      // Act
+      async function runFunc() {
+        await nonexistentInstance.update({ title: 'New Title' });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(AppServerError);
+    });
+  });
+
+  // -------------------------------------------------- delete
+
+  describe('delete', () => {
+    test('Deletes an entry.', async () => {
+      // Arrange
+      const instance = await CustomSectionEntry.add(entryDatas[0]);
+
+      // Act
+      await instance.delete();
+
+      // Assert
+      expect(await CustomSectionEntry.getAll(section.id)).toEqual([]);
+    });
+
+    test('Deleting the section deletes its entries.', async () => {
+      // Arrange
+      const otherSection = await Section.add({
+        sectionName: 'Volunteering',
+        owner: users[0].username,
+      });
+      await CustomSectionEntry.add({
+        ...entryDatas[0],
+        sectionId: otherSection.id,
+      });
+
+      // Act
+      await otherSection.delete();
+
+      // Assert
+      expect(await CustomSectionEntry.getAll(otherSection.id)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+'use strict';
+
+const { snakeCase } = require('change-case-all');
+
+const db = require('../database/db');
+
+const Relationship = require('./relationship');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents a custom section entry and text snippet relationship.  These text
+ * snippets are the bullet points of the entry.
+ */
+class CustomSectionEntry_X_Text_Snippet extends Relationship {
+  static tableName = 'custom_section_entries_x_text_snippets';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    custom_section_entry_id AS "customSectionEntryId",
+    text_snippet_id AS "textSnippetId",
+    text_snippet_version AS "textSnippetVersion",
+    position`;
+
+  constructor(
+    customSectionEntryId,
+    textSnippetId,
+    textSnippetVersion,
+    position
+  ) {
+    super();
+    this.customSectionEntryId = customSectionEntryId;
+    this.textSnippetId = textSnippetId;
+    this.textSnippetVersion = textSnippetVersion;
+    this.position = position;
+  }
+
+  /**
+   * Creates a new custom_section_entry_x_text_snippet entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new
+   *  custom_section_entry_x_text_snippet.
+   * @param {Number} props.customSectionEntryId - ID of the custom section
+   *  entry.
+   * @param {Number} props.textSnippetId - ID of the text snippet.
+   * @param {Date} props.textSnippetVersion - Version of the text snippet.
+   * @param {Number} props.position - Position of text snippet among other text
+   *  snippets in the custom section entry.
+   * @returns {Promise<CustomSectionEntry_X_Text_Snippet>} A new
+   *  CustomSectionEntry_X_Text_Snippet instance that contains the
+   *  custom_section_entry_x_text_snippet's data.
+   */
+  static async add(props) {
+    // Allowed properties/attributes.
+    const {
+      customSectionEntryId,
+      textSnippetId,
+      textSnippetVersion,
+      position,
+    } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${CustomSectionEntry_X_Text_Snippet.tableName} (
+    custom_section_entry_id,
+    text_snippet_id,
+    text_snippet_version,
+    position
+  )
+  VALUES ($1, $2, $3, $4)
+  RETURNING ${CustomSectionEntry_X_Text_Snippet._allDbColsAsJs};`,
+      values: [
+        customSectionEntryId,
+        textSnippetId,
+        textSnippetVersion,
+        position,
+      ],
+    };
+
+    const notFoundMessage =
+      'Custom section entry or text snippet was not found.  ' +
+      `Custom section entry ID: ${customSectionEntryId}, ` +
+      `text snippet ID: ${textSnippetId}.`;
+
+    return await super.add(props, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Retrieves all the custom_section_entries_x_text_snippets belonging to a
+   * custom section entry.
+   *
+   * @param {Number} customSectionEntryId - ID of the custom section entry to
+   *  get the custom_section_entries_x_text_snippets for.
+   * @returns {Promise<CustomSectionEntry_X_Text_Snippet[]>} A list of
+   *  CustomSectionEntry_X_Text_Snippet instances, in order of position.
+   */
+  static async getAll(customSectionEntryId) {
+    const queryConfig = {
+      text: `
+  SELECT ${CustomSectionEntry_X_Text_Snippet._allDbColsAsJs}
+  FROM ${CustomSectionEntry_X_Text_Snippet.tableName}
+  WHERE custom_section_entry_id = $1
+  ORDER BY position;`,
+      values: [customSectionEntryId],
+    };
+
+    return await super.getAll(customSectionEntryId, queryConfig);
+  }
+
+  /**
+   * Retrieves a specific custom_section_entry_x_text_snippet by ID.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific custom_section_entry_x_text_snippet.
+   * @param {Number} queryParams.customSectionEntryId - Custom section entry ID
+   *  of the custom_section_entry_x_text_snippet.
+   * @param {Number} queryParams.textSnippetId - Text snippet ID of the
+   *  custom_section_entry_x_text_snippet.
+   * @returns {CustomSectionEntry_X_Text_Snippet} A new
+   *  CustomSectionEntry_X_Text_Snippet instance that contains the
+   *  custom_section_entry_x_text_snippet's data.
+   */
+  static async get(queryParams) {
+    // Allowed parameters.
+    const { customSectionEntryId, textSnippetId } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${CustomSectionEntry_X_Text_Snippet._allDbColsAsJs}
+  FROM ${CustomSectionEntry_X_Text_Snippet.tableName}
+  WHERE custom_section_entry_id = $1 AND text_snippet_id = $2;`,
+      values: [customSectionEntryId, textSnippetId],
+    };
+
+    const notFoundMessage =
+      'Can not find custom section entry-text snippet relation with ' +
+      `custom section entry ID ${customSectionEntryId} ` +
+      `and text snippet ID ${textSnippetId}.`;
+
+    return await super.get(queryParams, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Updates the positions of all text snippets in a custom section entry.
+   *
+   * @param {Number} customSectionEntryId - ID of the custom section entry that
+   *  is having its text snippets reordered.
+   * @param {Number[]} textSnippetIds - List of text snippets IDs with the
+   *  desired ordering.
+   * @returns {Promise<CustomSectionEntry_X_Text_Snippet[]>} A list of
+   *  CustomSectionEntry_X_Text_Snippet instances.
+   */
+  static async updateAllPositions(customSectionEntryId, textSnippetIds) {
+    let name = 'customSectionEntryId';
+    const attachTo = {
+      jsName: name,
+      sqlName: snakeCase(name),
+      id: customSectionEntryId,
+    };
+
+    name = 'textSnippetId';
+    const attachWiths = {
+      jsName: name,
+      sqlName: snakeCase(name),
+      ids: textSnippetIds,
+    };
+
+    return await super.updateAllPositions(attachTo, attachWiths);
+  }
+
+  /**
+   * Replaces all text snippet versions in all
+   * custom_section_entries_x_text_snippets.  This is used in conjunction with
+   * updating a text snippet to allow all references to be updated as well, so
+   * that when retrieving a custom section entry's text snippets, the correct
+   * text snippets are shown.
+   *
+   * @param {Number} textSnippetId - ID of the text snippet to be replaced.
+   * @param {Date | String} oldTextSnippetVersion - Version of the text snippet
+   *  to be replaced.
+   * @param {Date | String} newTextSnippetVersion - Newer version of the text
+   *  snippet that is replacing.
+   * @returns {Promise<Number>} Number of text snippets updated.
+   */
+  static async replaceTextSnippet(
+    textSnippetId,
+    oldTextSnippetVersion,
+    newTextSnippetVersion
+  ) {
+    const logPrefix =
+      `${this.name}.replaceTextSnippet(` +
+      `textSnippetId = ${textSnippetId}, ` +
+      `oldTextSnippetVersion = "${oldTextSnippetVersion}", ` +
+      `newTextSnippetVersion = "${newTextSnippetVersion}")`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  UPDATE ${CustomSectionEntry_X_Text_Snippet.tableName}
+  SET text_snippet_version = $1
+  WHERE text_snippet_id = $2 AND text_snippet_version = $3;`,
+      values: [newTextSnippetVersion, textSnippetId, oldTextSnippetVersion],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    logger.verbose(`${logPrefix}: ${result.rowCount} replaced.`);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Deletes a custom_section_entry_x_text_snippet entry in the database.
+   *
+   * @param {Number} customSectionEntryId - ID of the custom section entry to
+   *  remove the text snippet from.
+   * @param {Number} textSnippetId - ID of the text snippet to be removed.
+   */
+  static async delete(customSectionEntryId, textSnippetId) {
+    const queryConfig = {
+      text: `
+  DELETE FROM ${CustomSectionEntry_X_Text_Snippet.tableName}
+  WHERE custom_section_entry_id = $1 AND text_snippet_id = $2;`,
+      values: [customSectionEntryId, textSnippetId],
+    };
+
+    const deletedLog =
+      'custom_section_entry_x_text_snippet(s) deleted: ' +
+      `customSectionEntryId = ${customSectionEntryId}, ` +
+      `textSnippetId = ${textSnippetId}.`;
+
+    await super.delete(queryConfig, deletedLog);
+  }
+
+  /**
+   * Deletes a custom_section_entry_x_text_snippet entry in the database.  Does
+   * not delete the instance properties/fields.  Remember to delete the
+   * instance this belongs to!
+   */
+  async delete() {
+    await CustomSectionEntry_X_Text_Snippet.delete(
+      this.customSectionEntryId,
+      this.textSnippetId
+    );
+  }
+}
+
+// ==================================================
+
+module.exports = CustomSectionEntry_X_Text_Snippet;
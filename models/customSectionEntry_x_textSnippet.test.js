@@ -0,0 +1,250 @@
+'use strict';
+
+const db = require('../database/db');
+const CustomSectionEntry_X_Text_Snippet = require('./customSectionEntry_x_textSnippet');
+
+const { NotFoundError } = require('../errors/appErrors');
+
+const CustomSectionEntry = require('./customSectionEntry');
+const Section = require('./section');
+const TextSnippet = require('./textSnippet');
+const User = require('./user');
+const { users, customSectionEntries, textSnippets } = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+describe('CustomSectionEntry_X_Text_Snippet', () => {
+  // To help with expects by directly getting data from the database.
+  const sqlTextSelectAll = `
+  SELECT ${CustomSectionEntry_X_Text_Snippet._allDbColsAsJs}
+  FROM ${CustomSectionEntry_X_Text_Snippet.tableName}`;
+
+  let entry;
+  const existingTextSnippets = [];
+  const entryXTextSnippetDatas = [];
+
+  beforeAll(async () => {
+    await commonBeforeAll(db);
+
+    await User.register({
+      username: users[0].username,
+      password: users[0].password,
+    });
+
+    const section = await Section.add({
+      sectionName: 'Publications',
+      owner: users[0].username,
+    });
+
+    entry = await CustomSectionEntry.add({
+      ...customSectionEntries[0],
+      sectionId: section.id,
+      position: 0,
+    });
+
+    for (const textSnippet of textSnippets) {
+      existingTextSnippets.push(await TextSnippet.add(textSnippet));
+    }
+
+    existingTextSnippets.forEach((textSnippet, i) =>
+      entryXTextSnippetDatas.push({
+        customSectionEntryId: entry.id,
+        textSnippetId: textSnippet.id,
+        textSnippetVersion: textSnippet.version,
+        position: i,
+      })
+    );
+  });
+
+  beforeEach(() => clearTable(db, CustomSectionEntry_X_Text_Snippet.tableName));
+
+  afterAll(() => commonAfterAll(db));
+
+  // -------------------------------------------------- add
+
+  describe('add', () => {
+    test('Adds a new custom_section_entry_x_text_snippet.', async () => {
+      // Act
+      const instance = await CustomSectionEntry_X_Text_Snippet.add(
+        entryXTextSnippetDatas[0]
+      );
+
+      // Assert
+      expect(instance).toBeInstanceOf(CustomSectionEntry_X_Text_Snippet);
+      expect(instance).toEqual(entryXTextSnippetDatas[0]);
+
+      const databaseEntries = (
+        await db.query({ queryConfig: { text: sqlTextSelectAll } })
+      ).rows;
+
+      expect(databaseEntries).toEqual([entryXTextSnippetDatas[0]]);
+    });
+
+    test.each([
+      ['custom section entry', { customSectionEntryId: 999 }],
+      ['text snippet', { textSnippetId: 999 }],
+    ])('Throws an Error if %s does not exist.', async (_, nonexistentData) => {
+      // Act
+      async function runFunc() {
+        await CustomSectionEntry_X_Text_Snippet.add({
+          ...entryXTextSnippetDatas[0],
+          ...nonexistentData,
+        });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // -------------------------------------------------- getAll
+
+  describe('getAll', () => {
+    test('Gets all text snippets of an entry in the correct order.', async () => {
+      // Arrange
+      // Reverse positions, so that they are not in the order of addition.
+      const reversedDatas = entryXTextSnippetDatas.map((data, i) => ({
+        ...data,
+        position: entryXTextSnippetDatas.length - i - 1,
+      }));
+
+      for (const data of reversedDatas) {
+        await CustomSectionEntry_X_Text_Snippet.add(data);
+      }
+
+      // Act
+      const instances = await CustomSectionEntry_X_Text_Snippet.getAll(
+        entry.id
+      );
+
+      // Assert
+      expect(instances).toEqual(reversedDatas.toReversed());
+    });
+  });
+
+  // -------------------------------------------------- get
+
+  describe('get', () => {
+    test('Gets a specified custom_section_entry_x_text_snippet.', async () => {
+      // Arrange
+      const existingData = entryXTextSnippetDatas[0];
+      await CustomSectionEntry_X_Text_Snippet.add(existingData);
+
+      // Act
+      const instance = await CustomSectionEntry_X_Text_Snippet.get({
+        customSectionEntryId: existingData.customSectionEntryId,
+        textSnippetId: existingData.textSnippetId,
+      });
+
+      // Assert
+      expect(instance).toEqual(existingData);
+    });
+
+    test('Throws an Error if custom_section_entry_x_text_snippet is not found.', async () => {
+      // Act
+      async function runFunc() {
+        await CustomSectionEntry_X_Text_Snippet.get({
+          customSectionEntryId: 999,
+          textSnippetId: 999,
+        });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // -------------------------------------------------- updateAllPositions
+
+  describe('updateAllPositions', () => {
+    test('Reorders all text snippets of an entry.', async () => {
+      // Arrange
+      for (const data of entryXTextSnippetDatas) {
+        await CustomSectionEntry_X_Text_Snippet.add(data);
+      }
+
+      const textSnippetIds = entryXTextSnippetDatas
+        .map(({ textSnippetId }) => textSnippetId)
+        .toReversed();
+
+      // Act
+      await CustomSectionEntry_X_Text_Snippet.updateAllPositions(
+        entry.id,
+        textSnippetIds
+      );
+
+      // Assert
+      const instances = await CustomSectionEntry_X_Text_Snippet.getAll(
+        entry.id
+      );
+
+      expect(instances.map(({ textSnippetId }) => textSnippetId)).toEqual(
+        textSnippetIds
+      );
+    });
+  });
+
+  // -------------------------------------------------- replaceTextSnippet
+
+  describe('replaceTextSnippet', () => {
+    test('Replaces the text snippet version in entries.', async () => {
+      // Arrange
+      const existingData = entryXTextSnippetDatas[0];
+      await CustomSectionEntry_X_Text_Snippet.add(existingData);
+
+      const updatedTextSnippet = await existingTextSnippets[0].update({
+        content: 'new content',
+      });
+
+      // Act
+      const amountReplaced =
+        await CustomSectionEntry_X_Text_Snippet.replaceTextSnippet(
+          existingData.textSnippetId,
+          existingData.textSnippetVersion,
+          updatedTextSnippet.version
+        );
+
+      // Assert
+      expect(amountReplaced).toBe(1);
+
+      const databaseEntries = (
+        await db.query({ queryConfig: { text: sqlTextSelectAll } })
+      ).rows;
+
+      expect(databaseEntries).toEqual([
+        { ...existingData, textSnippetVersion: updatedTextSnippet.version },
+      ]);
+    });
+  });
+
+  // -------------------------------------------------- delete
+
+  describe('delete', () => {
+    test('Deletes a custom_section_entry_x_text_snippet.', async () => {
+      // Arrange
+      const instance = await CustomSectionEntry_X_Text_Snippet.add(
+        entryXTextSnippetDatas[0]
+      );
+
+      // Act
+      await instance.delete();
+
+      // Assert
+      const databaseEntries = (
+        await db.query({ queryConfig: { text: sqlTextSelectAll } })
+      ).rows;
+
+      expect(databaseEntries.length).toBe(0);
+    });
+
+    test('Does not throw an Error if custom_section_entry_x_text_snippet is not found.', async () => {
+      // Act
+      await CustomSectionEntry_X_Text_Snippet.delete(999, 999);
+    });
+  });
+});
@@ -4,6 +4,7 @@ const db = require('../database/db');
 const { convertPropsForSqlUpdate } = require('../util/sqlHelpers');
 
 const {
+  AppError,
   AppServerError,
   BadRequestError,
   NotFoundError,
@@ -15,11 +16,13 @@ const logger = require('../util/logger');
 
 /**
  * Represents a document.  This contains info about a document and not the
- * actual content.
+ * actual content.  A document is either a resume or a cover letter.
  */
 class Document {
   static tableName = 'documents';
 
+  static kinds = Object.freeze(['resume', 'coverLetter']);
+
   // To use in SQL statements to return all column data.  Ensure the properties
   // are in the same order and amount as constructor parameters.
   static _allDbColsAsJs = `
@@ -30,7 +33,8 @@ class Document {
     last_updated AS "lastUpdated",
     is_master AS "isMaster",
     is_template AS "isTemplate",
-    is_locked AS "isLocked"`;
+    is_locked AS "isLocked",
+    kind`;
 
   constructor(
     id,
@@ -40,7 +44,8 @@ class Document {
     lastUpdated,
     isMaster,
     isTemplate,
-    isLocked
+    isLocked,
+    kind
   ) {
     this.id = id;
     this.documentName = documentName;
@@ -50,6 +55,7 @@ class Document {
     this.isMaster = isMaster;
     this.isTemplate = isTemplate;
     this.isLocked = isLocked;
+    this.kind = kind;
   }
 
   /**
@@ -61,6 +67,8 @@ class Document {
    * @param {Boolean} docProps.isMaster - If the document is the master
    *  resume.
    * @param {Boolean} docProps.isTemplate - If the document is a template.
+   * @param {String} [docProps.kind] - "resume" or "coverLetter".  Defaults to
+   *  "resume".
    * @returns {Promise<Document>} A new Document instance that contains the
    *  document's data.
    */
@@ -69,7 +77,7 @@ class Document {
     logger.verbose(logPrefix);
 
     // Allowed properties/attributes.
-    const { documentName, owner, isMaster, isTemplate } = docProps;
+    const { documentName, owner, isMaster, isTemplate, kind = null } = docProps;
 
     const queryConfig = {
       text: `
@@ -77,10 +85,11 @@ class Document {
     document_name,
     owner,
     is_master,
-    is_template
-  ) VALUES ($1, $2, $3, $4)
+    is_template,
+    kind
+  ) VALUES ($1, $2, $3, $4, COALESCE($5, 'resume'))
   RETURNING ${Document._allDbColsAsJs};`,
-      values: [documentName, owner, isMaster, isTemplate],
+      values: [documentName, owner, isMaster, isTemplate, kind],
     };
 
     const result = await db.query({
@@ -99,22 +108,320 @@ class Document {
     return new Document(...Object.values(result.rows[0]));
   }
 
+  /**
+   * Creates a new document that is a cover letter, along with its cover
+   * letter info.  Both are added in one SQL transaction, so that there is
+   * never a cover letter document without its info.
+   *
+   * @param {Object} props - Contains data for creating a new cover letter.
+   * @param {String} props.documentName - Name of the document.
+   * @param {String} props.owner - Username that the document belongs to.
+   * @param {Number} [props.resumeDocumentId] - ID of the resume that the cover
+   *  letter is sent with.
+   * @param {String} [props.company] - Name of the company that the cover
+   *  letter is for.
+   * @param {String} [props.role] - Job title that the cover letter is for.
+   * @returns {Promise<Document>} A new Document instance that contains the
+   *  document's data.
+   */
+  static async addCoverLetter(props) {
+    const logPrefix = `${this.name}.addCoverLetter(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed properties/attributes.
+    const { documentName, owner, resumeDocumentId, company, role } = props;
+
+    const dbClient = await db.getClient();
+
+    try {
+      // Start SQL transaction.
+      await db.query({
+        queryConfig: {
+          text: `
+  BEGIN;`,
+        },
+        logPrefix,
+        dbClient,
+      });
+
+      const result = await db.query({
+        queryConfig: {
+          text: `
+  INSERT INTO ${Document.tableName} (
+    document_name,
+    owner,
+    is_master,
+    is_template,
+    kind
+  ) VALUES ($1, $2, FALSE, FALSE, 'coverLetter')
+  RETURNING ${Document._allDbColsAsJs};`,
+          values: [documentName, owner],
+        },
+        logPrefix,
+        dbClient,
+        errorCallback: (err) => {
+          // PostgreSQL error code 23505 is for unique constraint violation.
+          if (err.code === '23505') {
+            throw new BadRequestError(
+              `Document with name "${documentName}" already exists.`
+            );
+          }
+        },
+      });
+
+      const document = new Document(...Object.values(result.rows[0]));
+
+      await db.query({
+        queryConfig: {
+          text: `
+  INSERT INTO cover_letters (
+    document_id,
+    resume_document_id,
+    company,
+    role
+  )
+  VALUES ($1, $2, $3, $4);`,
+          values: [document.id, resumeDocumentId, company, role],
+        },
+        logPrefix,
+        dbClient,
+      });
+
+      // End SQL transaction.
+      await db.query({
+        queryConfig: {
+          text: `
+  COMMIT;`,
+        },
+        logPrefix,
+        dbClient,
+      });
+
+      return document;
+    } catch (err) {
+      // Undo adding the document.
+      await db.query({
+        queryConfig: {
+          text: `
+  ROLLBACK;`,
+        },
+        logPrefix,
+        dbClient,
+      });
+
+      if (err instanceof AppError) {
+        throw err;
+      } else {
+        logger.error(`${logPrefix}: ${err.message}`);
+        throw new AppServerError('Error when adding cover letter in database.');
+      }
+    } finally {
+      dbClient.release();
+    }
+  }
+
   /**
    * Retrieves all the documents belonging to a user.
    *
    * @param {String} owner - Username to get the documents for.
+   * @param {Object} [filter] - Limits which documents are retrieved.
+   * @param {Boolean} [filter.isTemplate] - Whether to get only templates or
+   *  only non-templates.  Both are retrieved if this is not given.
+   * @param {String} [filter.kind] - Whether to get only resumes or only cover
+   *  letters.  Both are retrieved if this is not given.
+   * @returns {Promise<Document[]>} A list of Document instances.
+   */
+  static async getAll(owner, filter = {}) {
+    const logPrefix =
+      `${this.name}.getAll(` +
+      `owner = ${owner}, ` +
+      `filter = ${JSON.stringify(filter)})`;
+    logger.verbose(logPrefix);
+
+    const { isTemplate = null, kind = null } = filter;
+
+    const queryConfig = {
+      text: `
+  SELECT ${Document._allDbColsAsJs}
+  FROM ${Document.tableName}
+  WHERE owner = $1
+    AND ($2::BOOLEAN IS NULL OR is_template = $2)
+    AND ($3::TEXT IS NULL OR kind = $3);`,
+      values: [owner, isTemplate, kind],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => new Document(...Object.values(data)));
+  }
+
+  /**
+   * Retrieves all locked documents that contain a specific piece of content.
+   * Only one type of content should be given.
+   *
+   * @param {Object} content - Identifies the content to look for.
+   * @param {Number} [content.educationId] - ID of an education.
+   * @param {Number} [content.experienceId] - ID of an experience.
+   * @param {Number} [content.certificationId] - ID of a certification.
+   * @param {Number} [content.projectId] - ID of a project.
+   * @param {Number} [content.skillId] - ID of a skill.
+   * @param {Number} [content.sectionId] - ID of a section.  This is meant for
+   *  custom sections, whose entries show up in every document that has the
+   *  section.
+   * @param {Object} [content.textSnippet] - ID and version of a text snippet.
+   *  This includes text snippets used by skills, custom section entries,
+   *  summaries, and cover letter paragraphs.
+   * @param {Object} [content.bulletTextSnippet] - ID and version of a text
+   *  snippet.  Unlike content.textSnippet, this only includes text snippets
+   *  used as bullets of experiences and projects.
    * @returns {Promise<Document[]>} A list of Document instances.
    */
-  static async getAll(owner) {
-    const logPrefix = `${this.name}.getAll(${owner})`;
+  static async getAllLockedContaining(content) {
+    const logPrefix = `${this.name}.getAllLockedContaining(${JSON.stringify(
+      content
+    )})`;
     logger.verbose(logPrefix);
 
+    const {
+      educationId = null,
+      experienceId = null,
+      certificationId = null,
+      projectId = null,
+      skillId = null,
+      sectionId = null,
+      textSnippet: { id: textSnippetId = null, version = null } = {},
+      bulletTextSnippet: {
+        id: bulletTextSnippetId = null,
+        version: bulletTextSnippetVersion = null,
+      } = {},
+    } = content;
+
     const queryConfig = {
       text: `
   SELECT ${Document._allDbColsAsJs}
   FROM ${Document.tableName}
-  WHERE owner = $1;`,
-      values: [owner],
+  WHERE is_locked
+    AND (
+      EXISTS (
+        SELECT 1
+        FROM documents_x_educations
+        WHERE document_id = ${Document.tableName}.id
+          AND education_id = $1
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM documents_x_experiences
+        WHERE document_id = ${Document.tableName}.id
+          AND experience_id = $2
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM documents_x_certifications
+        WHERE document_id = ${Document.tableName}.id
+          AND certification_id = $5
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM documents_x_projects
+        WHERE document_id = ${Document.tableName}.id
+          AND project_id = $6
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM documents_x_skills
+        WHERE document_id = ${Document.tableName}.id
+          AND skill_id = $7
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM documents_x_sections
+        WHERE document_id = ${Document.tableName}.id
+          AND section_id = $8
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM experiences_x_text_snippets AS ext
+        JOIN documents_x_experiences AS dxex
+        ON ext.document_x_experience_id = dxex.id
+        WHERE dxex.document_id = ${Document.tableName}.id
+          AND ext.text_snippet_id = $3
+          AND ext.text_snippet_version = $4
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM projects_x_text_snippets AS pxt
+        JOIN documents_x_projects AS dxp
+        ON pxt.document_x_project_id = dxp.id
+        WHERE dxp.document_id = ${Document.tableName}.id
+          AND pxt.text_snippet_id = $3
+          AND pxt.text_snippet_version = $4
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM documents_x_skills AS dxsk
+        JOIN skills AS sk
+        ON dxsk.skill_id = sk.id
+        WHERE dxsk.document_id = ${Document.tableName}.id
+          AND sk.text_snippet_id = $3
+          AND sk.text_snippet_version = $4
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM custom_section_entries_x_text_snippets AS cext
+        JOIN custom_section_entries AS ce
+        ON cext.custom_section_entry_id = ce.id
+        JOIN documents_x_sections AS dxs
+        ON ce.section_id = dxs.section_id
+        WHERE dxs.document_id = ${Document.tableName}.id
+          AND cext.text_snippet_id = $3
+          AND cext.text_snippet_version = $4
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM documents_x_summaries
+        WHERE document_id = ${Document.tableName}.id
+          AND text_snippet_id = $3
+          AND text_snippet_version = $4
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM cover_letters_x_text_snippets
+        WHERE document_id = ${Document.tableName}.id
+          AND text_snippet_id = $3
+          AND text_snippet_version = $4
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM experiences_x_text_snippets AS ext
+        JOIN documents_x_experiences AS dxex
+        ON ext.document_x_experience_id = dxex.id
+        WHERE dxex.document_id = ${Document.tableName}.id
+          AND ext.text_snippet_id = $9
+          AND ext.text_snippet_version = $10
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM projects_x_text_snippets AS pxt
+        JOIN documents_x_projects AS dxp
+        ON pxt.document_x_project_id = dxp.id
+        WHERE dxp.document_id = ${Document.tableName}.id
+          AND pxt.text_snippet_id = $9
+          AND pxt.text_snippet_version = $10
+      )
+    )
+  ORDER BY id;`,
+      values: [
+        educationId,
+        experienceId,
+        textSnippetId,
+        version,
+        certificationId,
+        projectId,
+        skillId,
+        sectionId,
+        bulletTextSnippetId,
+        bulletTextSnippetVersion,
+      ],
     };
 
     const result = await db.query({ queryConfig, logPrefix });
@@ -122,6 +429,75 @@ class Document {
     return result.rows.map((data) => new Document(...Object.values(data)));
   }
 
+  /**
+   * Retrieves all documents that contain any version of a text snippet, along
+   * with the version that each document uses.  This includes text snippets used
+   * by experiences, projects, skills, custom section entries, summaries, and
+   * cover letter paragraphs.  A document is listed once for every version that
+   * it uses.
+   *
+   * @param {Number} textSnippetId - ID of the text snippet.
+   * @returns {Promise<{textSnippetVersion: Date, document: Document}[]>} The
+   *  documents and the text snippet versions that they use, ordered by version
+   *  and then by document ID.
+   */
+  static async getAllReferencingTextSnippet(textSnippetId) {
+    const logPrefix = `${this.name}.getAllReferencingTextSnippet(${textSnippetId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT refs.text_snippet_version AS "textSnippetVersion",
+    ${Document._allDbColsAsJs}
+  FROM ${Document.tableName}
+  JOIN (
+    SELECT dxex.document_id, ext.text_snippet_version
+    FROM experiences_x_text_snippets AS ext
+    JOIN documents_x_experiences AS dxex
+    ON ext.document_x_experience_id = dxex.id
+    WHERE ext.text_snippet_id = $1
+    UNION
+    SELECT dxp.document_id, pxt.text_snippet_version
+    FROM projects_x_text_snippets AS pxt
+    JOIN documents_x_projects AS dxp
+    ON pxt.document_x_project_id = dxp.id
+    WHERE pxt.text_snippet_id = $1
+    UNION
+    SELECT dxsk.document_id, sk.text_snippet_version
+    FROM documents_x_skills AS dxsk
+    JOIN skills AS sk
+    ON dxsk.skill_id = sk.id
+    WHERE sk.text_snippet_id = $1
+    UNION
+    SELECT dxs.document_id, cext.text_snippet_version
+    FROM custom_section_entries_x_text_snippets AS cext
+    JOIN custom_section_entries AS ce
+    ON cext.custom_section_entry_id = ce.id
+    JOIN documents_x_sections AS dxs
+    ON ce.section_id = dxs.section_id
+    WHERE cext.text_snippet_id = $1
+    UNION
+    SELECT document_id, text_snippet_version
+    FROM documents_x_summaries
+    WHERE text_snippet_id = $1
+    UNION
+    SELECT document_id, text_snippet_version
+    FROM cover_letters_x_text_snippets
+    WHERE text_snippet_id = $1
+  ) AS refs
+  ON ${Document.tableName}.id = refs.document_id
+  ORDER BY refs.text_snippet_version, ${Document.tableName}.id;`,
+      values: [textSnippetId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map(({ textSnippetVersion, ...data }) => ({
+      textSnippetVersion,
+      document: new Document(...Object.values(data)),
+    }));
+  }
+
   /**
    * Retrieves a specific document by ID or name.
    *
@@ -162,7 +538,8 @@ class Document {
 
   /**
    * Retrieves a full document and its contents.  This includes contact info,
-   * sections, educations, experiences, etc..  Assumes that the document exists.
+   * summary, sections, educations, experiences, etc..  Assumes that the
+   * document exists.
    *
    * @param {Number} documentId - ID of the document to get all the data from.
    * @returns {Promise<Object>} All needed data to display a resume or template.
@@ -188,6 +565,20 @@ class Document {
       FROM contact_info AS ci
       WHERE ci.username = d.owner
     ),
+    (
+      SELECT json_build_object(
+          'id', t.id,
+          'version', to_char(t.version AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+          'parent', t.parent,
+          'type', t.type,
+          'content', t.content
+        ) AS summary
+      FROM documents_x_summaries AS dxsu
+      JOIN text_snippets AS t
+      ON dxsu.text_snippet_id = t.id
+      AND dxsu.text_snippet_version = t.version
+      WHERE dxsu.document_id = $1
+    ),
     (
       SELECT json_agg(
         json_build_object(
@@ -253,8 +644,178 @@ class Document {
       JOIN experiences AS ex
       ON dxex.experience_id = ex.id
       WHERE dxex.document_id = $1
+    ),
+    (
+      SELECT json_agg(
+        json_build_object(
+          'id', c.id,
+          'name', c.name,
+          'issuingOrg', c.issuing_org,
+          'issueDate', c.issue_date
+        )
+        ORDER BY dxc.position
+      ) AS certifications
+      FROM documents_x_certifications AS dxc
+      JOIN certifications AS c
+      ON dxc.certification_id = c.id
+      WHERE dxc.document_id = $1
+    ),
+    (
+      SELECT json_agg(
+        json_build_object(
+          'id', p.id,
+          'name', p.name,
+          'startDate', p.start_date,
+          'endDate', p.end_date,
+          'bullets', (
+            SELECT json_agg(
+              json_build_object(
+                'id', t.id,
+                'version', to_char(t.version AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+                'parent', t.parent,
+                'type', t.type,
+                'content', t.content
+              )
+              ORDER BY pxt.position
+            )
+            FROM projects_x_text_snippets AS pxt
+            JOIN text_snippets AS t
+            ON pxt.text_snippet_id = t.id
+            AND pxt.text_snippet_version = t.version
+            WHERE dxp.id = pxt.document_x_project_id)
+        )
+        ORDER BY dxp.position
+      ) AS projects
+      FROM documents_x_projects AS dxp
+      JOIN projects AS p
+      ON dxp.project_id = p.id
+      WHERE dxp.document_id = $1
+    ),
+    (
+      SELECT json_agg(
+        json_build_object(
+          'id', sk.id,
+          'name', sk.name,
+          'textSnippetId', t.id,
+          'textSnippetVersion', to_char(t.version AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+          'content', t.content
+        )
+        ORDER BY sk.id
+      ) AS skills
+      FROM documents_x_skills AS dxsk
+      JOIN skills AS sk
+      ON dxsk.skill_id = sk.id
+      JOIN text_snippets AS t
+      ON sk.text_snippet_id = t.id
+      AND sk.text_snippet_version = t.version
+      WHERE dxsk.document_id = $1
+    ),
+    (
+      SELECT json_agg(
+        json_build_object(
+          'id', s.id,
+          'sectionName', s.section_name,
+          'entries', (
+            SELECT json_agg(
+              json_build_object(
+                'id', ce.id,
+                'title', ce.title,
+                'subtitle', ce.subtitle,
+                'location', ce.location,
+                'startDate', ce.start_date,
+                'endDate', ce.end_date,
+                'bullets', (
+                  SELECT json_agg(
+                    json_build_object(
+                      'id', t.id,
+                      'version', to_char(t.version AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+                      'parent', t.parent,
+                      'type', t.type,
+                      'content', t.content
+                    )
+                    ORDER BY cext.position
+                  )
+                  FROM custom_section_entries_x_text_snippets AS cext
+                  JOIN text_snippets AS t
+                  ON cext.text_snippet_id = t.id
+                  AND cext.text_snippet_version = t.version
+                  WHERE ce.id = cext.custom_section_entry_id)
+              )
+              ORDER BY ce.position
+            )
+            FROM custom_section_entries AS ce
+            WHERE ce.section_id = s.id)
+        )
+        ORDER BY dxs.position
+      ) AS "customSections"
+      FROM documents_x_sections AS dxs
+      JOIN sections AS s
+      ON dxs.section_id = s.id
+      WHERE dxs.document_id = $1
+        AND s.owner IS NOT NULL
+    )
+  FROM documents AS d
+  WHERE d.id = $1;`,
+      values: [documentId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Retrieves a full cover letter and its contents.  This includes contact
+   * info for the header, the company and role that the cover letter is for,
+   * the resume that it is sent with, and its paragraphs.  Assumes that the
+   * document exists and is a cover letter.
+   *
+   * @param {Number} documentId - ID of the cover letter to get all the data
+   *  from.
+   * @returns {Promise<Object>} All needed data to display a cover letter.
+   */
+  static async getCoverLetterContent(documentId) {
+    const logPrefix = `${this.name}.getCoverLetterContent(${documentId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT ${Document._allDbColsAsJs},
+    (
+      SELECT json_build_object(
+          'fullName', ci.full_name,
+          'location', ci.location,
+          'email', ci.email,
+          'phone', ci.phone,
+          'linkedin', ci.linkedin,
+          'github', ci.github
+        ) AS "contactInfo"
+      FROM contact_info AS ci
+      WHERE ci.username = d.owner
+    ),
+    cl.resume_document_id AS "resumeDocumentId",
+    cl.company,
+    cl.role,
+    (
+      SELECT json_agg(
+        json_build_object(
+          'id', t.id,
+          'version', to_char(t.version AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+          'parent', t.parent,
+          'type', t.type,
+          'content', t.content
+        )
+        ORDER BY clxt.position
+      ) AS paragraphs
+      FROM cover_letters_x_text_snippets AS clxt
+      JOIN text_snippets AS t
+      ON clxt.text_snippet_id = t.id
+      AND clxt.text_snippet_version = t.version
+      WHERE clxt.document_id = $1
     )
   FROM documents AS d
+  LEFT JOIN cover_letters AS cl
+  ON d.id = cl.document_id
   WHERE d.id = $1;`,
       values: [documentId],
     };
@@ -264,6 +825,242 @@ class Document {
     return result.rows[0];
   }
 
+  /**
+   * Creates a new document that is a copy of another document, along with
+   * copies of the source document's summary and relationships to sections,
+   * educations, experiences, certifications, projects, skills, and experience
+   * and project text snippets.  Section items and text snippets are shared, not
+   * duplicated.  The summary is always copied, so that it can then be tailored
+   * for the new document.
+   * Custom sections come with all of their entries, since entries belong to the
+   * section instead of to documents.  Everything is done in one SQL
+   * transaction, so either all or nothing is copied.
+   *
+   * The copied items can be limited by giving lists of IDs to keep.  Positions
+   * are renumbered so that they stay in the same order without gaps.
+   *
+   * This is also how templates are made and used.  A template is a fork with
+   * only the wanted sections and content, and a document made from a template
+   * is a fork of the template.
+   *
+   * @param {Number} sourceDocumentId - ID of the document to copy.
+   * @param {Object} docProps - Contains data for creating the new document.
+   * @param {String} docProps.documentName - Name of the new document.
+   * @param {String} docProps.owner - Username that the document belongs to.
+   * @param {Boolean} docProps.isTemplate - If the new document is a template.
+   *  This does not need to match the source document.
+   * @param {Object} [filter] - IDs of the items to copy.  All items of a type
+   *  are copied if its list is not given.
+   * @param {Number[]} [filter.sectionIds] - IDs of sections to copy.
+   * @param {Number[]} [filter.educationIds] - IDs of educations to copy.
+   * @param {Number[]} [filter.experienceIds] - IDs of experiences to copy.
+   * @param {Number[]} [filter.certificationIds] - IDs of certifications to
+   *  copy.
+   * @param {Number[]} [filter.projectIds] - IDs of projects to copy.
+   * @param {Number[]} [filter.skillIds] - IDs of skills to copy.
+   * @param {Number[]} [filter.textSnippetIds] - IDs of experience and project
+   *  text snippets to copy.
+   * @returns {Promise<Document>} A new Document instance that contains the new
+   *  document's data.
+   * @throws {BadRequestError} If a document with the same name already exists.
+   */
+  static async fork(sourceDocumentId, docProps, filter = {}) {
+    const logPrefix =
+      `${this.name}.fork(` +
+      `sourceDocumentId = ${sourceDocumentId}, ` +
+      `docProps = ${JSON.stringify(docProps)}, ` +
+      `filter = ${JSON.stringify(filter)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed properties/attributes.
+    const { documentName, owner, isTemplate } = docProps;
+    const {
+      sectionIds = null,
+      educationIds = null,
+      experienceIds = null,
+      certificationIds = null,
+      projectIds = null,
+      skillIds = null,
+      textSnippetIds = null,
+    } = filter;
+
+    const dbClient = await db.getClient();
+
+    try {
+      // Start SQL transaction.
+      await db.query({
+        queryConfig: {
+          text: `
+  BEGIN;`,
+        },
+        logPrefix,
+        dbClient,
+      });
+
+      const result = await db.query({
+        queryConfig: {
+          text: `
+  INSERT INTO ${Document.tableName} (
+    document_name,
+    owner,
+    is_master,
+    is_template
+  ) VALUES ($1, $2, FALSE, $3)
+  RETURNING ${Document._allDbColsAsJs};`,
+          values: [documentName, owner, isTemplate],
+        },
+        logPrefix,
+        dbClient,
+        errorCallback: (err) => {
+          // PostgreSQL error code 23505 is for unique constraint violation.
+          if (err.code === '23505') {
+            throw new BadRequestError(
+              `Document with name "${documentName}" already exists.`
+            );
+          }
+        },
+      });
+
+      const document = new Document(...Object.values(result.rows[0]));
+
+      // Copy relationships that have positions.  A NULL list of IDs means
+      // that all items are copied.
+      for (const [tableName, idColName, ids] of [
+        ['documents_x_sections', 'section_id', sectionIds],
+        ['documents_x_educations', 'education_id', educationIds],
+        ['documents_x_experiences', 'experience_id', experienceIds],
+        ['documents_x_certifications', 'certification_id', certificationIds],
+        ['documents_x_projects', 'project_id', projectIds],
+      ]) {
+        await db.query({
+          queryConfig: {
+            text: `
+  INSERT INTO ${tableName} (document_id, ${idColName}, position)
+  SELECT $1, ${idColName}, ROW_NUMBER() OVER (ORDER BY position) - 1
+  FROM ${tableName}
+  WHERE document_id = $2
+    AND ($3::INTEGER[] IS NULL OR ${idColName} = ANY($3));`,
+            values: [document.id, sourceDocumentId, ids],
+          },
+          logPrefix,
+          dbClient,
+        });
+      }
+
+      await db.query({
+        queryConfig: {
+          text: `
+  INSERT INTO documents_x_skills (document_id, skill_id)
+  SELECT $1, skill_id
+  FROM documents_x_skills
+  WHERE document_id = $2
+    AND ($3::INTEGER[] IS NULL OR skill_id = ANY($3));`,
+          values: [document.id, sourceDocumentId, skillIds],
+        },
+        logPrefix,
+        dbClient,
+      });
+
+      await db.query({
+        queryConfig: {
+          text: `
+  INSERT INTO documents_x_summaries (
+    document_id,
+    text_snippet_id,
+    text_snippet_version
+  )
+  SELECT $1, text_snippet_id, text_snippet_version
+  FROM documents_x_summaries
+  WHERE document_id = $2;`,
+          values: [document.id, sourceDocumentId],
+        },
+        logPrefix,
+        dbClient,
+      });
+
+      // Text snippets are attached to document-experience and document-project
+      // relationships, so the new relationships are found through their
+      // experience and project IDs.
+      for (const [
+        tableName,
+        relationshipIdColName,
+        parentTableName,
+        idColName,
+      ] of [
+        [
+          'experiences_x_text_snippets',
+          'document_x_experience_id',
+          'documents_x_experiences',
+          'experience_id',
+        ],
+        [
+          'projects_x_text_snippets',
+          'document_x_project_id',
+          'documents_x_projects',
+          'project_id',
+        ],
+      ]) {
+        await db.query({
+          queryConfig: {
+            text: `
+  INSERT INTO ${tableName} (
+    ${relationshipIdColName},
+    text_snippet_id,
+    text_snippet_version,
+    position
+  )
+  SELECT new_dx.id,
+    xt.text_snippet_id,
+    xt.text_snippet_version,
+    ROW_NUMBER() OVER (PARTITION BY new_dx.id ORDER BY xt.position) - 1
+  FROM ${tableName} AS xt
+  JOIN ${parentTableName} AS source_dx
+  ON xt.${relationshipIdColName} = source_dx.id
+  JOIN ${parentTableName} AS new_dx
+  ON source_dx.${idColName} = new_dx.${idColName}
+  WHERE source_dx.document_id = $2
+    AND new_dx.document_id = $1
+    AND ($3::INTEGER[] IS NULL OR xt.text_snippet_id = ANY($3));`,
+            values: [document.id, sourceDocumentId, textSnippetIds],
+          },
+          logPrefix,
+          dbClient,
+        });
+      }
+
+      // End SQL transaction.
+      await db.query({
+        queryConfig: {
+          text: `
+  COMMIT;`,
+        },
+        logPrefix,
+        dbClient,
+      });
+
+      return document;
+    } catch (err) {
+      // Undo everything copied so far.
+      await db.query({
+        queryConfig: {
+          text: `
+  ROLLBACK;`,
+        },
+        logPrefix,
+        dbClient,
+      });
+
+      if (err instanceof AppError) {
+        throw err;
+      } else {
+        logger.error(`${logPrefix}: ${err.message}`);
+        throw new AppServerError('Error when copying document in database.');
+      }
+    } finally {
+      dbClient.release();
+    }
+  }
+
   /**
    * Updates a document entry with new properties.
    *
@@ -38,6 +38,7 @@ const expectedDataInNewInstances = dataForNewInstances.map((data) => ({
   isMaster: data.isMaster,
   isTemplate: data.isTemplate,
   isLocked: false,
+  kind: 'resume',
 }));
 
 const whereClauseToGetOne = 'WHERE id = $1';
@@ -0,0 +1,189 @@
+'use strict';
+
+const db = require('../database/db');
+
+const { BadRequestError, NotFoundError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents a snapshot of a document.  A snapshot holds the fully resolved
+ * content of a document, as it was when the snapshot was taken, and never
+ * changes afterwards.
+ */
+class DocumentSnapshot {
+  static tableName = 'document_snapshots';
+
+  // To use in SQL statements to return all column data, except for content.
+  // Ensure the properties are in the same order as constructor parameters.
+  static _allDbColsAsJsExceptContent = `
+    id,
+    owner,
+    document_id AS "documentId",
+    snapshot_name AS "snapshotName",
+    created_on AS "createdOn"`;
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `${DocumentSnapshot._allDbColsAsJsExceptContent},
+    content`;
+
+  constructor(id, owner, documentId, snapshotName, createdOn, content) {
+    this.id = id;
+    this.owner = owner;
+    this.documentId = documentId;
+    this.snapshotName = snapshotName;
+    this.createdOn = createdOn;
+    this.content = content;
+  }
+
+  /**
+   * Creates a new snapshot entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new snapshot.
+   * @param {String} props.owner - Username that the snapshot belongs to.
+   * @param {Number} props.documentId - ID of the document the snapshot is of.
+   * @param {String} props.snapshotName - Name of the snapshot.
+   * @param {Object} props.content - The document and all of its contents.  See
+   *  Document.getDocumentAndSectionContent.
+   * @returns {Promise<DocumentSnapshot>} A new DocumentSnapshot instance that
+   *  contains the snapshot's data.
+   */
+  static async add(props) {
+    const logPrefix = `${this.name}.add(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed properties/attributes.
+    const { owner, documentId, snapshotName, content } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${DocumentSnapshot.tableName} (
+    owner,
+    document_id,
+    snapshot_name,
+    content
+  ) VALUES ($1, $2, $3, $4)
+  RETURNING ${DocumentSnapshot._allDbColsAsJs};`,
+      values: [owner, documentId, snapshotName, JSON.stringify(content)],
+    };
+
+    const result = await db.query({
+      queryConfig,
+      logPrefix,
+      errorCallback: (err) => {
+        // PostgreSQL error code 23505 is for unique constraint violation.
+        if (err.code === '23505') {
+          throw new BadRequestError(
+            `Snapshot with name "${snapshotName}" already exists.`
+          );
+        }
+      },
+    });
+
+    return new DocumentSnapshot(...Object.values(result.rows[0]));
+  }
+
+  /**
+   * Retrieves all snapshots belonging to a user, from newest to oldest.  The
+   * content of the snapshots is left out.
+   *
+   * @param {String} owner - Username to get snapshots for.
+   * @param {Object} [filter] - Narrows down which snapshots are retrieved.
+   * @param {Number} [filter.documentId] - Only get snapshots of this document.
+   * @returns {Promise<DocumentSnapshot[]>} A list of DocumentSnapshot
+   *  instances, without content.
+   */
+  static async getAll(owner, filter = {}) {
+    const logPrefix =
+      `${this.name}.getAll(` +
+      `owner = ${owner}, ` +
+      `filter = ${JSON.stringify(filter)})`;
+    logger.verbose(logPrefix);
+
+    const { documentId = null } = filter;
+
+    const queryConfig = {
+      text: `
+  SELECT ${DocumentSnapshot._allDbColsAsJsExceptContent}
+  FROM ${DocumentSnapshot.tableName}
+  WHERE owner = $1
+    AND ($2::INTEGER IS NULL OR document_id = $2)
+  ORDER BY created_on DESC, id DESC;`,
+      values: [owner, documentId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map(
+      (data) => new DocumentSnapshot(...Object.values(data))
+    );
+  }
+
+  /**
+   * Retrieves a specific snapshot by ID, along with its content.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific snapshot.
+   * @param {Number} queryParams.id - ID of the snapshot.
+   * @returns {Promise<DocumentSnapshot>} A new DocumentSnapshot instance that
+   *  contains the snapshot's data.
+   */
+  static async get(queryParams) {
+    const logPrefix = `${this.name}.get(${JSON.stringify(queryParams)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed parameters.
+    const { id } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${DocumentSnapshot._allDbColsAsJs}
+  FROM ${DocumentSnapshot.tableName}
+  WHERE id = $1;`,
+      values: [id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rows.length === 0) {
+      logger.error(`${logPrefix}: Snapshot not found.`);
+      throw new NotFoundError(`Can not find snapshot with ID ${id}.`);
+    }
+
+    return new DocumentSnapshot(...Object.values(result.rows[0]));
+  }
+
+  /**
+   * Deletes a snapshot entry in the database.  Does not delete the instance
+   * properties/fields.  Remember to delete the instance this belongs to!
+   */
+  async delete() {
+    const logPrefix = `${this.constructor.name}(id = ${this.id}).delete()`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  DELETE FROM ${DocumentSnapshot.tableName}
+  WHERE id = $1;`,
+      values: [this.id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount) {
+      logger.info(
+        `${logPrefix}: ${result.rowCount} snapshot(s) deleted: ` +
+          `id = ${this.id}.`
+      );
+    } else {
+      logger.info(`${logPrefix}: 0 snapshots deleted.`);
+    }
+  }
+}
+
+// ==================================================
+
+module.exports = DocumentSnapshot;
@@ -0,0 +1,190 @@
+'use strict';
+
+const DocumentSnapshot = require('./documentSnapshot');
+
+const db = require('../database/db');
+const Document = require('./document');
+const User = require('./user');
+
+const { users, documents } = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+const { BadRequestError, NotFoundError } = require('../errors/appErrors');
+
+// ==================================================
+
+describe('DocumentSnapshot', () => {
+  const owner = users[0].username;
+  const content = Object.freeze({
+    documentName: documents[0].documentName,
+    experiences: [{ title: 'Software Engineer', bullets: [{ id: 1 }] }],
+  });
+
+  let document;
+
+  beforeAll(async () => {
+    await commonBeforeAll(db);
+    await User.register(users[0]);
+    document = await Document.add(documents[0]);
+  });
+
+  beforeEach(() => clearTable(db, DocumentSnapshot.tableName));
+
+  afterAll(() => commonAfterAll(db));
+
+  const addSnapshot = (snapshotName) =>
+    DocumentSnapshot.add({
+      owner,
+      documentId: document.id,
+      snapshotName,
+      content,
+    });
+
+  // --------------------------------------------------
+  // add
+
+  describe('add', () => {
+    test('Adds a new snapshot.', async () => {
+      // Act
+      const snapshot = await addSnapshot('Snapshot');
+
+      // Assert
+      expect(snapshot).toStrictEqual(
+        new DocumentSnapshot(
+          expect.any(Number),
+          owner,
+          document.id,
+          'Snapshot',
+          expect.any(Date),
+          content
+        )
+      );
+    });
+
+    test('Throws a BadRequestError if snapshot name already exists.', async () => {
+      // Arrange
+      await addSnapshot('Snapshot');
+
+      // Act
+      async function runFunc() {
+        await addSnapshot('Snapshot');
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(BadRequestError);
+    });
+  });
+
+  // --------------------------------------------------
+  // getAll
+
+  describe('getAll', () => {
+    test('Gets all snapshots of a user without content, newest first.', async () => {
+      // Arrange
+      const snapshots = [
+        await addSnapshot('Snapshot 1'),
+        await addSnapshot('Snapshot 2'),
+      ];
+
+      // Act
+      const result = await DocumentSnapshot.getAll(owner);
+
+      // Assert
+      expect(result).toStrictEqual(
+        snapshots
+          .reverse()
+          .map(
+            ({ id, documentId, snapshotName, createdOn }) =>
+              new DocumentSnapshot(
+                id,
+                owner,
+                documentId,
+                snapshotName,
+                createdOn
+              )
+          )
+      );
+    });
+
+    test('Gets only the snapshots of a document.', async () => {
+      // Arrange
+      await addSnapshot('Snapshot');
+
+      // Act
+      const result = await DocumentSnapshot.getAll(owner, {
+        documentId: document.id + 1,
+      });
+
+      // Assert
+      expect(result).toEqual([]);
+    });
+  });
+
+  // --------------------------------------------------
+  // get
+
+  describe('get', () => {
+    test('Gets a snapshot along with its content.', async () => {
+      // Arrange
+      const snapshot = await addSnapshot('Snapshot');
+
+      // Act
+      const result = await DocumentSnapshot.get({ id: snapshot.id });
+
+      // Assert
+      expect(result).toStrictEqual(snapshot);
+    });
+
+    test('Throws a NotFoundError if snapshot does not exist.', async () => {
+      // Act
+      async function runFunc() {
+        await DocumentSnapshot.get({ id: 999 });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+
+    test('Keeps the snapshot after its document is deleted.', async () => {
+      // Arrange
+      const otherDocument = await Document.add({
+        ...documents[0],
+        documentName: 'Other',
+        isMaster: false,
+      });
+      const snapshot = await DocumentSnapshot.add({
+        owner,
+        documentId: otherDocument.id,
+        snapshotName: 'Snapshot',
+        content,
+      });
+
+      // Act
+      await otherDocument.delete();
+      const result = await DocumentSnapshot.get({ id: snapshot.id });
+
+      // Assert
+      expect(result).toEqual({ ...snapshot, documentId: null });
+    });
+  });
+
+  // --------------------------------------------------
+  // delete
+
+  describe('delete', () => {
+    test('Deletes a snapshot.', async () => {
+      // Arrange
+      const snapshot = await addSnapshot('Snapshot');
+
+      // Act
+      await snapshot.delete();
+
+      // Assert
+      expect(await DocumentSnapshot.getAll(owner)).toEqual([]);
+    });
+  });
+});
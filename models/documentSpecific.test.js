@@ -0,0 +1,966 @@
+'use strict';
+
+const Document = require('./document');
+
+const db = require('../database/db');
+const Section = require('./section');
+const Document_X_Section = require('./document_x_section');
+const Education = require('./education');
+const Document_X_Education = require('./document_x_education');
+const Experience = require('./experience');
+const Document_X_Experience = require('./document_x_experience');
+const Certification = require('./certification');
+const Document_X_Certification = require('./document_x_certification');
+const Project = require('./project');
+const Document_X_Project = require('./document_x_project');
+const Skill = require('./skill');
+const Document_X_Skill = require('./document_x_skill');
+const TextSnippet = require('./textSnippet');
+const Experience_X_Text_Snippet = require('./experience_x_textSnippet');
+const Project_X_Text_Snippet = require('./project_x_textSnippet');
+const CustomSectionEntry = require('./customSectionEntry');
+const CustomSectionEntry_X_Text_Snippet = require('./customSectionEntry_x_textSnippet');
+const Document_X_Summary = require('./document_x_summary');
+const CoverLetter = require('./coverLetter');
+const CoverLetter_X_Text_Snippet = require('./coverLetter_x_textSnippet');
+const ContactInfo = require('./contactInfo');
+const User = require('./user');
+
+const {
+  users,
+  documents,
+  sections: sectionsInputData,
+  educations: educationsInputData,
+  experiences: experiencesInputData,
+  certifications: certificationsInputData,
+  projects: projectsInputData,
+  skills: skillsInputData,
+  customSectionEntries: customSectionEntriesInputData,
+  textSnippets: textSnippetsInputData,
+} = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+const { AppServerError, BadRequestError } = require('../errors/appErrors');
+
+// ==================================================
+// Specific Tests
+
+describe('Document', () => {
+  beforeAll(async () => {
+    await commonBeforeAll(db);
+    await User.register(users[0]);
+  });
+
+  afterAll(() => commonAfterAll(db));
+
+  // --------------------------------------------------
+  // getAll
+
+  describe('getAll', () => {
+    const owner = users[0].username;
+
+    beforeAll(async () => {
+      await clearTable(db, Document.tableName);
+
+      for (const document of documents) await Document.add(document);
+    });
+
+    afterAll(() => clearTable(db, Document.tableName));
+
+    test.each([[true], [false]])(
+      'Gets only documents where isTemplate is %s.',
+      async (isTemplate) => {
+        // Act
+        const result = await Document.getAll(owner, { isTemplate });
+
+        // Assert
+        const expectedNames = documents
+          .filter((document) => document.isTemplate === isTemplate)
+          .map((document) => document.documentName);
+
+        expect(expectedNames.length).toBeGreaterThan(0);
+        expect(result.map((document) => document.documentName)).toEqual(
+          expectedNames
+        );
+      }
+    );
+
+    test('Gets only documents of a kind.', async () => {
+      // Arrange
+      const coverLetter = await Document.add({
+        ...documents[1],
+        documentName: 'Cover letter',
+        isTemplate: false,
+        kind: 'coverLetter',
+      });
+
+      // Act
+      const coverLetters = await Document.getAll(owner, {
+        kind: 'coverLetter',
+      });
+      const resumes = await Document.getAll(owner, { kind: 'resume' });
+
+      // Assert
+      expect(coverLetters).toStrictEqual([coverLetter]);
+      expect(resumes.map((document) => document.documentName)).toEqual(
+        documents.map((document) => document.documentName)
+      );
+    });
+  });
+
+  // --------------------------------------------------
+  // addCoverLetter
+
+  describe('addCoverLetter', () => {
+    const owner = users[0].username;
+
+    beforeEach(() => clearTable(db, Document.tableName));
+
+    afterAll(() => clearTable(db, Document.tableName));
+
+    test('Adds a cover letter document along with its info.', async () => {
+      // Arrange
+      const resume = await Document.add(documents[0]);
+
+      // Act
+      const document = await Document.addCoverLetter({
+        documentName: 'Cover letter',
+        owner,
+        resumeDocumentId: resume.id,
+        company: 'Company 1',
+        role: 'Software Engineer',
+      });
+
+      // Assert
+      expect(document).toBeInstanceOf(Document);
+      expect(document).toEqual(
+        expect.objectContaining({
+          documentName: 'Cover letter',
+          owner,
+          isMaster: false,
+          isTemplate: false,
+          kind: 'coverLetter',
+        })
+      );
+      expect(await CoverLetter.get({ documentId: document.id })).toEqual(
+        new CoverLetter(
+          document.id,
+          resume.id,
+          'Company 1',
+          'Software Engineer'
+        )
+      );
+    });
+
+    test('Does not add the document if its info can not be added.', async () => {
+      // Act
+      async function runFunc() {
+        await Document.addCoverLetter({
+          documentName: 'Cover letter',
+          owner,
+          resumeDocumentId: 999,
+        });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(AppServerError);
+      expect(await Document.getAll(owner)).toEqual([]);
+    });
+
+    test('Throws an Error if the document name is taken.', async () => {
+      // Arrange
+      await Document.add({ ...documents[0], documentName: 'Cover letter' });
+
+      // Act
+      async function runFunc() {
+        await Document.addCoverLetter({ documentName: 'Cover letter', owner });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(BadRequestError);
+    });
+  });
+
+  // --------------------------------------------------
+  // getCoverLetterContent
+
+  describe('getCoverLetterContent', () => {
+    const owner = users[0].username;
+
+    let resume;
+    let coverLetter;
+    const paragraphs = [];
+
+    beforeAll(async () => {
+      await clearTable(db, Document.tableName);
+
+      resume = await Document.add(documents[0]);
+      coverLetter = await Document.add({
+        ...documents[1],
+        documentName: 'Cover letter',
+        isTemplate: false,
+        kind: 'coverLetter',
+      });
+      await CoverLetter.add({
+        documentId: coverLetter.id,
+        resumeDocumentId: resume.id,
+        company: 'Company 1',
+        role: 'Software Engineer',
+      });
+
+      for (const [i, textSnippet] of textSnippetsInputData.entries()) {
+        const paragraph = await TextSnippet.add(textSnippet);
+        paragraphs.push(paragraph);
+
+        // Reverse positions, so that they are not in the order of addition.
+        await CoverLetter_X_Text_Snippet.add({
+          documentId: coverLetter.id,
+          textSnippetId: paragraph.id,
+          textSnippetVersion: paragraph.version,
+          position: textSnippetsInputData.length - i - 1,
+        });
+      }
+    });
+
+    afterAll(() => clearTable(db, Document.tableName));
+
+    test('Gets a cover letter and its paragraphs in order.', async () => {
+      // Act
+      const result = await Document.getCoverLetterContent(coverLetter.id);
+
+      // Assert
+      expect(result).toEqual({
+        ...coverLetter,
+        contactInfo: null,
+        resumeDocumentId: resume.id,
+        company: 'Company 1',
+        role: 'Software Engineer',
+        paragraphs: paragraphs.toReversed().map((paragraph) => ({
+          id: paragraph.id,
+          version: paragraph.version.toISOString(),
+          parent: null,
+          type: paragraph.type,
+          content: paragraph.content,
+        })),
+      });
+    });
+
+    test('Includes contact info for the header.', async () => {
+      // Arrange
+      const contactInfo = await ContactInfo.add({
+        username: owner,
+        fullName: 'Full Name',
+      });
+
+      // Act
+      const result = await Document.getCoverLetterContent(coverLetter.id);
+
+      // Assert
+      expect(result.contactInfo).toEqual(
+        expect.objectContaining({ fullName: contactInfo.fullName })
+      );
+
+      await contactInfo.delete();
+    });
+  });
+
+  // --------------------------------------------------
+  // fork
+
+  describe('fork', () => {
+    const owner = users[0].username;
+    const newDocumentProps = Object.freeze({
+      documentName: 'Fork',
+      owner,
+      isTemplate: false,
+    });
+
+    let sourceDocument;
+    const sections = [];
+    const educations = [];
+    const experiences = [];
+    const certifications = [];
+    const projects = [];
+    const skills = [];
+    // Text snippets of the first experience and of the first project.
+    const textSnippets = [];
+    let summaryTextSnippet;
+
+    /**
+     * Gets the IDs of what is attached to a document, in order of position,
+     * along with their positions.
+     */
+    async function getRelationships(documentId) {
+      const result = await db.query({
+        queryConfig: {
+          text: `
+  SELECT
+    (
+      SELECT json_agg(json_build_array(section_id, position) ORDER BY position)
+      FROM documents_x_sections
+      WHERE document_id = $1
+    ) AS sections,
+    (
+      SELECT json_agg(json_build_array(education_id, position) ORDER BY position)
+      FROM documents_x_educations
+      WHERE document_id = $1
+    ) AS educations,
+    (
+      SELECT json_agg(json_build_array(experience_id, position) ORDER BY position)
+      FROM documents_x_experiences
+      WHERE document_id = $1
+    ) AS experiences,
+    (
+      SELECT json_agg(
+        json_build_array(certification_id, position) ORDER BY position
+      )
+      FROM documents_x_certifications
+      WHERE document_id = $1
+    ) AS certifications,
+    (
+      SELECT json_agg(json_build_array(project_id, position) ORDER BY position)
+      FROM documents_x_projects
+      WHERE document_id = $1
+    ) AS projects,
+    (
+      SELECT json_agg(skill_id ORDER BY skill_id)
+      FROM documents_x_skills
+      WHERE document_id = $1
+    ) AS skills,
+    (
+      SELECT json_agg(
+        json_build_array(dxex.experience_id, ext.text_snippet_id, ext.position)
+        ORDER BY dxex.experience_id, ext.position
+      )
+      FROM experiences_x_text_snippets AS ext
+      JOIN documents_x_experiences AS dxex
+      ON ext.document_x_experience_id = dxex.id
+      WHERE dxex.document_id = $1
+    ) AS "textSnippets",
+    (
+      SELECT json_agg(
+        json_build_array(dxp.project_id, pxt.text_snippet_id, pxt.position)
+        ORDER BY dxp.project_id, pxt.position
+      )
+      FROM projects_x_text_snippets AS pxt
+      JOIN documents_x_projects AS dxp
+      ON pxt.document_x_project_id = dxp.id
+      WHERE dxp.document_id = $1
+    ) AS "projectTextSnippets",
+    (
+      SELECT text_snippet_id
+      FROM documents_x_summaries
+      WHERE document_id = $1
+    ) AS summary;`,
+          values: [documentId],
+        },
+      });
+
+      return result.rows[0];
+    }
+
+    beforeAll(async () => {
+      await clearTable(db, Document.tableName);
+
+      sourceDocument = await Document.add(documents[0]);
+
+      for (const props of sectionsInputData) {
+        sections.push(await Section.add(props));
+      }
+      for (const props of educationsInputData) {
+        educations.push(await Education.add(props));
+      }
+      for (const props of experiencesInputData) {
+        experiences.push(await Experience.add(props));
+      }
+      for (const props of certificationsInputData) {
+        certifications.push(await Certification.add(props));
+      }
+      for (const props of projectsInputData) {
+        projects.push(await Project.add(props));
+      }
+      for (const props of textSnippetsInputData) {
+        textSnippets.push(await TextSnippet.add(props));
+      }
+      for (const props of skillsInputData) {
+        skills.push(
+          await Skill.add({
+            ...props,
+            textSnippetId: textSnippets[0].id,
+            textSnippetVersion: textSnippets[0].version,
+          })
+        );
+      }
+
+      // Positions have gaps and are in reverse order of the IDs.
+      for (let i = 0; i < sections.length; i++) {
+        await Document_X_Section.add({
+          documentId: sourceDocument.id,
+          sectionId: sections[i].id,
+          position: (sections.length - i) * 2,
+        });
+      }
+      for (let i = 0; i < educations.length; i++) {
+        await Document_X_Education.add({
+          documentId: sourceDocument.id,
+          educationId: educations[i].id,
+          position: (educations.length - i) * 2,
+        });
+      }
+      const documentXExperiences = [];
+      for (let i = 0; i < experiences.length; i++) {
+        documentXExperiences.push(
+          await Document_X_Experience.add({
+            documentId: sourceDocument.id,
+            experienceId: experiences[i].id,
+            position: (experiences.length - i) * 2,
+          })
+        );
+      }
+      for (let i = 0; i < certifications.length; i++) {
+        await Document_X_Certification.add({
+          documentId: sourceDocument.id,
+          certificationId: certifications[i].id,
+          position: (certifications.length - i) * 2,
+        });
+      }
+      const documentXProjects = [];
+      for (let i = 0; i < projects.length; i++) {
+        documentXProjects.push(
+          await Document_X_Project.add({
+            documentId: sourceDocument.id,
+            projectId: projects[i].id,
+            position: (projects.length - i) * 2,
+          })
+        );
+      }
+      for (const skill of skills) {
+        await Document_X_Skill.add({
+          documentId: sourceDocument.id,
+          skillId: skill.id,
+        });
+      }
+      for (let i = 0; i < textSnippets.length; i++) {
+        await Experience_X_Text_Snippet.add({
+          documentXExperienceId: documentXExperiences[0].id,
+          textSnippetId: textSnippets[i].id,
+          textSnippetVersion: textSnippets[i].version,
+          position: (textSnippets.length - i) * 2,
+        });
+        await Project_X_Text_Snippet.add({
+          documentXProjectId: documentXProjects[0].id,
+          textSnippetId: textSnippets[i].id,
+          textSnippetVersion: textSnippets[i].version,
+          position: (textSnippets.length - i) * 2,
+        });
+      }
+
+      summaryTextSnippet = await TextSnippet.add({
+        ...textSnippetsInputData[0],
+        type: 'summary',
+      });
+      await Document_X_Summary.add({
+        documentId: sourceDocument.id,
+        textSnippetId: summaryTextSnippet.id,
+        textSnippetVersion: summaryTextSnippet.version,
+      });
+    });
+
+    afterEach(() =>
+      db.query({
+        queryConfig: {
+          text: `
+  DELETE FROM ${Document.tableName}
+  WHERE id != $1;`,
+          values: [sourceDocument.id],
+        },
+      })
+    );
+
+    test('Copies a document and everything attached to it.', async () => {
+      // Act
+      const document = await Document.fork(sourceDocument.id, newDocumentProps);
+
+      // Assert
+      expect(document).toStrictEqual(
+        new Document(
+          expect.any(Number),
+          newDocumentProps.documentName,
+          owner,
+          expect.any(Date),
+          null,
+          false,
+          newDocumentProps.isTemplate,
+          false,
+          'resume'
+        )
+      );
+      expect(document.id).not.toBe(sourceDocument.id);
+
+      // Positions are renumbered from 0 without gaps.
+      const reverseIds = (items) =>
+        items.map((_, idx) => [items[items.length - idx - 1].id, idx]);
+
+      expect(await getRelationships(document.id)).toStrictEqual({
+        sections: reverseIds(sections),
+        educations: reverseIds(educations),
+        experiences: reverseIds(experiences),
+        certifications: reverseIds(certifications),
+        projects: reverseIds(projects),
+        skills: skills.map((skill) => skill.id),
+        textSnippets: reverseIds(textSnippets).map(([id, position]) => [
+          experiences[0].id,
+          id,
+          position,
+        ]),
+        projectTextSnippets: reverseIds(textSnippets).map(([id, position]) => [
+          projects[0].id,
+          id,
+          position,
+        ]),
+        summary: summaryTextSnippet.id,
+      });
+    });
+
+    test('Copies only the items in the filter.', async () => {
+      // Act
+      const document = await Document.fork(
+        sourceDocument.id,
+        newDocumentProps,
+        {
+          sectionIds: [sections[0].id, sections[2].id],
+          educationIds: [],
+          experienceIds: [experiences[0].id],
+          certificationIds: [certifications[1].id],
+          projectIds: [projects[0].id],
+          skillIds: [skills[1].id],
+          textSnippetIds: [textSnippets[0].id],
+        }
+      );
+
+      // Assert
+      expect(await getRelationships(document.id)).toStrictEqual({
+        sections: [
+          [sections[2].id, 0],
+          [sections[0].id, 1],
+        ],
+        educations: null,
+        experiences: [[experiences[0].id, 0]],
+        certifications: [[certifications[1].id, 0]],
+        projects: [[projects[0].id, 0]],
+        skills: [skills[1].id],
+        textSnippets: [[experiences[0].id, textSnippets[0].id, 0]],
+        projectTextSnippets: [[projects[0].id, textSnippets[0].id, 0]],
+        // The summary is always copied.
+        summary: summaryTextSnippet.id,
+      });
+    });
+
+    test('Does not change the source document.', async () => {
+      // Arrange
+      const expectedRelationships = await getRelationships(sourceDocument.id);
+
+      // Act
+      await Document.fork(sourceDocument.id, newDocumentProps, {
+        educationIds: [],
+      });
+
+      // Assert
+      expect(await getRelationships(sourceDocument.id)).toStrictEqual(
+        expectedRelationships
+      );
+    });
+
+    test('Throws a BadRequestError and copies nothing if document name already exists.', async () => {
+      // Act
+      async function runFunc() {
+        await Document.fork(sourceDocument.id, {
+          ...newDocumentProps,
+          documentName: sourceDocument.documentName,
+        });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(BadRequestError);
+      expect(await Document.getAll(owner)).toHaveLength(1);
+    });
+  });
+
+  // --------------------------------------------------
+  // getAllLockedContaining
+
+  describe('getAllLockedContaining', () => {
+    let lockedDocument;
+    let education;
+    let experience;
+    let certification;
+    let project;
+    let skill;
+    let textSnippet;
+    let projectTextSnippet;
+    let skillTextSnippet;
+    let customSection;
+    let entryTextSnippet;
+    let summaryTextSnippet;
+    let lockedCoverLetter;
+    let paragraphTextSnippet;
+
+    beforeAll(async () => {
+      await clearTable(db, Document.tableName);
+      await clearTable(db, Skill.tableName);
+
+      const documentProps = { ...documents[0], isMaster: false };
+      lockedDocument = await Document.add({
+        ...documentProps,
+        documentName: 'Locked',
+      });
+      await lockedDocument.update({ isLocked: true });
+      const unlockedDocument = await Document.add({
+        ...documentProps,
+        documentName: 'Unlocked',
+      });
+
+      education = await Education.add(educationsInputData[0]);
+      experience = await Experience.add(experiencesInputData[0]);
+      certification = await Certification.add(certificationsInputData[0]);
+      project = await Project.add(projectsInputData[0]);
+      textSnippet = await TextSnippet.add(textSnippetsInputData[0]);
+      projectTextSnippet = await TextSnippet.add(textSnippetsInputData[1]);
+      skillTextSnippet = await TextSnippet.add(textSnippetsInputData[0]);
+      skill = await Skill.add({
+        ...skillsInputData[0],
+        textSnippetId: skillTextSnippet.id,
+        textSnippetVersion: skillTextSnippet.version,
+      });
+
+      for (const document of [lockedDocument, unlockedDocument]) {
+        await Document_X_Education.add({
+          documentId: document.id,
+          educationId: education.id,
+          position: 0,
+        });
+      }
+      await Document_X_Certification.add({
+        documentId: lockedDocument.id,
+        certificationId: certification.id,
+        position: 0,
+      });
+      const documentXExperience = await Document_X_Experience.add({
+        documentId: lockedDocument.id,
+        experienceId: experience.id,
+        position: 0,
+      });
+      await Experience_X_Text_Snippet.add({
+        documentXExperienceId: documentXExperience.id,
+        textSnippetId: textSnippet.id,
+        textSnippetVersion: textSnippet.version,
+        position: 0,
+      });
+      const documentXProject = await Document_X_Project.add({
+        documentId: lockedDocument.id,
+        projectId: project.id,
+        position: 0,
+      });
+      await Project_X_Text_Snippet.add({
+        documentXProjectId: documentXProject.id,
+        textSnippetId: projectTextSnippet.id,
+        textSnippetVersion: projectTextSnippet.version,
+        position: 0,
+      });
+      await Document_X_Skill.add({
+        documentId: lockedDocument.id,
+        skillId: skill.id,
+      });
+
+      customSection = await Section.add({
+        sectionName: 'Locked Custom',
+        owner: users[0].username,
+      });
+      entryTextSnippet = await TextSnippet.add(textSnippetsInputData[1]);
+      const entry = await CustomSectionEntry.add({
+        ...customSectionEntriesInputData[0],
+        sectionId: customSection.id,
+        position: 0,
+      });
+      await CustomSectionEntry_X_Text_Snippet.add({
+        customSectionEntryId: entry.id,
+        textSnippetId: entryTextSnippet.id,
+        textSnippetVersion: entryTextSnippet.version,
+        position: 0,
+      });
+      await Document_X_Section.add({
+        documentId: lockedDocument.id,
+        sectionId: customSection.id,
+        position: 0,
+      });
+
+      summaryTextSnippet = await TextSnippet.add(textSnippetsInputData[0]);
+      await Document_X_Summary.add({
+        documentId: lockedDocument.id,
+        textSnippetId: summaryTextSnippet.id,
+        textSnippetVersion: summaryTextSnippet.version,
+      });
+
+      lockedCoverLetter = await Document.add({
+        ...documentProps,
+        documentName: 'Locked cover letter',
+        kind: 'coverLetter',
+      });
+      await lockedCoverLetter.update({ isLocked: true });
+      await CoverLetter.add({ documentId: lockedCoverLetter.id });
+      paragraphTextSnippet = await TextSnippet.add(textSnippetsInputData[1]);
+      await CoverLetter_X_Text_Snippet.add({
+        documentId: lockedCoverLetter.id,
+        textSnippetId: paragraphTextSnippet.id,
+        textSnippetVersion: paragraphTextSnippet.version,
+        position: 0,
+      });
+    });
+
+    afterAll(async () => {
+      await clearTable(db, Document.tableName);
+      await customSection.delete();
+    });
+
+    test.each([
+      ['an education', () => ({ educationId: education.id })],
+      ['an experience', () => ({ experienceId: experience.id })],
+      ['a certification', () => ({ certificationId: certification.id })],
+      ['a project', () => ({ projectId: project.id })],
+      ['a skill', () => ({ skillId: skill.id })],
+      [
+        'a text snippet',
+        () => ({
+          textSnippet: { id: textSnippet.id, version: textSnippet.version },
+        }),
+      ],
+      [
+        'a text snippet in a project',
+        () => ({
+          textSnippet: {
+            id: projectTextSnippet.id,
+            version: projectTextSnippet.version,
+          },
+        }),
+      ],
+      [
+        'a text snippet in a skill',
+        () => ({
+          textSnippet: {
+            id: skillTextSnippet.id,
+            version: skillTextSnippet.version,
+          },
+        }),
+      ],
+      ['a custom section', () => ({ sectionId: customSection.id })],
+      [
+        'a text snippet in a custom section entry',
+        () => ({
+          textSnippet: {
+            id: entryTextSnippet.id,
+            version: entryTextSnippet.version,
+          },
+        }),
+      ],
+      [
+        'a text snippet as the summary',
+        () => ({
+          textSnippet: {
+            id: summaryTextSnippet.id,
+            version: summaryTextSnippet.version,
+          },
+        }),
+      ],
+      [
+        'a bullet text snippet in an experience',
+        () => ({
+          bulletTextSnippet: {
+            id: textSnippet.id,
+            version: textSnippet.version,
+          },
+        }),
+      ],
+      [
+        'a bullet text snippet in a project',
+        () => ({
+          bulletTextSnippet: {
+            id: projectTextSnippet.id,
+            version: projectTextSnippet.version,
+          },
+        }),
+      ],
+    ])('Gets only the locked documents with %s.', async (_, getContent) => {
+      // Act
+      const result = await Document.getAllLockedContaining(getContent());
+
+      // Assert
+      expect(result).toStrictEqual([lockedDocument]);
+    });
+
+    test('Gets the locked cover letters with a text snippet as a paragraph.', async () => {
+      // Act
+      const result = await Document.getAllLockedContaining({
+        textSnippet: {
+          id: paragraphTextSnippet.id,
+          version: paragraphTextSnippet.version,
+        },
+      });
+
+      // Assert
+      expect(result).toStrictEqual([lockedCoverLetter]);
+    });
+
+    test.each([
+      ['a skill', () => skillTextSnippet],
+      ['the summary', () => summaryTextSnippet],
+      ['a cover letter', () => paragraphTextSnippet],
+    ])(
+      'Ignores text snippets in %s when only looking at bullets.',
+      async (_, getTextSnippet) => {
+        // Arrange
+        const { id, version } = getTextSnippet();
+
+        // Act
+        const result = await Document.getAllLockedContaining({
+          bulletTextSnippet: { id, version },
+        });
+
+        // Assert
+        expect(result).toEqual([]);
+      }
+    );
+
+    test('Only matches the given version of a text snippet.', async () => {
+      // Arrange
+      const newTextSnippet = await textSnippet.update({ content: 'New' });
+
+      // Act
+      const result = await Document.getAllLockedContaining({
+        textSnippet: { id: newTextSnippet.id, version: newTextSnippet.version },
+      });
+
+      // Assert
+      expect(result).toEqual([]);
+    });
+  });
+
+  // --------------------------------------------------
+  // getAllReferencingTextSnippet
+
+  describe('getAllReferencingTextSnippet', () => {
+    const documentProps = { ...documents[0], isMaster: false };
+    let experienceDocument;
+    let projectDocument;
+    let summaryDocument;
+    let coverLetterDocument;
+    let textSnippet;
+    let newTextSnippet;
+
+    beforeAll(async () => {
+      await clearTable(db, Document.tableName);
+
+      experienceDocument = await Document.add({
+        ...documentProps,
+        documentName: 'Experience',
+      });
+      projectDocument = await Document.add({
+        ...documentProps,
+        documentName: 'Project',
+      });
+      summaryDocument = await Document.add({
+        ...documentProps,
+        documentName: 'Summary',
+      });
+      coverLetterDocument = await Document.add({
+        ...documentProps,
+        documentName: 'Cover letter',
+        kind: 'coverLetter',
+      });
+      await Document.add({ ...documentProps, documentName: 'Unrelated' });
+
+      textSnippet = await TextSnippet.add(textSnippetsInputData[0]);
+      newTextSnippet = await textSnippet.update({ content: 'New' });
+
+      const experience = await Experience.add(experiencesInputData[0]);
+      const documentXExperience = await Document_X_Experience.add({
+        documentId: experienceDocument.id,
+        experienceId: experience.id,
+        position: 0,
+      });
+      await Experience_X_Text_Snippet.add({
+        documentXExperienceId: documentXExperience.id,
+        textSnippetId: textSnippet.id,
+        textSnippetVersion: textSnippet.version,
+        position: 0,
+      });
+
+      const project = await Project.add(projectsInputData[0]);
+      const documentXProject = await Document_X_Project.add({
+        documentId: projectDocument.id,
+        projectId: project.id,
+        position: 0,
+      });
+      await Project_X_Text_Snippet.add({
+        documentXProjectId: documentXProject.id,
+        textSnippetId: newTextSnippet.id,
+        textSnippetVersion: newTextSnippet.version,
+        position: 0,
+      });
+
+      await Document_X_Summary.add({
+        documentId: summaryDocument.id,
+        textSnippetId: newTextSnippet.id,
+        textSnippetVersion: newTextSnippet.version,
+      });
+
+      await CoverLetter.add({ documentId: coverLetterDocument.id });
+      await CoverLetter_X_Text_Snippet.add({
+        documentId: coverLetterDocument.id,
+        textSnippetId: newTextSnippet.id,
+        textSnippetVersion: newTextSnippet.version,
+        position: 0,
+      });
+    });
+
+    afterAll(() => clearTable(db, Document.tableName));
+
+    test('Gets the documents using each version of a text snippet.', async () => {
+      // Act
+      const result = await Document.getAllReferencingTextSnippet(
+        textSnippet.id
+      );
+
+      // Assert
+      expect(result).toStrictEqual([
+        {
+          textSnippetVersion: textSnippet.version,
+          document: experienceDocument,
+        },
+        {
+          textSnippetVersion: newTextSnippet.version,
+          document: projectDocument,
+        },
+        {
+          textSnippetVersion: newTextSnippet.version,
+          document: summaryDocument,
+        },
+        {
+          textSnippetVersion: newTextSnippet.version,
+          document: coverLetterDocument,
+        },
+      ]);
+    });
+
+    test('Returns an empty list if no document uses the text snippet.', async () => {
+      // Act
+      const result = await Document.getAllReferencingTextSnippet(999);
+
+      // Assert
+      expect(result).toEqual([]);
+    });
+  });
+});
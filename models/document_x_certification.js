@@ -0,0 +1,224 @@
+'use strict';
+
+const { snakeCase } = require('change-case-all');
+
+const Relationship = require('./relationship');
+
+// ==================================================
+
+/**
+ * Represents a document and certification relationship.
+ */
+class Document_X_Certification extends Relationship {
+  static tableName = 'documents_x_certifications';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    document_id AS "documentId",
+    certification_id AS "certificationId",
+    position`;
+
+  constructor(documentId, certificationId, position) {
+    super();
+    this.documentId = documentId;
+    this.certificationId = certificationId;
+    this.position = position;
+  }
+
+  /**
+   * Creates a new document_x_certification entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new
+   *  document_x_certification.
+   * @param {Number} props.documentId - ID of the document.
+   * @param {Number} props.certificationId - ID of the certification.
+   * @param {Number} props.position - Position of certification among other
+   *  certifications in the document.
+   * @returns {Promise<Document_X_Certification>} A new Document_X_Certification
+   *  instance that contains the document_x_certification's data.
+   */
+  static async add(props) {
+    // Allowed properties/attributes.
+    const { documentId, certificationId, position } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${Document_X_Certification.tableName} (
+    document_id,
+    certification_id,
+    position
+  )
+  VALUES ($1, $2, $3)
+  RETURNING ${Document_X_Certification._allDbColsAsJs};`,
+      values: [documentId, certificationId, position],
+    };
+
+    const notFoundMessage =
+      'Document or certification was not found.  ' +
+      `Document ID: ${documentId}, ` +
+      `certification ID: ${certificationId}.`;
+
+    return await super.add(props, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Retrieves all the documents_x_certifications belonging to a document.
+   *
+   * @param {Number} documentId - ID of the document to get the
+   *  documents_x_certifications for.
+   * @returns {Promise<Document_X_Certification[]>} A list of
+   *  Document_X_Certification instances.
+   */
+  static async getAll(documentId) {
+    const queryConfig = {
+      text: `
+  SELECT ${Document_X_Certification._allDbColsAsJs}
+  FROM ${Document_X_Certification.tableName}
+  WHERE document_id = $1
+  ORDER BY position;`,
+      values: [documentId],
+    };
+
+    return await super.getAll(documentId, queryConfig);
+  }
+
+  /**
+   * Retrieves a specific document_x_certification by ID.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific document_x_certification.
+   * @param {Number} queryParams.documentId - Document ID of the
+   *  document_x_certification.
+   * @param {Number} queryParams.certificationId - Certification ID of the
+   *  document_x_certification.
+   * @returns {Promise<Document_X_Certification>} A new Document_X_Certification
+   *  instance that contains the document_x_certification's data.
+   */
+  static async get(queryParams) {
+    // Allowed parameters.
+    const { documentId, certificationId } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${Document_X_Certification._allDbColsAsJs}
+  FROM ${Document_X_Certification.tableName}
+  WHERE document_id = $1 AND certification_id = $2;`,
+      values: [documentId, certificationId],
+    };
+
+    const notFoundMessage =
+      'Can not find document-certification relation with ' +
+      `document ID ${documentId} and certification ID ${certificationId}.`;
+
+    return await super.get(queryParams, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Updates a document_x_certification with a new position.  Throws a
+   * BadRequestError if position is invalid.
+   *
+   * @param {Number} position - New position for this document_x_certification.
+   * @returns {Promise<Document_X_Certification>} The same
+   *  Document_X_Certification instance that this method was called on, but
+   *  with updated property values.
+   */
+  async update(position) {
+    const queryConfig = {
+      text: `
+  UPDATE ${Document_X_Certification.tableName}
+  SET position = $1
+  WHERE document_id = $2 AND certification_id = $3
+  RETURNING ${Document_X_Certification._allDbColsAsJs};`,
+      values: [position, this.documentId, this.certificationId],
+    };
+
+    const instanceArgsForLog =
+      `documentId = ${this.documentId}, ` +
+      `certificationId = ${this.certificationId}`;
+
+    const notFoundLog =
+      'Document_X_Certification with ' +
+      `document ID ${this.documentId} and ` +
+      `certification ID ${this.certificationId} was not found.`;
+
+    const serverErrorMessage =
+      'Document-certification relation with ' +
+      `document ID ${this.documentId} and ` +
+      `certification ID ${this.certificationId} was not found.`;
+
+    return await super.update(
+      position,
+      queryConfig,
+      instanceArgsForLog,
+      notFoundLog,
+      serverErrorMessage
+    );
+  }
+
+  /**
+   * Updates the positions of all certifications in a document.
+   *
+   * @param {Number} documentId - ID of the document that is having its
+   *  certifications reordered.
+   * @param {Number[]} certificationIds - List of certification IDs with the
+   *  desired ordering.
+   * @returns {Promise<Document_X_Certification[]>} A list of
+   *  Document_X_Certification instances.
+   */
+  static async updateAllPositions(documentId, certificationIds) {
+    let name = 'documentId';
+    const attachTo = {
+      jsName: name,
+      sqlName: snakeCase(name),
+      id: documentId,
+    };
+
+    name = 'certificationId';
+    const attachWiths = {
+      jsName: name,
+      sqlName: snakeCase(name),
+      ids: certificationIds,
+    };
+
+    return await super.updateAllPositions(attachTo, attachWiths);
+  }
+
+  /**
+   * Deletes a document_x_certification entry in the database.
+   *
+   * @param {Number} documentId - ID of the document to remove the certification
+   *  from.
+   * @param {Number} certificationId - ID of the certification to be removed.
+   */
+  static async delete(documentId, certificationId) {
+    const queryConfig = {
+      text: `
+  DELETE FROM ${Document_X_Certification.tableName}
+  WHERE document_id = $1 AND certification_id = $2;`,
+      values: [documentId, certificationId],
+    };
+
+    const deletedLog =
+      'document_x_certification(s) deleted: ' +
+      `documentId = ${documentId}, certificationId = ${certificationId}.`;
+
+    await super.delete(queryConfig, deletedLog);
+  }
+
+  /**
+   * Deletes a document_x_certification entry in the database.  Does not delete
+   * the instance properties/fields.  Remember to delete the instance this
+   * belongs to!
+   */
+  async delete() {
+    await Document_X_Certification.delete(
+      this.documentId,
+      this.certificationId
+    );
+  }
+}
+
+// ==================================================
+
+module.exports = Document_X_Certification;
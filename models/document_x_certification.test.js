@@ -0,0 +1,399 @@
+'use strict';
+
+const db = require('../database/db');
+const Document_X_Certification = require('./document_x_certification');
+
+const {
+  AppServerError,
+  NotFoundError,
+  BadRequestError,
+} = require('../errors/appErrors');
+
+const Document = require('./document');
+const Certification = require('./certification');
+const User = require('./user');
+const {
+  users,
+  documents,
+  certifications,
+  documents_x_certifications,
+} = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+describe('Document_X_Certification', () => {
+  // To help with expects by directly getting data from the database.
+  const sqlTextSelectAll = `
+  SELECT ${Document_X_Certification._allDbColsAsJs}
+  FROM ${Document_X_Certification.tableName}`;
+
+  const documentId = 1;
+
+  beforeAll(() =>
+    commonBeforeAll(db)
+      .then(() =>
+        db.query({
+          queryConfig: {
+            text: `
+  INSERT INTO ${User.tableName}
+  VALUES ($1, $2);`,
+            values: [users[0].username, users[0].password],
+          },
+        })
+      )
+      .then(() =>
+        db.query({
+          queryConfig: {
+            text: `
+  INSERT INTO ${Document.tableName} (
+    id,
+    document_name,
+    owner,
+    is_master,
+    is_template
+  ) VALUES ($1, $2, $3, $4, $5);`,
+            values: [
+              documentId,
+              documents[0].documentName,
+              documents[0].owner,
+              documents[0].isMaster,
+              documents[0].isTemplate,
+            ],
+          },
+        })
+      )
+      .then(() => {
+        const insertData = certifications.map((certification, idx) => ({
+          id: idx + 1,
+          ...certification,
+        }));
+
+        return db.query({
+          queryConfig: {
+            text: `
+  INSERT INTO ${Certification.tableName} (
+    id,
+    owner,
+    name,
+    issuing_org,
+    issue_date
+  ) VALUES
+    ($1, $2, $3, $4, $5),
+    ($6, $7, $8, $9, $10);`,
+            values: [
+              ...Object.values(insertData[0]),
+              ...Object.values(insertData[1]),
+            ],
+          },
+        });
+      })
+  );
+
+  beforeEach(() => clearTable(db, Document_X_Certification.tableName));
+
+  afterAll(() => commonAfterAll(db));
+
+  // -------------------------------------------------- add
+
+  describe('add', () => {
+    const dataToAdd = documents_x_certifications[0];
+
+    test('Adds a new document_x_certification.', async () => {
+      // Act
+      const instance = await Document_X_Certification.add(dataToAdd);
+
+      // Assert
+      expect(instance).toBeInstanceOf(Document_X_Certification);
+      expect(instance).toEqual(dataToAdd);
+
+      const databaseEntry = (
+        await db.query({
+          queryConfig: {
+            text:
+              sqlTextSelectAll +
+              '\n  WHERE document_id = $1 AND certification_id = $2;',
+            values: [dataToAdd.documentId, dataToAdd.certificationId],
+          },
+        })
+      ).rows[0];
+
+      expect(databaseEntry).toEqual(dataToAdd);
+    });
+
+    test.each([
+      ['document', { documentId: 999 }],
+      ['certification', { certificationId: 999 }],
+    ])(
+      'Throws an Error if %s does not exist.',
+      async (propertyName, nonexistentData) => {
+        // Arrange
+        const nonexistentRefData = {
+          ...dataToAdd,
+          ...nonexistentData,
+        };
+
+        // Act
+        async function runFunc() {
+          await Document_X_Certification.add(nonexistentRefData);
+        }
+
+        // Assert
+        await expect(runFunc).rejects.toThrow(NotFoundError);
+
+        const databaseEntries = (
+          await db.query({ queryConfig: { text: sqlTextSelectAll } })
+        ).rows;
+
+        // Ensure nothing gets added into database.
+        expect(databaseEntries.length).toBe(0);
+      }
+    );
+
+    test(
+      'Throws an Error if adding a document_x_certification ' +
+        'with same position as another.',
+      async () => {
+        // Arrange
+        const dataWithSamePosition = {
+          ...dataToAdd,
+          certificationId: documents_x_certifications[1].certificationId,
+        };
+
+        await Document_X_Certification.add(dataToAdd);
+
+        // Act
+        async function runFunc() {
+          await Document_X_Certification.add(dataWithSamePosition);
+        }
+
+        // Assert
+        await expect(runFunc).rejects.toThrow();
+
+        const databaseEntries = (
+          await db.query({
+            queryConfig: {
+              text: sqlTextSelectAll + '\n  WHERE document_id = $1;',
+              values: [documentId],
+            },
+          })
+        ).rows;
+
+        // Ensure existing data has not been modified.
+        expect(databaseEntries.length).toBe(1);
+        expect(databaseEntries[0]).toEqual(dataToAdd);
+      }
+    );
+  });
+
+  // -------------------------------------------------- getAll
+
+  describe('getAll', () => {
+    test.each([
+      [0, [], []],
+      [
+        documents_x_certifications.length,
+        documents_x_certifications,
+        documents_x_certifications,
+      ],
+    ])(
+      'Get all of %i document_x_certification(s) for a document.',
+      async (amount, inputData, expected) => {
+        // Arrange
+        for (const props of inputData) {
+          await Document_X_Certification.add(props);
+        }
+
+        // Act
+        const instances = await Document_X_Certification.getAll(documentId);
+
+        // Assert
+        expect(instances.length).toBe(inputData.length);
+
+        instances.forEach((instance, i) => {
+          expect(instance).toBeInstanceOf(Document_X_Certification);
+          expect(instance).toEqual(expected[i]);
+        });
+      }
+    );
+
+    test('Get all documents_x_certifications in the correct order.', async () => {
+      const len = documents_x_certifications.length;
+
+      // Arrange
+      // Change positions so that they are not sequential and are reversed.
+      const modifiedDocuments_x_certifications = Object.freeze(
+        documents_x_certifications.map((document_x_certification, idx) => {
+          return Object.freeze({
+            ...document_x_certification,
+            position: len * (len - idx),
+          });
+        })
+      );
+
+      for (const props of modifiedDocuments_x_certifications) {
+        await Document_X_Certification.add(props);
+      }
+
+      // Act
+      const instances = await Document_X_Certification.getAll(documentId);
+
+      // Assert
+      expect(instances).toEqual(
+        modifiedDocuments_x_certifications.toReversed()
+      );
+    });
+  });
+
+  // -------------------------------------------------- get
+
+  describe('get', () => {
+    const existingData = documents_x_certifications[0];
+
+    test('Gets a specified document_x_certification.', async () => {
+      // Arrange
+      await Document_X_Certification.add(existingData);
+
+      const queryParams = {
+        documentId: existingData.documentId,
+        certificationId: existingData.certificationId,
+      };
+
+      // Act
+      const instance = await Document_X_Certification.get(queryParams);
+
+      // Assert
+      expect(instance).toBeInstanceOf(Document_X_Certification);
+      expect(instance).toEqual(existingData);
+    });
+
+    test('Throws an Error if document_x_certification is not found.', async () => {
+      // Arrange
+      const queryParams = { documentId: 999, certificationId: 999 };
+
+      // Act
+      async function runFunc() {
+        await Document_X_Certification.get(queryParams);
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // -------------------------------------------------- update
+
+  describe('update', () => {
+    // Arrange
+    const existingData = documents_x_certifications[0];
+    let preexistingInstance = null;
+
+    beforeEach((done) => {
+      Document_X_Certification.add(existingData).then((instance) => {
+        preexistingInstance = instance;
+        done();
+      });
+    });
+
+    afterEach(() => {
+      preexistingInstance = null;
+    });
+
+    test('Updates a document_x_certification.', async () => {
+      // Arrange
+      const newPosition =
+        existingData.position + documents_x_certifications.length;
+
+      const expectedUpdatedData = {
+        ...existingData,
+        position: newPosition,
+      };
+
+      // Act
+      const updatedInstance = await preexistingInstance.update(newPosition);
+
+      // Assert
+      expect(updatedInstance).toEqual(expectedUpdatedData);
+
+      const databaseEntry = (
+        await db.query({
+          queryConfig: {
+            text:
+              sqlTextSelectAll +
+              '\n  WHERE document_id = $1 AND certification_id = $2;',
+            values: [
+              preexistingInstance.documentId,
+              preexistingInstance.certificationId,
+            ],
+          },
+        })
+      ).rows[0];
+
+      expect(databaseEntry).toEqual(expectedUpdatedData);
+    });
+
+    test('Throws an Error if position is invalid.', async () => {
+      // Arrange
+      const newPosition = -1;
+
+      // Act
+      async function runFunc() {
+        await preexistingInstance.update(newPosition);
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(BadRequestError);
+    });
+
+    test('Throws an Error if document_x_certification is not found.', async () => {
+      // Arrange
+      const nonexistentInstance = new Document_X_Certification(999, 999);
+
+      // Act
+      async function runFunc() {
+        await nonexistentInstance.update(9);
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(AppServerError);
+    });
+  });
+
+  // -------------------------------------------------- delete
+
+  describe('delete', () => {
+    const existingData = documents_x_certifications[0];
+
+    test('Deletes a document_x_certification.', async () => {
+      // Arrange
+      const instance = await Document_X_Certification.add(existingData);
+
+      // Act
+      await Document_X_Certification.delete(
+        instance.documentId,
+        instance.certificationId
+      );
+
+      // Assert
+      const databaseData = await db.query({
+        queryConfig: {
+          text:
+            sqlTextSelectAll +
+            '\n  WHERE document_id = $1 AND certification_id = $2;',
+          values: [instance.documentId, instance.certificationId],
+        },
+      });
+
+      expect(databaseData.rows.length).toBe(0);
+    });
+
+    test('Does not throw an Error if document_x_certification is not found.', async () => {
+      // Act
+      await Document_X_Certification.delete(999, 999);
+    });
+  });
+});
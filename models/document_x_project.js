@@ -0,0 +1,220 @@
+'use strict';
+
+const { snakeCase } = require('change-case-all');
+
+const Relationship = require('./relationship');
+
+// ==================================================
+
+/**
+ * Represents a document and project relationship.
+ */
+class Document_X_Project extends Relationship {
+  static tableName = 'documents_x_projects';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    id,
+    document_id AS "documentId",
+    project_id AS "projectId",
+    position`;
+
+  constructor(id, documentId, projectId, position) {
+    super();
+    this.id = id;
+    this.documentId = documentId;
+    this.projectId = projectId;
+    this.position = position;
+  }
+
+  /**
+   * Creates a new document_x_project entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new
+   *  document_x_project.
+   * @param {Number} props.documentId - ID of the document.
+   * @param {Number} props.projectId - ID of the project.
+   * @param {Number} props.position - Position of project among other
+   *  projects in the document.
+   * @returns {Promise<Document_X_Project>} A new Document_X_Project
+   *  instance that contains the document_x_project's data.
+   */
+  static async add(props) {
+    // Allowed properties/attributes.
+    const { documentId, projectId, position } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${Document_X_Project.tableName} (
+    document_id,
+    project_id,
+    position
+  )
+  VALUES ($1, $2, $3)
+  RETURNING ${Document_X_Project._allDbColsAsJs};`,
+      values: [documentId, projectId, position],
+    };
+
+    const notFoundMessage =
+      'Document or project was not found.  ' +
+      `Document ID: ${documentId}, ` +
+      `project ID: ${projectId}.`;
+
+    return await super.add(props, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Retrieves all the documents_x_projects belonging to a document.
+   *
+   * @param {Number} documentId - ID of the document to get the
+   *  documents_x_projects for.
+   * @returns {Promise<Document_X_Project[]>} A list of Document_X_Project
+   *  instances.
+   */
+  static async getAll(documentId) {
+    const queryConfig = {
+      text: `
+  SELECT ${Document_X_Project._allDbColsAsJs}
+  FROM ${Document_X_Project.tableName}
+  WHERE document_id = $1
+  ORDER BY position;`,
+      values: [documentId],
+    };
+
+    return await super.getAll(documentId, queryConfig);
+  }
+
+  /**
+   * Retrieves a specific document_x_project by ID.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific document_x_project.
+   * @param {Number} queryParams.documentId - Document ID of the
+   *  document_x_project.
+   * @param {Number} queryParams.projectId - Project ID of the
+   *  document_x_project.
+   * @returns {Promise<Document_X_Project>} A new Document_X_Project
+   *  instance that contains the document_x_project's data.
+   */
+  static async get(queryParams) {
+    // Allowed parameters.
+    const { documentId, projectId } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${Document_X_Project._allDbColsAsJs}
+  FROM ${Document_X_Project.tableName}
+  WHERE document_id = $1 AND project_id = $2;`,
+      values: [documentId, projectId],
+    };
+
+    const notFoundMessage =
+      'Can not find document-project relation with ' +
+      `document ID ${documentId} and project ID ${projectId}.`;
+
+    return await super.get(queryParams, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Updates a document_x_project with a new position.  Throws a
+   * BadRequestError if position is invalid.
+   *
+   * @param {Number} position - New position for this document_x_project.
+   * @returns {Promise<Document_X_Project>} The same Document_X_Project
+   *  instance that this method was called on, but with updated property values.
+   */
+  async update(position) {
+    const queryConfig = {
+      text: `
+  UPDATE ${Document_X_Project.tableName}
+  SET position = $1
+  WHERE document_id = $2 AND project_id = $3
+  RETURNING ${Document_X_Project._allDbColsAsJs};`,
+      values: [position, this.documentId, this.projectId],
+    };
+
+    const instanceArgsForLog =
+      `documentId = ${this.documentId}, ` + `projectId = ${this.projectId}`;
+
+    const notFoundLog =
+      'Document_X_Project with ' +
+      `document ID ${this.documentId} and ` +
+      `project ID ${this.projectId} was not found.`;
+
+    const serverErrorMessage =
+      `Document-project relation with document ID ${this.documentId} and ` +
+      `project ID ${this.projectId} was not found.`;
+
+    return await super.update(
+      position,
+      queryConfig,
+      instanceArgsForLog,
+      notFoundLog,
+      serverErrorMessage
+    );
+  }
+
+  /**
+   * Updates the positions of all projects in a document.
+   *
+   * @param {Number} documentId - ID of the document that is having its
+   *  projects reordered.
+   * @param {Number[]} projectIds - List of projects IDs with the desired
+   *  ordering.
+   * @returns {Promise<Document_X_Project[]>} A list of Document_X_Project
+   *  instances.
+   */
+  static async updateAllPositions(documentId, projectIds) {
+    let name = 'documentId';
+    const attachTo = {
+      jsName: name,
+      sqlName: snakeCase(name),
+      id: documentId,
+    };
+
+    name = 'projectId';
+    const attachWiths = {
+      jsName: name,
+      sqlName: snakeCase(name),
+      ids: projectIds,
+    };
+
+    return await super.updateAllPositions(attachTo, attachWiths);
+  }
+
+  /**
+   * Deletes a document_x_project entry in the database.
+   *
+   * @param {Number} documentId - ID of the document to remove the project
+   *  from.
+   * @param {Number} projectId - ID of the project to be removed.
+   */
+  static async delete(documentId, projectId) {
+    const queryConfig = {
+      text: `
+  DELETE FROM ${Document_X_Project.tableName}
+  WHERE document_id = $1 AND project_id = $2;`,
+      values: [documentId, projectId],
+    };
+
+    const deletedLog =
+      'document_x_project(s) deleted: ' +
+      `documentId = ${documentId}, projectId = ${projectId}.`;
+
+    await super.delete(queryConfig, deletedLog);
+  }
+
+  /**
+   * Deletes a document_x_project entry in the database.  Does not delete the
+   * instance properties/fields.  Remember to delete the instance this belongs
+   * to!
+   */
+  async delete() {
+    await Document_X_Project.delete(this.documentId, this.projectId);
+  }
+}
+
+// ==================================================
+
+module.exports = Document_X_Project;
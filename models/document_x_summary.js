@@ -0,0 +1,241 @@
+'use strict';
+
+const db = require('../database/db');
+
+const Relationship = require('./relationship');
+
+const { AppServerError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents a document and summary relationship.  The summary of a document
+ * is a text snippet, and a document can have only one summary.
+ */
+class Document_X_Summary extends Relationship {
+  static tableName = 'documents_x_summaries';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    document_id AS "documentId",
+    text_snippet_id AS "textSnippetId",
+    text_snippet_version AS "textSnippetVersion"`;
+
+  constructor(documentId, textSnippetId, textSnippetVersion) {
+    super();
+    this.documentId = documentId;
+    this.textSnippetId = textSnippetId;
+    this.textSnippetVersion = textSnippetVersion;
+  }
+
+  /**
+   * Creates a new document_x_summary entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new
+   *  document_x_summary.
+   * @param {Number} props.documentId - ID of the document.
+   * @param {Number} props.textSnippetId - ID of the text snippet that is the
+   *  summary.
+   * @param {Date | String} props.textSnippetVersion - Version of the text
+   *  snippet that is the summary.
+   * @returns {Promise<Document_X_Summary>} A new Document_X_Summary instance
+   *  that contains the document_x_summary's data.
+   */
+  static async add(props) {
+    // Allowed properties/attributes.
+    const { documentId, textSnippetId, textSnippetVersion } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${Document_X_Summary.tableName} (
+    document_id,
+    text_snippet_id,
+    text_snippet_version
+  )
+  VALUES ($1, $2, $3)
+  RETURNING ${Document_X_Summary._allDbColsAsJs};`,
+      values: [documentId, textSnippetId, textSnippetVersion],
+    };
+
+    const notFoundMessage =
+      'Document or text snippet was not found.  ' +
+      `Document ID: ${documentId}, ` +
+      `text snippet ID: ${textSnippetId}, ` +
+      `text snippet version: ${textSnippetVersion}.`;
+
+    return await super.add(props, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Retrieves all the documents_x_summaries belonging to a document.  There is
+   * at most one.
+   *
+   * @param {Number} documentId - ID of the document to get the
+   *  documents_x_summaries for.
+   * @returns {Promise<Document_X_Summary[]>} A list of Document_X_Summary
+   *  instances.
+   */
+  static async getAll(documentId) {
+    const queryConfig = {
+      text: `
+  SELECT ${Document_X_Summary._allDbColsAsJs}
+  FROM ${Document_X_Summary.tableName}
+  WHERE document_id = $1;`,
+      values: [documentId],
+    };
+
+    return await super.getAll(documentId, queryConfig);
+  }
+
+  /**
+   * Retrieves the document_x_summary of a document.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific document_x_summary.
+   * @param {Number} queryParams.documentId - ID of the document.
+   * @returns {Promise<Document_X_Summary>} A new Document_X_Summary instance
+   *  that contains the document_x_summary's data.
+   */
+  static async get(queryParams) {
+    // Allowed parameters.
+    const { documentId } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${Document_X_Summary._allDbColsAsJs}
+  FROM ${Document_X_Summary.tableName}
+  WHERE document_id = $1;`,
+      values: [documentId],
+    };
+
+    const notFoundMessage = `Document ${documentId} does not have a summary.`;
+
+    return await super.get(queryParams, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Replaces all text snippet versions in all documents_x_summaries.  This is
+   * used in conjunction with updating a text snippet to allow all references
+   * to be updated as well, so that documents show the new version of their
+   * summary.
+   *
+   * @param {Number} textSnippetId - ID of the text snippet to be replaced.
+   * @param {Date | String} oldTextSnippetVersion - Version of the text snippet
+   *  to be replaced.
+   * @param {Date | String} newTextSnippetVersion - Newer version of the text
+   *  snippet that is replacing.
+   * @param {Number} [documentId] - ID of the document to limit the replacement
+   *  to.  All documents are included if not given.
+   * @returns {Promise<Number>} Number of text snippets updated.
+   */
+  static async replaceTextSnippet(
+    textSnippetId,
+    oldTextSnippetVersion,
+    newTextSnippetVersion,
+    documentId = null
+  ) {
+    const logPrefix =
+      `${this.name}.replaceTextSnippet(` +
+      `textSnippetId = ${textSnippetId}, ` +
+      `oldTextSnippetVersion = "${oldTextSnippetVersion}", ` +
+      `newTextSnippetVersion = "${newTextSnippetVersion}", ` +
+      `documentId = ${documentId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  UPDATE ${Document_X_Summary.tableName}
+  SET text_snippet_version = $1
+  WHERE text_snippet_id = $2
+    AND text_snippet_version = $3
+    AND ($4::INTEGER IS NULL OR document_id = $4);`,
+      values: [
+        newTextSnippetVersion,
+        textSnippetId,
+        oldTextSnippetVersion,
+        documentId,
+      ],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    logger.verbose(`${logPrefix}: ${result.rowCount} replaced.`);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Points this document_x_summary to another version of its text snippet,
+   * without changing the summary of any other document.
+   *
+   * @param {Date | String} textSnippetVersion - Version of the text snippet
+   *  that the document will now use.
+   * @returns {Promise<Document_X_Summary>} The same instance that this method
+   *  was called on, but with updated property values.
+   */
+  async updateTextSnippetVersion(textSnippetVersion) {
+    const logPrefix =
+      `${this.constructor.name}${JSON.stringify(this)}` +
+      `.updateTextSnippetVersion("${textSnippetVersion}")`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  UPDATE ${Document_X_Summary.tableName}
+  SET text_snippet_version = $1
+  WHERE document_id = $2
+  RETURNING ${Document_X_Summary._allDbColsAsJs};`,
+      values: [textSnippetVersion, this.documentId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount === 0) {
+      logger.error(`${logPrefix}: Document_X_Summary not found.`);
+      throw new AppServerError('Summary of document was not found.');
+    }
+
+    // Update current instance's properties.
+    Object.entries(result.rows[0]).forEach(([colName, val]) => {
+      this[colName] = val;
+    });
+
+    return this;
+  }
+
+  /**
+   * Deletes the document_x_summary entry of a document in the database.  The
+   * text snippet is not deleted.
+   *
+   * @param {Number} documentId - ID of the document to remove the summary
+   *  from.
+   */
+  static async delete(documentId) {
+    const queryConfig = {
+      text: `
+  DELETE FROM ${Document_X_Summary.tableName}
+  WHERE document_id = $1;`,
+      values: [documentId],
+    };
+
+    const deletedLog = `document_x_summary(s) deleted: documentId = ${documentId}.`;
+
+    await super.delete(queryConfig, deletedLog);
+  }
+
+  /**
+   * Deletes a document_x_summary entry in the database.  Does not delete the
+   * instance properties/fields.  Remember to delete the instance this belongs
+   * to!
+   */
+  async delete() {
+    await Document_X_Summary.delete(this.documentId);
+  }
+}
+
+// ==================================================
+
+module.exports = Document_X_Summary;
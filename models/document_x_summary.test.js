@@ -0,0 +1,243 @@
+'use strict';
+
+const db = require('../database/db');
+const Document_X_Summary = require('./document_x_summary');
+
+const { AppServerError, NotFoundError } = require('../errors/appErrors');
+
+const Document = require('./document');
+const TextSnippet = require('./textSnippet');
+const User = require('./user');
+const { users, documents, textSnippets } = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+describe('Document_X_Summary', () => {
+  // To help with expects by directly getting data from the database.
+  const sqlTextSelectAll = `
+  SELECT ${Document_X_Summary._allDbColsAsJs}
+  FROM ${Document_X_Summary.tableName}`;
+
+  const existingDocuments = [];
+  let textSnippet;
+  const documentXSummaryDatas = [];
+
+  beforeAll(async () => {
+    await commonBeforeAll(db);
+
+    await User.register({
+      username: users[0].username,
+      password: users[0].password,
+    });
+
+    for (const document of documents) {
+      existingDocuments.push(await Document.add(document));
+    }
+
+    textSnippet = await TextSnippet.add({
+      ...textSnippets[0],
+      type: 'summary',
+    });
+
+    existingDocuments.forEach((document) =>
+      documentXSummaryDatas.push({
+        documentId: document.id,
+        textSnippetId: textSnippet.id,
+        textSnippetVersion: textSnippet.version,
+      })
+    );
+  });
+
+  beforeEach(() => clearTable(db, Document_X_Summary.tableName));
+
+  afterAll(() => commonAfterAll(db));
+
+  // -------------------------------------------------- add
+
+  describe('add', () => {
+    test('Adds a new document_x_summary.', async () => {
+      // Act
+      const instance = await Document_X_Summary.add(documentXSummaryDatas[0]);
+
+      // Assert
+      expect(instance).toBeInstanceOf(Document_X_Summary);
+      expect(instance).toEqual(documentXSummaryDatas[0]);
+
+      const databaseEntries = (
+        await db.query({ queryConfig: { text: sqlTextSelectAll } })
+      ).rows;
+
+      expect(databaseEntries).toEqual([documentXSummaryDatas[0]]);
+    });
+
+    test.each([
+      ['document', { documentId: 999 }],
+      ['text snippet', { textSnippetId: 999 }],
+    ])('Throws an Error if %s does not exist.', async (_, nonexistentData) => {
+      // Act
+      async function runFunc() {
+        await Document_X_Summary.add({
+          ...documentXSummaryDatas[0],
+          ...nonexistentData,
+        });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // -------------------------------------------------- get
+
+  describe('get', () => {
+    test('Gets the document_x_summary of a document.', async () => {
+      // Arrange
+      const existingData = documentXSummaryDatas[0];
+      await Document_X_Summary.add(existingData);
+
+      // Act
+      const instance = await Document_X_Summary.get({
+        documentId: existingData.documentId,
+      });
+
+      // Assert
+      expect(instance).toEqual(existingData);
+    });
+
+    test('Throws an Error if document does not have a summary.', async () => {
+      // Act
+      async function runFunc() {
+        await Document_X_Summary.get({ documentId: existingDocuments[0].id });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // -------------------------------------------------- replaceTextSnippet
+
+  describe('replaceTextSnippet', () => {
+    test('Replaces the text snippet version in all documents.', async () => {
+      // Arrange
+      for (const data of documentXSummaryDatas) {
+        await Document_X_Summary.add(data);
+      }
+
+      const updatedTextSnippet = await textSnippet.update({
+        content: 'new content',
+      });
+
+      // Act
+      const amountReplaced = await Document_X_Summary.replaceTextSnippet(
+        textSnippet.id,
+        textSnippet.version,
+        updatedTextSnippet.version
+      );
+
+      // Assert
+      expect(amountReplaced).toBe(documentXSummaryDatas.length);
+
+      const databaseEntries = (
+        await db.query({ queryConfig: { text: sqlTextSelectAll } })
+      ).rows;
+
+      expect(databaseEntries).toEqual(
+        documentXSummaryDatas.map((data) => ({
+          ...data,
+          textSnippetVersion: updatedTextSnippet.version,
+        }))
+      );
+    });
+  });
+
+  // -------------------------------------------------- updateTextSnippetVersion
+
+  describe('updateTextSnippetVersion', () => {
+    test('Changes the text snippet version of only one document.', async () => {
+      // Arrange
+      const instances = [];
+      for (const data of documentXSummaryDatas) {
+        instances.push(await Document_X_Summary.add(data));
+      }
+
+      const updatedTextSnippet = await textSnippet.update({
+        content: 'tailored content',
+      });
+
+      // Act
+      const updatedInstance = await instances[0].updateTextSnippetVersion(
+        updatedTextSnippet.version
+      );
+
+      // Assert
+      expect(updatedInstance).toEqual({
+        ...documentXSummaryDatas[0],
+        textSnippetVersion: updatedTextSnippet.version,
+      });
+
+      const databaseEntries = (
+        await db.query({
+          queryConfig: { text: sqlTextSelectAll + '\n  ORDER BY document_id;' },
+        })
+      ).rows;
+
+      expect(databaseEntries).toEqual([
+        updatedInstance,
+        documentXSummaryDatas[1],
+      ]);
+    });
+
+    test('Throws an Error if document_x_summary is not found.', async () => {
+      // Arrange
+      const nonexistentInstance = new Document_X_Summary(
+        999,
+        textSnippet.id,
+        textSnippet.version
+      );
+
+      // Act
+      async function runFunc() {
+        await nonexistentInstance.updateTextSnippetVersion(textSnippet.version);
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(AppServerError);
+    });
+  });
+
+  // -------------------------------------------------- delete
+
+  describe('delete', () => {
+    test('Deletes a document_x_summary, but not the text snippet.', async () => {
+      // Arrange
+      const instance = await Document_X_Summary.add(documentXSummaryDatas[0]);
+
+      // Act
+      await instance.delete();
+
+      // Assert
+      const databaseEntries = (
+        await db.query({ queryConfig: { text: sqlTextSelectAll } })
+      ).rows;
+
+      expect(databaseEntries.length).toBe(0);
+      expect(
+        await TextSnippet.get({
+          id: textSnippet.id,
+          version: textSnippet.version,
+        })
+      ).toEqual(textSnippet);
+    });
+
+    test('Does not throw an Error if document_x_summary is not found.', async () => {
+      // Act
+      await Document_X_Summary.delete(999);
+    });
+  });
+});
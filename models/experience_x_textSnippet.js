@@ -217,31 +217,52 @@ class Experience_X_Text_Snippet extends Relationship {
    * to be updated as well, so that when retrieving an experience's text
    * snippets, the correct text snippets are shown.
    *
+   * It is also used to revert text snippets to an earlier version, in which
+   * case the replacement can be limited to one document.
+   *
    * @param {Number} textSnippetId - ID of the text snippet to be replaced.
    * @param {Date | String} oldTextSnippetVersion - Version of the text snippet
    *  to be replaced.
-   * @param {Date | String} newTextSnippetVersion - Newer version of the text
-   *  snippet that is replacing.
+   * @param {Date | String} newTextSnippetVersion - Version of the text snippet
+   *  that is replacing.
+   * @param {Number} [documentId] - ID of the document to limit the replacement
+   *  to.  All documents are included if not given.
    * @returns {Promise<Number>} Number of text snippets updated.
    */
   static async replaceTextSnippet(
     textSnippetId,
     oldTextSnippetVersion,
-    newTextSnippetVersion
+    newTextSnippetVersion,
+    documentId = null
   ) {
     const logPrefix =
       `${this.name}.replaceTextSnippet(` +
       `textSnippetId = ${textSnippetId}, ` +
       `oldTextSnippetVersion = "${oldTextSnippetVersion}", ` +
-      `newTextSnippetVersion = "${newTextSnippetVersion}")`;
+      `newTextSnippetVersion = "${newTextSnippetVersion}", ` +
+      `documentId = ${documentId})`;
     logger.verbose(logPrefix);
 
     const queryConfig = {
       text: `
   UPDATE ${Experience_X_Text_Snippet.tableName}
   SET text_snippet_version = $1
-  WHERE text_snippet_id = $2 AND text_snippet_version = $3;`,
-      values: [newTextSnippetVersion, textSnippetId, oldTextSnippetVersion],
+  WHERE text_snippet_id = $2
+    AND text_snippet_version = $3
+    AND (
+      $4::INTEGER IS NULL
+      OR document_x_experience_id IN (
+        SELECT id
+        FROM documents_x_experiences
+        WHERE document_id = $4
+      )
+    );`,
+      values: [
+        newTextSnippetVersion,
+        textSnippetId,
+        oldTextSnippetVersion,
+        documentId,
+      ],
     };
 
     const result = await db.query({ queryConfig, logPrefix });
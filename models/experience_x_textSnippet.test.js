@@ -523,6 +523,53 @@ describe('Experience_X_Text_Snippet', () => {
         expect(databaseEntries[i].position).toBe(i + 1);
       }
     });
+
+    test('Replaces text snippet versions in only one document.', async () => {
+      // Arrange
+      const experienceXText_SnippetData = { ...experienceXTextSnippetDatas[0] };
+      delete experienceXText_SnippetData.documentXExperienceId;
+
+      // Adding the same text snippet to both documents.
+      for (const documentXExperienceId of [
+        existingDocumentXExperiences[0].id,
+        anotherDocumentXExperience.id,
+      ]) {
+        await Experience_X_Text_Snippet.add({
+          documentXExperienceId,
+          ...experienceXText_SnippetData,
+        });
+      }
+
+      // Act
+      const amountReplaced = await Experience_X_Text_Snippet.replaceTextSnippet(
+        oldTextSnippet.id,
+        oldTextSnippet.version,
+        updatedTextSnippet.version,
+        anotherDocument.id
+      );
+
+      // Assert
+      expect(amountReplaced).toBe(1);
+
+      const databaseEntries = (
+        await db.query({
+          queryConfig: {
+            text: `${sqlTextSelectAll}
+  ORDER BY document_x_experience_id`,
+          },
+        })
+      ).rows;
+
+      expect(databaseEntries[0].textSnippetVersion.getTime()).toBe(
+        oldTextSnippet.version.getTime()
+      );
+      expect(databaseEntries[1].documentXExperienceId).toBe(
+        anotherDocumentXExperience.id
+      );
+      expect(databaseEntries[1].textSnippetVersion.getTime()).toBe(
+        updatedTextSnippet.version.getTime()
+      );
+    });
   });
 
   // -------------------------------------------------- delete
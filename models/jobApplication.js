@@ -0,0 +1,306 @@
+'use strict';
+
+const db = require('../database/db');
+const { convertPropsForSqlUpdate } = require('../util/sqlHelpers');
+const { convertDateToString } = require('../util/modelHelpers');
+
+const { AppServerError, NotFoundError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents an application for a job, and where it is in the hiring process.
+ * An application can link to the document, such as a tailored resume, that was
+ * sent for it.
+ */
+class JobApplication {
+  static tableName = 'job_applications';
+
+  // Stages of the hiring process, in order.  An application can be rejected at
+  // any stage.
+  static statuses = Object.freeze([
+    'saved',
+    'applied',
+    'interviewing',
+    'offer',
+    'rejected',
+  ]);
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    id,
+    owner,
+    document_id AS "documentId",
+    company,
+    role,
+    posting_url AS "postingUrl",
+    status,
+    applied_on AS "appliedOn",
+    notes,
+    created_on AS "createdOn",
+    last_updated AS "lastUpdated"`;
+
+  constructor(
+    id,
+    owner,
+    documentId,
+    company,
+    role,
+    postingUrl,
+    status,
+    appliedOn,
+    notes,
+    createdOn,
+    lastUpdated
+  ) {
+    this.id = id;
+    this.owner = owner;
+    this.documentId = documentId;
+    this.company = company;
+    this.role = role;
+    this.postingUrl = postingUrl;
+    this.status = status;
+    this.appliedOn = appliedOn;
+    this.notes = notes;
+    this.createdOn = createdOn;
+    this.lastUpdated = lastUpdated;
+  }
+
+  /**
+   * Makes a JobApplication instance from a database row, with the date the
+   * application was sent as a simple date String.
+   *
+   * @param {Object} data - A row of the job applications table.  See
+   *  _allDbColsAsJs.
+   * @returns {JobApplication} A new JobApplication instance.
+   */
+  static #fromRow(data) {
+    const jobApplication = new JobApplication(...Object.values(data));
+
+    jobApplication.appliedOn = convertDateToString(jobApplication.appliedOn);
+
+    return jobApplication;
+  }
+
+  /**
+   * Creates a new job application entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new job application.
+   * @param {String} props.owner - Username that the job application belongs
+   *  to.
+   * @param {Number} [props.documentId] - ID of the document that was sent.
+   * @param {String} props.company - Name of the company.
+   * @param {String} props.role - Job title of the position.
+   * @param {String} [props.postingUrl] - URL of the job posting.
+   * @param {String} [props.status] - Stage of the hiring process.  See
+   *  JobApplication.statuses.  Defaults to "saved".
+   * @param {String} [props.appliedOn] - Date the application was sent.
+   * @param {String} [props.notes] - Anything else about the application.
+   * @returns {Promise<JobApplication>} A new JobApplication instance that
+   *  contains the job application's data.
+   */
+  static async add(props) {
+    const logPrefix = `${this.name}.add(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed properties/attributes.
+    const {
+      owner,
+      documentId,
+      company,
+      role,
+      postingUrl,
+      status,
+      appliedOn,
+      notes,
+    } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${JobApplication.tableName} (
+    owner,
+    document_id,
+    company,
+    role,
+    posting_url,
+    status,
+    applied_on,
+    notes
+  )
+  VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'saved'), $7, $8)
+  RETURNING ${JobApplication._allDbColsAsJs};`,
+      values: [
+        owner,
+        documentId,
+        company,
+        role,
+        postingUrl,
+        status,
+        appliedOn,
+        notes,
+      ],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return JobApplication.#fromRow(result.rows[0]);
+  }
+
+  /**
+   * Retrieves all the job applications belonging to a user, from newest to
+   * oldest.
+   *
+   * @param {String} owner - Username to get the job applications for.
+   * @param {Object} [filter] - Narrows down which job applications are
+   *  retrieved.
+   * @param {String} [filter.status] - Only get job applications at this stage.
+   * @param {Number} [filter.documentId] - Only get job applications that this
+   *  document was sent for.
+   * @returns {Promise<JobApplication[]>} A list of JobApplication instances.
+   */
+  static async getAll(owner, filter = {}) {
+    const logPrefix =
+      `${this.name}.getAll(` +
+      `owner = ${owner}, ` +
+      `filter = ${JSON.stringify(filter)})`;
+    logger.verbose(logPrefix);
+
+    const { status = null, documentId = null } = filter;
+
+    const queryConfig = {
+      text: `
+  SELECT ${JobApplication._allDbColsAsJs}
+  FROM ${JobApplication.tableName}
+  WHERE owner = $1
+    AND ($2::TEXT IS NULL OR status = $2)
+    AND ($3::INTEGER IS NULL OR document_id = $3)
+  ORDER BY created_on DESC, id DESC;`,
+      values: [owner, status, documentId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => JobApplication.#fromRow(data));
+  }
+
+  /**
+   * Retrieves a specific job application by ID.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific job application.
+   * @param {Number} queryParams.id - ID of the job application.
+   * @returns {Promise<JobApplication>} A new JobApplication instance that
+   *  contains the job application's data.
+   */
+  static async get(queryParams) {
+    const logPrefix = `${this.name}.get(${JSON.stringify(queryParams)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed parameters.
+    const { id } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${JobApplication._allDbColsAsJs}
+  FROM ${JobApplication.tableName}
+  WHERE id = $1;`,
+      values: [id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rows.length === 0) {
+      logger.error(`${logPrefix}: Job application not found.`);
+      throw new NotFoundError(`Can not find job application with ID ${id}.`);
+    }
+
+    return JobApplication.#fromRow(result.rows[0]);
+  }
+
+  /**
+   * Updates a job application with new properties.  The time of the update is
+   * saved as the last updated time.
+   *
+   * @param {Object} props - Contains the updated properties.
+   * @param {Number | null} [props.documentId] - ID of the new document that
+   *  was sent, or null to unlink the document.
+   * @param {String} [props.company] - New name of the company.
+   * @param {String} [props.role] - New job title of the position.
+   * @param {String | null} [props.postingUrl] - New URL of the job posting.
+   * @param {String} [props.status] - New stage of the hiring process.
+   * @param {String | null} [props.appliedOn] - New date the application was
+   *  sent.
+   * @param {String | null} [props.notes] - New notes.
+   * @returns {Promise<JobApplication>} The same JobApplication instance that
+   *  this method was called on, but with updated property values.
+   */
+  async update(props) {
+    const logPrefix = `${this.constructor.name}${JSON.stringify(
+      this
+    )}.update(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    const [sqlSubstring, sqlValues] = convertPropsForSqlUpdate(props);
+
+    const queryConfig = {
+      text: `
+  UPDATE ${JobApplication.tableName}
+  SET ${sqlSubstring}
+    last_updated = NOW()
+  WHERE id = $${sqlValues.length + 1}
+  RETURNING ${JobApplication._allDbColsAsJs};`,
+      values: [...sqlValues, this.id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount === 0) {
+      logger.error(
+        `${logPrefix}: Job application with ID ${this.id} was not found.`
+      );
+      throw new AppServerError(
+        `Job application with ID ${this.id} was not found.`
+      );
+    }
+
+    // Update current instance's properties.
+    Object.assign(this, JobApplication.#fromRow(result.rows[0]));
+
+    return this;
+  }
+
+  /**
+   * Deletes a job application entry in the database.  Does not delete the
+   * instance properties/fields.  Remember to delete the instance this belongs
+   * to!
+   */
+  async delete() {
+    const logPrefix = `${this.constructor.name}(id = ${this.id}).delete()`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  DELETE FROM ${JobApplication.tableName}
+  WHERE id = $1;`,
+      values: [this.id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount) {
+      logger.info(
+        `${logPrefix}: ${result.rowCount} job application(s) deleted: ` +
+          `id = ${this.id}.`
+      );
+    } else {
+      logger.info(`${logPrefix}: 0 job applications deleted.`);
+    }
+  }
+}
+
+// ==================================================
+
+module.exports = JobApplication;
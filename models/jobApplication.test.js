@@ -0,0 +1,231 @@
+'use strict';
+
+const JobApplication = require('./jobApplication');
+
+const db = require('../database/db');
+const Document = require('./document');
+const User = require('./user');
+
+const { users, documents } = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+const { NotFoundError } = require('../errors/appErrors');
+
+// ==================================================
+
+describe('JobApplication', () => {
+  const owner = users[0].username;
+  const props = Object.freeze({
+    company: 'Company 1',
+    role: 'Software Engineer',
+    postingUrl: 'https://example.com/jobs/1',
+    appliedOn: '2025-03-01',
+    notes: 'Referred by a friend.',
+  });
+
+  let document;
+
+  beforeAll(async () => {
+    await commonBeforeAll(db);
+    await User.register(users[0]);
+    document = await Document.add(documents[0]);
+  });
+
+  beforeEach(() => clearTable(db, JobApplication.tableName));
+
+  afterAll(() => commonAfterAll(db));
+
+  const addJobApplication = (otherProps = {}) =>
+    JobApplication.add({
+      owner,
+      documentId: document.id,
+      ...props,
+      ...otherProps,
+    });
+
+  // --------------------------------------------------
+  // add
+
+  describe('add', () => {
+    test('Adds a new job application.', async () => {
+      // Act
+      const jobApplication = await addJobApplication({ status: 'applied' });
+
+      // Assert
+      expect(jobApplication).toStrictEqual(
+        new JobApplication(
+          expect.any(Number),
+          owner,
+          document.id,
+          props.company,
+          props.role,
+          props.postingUrl,
+          'applied',
+          props.appliedOn,
+          props.notes,
+          expect.any(Date),
+          null
+        )
+      );
+    });
+
+    test('Adds a saved job application without optional info.', async () => {
+      // Act
+      const jobApplication = await JobApplication.add({
+        owner,
+        company: props.company,
+        role: props.role,
+      });
+
+      // Assert
+      expect(jobApplication).toEqual(
+        expect.objectContaining({
+          documentId: null,
+          postingUrl: null,
+          status: 'saved',
+          appliedOn: null,
+          notes: null,
+        })
+      );
+    });
+  });
+
+  // --------------------------------------------------
+  // getAll
+
+  describe('getAll', () => {
+    test('Gets all job applications of a user, newest first.', async () => {
+      // Arrange
+      const jobApplications = [
+        await addJobApplication(),
+        await addJobApplication({ company: 'Company 2' }),
+      ];
+
+      // Act
+      const result = await JobApplication.getAll(owner);
+
+      // Assert
+      expect(result).toStrictEqual(jobApplications.reverse());
+    });
+
+    test('Gets only the job applications at a stage.', async () => {
+      // Arrange
+      await addJobApplication();
+      const offer = await addJobApplication({ status: 'offer' });
+
+      // Act
+      const result = await JobApplication.getAll(owner, { status: 'offer' });
+
+      // Assert
+      expect(result).toStrictEqual([offer]);
+    });
+
+    test('Gets only the job applications that a document was sent for.', async () => {
+      // Arrange
+      const jobApplication = await addJobApplication();
+      await addJobApplication({ documentId: null });
+
+      // Act
+      const result = await JobApplication.getAll(owner, {
+        documentId: document.id,
+      });
+
+      // Assert
+      expect(result).toStrictEqual([jobApplication]);
+    });
+  });
+
+  // --------------------------------------------------
+  // get
+
+  describe('get', () => {
+    test('Gets a job application.', async () => {
+      // Arrange
+      const jobApplication = await addJobApplication();
+
+      // Act
+      const result = await JobApplication.get({ id: jobApplication.id });
+
+      // Assert
+      expect(result).toStrictEqual(jobApplication);
+    });
+
+    test('Throws a NotFoundError if job application does not exist.', async () => {
+      // Act
+      async function runFunc() {
+        await JobApplication.get({ id: 999 });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+
+    test('Keeps the job application after its document is deleted.', async () => {
+      // Arrange
+      const otherDocument = await Document.add({
+        ...documents[0],
+        documentName: 'Other',
+        isMaster: false,
+      });
+      const jobApplication = await addJobApplication({
+        documentId: otherDocument.id,
+      });
+
+      // Act
+      await otherDocument.delete();
+      const result = await JobApplication.get({ id: jobApplication.id });
+
+      // Assert
+      expect(result).toEqual({ ...jobApplication, documentId: null });
+    });
+  });
+
+  // --------------------------------------------------
+  // update
+
+  describe('update', () => {
+    test('Updates a job application.', async () => {
+      // Arrange
+      const jobApplication = await addJobApplication();
+      const updatedProps = Object.freeze({
+        status: 'interviewing',
+        appliedOn: '2025-03-02',
+        notes: null,
+      });
+
+      // Act
+      const result = await jobApplication.update(updatedProps);
+
+      // Assert
+      expect(result).toBe(jobApplication);
+      expect(result).toEqual({
+        ...jobApplication,
+        ...updatedProps,
+        lastUpdated: expect.any(Date),
+      });
+      expect(await JobApplication.get({ id: jobApplication.id })).toEqual(
+        result
+      );
+    });
+  });
+
+  // --------------------------------------------------
+  // delete
+
+  describe('delete', () => {
+    test('Deletes a job application.', async () => {
+      // Arrange
+      const jobApplication = await addJobApplication();
+
+      // Act
+      await jobApplication.delete();
+
+      // Assert
+      expect(await JobApplication.getAll(owner)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+'use strict';
+
+const db = require('../database/db');
+const Document_X_Project = require('./document_x_project');
+const { convertPropsForSqlUpdate } = require('../util/sqlHelpers');
+const { convertDateToString } = require('../util/modelHelpers');
+
+const { AppServerError, NotFoundError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents a project.
+ */
+class Project {
+  static tableName = 'projects';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    id,
+    owner,
+    name,
+    start_date AS "startDate",
+    end_date AS "endDate"`;
+
+  // To help with SQL joins.
+  static #allDbColsAsJs = (alias = '') => {
+    alias &&= alias + '.';
+
+    return `
+    ${alias}id,
+    ${alias}owner,
+    ${alias}name,
+    ${alias}start_date AS "startDate",
+    ${alias}end_date AS "endDate"`;
+  };
+
+  constructor(id, owner, name, startDate, endDate) {
+    this.id = id;
+    this.owner = owner;
+    this.name = name;
+    this.startDate = startDate;
+    this.endDate = endDate;
+  }
+
+  /**
+   * Creates a new project entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new project.
+   * @param {String} props.owner - Username that the project belongs to.
+   * @param {String} props.name - Name of the project.
+   * @param {String} props.startDate - The start date of the project.
+   * @param {String} [props.endDate] - The end date of the project.
+   * @returns {Promise<Project>} A new Project instance that contains the
+   *  project's data.
+   */
+  static async add(props) {
+    const logPrefix = `${this.name}.add(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed properties/attributes.
+    const { owner, name, startDate, endDate } = props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${Project.tableName} (
+    owner,
+    name,
+    start_date,
+    end_date
+  )
+  VALUES ($1, $2, $3, $4)
+  RETURNING ${Project._allDbColsAsJs};`,
+      values: [owner, name, startDate, endDate],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    const project = new Project(...Object.values(result.rows[0]));
+
+    project.startDate = convertDateToString(project.startDate);
+    project.endDate = convertDateToString(project.endDate);
+
+    return project;
+  }
+
+  /**
+   * Retrieves all the projects belonging to a user.
+   *
+   * @param {String} owner - Username to get the projects for.
+   * @returns {Promise<Project[]>} A list of Project instances.
+   */
+  static async getAll(owner) {
+    const logPrefix = `${this.name}.getAll(${owner})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT ${Project._allDbColsAsJs}
+  FROM ${Project.tableName}
+  WHERE owner = $1;`,
+      values: [owner],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => {
+      const project = new Project(...Object.values(data));
+
+      project.startDate = convertDateToString(project.startDate);
+      project.endDate = convertDateToString(project.endDate);
+
+      return project;
+    });
+  }
+
+  /**
+   * Gets all projects belonging to a document.  The returned Projects' order
+   * is related to their positions.
+   *
+   * @param {Number} documentId - ID of the document to get projects from.
+   * @returns {Promise<Project[]>} A list of Project instances.
+   */
+  static async getAllInDocument(documentId) {
+    const logPrefix =
+      `${this.name}.getAllInDocument(` + `documentId = ${documentId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT ${Project.#allDbColsAsJs('p')}
+  FROM ${Document_X_Project.tableName} AS dxp
+  JOIN ${Project.tableName} AS p
+  ON dxp.project_id = p.id
+  WHERE dxp.document_id = $1
+  ORDER BY dxp.position;`,
+      values: [documentId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => {
+      const project = new Project(...Object.values(data));
+
+      project.startDate = convertDateToString(project.startDate);
+      project.endDate = convertDateToString(project.endDate);
+
+      return project;
+    });
+  }
+
+  /**
+   * Retrieves a specific project by ID.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific project.
+   * @param {Number} queryParams.id - ID of the project.
+   * @returns {Promise<Project>} A new Project instance that contains the
+   *  project's data.
+   */
+  static async get(queryParams) {
+    const logPrefix = `${this.name}.get(${JSON.stringify(queryParams)})`;
+    logger.verbose(logPrefix);
+
+    // Allowed parameters.
+    const { id } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${Project._allDbColsAsJs}
+  FROM ${Project.tableName}
+  WHERE id = $1;`,
+      values: [id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rows.length === 0) {
+      logger.error(`${logPrefix}: Project not found.`);
+      throw new NotFoundError(`Can not find project with ID ${id}.`);
+    }
+
+    const project = new Project(...Object.values(result.rows[0]));
+
+    project.startDate = convertDateToString(project.startDate);
+    project.endDate = convertDateToString(project.endDate);
+
+    return project;
+  }
+
+  /**
+   * Updates a project with new properties.  If no properties are passed, then
+   * the project is not updated.
+   *
+   * @param {Object} props - Contains the updated properties.
+   * @param {String} [props.name] - New name of the project.
+   * @param {String} [props.startDate] - New start date of the project.
+   * @param {String} [props.endDate] - New end date of the project.
+   * @returns {Promise<Project>} The same Project instance that this method was
+   *  called on, but with updated property values.
+   */
+  async update(props) {
+    const logPrefix = `${this.constructor.name}${JSON.stringify(
+      this
+    )}.update(${JSON.stringify(props)})`;
+    logger.verbose(logPrefix);
+
+    const [sqlSubstring, sqlValues] = convertPropsForSqlUpdate(props);
+
+    // Comma at end of sqlSubstring will be removed.
+    const queryConfig = {
+      text: `
+  UPDATE ${Project.tableName}
+  SET ${sqlSubstring.slice(0, -1)}
+  WHERE id = $${sqlValues.length + 1}
+  RETURNING ${Project._allDbColsAsJs};`,
+      values: [...sqlValues, this.id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount === 0) {
+      logger.error(`${logPrefix}: Project with ID ${this.id} was not found.`);
+      throw new AppServerError(`Project with ID ${this.id} was not found.`);
+    }
+
+    // Update current instance's properties.
+    Object.entries(result.rows[0]).forEach(([colName, val]) => {
+      this[colName] = colName.includes('Date') ? convertDateToString(val) : val;
+    });
+
+    return this;
+  }
+
+  /**
+   * Deletes a project entry in the database.  Does not delete the instance
+   * properties/fields.  Remember to delete the instance this belongs to!
+   */
+  async delete() {
+    const logPrefix = `${this.constructor.name}${JSON.stringify(
+      this
+    )}.delete()`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  DELETE FROM ${Project.tableName}
+  WHERE id = $1;`,
+      values: [this.id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount) {
+      logger.info(
+        `${logPrefix}: ${result.rowCount} project(s) deleted: ` +
+          `id = ${this.id}.`
+      );
+    } else {
+      logger.info(`${logPrefix}: 0 projects deleted.`);
+    }
+  }
+}
+
+// ==================================================
+
+module.exports = Project;
@@ -0,0 +1,47 @@
+'use strict';
+
+const Project = require('./project');
+
+const { runCommonTests } = require('./_testCommon');
+const { users, projects } = require('../_testData');
+
+// ==================================================
+
+const dataForNewInstances = projects;
+
+const dataForUpdate = Object.freeze(
+  dataForNewInstances.map((data) =>
+    Object.freeze({
+      name: 'New ' + data.name,
+      startDate: '2050-01-10',
+      endDate: '2055-01-10',
+    })
+  )
+);
+
+const expectedDataInNewInstances = dataForNewInstances.map((data) => ({
+  id: expect.any(Number),
+  owner: data.owner,
+  name: data.name,
+  startDate: data.startDate,
+  endDate: data.endDate || null,
+}));
+
+const whereClauseToGetOne = 'WHERE id = $1';
+const whereClauseToGetAll = 'WHERE owner = $1';
+
+// Don't freeze, because ID will be added later.
+const testCasesForGet = [
+  ['ID', { owner: users[0].username }, expectedDataInNewInstances[0]],
+];
+
+runCommonTests({
+  class: Project,
+  tableName: Project.tableName,
+  dataForNewInstances,
+  dataForUpdate,
+  expectedDataInNewInstances,
+  whereClauseToGetOne,
+  whereClauseToGetAll,
+  testCasesForGet,
+});
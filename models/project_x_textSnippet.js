@@ -0,0 +1,296 @@
+'use strict';
+
+const { snakeCase } = require('change-case-all');
+
+const db = require('../database/db');
+
+const Relationship = require('./relationship');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents a project and text snippet relationship.
+ */
+class Project_X_Text_Snippet extends Relationship {
+  static tableName = 'projects_x_text_snippets';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    document_x_project_id AS "documentXProjectId",
+    text_snippet_id AS "textSnippetId",
+    text_snippet_version AS "textSnippetVersion",
+    position`;
+
+  constructor(documentXProjectId, textSnippetId, textSnippetVersion, position) {
+    super();
+    this.documentXProjectId = documentXProjectId;
+    this.textSnippetId = textSnippetId;
+    this.textSnippetVersion = textSnippetVersion;
+    this.position = position;
+  }
+
+  /**
+   * Creates a new project_x_text_snippet entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new
+   *  project_x_text_snippet.
+   * @param {Number} props.documentXProjectId - ID of the
+   *  document_x_project.
+   * @param {Number} props.textSnippetId - ID of the text snippet.
+   * @param {Date} props.textSnippetVersion - Version of the text snippet.
+   * @param {Number} props.position - Position of text snippet among other text
+   *  snippets in the project in the document.
+   * @returns {Promise<Project_X_Text_Snippet>} A new
+   *  Project_X_Text_Snippet instance that contains the
+   *  project_x_text_snippet's data.
+   */
+  static async add(props) {
+    // Allowed properties/attributes.
+    const { documentXProjectId, textSnippetId, textSnippetVersion, position } =
+      props;
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${Project_X_Text_Snippet.tableName} (
+    document_x_project_id,
+    text_snippet_id,
+    text_snippet_version,
+    position
+  )
+  VALUES ($1, $2, $3, $4)
+  RETURNING ${Project_X_Text_Snippet._allDbColsAsJs};`,
+      values: [documentXProjectId, textSnippetId, textSnippetVersion, position],
+    };
+
+    const notFoundMessage =
+      'Project or text snippet was not found.  ' +
+      `Document-project ID: ${documentXProjectId}, ` +
+      `text snippet ID: ${textSnippetId}.`;
+
+    return await super.add(props, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Retrieves all the projects_x_text_snippets belonging to a project in
+   * a document.
+   *
+   * @param {Number} documentXProjectId - ID of the document-project
+   *  relationship to get the projects_x_text_snippets for.
+   * @returns {Promise<Project_X_Text_Snippet[]>} A list of
+   *  Project_X_Text_Snippet instances.
+   */
+  static async getAll(documentXProjectId) {
+    const queryConfig = {
+      text: `
+  SELECT ${Project_X_Text_Snippet._allDbColsAsJs}
+  FROM ${Project_X_Text_Snippet.tableName}
+  WHERE document_x_project_id = $1
+  ORDER BY position;`,
+      values: [documentXProjectId],
+    };
+
+    return await super.getAll(documentXProjectId, queryConfig);
+  }
+
+  /**
+   * Retrieves a specific project_x_text_snippet by ID.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific project_x_text_snippet.
+   * @param {Number} queryParams.documentXProjectId - Document-project ID
+   *  of the project_x_text_snippet.
+   * @param {Number} queryParams.textSnippetId - Text snippet ID of the
+   *  project_x_text_snippet.
+   * @returns {Project_X_Text_Snippet} A new Project_X_Text_Snippet
+   *  instance that contains the project_x_text_snippet's data.
+   */
+  static async get(queryParams) {
+    // Allowed parameters.
+    const { documentXProjectId, textSnippetId } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${Project_X_Text_Snippet._allDbColsAsJs}
+  FROM ${Project_X_Text_Snippet.tableName}
+  WHERE document_x_project_id = $1 AND text_snippet_id = $2;`,
+      values: [documentXProjectId, textSnippetId],
+    };
+
+    const notFoundMessage =
+      'Can not find project-text snippet relation with ' +
+      `document-project ID ${documentXProjectId} ` +
+      `and text snippet ID ${textSnippetId}.`;
+
+    return await super.get(queryParams, queryConfig, notFoundMessage);
+  }
+
+  /**
+   * Updates a project_x_text_snippet with a new position.  Throws a
+   * BadRequestError if position is invalid.
+   *
+   * @param {Number} position - New position for this project_x_text_snippet.
+   * @returns {Promise<Project_X_Text_Snippet>} The same
+   *  Project_X_Text_Snippet instance that this method was called on, but
+   *  with updated property values.
+   */
+  async update(position) {
+    const queryConfig = {
+      text: `
+  UPDATE ${Project_X_Text_Snippet.tableName}
+  SET position = $1
+  WHERE document_x_project_id = $2 AND text_snippet_id = $3
+  RETURNING ${Project_X_Text_Snippet._allDbColsAsJs};`,
+      values: [position, this.documentXProjectId, this.textSnippetId],
+    };
+
+    const instanceArgsForLog =
+      `documentXProjectId = ${this.documentXProjectId}, ` +
+      `textSnippetId = ${this.textSnippetId}`;
+
+    const notFoundLog =
+      'Project_X_Text_Snippet with ' +
+      `document-project ID ${this.documentXProjectId} and ` +
+      `text snippet ID ${this.textSnippetId} was not found.`;
+
+    const serverErrorMessage =
+      'Project-text snippet relation with ' +
+      `document-project ID ${this.documentXProjectId} and ` +
+      `text snippet ID ${this.textSnippetId} was not found.`;
+
+    return await super.update(
+      position,
+      queryConfig,
+      instanceArgsForLog,
+      notFoundLog,
+      serverErrorMessage
+    );
+  }
+
+  /**
+   * Updates the positions of all text snippets in a project in a document.
+   *
+   * @param {Number} documentXProjectId - ID of the document-project
+   *  relationship that is having its text snippets reordered.
+   * @param {Number[]} textSnippetIds - List of text snippets IDs with the
+   *  desired ordering.
+   * @returns {Promise<Project_X_Text_Snippet[]>} A list of
+   *  Project_X_Text_Snippet instances.
+   */
+  static async updateAllPositions(documentXProjectId, textSnippetIds) {
+    let name = 'documentXProjectId';
+    const attachTo = {
+      jsName: name,
+      sqlName: snakeCase(name),
+      id: documentXProjectId,
+    };
+
+    name = 'textSnippetId';
+    const attachWiths = {
+      jsName: name,
+      sqlName: snakeCase(name),
+      ids: textSnippetIds,
+    };
+
+    return await super.updateAllPositions(attachTo, attachWiths);
+  }
+
+  /**
+   * Replaces all text snippet versions in all projects_x_text_snippets.  This
+   * is used in conjunction with updating a text snippet to allow all references
+   * to be updated as well, so that when retrieving a project's text
+   * snippets, the correct text snippets are shown.
+   *
+   * @param {Number} textSnippetId - ID of the text snippet to be replaced.
+   * @param {Date | String} oldTextSnippetVersion - Version of the text snippet
+   *  to be replaced.
+   * @param {Date | String} newTextSnippetVersion - Newer version of the text
+   *  snippet that is replacing.
+   * @param {Number} [documentId] - ID of the document to limit the replacement
+   *  to.  All documents are included if not given.
+   * @returns {Promise<Number>} Number of text snippets updated.
+   */
+  static async replaceTextSnippet(
+    textSnippetId,
+    oldTextSnippetVersion,
+    newTextSnippetVersion,
+    documentId = null
+  ) {
+    const logPrefix =
+      `${this.name}.replaceTextSnippet(` +
+      `textSnippetId = ${textSnippetId}, ` +
+      `oldTextSnippetVersion = "${oldTextSnippetVersion}", ` +
+      `newTextSnippetVersion = "${newTextSnippetVersion}", ` +
+      `documentId = ${documentId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  UPDATE ${Project_X_Text_Snippet.tableName}
+  SET text_snippet_version = $1
+  WHERE text_snippet_id = $2
+    AND text_snippet_version = $3
+    AND (
+      $4::INTEGER IS NULL
+      OR document_x_project_id IN (
+        SELECT id
+        FROM documents_x_projects
+        WHERE document_id = $4
+      )
+    );`,
+      values: [
+        newTextSnippetVersion,
+        textSnippetId,
+        oldTextSnippetVersion,
+        documentId,
+      ],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    logger.verbose(`${logPrefix}: ${result.rowCount} replaced.`);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Deletes a project_x_text_snippet entry in the database.
+   *
+   * @param {Number} documentXProjectId - ID of the documents_x_projects
+   *  to remove the text snippet from.
+   * @param {Number} textSnippetId - ID of the text snippet to be removed.
+   */
+  static async delete(documentXProjectId, textSnippetId) {
+    const queryConfig = {
+      text: `
+  DELETE FROM ${Project_X_Text_Snippet.tableName}
+  WHERE document_x_project_id = $1 AND text_snippet_id = $2;`,
+      values: [documentXProjectId, textSnippetId],
+    };
+
+    const deletedLog =
+      'project_x_text_snippet(s) deleted: ' +
+      `documentXProjectId = ${documentXProjectId}, ` +
+      `textSnippetId = ${textSnippetId}.`;
+
+    await super.delete(queryConfig, deletedLog);
+  }
+
+  /**
+   * Deletes a project_x_text_snippet entry in the database.  Does not delete
+   * the instance properties/fields.  Remember to delete the instance this
+   * belongs to!
+   */
+  async delete() {
+    await Project_X_Text_Snippet.delete(
+      this.documentXProjectId,
+      this.textSnippetId
+    );
+  }
+}
+
+// ==================================================
+
+module.exports = Project_X_Text_Snippet;
@@ -0,0 +1,605 @@
+'use strict';
+
+const db = require('../database/db');
+const Project_X_Text_Snippet = require('./project_x_textSnippet');
+
+const {
+  AppServerError,
+  NotFoundError,
+  BadRequestError,
+} = require('../errors/appErrors');
+
+const Document = require('./document');
+const Document_X_Project = require('./document_x_project');
+const Project = require('./project');
+const TextSnippet = require('./textSnippet');
+const User = require('./user');
+const {
+  users,
+  documents,
+  textSnippets,
+  projects,
+  documents_x_projects,
+} = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+describe('Project_X_Text_Snippet', () => {
+  // To help with expects by directly getting data from the database.
+  const sqlTextSelectAll = `
+  SELECT ${Project_X_Text_Snippet._allDbColsAsJs}
+  FROM ${Project_X_Text_Snippet.tableName}`;
+
+  const existingDocumentXProjects = [];
+  const existingTextSnippets = [];
+  const projectXTextSnippetDatas = [];
+
+  beforeAll(async () => {
+    await commonBeforeAll(db);
+
+    await User.register({
+      username: users[0].username,
+      password: users[0].password,
+    });
+
+    await Document.add(documents[0]);
+
+    for (const project of projects) {
+      await Project.add(project);
+    }
+
+    for (const document_x_project of documents_x_projects) {
+      existingDocumentXProjects.push(
+        await Document_X_Project.add(document_x_project)
+      );
+    }
+
+    for (const textSnippet of textSnippets) {
+      existingTextSnippets.push(await TextSnippet.add(textSnippet));
+    }
+
+    for (let i = 0; i < existingDocumentXProjects.length; i++) {
+      projectXTextSnippetDatas.push({
+        // Have to have everything under one document_x_project ID.
+        documentXProjectId: existingDocumentXProjects[0].id,
+        textSnippetId: existingTextSnippets[i].id,
+        textSnippetVersion: existingTextSnippets[i].version,
+        position: i,
+      });
+    }
+  });
+
+  beforeEach(() => clearTable(db, Project_X_Text_Snippet.tableName));
+
+  afterAll(() => commonAfterAll(db));
+
+  // -------------------------------------------------- add
+
+  describe('add', () => {
+    let dataToAdd;
+
+    beforeAll(() => {
+      dataToAdd = projectXTextSnippetDatas[0];
+    });
+
+    test('Adds a new project_x_text_snippet.', async () => {
+      // Act
+      const instance = await Project_X_Text_Snippet.add(dataToAdd);
+
+      // Assert
+      expect(instance).toBeInstanceOf(Project_X_Text_Snippet);
+      expect(instance).toEqual(dataToAdd);
+
+      const databaseEntry = (
+        await db.query({
+          queryConfig: {
+            text:
+              sqlTextSelectAll +
+              '\n  WHERE document_x_project_id = $1 AND text_snippet_id = $2;',
+            values: [dataToAdd.documentXProjectId, dataToAdd.textSnippetId],
+          },
+        })
+      ).rows[0];
+
+      expect(databaseEntry).toEqual(dataToAdd);
+    });
+
+    test.each([
+      ['document', { documentXProjectId: 999 }],
+      ['text snippet', { textSnippetId: 999 }],
+    ])(
+      'Throws an Error if %s does not exist.',
+      async (propertyName, nonexistentData) => {
+        // Arrange
+        const nonexistentRefData = {
+          ...dataToAdd,
+          ...nonexistentData,
+        };
+
+        // Act
+        async function runFunc() {
+          await Project_X_Text_Snippet.add(nonexistentRefData);
+        }
+
+        // Assert
+        await expect(runFunc).rejects.toThrow(NotFoundError);
+
+        const databaseEntries = (
+          await db.query({ queryConfig: { text: sqlTextSelectAll } })
+        ).rows;
+
+        // Ensure nothing gets added into database.
+        expect(databaseEntries.length).toBe(0);
+      }
+    );
+
+    test(
+      'Throws an Error if adding a project_x_text_snippet ' +
+        'with the same position as another.',
+      async () => {
+        // Arrange
+        const dataWithSamePosition = {
+          ...dataToAdd,
+          textSnippetId: projectXTextSnippetDatas[1].textSnippetId,
+          textSnippetVersion: projectXTextSnippetDatas[1].textSnippetVersion,
+        };
+
+        await Project_X_Text_Snippet.add(dataToAdd);
+
+        // Act
+        async function runFunc() {
+          await Project_X_Text_Snippet.add(dataWithSamePosition);
+        }
+
+        // Assert
+        await expect(runFunc).rejects.toThrow();
+
+        const databaseEntries = (
+          await db.query({
+            queryConfig: {
+              text: sqlTextSelectAll + '\n  WHERE document_x_project_id = $1;',
+              values: [dataToAdd.documentXProjectId],
+            },
+          })
+        ).rows;
+
+        // Ensure existing data has not been modified.
+        expect(databaseEntries.length).toBe(1);
+        expect(databaseEntries[0]).toEqual(dataToAdd);
+      }
+    );
+  });
+
+  // -------------------------------------------------- getAll
+
+  describe('getAll', () => {
+    let existingData;
+
+    beforeAll(() => {
+      existingData = projectXTextSnippetDatas[0];
+    });
+
+    test(
+      'Get all of 0 project_x_text_snippet(s) ' + 'for a document.',
+      async () => {
+        // Arrange
+        const inputData = [];
+        const expected = [];
+
+        for (const props of inputData) {
+          await Project_X_Text_Snippet.add(props);
+        }
+
+        // Act
+        const instances = await Project_X_Text_Snippet.getAll(
+          existingData.documentXProjectId
+        );
+
+        // Assert
+        expect(instances.length).toBe(inputData.length);
+
+        instances.forEach((instance, i) => {
+          expect(instance).toBeInstanceOf(Project_X_Text_Snippet);
+          expect(instance).toEqual(expected[i]);
+        });
+      }
+    );
+
+    test(
+      `Get all of ${documents_x_projects.length} ` +
+        `project_x_text_snippet(s) for a document.`,
+      async () => {
+        // Arrange
+        const inputData = projectXTextSnippetDatas;
+        const expected = projectXTextSnippetDatas;
+
+        for (const props of inputData) {
+          await Project_X_Text_Snippet.add(props);
+        }
+
+        // Act
+        const instances = await Project_X_Text_Snippet.getAll(
+          existingData.documentXProjectId
+        );
+
+        // Assert
+        expect(instances.length).toBe(inputData.length);
+
+        instances.forEach((instance, i) => {
+          expect(instance).toBeInstanceOf(Project_X_Text_Snippet);
+          expect(instance).toEqual(expected[i]);
+        });
+      }
+    );
+
+    test(
+      'Get all projects_x_text_snippets ' + 'in the correct order.',
+      async () => {
+        const len = projectXTextSnippetDatas.length;
+
+        // Arrange
+        // Change positions so that they are not sequential and are reversed.
+        const modifiedProjectsXTextSnippets = Object.freeze(
+          projectXTextSnippetDatas.map((projectXTextSnippet, idx) => {
+            return Object.freeze({
+              ...projectXTextSnippet,
+              position: len * (len - idx),
+            });
+          })
+        );
+
+        for (const props of modifiedProjectsXTextSnippets) {
+          await Project_X_Text_Snippet.add(props);
+        }
+
+        // Act
+        const instances = await Project_X_Text_Snippet.getAll(
+          existingData.documentXProjectId
+        );
+
+        // Assert
+        expect(instances).toEqual(modifiedProjectsXTextSnippets.toReversed());
+      }
+    );
+  });
+
+  // -------------------------------------------------- get
+
+  describe('get', () => {
+    let existingData;
+
+    beforeAll(() => {
+      existingData = projectXTextSnippetDatas[0];
+    });
+
+    test('Gets a specified project_x_text_snippet.', async () => {
+      // Arrange
+      await Project_X_Text_Snippet.add(existingData);
+
+      const queryParams = {
+        documentXProjectId: existingData.documentXProjectId,
+        textSnippetId: existingData.textSnippetId,
+      };
+
+      // Act
+      const instance = await Project_X_Text_Snippet.get(queryParams);
+
+      // Assert
+      expect(instance).toBeInstanceOf(Project_X_Text_Snippet);
+      expect(instance).toEqual(existingData);
+    });
+
+    test('Throws an Error if project_x_text_snippet is not found.', async () => {
+      // Arrange
+      const queryParams = { documentXProjectId: 999, textSnippetId: 999 };
+
+      // Act
+      async function runFunc() {
+        await Project_X_Text_Snippet.get(queryParams);
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // -------------------------------------------------- update
+
+  describe('update', () => {
+    let existingData;
+    let preexistingInstance = null;
+
+    beforeAll(() => {
+      existingData = projectXTextSnippetDatas[0];
+    });
+
+    beforeEach(async () => {
+      preexistingInstance = await Project_X_Text_Snippet.add(existingData);
+    });
+
+    afterEach(() => {
+      preexistingInstance = null;
+    });
+
+    test('Updates a project_x_text_snippet.', async () => {
+      // Arrange
+      const newPosition =
+        existingData.position + projectXTextSnippetDatas.length;
+
+      const expectedUpdatedData = {
+        ...existingData,
+        position: newPosition,
+      };
+
+      // Act
+      const updatedInstance = await preexistingInstance.update(newPosition);
+
+      // Assert
+      expect(updatedInstance).toEqual(expectedUpdatedData);
+
+      const databaseEntry = (
+        await db.query({
+          queryConfig: {
+            text:
+              sqlTextSelectAll +
+              '\n  WHERE document_x_project_id = $1 AND text_snippet_id = $2;',
+            values: [
+              preexistingInstance.documentXProjectId,
+              preexistingInstance.textSnippetId,
+            ],
+          },
+        })
+      ).rows[0];
+
+      expect(databaseEntry).toEqual(expectedUpdatedData);
+    });
+
+    test('Throws an Error if position is invalid.', async () => {
+      // Arrange
+      const newPosition = -1;
+
+      // Act
+      async function runFunc() {
+        await preexistingInstance.update(newPosition);
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(BadRequestError);
+    });
+
+    test('Throws an Error if project_x_text_snippet is not found.', async () => {
+      // Arrange
+      const nonexistentInstance = new Project_X_Text_Snippet(999, 999);
+
+      // Act
+      async function runFunc() {
+        await nonexistentInstance.update(9);
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(AppServerError);
+    });
+  });
+
+  // -------------------------------------------------- replaceTextSnippet
+
+  describe('replaceTextSnippet', () => {
+    let anotherDocument;
+    let anotherDocumentXProject;
+    let oldTextSnippet;
+    let updatedTextSnippet;
+
+    beforeAll(async () => {
+      anotherDocument = await Document.add({
+        documentName: 'doc 100',
+        owner: users[0].username,
+        isMaster: false,
+        isTemplate: false,
+      });
+
+      anotherDocumentXProject = await Document_X_Project.add({
+        documentId: anotherDocument.id,
+        projectId: 1,
+        position: 0,
+      });
+
+      oldTextSnippet = await TextSnippet.get({
+        id: projectXTextSnippetDatas[0].textSnippetId,
+        version: projectXTextSnippetDatas[0].textSnippetVersion,
+      });
+
+      updatedTextSnippet = await oldTextSnippet.update({
+        content: 'new content',
+      });
+    });
+
+    afterAll(async () => {
+      await Document.delete(anotherDocument.id);
+      await updatedTextSnippet.delete();
+    });
+
+    test('Replaces all text snippet versions in all projects_x_text_snippets.', async () => {
+      // Arrange
+      const projectXText_SnippetData = { ...projectXTextSnippetDatas[0] };
+      delete projectXText_SnippetData.documentXProjectId;
+
+      const textSnippetId = projectXText_SnippetData.textSnippetId;
+      const oldTextSnippetVersion = projectXText_SnippetData.textSnippetVersion;
+      const newTextSnippetVersion = updatedTextSnippet.version;
+
+      const documentXProjectIds = [1, anotherDocumentXProject.id];
+
+      // Adding the same text snippet with ID 1 to different
+      // documents_x_projects.
+      for (const documentXProjectId of documentXProjectIds) {
+        await Project_X_Text_Snippet.add({
+          documentXProjectId,
+          ...projectXText_SnippetData,
+        });
+      }
+
+      // Act
+      const amountReplaced = await Project_X_Text_Snippet.replaceTextSnippet(
+        textSnippetId,
+        oldTextSnippetVersion,
+        newTextSnippetVersion
+      );
+
+      // Assert
+      expect(amountReplaced).toBe(documentXProjectIds.length);
+
+      // Have to get all entries, because there is no method to get entries
+      // according to text snippet ID.
+      const databaseEntries = (
+        await db.query({
+          queryConfig: { text: sqlTextSelectAll },
+        })
+      ).rows;
+
+      expect(
+        databaseEntries.every(
+          (entry) =>
+            entry.textSnippetVersion.getTime() ===
+              updatedTextSnippet.version.getTime() && entry.position === 0
+        )
+      ).toBeTruthy();
+    });
+
+    test('Does not replace other text snippets of different IDs.', async () => {
+      // There should only be one project_x_text_snippet for the first text
+      // snippet in textSnippets.
+
+      // Arrange
+      for (const project_x_text_snippet of projectXTextSnippetDatas) {
+        await Project_X_Text_Snippet.add(project_x_text_snippet);
+      }
+
+      const textSnippetId = oldTextSnippet.id;
+      const oldTextSnippetVersion = oldTextSnippet.version;
+      const newTextSnippetVersion = updatedTextSnippet.version;
+
+      // Act
+      const amountReplaced = await Project_X_Text_Snippet.replaceTextSnippet(
+        textSnippetId,
+        oldTextSnippetVersion,
+        newTextSnippetVersion
+      );
+
+      // Assert
+      expect(amountReplaced).toBe(1);
+
+      // Have to get all entries, because there is no method to get entries
+      // according to text snippet ID.
+      const databaseEntries = (
+        await db.query({
+          queryConfig: { text: sqlTextSelectAll },
+        })
+      ).rows;
+
+      // Check the updated project_x_text_snippet.
+      expect(databaseEntries.at(-1).textSnippetId).toBe(textSnippetId);
+      expect(databaseEntries.at(-1).textSnippetVersion.getTime()).toBe(
+        newTextSnippetVersion.getTime()
+      );
+      expect(databaseEntries.at(-1).position).toBe(0);
+
+      // Check the rest of the projects_x_text_snippets.
+      for (let i = 0; i < databaseEntries.length - 1; i++) {
+        expect(databaseEntries[i].textSnippetId).toBe(
+          projectXTextSnippetDatas[i + 1].textSnippetId
+        );
+        expect(databaseEntries[i].textSnippetVersion.getTime()).toBe(
+          projectXTextSnippetDatas[i + 1].textSnippetVersion.getTime()
+        );
+        expect(databaseEntries[i].position).toBe(i + 1);
+      }
+    });
+
+    test('Replaces text snippet versions in only one document.', async () => {
+      // Arrange
+      const projectXText_SnippetData = { ...projectXTextSnippetDatas[0] };
+      delete projectXText_SnippetData.documentXProjectId;
+
+      // Adding the same text snippet to both documents.
+      for (const documentXProjectId of [1, anotherDocumentXProject.id]) {
+        await Project_X_Text_Snippet.add({
+          documentXProjectId,
+          ...projectXText_SnippetData,
+        });
+      }
+
+      // Act
+      const amountReplaced = await Project_X_Text_Snippet.replaceTextSnippet(
+        oldTextSnippet.id,
+        oldTextSnippet.version,
+        updatedTextSnippet.version,
+        anotherDocument.id
+      );
+
+      // Assert
+      expect(amountReplaced).toBe(1);
+
+      const databaseEntries = (
+        await db.query({
+          queryConfig: {
+            text: `${sqlTextSelectAll}
+  ORDER BY document_x_project_id`,
+          },
+        })
+      ).rows;
+
+      expect(databaseEntries[0].textSnippetVersion.getTime()).toBe(
+        oldTextSnippet.version.getTime()
+      );
+      expect(databaseEntries[1].documentXProjectId).toBe(
+        anotherDocumentXProject.id
+      );
+      expect(databaseEntries[1].textSnippetVersion.getTime()).toBe(
+        updatedTextSnippet.version.getTime()
+      );
+    });
+  });
+
+  // -------------------------------------------------- delete
+
+  describe('delete', () => {
+    let existingData;
+
+    beforeAll(() => {
+      existingData = projectXTextSnippetDatas[0];
+    });
+
+    test('Deletes a project_x_text_snippet.', async () => {
+      // Arrange
+      const instance = await Project_X_Text_Snippet.add(existingData);
+
+      // Act
+      await Project_X_Text_Snippet.delete(
+        instance.documentXProjectId,
+        instance.textSnippetId
+      );
+
+      // Assert
+      const databaseData = await db.query({
+        queryConfig: {
+          text:
+            sqlTextSelectAll +
+            '\n  WHERE document_x_project_id = $1 AND text_snippet_id = $2;',
+          values: [instance.documentXProjectId, instance.textSnippetId],
+        },
+      });
+
+      expect(databaseData.rows.length).toBe(0);
+    });
+
+    test('Does not throw an Error if project_x_text_snippet is not found.', async () => {
+      // Act
+      await Project_X_Text_Snippet.delete(999, 999);
+    });
+  });
+});
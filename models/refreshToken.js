@@ -0,0 +1,233 @@
+'use strict';
+
+const db = require('../database/db');
+
+const { NotFoundError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Represents a stored refresh token.  Only the hash of a refresh token is
+ * stored.  Refresh tokens in the same family descend from the same sign in,
+ * where each refresh token replaced the one before it.
+ */
+class RefreshToken {
+  static tableName = 'refresh_tokens';
+
+  // To use in SQL statements to return all column data.  Ensure the properties
+  // are in the same order and amount as constructor parameters.
+  static _allDbColsAsJs = `
+    token_hash AS "tokenHash",
+    family_id AS "familyId",
+    username,
+    created_on AS "createdOn",
+    expires_on AS "expiresOn",
+    used_on AS "usedOn"`;
+
+  constructor(tokenHash, familyId, username, createdOn, expiresOn, usedOn) {
+    this.tokenHash = tokenHash;
+    this.familyId = familyId;
+    this.username = username;
+    this.createdOn = createdOn;
+    this.expiresOn = expiresOn;
+    this.usedOn = usedOn;
+  }
+
+  /**
+   * Creates a new refresh token entry in the database.
+   *
+   * @param {Object} props - Contains data for creating a new refresh token.
+   * @param {String} props.tokenHash - Hash of the refresh token.
+   * @param {String} props.familyId - UUID of the family that the refresh token
+   *  is in.
+   * @param {String} props.username - Name of the user that the refresh token
+   *  is for.
+   * @param {Date} props.expiresOn - When the refresh token can no longer be
+   *  used.
+   * @returns {Promise<RefreshToken>} A new RefreshToken instance that contains
+   *  the refresh token's data.
+   */
+  static async add(props) {
+    // Allowed properties/attributes.
+    const { tokenHash, familyId, username, expiresOn } = props;
+
+    const logPrefix =
+      `${this.name}.add(` +
+      `{ tokenHash: (token hash), familyId: "${familyId}", ` +
+      `username: "${username}", expiresOn: ${JSON.stringify(expiresOn)} })`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  INSERT INTO ${RefreshToken.tableName} (
+    token_hash,
+    family_id,
+    username,
+    expires_on
+  )
+  VALUES ($1, $2, $3, $4)
+  RETURNING ${RefreshToken._allDbColsAsJs};`,
+      values: [tokenHash, familyId, username, expiresOn],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return new RefreshToken(...Object.values(result.rows[0]));
+  }
+
+  /**
+   * Retrieves a specific refresh token.
+   *
+   * @param {Object} queryParams - Contains the query parameters for finding a
+   *  specific refresh token.
+   * @param {String} queryParams.tokenHash - Hash of the refresh token.
+   * @returns {Promise<RefreshToken>} A new RefreshToken instance that contains
+   *  the refresh token's data.
+   */
+  static async get(queryParams) {
+    const logPrefix = `${this.name}.get({ tokenHash: (token hash) })`;
+    logger.verbose(logPrefix);
+
+    // Allowed parameters.
+    const { tokenHash } = queryParams;
+
+    const queryConfig = {
+      text: `
+  SELECT ${RefreshToken._allDbColsAsJs}
+  FROM ${RefreshToken.tableName}
+  WHERE token_hash = $1;`,
+      values: [tokenHash],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rows.length === 0) {
+      logger.error(`${logPrefix}: Refresh token not found.`);
+      throw new NotFoundError('Can not find refresh token.');
+    }
+
+    return new RefreshToken(...Object.values(result.rows[0]));
+  }
+
+  /**
+   * Marks a refresh token as used, if it has not been used yet.  This is done
+   * in one statement, so that the same refresh token can not be used by two
+   * requests at the same time.
+   *
+   * @returns {Promise<Boolean>} Whether this call is what used the refresh
+   *  token.  False if it was already used.
+   */
+  async use() {
+    const logPrefix = `${this.constructor.name}(familyId = "${this.familyId}").use()`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  UPDATE ${RefreshToken.tableName}
+  SET used_on = NOW()
+  WHERE token_hash = $1 AND used_on IS NULL
+  RETURNING used_on AS "usedOn";`,
+      values: [this.tokenHash],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    if (result.rowCount === 0) {
+      logger.warn(`${logPrefix}: Refresh token was already used.`);
+      return false;
+    }
+
+    this.usedOn = result.rows[0].usedOn;
+
+    return true;
+  }
+
+  /**
+   * Deletes the other used refresh tokens in the family of this refresh token.
+   * This refresh token is kept after it is used, so that using it again can
+   * still be detected.
+   */
+  async deleteUsedInFamily() {
+    const logPrefix = `${this.constructor.name}(familyId = "${this.familyId}").deleteUsedInFamily()`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  DELETE FROM ${RefreshToken.tableName}
+  WHERE family_id = $1 AND used_on IS NOT NULL AND token_hash <> $2;`,
+      values: [this.familyId, this.tokenHash],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    logger.info(`${logPrefix}: ${result.rowCount} refresh token(s) deleted.`);
+  }
+
+  /**
+   * Deletes every expired refresh token, of all users.  Expired refresh tokens
+   * can not be used anymore, so they are only taking up space.
+   */
+  static async deleteExpired() {
+    const logPrefix = `${this.name}.deleteExpired()`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  DELETE FROM ${RefreshToken.tableName}
+  WHERE expires_on <= NOW();`,
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    logger.info(`${logPrefix}: ${result.rowCount} refresh token(s) deleted.`);
+  }
+
+  /**
+   * Deletes every refresh token of a user, in all families.
+   *
+   * @param {String} username - Name of the user whose refresh tokens are
+   *  deleted.
+   */
+  static async deleteAllOfUser(username) {
+    const logPrefix = `${this.name}.deleteAllOfUser("${username}")`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  DELETE FROM ${RefreshToken.tableName}
+  WHERE username = $1;`,
+      values: [username],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    logger.info(`${logPrefix}: ${result.rowCount} refresh token(s) deleted.`);
+  }
+
+  /**
+   * Deletes all refresh tokens in a family, so that none of them can be used.
+   *
+   * @param {String} familyId - UUID of the family to delete.
+   */
+  static async deleteFamily(familyId) {
+    const logPrefix = `${this.name}.deleteFamily("${familyId}")`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  DELETE FROM ${RefreshToken.tableName}
+  WHERE family_id = $1;`,
+      values: [familyId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    logger.info(`${logPrefix}: ${result.rowCount} refresh token(s) deleted.`);
+  }
+}
+
+// ==================================================
+
+module.exports = RefreshToken;
@@ -0,0 +1,231 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const RefreshToken = require('./refreshToken');
+
+const db = require('../database/db');
+const User = require('./user');
+
+const { users } = require('../_testData');
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+const { NotFoundError } = require('../errors/appErrors');
+
+// ==================================================
+
+describe('RefreshToken', () => {
+  const username = users[0].username;
+  const familyId = crypto.randomUUID();
+  const expiresOn = new Date(Date.now() + 60 * 1000);
+
+  beforeAll(async () => {
+    await commonBeforeAll(db);
+    await User.register(users[0]);
+  });
+
+  beforeEach(() => clearTable(db, RefreshToken.tableName));
+
+  afterAll(() => commonAfterAll(db));
+
+  const addRefreshToken = (otherProps = {}) =>
+    RefreshToken.add({
+      tokenHash: 'hash1',
+      familyId,
+      username,
+      expiresOn,
+      ...otherProps,
+    });
+
+  // --------------------------------------------------
+  // add
+
+  describe('add', () => {
+    test('Adds a new refresh token.', async () => {
+      // Act
+      const refreshToken = await addRefreshToken();
+
+      // Assert
+      expect(refreshToken).toStrictEqual(
+        new RefreshToken(
+          'hash1',
+          familyId,
+          username,
+          expect.any(Date),
+          expiresOn,
+          null
+        )
+      );
+    });
+  });
+
+  // --------------------------------------------------
+  // get
+
+  describe('get', () => {
+    test('Gets a refresh token by its hash.', async () => {
+      // Arrange
+      const expectedRefreshToken = await addRefreshToken();
+
+      // Act
+      const refreshToken = await RefreshToken.get({ tokenHash: 'hash1' });
+
+      // Assert
+      expect(refreshToken).toStrictEqual(expectedRefreshToken);
+    });
+
+    test('Throws an Error if refresh token is not found.', async () => {
+      // Act
+      async function runFunc() {
+        await RefreshToken.get({ tokenHash: 'nonexistent' });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // --------------------------------------------------
+  // use
+
+  describe('use', () => {
+    test('Marks a refresh token as used only once.', async () => {
+      // Arrange
+      const refreshToken = await addRefreshToken();
+      const sameRefreshToken = await RefreshToken.get({ tokenHash: 'hash1' });
+
+      // Act
+      const isFirstUse = await refreshToken.use();
+      const isSecondUse = await sameRefreshToken.use();
+
+      // Assert
+      expect(isFirstUse).toBe(true);
+      expect(isSecondUse).toBe(false);
+      expect(refreshToken.usedOn).toEqual(expect.any(Date));
+      expect(sameRefreshToken.usedOn).toBeNull();
+      expect((await RefreshToken.get({ tokenHash: 'hash1' })).usedOn).toEqual(
+        refreshToken.usedOn
+      );
+    });
+  });
+
+  // --------------------------------------------------
+  // deleteUsedInFamily
+
+  describe('deleteUsedInFamily', () => {
+    test('Deletes the other used refresh tokens in the family.', async () => {
+      // Arrange
+      const otherFamilyId = crypto.randomUUID();
+      const olderRefreshToken = await addRefreshToken();
+      const refreshToken = await addRefreshToken({ tokenHash: 'hash2' });
+      await addRefreshToken({ tokenHash: 'hash3' });
+      const otherRefreshToken = await addRefreshToken({
+        tokenHash: 'hash4',
+        familyId: otherFamilyId,
+      });
+      await olderRefreshToken.use();
+      await refreshToken.use();
+      await otherRefreshToken.use();
+
+      // Act
+      await refreshToken.deleteUsedInFamily();
+
+      // Assert
+      await expect(RefreshToken.get({ tokenHash: 'hash1' })).rejects.toThrow(
+        NotFoundError
+      );
+      for (const tokenHash of ['hash2', 'hash3', 'hash4']) {
+        expect((await RefreshToken.get({ tokenHash })).tokenHash).toBe(
+          tokenHash
+        );
+      }
+    });
+  });
+
+  // --------------------------------------------------
+  // deleteExpired
+
+  describe('deleteExpired', () => {
+    test('Deletes only the expired refresh tokens.', async () => {
+      // Arrange
+      await addRefreshToken({ expiresOn: new Date(Date.now() - 1000) });
+      await addRefreshToken({ tokenHash: 'hash2' });
+
+      // Act
+      await RefreshToken.deleteExpired();
+
+      // Assert
+      await expect(RefreshToken.get({ tokenHash: 'hash1' })).rejects.toThrow(
+        NotFoundError
+      );
+      expect((await RefreshToken.get({ tokenHash: 'hash2' })).tokenHash).toBe(
+        'hash2'
+      );
+    });
+  });
+
+  // --------------------------------------------------
+  // deleteAllOfUser
+
+  describe('deleteAllOfUser', () => {
+    test('Deletes the refresh tokens of every family of the user.', async () => {
+      // Arrange
+      await User.register(users[1]);
+      await addRefreshToken();
+      await addRefreshToken({
+        tokenHash: 'hash2',
+        familyId: crypto.randomUUID(),
+      });
+      await addRefreshToken({
+        tokenHash: 'hash3',
+        familyId: crypto.randomUUID(),
+        username: users[1].username,
+      });
+
+      // Act
+      await RefreshToken.deleteAllOfUser(username);
+
+      // Assert
+      await expect(RefreshToken.get({ tokenHash: 'hash1' })).rejects.toThrow(
+        NotFoundError
+      );
+      await expect(RefreshToken.get({ tokenHash: 'hash2' })).rejects.toThrow(
+        NotFoundError
+      );
+      expect((await RefreshToken.get({ tokenHash: 'hash3' })).username).toBe(
+        users[1].username
+      );
+    });
+  });
+
+  // --------------------------------------------------
+  // deleteFamily
+
+  describe('deleteFamily', () => {
+    test('Deletes all refresh tokens in a family, and no others.', async () => {
+      // Arrange
+      const otherFamilyId = crypto.randomUUID();
+      await addRefreshToken();
+      await addRefreshToken({ tokenHash: 'hash2' });
+      await addRefreshToken({ tokenHash: 'hash3', familyId: otherFamilyId });
+
+      // Act
+      await RefreshToken.deleteFamily(familyId);
+
+      // Assert
+      await expect(RefreshToken.get({ tokenHash: 'hash1' })).rejects.toThrow(
+        NotFoundError
+      );
+      await expect(RefreshToken.get({ tokenHash: 'hash2' })).rejects.toThrow(
+        NotFoundError
+      );
+      expect((await RefreshToken.get({ tokenHash: 'hash3' })).familyId).toBe(
+        otherFamilyId
+      );
+    });
+  });
+});
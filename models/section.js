@@ -12,7 +12,8 @@ const logger = require('../util/logger');
 
 /**
  * Represents a resume section.  Examples are education, skills, and work
- * experience.
+ * experience.  Built-in sections do not have an owner, while custom sections
+ * belong to the user that made them.
  */
 class Section {
   static tableName = 'sections';
@@ -21,11 +22,13 @@ class Section {
   // are in the same order and amount as constructor parameters.
   static _allDbColsAsJs = `
     id,
-    section_name AS "sectionName"`;
+    section_name AS "sectionName",
+    owner`;
 
-  constructor(id, sectionName) {
+  constructor(id, sectionName, owner) {
     this.id = id;
     this.sectionName = sectionName;
+    this.owner = owner;
   }
 
   /**
@@ -33,6 +36,8 @@ class Section {
    *
    * @param {Object} sectionProps - Contains data for creating a new section.
    * @param {String} sectionProps.sectionName - Name of the section.
+   * @param {String} [sectionProps.owner] - Username that the section belongs
+   *  to.  Only given for custom sections.
    * @returns {Promise<Section>} A new Section instance that contains the
    *  section's data.
    */
@@ -41,14 +46,14 @@ class Section {
     logger.verbose(logPrefix);
 
     // Allowed properties/attributes.
-    const { sectionName } = sectionProps;
+    const { sectionName, owner = null } = sectionProps;
 
     const queryConfig = {
       text: `
-  INSERT INTO ${Section.tableName} (section_name)
-  VALUES ($1)
+  INSERT INTO ${Section.tableName} (section_name, owner)
+  VALUES ($1, $2)
   RETURNING ${Section._allDbColsAsJs};`,
-      values: [sectionName],
+      values: [sectionName, owner],
     };
 
     const result = await db.query({ queryConfig, logPrefix });
@@ -57,18 +62,23 @@ class Section {
   }
 
   /**
-   * Retrieves all the sections.
+   * Retrieves all the built-in sections, along with the custom sections of a
+   * user if a username is given.
    *
+   * @param {String} [owner] - Username to get the custom sections for.
    * @returns {Promise<Section[]>} A list of Section instances.
    */
-  static async getAll() {
-    const logPrefix = `${this.name}.getAll()`;
+  static async getAll(owner = null) {
+    const logPrefix = `${this.name}.getAll(${owner})`;
     logger.verbose(logPrefix);
 
     const queryConfig = {
       text: `
   SELECT ${Section._allDbColsAsJs}
-  FROM ${Section.tableName};`,
+  FROM ${Section.tableName}
+  WHERE owner IS NULL OR owner = $1
+  ORDER BY id;`,
+      values: [owner],
     };
 
     const result = await db.query({ queryConfig, logPrefix });
@@ -104,12 +114,16 @@ class Section {
   }
 
   /**
-   * Retrieves a specific section by ID or name.
+   * Retrieves a specific section by ID or name.  Searching by name only finds
+   * built-in sections, unless an owner is given, in which case only that
+   * user's custom sections are searched.
    *
    * @param {Object} queryParams - Contains the query parameters for finding a
    *  specific section.
    * @param {Number} [queryParams.id] - ID of the section.
    * @param {String} [queryParams.sectionName] - Name of the section.
+   * @param {String} [queryParams.owner] - Username that the custom section
+   *  belongs to.  Used only when searching by name.
    * @returns {Promise<Section>} A new Section instance that contains the
    *  section's data.
    */
@@ -118,15 +132,24 @@ class Section {
     logger.verbose(logPrefix);
 
     // Allowed parameters.
-    const { id, sectionName } = queryParams;
+    const { id, sectionName, owner = null } = queryParams;
 
-    const queryConfig = {
-      text: `
+    const queryConfig =
+      id == undefined
+        ? {
+            text: `
   SELECT ${Section._allDbColsAsJs}
   FROM ${Section.tableName}
-  WHERE ${id == undefined ? 'section_name' : 'id'} = $1;`,
-      values: [id == undefined ? sectionName : id],
-    };
+  WHERE section_name = $1 AND owner IS NOT DISTINCT FROM $2;`,
+            values: [sectionName, owner],
+          }
+        : {
+            text: `
+  SELECT ${Section._allDbColsAsJs}
+  FROM ${Section.tableName}
+  WHERE id = $1;`,
+            values: [id],
+          };
 
     const result = await db.query({ queryConfig, logPrefix });
 
@@ -24,6 +24,7 @@ const dataForUpdate = Object.freeze(
 const expectedDataInNewInstances = dataForNewInstances.map((data) => ({
   id: expect.any(Number),
   sectionName: data.sectionName,
+  owner: null,
 }));
 
 const whereClauseToGetOne = 'WHERE id = $1';
@@ -7,6 +7,8 @@ const Document = require('./document');
 const Document_X_Section = require('./document_x_section');
 const User = require('./user');
 
+const { NotFoundError } = require('../errors/appErrors');
+
 const { users, sections: sectionsInputData } = require('../_testData');
 const {
   commonBeforeAll,
@@ -33,6 +35,57 @@ describe('Section', () => {
 
   afterAll(() => commonAfterAll(db));
 
+  // --------------------------------------------------
+  // getAll
+
+  describe('getAll', () => {
+    let builtInSection;
+    let customSection;
+
+    beforeAll(async () => {
+      await clearTable(db, Section.tableName);
+
+      builtInSection = await Section.add({ sectionName: 'Education' });
+      customSection = await Section.add({
+        sectionName: 'Publications',
+        owner: users[0].username,
+      });
+    });
+
+    afterAll(() => clearTable(db, Section.tableName));
+
+    test('Gets only the built-in sections if no owner is given.', async () => {
+      // Act
+      const sections = await Section.getAll();
+
+      // Assert
+      expect(sections).toEqual([builtInSection]);
+    });
+
+    test("Gets the built-in sections and the owner's custom sections.", async () => {
+      // Act
+      const sections = await Section.getAll(users[0].username);
+
+      // Assert
+      expect(sections).toEqual([builtInSection, customSection]);
+    });
+
+    test('Gets a custom section by name only for its owner.', async () => {
+      // Act
+      const section = await Section.get({
+        sectionName: 'Publications',
+        owner: users[0].username,
+      });
+      async function runFunc() {
+        await Section.get({ sectionName: 'Publications' });
+      }
+
+      // Assert
+      expect(section).toEqual(customSection);
+      await expect(runFunc).rejects.toThrow(NotFoundError);
+    });
+  });
+
   // --------------------------------------------------
   // getAllInDocument
 
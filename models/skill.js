@@ -3,7 +3,11 @@
 const db = require('../database/db');
 const { convertPropsForSqlUpdate } = require('../util/sqlHelpers');
 
-const { AppServerError, NotFoundError } = require('../errors/appErrors');
+const {
+  AppServerError,
+  BadRequestError,
+  NotFoundError,
+} = require('../errors/appErrors');
 
 const logger = require('../util/logger');
 
@@ -78,6 +82,13 @@ class Skill {
               `text snippet version: ${props.textSnippetVersion}.`
           );
         }
+        // PostgreSQL error code 23505 is for unique constraint violation.
+        // Only skill name and owner combinations need to be unique.
+        if (err.code === '23505') {
+          throw new BadRequestError(
+            `Skill with name "${name}" already exists.`
+          );
+        }
       },
     });
 
@@ -111,9 +122,11 @@ class Skill {
    * Retrieves a specific skill by ID.
    *
    * @param {Object} queryParams - Contains the query parameters for finding a
-   *  specific skill.
+   *  specific skill.  Either the ID, or the name and owner, are needed, since
+   *  skill names are only unique per user.
    * @param {Number} [queryParams.id] - ID of the skill.
    * @param {String} [queryParams.name] - Name of the skill.
+   * @param {String} [queryParams.owner] - Username that the skill belongs to.
    * @returns {Promise<Skill>} A new Skill instance that contains the skill's
    *  data.
    */
@@ -122,15 +135,24 @@ class Skill {
     logger.verbose(logPrefix);
 
     // Allowed parameters.
-    const { id, name } = queryParams;
+    const { id, name, owner } = queryParams;
 
-    const queryConfig = {
-      text: `
+    const queryConfig =
+      id == undefined
+        ? {
+            text: `
   SELECT ${Skill._allDbColsAsJs}
   FROM ${Skill.tableName}
-  WHERE ${id == undefined ? 'name' : 'id'} = $1;`,
-      values: [id == undefined ? name : id],
-    };
+  WHERE name = $1 AND owner = $2;`,
+            values: [name, owner],
+          }
+        : {
+            text: `
+  SELECT ${Skill._allDbColsAsJs}
+  FROM ${Skill.tableName}
+  WHERE id = $1;`,
+            values: [id],
+          };
 
     const result = await db.query({ queryConfig, logPrefix });
 
@@ -151,6 +173,8 @@ class Skill {
    *
    * @param {Object} props - Contains the updated properties.
    * @param {String} [props.name] - New name for this bunch of text for skill.
+   * @param {Date} [props.textSnippetVersion] - Version of the text snippet
+   *  that this skill will now use.
    * @returns {Promise<Skill>} The same Skill instance that this method was
    *  called on, but with updated property values.
    */
@@ -172,7 +196,18 @@ class Skill {
       values: [...sqlValues, this.id],
     };
 
-    const result = await db.query({ queryConfig, logPrefix });
+    const result = await db.query({
+      queryConfig,
+      logPrefix,
+      errorCallback: (err) => {
+        // PostgreSQL error code 23505 is for unique constraint violation.
+        if (err.code === '23505') {
+          throw new BadRequestError(
+            `Skill with name "${props.name}" already exists.`
+          );
+        }
+      },
+    });
 
     if (result.rowCount === 0) {
       logger.error(`${logPrefix}: Skill with ID ${this.id} was not found.`);
@@ -187,6 +222,44 @@ class Skill {
     return this;
   }
 
+  /**
+   * Replaces a text snippet version in all skills that use it.  This is used
+   * when a text snippet gets updated, which creates a new version of it.
+   *
+   * @param {Number} textSnippetId - ID of the text snippet to replace.
+   * @param {Date} oldTextSnippetVersion - Version of the text snippet to
+   *  replace.
+   * @param {Date} newTextSnippetVersion - Version of the text snippet to
+   *  replace the old version with.
+   * @returns {Promise<Number>} The amount of skills that were changed.
+   */
+  static async replaceTextSnippet(
+    textSnippetId,
+    oldTextSnippetVersion,
+    newTextSnippetVersion
+  ) {
+    const logPrefix =
+      `${this.name}.replaceTextSnippet(` +
+      `textSnippetId = ${textSnippetId}, ` +
+      `oldTextSnippetVersion = "${oldTextSnippetVersion}", ` +
+      `newTextSnippetVersion = "${newTextSnippetVersion}")`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  UPDATE ${Skill.tableName}
+  SET text_snippet_version = $1
+  WHERE text_snippet_id = $2 AND text_snippet_version = $3;`,
+      values: [newTextSnippetVersion, textSnippetId, oldTextSnippetVersion],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    logger.verbose(`${logPrefix}: ${result.rowCount} replaced.`);
+
+    return result.rowCount;
+  }
+
   /**
    * Deletes a skill entry in the database.  Does not delete the instance
    * properties/fields.  Remember to delete the instance this belongs to!
@@ -3,7 +3,11 @@
 const db = require('../database/db');
 const Skill = require('./skill');
 
-const { AppServerError, NotFoundError } = require('../errors/appErrors');
+const {
+  AppServerError,
+  BadRequestError,
+  NotFoundError,
+} = require('../errors/appErrors');
 
 const TextSnippet = require('./textSnippet');
 const User = require('./user');
@@ -56,8 +60,13 @@ describe('Skill', () => {
           queryConfig: {
             text: `
   INSERT INTO ${User.tableName}
-  VALUES ($1, $2);`,
-            values: [users[0].username, users[0].password],
+  VALUES ($1, $2), ($3, $4);`,
+            values: [
+              users[0].username,
+              users[0].password,
+              users[1].username,
+              users[1].password,
+            ],
           },
         })
       )
@@ -166,7 +175,7 @@ describe('Skill', () => {
         }
 
         // Assert
-        await expect(runFunc).rejects.toThrow();
+        await expect(runFunc).rejects.toThrow(BadRequestError);
 
         const databaseEntries = (
           await db.query({
@@ -182,6 +191,23 @@ describe('Skill', () => {
         expect(databaseEntries[0]).toEqual(expectedSkillData[0]);
       }
     );
+
+    test('Adds skills with the same name for different users.', async () => {
+      // Arrange
+      await Skill.add(newSkillData[0]);
+
+      // Act
+      const skill = await Skill.add({
+        ...newSkillData[0],
+        owner: users[1].username,
+      });
+
+      // Assert
+      expect(skill).toEqual({
+        ...expectedSkillData[0],
+        owner: users[1].username,
+      });
+    });
   });
 
   // -------------------------------------------------- getAll
@@ -253,6 +279,24 @@ describe('Skill', () => {
       }
     );
 
+    test('Gets a skill by name from only the given user.', async () => {
+      // Arrange
+      await Skill.add(newSkillData[0]);
+      const otherUserSkill = await Skill.add({
+        ...newSkillData[0],
+        owner: users[1].username,
+      });
+
+      // Act
+      const instance = await Skill.get({
+        name: skills[0].name,
+        owner: users[1].username,
+      });
+
+      // Assert
+      expect(instance).toEqual(otherUserSkill);
+    });
+
     test(`Throws an Error if skill is not found.`, async () => {
       // Arrange
       const queryParams = { id: 999 };
@@ -326,6 +370,56 @@ describe('Skill', () => {
       // Assert
       await expect(runFunc).rejects.toThrow(AppServerError);
     });
+
+    test('Throws an Error if updating to the name of another skill.', async () => {
+      // Arrange
+      const otherSkill = await Skill.add(newSkillData[1]);
+
+      // Act
+      async function runFunc() {
+        await preexistingSkill.update({ name: otherSkill.name });
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(BadRequestError);
+    });
+  });
+
+  // -------------------------------------------------- replaceTextSnippet
+
+  describe('replaceTextSnippet', () => {
+    test('Replaces the text snippet version in all skills that use it.', async () => {
+      // Arrange
+      const addedSkills = [];
+      for (const props of newSkillData) {
+        addedSkills.push(await Skill.add(props));
+      }
+
+      const textSnippet = await TextSnippet.get({
+        id: textSnippetData.textSnippetId,
+        version: textSnippetData.textSnippetVersion,
+      });
+      const updatedTextSnippet = await textSnippet.update({
+        content: 'new content',
+      });
+
+      // Act
+      const amountReplaced = await Skill.replaceTextSnippet(
+        textSnippet.id,
+        textSnippet.version,
+        updatedTextSnippet.version
+      );
+
+      // Assert
+      expect(amountReplaced).toBe(addedSkills.length);
+
+      for (const skill of addedSkills) {
+        expect(await Skill.get({ id: skill.id })).toEqual({
+          ...skill,
+          textSnippetVersion: updatedTextSnippet.version,
+        });
+      }
+    });
   });
 
   // -------------------------------------------------- delete
@@ -4,11 +4,50 @@ const db = require('../database/db');
 
 const Document_X_Experience = require('./document_x_experience');
 const Experience_X_Text_Snippet = require('./experience_x_textSnippet');
+const Document_X_Project = require('./document_x_project');
+const Project_X_Text_Snippet = require('./project_x_textSnippet');
+const CustomSectionEntry_X_Text_Snippet = require('./customSectionEntry_x_textSnippet');
+const CoverLetter_X_Text_Snippet = require('./coverLetter_x_textSnippet');
 
 const { AppServerError, NotFoundError } = require('../errors/appErrors');
 
 const logger = require('../util/logger');
 
+// Marks the start and end of matched words in search highlights.  These are
+// control characters, so they are not expected in the content and are kept
+// apart from the HTML escaping.
+const highlightStart = '\u0001';
+const highlightStop = '\u0002';
+
+// Replaces "<" in the content given to ts_headline, which would otherwise drop
+// anything that looks like an HTML tag.
+const highlightLessThan = '\u0003';
+
+// HTML entities of the characters that are escaped in search highlights.
+const htmlEntities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Converts a highlight from ts_headline into HTML.  The text is escaped, and
+ * the matched words are wrapped in <b> and </b>.
+ *
+ * @param {String} highlight - Highlight with the matched words between
+ *  highlightStart and highlightStop, and highlightLessThan in place of "<".
+ * @returns {String} The highlight as HTML.
+ */
+function highlightToHtml(highlight) {
+  return highlight
+    .replace(/[&<>"']/g, (char) => htmlEntities[char])
+    .replaceAll(highlightLessThan, htmlEntities['<'])
+    .replaceAll(highlightStart, '<b>')
+    .replaceAll(highlightStop, '</b>');
+}
+
 // ==================================================
 
 /**
@@ -107,6 +146,91 @@ class TextSnippet {
     return result.rows.map((data) => new TextSnippet(...Object.values(data)));
   }
 
+  /**
+   * Searches the content of a user's text snippets with PostgreSQL full-text
+   * search.  The search query is in the format of websearch_to_tsquery, so it
+   * can have quoted phrases, "or", and "-" to exclude words.
+   *
+   * @param {String} owner - Name of the user whose text snippets are searched.
+   * @param {String} query - What to search for.
+   * @param {Object} [filters] - Limits the text snippets that are searched.
+   * @param {String} [filters.type] - Type of content.
+   * @param {Boolean} [filters.latestOnly] - Whether to only search the newest
+   *  version of each text snippet.
+   * @param {Number} [filters.experienceId] - ID of the experience that the text
+   *  snippets are in, in any document and at any version.
+   * @returns {Promise<{textSnippet: TextSnippet, highlight: String}[]>} The
+   *  matching text snippets, from best to worst match, each with a highlight.
+   *  The highlight is an excerpt of up to 35 words of the content around the
+   *  matched words.  It is HTML, where the content is escaped and the matched
+   *  words are wrapped in <b> and </b>.
+   */
+  static async search(owner, query, filters = {}) {
+    const logPrefix =
+      `${this.name}.search(` +
+      `owner = "${owner}", ` +
+      `query = "${query}", ` +
+      `filters = ${JSON.stringify(filters)})`;
+    logger.verbose(logPrefix);
+
+    const { type = null, latestOnly = false, experienceId = null } = filters;
+
+    const queryConfig = {
+      text: `
+  SELECT ${TextSnippet.#allDbColsAsJs('t')},
+    ts_headline(
+      'english',
+      translate(t.content, '<' || $6::TEXT || $7::TEXT || $8::TEXT, $8),
+      query,
+      'StartSel=' || $6::TEXT || ', StopSel=' || $7::TEXT ||
+        ', MaxWords=35, MinWords=15'
+    ) AS highlight
+  FROM ${TextSnippet.tableName} AS t,
+    websearch_to_tsquery('english', $2) AS query
+  WHERE t.owner = $1
+    AND to_tsvector('english', t.content) @@ query
+    AND ($3::TEXT IS NULL OR t.type = $3)
+    AND (
+      NOT $4::BOOLEAN
+      OR t.version = (
+        SELECT MAX(version)
+        FROM ${TextSnippet.tableName}
+        WHERE id = t.id
+      )
+    )
+    AND (
+      $5::INTEGER IS NULL
+      OR t.id IN (
+        SELECT ext.text_snippet_id
+        FROM ${Experience_X_Text_Snippet.tableName} AS ext
+        JOIN ${Document_X_Experience.tableName} AS dxe
+        ON ext.document_x_experience_id = dxe.id
+        WHERE dxe.experience_id = $5
+      )
+    )
+  ORDER BY ts_rank(to_tsvector('english', t.content), query) DESC,
+    t.id,
+    t.version DESC;`,
+      values: [
+        owner,
+        query,
+        type,
+        latestOnly,
+        experienceId,
+        highlightStart,
+        highlightStop,
+        highlightLessThan,
+      ],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map(({ highlight, ...data }) => ({
+      textSnippet: new TextSnippet(...Object.values(data)),
+      highlight: highlightToHtml(highlight),
+    }));
+  }
+
   /**
    * Gets all text snippets for a specified experience from a user.
    *
@@ -179,6 +303,167 @@ class TextSnippet {
     return result.rows.map((data) => new TextSnippet(...Object.values(data)));
   }
 
+  /**
+   * Gets all text snippets for a specified project from a user.
+   *
+   * @param {String} owner - Name of the user to get text snippets for.
+   * @param {Number} projectId - ID of the project to get text snippets for.
+   * @returns {Promise<TextSnippet[]>} A list of text snippets belonging to a
+   *  project.
+   */
+  static async getAllForProject(owner, projectId) {
+    const logPrefix =
+      `${this.name}.getAllForProject(` +
+      `owner = ${owner}, ` +
+      `projectId = ${projectId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT DISTINCT ${TextSnippet.#allDbColsAsJs('t')}
+  FROM ${TextSnippet.tableName} AS t
+  JOIN ${Project_X_Text_Snippet.tableName} AS pxt
+  ON t.id = pxt.text_snippet_id AND t.version = pxt.text_snippet_version
+  JOIN ${Document_X_Project.tableName} AS dxp
+  ON pxt.document_x_project_id = dxp.id
+  WHERE t.owner = $1 AND dxp.project_id = $2;`,
+      values: [owner, projectId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => new TextSnippet(...Object.values(data)));
+  }
+
+  /**
+   * Gets all text snippets for a specified project in a document from a user.
+   *
+   * @param {String} owner - Name of the user to get text snippets for.
+   * @param {Number} documentId - ID of the document that the project belongs
+   *  to.
+   * @param {Number} projectId - ID of the project to get text snippets for.
+   * @returns {Promise<TextSnippet[]>} A list of text snippets belonging to a
+   *  project, ordered by position.
+   */
+  static async getAllForProjectInDocument(owner, documentId, projectId) {
+    const logPrefix =
+      `${this.name}.getAllForProjectInDocument(` +
+      `owner = ${owner}, ` +
+      `documentId = ${documentId}, ` +
+      `projectId = ${projectId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT ${TextSnippet.#allDbColsAsJs('t')}
+  FROM ${TextSnippet.tableName} AS t
+  JOIN ${Project_X_Text_Snippet.tableName} AS pxt
+  ON t.id = pxt.text_snippet_id AND t.version = pxt.text_snippet_version
+  JOIN ${Document_X_Project.tableName} AS dxp
+  ON pxt.document_x_project_id = dxp.id
+  WHERE t.owner = $1 AND dxp.document_id = $2 AND dxp.project_id = $3
+  GROUP BY t.id, t.version, pxt.position
+  ORDER BY pxt.position;`,
+      values: [owner, documentId, projectId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => new TextSnippet(...Object.values(data)));
+  }
+
+  /**
+   * Gets all text snippets for a specified custom section entry from a user.
+   *
+   * @param {String} owner - Name of the user to get text snippets for.
+   * @param {Number} customSectionEntryId - ID of the custom section entry to
+   *  get text snippets for.
+   * @returns {Promise<TextSnippet[]>} A list of text snippets belonging to a
+   *  custom section entry, ordered by position.
+   */
+  static async getAllForCustomSectionEntry(owner, customSectionEntryId) {
+    const logPrefix =
+      `${this.name}.getAllForCustomSectionEntry(` +
+      `owner = ${owner}, ` +
+      `customSectionEntryId = ${customSectionEntryId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT ${TextSnippet.#allDbColsAsJs('t')}
+  FROM ${TextSnippet.tableName} AS t
+  JOIN ${CustomSectionEntry_X_Text_Snippet.tableName} AS cext
+  ON t.id = cext.text_snippet_id AND t.version = cext.text_snippet_version
+  WHERE t.owner = $1 AND cext.custom_section_entry_id = $2
+  ORDER BY cext.position;`,
+      values: [owner, customSectionEntryId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => new TextSnippet(...Object.values(data)));
+  }
+
+  /**
+   * Gets all text snippets that are the paragraphs of a cover letter from a
+   * user.
+   *
+   * @param {String} owner - Name of the user to get text snippets for.
+   * @param {Number} documentId - ID of the cover letter to get text snippets
+   *  for.
+   * @returns {Promise<TextSnippet[]>} A list of text snippets belonging to a
+   *  cover letter, ordered by position.
+   */
+  static async getAllForCoverLetter(owner, documentId) {
+    const logPrefix =
+      `${this.name}.getAllForCoverLetter(` +
+      `owner = ${owner}, ` +
+      `documentId = ${documentId})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT ${TextSnippet.#allDbColsAsJs('t')}
+  FROM ${TextSnippet.tableName} AS t
+  JOIN ${CoverLetter_X_Text_Snippet.tableName} AS clxt
+  ON t.id = clxt.text_snippet_id AND t.version = clxt.text_snippet_version
+  WHERE t.owner = $1 AND clxt.document_id = $2
+  ORDER BY clxt.position;`,
+      values: [owner, documentId],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => new TextSnippet(...Object.values(data)));
+  }
+
+  /**
+   * Gets every version of a text snippet.  Together, the parents of the
+   * versions make up the version tree, since more than one version can come
+   * from the same parent.
+   *
+   * @param {Number} id - ID of the text snippet.
+   * @returns {Promise<TextSnippet[]>} A list of all versions of the text
+   *  snippet, from oldest to newest.
+   */
+  static async getAllVersions(id) {
+    const logPrefix = `${this.name}.getAllVersions(${id})`;
+    logger.verbose(logPrefix);
+
+    const queryConfig = {
+      text: `
+  SELECT ${TextSnippet._allDbColsAsJs}
+  FROM ${TextSnippet.tableName}
+  WHERE id = $1
+  ORDER BY version;`,
+      values: [id],
+    };
+
+    const result = await db.query({ queryConfig, logPrefix });
+
+    return result.rows.map((data) => new TextSnippet(...Object.values(data)));
+  }
+
   /**
    * Retrieves a specific text snippet by ID and version.
    *
@@ -235,11 +520,34 @@ class TextSnippet {
     )}.update(${JSON.stringify(props)})`;
     logger.verbose(logPrefix);
 
-    // Make a new entry so that the old version is kept.
+    // Make a new entry so that the old version is kept.  The new version is
+    // always after the newest existing version, even when both are made within
+    // the same millisecond, so that versions stay unique and in order.
     const queryConfig = {
       text: `
-  INSERT INTO ${TextSnippet.tableName} (id, owner, parent, type, content)
-  VALUES ($1, $2, $3, $4, $5)
+  INSERT INTO ${TextSnippet.tableName} (
+    id,
+    version,
+    owner,
+    parent,
+    type,
+    content
+  )
+  VALUES (
+    $1,
+    GREATEST(
+      NOW(),
+      (
+        SELECT MAX(version) + INTERVAL '1 millisecond'
+        FROM ${TextSnippet.tableName}
+        WHERE id = $1
+      )
+    ),
+    $2,
+    $3,
+    $4,
+    $5
+  )
   RETURNING ${TextSnippet._allDbColsAsJs};`,
       values: [
         this.id,
@@ -5,6 +5,9 @@ const Experience = require('./experience');
 const Experience_X_Text_Snippet = require('./experience_x_textSnippet');
 const Document = require('./document');
 const Document_X_Experience = require('./document_x_experience');
+const Project = require('./project');
+const Project_X_Text_Snippet = require('./project_x_textSnippet');
+const Document_X_Project = require('./document_x_project');
 const TextSnippet = require('./textSnippet');
 const User = require('./user');
 
@@ -13,6 +16,8 @@ const {
   documents,
   experiences,
   documents_x_experiences,
+  projects,
+  documents_x_projects,
   textSnippets,
 } = require('../_testData');
 const {
@@ -173,6 +178,385 @@ describe('TextSnippet', () => {
     );
   });
 
+  // -------------------------------------------------- getAllForProject
+
+  describe('getAllForProject', () => {
+    let addedProject;
+    let addedDocumentXProject;
+
+    beforeAll(async () => {
+      await Document.add(documents[0]);
+      addedProject = await Project.add(projects[0]);
+      addedDocumentXProject = await Document_X_Project.add(
+        documents_x_projects[0]
+      );
+    });
+
+    afterAll(async () => {
+      await clearTable(db, Document.tableName);
+      await clearTable(db, Project.tableName);
+    });
+
+    test.each([
+      [0, []],
+      [textSnippets.length, textSnippets],
+    ])(
+      'Gets all %i text snippets for a project.',
+      async (_length, textSnippetsToAdd) => {
+        // Arrange
+        let nextPosition = 0;
+
+        for (const textSnippetToAdd of textSnippetsToAdd) {
+          const addedTextSnippet = await TextSnippet.add(textSnippetToAdd);
+          await Project_X_Text_Snippet.add({
+            documentXProjectId: addedDocumentXProject.id,
+            textSnippetId: addedTextSnippet.id,
+            textSnippetVersion: addedTextSnippet.version,
+            position: nextPosition++,
+          });
+        }
+
+        // Act
+        const textSnippets = await TextSnippet.getAllForProject(
+          users[0].username,
+          addedProject.id
+        );
+
+        // Assert
+        const expectedTextSnippets = textSnippetsToAdd.map(
+          (textSnippetToAdd) =>
+            new TextSnippet(
+              expect.any(Number),
+              expect.any(Date),
+              textSnippetToAdd.owner,
+              null,
+              textSnippetToAdd.type,
+              textSnippetToAdd.content
+            )
+        );
+
+        expect(textSnippets).toStrictEqual(expectedTextSnippets);
+      }
+    );
+  });
+
+  // -------------------------------------------------- getAllForProjectInDocument
+
+  describe('getAllForProjectInDocument', () => {
+    let addedDocument;
+    let addedProject;
+    let addedDocumentXProject;
+
+    beforeAll(async () => {
+      addedDocument = await Document.add(documents[0]);
+      await Document.add(documents[1]);
+      addedProject = await Project.add(projects[0]);
+      await Project.add(projects[1]);
+      addedDocumentXProject = await Document_X_Project.add(
+        documents_x_projects[0]
+      );
+      await Document_X_Project.add(documents_x_projects[1]);
+    });
+
+    afterAll(async () => {
+      await clearTable(db, Document.tableName);
+      await clearTable(db, Project.tableName);
+    });
+
+    test.each([
+      [0, []],
+      [textSnippets.length, textSnippets],
+    ])(
+      'Gets all %i text snippets for a project for a particular document.',
+      async (_length, textSnippetsToAdd) => {
+        // Arrange
+        let nextPosition = 0;
+
+        for (const textSnippetToAdd of textSnippetsToAdd) {
+          const addedTextSnippet = await TextSnippet.add(textSnippetToAdd);
+          await Project_X_Text_Snippet.add({
+            documentXProjectId: addedDocumentXProject.id,
+            textSnippetId: addedTextSnippet.id,
+            textSnippetVersion: addedTextSnippet.version,
+            position: nextPosition++,
+          });
+        }
+
+        // Act
+        const textSnippets = await TextSnippet.getAllForProjectInDocument(
+          users[0].username,
+          addedDocument.id,
+          addedProject.id
+        );
+
+        // Assert
+        const expectedTextSnippets = textSnippetsToAdd.map(
+          (textSnippetToAdd) =>
+            new TextSnippet(
+              expect.any(Number),
+              expect.any(Date),
+              textSnippetToAdd.owner,
+              null,
+              textSnippetToAdd.type,
+              textSnippetToAdd.content
+            )
+        );
+
+        expect(textSnippets).toStrictEqual(expectedTextSnippets);
+      }
+    );
+  });
+
+  // -------------------------------------------------- update
+
+  describe('update', () => {
+    test('Makes unique versions, even when updated many times in a row.', async () => {
+      // Arrange
+      const original = await TextSnippet.add(textSnippets[0]);
+
+      // Act
+      const newVersions = [];
+      for (let i = 0; i < 20; i++) {
+        newVersions.push(await original.update({ content: `content ${i}` }));
+      }
+
+      // Assert
+      const versionTimes = [original, ...newVersions].map(({ version }) =>
+        version.getTime()
+      );
+      versionTimes.slice(1).forEach((time, i) => {
+        expect(time).toBeGreaterThan(versionTimes[i]);
+      });
+    });
+  });
+
+  // -------------------------------------------------- getAllVersions
+
+  describe('getAllVersions', () => {
+    test('Gets all versions of a text snippet, from oldest to newest.', async () => {
+      // Arrange
+      const original = await TextSnippet.add(textSnippets[0]);
+      const child = await original.update({ content: 'child' });
+      // A second version made from the same parent, which branches the tree.
+      const sibling = await original.update({ content: 'sibling' });
+      const otherTextSnippet = await TextSnippet.add(textSnippets[1]);
+
+      // Act
+      const versions = await TextSnippet.getAllVersions(original.id);
+
+      // Assert
+      expect(versions).toStrictEqual([original, child, sibling]);
+      expect(versions.map(({ parent }) => parent)).toEqual([
+        null,
+        original.version,
+        original.version,
+      ]);
+      expect(versions).not.toContainEqual(otherTextSnippet);
+    });
+
+    test('Returns an empty list if the text snippet does not exist.', async () => {
+      // Act
+      const versions = await TextSnippet.getAllVersions(999);
+
+      // Assert
+      expect(versions).toEqual([]);
+    });
+  });
+
+  // -------------------------------------------------- search
+
+  describe('search', () => {
+    const owner = users[0].username;
+    let addedDocumentXExperience;
+    let kafkaBullet;
+    let kafkaBulletUpdate;
+    let kafkaParagraph;
+
+    beforeAll(async () => {
+      await Document.add(documents[0]);
+      await Experience.add(experiences[0]);
+      addedDocumentXExperience = await Document_X_Experience.add(
+        documents_x_experiences[0]
+      );
+    });
+
+    beforeEach(async () => {
+      kafkaBullet = await TextSnippet.add({
+        owner,
+        type: 'bullet point',
+        content: 'Built a Kafka pipeline for streaming events.',
+      });
+      kafkaBulletUpdate = await kafkaBullet.update({
+        content: 'Built Kafka pipelines that stream millions of events.',
+      });
+      kafkaParagraph = await TextSnippet.add({
+        owner,
+        type: 'paragraph',
+        content: 'Worked with Kafka every day.',
+      });
+      // Does not mention Kafka.
+      await TextSnippet.add({
+        owner,
+        type: 'bullet point',
+        content: 'Led a team of four engineers.',
+      });
+    });
+
+    afterAll(async () => {
+      await clearTable(db, Document.tableName);
+      await clearTable(db, Experience.tableName);
+    });
+
+    test('Finds text snippets with matching content, with highlights.', async () => {
+      // Act
+      const results = await TextSnippet.search(owner, 'kafka');
+
+      // Assert
+      expect(results).toHaveLength(3);
+      expect(results).toEqual(
+        expect.arrayContaining([
+          {
+            textSnippet: kafkaBullet,
+            highlight: 'Built a <b>Kafka</b> pipeline for streaming events.',
+          },
+          {
+            textSnippet: kafkaBulletUpdate,
+            highlight:
+              'Built <b>Kafka</b> pipelines that stream millions of events.',
+          },
+          {
+            textSnippet: kafkaParagraph,
+            highlight: 'Worked with <b>Kafka</b> every day.',
+          },
+        ])
+      );
+    });
+
+    test('Escapes HTML in highlights.', async () => {
+      // Arrange
+      await TextSnippet.add({
+        owner,
+        type: 'bullet point',
+        content: 'Tuned <script>alert("x")</script> Postgres & <b>Redis</b>.',
+      });
+
+      // Act
+      const results = await TextSnippet.search(owner, 'postgres');
+
+      // Assert
+      expect(results).toHaveLength(1);
+      expect(results[0].highlight).not.toMatch(/<(?!\/?b>)/);
+      expect(results[0].highlight).toContain('&lt;/script&gt;');
+      expect(results[0].highlight).toContain('<b>Postgres</b> &amp;');
+      expect(results[0].highlight).toContain('&lt;b&gt;Redis&lt;/b&gt;');
+    });
+
+    test('Does not highlight words in escaped HTML.', async () => {
+      // Arrange
+      await TextSnippet.add({
+        owner,
+        type: 'bullet point',
+        content: 'Tuned the amp & mixer for <live> shows.',
+      });
+
+      // Act
+      const ampResults = await TextSnippet.search(owner, 'amp');
+      const ltResults = await TextSnippet.search(owner, 'lt');
+
+      // Assert
+      expect(ampResults).toHaveLength(1);
+      expect(ampResults[0].highlight).toBe(
+        'Tuned the <b>amp</b> &amp; mixer for &lt;live&gt; shows.'
+      );
+      expect(ltResults).toHaveLength(0);
+    });
+
+    test('Highlights only an excerpt of long content.', async () => {
+      // Arrange
+      const filler = 'Wrote many lines of code. '.repeat(20);
+      await TextSnippet.add({
+        owner,
+        type: 'paragraph',
+        content: `${filler}Moved servers to Terraform. ${filler}`,
+      });
+
+      // Act
+      const results = await TextSnippet.search(owner, 'terraform');
+
+      // Assert
+      expect(results).toHaveLength(1);
+      expect(results[0].highlight).toContain('<b>Terraform</b>');
+      expect(results[0].highlight.length).toBeLessThan(
+        results[0].textSnippet.content.length / 2
+      );
+    });
+
+    test('Matches different forms of the same words.', async () => {
+      // Act
+      const results = await TextSnippet.search(owner, 'streamed pipeline');
+
+      // Assert
+      expect(results.map(({ textSnippet }) => textSnippet)).toEqual(
+        expect.arrayContaining([kafkaBullet, kafkaBulletUpdate])
+      );
+      expect(results).toHaveLength(2);
+    });
+
+    test('Filters by type.', async () => {
+      // Act
+      const results = await TextSnippet.search(owner, 'kafka', {
+        type: 'paragraph',
+      });
+
+      // Assert
+      expect(results.map(({ textSnippet }) => textSnippet)).toEqual([
+        kafkaParagraph,
+      ]);
+    });
+
+    test('Only searches the newest versions.', async () => {
+      // Act
+      const results = await TextSnippet.search(owner, 'kafka', {
+        latestOnly: true,
+      });
+
+      // Assert
+      expect(results.map(({ textSnippet }) => textSnippet)).toEqual(
+        expect.arrayContaining([kafkaBulletUpdate, kafkaParagraph])
+      );
+      expect(results).toHaveLength(2);
+    });
+
+    test('Filters by experience.', async () => {
+      // Arrange
+      await Experience_X_Text_Snippet.add({
+        documentXExperienceId: addedDocumentXExperience.id,
+        textSnippetId: kafkaBullet.id,
+        textSnippetVersion: kafkaBullet.version,
+        position: 0,
+      });
+
+      // Act
+      const results = await TextSnippet.search(owner, 'kafka', {
+        experienceId: addedDocumentXExperience.experienceId,
+        latestOnly: true,
+      });
+
+      // Assert
+      expect(results.map(({ textSnippet }) => textSnippet)).toEqual([
+        kafkaBulletUpdate,
+      ]);
+    });
+
+    test('Returns an empty list if nothing matches.', async () => {
+      // Act
+      const results = await TextSnippet.search(owner, 'rabbitmq');
+
+      // Assert
+      expect(results).toEqual([]);
+    });
+  });
+
   // -------------------------------------------------- delete
 
   describe('delete', () => {
@@ -4,10 +4,15 @@ const express = require('express');
 
 const userRegisterSchema = require('../schemas/userRegister.json');
 const userSigninSchema = require('../schemas/userSignin.json');
+const refreshTokenSchema = require('../schemas/refreshToken.json');
 
 const User = require('../models/user');
 const { createUser } = require('../services/userService');
-const { createJWT } = require('../util/tokens');
+const {
+  createAuthTokens,
+  refreshAuthTokens,
+  signout,
+} = require('../services/authService');
 const { runJsonSchemaValidator } = require('../util/validators');
 
 const logger = require('../util/logger');
@@ -20,7 +25,7 @@ const router = new express.Router();
 
 /**
  * POST /auth/register
- * { username, password } => { authToken }
+ * { username, password } => { authToken, refreshToken }
  *
  * Authorization required: none
  *
@@ -28,8 +33,11 @@ const router = new express.Router();
  *
  * @param {String} username - Username for the new user.
  * @param {String} password - Password for the new user.
- * @returns {String} authToken - A JWT that can be used to authenticate further
+ * @returns {{ authToken, refreshToken }}
+ *  authToken - A short-lived JWT that can be used to authenticate further
  *  requests.
+ *  refreshToken - A token that can be used once to get new tokens.  See POST
+ *  /auth/refresh.
  */
 router.post('/register', async (req, res, next) => {
   const logPrefix = `POST /auth/register (request body: ${JSON.stringify({
@@ -41,9 +49,9 @@ router.post('/register', async (req, res, next) => {
   try {
     runJsonSchemaValidator(userRegisterSchema, req.body, logPrefix);
 
-    const authToken = await createUser(req.body);
+    const { authToken, refreshToken } = await createUser(req.body);
 
-    return res.status(201).json({ authToken });
+    return res.status(201).json({ authToken, refreshToken });
   } catch (err) {
     return next(err);
   }
@@ -51,14 +59,17 @@ router.post('/register', async (req, res, next) => {
 
 /**
  * POST /auth/signin
- * { username, password } => { authToken }
+ * { username, password } => { authToken, refreshToken }
  *
  * Authorization required: none
  *
  * @param {String} username - Username of the existing user.
  * @param {String} password - Password of the existing user.
- * @returns {String} authToken - A JWT that can be used to authenticate further
+ * @returns {{ authToken, refreshToken }}
+ *  authToken - A short-lived JWT that can be used to authenticate further
  *  requests.
+ *  refreshToken - A token that can be used once to get new tokens.  See POST
+ *  /auth/refresh.
  */
 router.post('/signin', async (req, res, next) => {
   const logPrefix = `POST /auth/signin (request body: ${JSON.stringify({
@@ -71,9 +82,75 @@ router.post('/signin', async (req, res, next) => {
     runJsonSchemaValidator(userSigninSchema, req.body, logPrefix);
 
     const user = await User.signin(req.body);
-    const authToken = createJWT(user);
+    const { authToken, refreshToken } = await createAuthTokens(user.username);
 
-    return res.json({ authToken });
+    return res.json({ authToken, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * POST /auth/refresh
+ * { refreshToken } => { authToken, refreshToken }
+ *
+ * Authorization required: none
+ *
+ * Gets new tokens for when the JWT has expired.  A refresh token can only be
+ * used once, so the returned refresh token needs to be used next time.  If a
+ * refresh token is used again, then it and every refresh token given after it
+ * are revoked, and the user needs to sign in again.
+ *
+ * @param {String} refreshToken - Refresh token from the last register, signin,
+ *  or refresh.
+ * @returns {{ authToken, refreshToken }} New tokens.  See POST /auth/signin.
+ */
+router.post('/refresh', async (req, res, next) => {
+  const logPrefix = `POST /auth/refresh (request body: ${JSON.stringify({
+    ...req.body,
+    refreshToken: '(refresh token)',
+  })})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    runJsonSchemaValidator(refreshTokenSchema, req.body, logPrefix);
+
+    const { authToken, refreshToken } = await refreshAuthTokens(
+      req.body.refreshToken
+    );
+
+    return res.json({ authToken, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * POST /auth/signout
+ * { refreshToken } => {}
+ *
+ * Authorization required: none
+ *
+ * Revokes the refresh token, along with every refresh token given before and
+ * after it since signing in.  The JWT stays valid until it expires, so the
+ * client should also discard it.
+ *
+ * @param {String} refreshToken - Refresh token from the last register, signin,
+ *  or refresh.
+ */
+router.post('/signout', async (req, res, next) => {
+  const logPrefix = `POST /auth/signout (request body: ${JSON.stringify({
+    ...req.body,
+    refreshToken: '(refresh token)',
+  })})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    runJsonSchemaValidator(refreshTokenSchema, req.body, logPrefix);
+
+    await signout(req.body.refreshToken);
+
+    return res.sendStatus(200);
   } catch (err) {
     return next(err);
   }
@@ -38,7 +38,10 @@ describe('POST /auth/register', () => {
 
     // Assert
     expect(resp.statusCode).toEqual(201);
-    expect(resp.body).toEqual({ authToken: expect.any(String) });
+    expect(resp.body).toEqual({
+      authToken: expect.any(String),
+      refreshToken: expect.any(String),
+    });
 
     const documents = await Document.getAll(user.username);
     expect(documents.length).toBe(1);
@@ -112,7 +115,10 @@ describe('POST /auth/signin', () => {
 
     // Assert
     expect(resp.statusCode).toEqual(200);
-    expect(resp.body).toEqual({ authToken: expect.any(String) });
+    expect(resp.body).toEqual({
+      authToken: expect.any(String),
+      refreshToken: expect.any(String),
+    });
   });
 
   test.each([
@@ -152,3 +158,166 @@ describe('POST /auth/signin', () => {
     expect(resp.body).not.toHaveProperty('authToken');
   });
 });
+
+// --------------------------------------------------
+// POST /auth/refresh
+
+describe('POST /auth/refresh', () => {
+  const url = `${urlPrefix}/auth/refresh`;
+  const user = users[0];
+
+  let authToken;
+  let refreshToken;
+
+  beforeEach(async () => {
+    await clearTable(db, User.tableName);
+
+    const resp = await request(app).post(urlRegisterUser).send({
+      username: user.username,
+      password: user.password,
+    });
+    ({ authToken, refreshToken } = resp.body);
+  });
+
+  test('Gets new tokens with a refresh token.', async () => {
+    // Act
+    const resp = await request(app).post(url).send({ refreshToken });
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      authToken: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toBe(refreshToken);
+
+    const userResp = await request(app)
+      .get(`${urlPrefix}/users/${user.username}/documents`)
+      .set('authorization', `Bearer ${resp.body.authToken}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
+  test('Reusing a refresh token returns 401 status and revokes its family.', async () => {
+    // Arrange
+    const firstResp = await request(app).post(url).send({ refreshToken });
+
+    // Act
+    const resp = await request(app).post(url).send({ refreshToken });
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body).not.toHaveProperty('authToken');
+
+    const newerResp = await request(app)
+      .post(url)
+      .send({ refreshToken: firstResp.body.refreshToken });
+    expect(newerResp.statusCode).toEqual(401);
+  });
+
+  test('Refreshing after a password change returns 401 status.', async () => {
+    // Arrange
+    const signinResp = await request(app)
+      .post(`${urlPrefix}/auth/signin`)
+      .send({ username: user.username, password: user.password });
+
+    const patchResp = await request(app)
+      .patch(`${urlPrefix}/users/${user.username}`)
+      .send({ oldPassword: user.password, newPassword: 'new' + user.password })
+      .set('authorization', `Bearer ${authToken}`);
+    expect(patchResp.statusCode).toEqual(200);
+
+    // Act
+    const responses = await Promise.all(
+      [refreshToken, signinResp.body.refreshToken].map((oldRefreshToken) =>
+        request(app).post(url).send({ refreshToken: oldRefreshToken })
+      )
+    );
+
+    // Assert
+    responses.forEach((resp) => {
+      expect(resp.statusCode).toEqual(401);
+      expect(resp.body).not.toHaveProperty('authToken');
+    });
+  });
+
+  test('Refreshing with an unknown refresh token returns 401 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ refreshToken: 'a'.repeat(64) });
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body).not.toHaveProperty('authToken');
+  });
+
+  test('Refreshing with invalid data returns 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ refreshToken: 'not a refresh token' });
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body).not.toHaveProperty('authToken');
+  });
+});
+
+// --------------------------------------------------
+// POST /auth/signout
+
+describe('POST /auth/signout', () => {
+  const url = `${urlPrefix}/auth/signout`;
+  const user = users[0];
+
+  let refreshToken;
+
+  beforeEach(async () => {
+    await clearTable(db, User.tableName);
+
+    const resp = await request(app).post(urlRegisterUser).send({
+      username: user.username,
+      password: user.password,
+    });
+    refreshToken = resp.body.refreshToken;
+  });
+
+  test('Signs out a user by revoking the refresh token family.', async () => {
+    // Arrange
+    const refreshResp = await request(app)
+      .post(`${urlPrefix}/auth/refresh`)
+      .send({ refreshToken });
+
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ refreshToken: refreshResp.body.refreshToken });
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+
+    const newerResp = await request(app)
+      .post(`${urlPrefix}/auth/refresh`)
+      .send({ refreshToken: refreshResp.body.refreshToken });
+    expect(newerResp.statusCode).toEqual(401);
+  });
+
+  test('Signing out again returns 200 status.', async () => {
+    // Arrange
+    await request(app).post(url).send({ refreshToken });
+
+    // Act
+    const resp = await request(app).post(url).send({ refreshToken });
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test('Signing out with invalid data returns 400 status.', async () => {
+    // Act
+    const resp = await request(app).post(url).send({});
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+});
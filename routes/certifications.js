@@ -0,0 +1,330 @@
+'use strict';
+
+const express = require('express');
+
+const urlParamsSchema = require('../schemas/urlParams.json');
+const certificationNewSchema = require('../schemas/certificationNew.json');
+const certificationUpdateSchema = require('../schemas/certificationUpdate.json');
+const documentRelationshipPositionsSchema = require('../schemas/documentRelationshipPositions.json');
+
+const Certification = require('../models/certification');
+const {
+  createCertification,
+  createDocument_x_certification,
+  updateCertification,
+  updateDocument_x_certificationPositions,
+  deleteDocument_x_certification,
+  deleteCertification,
+} = require('../services/certificationService');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { runJsonSchemaValidator } = require('../util/validators');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+const router = new express.Router();
+
+// --------------------------------------------------
+
+/**
+ * POST /users/:username/documents/:documentId/certifications
+ * { name, issuingOrg, issueDate } => { certification, document_x_certification }
+ *
+ * Authorization required: login
+ *
+ * Creates a certification entry and a relationship between the entry and the
+ * document.  The position of the new entry will be after the last position of
+ * any existing certifications.
+ *
+ * Note that, currently, certifications can only be added to the master resume.
+ * This can be changed in the future.
+ *
+ * @param {String} name - Name of the certification.
+ * @param {String} issuingOrg - Name of the organization that issued the
+ *  certification.
+ * @param {String} issueDate - The date the certification was issued.
+ * @returns {{
+ *    certification: Certification,
+ *    document_x_certification: Document_X_Certification
+ *  }}
+ *  certification - The certification ID and all of the given info.
+ *  document_x_certification - The document ID that owns the certification, the
+ *  certification ID, and the position of the certification among other
+ *  certifications in the document.
+ */
+router.post(
+  '/:username/documents/:documentId/certifications',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}/certifications ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(certificationNewSchema, req.body, logPrefix);
+
+      const { certification, document_x_certification } =
+        await createCertification(userPayload.username, documentId, req.body);
+
+      return res.status(201).json({ certification, document_x_certification });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /users/:username/documents/:documentId/certifications/:certificationId
+ * {} => { document_x_certification }
+ *
+ * Authorization required: login
+ *
+ * Creates a document-certification relationship.  The position of the
+ * certification in the document will be after the last position of any
+ * existing certifications.
+ *
+ * @returns {{document_x_certification}} The document ID, certification ID, and
+ *  position of certification within the document.
+ */
+router.post(
+  '/:username/documents/:documentId/certifications/:certificationId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId, certificationId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}` +
+      `/certifications/${certificationId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, certificationId },
+        logPrefix
+      );
+
+      const document_x_certification = await createDocument_x_certification(
+        userPayload.username,
+        documentId,
+        certificationId
+      );
+
+      return res.status(201).json({ document_x_certification });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/certifications
+ * {} => { certifications }
+ *
+ * Authorization required: login
+ *
+ * Gets all certifications for a user.
+ *
+ * @returns {{ certifications }} A list of certifications that a user has.
+ */
+router.get(
+  '/:username/certifications',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/certifications ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      const certifications = await Certification.getAll(userPayload.username);
+
+      return res.json({ certifications });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PATCH /users/:username/certifications/:certificationId
+ * { name, issuingOrg, issueDate } => { certification }
+ *
+ * Authorization required: login
+ *
+ * Updates a certification.  All input data are optional, but at least one is
+ * needed, else an error is thrown.  A certification that is in a locked
+ * document can not be updated.
+ *
+ * @param {String} [name] - Name of the certification.
+ * @param {String} [issuingOrg] - Name of the organization that issued the
+ *  certification.
+ * @param {String} [issueDate] - The date the certification was issued.
+ * @returns {{ certification }} The certification ID and info like name,
+ *  issuing organization, and issue date.
+ */
+router.patch(
+  '/:username/certifications/:certificationId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, certificationId } = req.params;
+
+    const logPrefix =
+      `PATCH /users/${username}/certifications/${certificationId} ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { certificationId }, logPrefix);
+      runJsonSchemaValidator(certificationUpdateSchema, req.body, logPrefix);
+
+      const certification = await updateCertification(
+        userPayload.username,
+        certificationId,
+        req.body
+      );
+
+      return res.json({ certification });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PUT /users/:username/documents/:documentId/certifications
+ * [ certificationId, certificationId, ... ] => { certifications }
+ *
+ * Authorization required: login
+ *
+ * Updates the positions of all certifications in a document.  All
+ * certifications need to be included.
+ *
+ * @param {String} certificationId - ID of a certification.
+ * @returns {Certification[]} certifications - A list of Certification Objects
+ *  in order of position in the document, each containing certification info.
+ */
+router.put(
+  '/:username/documents/:documentId/certifications',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `PUT /users/${username}/documents/${documentId}/certifications ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(
+        documentRelationshipPositionsSchema,
+        req.body,
+        logPrefix
+      );
+
+      const certifications = await updateDocument_x_certificationPositions(
+        userPayload.username,
+        documentId,
+        req.body
+      );
+
+      return res.json({ certifications });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/documents/:documentId/certifications/:certificationId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes a document-certification relationship.
+ */
+router.delete(
+  '/:username/documents/:documentId/certifications/:certificationId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+
+    const { username, documentId, certificationId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/documents/${documentId}` +
+      `/certifications/${certificationId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, certificationId },
+        logPrefix
+      );
+
+      await deleteDocument_x_certification(
+        userPayload.username,
+        documentId,
+        certificationId
+      );
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/certifications/:certificationId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes a certification.  A certification that is in a locked document can
+ * not be deleted.
+ */
+router.delete(
+  '/:username/certifications/:certificationId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, certificationId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/certifications/${certificationId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { certificationId }, logPrefix);
+
+      await deleteCertification(userPayload.username, certificationId);
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
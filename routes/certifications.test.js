@@ -0,0 +1,486 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const Certification = require('../models/certification');
+const Document_X_Certification = require('../models/document_x_certification');
+const { users, certifications } = require('../_testData');
+const {
+  urlRegisterUser,
+  getDocumentsGeneralUrl,
+  getDocumentsSpecificUrl,
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+const urlPrefix = '/api/v1';
+const getCertificationsGeneralUrl = (username, documentId) =>
+  `${getDocumentsSpecificUrl(username, documentId)}/certifications`;
+const getCertificationsSpecificUrl = (username, documentId, certificationId) =>
+  `${getCertificationsGeneralUrl(username, documentId)}/${certificationId}`;
+const getCertificationUrl = (username, certificationId) =>
+  `${urlPrefix}/users/${username}/certifications/${certificationId}`;
+
+const certificationsForRawClientInputs = Object.freeze(
+  certifications.map(({ owner, ...certification }) =>
+    Object.freeze(certification)
+  )
+);
+
+const username = users[0].username;
+const authTokens = [];
+const masterDocumentIds = [];
+
+beforeAll(async () => {
+  // Clear all tables.
+  await commonBeforeAll(db);
+
+  // Creating users.
+  let responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+
+  // Saving the authentication tokens for users.
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  // Getting the master resume for each user.
+  responses = await Promise.all(
+    users.map((user, i) =>
+      request(app)
+        .get(getDocumentsGeneralUrl(user.username))
+        .set('authorization', `Bearer ${authTokens[i]}`)
+    )
+  );
+
+  // Saving the IDs of the master resumes.
+  responses.forEach((resp) =>
+    masterDocumentIds.push(resp.body.documents[0].id)
+  );
+});
+
+beforeEach(() => clearTable(db, Certification.tableName));
+
+afterAll(() => commonAfterAll(db));
+
+/**
+ * Adds a certification to the master resume of the first user.
+ */
+async function addCertification(props = certificationsForRawClientInputs[0]) {
+  const resp = await request(app)
+    .post(getCertificationsGeneralUrl(username, masterDocumentIds[0]))
+    .send(props)
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.certification;
+}
+
+/**
+ * Makes a document of the first user that is not the master resume, with none
+ * of the master resume's certifications.
+ */
+async function addNonMasterDocument(documentName = 'Fork') {
+  const resp = await request(app)
+    .post(`${getDocumentsSpecificUrl(username, masterDocumentIds[0])}/fork`)
+    .send({ documentName, certificationIds: [] })
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.document;
+}
+
+/**
+ * Removes all documents of the first user other than the master resume.
+ */
+function deleteNonMasterDocuments() {
+  return db.query({
+    queryConfig: {
+      text: `
+  DELETE FROM ${Document.tableName}
+  WHERE owner = $1 AND NOT is_master;`,
+      values: [username],
+    },
+  });
+}
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/certifications
+
+describe('POST /users/:username/documents/:documentId/certifications', () => {
+  afterEach(() => deleteNonMasterDocuments());
+
+  test('Adds a new certification to a document.', async () => {
+    // Arrange
+    const documentId = masterDocumentIds[0];
+
+    // Act
+    const resp = await request(app)
+      .post(getCertificationsGeneralUrl(username, documentId))
+      .send(certificationsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      certification: {
+        ...certificationsForRawClientInputs[0],
+        id: expect.any(Number),
+        owner: username,
+      },
+      document_x_certification: {
+        documentId,
+        certificationId: resp.body.certification.id,
+        position: 0,
+      },
+    });
+  });
+
+  test('Adds a new certification after existing certifications.', async () => {
+    // Arrange
+    await addCertification();
+
+    // Act
+    const resp = await request(app)
+      .post(getCertificationsGeneralUrl(username, masterDocumentIds[0]))
+      .send(certificationsForRawClientInputs[1])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body.document_x_certification.position).toBe(1);
+  });
+
+  test.each([
+    [{ ...certificationsForRawClientInputs[0], issueDate: '01-01-2020' }],
+    [{ ...certificationsForRawClientInputs[0], name: undefined }],
+  ])(
+    'Giving an invalid certification %j should return 400 status.',
+    async (body) => {
+      // Act
+      const resp = await request(app)
+        .post(getCertificationsGeneralUrl(username, masterDocumentIds[0]))
+        .send(body)
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+      expect(await Certification.getAll(username)).toEqual([]);
+    }
+  );
+
+  test(
+    'Adding a certification to a document that is not the master resume ' +
+      'should return 403 status.',
+    async () => {
+      // Arrange
+      const document = await addNonMasterDocument();
+
+      // Act
+      const resp = await request(app)
+        .post(getCertificationsGeneralUrl(username, document.id))
+        .send(certificationsForRawClientInputs[0])
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+      expect(await Certification.getAll(username)).toEqual([]);
+    }
+  );
+
+  test("Adding a certification to another user's document should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .post(
+        getCertificationsGeneralUrl(users[1].username, masterDocumentIds[0])
+      )
+      .send(certificationsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Certification.getAll(username)).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/certifications/:certificationId
+
+describe('POST /users/:username/documents/:documentId/certifications/:certificationId', () => {
+  let document;
+
+  beforeEach(async () => {
+    document = await addNonMasterDocument();
+  });
+
+  afterEach(() => deleteNonMasterDocuments());
+
+  test('Attaches an existing certification to another document.', async () => {
+    // Arrange
+    const certification = await addCertification();
+
+    // Act
+    const resp = await request(app)
+      .post(
+        getCertificationsSpecificUrl(username, document.id, certification.id)
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      document_x_certification: {
+        documentId: document.id,
+        certificationId: certification.id,
+        position: 0,
+      },
+    });
+  });
+
+  test('Attaching a certification twice should return 400 status.', async () => {
+    // Arrange
+    const certification = await addCertification();
+
+    // Act
+    const resp = await request(app)
+      .post(
+        getCertificationsSpecificUrl(
+          username,
+          masterDocumentIds[0],
+          certification.id
+        )
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Attaching a certification to a locked document should return 403 status.', async () => {
+    // Arrange
+    const certification = await addCertification();
+    await Document.update(document.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .post(
+        getCertificationsSpecificUrl(username, document.id, certification.id)
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Document_X_Certification.getAll(document.id)).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/certifications
+
+describe('GET /users/:username/certifications', () => {
+  test('Gets all certifications of a user.', async () => {
+    // Arrange
+    const certifications = [
+      await addCertification(certificationsForRawClientInputs[0]),
+      await addCertification(certificationsForRawClientInputs[1]),
+    ];
+
+    // Act
+    const resp = await request(app)
+      .get(`${urlPrefix}/users/${username}/certifications`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ certifications });
+  });
+});
+
+// --------------------------------------------------
+// PATCH /users/:username/certifications/:certificationId
+
+describe('PATCH /users/:username/certifications/:certificationId', () => {
+  const updatedProps = Object.freeze({
+    name: 'New Name',
+    issueDate: '2024-02-29',
+  });
+
+  afterEach(() => deleteNonMasterDocuments());
+
+  test('Updates a certification.', async () => {
+    // Arrange
+    const certification = await addCertification();
+
+    // Act
+    const resp = await request(app)
+      .patch(getCertificationUrl(username, certification.id))
+      .send(updatedProps)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      certification: { ...certification, ...updatedProps },
+    });
+  });
+
+  test('Updating with invalid input should return 400 status.', async () => {
+    // Arrange
+    const certification = await addCertification();
+
+    // Act
+    const resp = await request(app)
+      .patch(getCertificationUrl(username, certification.id))
+      .send({ issuingOrg: '' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Updating a certification in a locked document should return 403 status.', async () => {
+    // Arrange
+    const certification = await addCertification();
+    const document = await addNonMasterDocument();
+    await Document_X_Certification.add({
+      documentId: document.id,
+      certificationId: certification.id,
+      position: 0,
+    });
+    await Document.update(document.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .patch(getCertificationUrl(username, certification.id))
+      .send(updatedProps)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Certification.get({ id: certification.id })).toEqual(
+      certification
+    );
+  });
+
+  test("Updating another user's certification should return 403 status.", async () => {
+    // Arrange
+    const certification = await addCertification();
+
+    // Act
+    const resp = await request(app)
+      .patch(getCertificationUrl(users[1].username, certification.id))
+      .send(updatedProps)
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// PUT /users/:username/documents/:documentId/certifications
+
+describe('PUT /users/:username/documents/:documentId/certifications', () => {
+  test('Reorders the certifications in a document.', async () => {
+    // Arrange
+    const certifications = [
+      await addCertification(certificationsForRawClientInputs[0]),
+      await addCertification(certificationsForRawClientInputs[1]),
+    ].reverse();
+
+    // Act
+    const resp = await request(app)
+      .put(getCertificationsGeneralUrl(username, masterDocumentIds[0]))
+      .send(certifications.map((certification) => certification.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ certifications });
+  });
+
+  test('Not including all certifications should return 400 status.', async () => {
+    // Arrange
+    const certification = await addCertification();
+    await addCertification(certificationsForRawClientInputs[1]);
+
+    // Act
+    const resp = await request(app)
+      .put(getCertificationsGeneralUrl(username, masterDocumentIds[0]))
+      .send([certification.id])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/documents/:documentId/certifications/:certificationId
+
+describe('DELETE /users/:username/documents/:documentId/certifications/:certificationId', () => {
+  test('Removes a certification from a document without deleting it.', async () => {
+    // Arrange
+    const certification = await addCertification();
+
+    // Act
+    const resp = await request(app)
+      .delete(
+        getCertificationsSpecificUrl(
+          username,
+          masterDocumentIds[0],
+          certification.id
+        )
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await Document_X_Certification.getAll(masterDocumentIds[0])).toEqual(
+      []
+    );
+    expect(await Certification.getAll(username)).toEqual([certification]);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/certifications/:certificationId
+
+describe('DELETE /users/:username/certifications/:certificationId', () => {
+  test('Deletes a certification.', async () => {
+    // Arrange
+    const certification = await addCertification();
+
+    // Act
+    const resp = await request(app)
+      .delete(getCertificationUrl(username, certification.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await Certification.getAll(username)).toEqual([]);
+  });
+
+  test("Deleting another user's certification should return 403 status.", async () => {
+    // Arrange
+    const certification = await addCertification();
+
+    // Act
+    const resp = await request(app)
+      .delete(getCertificationUrl(users[1].username, certification.id))
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Certification.getAll(username)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,352 @@
+'use strict';
+
+const express = require('express');
+
+const urlParamsSchema = require('../schemas/urlParams.json');
+const coverLetterNewSchema = require('../schemas/coverLetterNew.json');
+const coverLetterUpdateSchema = require('../schemas/coverLetterUpdate.json');
+const coverLetterParagraphSchema = require('../schemas/coverLetterParagraph.json');
+const textSnippetVersionSchema = require('../schemas/textSnippetVersion.json');
+const documentRelationshipPositionsSchema = require('../schemas/documentRelationshipPositions.json');
+
+const {
+  createCoverLetter,
+  updateCoverLetter,
+  createParagraph,
+  getParagraphs,
+  updateParagraphPositions,
+  deleteParagraph,
+} = require('../services/coverLetterService');
+const { updateTextSnippet } = require('../services/textSnippetService');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { runJsonSchemaValidator } = require('../util/validators');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+const router = new express.Router();
+
+// --------------------------------------------------
+
+/**
+ * POST /users/:username/documents/cover-letters
+ * { documentName, resumeDocumentId, company, role } => { document }
+ *
+ * Authorization required: login
+ *
+ * Creates a document that is a cover letter.  The header of the cover letter
+ * uses the contact info of the user, like resumes do.  Cover letters are
+ * listed, gotten, renamed, locked, exported, and deleted with the other
+ * documents in /users/:username/documents.
+ *
+ * @param {String} documentName - Name of the cover letter.
+ * @param {Number} [resumeDocumentId] - ID of the resume that the cover letter
+ *  is sent with.
+ * @param {String} [company] - Name of the company that the cover letter is
+ *  for.
+ * @param {String} [role] - Job title that the cover letter is for.
+ * @returns {Object} document - Document properties, user contact info, the
+ *  cover letter info, and paragraphs.
+ */
+router.post(
+  '/:username/documents/cover-letters',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/cover-letters ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(coverLetterNewSchema, req.body, logPrefix);
+
+      const document = await createCoverLetter(userPayload.username, req.body);
+
+      return res.status(201).json({ document });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PATCH /users/:username/documents/:documentId/cover-letter
+ * { resumeDocumentId, company, role } => { coverLetter }
+ *
+ * Authorization required: login
+ *
+ * Updates the info of a cover letter.  All input data are optional, but at
+ * least one is needed, else an error is thrown.  Any of them can be removed by
+ * setting them to null.  See POST /users/:username/documents/cover-letters for
+ * the input data.
+ *
+ * @returns {Object} coverLetter - The document ID, resume document ID,
+ *  company, and role of the cover letter.
+ */
+router.patch(
+  '/:username/documents/:documentId/cover-letter',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `PATCH /users/${username}/documents/${documentId}/cover-letter ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(coverLetterUpdateSchema, req.body, logPrefix);
+
+      const coverLetter = await updateCoverLetter(
+        userPayload.username,
+        documentId,
+        req.body
+      );
+
+      return res.json({ coverLetter });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /users/:username/documents/:documentId/paragraphs
+ * { content } => { textSnippet, coverLetterXTextSnippet }
+ *
+ * Authorization required: login
+ *
+ * Creates a text snippet and adds it to the end of a cover letter as a
+ * paragraph.
+ *
+ * @param {String} content - Content of the paragraph.
+ * @returns {{ textSnippet, coverLetterXTextSnippet }}
+ *  textSnippet - The text snippet that holds the paragraph.
+ *  coverLetterXTextSnippet - The document ID, the ID and version of the text
+ *  snippet, and the position of the paragraph.
+ */
+router.post(
+  '/:username/documents/:documentId/paragraphs',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}/paragraphs ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(coverLetterParagraphSchema, req.body, logPrefix);
+
+      const { textSnippet, coverLetterXTextSnippet } = await createParagraph(
+        userPayload.username,
+        documentId,
+        req.body
+      );
+
+      return res.status(201).json({ textSnippet, coverLetterXTextSnippet });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/documents/:documentId/paragraphs
+ * {} => { textSnippets }
+ *
+ * Authorization required: login
+ *
+ * Gets the paragraphs of a cover letter.
+ *
+ * @returns {{ textSnippets }} A list of text snippets, in order of position
+ *  within the cover letter.
+ */
+router.get(
+  '/:username/documents/:documentId/paragraphs',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/documents/${documentId}/paragraphs ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+
+      const textSnippets = await getParagraphs(
+        userPayload.username,
+        documentId
+      );
+
+      return res.json({ textSnippets });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PUT /users/:username/documents/:documentId/paragraphs
+ * [ textSnippetId, textSnippetId, ... ] => { textSnippets }
+ *
+ * Authorization required: login
+ *
+ * Updates the positions of all paragraphs in a cover letter.  All paragraphs
+ * need to be included.
+ *
+ * @param {Number} textSnippetId - ID of a text snippet.
+ * @returns {{ textSnippets }} A list of text snippets, in order of position
+ *  within the cover letter.
+ */
+router.put(
+  '/:username/documents/:documentId/paragraphs',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `PUT /users/${username}/documents/${documentId}/paragraphs ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(
+        documentRelationshipPositionsSchema,
+        req.body,
+        logPrefix
+      );
+
+      const textSnippets = await updateParagraphPositions(
+        userPayload.username,
+        documentId,
+        req.body
+      );
+
+      return res.json({ textSnippets });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PATCH /users/:username/documents/:documentId/paragraphs/:textSnippetId
+ * { textSnippetVersion, content } => { textSnippet }
+ *
+ * Authorization required: login
+ *
+ * Updates a paragraph of a cover letter.  This creates a new text snippet with
+ * a different version, but it still references the old one.  The old text
+ * snippet is replaced with the new one in the cover letter, so the cover
+ * letter can not be locked.
+ *
+ * @param {String} textSnippetVersion - Version part of the text snippet.
+ * @param {String} content - New content of the paragraph.
+ * @returns {{ textSnippet: TextSnippet }} The text snippet Object containing
+ *  the updated info.
+ */
+router.patch(
+  '/:username/documents/:documentId/paragraphs/:textSnippetId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId, textSnippetId } = req.params;
+    const { textSnippetVersion, ...restOfRequestBody } = req.body;
+
+    const logPrefix =
+      `PATCH /users/${username}/documents/${documentId}` +
+      `/paragraphs/${textSnippetId} ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, textSnippetId },
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        textSnippetVersionSchema,
+        textSnippetVersion,
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        coverLetterParagraphSchema,
+        restOfRequestBody,
+        logPrefix
+      );
+
+      const { textSnippet } = await updateTextSnippet(
+        userPayload.username,
+        textSnippetId,
+        textSnippetVersion,
+        restOfRequestBody
+      );
+
+      return res.json({ textSnippet });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/documents/:documentId/paragraphs/:textSnippetId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Removes a paragraph from a cover letter.  The text snippet itself is kept.
+ */
+router.delete(
+  '/:username/documents/:documentId/paragraphs/:textSnippetId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId, textSnippetId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/documents/${documentId}` +
+      `/paragraphs/${textSnippetId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, textSnippetId },
+        logPrefix
+      );
+
+      await deleteParagraph(userPayload.username, documentId, textSnippetId);
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
@@ -0,0 +1,762 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const Section = require('../models/section');
+const CoverLetter_X_Text_Snippet = require('../models/coverLetter_x_textSnippet');
+const TextSnippet = require('../models/textSnippet');
+const { users, contactInfos } = require('../_testData');
+const {
+  urlRegisterUser,
+  getDocumentsGeneralUrl,
+  getDocumentsSpecificUrl,
+  commonBeforeAll,
+  commonAfterAll,
+} = require('../_testCommon');
+
+// ==================================================
+
+const urlPrefix = '/api/v1';
+const getCoverLettersUrl = (username) =>
+  `${getDocumentsGeneralUrl(username)}/cover-letters`;
+const getCoverLetterUrl = (username, documentId) =>
+  `${getDocumentsSpecificUrl(username, documentId)}/cover-letter`;
+const getParagraphsUrl = (username, documentId) =>
+  `${getDocumentsSpecificUrl(username, documentId)}/paragraphs`;
+
+const username = users[0].username;
+const authTokens = [];
+const masterDocumentIds = [];
+
+const coverLetterProps = Object.freeze({
+  documentName: 'Cover Letter',
+  company: 'Company 1',
+  role: 'Software Engineer',
+});
+
+beforeAll(async () => {
+  await commonBeforeAll(db);
+
+  const responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  for (const user of users) {
+    masterDocumentIds.push((await Document.getAll(user.username))[0].id);
+  }
+
+  await request(app)
+    .put(`${urlPrefix}/users/${username}/contact-info`)
+    .send({ fullName: contactInfos[0].fullName })
+    .set('authorization', `Bearer ${authTokens[0]}`);
+});
+
+afterEach(async () => {
+  await db.query({
+    queryConfig: {
+      text: `
+  DELETE FROM ${Document.tableName}
+  WHERE NOT is_master;`,
+    },
+  });
+  await db.query({
+    queryConfig: { text: `DELETE FROM ${TextSnippet.tableName};` },
+  });
+});
+
+afterAll(() => commonAfterAll(db));
+
+/**
+ * Creates a cover letter for the first user that is sent with the master
+ * resume.
+ */
+async function createCoverLetter(props = {}) {
+  const resp = await request(app)
+    .post(getCoverLettersUrl(username))
+    .send({
+      ...coverLetterProps,
+      resumeDocumentId: masterDocumentIds[0],
+      ...props,
+    })
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.document;
+}
+
+/**
+ * Adds paragraphs to a cover letter of the first user, in the given order.
+ */
+async function createParagraphs(documentId, contents) {
+  const textSnippets = [];
+
+  for (const content of contents) {
+    const resp = await request(app)
+      .post(getParagraphsUrl(username, documentId))
+      .send({ content })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    textSnippets.push(resp.body.textSnippet);
+  }
+
+  return textSnippets;
+}
+
+// --------------------------------------------------
+// POST /users/:username/documents/cover-letters
+
+describe('POST /users/:username/documents/cover-letters', () => {
+  test('Creates a cover letter with the contact info as its header.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getCoverLettersUrl(username))
+      .send({ ...coverLetterProps, resumeDocumentId: masterDocumentIds[0] })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      document: {
+        id: expect.any(Number),
+        documentName: coverLetterProps.documentName,
+        owner: username,
+        createdOn: expect.any(String),
+        lastUpdated: null,
+        isMaster: false,
+        isTemplate: false,
+        isLocked: false,
+        kind: 'coverLetter',
+        contactInfo: expect.objectContaining({
+          fullName: contactInfos[0].fullName,
+        }),
+        resumeDocumentId: masterDocumentIds[0],
+        company: coverLetterProps.company,
+        role: coverLetterProps.role,
+        paragraphs: null,
+      },
+    });
+  });
+
+  test.each([
+    [{}],
+    [{ ...coverLetterProps, resumeDocumentId: 'master' }],
+    [{ ...coverLetterProps, isTemplate: true }],
+  ])(
+    'Giving invalid request body %j should return 400 status.',
+    async (body) => {
+      // Act
+      const resp = await request(app)
+        .post(getCoverLettersUrl(username))
+        .send(body)
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+      expect(resp.body).not.toHaveProperty('document');
+    }
+  );
+
+  test('Linking another cover letter should return 400 status.', async () => {
+    // Arrange
+    const otherCoverLetter = await createCoverLetter({
+      documentName: 'Other Cover Letter',
+    });
+
+    // Act
+    const resp = await request(app)
+      .post(getCoverLettersUrl(username))
+      .send({ ...coverLetterProps, resumeDocumentId: otherCoverLetter.id })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test("Linking another user's resume should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .post(getCoverLettersUrl(username))
+      .send({ ...coverLetterProps, resumeDocumentId: masterDocumentIds[1] })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(
+      await Document.getAll(username, { kind: 'coverLetter' })
+    ).toHaveLength(0);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents
+
+describe('GET /users/:username/documents', () => {
+  test('Lists cover letters alongside resumes.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+
+    // Act
+    const resp = await request(app)
+      .get(getDocumentsGeneralUrl(username))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(
+      resp.body.documents
+        .map(({ id, kind }) => ({ id, kind }))
+        .sort((a, b) => a.id - b.id)
+    ).toEqual([
+      { id: masterDocumentIds[0], kind: 'resume' },
+      { id: coverLetter.id, kind: 'coverLetter' },
+    ]);
+  });
+
+  test.each([
+    ['resume', () => masterDocumentIds[0]],
+    ['coverLetter', (coverLetter) => coverLetter.id],
+  ])('Lists only the documents of kind "%s".', async (kind, getId) => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+
+    // Act
+    const resp = await request(app)
+      .get(getDocumentsGeneralUrl(username))
+      .query({ kind })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.documents.map(({ id }) => id)).toEqual([
+      getId(coverLetter),
+    ]);
+  });
+
+  test('Giving an invalid kind should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getDocumentsGeneralUrl(username))
+      .query({ kind: 'letter' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents/:documentId
+
+describe('GET /users/:username/documents/:documentId', () => {
+  test('Gets a cover letter and its paragraphs.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    const textSnippets = await createParagraphs(coverLetter.id, [
+      'First paragraph.',
+      'Second paragraph.',
+    ]);
+
+    // Act
+    const resp = await request(app)
+      .get(getDocumentsSpecificUrl(username, coverLetter.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.document).toEqual({
+      ...coverLetter,
+      paragraphs: textSnippets.map(
+        ({ id, version, parent, type, content }) => ({
+          id,
+          version,
+          parent,
+          type,
+          content,
+        })
+      ),
+    });
+  });
+});
+
+// --------------------------------------------------
+// PATCH /users/:username/documents/:documentId/cover-letter
+
+describe('PATCH /users/:username/documents/:documentId/cover-letter', () => {
+  test('Updates the info of a cover letter.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    const updatedProps = Object.freeze({
+      resumeDocumentId: null,
+      company: 'Company 2',
+    });
+
+    // Act
+    const resp = await request(app)
+      .patch(getCoverLetterUrl(username, coverLetter.id))
+      .send(updatedProps)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      coverLetter: {
+        documentId: coverLetter.id,
+        role: coverLetter.role,
+        ...updatedProps,
+      },
+    });
+  });
+
+  test('Updating a resume should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .patch(getCoverLetterUrl(username, masterDocumentIds[0]))
+      .send({ company: 'Company 2' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Updating a locked cover letter should return 403 status.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    await Document.update(coverLetter.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .patch(getCoverLetterUrl(username, coverLetter.id))
+      .send({ company: 'Company 2' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+
+  test("Updating another user's cover letter should return 403 status.", async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+
+    // Act
+    const resp = await request(app)
+      .patch(getCoverLetterUrl(users[1].username, coverLetter.id))
+      .send({ company: 'Company 2' })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// /users/:username/documents/:documentId/paragraphs
+
+describe('POST /users/:username/documents/:documentId/paragraphs', () => {
+  test('Adds a paragraph to the end of a cover letter.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    await createParagraphs(coverLetter.id, ['First paragraph.']);
+
+    // Act
+    const resp = await request(app)
+      .post(getParagraphsUrl(username, coverLetter.id))
+      .send({ content: 'Second paragraph.' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      textSnippet: {
+        id: expect.any(Number),
+        version: expect.any(String),
+        owner: username,
+        parent: null,
+        type: 'paragraph',
+        content: 'Second paragraph.',
+      },
+      coverLetterXTextSnippet: {
+        documentId: coverLetter.id,
+        textSnippetId: resp.body.textSnippet.id,
+        textSnippetVersion: resp.body.textSnippet.version,
+        position: 1,
+      },
+    });
+  });
+
+  test('Adding a paragraph to a resume should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getParagraphsUrl(username, masterDocumentIds[0]))
+      .send({ content: 'Paragraph.' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+describe('PUT /users/:username/documents/:documentId/paragraphs', () => {
+  test('Reorders the paragraphs of a cover letter.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    const textSnippets = await createParagraphs(coverLetter.id, [
+      'First paragraph.',
+      'Second paragraph.',
+    ]);
+    const textSnippetIds = textSnippets.map(({ id }) => id).reverse();
+
+    // Act
+    const resp = await request(app)
+      .put(getParagraphsUrl(username, coverLetter.id))
+      .send(textSnippetIds)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ textSnippets: textSnippets.reverse() });
+
+    const getResp = await request(app)
+      .get(getParagraphsUrl(username, coverLetter.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    expect(getResp.body).toEqual(resp.body);
+  });
+
+  test('Leaving out a paragraph should return 400 status.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    const [textSnippet] = await createParagraphs(coverLetter.id, [
+      'First paragraph.',
+      'Second paragraph.',
+    ]);
+
+    // Act
+    const resp = await request(app)
+      .put(getParagraphsUrl(username, coverLetter.id))
+      .send([textSnippet.id])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+describe('PATCH /users/:username/documents/:documentId/paragraphs/:textSnippetId', () => {
+  test('Updates a paragraph with a new version of its text snippet.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    const [textSnippet] = await createParagraphs(coverLetter.id, [
+      'First paragraph.',
+    ]);
+
+    // Act
+    const resp = await request(app)
+      .patch(`${getParagraphsUrl(username, coverLetter.id)}/${textSnippet.id}`)
+      .send({
+        textSnippetVersion: textSnippet.version,
+        content: 'Updated paragraph.',
+      })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.textSnippet).toEqual({
+      ...textSnippet,
+      version: expect.any(String),
+      parent: textSnippet.version,
+      content: 'Updated paragraph.',
+    });
+
+    const coverLetterXTextSnippet = await CoverLetter_X_Text_Snippet.get({
+      documentId: coverLetter.id,
+      textSnippetId: textSnippet.id,
+    });
+
+    expect(coverLetterXTextSnippet.textSnippetVersion.toISOString()).toBe(
+      resp.body.textSnippet.version
+    );
+  });
+
+  test('Updating a paragraph of a locked cover letter should return 403 status.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    const [textSnippet] = await createParagraphs(coverLetter.id, [
+      'First paragraph.',
+    ]);
+    await Document.update(coverLetter.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .patch(`${getParagraphsUrl(username, coverLetter.id)}/${textSnippet.id}`)
+      .send({
+        textSnippetVersion: textSnippet.version,
+        content: 'Updated paragraph.',
+      })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+describe('DELETE /users/:username/documents/:documentId/paragraphs/:textSnippetId', () => {
+  test('Removes a paragraph, but keeps its text snippet.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    const [textSnippet] = await createParagraphs(coverLetter.id, [
+      'First paragraph.',
+    ]);
+
+    // Act
+    const resp = await request(app)
+      .delete(`${getParagraphsUrl(username, coverLetter.id)}/${textSnippet.id}`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await CoverLetter_X_Text_Snippet.getAll(coverLetter.id)).toEqual([]);
+    expect(
+      (
+        await TextSnippet.get({
+          id: textSnippet.id,
+          version: textSnippet.version,
+        })
+      ).content
+    ).toBe(textSnippet.content);
+  });
+});
+
+// --------------------------------------------------
+// Exports and other document routes
+
+describe('Exporting a cover letter', () => {
+  test.each([
+    ['md', 'text/markdown; charset=utf-8'],
+    ['txt', 'text/plain; charset=utf-8'],
+  ])('Exports a cover letter as a .%s file.', async (extension, mimeType) => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    await createParagraphs(coverLetter.id, ['First paragraph.']);
+
+    // Act
+    const resp = await request(app)
+      .get(
+        `${getDocumentsSpecificUrl(username, coverLetter.id)}` +
+          `/export.${extension}`
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.headers['content-type']).toBe(mimeType);
+    expect(resp.text).toContain('First paragraph.');
+  });
+
+  test.each([
+    ['pdf', 'application/pdf'],
+    [
+      'docx',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ],
+  ])('Exports a cover letter as a .%s file.', async (extension, mimeType) => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    await createParagraphs(coverLetter.id, ['First paragraph.']);
+
+    // Act
+    const resp = await request(app)
+      .get(
+        `${getDocumentsSpecificUrl(username, coverLetter.id)}` +
+          `/export.${extension}`
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`)
+      .responseType('blob');
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.headers['content-type']).toBe(mimeType);
+    expect(resp.headers['content-disposition']).toBe(
+      `attachment; filename="${coverLetter.documentName}.${extension}"`
+    );
+  });
+
+  test('Exporting a cover letter as JSON Resume should return 400 status.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+
+    // Act
+    const resp = await request(app)
+      .get(`${getDocumentsSpecificUrl(username, coverLetter.id)}/export.json`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Forking a cover letter should return 400 status.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+
+    // Act
+    const resp = await request(app)
+      .post(`${getDocumentsSpecificUrl(username, coverLetter.id)}/fork`)
+      .send({ documentName: 'Fork' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+// --------------------------------------------------
+// Snapshots
+
+describe('Taking a snapshot of a cover letter', () => {
+  test('Saves the cover letter info and paragraphs.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    await createParagraphs(coverLetter.id, ['First paragraph.']);
+
+    // Act
+    const resp = await request(app)
+      .post(`${getDocumentsSpecificUrl(username, coverLetter.id)}/snapshots`)
+      .send({ snapshotName: 'Sent to Company' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body.snapshot.content).toEqual(
+      expect.objectContaining({
+        kind: 'coverLetter',
+        company: coverLetterProps.company,
+        role: coverLetterProps.role,
+        paragraphs: [expect.objectContaining({ content: 'First paragraph.' })],
+      })
+    );
+
+    const snapshotUrl =
+      `${urlPrefix}/users/${username}/snapshots/` + resp.body.snapshot.id;
+
+    const mdResp = await request(app)
+      .get(`${snapshotUrl}/export.md`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+    expect(mdResp.text).toContain('First paragraph.');
+
+    const jsonResp = await request(app)
+      .get(`${snapshotUrl}/export.json`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+    expect(jsonResp.statusCode).toBe(400);
+  });
+});
+
+// --------------------------------------------------
+// Resume-only routes
+
+describe('Adding resume content to a cover letter', () => {
+  test('Attaching a section should return 400 status.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    const section = await Section.add({ sectionName: 'Education' });
+
+    // Act
+    const resp = await request(app)
+      .post(
+        `${getDocumentsSpecificUrl(username, coverLetter.id)}` +
+          `/sections/${section.id}`
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect(await Section.getAllInDocument(coverLetter.id)).toEqual([]);
+
+    await db.query({
+      queryConfig: { text: `DELETE FROM ${Section.tableName};` },
+    });
+  });
+
+  test('Adding a summary should return 400 status.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+
+    // Act
+    const resp = await request(app)
+      .post(`${getDocumentsSpecificUrl(username, coverLetter.id)}/summary`)
+      .send({ content: 'Software engineer with 5 years of experience.' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+describe('Checking a cover letter as a resume', () => {
+  const jobDescription =
+    'We are hiring a software engineer with experience in React and ' +
+    'PostgreSQL.  Experience with React Native is a plus.';
+
+  test.each([
+    ['Comparing', () => `diff/${masterDocumentIds[0]}`],
+    ['Linting', () => 'lint'],
+  ])('%s a cover letter should return 400 status.', async (_, getPath) => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+
+    // Act
+    const resp = await request(app)
+      .get(`${getDocumentsSpecificUrl(username, coverLetter.id)}/${getPath()}`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Getting bullet suggestions from a cover letter should return 400 status.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+
+    // Act
+    const resp = await request(app)
+      .post(
+        `${getDocumentsSpecificUrl(username, coverLetter.id)}` +
+          '/bullet-suggestions'
+      )
+      .send({ jobDescription })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Scores the paragraphs of a cover letter against a job posting.', async () => {
+    // Arrange
+    const coverLetter = await createCoverLetter();
+    await createParagraphs(coverLetter.id, [
+      'I have built React apps backed by PostgreSQL for 5 years.',
+    ]);
+
+    // Act
+    const resp = await request(app)
+      .post(
+        `${getDocumentsSpecificUrl(username, coverLetter.id)}/keyword-match`
+      )
+      .send({ jobDescription })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.keywordMatch.score).toBeGreaterThan(0);
+    expect(resp.body.keywordMatch.matchedKeywords).toEqual(
+      expect.arrayContaining([expect.objectContaining({ keyword: 'react' })])
+    );
+  });
+});
@@ -0,0 +1,668 @@
+'use strict';
+
+const express = require('express');
+
+const urlParamsSchema = require('../schemas/urlParams.json');
+const customSectionSchema = require('../schemas/customSection.json');
+const customSectionEntryNewSchema = require('../schemas/customSectionEntryNew.json');
+const customSectionEntryUpdateSchema = require('../schemas/customSectionEntryUpdate.json');
+const textSnippetNewSchema = require('../schemas/textSnippetNew.json');
+const textSnippetVersionSchema = require('../schemas/textSnippetVersion.json');
+const textSnippetUpdateSchema = require('../schemas/textSnippetUpdate.json');
+const documentRelationshipPositionsSchema = require('../schemas/documentRelationshipPositions.json');
+
+const Section = require('../models/section');
+const {
+  createCustomSection,
+  updateCustomSection,
+  deleteCustomSection,
+  createEntry,
+  getEntries,
+  updateEntry,
+  updateEntryPositions,
+  deleteEntry,
+  createEntryTextSnippet,
+  getEntryTextSnippets,
+  updateEntryTextSnippetPositions,
+  deleteEntry_x_textSnippet,
+} = require('../services/customSectionService');
+const { updateTextSnippet } = require('../services/textSnippetService');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { runJsonSchemaValidator } = require('../util/validators');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+const router = new express.Router();
+
+// --------------------------------------------------
+
+/**
+ * POST /users/:username/sections
+ * { sectionName } => { section }
+ *
+ * Authorization required: login
+ *
+ * Creates a custom section.  It can be attached to documents in the same way
+ * as the built-in sections.
+ *
+ * @param {String} sectionName - Name of the section, such as "Publications".
+ *  It can not be the same as the name of any other section the user can use.
+ * @returns {{ section }} The section ID, name, and owner.
+ */
+router.post('/:username/sections', ensureLoggedIn, async (req, res, next) => {
+  const userPayload = res.locals.user;
+  const { username } = req.params;
+
+  const logPrefix =
+    `POST /users/${username}/sections ` +
+    `(user: ${JSON.stringify(userPayload)}, ` +
+    `request body: ${JSON.stringify(req.body)})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    runJsonSchemaValidator(customSectionSchema, req.body, logPrefix);
+
+    const section = await createCustomSection(userPayload.username, req.body);
+
+    return res.status(201).json({ section });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * GET /users/:username/sections
+ * {} => { sections }
+ *
+ * Authorization required: login
+ *
+ * Gets all sections that a user can use in documents, which are the built-in
+ * sections and the user's own custom sections.
+ *
+ * @returns {{ sections }} A list of sections, in order of ID.
+ */
+router.get('/:username/sections', ensureLoggedIn, async (req, res, next) => {
+  const userPayload = res.locals.user;
+  const { username } = req.params;
+
+  const logPrefix =
+    `GET /users/${username}/sections ` +
+    `(user: ${JSON.stringify(userPayload)})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    const sections = await Section.getAll(userPayload.username);
+
+    return res.json({ sections });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * PATCH /users/:username/sections/:sectionId
+ * { sectionName } => { section }
+ *
+ * Authorization required: login
+ *
+ * Renames a custom section.  Built-in sections and custom sections that are
+ * in a locked document can not be renamed.
+ *
+ * @param {String} sectionName - New name of the section.
+ * @returns {{ section }} The section ID, name, and owner.
+ */
+router.patch(
+  '/:username/sections/:sectionId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId } = req.params;
+
+    const logPrefix =
+      `PATCH /users/${username}/sections/${sectionId} ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { sectionId }, logPrefix);
+      runJsonSchemaValidator(customSectionSchema, req.body, logPrefix);
+
+      const section = await updateCustomSection(
+        userPayload.username,
+        sectionId,
+        req.body
+      );
+
+      return res.json({ section });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/sections/:sectionId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes a custom section and its entries, and removes it from all
+ * documents.  Built-in sections and custom sections that are in a locked
+ * document can not be deleted.
+ */
+router.delete(
+  '/:username/sections/:sectionId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/sections/${sectionId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { sectionId }, logPrefix);
+
+      await deleteCustomSection(userPayload.username, sectionId);
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /users/:username/sections/:sectionId/entries
+ * { title, subtitle, location, startDate, endDate } => { entry }
+ *
+ * Authorization required: login
+ *
+ * Creates an entry in a custom section.  The entry will be positioned after
+ * the last entry in the section.
+ *
+ * @param {String} title - Title of the entry.
+ * @param {String} [subtitle] - Subtitle of the entry, such as an organization
+ *  or publisher.
+ * @param {String} [location] - Location of the entry.
+ * @param {String} [startDate] - The start date of the entry.
+ * @param {String} [endDate] - The end date of the entry.
+ * @returns {{ entry }} The entry ID, owner, section ID, title, subtitle,
+ *  location, start and end dates, and position within the section.
+ */
+router.post(
+  '/:username/sections/:sectionId/entries',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/sections/${sectionId}/entries ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { sectionId }, logPrefix);
+      runJsonSchemaValidator(customSectionEntryNewSchema, req.body, logPrefix);
+
+      const entry = await createEntry(
+        userPayload.username,
+        sectionId,
+        req.body
+      );
+
+      return res.status(201).json({ entry });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/sections/:sectionId/entries
+ * {} => { entries }
+ *
+ * Authorization required: login
+ *
+ * Gets all entries in a custom section.
+ *
+ * @returns {{ entries }} A list of entries, in order of position.
+ */
+router.get(
+  '/:username/sections/:sectionId/entries',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/sections/${sectionId}/entries ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { sectionId }, logPrefix);
+
+      const entries = await getEntries(userPayload.username, sectionId);
+
+      return res.json({ entries });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PUT /users/:username/sections/:sectionId/entries
+ * [ entryId, entryId, ... ] => { entries }
+ *
+ * Authorization required: login
+ *
+ * Updates the positions of all entries in a custom section.  All entries need
+ * to be included.
+ *
+ * @param {Number} entryId - ID of an entry.
+ * @returns {{ entries }} A list of entries, in order of position.
+ */
+router.put(
+  '/:username/sections/:sectionId/entries',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId } = req.params;
+
+    const logPrefix =
+      `PUT /users/${username}/sections/${sectionId}/entries ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { sectionId }, logPrefix);
+      runJsonSchemaValidator(
+        documentRelationshipPositionsSchema,
+        req.body,
+        logPrefix
+      );
+
+      const entries = await updateEntryPositions(
+        userPayload.username,
+        sectionId,
+        req.body
+      );
+
+      return res.json({ entries });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PATCH /users/:username/sections/:sectionId/entries/:entryId
+ * { title, subtitle, location, startDate, endDate } => { entry }
+ *
+ * Authorization required: login
+ *
+ * Updates an entry in a custom section.  All input data are optional, but at
+ * least one is needed, else an error is thrown.  Empty Strings clear the
+ * optional properties.
+ *
+ * @param {String} [title] - Title of the entry.
+ * @param {String} [subtitle] - Subtitle of the entry.
+ * @param {String} [location] - Location of the entry.
+ * @param {String} [startDate] - The start date of the entry.
+ * @param {String} [endDate] - The end date of the entry.
+ * @returns {{ entry }} The entry with the updated info.
+ */
+router.patch(
+  '/:username/sections/:sectionId/entries/:entryId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId, entryId } = req.params;
+
+    const logPrefix =
+      `PATCH /users/${username}/sections/${sectionId}/entries/${entryId} ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { sectionId, entryId },
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        customSectionEntryUpdateSchema,
+        req.body,
+        logPrefix
+      );
+
+      const entry = await updateEntry(
+        userPayload.username,
+        sectionId,
+        entryId,
+        req.body
+      );
+
+      return res.json({ entry });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/sections/:sectionId/entries/:entryId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes an entry in a custom section.
+ */
+router.delete(
+  '/:username/sections/:sectionId/entries/:entryId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId, entryId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/sections/${sectionId}/entries/${entryId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { sectionId, entryId },
+        logPrefix
+      );
+
+      await deleteEntry(userPayload.username, sectionId, entryId);
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /users/:username/sections/:sectionId/entries/:entryId/text-snippets
+ * { type, content } => { textSnippet, customSectionEntryXTextSnippet }
+ *
+ * Authorization required: login
+ *
+ * Creates a text snippet and attaches it to an entry in a custom section, as
+ * a bullet point.
+ *
+ * @param {String} type - The type of content, such as bullet point or
+ *  description.
+ * @param {String} content - Content of the text snippet.
+ * @returns {{
+ *    textSnippet: TextSnippet,
+ *    customSectionEntryXTextSnippet: CustomSectionEntry_X_Text_Snippet
+ *  }}
+ *  textSnippet - Text snippet ID, version, owner, parent, type, and content.
+ *  customSectionEntryXTextSnippet - The entry ID, text snippet ID, version of
+ *  the text snippet, and position of the text snippet among other text
+ *  snippets in the entry.
+ */
+router.post(
+  '/:username/sections/:sectionId/entries/:entryId/text-snippets',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId, entryId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/sections/${sectionId}` +
+      `/entries/${entryId}/text-snippets ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { sectionId, entryId },
+        logPrefix
+      );
+      runJsonSchemaValidator(textSnippetNewSchema, req.body, logPrefix);
+
+      const { textSnippet, customSectionEntryXTextSnippet } =
+        await createEntryTextSnippet(
+          userPayload.username,
+          sectionId,
+          entryId,
+          req.body
+        );
+
+      return res
+        .status(201)
+        .json({ textSnippet, customSectionEntryXTextSnippet });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/sections/:sectionId/entries/:entryId/text-snippets
+ * {} => { textSnippets }
+ *
+ * Authorization required: login
+ *
+ * Gets all the text snippets of an entry in a custom section.
+ *
+ * @returns {{ textSnippets }} A list of text snippets, in order of position
+ *  within the entry.
+ */
+router.get(
+  '/:username/sections/:sectionId/entries/:entryId/text-snippets',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId, entryId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/sections/${sectionId}` +
+      `/entries/${entryId}/text-snippets ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { sectionId, entryId },
+        logPrefix
+      );
+
+      const textSnippets = await getEntryTextSnippets(
+        userPayload.username,
+        sectionId,
+        entryId
+      );
+
+      return res.json({ textSnippets });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PUT /users/:username/sections/:sectionId/entries/:entryId/text-snippets
+ * [ textSnippetId, textSnippetId, ... ] => { textSnippets }
+ *
+ * Authorization required: login
+ *
+ * Updates the positions of all text snippets in an entry of a custom section.
+ * All text snippets need to be included.
+ *
+ * @param {Number} textSnippetId - ID of a text snippet.
+ * @returns {{ textSnippets }} A list of text snippets, in order of position
+ *  within the entry.
+ */
+router.put(
+  '/:username/sections/:sectionId/entries/:entryId/text-snippets',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId, entryId } = req.params;
+
+    const logPrefix =
+      `PUT /users/${username}/sections/${sectionId}` +
+      `/entries/${entryId}/text-snippets ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { sectionId, entryId },
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        documentRelationshipPositionsSchema,
+        req.body,
+        logPrefix
+      );
+
+      const textSnippets = await updateEntryTextSnippetPositions(
+        userPayload.username,
+        sectionId,
+        entryId,
+        req.body
+      );
+
+      return res.json({ textSnippets });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PATCH /users/:username/sections/:sectionId/entries/:entryId
+ * /text-snippets/:textSnippetId
+ * { textSnippetVersion, type, content } => { textSnippet }
+ *
+ * Authorization required: login
+ *
+ * Updates a text snippet.  This creates a new text snippet with a different
+ * version, but it still references the old one.  The old text snippet is
+ * replaced with the new one across all entries and documents.
+ *
+ * @param {String} textSnippetVersion - Version part of the text snippet.
+ * @param {String} [type] - Type of content.
+ * @param {String} [content] - Content of the text snippet.
+ * @returns {{ textSnippet: TextSnippet }} The text snippet Object containing
+ *  the updated info.
+ */
+router.patch(
+  '/:username/sections/:sectionId/entries/:entryId' +
+    '/text-snippets/:textSnippetId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId, entryId, textSnippetId } = req.params;
+    const { textSnippetVersion, ...restOfRequestBody } = req.body;
+
+    const logPrefix =
+      `PATCH /users/${username}/sections/${sectionId}` +
+      `/entries/${entryId}/text-snippets/${textSnippetId} ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { sectionId, entryId, textSnippetId },
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        textSnippetVersionSchema,
+        textSnippetVersion,
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        textSnippetUpdateSchema,
+        restOfRequestBody,
+        logPrefix
+      );
+
+      const { textSnippet } = await updateTextSnippet(
+        userPayload.username,
+        textSnippetId,
+        textSnippetVersion,
+        restOfRequestBody
+      );
+
+      return res.json({ textSnippet });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/sections/:sectionId/entries/:entryId
+ * /text-snippets/:textSnippetId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Removes a text snippet from an entry in a custom section.  The text snippet
+ * itself is kept.
+ */
+router.delete(
+  '/:username/sections/:sectionId/entries/:entryId' +
+    '/text-snippets/:textSnippetId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, sectionId, entryId, textSnippetId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/sections/${sectionId}` +
+      `/entries/${entryId}/text-snippets/${textSnippetId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { sectionId, entryId, textSnippetId },
+        logPrefix
+      );
+
+      await deleteEntry_x_textSnippet(
+        userPayload.username,
+        sectionId,
+        entryId,
+        textSnippetId
+      );
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
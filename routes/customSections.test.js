@@ -0,0 +1,711 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const Section = require('../models/section');
+const CustomSectionEntry = require('../models/customSectionEntry');
+const TextSnippet = require('../models/textSnippet');
+const { users, customSectionEntries, textSnippets } = require('../_testData');
+const {
+  urlRegisterUser,
+  getDocumentsGeneralUrl,
+  getDocumentsSpecificUrl,
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+const urlPrefix = '/api/v1';
+const getSectionsGeneralUrl = (username) =>
+  `${urlPrefix}/users/${username}/sections`;
+const getSectionsSpecificUrl = (username, sectionId) =>
+  `${getSectionsGeneralUrl(username)}/${sectionId}`;
+const getEntriesGeneralUrl = (username, sectionId) =>
+  `${getSectionsSpecificUrl(username, sectionId)}/entries`;
+const getEntriesSpecificUrl = (username, sectionId, entryId) =>
+  `${getEntriesGeneralUrl(username, sectionId)}/${entryId}`;
+const getEntryTextSnippetsUrl = (username, sectionId, entryId) =>
+  `${getEntriesSpecificUrl(username, sectionId, entryId)}/text-snippets`;
+
+const entriesForRawClientInputs = Object.freeze(
+  customSectionEntries.map(({ owner, ...entry }) => Object.freeze(entry))
+);
+
+const textSnippetsForRawClientInputs = Object.freeze(
+  textSnippets.map(({ owner, ...textSnippet }) => Object.freeze(textSnippet))
+);
+
+const username = users[0].username;
+const authTokens = [];
+let masterDocumentId;
+let builtInSection;
+
+beforeAll(async () => {
+  await commonBeforeAll(db);
+
+  builtInSection = await Section.add({ sectionName: 'Education' });
+
+  const responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  const resp = await request(app)
+    .get(getDocumentsGeneralUrl(username))
+    .set('authorization', `Bearer ${authTokens[0]}`);
+  masterDocumentId = resp.body.documents[0].id;
+});
+
+beforeEach(async () => {
+  await db.query({
+    queryConfig: {
+      text: `
+  DELETE FROM ${Section.tableName}
+  WHERE owner IS NOT NULL;`,
+    },
+  });
+  await clearTable(db, TextSnippet.tableName);
+});
+
+afterAll(() => commonAfterAll(db));
+
+/**
+ * Adds a custom section for a user.
+ */
+async function addSection(sectionName = 'Publications', userIdx = 0) {
+  const resp = await request(app)
+    .post(getSectionsGeneralUrl(users[userIdx].username))
+    .send({ sectionName })
+    .set('authorization', `Bearer ${authTokens[userIdx]}`);
+
+  return resp.body.section;
+}
+
+/**
+ * Adds an entry to a custom section of the first user.
+ */
+async function addEntry(sectionId, props = entriesForRawClientInputs[0]) {
+  const resp = await request(app)
+    .post(getEntriesGeneralUrl(username, sectionId))
+    .send(props)
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.entry;
+}
+
+/**
+ * Attaches a custom section to the master resume of the first user and locks
+ * the master resume.  The lock is removed after the callback is run.
+ */
+async function withLockedSection(sectionId, callback) {
+  await request(app)
+    .post(
+      `${getDocumentsSpecificUrl(username, masterDocumentId)}` +
+        `/sections/${sectionId}`
+    )
+    .set('authorization', `Bearer ${authTokens[0]}`);
+  await Document.update(masterDocumentId, { isLocked: true });
+
+  try {
+    return await callback();
+  } finally {
+    await Document.update(masterDocumentId, { isLocked: false });
+  }
+}
+
+// --------------------------------------------------
+// POST /users/:username/sections
+
+describe('POST /users/:username/sections', () => {
+  test('Adds a new custom section.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getSectionsGeneralUrl(username))
+      .send({ sectionName: 'Publications' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      section: {
+        id: expect.any(Number),
+        sectionName: 'Publications',
+        owner: username,
+      },
+    });
+  });
+
+  test('Different users can have custom sections with the same name.', async () => {
+    // Arrange
+    await addSection();
+
+    // Act
+    const section = await addSection('Publications', 1);
+
+    // Assert
+    expect(section).toEqual(
+      expect.objectContaining({ owner: users[1].username })
+    );
+  });
+
+  test.each([['Publications'], ['Education']])(
+    'Adding a custom section with the taken name "%s" should return 400 status.',
+    async (sectionName) => {
+      // Arrange
+      await addSection();
+
+      // Act
+      const resp = await request(app)
+        .post(getSectionsGeneralUrl(username))
+        .send({ sectionName })
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+    }
+  );
+
+  test('Adding a custom section with invalid input should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getSectionsGeneralUrl(username))
+      .send({ sectionName: '' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/sections
+
+describe('GET /users/:username/sections', () => {
+  test("Gets the built-in sections and the user's custom sections.", async () => {
+    // Arrange
+    const section = await addSection();
+    await addSection('Volunteering', 1);
+
+    // Act
+    const resp = await request(app)
+      .get(getSectionsGeneralUrl(username))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ sections: [{ ...builtInSection }, section] });
+  });
+});
+
+// --------------------------------------------------
+// PATCH /users/:username/sections/:sectionId
+
+describe('PATCH /users/:username/sections/:sectionId', () => {
+  test('Renames a custom section.', async () => {
+    // Arrange
+    const section = await addSection();
+
+    // Act
+    const resp = await request(app)
+      .patch(getSectionsSpecificUrl(username, section.id))
+      .send({ sectionName: 'Papers' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      section: { ...section, sectionName: 'Papers' },
+    });
+  });
+
+  test('Renaming a built-in section should return 403 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .patch(getSectionsSpecificUrl(username, builtInSection.id))
+      .send({ sectionName: 'Schools' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+
+  test("Renaming another user's custom section should return 403 status.", async () => {
+    // Arrange
+    const section = await addSection('Publications', 1);
+
+    // Act
+    const resp = await request(app)
+      .patch(getSectionsSpecificUrl(username, section.id))
+      .send({ sectionName: 'Papers' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+
+  test('Renaming a custom section in a locked document should return 403 status.', async () => {
+    // Arrange
+    const section = await addSection();
+
+    // Act
+    const resp = await withLockedSection(section.id, () =>
+      request(app)
+        .patch(getSectionsSpecificUrl(username, section.id))
+        .send({ sectionName: 'Papers' })
+        .set('authorization', `Bearer ${authTokens[0]}`)
+    );
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Section.get({ id: section.id })).toEqual(section);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/sections/:sectionId
+
+describe('DELETE /users/:username/sections/:sectionId', () => {
+  test('Deletes a custom section and its entries.', async () => {
+    // Arrange
+    const section = await addSection();
+    await addEntry(section.id);
+
+    // Act
+    const resp = await request(app)
+      .delete(getSectionsSpecificUrl(username, section.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await Section.getAll(username)).toEqual([builtInSection]);
+    expect(await CustomSectionEntry.getAll(section.id)).toEqual([]);
+  });
+
+  test('Deleting a built-in section should return 403 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .delete(getSectionsSpecificUrl(username, builtInSection.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Section.get({ id: builtInSection.id })).toEqual(
+      builtInSection
+    );
+  });
+});
+
+// --------------------------------------------------
+// POST /users/:username/sections/:sectionId/entries
+
+describe('POST /users/:username/sections/:sectionId/entries', () => {
+  test('Adds entries to a custom section, in order.', async () => {
+    // Arrange
+    const section = await addSection();
+    await addEntry(section.id, entriesForRawClientInputs[0]);
+
+    // Act
+    const resp = await request(app)
+      .post(getEntriesGeneralUrl(username, section.id))
+      .send(entriesForRawClientInputs[1])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      entry: {
+        id: expect.any(Number),
+        owner: username,
+        sectionId: section.id,
+        ...entriesForRawClientInputs[1],
+        position: 1,
+      },
+    });
+  });
+
+  test('Adding an entry with invalid input should return 400 status.', async () => {
+    // Arrange
+    const section = await addSection();
+
+    // Act
+    const resp = await request(app)
+      .post(getEntriesGeneralUrl(username, section.id))
+      .send({ subtitle: 'No Title' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test("Adding an entry to another user's custom section should return 403 status.", async () => {
+    // Arrange
+    const section = await addSection('Publications', 1);
+
+    // Act
+    const resp = await request(app)
+      .post(getEntriesGeneralUrl(username, section.id))
+      .send(entriesForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await CustomSectionEntry.getAll(section.id)).toEqual([]);
+  });
+
+  test('Adding an entry to a custom section in a locked document should return 403 status.', async () => {
+    // Arrange
+    const section = await addSection();
+
+    // Act
+    const resp = await withLockedSection(section.id, () =>
+      request(app)
+        .post(getEntriesGeneralUrl(username, section.id))
+        .send(entriesForRawClientInputs[0])
+        .set('authorization', `Bearer ${authTokens[0]}`)
+    );
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await CustomSectionEntry.getAll(section.id)).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/sections/:sectionId/entries
+
+describe('GET /users/:username/sections/:sectionId/entries', () => {
+  test('Gets all entries of a custom section.', async () => {
+    // Arrange
+    const section = await addSection();
+    const entries = [];
+    for (const props of entriesForRawClientInputs) {
+      entries.push(await addEntry(section.id, props));
+    }
+
+    // Act
+    const resp = await request(app)
+      .get(getEntriesGeneralUrl(username, section.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      entries: entries.map((entry) => ({
+        subtitle: null,
+        location: null,
+        startDate: null,
+        endDate: null,
+        ...entry,
+      })),
+    });
+  });
+});
+
+// --------------------------------------------------
+// PUT /users/:username/sections/:sectionId/entries
+
+describe('PUT /users/:username/sections/:sectionId/entries', () => {
+  test('Reorders the entries of a custom section.', async () => {
+    // Arrange
+    const section = await addSection();
+    const entryIds = [];
+    for (const props of entriesForRawClientInputs) {
+      entryIds.push((await addEntry(section.id, props)).id);
+    }
+
+    // Act
+    const resp = await request(app)
+      .put(getEntriesGeneralUrl(username, section.id))
+      .send(entryIds.toReversed())
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.entries.map(({ id }) => id)).toEqual(
+      entryIds.toReversed()
+    );
+  });
+
+  test('Not including all entries should return 400 status.', async () => {
+    // Arrange
+    const section = await addSection();
+    const entryIds = [];
+    for (const props of entriesForRawClientInputs) {
+      entryIds.push((await addEntry(section.id, props)).id);
+    }
+
+    // Act
+    const resp = await request(app)
+      .put(getEntriesGeneralUrl(username, section.id))
+      .send(entryIds.slice(1))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+// --------------------------------------------------
+// PATCH /users/:username/sections/:sectionId/entries/:entryId
+
+describe('PATCH /users/:username/sections/:sectionId/entries/:entryId', () => {
+  test('Updates an entry and clears properties given as empty Strings.', async () => {
+    // Arrange
+    const section = await addSection();
+    const entry = await addEntry(section.id, entriesForRawClientInputs[1]);
+
+    // Act
+    const resp = await request(app)
+      .patch(getEntriesSpecificUrl(username, section.id, entry.id))
+      .send({ title: 'Head Tutor', location: '' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      entry: { ...entry, title: 'Head Tutor', location: null },
+    });
+  });
+
+  test('Updating an entry of a different section should return 404 status.', async () => {
+    // Arrange
+    const section = await addSection();
+    const otherSection = await addSection('Volunteering');
+    const entry = await addEntry(section.id);
+
+    // Act
+    const resp = await request(app)
+      .patch(getEntriesSpecificUrl(username, otherSection.id, entry.id))
+      .send({ title: 'Head Tutor' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/sections/:sectionId/entries/:entryId
+
+describe('DELETE /users/:username/sections/:sectionId/entries/:entryId', () => {
+  test('Deletes an entry.', async () => {
+    // Arrange
+    const section = await addSection();
+    const entry = await addEntry(section.id);
+
+    // Act
+    const resp = await request(app)
+      .delete(getEntriesSpecificUrl(username, section.id, entry.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await CustomSectionEntry.getAll(section.id)).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+// POST, GET, PUT, and DELETE
+// /users/:username/sections/:sectionId/entries/:entryId/text-snippets
+
+describe('/users/:username/sections/:sectionId/entries/:entryId/text-snippets', () => {
+  let section;
+  let entry;
+
+  beforeEach(async () => {
+    section = await addSection();
+    entry = await addEntry(section.id);
+  });
+
+  /**
+   * Adds text snippets to the entry.
+   */
+  async function addTextSnippets() {
+    const addedTextSnippets = [];
+
+    for (const props of textSnippetsForRawClientInputs) {
+      const resp = await request(app)
+        .post(getEntryTextSnippetsUrl(username, section.id, entry.id))
+        .send(props)
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      addedTextSnippets.push(resp.body.textSnippet);
+    }
+
+    return addedTextSnippets;
+  }
+
+  test('Adds a text snippet to an entry.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getEntryTextSnippetsUrl(username, section.id, entry.id))
+      .send(textSnippetsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      textSnippet: {
+        id: expect.any(Number),
+        version: expect.any(String),
+        owner: username,
+        parent: null,
+        ...textSnippetsForRawClientInputs[0],
+      },
+      customSectionEntryXTextSnippet: {
+        customSectionEntryId: entry.id,
+        textSnippetId: resp.body.textSnippet.id,
+        textSnippetVersion: resp.body.textSnippet.version,
+        position: 0,
+      },
+    });
+  });
+
+  test('Gets and reorders the text snippets of an entry.', async () => {
+    // Arrange
+    const addedTextSnippets = await addTextSnippets();
+    const textSnippetIds = addedTextSnippets.map(({ id }) => id).toReversed();
+
+    // Act
+    const putResp = await request(app)
+      .put(getEntryTextSnippetsUrl(username, section.id, entry.id))
+      .send(textSnippetIds)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+    const getResp = await request(app)
+      .get(getEntryTextSnippetsUrl(username, section.id, entry.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(putResp.statusCode).toBe(200);
+    expect(getResp.statusCode).toBe(200);
+    expect(getResp.body).toEqual(putResp.body);
+    expect(getResp.body.textSnippets).toEqual(addedTextSnippets.toReversed());
+  });
+
+  test('Removes a text snippet from an entry without deleting it.', async () => {
+    // Arrange
+    const [textSnippet] = await addTextSnippets();
+
+    // Act
+    const resp = await request(app)
+      .delete(
+        `${getEntryTextSnippetsUrl(username, section.id, entry.id)}` +
+          `/${textSnippet.id}`
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(
+      (await TextSnippet.getAllForCustomSectionEntry(username, entry.id)).map(
+        ({ id }) => id
+      )
+    ).not.toContain(textSnippet.id);
+    expect(
+      await TextSnippet.get({
+        id: textSnippet.id,
+        version: textSnippet.version,
+      })
+    ).toBeTruthy();
+  });
+
+  test('Updating a text snippet replaces it in the entry.', async () => {
+    // Arrange
+    const [textSnippet] = await addTextSnippets();
+
+    // Act
+    const resp = await request(app)
+      .patch(
+        `${getEntryTextSnippetsUrl(username, section.id, entry.id)}` +
+          `/${textSnippet.id}`
+      )
+      .send({
+        textSnippetVersion: textSnippet.version,
+        content: 'Updated bullet point.',
+      })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+
+    const [firstTextSnippet] = await TextSnippet.getAllForCustomSectionEntry(
+      username,
+      entry.id
+    );
+    expect(firstTextSnippet.content).toBe('Updated bullet point.');
+  });
+});
+
+// --------------------------------------------------
+// Document content
+
+describe('Custom sections in documents', () => {
+  test('Shows a custom section and its entries in document content.', async () => {
+    // Arrange
+    const section = await addSection();
+    const entry = await addEntry(section.id);
+    await request(app)
+      .post(getEntryTextSnippetsUrl(username, section.id, entry.id))
+      .send(textSnippetsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Act
+    const resp = await request(app)
+      .post(
+        `${getDocumentsSpecificUrl(username, masterDocumentId)}` +
+          `/sections/${section.id}`
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+
+    const { customSections } = await Document.getDocumentAndSectionContent(
+      masterDocumentId
+    );
+    expect(customSections).toEqual([
+      {
+        id: section.id,
+        sectionName: section.sectionName,
+        entries: [
+          expect.objectContaining({
+            id: entry.id,
+            title: entry.title,
+            bullets: [
+              expect.objectContaining({
+                content: textSnippetsForRawClientInputs[0].content,
+              }),
+            ],
+          }),
+        ],
+      },
+    ]);
+  });
+
+  test("Attaching another user's custom section should return 403 status.", async () => {
+    // Arrange
+    const section = await addSection('Publications', 1);
+
+    // Act
+    const resp = await request(app)
+      .post(
+        `${getDocumentsSpecificUrl(username, masterDocumentId)}` +
+          `/sections/${section.id}`
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,396 @@
+'use strict';
+
+const express = require('express');
+
+const urlParamsSchema = require('../schemas/urlParams.json');
+const documentSnapshotNewSchema = require('../schemas/documentSnapshotNew.json');
+
+const DocumentSnapshot = require('../models/documentSnapshot');
+const {
+  createSnapshot,
+  getSnapshotsOfDocument,
+  getSnapshot,
+  deleteSnapshot,
+} = require('../services/documentSnapshotService');
+const { exportSnapshotJsonResume } = require('../services/jsonResumeService');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { renderDocx } = require('../util/docxRenderer');
+const { renderPdf } = require('../util/pdfRenderer');
+const { renderMarkdown, renderPlainText } = require('../util/textRenderers');
+const { runJsonSchemaValidator } = require('../util/validators');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+const router = new express.Router();
+
+// --------------------------------------------------
+
+/**
+ * POST /users/:username/documents/:documentId/snapshots
+ * { snapshotName } => { snapshot }
+ *
+ * Authorization required: login
+ *
+ * Takes a snapshot of a document, such as when a resume is sent to an
+ * employer.  The snapshot holds the document and all of its contents exactly as
+ * they are now, including contact info and the versions of the text snippets
+ * in it.  Later changes or deletions of the document or its contents do not
+ * change the snapshot.
+ *
+ * @param {String} snapshotName - Name of the snapshot.
+ * @returns {Object} snapshot - The snapshot info and content.  Content has the
+ *  same format as GET /users/:username/documents/:documentId.
+ */
+router.post(
+  '/:username/documents/:documentId/snapshots',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}/snapshots ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(documentSnapshotNewSchema, req.body, logPrefix);
+
+      const snapshot = await createSnapshot(
+        userPayload.username,
+        documentId,
+        req.body
+      );
+
+      return res.status(201).json({ snapshot });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/documents/:documentId/snapshots
+ * {} => { snapshots }
+ *
+ * Authorization required: login
+ *
+ * Gets all snapshots of a document, from newest to oldest.  Content is not
+ * included.
+ *
+ * @returns {Object[]} snapshots - A list of snapshot info.
+ */
+router.get(
+  '/:username/documents/:documentId/snapshots',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/documents/${documentId}/snapshots ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+
+      const snapshots = await getSnapshotsOfDocument(
+        userPayload.username,
+        documentId
+      );
+
+      return res.json({ snapshots });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/snapshots
+ * {} => { snapshots }
+ *
+ * Authorization required: login
+ *
+ * Gets all snapshots of a user, from newest to oldest.  This includes snapshots
+ * of documents that have since been deleted.  Content is not included.
+ *
+ * @returns {Object[]} snapshots - A list of snapshot info.
+ */
+router.get('/:username/snapshots', ensureLoggedIn, async (req, res, next) => {
+  const userPayload = res.locals.user;
+  const { username } = req.params;
+
+  const logPrefix =
+    `GET /users/${username}/snapshots ` +
+    `(user: ${JSON.stringify(userPayload)})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    const snapshots = await DocumentSnapshot.getAll(userPayload.username);
+
+    return res.json({ snapshots });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * GET /users/:username/snapshots/:snapshotId
+ * {} => { snapshot }
+ *
+ * Authorization required: login
+ *
+ * Gets a snapshot and its content.
+ *
+ * @returns {Object} snapshot - The snapshot info and content.  Content has the
+ *  same format as GET /users/:username/documents/:documentId.
+ */
+router.get(
+  '/:username/snapshots/:snapshotId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, snapshotId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/snapshots/${snapshotId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { snapshotId }, logPrefix);
+
+      const snapshot = await getSnapshot(userPayload.username, snapshotId);
+
+      return res.json({ snapshot });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/snapshots/:snapshotId/export.pdf
+ * {} => PDF file
+ *
+ * Authorization required: login
+ *
+ * Exports the content of a snapshot as a PDF file.  See GET
+ * /users/:username/documents/:documentId/export.pdf.
+ *
+ * @returns {Buffer} The PDF file, as an attachment named after the snapshot.
+ */
+router.get(
+  '/:username/snapshots/:snapshotId/export.pdf',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, snapshotId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/snapshots/${snapshotId}/export.pdf ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { snapshotId }, logPrefix);
+
+      const snapshot = await getSnapshot(userPayload.username, snapshotId);
+      const pdfData = await renderPdf(snapshot.content);
+
+      return res.attachment(`${snapshot.snapshotName}.pdf`).send(pdfData);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/snapshots/:snapshotId/export.docx
+ * {} => DOCX file
+ *
+ * Authorization required: login
+ *
+ * Exports the content of a snapshot as a Word document.  See GET
+ * /users/:username/documents/:documentId/export.docx.
+ *
+ * @returns {Buffer} The DOCX file, as an attachment named after the snapshot.
+ */
+router.get(
+  '/:username/snapshots/:snapshotId/export.docx',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, snapshotId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/snapshots/${snapshotId}/export.docx ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { snapshotId }, logPrefix);
+
+      const snapshot = await getSnapshot(userPayload.username, snapshotId);
+      const docxData = await renderDocx(snapshot.content);
+
+      return res.attachment(`${snapshot.snapshotName}.docx`).send(docxData);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/snapshots/:snapshotId/export.md
+ * {} => Markdown file
+ *
+ * Authorization required: login
+ *
+ * Exports the content of a snapshot as Markdown.  See GET
+ * /users/:username/documents/:documentId/export.md.
+ *
+ * @returns {String} The Markdown file, as an attachment named after the
+ *  snapshot.
+ */
+router.get(
+  '/:username/snapshots/:snapshotId/export.md',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, snapshotId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/snapshots/${snapshotId}/export.md ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { snapshotId }, logPrefix);
+
+      const snapshot = await getSnapshot(userPayload.username, snapshotId);
+      const markdown = renderMarkdown(snapshot.content);
+
+      return res.attachment(`${snapshot.snapshotName}.md`).send(markdown);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/snapshots/:snapshotId/export.txt
+ * {} => Plain text file
+ *
+ * Authorization required: login
+ *
+ * Exports the content of a snapshot as fixed-width plain text.  See GET
+ * /users/:username/documents/:documentId/export.txt.
+ *
+ * @returns {String} The text file, as an attachment named after the snapshot.
+ */
+router.get(
+  '/:username/snapshots/:snapshotId/export.txt',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, snapshotId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/snapshots/${snapshotId}/export.txt ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { snapshotId }, logPrefix);
+
+      const snapshot = await getSnapshot(userPayload.username, snapshotId);
+      const plainText = renderPlainText(snapshot.content);
+
+      return res.attachment(`${snapshot.snapshotName}.txt`).send(plainText);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/snapshots/:snapshotId/export.json
+ * {} => JSON Resume file
+ *
+ * Authorization required: login
+ *
+ * Exports the content of a snapshot in the JSON Resume format.  See GET
+ * /users/:username/documents/:documentId/export.json.
+ *
+ * @returns {Object} The JSON Resume, as an attachment named after the
+ *  snapshot.
+ */
+router.get(
+  '/:username/snapshots/:snapshotId/export.json',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, snapshotId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/snapshots/${snapshotId}/export.json ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { snapshotId }, logPrefix);
+
+      const { snapshotName, jsonResume } = await exportSnapshotJsonResume(
+        userPayload.username,
+        snapshotId
+      );
+
+      return res.attachment(`${snapshotName}.json`).json(jsonResume);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/snapshots/:snapshotId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes a snapshot.
+ */
+router.delete(
+  '/:username/snapshots/:snapshotId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, snapshotId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/snapshots/${snapshotId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { snapshotId }, logPrefix);
+
+      await deleteSnapshot(userPayload.username, snapshotId);
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
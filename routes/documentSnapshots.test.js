@@ -0,0 +1,363 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const DocumentSnapshot = require('../models/documentSnapshot');
+const { users, experiences, textSnippets } = require('../_testData');
+const { renderMarkdown } = require('../util/textRenderers');
+const {
+  urlRegisterUser,
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+const urlPrefix = '/api/v1';
+const getDocumentSnapshotsUrl = (username, documentId) =>
+  `${urlPrefix}/users/${username}/documents/${documentId}/snapshots`;
+const getSnapshotUrl = (username, snapshotId) =>
+  `${urlPrefix}/users/${username}/snapshots/${snapshotId}`;
+
+const username = users[0].username;
+const authTokens = [];
+let documentId;
+let experienceId;
+let textSnippet;
+
+beforeAll(async () => {
+  await commonBeforeAll(db);
+
+  const responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  documentId = (await Document.getAll(username))[0].id;
+
+  // Adding content to the master resume.
+  await request(app)
+    .put(`${urlPrefix}/users/${username}/contact-info`)
+    .send({ fullName: 'First Last' })
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  const { owner, ...experienceProps } = experiences[0];
+  let resp = await request(app)
+    .post(`${urlPrefix}/users/${username}/documents/${documentId}/experiences`)
+    .send(experienceProps)
+    .set('authorization', `Bearer ${authTokens[0]}`);
+  experienceId = resp.body.experience.id;
+
+  resp = await request(app)
+    .post(
+      `${urlPrefix}/users/${username}/documents/${documentId}` +
+        `/experiences/${experienceId}/text-snippets`
+    )
+    .send({ type: textSnippets[1].type, content: textSnippets[1].content })
+    .set('authorization', `Bearer ${authTokens[0]}`);
+  textSnippet = resp.body.textSnippet;
+});
+
+beforeEach(() => clearTable(db, DocumentSnapshot.tableName));
+
+afterAll(() => commonAfterAll(db));
+
+/**
+ * Takes a snapshot of the master resume of the first user.
+ */
+async function takeSnapshot(snapshotName = 'Sent to Company') {
+  const resp = await request(app)
+    .post(getDocumentSnapshotsUrl(username, documentId))
+    .send({ snapshotName })
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.snapshot;
+}
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/snapshots
+
+describe('POST /users/:username/documents/:documentId/snapshots', () => {
+  test('Takes a snapshot of a document.', async () => {
+    // Arrange
+    const documentResp = await request(app)
+      .get(`${urlPrefix}/users/${username}/documents/${documentId}`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Act
+    const resp = await request(app)
+      .post(getDocumentSnapshotsUrl(username, documentId))
+      .send({ snapshotName: 'Sent to Company' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      snapshot: {
+        id: expect.any(Number),
+        owner: username,
+        documentId,
+        snapshotName: 'Sent to Company',
+        createdOn: expect.any(String),
+        content: documentResp.body.document,
+      },
+    });
+  });
+
+  test('Using an existing snapshot name should return 400 status.', async () => {
+    // Arrange
+    await takeSnapshot('Snapshot');
+
+    // Act
+    const resp = await request(app)
+      .post(getDocumentSnapshotsUrl(username, documentId))
+      .send({ snapshotName: 'Snapshot' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect(resp.body).not.toHaveProperty('snapshot');
+  });
+
+  test.each([[{}], [{ snapshotName: '' }]])(
+    'Giving invalid input %j should return 400 status.',
+    async (body) => {
+      // Act
+      const resp = await request(app)
+        .post(getDocumentSnapshotsUrl(username, documentId))
+        .send(body)
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+      expect(resp.body).not.toHaveProperty('snapshot');
+    }
+  );
+
+  test(
+    "Attempting to take a snapshot of another user's document " +
+      'should return 403 status.',
+    async () => {
+      // Act
+      const resp = await request(app)
+        .post(getDocumentSnapshotsUrl(username, documentId))
+        .send({ snapshotName: 'Snapshot' })
+        .set('authorization', `Bearer ${authTokens[1]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+      expect(resp.body).not.toHaveProperty('snapshot');
+    }
+  );
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents/:documentId/snapshots
+// GET /users/:username/snapshots
+
+describe('GET snapshot lists', () => {
+  test.each([
+    ['of a document', () => getDocumentSnapshotsUrl(username, documentId)],
+    ['of a user', () => `${urlPrefix}/users/${username}/snapshots`],
+  ])(
+    'Gets all snapshots %s without content, newest first.',
+    async (_, getUrl) => {
+      // Arrange
+      const snapshots = [
+        await takeSnapshot('Snapshot 1'),
+        await takeSnapshot('Snapshot 2'),
+      ];
+
+      // Act
+      const resp = await request(app)
+        .get(getUrl())
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(200);
+      expect(resp.body).toEqual({
+        snapshots: snapshots.reverse().map(({ content, ...rest }) => rest),
+      });
+    }
+  );
+});
+
+// --------------------------------------------------
+// GET /users/:username/snapshots/:snapshotId
+
+describe('GET /users/:username/snapshots/:snapshotId', () => {
+  test('Gets a snapshot exactly as it was, after its content changed.', async () => {
+    // Arrange
+    const snapshot = await takeSnapshot();
+
+    await request(app)
+      .put(`${urlPrefix}/users/${username}/contact-info`)
+      .send({ fullName: 'New Name' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+    await request(app)
+      .patch(`${urlPrefix}/users/${username}/experiences/${experienceId}`)
+      .send({ title: 'New title' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+    await request(app)
+      .patch(
+        `${urlPrefix}/users/${username}/experiences/${experienceId}` +
+          `/text-snippets/${textSnippet.id}`
+      )
+      .send({ textSnippetVersion: textSnippet.version, content: 'New content' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Act
+    const resp = await request(app)
+      .get(getSnapshotUrl(username, snapshot.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ snapshot });
+
+    const { contactInfo, experiences: snapshotExperiences } =
+      resp.body.snapshot.content;
+    expect(contactInfo.fullName).toBe('First Last');
+    expect(snapshotExperiences[0].title).toBe(experiences[0].title);
+    expect(snapshotExperiences[0].bullets).toEqual([
+      expect.objectContaining({
+        id: textSnippet.id,
+        version: textSnippet.version,
+        content: textSnippets[1].content,
+      }),
+    ]);
+
+    // The document itself has changed.
+    const documentResp = await request(app)
+      .get(`${urlPrefix}/users/${username}/documents/${documentId}`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+    const { contactInfo: newContactInfo, experiences: newExperiences } =
+      documentResp.body.document;
+    expect(newContactInfo.fullName).toBe('New Name');
+    expect(newExperiences[0].title).toBe('New title');
+    expect(newExperiences[0].bullets[0].content).toBe('New content');
+  });
+
+  test('Getting a nonexistent snapshot should return 404 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getSnapshotUrl(username, 999))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+    expect(resp.body).not.toHaveProperty('snapshot');
+  });
+
+  test("Getting another user's snapshot should return 403 status.", async () => {
+    // Arrange
+    const snapshot = await takeSnapshot();
+
+    // Act
+    const resp = await request(app)
+      .get(getSnapshotUrl(users[1].username, snapshot.id))
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(resp.body).not.toHaveProperty('snapshot');
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/snapshots/:snapshotId/export.*
+
+describe('GET /users/:username/snapshots/:snapshotId/export.*', () => {
+  test('Exports the content of a snapshot.', async () => {
+    // Arrange
+    const snapshot = await takeSnapshot();
+
+    // Act
+    const resp = await request(app)
+      .get(`${getSnapshotUrl(username, snapshot.id)}/export.md`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.headers['content-disposition']).toBe(
+      `attachment; filename="${snapshot.snapshotName}.md"`
+    );
+    expect(resp.text).toBe(renderMarkdown(snapshot.content));
+  });
+
+  test.each([['pdf'], ['docx'], ['txt'], ['json']])(
+    'Exports a snapshot as %s.',
+    async (extension) => {
+      // Arrange
+      const snapshot = await takeSnapshot();
+
+      // Act
+      const resp = await request(app)
+        .get(`${getSnapshotUrl(username, snapshot.id)}/export.${extension}`)
+        .set('authorization', `Bearer ${authTokens[0]}`)
+        .responseType('blob');
+
+      // Assert
+      expect(resp.statusCode).toBe(200);
+      expect(resp.headers['content-disposition']).toBe(
+        `attachment; filename="${snapshot.snapshotName}.${extension}"`
+      );
+    }
+  );
+
+  test("Exporting another user's snapshot should return 403 status.", async () => {
+    // Arrange
+    const snapshot = await takeSnapshot();
+
+    // Act
+    const resp = await request(app)
+      .get(`${getSnapshotUrl(users[1].username, snapshot.id)}/export.md`)
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/snapshots/:snapshotId
+
+describe('DELETE /users/:username/snapshots/:snapshotId', () => {
+  test('Deletes a snapshot.', async () => {
+    // Arrange
+    const snapshot = await takeSnapshot();
+
+    // Act
+    const resp = await request(app)
+      .delete(getSnapshotUrl(username, snapshot.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await DocumentSnapshot.getAll(username)).toEqual([]);
+  });
+
+  test("Deleting another user's snapshot should return 403 status.", async () => {
+    // Arrange
+    const snapshot = await takeSnapshot();
+
+    // Act
+    const resp = await request(app)
+      .delete(getSnapshotUrl(users[1].username, snapshot.id))
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await DocumentSnapshot.getAll(username)).toHaveLength(1);
+  });
+});
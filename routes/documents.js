@@ -4,15 +4,39 @@ const express = require('express');
 
 const urlParamsSchema = require('../schemas/urlParams.json');
 const documentNewSchema = require('../schemas/documentNew.json');
+const documentFilterSchema = require('../schemas/documentFilter.json');
+const documentForkSchema = require('../schemas/documentFork.json');
 const documentUpdateSchema = require('../schemas/documentUpdate.json');
+const documentKeywordMatchSchema = require('../schemas/documentKeywordMatch.json');
+const documentBulletSuggestionsSchema = require('../schemas/documentBulletSuggestions.json');
+const jsonResumeSchema = require('../schemas/jsonResume.json');
+const contactInfoSchema = require('../schemas/contactInfo.json');
+const educationNewSchema = require('../schemas/educationNew.json');
+const experienceNewSchema = require('../schemas/experienceNew.json');
+const certificationNewSchema = require('../schemas/certificationNew.json');
+const projectNewSchema = require('../schemas/projectNew.json');
+const textSnippetNewSchema = require('../schemas/textSnippetNew.json');
 
 const Document = require('../models/document');
 const {
   getDocument,
+  forkDocument,
+  getDocumentDiff,
+  lintDocument,
+  getKeywordMatch,
+  getBulletSuggestions,
   updateDocument,
   deleteDocument,
 } = require('../services/documentService');
+const {
+  exportJsonResume,
+  importJsonResume,
+} = require('../services/jsonResumeService');
 const { ensureLoggedIn } = require('../middleware/auth');
+const { renderDocx } = require('../util/docxRenderer');
+const { convertFromJsonResume } = require('../util/jsonResume');
+const { renderPdf } = require('../util/pdfRenderer');
+const { renderMarkdown, renderPlainText } = require('../util/textRenderers');
 const { runJsonSchemaValidator } = require('../util/validators');
 
 const logger = require('../util/logger');
@@ -32,7 +56,8 @@ const router = new express.Router();
  * Creates a new document.
  *
  * @param {String} documentName - Name of the document.
- * @param {Boolean} isTemplate - Whether this new document should be a template.
+ * @param {Boolean} [isTemplate] - Whether this new document should be a
+ *  template.  Defaults to false.
  * @returns {Object} document - Returns all info of the document.
  */
 router.post('/', ensureLoggedIn, async (req, res, next) => {
@@ -48,10 +73,10 @@ router.post('/', ensureLoggedIn, async (req, res, next) => {
     runJsonSchemaValidator(documentNewSchema, req.body, logPrefix);
 
     const document = await Document.add({
+      isTemplate: false,
       ...req.body,
       owner: userPayload.username,
       isMaster: false,
-      isTemplate: false, // Temporary until templates are implemented.
     });
 
     return res.status(201).json({ document });
@@ -61,13 +86,16 @@ router.post('/', ensureLoggedIn, async (req, res, next) => {
 });
 
 /**
- * GET /users/:username/documents
+ * GET /users/:username/documents?kind=
  * {} => { documents }
  *
  * Authorization required: login
  *
- * Gets all documents belonging to a user.
+ * Gets all documents belonging to a user, which includes resumes and cover
+ * letters.
  *
+ * @param {String} [kind] - Only get documents of this kind.  One of "resume"
+ *  or "coverLetter".
  * @returns {Object} documents - Returns a list of documents containing all info
  *  of each document.
  */
@@ -76,11 +104,47 @@ router.get('/', ensureLoggedIn, async (req, res, next) => {
 
   const logPrefix =
     'GET /users/:username/documents (' +
+    `user: ${JSON.stringify(userPayload)}, ` +
+    `query string: ${JSON.stringify(req.query)})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    runJsonSchemaValidator(documentFilterSchema, req.query, logPrefix);
+
+    const { kind } = req.query;
+
+    const documents = await Document.getAll(userPayload.username, { kind });
+
+    return res.json({ documents });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * GET /users/:username/documents/templates
+ * {} => { documents }
+ *
+ * Authorization required: login
+ *
+ * Gets all templates belonging to a user.  A new document can be made from a
+ * template with POST /users/:username/documents/:documentId/fork.
+ *
+ * @returns {Object} documents - Returns a list of templates containing all
+ *  info of each template.
+ */
+router.get('/templates', ensureLoggedIn, async (req, res, next) => {
+  const userPayload = res.locals.user;
+
+  const logPrefix =
+    'GET /users/:username/documents/templates (' +
     `user: ${JSON.stringify(userPayload)})`;
   logger.info(logPrefix + ' BEGIN');
 
   try {
-    const documents = await Document.getAll(userPayload.username);
+    const documents = await Document.getAll(userPayload.username, {
+      isTemplate: true,
+    });
 
     return res.json({ documents });
   } catch (err) {
@@ -94,10 +158,12 @@ router.get('/', ensureLoggedIn, async (req, res, next) => {
  *
  * Authorization required: login
  *
- * Gets a document and all section content in it.
+ * Gets a document and all section content in it.  For a cover letter, this
+ * gets its paragraphs instead of sections.
  *
  * @returns {{document}} Document properties, user contact info, sections, and
- *  content in sections.
+ *  content in sections.  For a cover letter, the cover letter info and
+ *  paragraphs take the place of sections.
  */
 router.get('/:documentId', ensureLoggedIn, async (req, res, next) => {
   const userPayload = res.locals.user;
@@ -120,6 +186,581 @@ router.get('/:documentId', ensureLoggedIn, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /users/:username/documents/:documentId/diff/:otherDocumentId
+ * {} => { diff }
+ *
+ * Authorization required: login
+ *
+ * Compares the content of two documents, such as the master resume and a
+ * resume tailored from it.  Reports what changed when going from the first
+ * document to the second one.
+ *
+ * Sections, educations, experiences, and each experience's bullets are
+ * matched by ID.  Items are added if only in the second document, removed if
+ * only in the first, and reordered if they were moved relative to the other
+ * items.  Bullets of the same text snippet at different versions are reported
+ * separately.  The summary is reported if it is a different text snippet or
+ * version.
+ *
+ * @returns {Object} diff - {
+ *    from: { id, documentName },
+ *    to: { id, documentName },
+ *    summary: { from, to } | null,
+ *    sections: { added, removed, reordered },
+ *    educations: { added, removed, reordered },
+ *    experiences: { added, removed, reordered },
+ *    certifications: { added, removed, reordered },
+ *    projects: { added, removed, reordered },
+ *    skills: { added, removed, reordered },
+ *    bullets: [{ experienceId, added, removed, reordered, versionChanged }],
+ *    projectBullets: [
+ *      { projectId, added, removed, reordered, versionChanged }
+ *    ],
+ *    isSame
+ *  }
+ *  Each reordered item is { item, fromPosition, toPosition }, and each bullet
+ *  with a changed version is { from, to }.  Only experiences and projects with
+ *  bullet differences are in bullets and projectBullets.  summary is null if
+ *  the summaries are the same.
+ */
+router.get(
+  '/:documentId/diff/:otherDocumentId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+
+    const { username, documentId, otherDocumentId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/documents/${documentId}` +
+      `/diff/${otherDocumentId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId: otherDocumentId },
+        logPrefix
+      );
+
+      const diff = await getDocumentDiff(
+        userPayload.username,
+        documentId,
+        otherDocumentId
+      );
+
+      return res.json({ diff });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/documents/:documentId/lint
+ * {} => { issues }
+ *
+ * Authorization required: login
+ *
+ * Checks the experience bullets of a document for weak openings, missing
+ * numbers, passive voice, first-person pronouns, overly long bullets, leading
+ * verbs that were already used, and tense that does not match whether the
+ * experience has ended.
+ *
+ * @returns {Object[]} issues - [{
+ *    experienceId,
+ *    textSnippetId,
+ *    textSnippetVersion,
+ *    rule,
+ *    message
+ *  }]
+ *  Each rule is one of "weakOpening", "missingQuantification", "passiveVoice",
+ *  "firstPerson", "tooLong", "repeatedVerb", or "inconsistentTense".
+ */
+router.get('/:documentId/lint', ensureLoggedIn, async (req, res, next) => {
+  const userPayload = res.locals.user;
+
+  const { username, documentId } = req.params;
+
+  const logPrefix =
+    `GET /users/${username}/documents/${documentId}/lint ` +
+    `(user: ${JSON.stringify(userPayload)})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+
+    const issues = await lintDocument(userPayload.username, documentId);
+
+    return res.json({ issues });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * POST /users/:username/documents/:documentId/keyword-match
+ * { jobDescription } => { keywordMatch }
+ *
+ * Authorization required: login
+ *
+ * Scores how well the content of a document, such as its bullets, skills, and
+ * titles, covers the keywords of a job posting.  Keywords are words and
+ * phrases that are found in the job posting, without any outside service, so
+ * the same posting and document always give the same result.
+ *
+ * @returns {Object} keywordMatch - {
+ *    score,
+ *    matchedKeywords: [{ keyword, occurrences }],
+ *    missingKeywords: [{ keyword, occurrences }]
+ *  }
+ *  The score is the percent, from 0 to 100, of keyword occurrences in the job
+ *  posting that the document covers.  Keywords are listed most important
+ *  first.
+ */
+router.post(
+  '/:documentId/keyword-match',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}/keyword-match ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(documentKeywordMatchSchema, req.body, logPrefix);
+
+      const keywordMatch = await getKeywordMatch(
+        userPayload.username,
+        documentId,
+        req.body.jobDescription
+      );
+
+      return res.json({ keywordMatch });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /users/:username/documents/:documentId/bullet-suggestions
+ * { jobDescription, maxBulletsPerExperience } => { suggestions }
+ *
+ * Authorization required: login
+ *
+ * Ranks every bullet of the experiences in the master resume by how relevant
+ * it is to a job posting, and suggests which experiences and bullets to put in
+ * a resume tailored to the posting.  Document ID must be of the master resume.
+ *
+ * The suggested experiences can be attached to a document with
+ * POST /users/:username/documents/:documentId/experiences/:experienceId, then
+ * their bullets with POST /users/:username/documents/:documentId/experiences
+ * /:experienceId/text-snippets/:textSnippetId, in the order given.
+ *
+ * @param {Number} [maxBulletsPerExperience] - Most bullets to suggest for each
+ *  experience.  Defaults to 5.
+ * @returns {Object} suggestions - {
+ *    rankedBullets: [{
+ *      experienceId,
+ *      textSnippetId,
+ *      textSnippetVersion,
+ *      content,
+ *      relevance,
+ *      matchedKeywords
+ *    }],
+ *    experiences: [{
+ *      experienceId,
+ *      bullets: [{ textSnippetId, textSnippetVersion }]
+ *    }]
+ *  }
+ *  rankedBullets has every bullet, most relevant first.  experiences only has
+ *  experiences with relevant bullets, in the order of the master resume, and
+ *  their bullets from most to least relevant.
+ */
+router.post(
+  '/:documentId/bullet-suggestions',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}/bullet-suggestions ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(
+        documentBulletSuggestionsSchema,
+        req.body,
+        logPrefix
+      );
+
+      const { jobDescription, ...options } = req.body;
+
+      const suggestions = await getBulletSuggestions(
+        userPayload.username,
+        documentId,
+        jobDescription,
+        options
+      );
+
+      return res.json({ suggestions });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /users/:username/documents/:documentId/fork
+ * {
+ *  documentName,
+ *  isTemplate,
+ *  sectionIds,
+ *  educationIds,
+ *  experienceIds,
+ *  certificationIds,
+ *  projectIds,
+ *  skillIds,
+ *  textSnippetIds
+ * } => { document }
+ *
+ * Authorization required: login
+ *
+ * Creates a new document that is a copy of an existing document, which is
+ * usually the master resume.  The new document has the same sections,
+ * educations, experiences, certifications, projects, skills, and experience
+ * and project text snippets, in the same order.  Either everything is copied,
+ * or nothing is.
+ *
+ * Each list of IDs limits the items of that type that are copied.  All items
+ * of a type are copied if its list is not given.
+ *
+ * Templates are made by forking with isTemplate set to true, keeping only the
+ * wanted sections and content.  Forking a template makes a new document that
+ * starts with the template's sections, content, and positions.
+ *
+ * @param {String} documentName - Name of the new document.
+ * @param {Boolean} [isTemplate] - Whether the new document should be a
+ *  template.  Defaults to false.
+ * @param {Number[]} [sectionIds] - IDs of sections to copy.
+ * @param {Number[]} [educationIds] - IDs of educations to copy.
+ * @param {Number[]} [experienceIds] - IDs of experiences to copy.
+ * @param {Number[]} [certificationIds] - IDs of certifications to copy.
+ * @param {Number[]} [projectIds] - IDs of projects to copy.
+ * @param {Number[]} [skillIds] - IDs of skills to copy.
+ * @param {Number[]} [textSnippetIds] - IDs of experience and project text
+ *  snippets to copy.
+ * @returns {Object} document - Returns all info of the new document.
+ */
+router.post('/:documentId/fork', ensureLoggedIn, async (req, res, next) => {
+  const userPayload = res.locals.user;
+
+  const { username, documentId } = req.params;
+
+  const logPrefix =
+    `POST /users/${username}/documents/${documentId}/fork ` +
+    `(user: ${JSON.stringify(userPayload)}, ` +
+    `request body: ${JSON.stringify(req.body)})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+    runJsonSchemaValidator(documentForkSchema, req.body, logPrefix);
+
+    const document = await forkDocument(
+      userPayload.username,
+      documentId,
+      req.body
+    );
+
+    return res.status(201).json({ document });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * GET /users/:username/documents/:documentId/export.pdf
+ * {} => PDF file
+ *
+ * Authorization required: login
+ *
+ * Exports a document and all section content in it as a PDF file.  Sections are
+ * in the same order as in the document.
+ *
+ * @returns {Buffer} The PDF file, as an attachment named after the document.
+ */
+router.get(
+  '/:documentId/export.pdf',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/documents/${documentId}/export.pdf ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+
+      const document = await getDocument(userPayload.username, documentId);
+      const pdfData = await renderPdf(document);
+
+      return res.attachment(`${document.documentName}.pdf`).send(pdfData);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/documents/:documentId/export.docx
+ * {} => DOCX file
+ *
+ * Authorization required: login
+ *
+ * Exports a document and all section content in it as a Word document.  This
+ * has the same content and ordering as GET /users/:username/documents/:documentId.
+ *
+ * @returns {Buffer} The DOCX file, as an attachment named after the document.
+ */
+router.get(
+  '/:documentId/export.docx',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/documents/${documentId}/export.docx ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+
+      const document = await getDocument(userPayload.username, documentId);
+      const docxData = await renderDocx(document);
+
+      return res.attachment(`${document.documentName}.docx`).send(docxData);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/documents/:documentId/export.md
+ * {} => Markdown file
+ *
+ * Authorization required: login
+ *
+ * Exports a document and all section content in it as Markdown.  Sections are
+ * in the same order as in the document, and sections without content are left
+ * out.
+ *
+ * @returns {String} The Markdown file, as an attachment named after the
+ *  document.
+ */
+router.get('/:documentId/export.md', ensureLoggedIn, async (req, res, next) => {
+  const userPayload = res.locals.user;
+
+  const { username, documentId } = req.params;
+
+  const logPrefix =
+    `GET /users/${username}/documents/${documentId}/export.md ` +
+    `(user: ${JSON.stringify(userPayload)})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+
+    const document = await getDocument(userPayload.username, documentId);
+    const markdown = renderMarkdown(document);
+
+    return res.attachment(`${document.documentName}.md`).send(markdown);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * GET /users/:username/documents/:documentId/export.txt
+ * {} => Plain text file
+ *
+ * Authorization required: login
+ *
+ * Exports a document and all section content in it as fixed-width plain text,
+ * for pasting into places like job application forms.  Sections are in the
+ * same order as in the document, and sections without content are left out.
+ *
+ * @returns {String} The text file, as an attachment named after the document.
+ */
+router.get(
+  '/:documentId/export.txt',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/documents/${documentId}/export.txt ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+
+      const document = await getDocument(userPayload.username, documentId);
+      const plainText = renderPlainText(document);
+
+      return res.attachment(`${document.documentName}.txt`).send(plainText);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/documents/:documentId/export.json
+ * {} => JSON Resume file
+ *
+ * Authorization required: login
+ *
+ * Exports a document and all section content in it in the JSON Resume format
+ * (https://jsonresume.org/schema), for moving resumes between other tools.
+ * Contact info becomes basics, experiences become work, educations become
+ * education, certifications become certificates, and projects stay as projects.
+ * Experience and project bullet points become highlights.  Cover letters can
+ * not be exported in this format.
+ *
+ * @returns {Object} The JSON Resume, as an attachment named after the
+ *  document.
+ */
+router.get(
+  '/:documentId/export.json',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/documents/${documentId}/export.json ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+
+      const { documentName, jsonResume } = await exportJsonResume(
+        userPayload.username,
+        documentId
+      );
+
+      return res.attachment(`${documentName}.json`).json(jsonResume);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /users/:username/documents/:documentId/import
+ * { basics, work, education, certificates, projects } => { document }
+ *
+ * Authorization required: login
+ *
+ * Imports a resume in the JSON Resume format (https://jsonresume.org/schema)
+ * into the master resume.  This is the reverse of GET
+ * /users/:username/documents/:documentId/export.json.  Contact info is created
+ * or updated from basics.  Educations, experiences and their text snippets,
+ * certifications, and projects and their text snippets are created and added
+ * after any existing ones in the master resume.  Other JSON Resume sections
+ * are ignored.
+ *
+ * All imported content must also pass the same validation as when it is
+ * created one at a time.
+ *
+ * @param {Object} [basics] - Name, email, phone, location, and LinkedIn and
+ *  GitHub profiles of the user.
+ * @param {Object[]} [work] - Work experiences.  Highlights become text
+ *  snippets.
+ * @param {Object[]} [education] - Educations.
+ * @param {Object[]} [certificates] - Certifications.
+ * @param {Object[]} [projects] - Projects.  Highlights become text snippets.
+ * @returns {Object} document - The master resume and all of its contents,
+ *  after the import.
+ */
+router.post('/:documentId/import', ensureLoggedIn, async (req, res, next) => {
+  const userPayload = res.locals.user;
+
+  const { username, documentId } = req.params;
+
+  const logPrefix =
+    `POST /users/${username}/documents/${documentId}/import ` +
+    `(user: ${JSON.stringify(userPayload)})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+    runJsonSchemaValidator(jsonResumeSchema, req.body, logPrefix);
+
+    const props = convertFromJsonResume(req.body);
+
+    // Validate everything before any of it is saved.
+    if (props.contactInfo) {
+      runJsonSchemaValidator(contactInfoSchema, props.contactInfo, logPrefix);
+    }
+    props.educations.forEach((education) =>
+      runJsonSchemaValidator(educationNewSchema, education, logPrefix)
+    );
+    props.experiences.forEach(({ experience, textSnippets }) => {
+      runJsonSchemaValidator(experienceNewSchema, experience, logPrefix);
+      textSnippets.forEach((textSnippet) =>
+        runJsonSchemaValidator(textSnippetNewSchema, textSnippet, logPrefix)
+      );
+    });
+    props.certifications.forEach((certification) =>
+      runJsonSchemaValidator(certificationNewSchema, certification, logPrefix)
+    );
+    props.projects.forEach(({ project, textSnippets }) => {
+      runJsonSchemaValidator(projectNewSchema, project, logPrefix);
+      textSnippets.forEach((textSnippet) =>
+        runJsonSchemaValidator(textSnippetNewSchema, textSnippet, logPrefix)
+      );
+    });
+
+    const document = await importJsonResume(
+      userPayload.username,
+      documentId,
+      props
+    );
+
+    return res.status(201).json({ document });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /**
  * PATCH /users/:username/documents/:documentId
  * { documentName, isTemplate, isLocked } => { document }
@@ -127,7 +768,8 @@ router.get('/:documentId', ensureLoggedIn, async (req, res, next) => {
  * Authorization required: login
  *
  * Updates a document's properties.  If document is master resume, then only
- * documentName can be updated.
+ * documentName can be updated.  A locked document can not be changed in any
+ * way, including its contents, until isLocked is set to false.
  *
  * @param {String} [documentName] - New name of the document.
  * @param {Boolean} [isTemplate] - Whether this document should be a template.
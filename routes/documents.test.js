@@ -6,7 +6,10 @@ const app = require('../app');
 const db = require('../database/db');
 
 const Document = require('../models/document');
-const { users, documents } = require('../_testData');
+const Section = require('../models/section');
+const Experience = require('../models/experience');
+const TextSnippet = require('../models/textSnippet');
+const { users, documents, experiences } = require('../_testData');
 const {
   commonBeforeAll,
   commonAfterAll,
@@ -82,6 +85,7 @@ describe('POST /users/:username/documents', () => {
       isMaster: false,
       isTemplate: document.isTemplate,
       isLocked: false,
+      kind: 'resume',
     };
 
     expect(resp.body).toEqual({
@@ -91,6 +95,21 @@ describe('POST /users/:username/documents', () => {
     expect(Date.parse(resp.body.document.createdOn)).not.toBeNaN();
   });
 
+  test.each([
+    ['template', { isTemplate: true }, true],
+    ['non-template by default', {}, false],
+  ])('Adds a new %s.', async (testTitle, templateData, isTemplate) => {
+    // Act
+    const resp = await request(app)
+      .post(getUrlNewDocument(user.username))
+      .send({ documentName: document.documentName, ...templateData })
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body.document.isTemplate).toBe(isTemplate);
+  });
+
   test.each([
     // [{ documentName: document.documentName }],
     [{ isTemplate: document.isTemplate }],
@@ -100,80 +119,1172 @@ describe('POST /users/:username/documents', () => {
     async (newDocumentData) => {
       // Act
       const resp = await request(app)
-        .post(getUrlNewDocument(user.username))
-        .send(newDocumentData)
-        .set('authorization', `Bearer ${authToken}`);
+        .post(getUrlNewDocument(user.username))
+        .send(newDocumentData)
+        .set('authorization', `Bearer ${authToken}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+      expect(resp.body).not.toHaveProperty('document');
+    }
+  );
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents
+
+describe('GET /users/:username/documents', () => {
+  const getUrl = (username) => `${urlPrefix}/users/${username}/documents`;
+  const user = users[0];
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  let authToken;
+  beforeAll(() => {
+    authToken = authTokens[0];
+  });
+
+  test('Retrieves all documents for a user.', async () => {
+    // Arrange
+    await Promise.all(
+      documents.map((document) =>
+        request(app)
+          .post(getUrlNewDocument(user.username))
+          .send({
+            documentName: document.documentName,
+            isTemplate: document.isTemplate,
+          })
+          .set('authorization', `Bearer ${authToken}`)
+      )
+    );
+
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+
+    const expectedDocuments = documents.map((document) => ({
+      id: expect.any(Number),
+      documentName: document.documentName,
+      owner: user.username,
+      createdOn: expect.any(String),
+      lastUpdated: null,
+      isMaster: false,
+      isTemplate: document.isTemplate,
+      isLocked: false,
+      kind: 'resume',
+    }));
+
+    expect(resp.body).toEqual({
+      documents: expectedDocuments,
+    });
+  });
+
+  test('Returns no documents if they do not exist.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ documents: [] });
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents/templates
+
+describe('GET /users/:username/documents/templates', () => {
+  const getUrl = (username) =>
+    `${urlPrefix}/users/${username}/documents/templates`;
+  const user = users[0];
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  let authToken;
+  beforeAll(() => {
+    authToken = authTokens[0];
+  });
+
+  test('Retrieves only the templates of a user.', async () => {
+    // Arrange
+    await Promise.all(
+      documents.map((document) =>
+        request(app)
+          .post(getUrlNewDocument(user.username))
+          .send({
+            documentName: document.documentName,
+            isTemplate: document.isTemplate,
+          })
+          .set('authorization', `Bearer ${authToken}`)
+      )
+    );
+
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+
+    const expectedDocuments = documents
+      .filter((document) => document.isTemplate)
+      .map((document) => ({
+        id: expect.any(Number),
+        documentName: document.documentName,
+        owner: user.username,
+        createdOn: expect.any(String),
+        lastUpdated: null,
+        isMaster: false,
+        isTemplate: true,
+        isLocked: false,
+        kind: 'resume',
+      }));
+
+    expect(expectedDocuments.length).toBeGreaterThan(0);
+    expect(resp.body).toEqual({ documents: expectedDocuments });
+  });
+
+  test('Returns no templates if they do not exist.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ documents: [] });
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents/:documentId/diff/:otherDocumentId
+
+describe('GET /users/:username/documents/:documentId/diff/:otherDocumentId', () => {
+  const getUrl = (username, documentId, otherDocumentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}` +
+    `/diff/${otherDocumentId}`;
+  const user = users[0];
+  let authToken;
+  let section;
+  let masterDocumentId;
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  beforeAll(async () => {
+    authToken = authTokens[0];
+    section = await Section.add({ sectionName: 'Diff Section' });
+  });
+
+  beforeEach(async () => {
+    masterDocumentId = (await Document.add(documents[0])).id;
+
+    await request(app)
+      .post(
+        `${urlPrefix}/users/${user.username}/documents/${masterDocumentId}` +
+          `/sections/${section.id}`
+      )
+      .set('authorization', `Bearer ${authToken}`);
+  });
+
+  test('Gets the differences between two documents.', async () => {
+    // Arrange
+    const forkResp = await request(app)
+      .post(
+        `${urlPrefix}/users/${user.username}/documents/${masterDocumentId}/fork`
+      )
+      .send({ documentName: 'Fork', sectionIds: [] })
+      .set('authorization', `Bearer ${authToken}`);
+    const fork = forkResp.body.document;
+
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, masterDocumentId, fork.id))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    const noDifferences = { added: [], removed: [], reordered: [] };
+
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      diff: {
+        from: { id: masterDocumentId, documentName: documents[0].documentName },
+        to: { id: fork.id, documentName: 'Fork' },
+        summary: null,
+        sections: {
+          ...noDifferences,
+          removed: [{ id: section.id, sectionName: section.sectionName }],
+        },
+        educations: noDifferences,
+        experiences: noDifferences,
+        certifications: noDifferences,
+        projects: noDifferences,
+        skills: noDifferences,
+        bullets: [],
+        projectBullets: [],
+        isSame: false,
+      },
+    });
+  });
+
+  test('Comparing a document to itself finds no differences.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, masterDocumentId, masterDocumentId))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.diff.isSame).toBe(true);
+  });
+
+  test('Giving an invalid document ID should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, masterDocumentId, 'abc'))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect(resp.body).not.toHaveProperty('diff');
+  });
+
+  test('Comparing to a nonexistent document should return 404 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, masterDocumentId, masterDocumentId + 999))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+    expect(resp.body).not.toHaveProperty('diff');
+  });
+
+  test(
+    "Attempting to compare another user's document " +
+      'should return 403 status.',
+    async () => {
+      // Act
+      const resp = await request(app)
+        .get(getUrl(users[1].username, masterDocumentId, masterDocumentId))
+        .set('authorization', `Bearer ${authTokens[1]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+      expect(resp.body).not.toHaveProperty('diff');
+    }
+  );
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents/:documentId/lint
+
+describe('GET /users/:username/documents/:documentId/lint', () => {
+  const getUrl = (username, documentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}/lint`;
+  const user = users[0];
+  let authToken;
+  let documentId;
+  let experienceId;
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  beforeAll(() => {
+    authToken = authTokens[0];
+  });
+
+  beforeEach(async () => {
+    documentId = (await Document.add(documents[0])).id;
+
+    const { owner, ...experienceProps } = experiences[1];
+    const resp = await request(app)
+      .post(
+        `${urlPrefix}/users/${user.username}/documents/${documentId}` +
+          '/experiences'
+      )
+      .send(experienceProps)
+      .set('authorization', `Bearer ${authToken}`);
+    experienceId = resp.body.experience.id;
+  });
+
+  afterAll(async () => {
+    await clearTable(db, TextSnippet.tableName);
+    await clearTable(db, Experience.tableName);
+  });
+
+  /**
+   * Adds a bullet to the experience in the document.
+   */
+  async function addBullet(content) {
+    const resp = await request(app)
+      .post(
+        `${urlPrefix}/users/${user.username}/documents/${documentId}` +
+          `/experiences/${experienceId}/text-snippets`
+      )
+      .send({ type: 'bullet point', content })
+      .set('authorization', `Bearer ${authToken}`);
+
+    return resp.body.textSnippet;
+  }
+
+  test('Finds problems in the bullets of a document.', async () => {
+    // Arrange
+    await addBullet('Reduced cloud costs by 20%.');
+    const bullet = await addBullet('Reduced the time it takes to deploy.');
+
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, documentId))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    const issue = {
+      experienceId,
+      textSnippetId: bullet.id,
+      textSnippetVersion: bullet.version,
+      message: expect.any(String),
+    };
+
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      issues: [
+        { ...issue, rule: 'missingQuantification' },
+        { ...issue, rule: 'repeatedVerb' },
+      ],
+    });
+  });
+
+  test('Finds no problems in a document without bullets.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, documentId))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ issues: [] });
+  });
+
+  test('Giving an invalid document ID should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, 'abc'))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect(resp.body).not.toHaveProperty('issues');
+  });
+
+  test("Attempting to check another user's document should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(users[1].username, documentId))
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(resp.body).not.toHaveProperty('issues');
+  });
+});
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/keyword-match
+
+describe('POST /users/:username/documents/:documentId/keyword-match', () => {
+  const getUrl = (username, documentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}/keyword-match`;
+  const user = users[0];
+  const jobDescription = 'Looking for a software engineer who knows SQL.';
+  let authToken;
+  let documentId;
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  beforeAll(() => {
+    authToken = authTokens[0];
+  });
+
+  beforeEach(async () => {
+    documentId = (await Document.add(documents[0])).id;
+
+    const { owner, ...experienceProps } = experiences[0];
+    await request(app)
+      .post(
+        `${urlPrefix}/users/${user.username}/documents/${documentId}` +
+          '/experiences'
+      )
+      .send(experienceProps)
+      .set('authorization', `Bearer ${authToken}`);
+  });
+
+  afterAll(() => clearTable(db, Experience.tableName));
+
+  test('Scores how well a document covers the keywords of a job posting.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getUrl(user.username, documentId))
+      .send({ jobDescription })
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      keywordMatch: {
+        score: 50,
+        matchedKeywords: [
+          { keyword: 'software', occurrences: 1 },
+          { keyword: 'engineer', occurrences: 1 },
+        ],
+        missingKeywords: [
+          { keyword: 'knows', occurrences: 1 },
+          { keyword: 'sql', occurrences: 1 },
+        ],
+      },
+    });
+  });
+
+  test.each([[{}], [{ jobDescription: '' }], [{ jobDescription: 1 }]])(
+    'Giving invalid request body %j should return 400 status.',
+    async (body) => {
+      // Act
+      const resp = await request(app)
+        .post(getUrl(user.username, documentId))
+        .send(body)
+        .set('authorization', `Bearer ${authToken}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+      expect(resp.body).not.toHaveProperty('keywordMatch');
+    }
+  );
+
+  test("Attempting to score another user's document should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .post(getUrl(users[1].username, documentId))
+      .send({ jobDescription })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(resp.body).not.toHaveProperty('keywordMatch');
+  });
+});
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/bullet-suggestions
+
+describe('POST /users/:username/documents/:documentId/bullet-suggestions', () => {
+  const getUrl = (username, documentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}` +
+    '/bullet-suggestions';
+  const user = users[0];
+  const jobDescription =
+    'Looking for an engineer to design APIs.  You will design REST APIs.';
+  let authToken;
+  let masterDocumentId;
+  let experienceIds;
+  let bullets;
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  beforeAll(() => {
+    authToken = authTokens[0];
+  });
+
+  beforeEach(async () => {
+    masterDocumentId = (await Document.add(documents[0])).id;
+    const documentUrl =
+      `${urlPrefix}/users/${user.username}/documents/${masterDocumentId}` +
+      '/experiences';
+
+    experienceIds = [];
+    for (const { owner, ...experienceProps } of experiences) {
+      const resp = await request(app)
+        .post(documentUrl)
+        .send(experienceProps)
+        .set('authorization', `Bearer ${authToken}`);
+      experienceIds.push(resp.body.experience.id);
+    }
+
+    bullets = [];
+    for (const [experienceId, content] of [
+      [experienceIds[0], 'Planted 3 trees.'],
+      [experienceIds[1], 'Built 2 web apps.'],
+      [experienceIds[1], 'Designed 4 REST APIs.'],
+    ]) {
+      const resp = await request(app)
+        .post(`${documentUrl}/${experienceId}/text-snippets`)
+        .send({ type: 'bullet point', content })
+        .set('authorization', `Bearer ${authToken}`);
+      bullets.push(resp.body.textSnippet);
+    }
+  });
+
+  afterAll(async () => {
+    await clearTable(db, TextSnippet.tableName);
+    await clearTable(db, Experience.tableName);
+  });
+
+  test('Suggests bullets that can be attached to another document.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getUrl(user.username, masterDocumentId))
+      .send({ jobDescription })
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(
+      resp.body.suggestions.rankedBullets.map(
+        ({ textSnippetId }) => textSnippetId
+      )
+    ).toEqual([bullets[2].id, bullets[0].id, bullets[1].id]);
+    expect(resp.body.suggestions.experiences).toEqual([
+      {
+        experienceId: experienceIds[1],
+        bullets: [
+          {
+            textSnippetId: bullets[2].id,
+            textSnippetVersion: bullets[2].version,
+          },
+        ],
+      },
+    ]);
+
+    // Attach the suggestions to another document.
+    const otherDocumentId = (await Document.add(documents[1])).id;
+    const otherDocumentUrl =
+      `${urlPrefix}/users/${user.username}/documents/${otherDocumentId}` +
+      '/experiences';
+
+    for (const { experienceId, bullets } of resp.body.suggestions.experiences) {
+      const experienceResp = await request(app)
+        .post(`${otherDocumentUrl}/${experienceId}`)
+        .set('authorization', `Bearer ${authToken}`);
+      expect(experienceResp.statusCode).toBe(201);
+
+      for (const { textSnippetId, textSnippetVersion } of bullets) {
+        const bulletResp = await request(app)
+          .post(
+            `${otherDocumentUrl}/${experienceId}/text-snippets/${textSnippetId}`
+          )
+          .send({ textSnippetVersion })
+          .set('authorization', `Bearer ${authToken}`);
+        expect(bulletResp.statusCode).toBe(200);
+      }
+    }
+
+    const { experiences: otherExperiences } =
+      await Document.getDocumentAndSectionContent(otherDocumentId);
+    expect(otherExperiences).toHaveLength(1);
+    expect(otherExperiences[0].bullets[0].id).toBe(bullets[2].id);
+  });
+
+  test('Suggests at most the given number of bullets per experience.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getUrl(user.username, masterDocumentId))
+      .send({
+        jobDescription: 'Looking for an engineer who designed and built APIs.',
+        maxBulletsPerExperience: 1,
+      })
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.suggestions.experiences).toEqual([
+      {
+        experienceId: experienceIds[1],
+        bullets: [
+          {
+            textSnippetId: bullets[2].id,
+            textSnippetVersion: bullets[2].version,
+          },
+        ],
+      },
+    ]);
+  });
+
+  test.each([
+    [{}],
+    [{ jobDescription: '' }],
+    [{ jobDescription, maxBulletsPerExperience: 0 }],
+  ])(
+    'Giving invalid request body %j should return 400 status.',
+    async (body) => {
+      // Act
+      const resp = await request(app)
+        .post(getUrl(user.username, masterDocumentId))
+        .send(body)
+        .set('authorization', `Bearer ${authToken}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+      expect(resp.body).not.toHaveProperty('suggestions');
+    }
+  );
+
+  test('Getting suggestions not from the master resume should return 403 status.', async () => {
+    // Arrange
+    const otherDocumentId = (await Document.add(documents[1])).id;
+
+    // Act
+    const resp = await request(app)
+      .post(getUrl(user.username, otherDocumentId))
+      .send({ jobDescription })
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(resp.body).not.toHaveProperty('suggestions');
+  });
+
+  test("Attempting to get suggestions from another user's document should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .post(getUrl(users[1].username, masterDocumentId))
+      .send({ jobDescription })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(resp.body).not.toHaveProperty('suggestions');
+  });
+});
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/fork
+
+describe('POST /users/:username/documents/:documentId/fork', () => {
+  const getUrl = (username, documentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}/fork`;
+  const user = users[0];
+  const sourceDocument = documents[0];
+  let authToken;
+  let sourceDocumentId;
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  beforeAll(() => {
+    authToken = authTokens[0];
+  });
+
+  beforeEach(async () => {
+    sourceDocumentId = (await Document.add(sourceDocument)).id;
+    await Document.add(documents[1]);
+  });
+
+  test('Forks a document into a new document.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getUrl(user.username, sourceDocumentId))
+      .send({ documentName: 'Fork', educationIds: [] })
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body.document).toEqual({
+      id: expect.any(Number),
+      documentName: 'Fork',
+      owner: user.username,
+      createdOn: expect.any(String),
+      lastUpdated: null,
+      isMaster: false,
+      isTemplate: false,
+      isLocked: false,
+      kind: 'resume',
+    });
+    expect(resp.body.document.id).not.toBe(sourceDocumentId);
+  });
+
+  test.each([
+    ['a template from a document', sourceDocument, true],
+    ['a document from a template', documents[1], false],
+  ])('Creates %s.', async (testTitle, source, isTemplate) => {
+    // Arrange
+    const sourceId = (await Document.get({ documentName: source.documentName }))
+      .id;
+
+    // Act
+    const resp = await request(app)
+      .post(getUrl(user.username, sourceId))
+      .send({ documentName: 'Fork', isTemplate })
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body.document.isTemplate).toBe(isTemplate);
+  });
+
+  test.each([[{}], [{ documentName: 'Fork', sectionIds: 'all' }]])(
+    'Attempting to fork with invalid input should return 400 status, for %j',
+    async (body) => {
+      // Act
+      const resp = await request(app)
+        .post(getUrl(user.username, sourceDocumentId))
+        .send(body)
+        .set('authorization', `Bearer ${authToken}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+    }
+  );
+
+  test(
+    "Attempting to fork another user's document " + 'should return 403 status.',
+    async () => {
+      // Act
+      const resp = await request(app)
+        .post(getUrl(users[1].username, sourceDocumentId))
+        .send({ documentName: 'Fork' })
+        .set('authorization', `Bearer ${authTokens[1]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+    }
+  );
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents/:documentId/export.pdf
+
+describe('GET /users/:username/documents/:documentId/export.pdf', () => {
+  const getUrl = (username, documentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}/export.pdf`;
+  const user = users[0];
+  const document = documents[0];
+  let authToken;
+  let documentId;
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  beforeAll(() => {
+    authToken = authTokens[0];
+  });
+
+  beforeEach(() =>
+    request(app)
+      .post(getUrlNewDocument(user.username))
+      .send({
+        documentName: document.documentName,
+        isTemplate: document.isTemplate,
+      })
+      .set('authorization', `Bearer ${authToken}`)
+      .then((resp) => (documentId = resp.body.document.id))
+  );
+
+  test('Exports a document as a PDF file.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, documentId))
+      .set('authorization', `Bearer ${authToken}`)
+      .responseType('blob');
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.headers['content-type']).toBe('application/pdf');
+    expect(resp.headers['content-disposition']).toBe(
+      `attachment; filename="${document.documentName}.pdf"`
+    );
+    expect(resp.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('Exporting a nonexistent document should return 404 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, 999))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+  });
+
+  test(
+    "Attempting to export another user's document " +
+      'should return 403 status.',
+    async () => {
+      // Act
+      const resp = await request(app)
+        .get(getUrl(users[1].username, documentId))
+        .set('authorization', `Bearer ${authTokens[1]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+    }
+  );
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents/:documentId/export.docx
+
+describe('GET /users/:username/documents/:documentId/export.docx', () => {
+  const getUrl = (username, documentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}/export.docx`;
+  const user = users[0];
+  const document = documents[0];
+  let authToken;
+  let documentId;
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  beforeAll(() => {
+    authToken = authTokens[0];
+  });
+
+  beforeEach(() =>
+    request(app)
+      .post(getUrlNewDocument(user.username))
+      .send({
+        documentName: document.documentName,
+        isTemplate: document.isTemplate,
+      })
+      .set('authorization', `Bearer ${authToken}`)
+      .then((resp) => (documentId = resp.body.document.id))
+  );
+
+  test('Exports a document as a DOCX file.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, documentId))
+      .set('authorization', `Bearer ${authToken}`)
+      .responseType('blob');
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.headers['content-type']).toBe(
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    );
+    expect(resp.headers['content-disposition']).toBe(
+      `attachment; filename="${document.documentName}.docx"`
+    );
+    expect(resp.body.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  test(
+    "Attempting to export another user's document " +
+      'should return 403 status.',
+    async () => {
+      // Act
+      const resp = await request(app)
+        .get(getUrl(users[1].username, documentId))
+        .set('authorization', `Bearer ${authTokens[1]}`);
 
       // Assert
-      expect(resp.statusCode).toBe(400);
-      expect(resp.body).not.toHaveProperty('document');
+      expect(resp.statusCode).toBe(403);
     }
   );
 });
 
 // --------------------------------------------------
-// GET /users/:username/documents
+// GET /users/:username/documents/:documentId/export.md
 
-describe('GET /users/:username/documents', () => {
-  const getUrl = (username) => `${urlPrefix}/users/${username}/documents`;
+describe('GET /users/:username/documents/:documentId/export.md', () => {
+  const getUrl = (username, documentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}/export.md`;
   const user = users[0];
+  const document = documents[0];
+  let authToken;
+  let documentId;
 
   // Need to set authToken in beforeAll, because all variable declarations
   // outside of these setup functions are run first.
-  let authToken;
   beforeAll(() => {
     authToken = authTokens[0];
   });
 
-  test('Retrieves all documents for a user.', async () => {
-    // Arrange
-    await Promise.all(
-      documents.map((document) =>
-        request(app)
-          .post(getUrlNewDocument(user.username))
-          .send({
-            documentName: document.documentName,
-            isTemplate: document.isTemplate,
-          })
-          .set('authorization', `Bearer ${authToken}`)
-      )
+  beforeEach(() =>
+    request(app)
+      .post(getUrlNewDocument(user.username))
+      .send({
+        documentName: document.documentName,
+        isTemplate: document.isTemplate,
+      })
+      .set('authorization', `Bearer ${authToken}`)
+      .then((resp) => (documentId = resp.body.document.id))
+  );
+
+  test('Exports a document as a Markdown file.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getUrl(user.username, documentId))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.headers['content-type']).toBe('text/markdown; charset=utf-8');
+    expect(resp.headers['content-disposition']).toBe(
+      `attachment; filename="${document.documentName}.md"`
     );
+    expect(resp.text).toEqual(expect.any(String));
+  });
+
+  test(
+    "Attempting to export another user's document " +
+      'should return 403 status.',
+    async () => {
+      // Act
+      const resp = await request(app)
+        .get(getUrl(users[1].username, documentId))
+        .set('authorization', `Bearer ${authTokens[1]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+    }
+  );
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents/:documentId/export.txt
+
+describe('GET /users/:username/documents/:documentId/export.txt', () => {
+  const getUrl = (username, documentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}/export.txt`;
+  const user = users[0];
+  const document = documents[0];
+  let authToken;
+  let documentId;
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  beforeAll(() => {
+    authToken = authTokens[0];
+  });
+
+  beforeEach(() =>
+    request(app)
+      .post(getUrlNewDocument(user.username))
+      .send({
+        documentName: document.documentName,
+        isTemplate: document.isTemplate,
+      })
+      .set('authorization', `Bearer ${authToken}`)
+      .then((resp) => (documentId = resp.body.document.id))
+  );
 
+  test('Exports a document as a plain text file.', async () => {
     // Act
     const resp = await request(app)
-      .get(getUrl(user.username))
+      .get(getUrl(user.username, documentId))
       .set('authorization', `Bearer ${authToken}`);
 
     // Assert
     expect(resp.statusCode).toBe(200);
+    expect(resp.headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(resp.headers['content-disposition']).toBe(
+      `attachment; filename="${document.documentName}.txt"`
+    );
+    expect(resp.text).toEqual(expect.any(String));
+  });
 
-    const expectedDocuments = documents.map((document) => ({
-      id: expect.any(Number),
-      documentName: document.documentName,
-      owner: user.username,
-      createdOn: expect.any(String),
-      lastUpdated: null,
-      isMaster: false,
-      // isTemplate: document.isTemplate,
-      isTemplate: false, // Temporary until templates are implemented.
-      isLocked: false,
-    }));
+  test(
+    "Attempting to export another user's document " +
+      'should return 403 status.',
+    async () => {
+      // Act
+      const resp = await request(app)
+        .get(getUrl(users[1].username, documentId))
+        .set('authorization', `Bearer ${authTokens[1]}`);
 
-    expect(resp.body).toEqual({
-      documents: expectedDocuments,
+      // Assert
+      expect(resp.statusCode).toBe(403);
+    }
+  );
+});
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/import
+// GET /users/:username/documents/:documentId/export.json
+
+describe('JSON Resume import and export', () => {
+  const getImportUrl = (username, documentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}/import`;
+  const getExportUrl = (username, documentId) =>
+    `${urlPrefix}/users/${username}/documents/${documentId}/export.json`;
+  const user = users[0];
+  const masterDocument = documents[0];
+  const nonMasterDocument = documents[1];
+  let authToken;
+  let masterDocumentId;
+  let nonMasterDocumentId;
+
+  const jsonResume = Object.freeze({
+    basics: {
+      name: 'First Last',
+      email: 'email@email.com',
+      location: { address: 'City, State' },
+      profiles: [{ network: 'GitHub', url: 'https://github.com/name' }],
+    },
+    work: [
+      {
+        name: 'Company',
+        position: 'Software Engineer',
+        location: 'Remote',
+        startDate: '2020-01-15',
+        highlights: ['Built an API.', 'Reduced cloud costs by 20%.'],
+      },
+    ],
+    education: [
+      {
+        institution: 'University',
+        location: 'Los Angeles, CA',
+        studyType: 'Bachelor of Science, Computer Science',
+        startDate: '2000-09-01',
+        endDate: '2004-06-01',
+        score: '4.0 / 4.0',
+      },
+    ],
+    certificates: [
+      {
+        name: 'Certification',
+        issuer: 'Organization',
+        date: '2021-03-15',
+      },
+    ],
+    projects: [
+      {
+        name: 'Project',
+        startDate: '2022-01-01',
+        endDate: '2022-06-30',
+        highlights: ['Designed a REST API.'],
+      },
+    ],
+  });
+
+  // Need to set authToken in beforeAll, because all variable declarations
+  // outside of these setup functions are run first.
+  beforeAll(() => {
+    authToken = authTokens[0];
+
+    return Promise.all(
+      ['Education', 'Work Experience', 'Certifications', 'Projects'].map(
+        (sectionName) => Section.add({ sectionName })
+      )
+    );
+  });
+
+  beforeEach(async () => {
+    masterDocumentId = (await Document.add(masterDocument)).id;
+    nonMasterDocumentId = (await Document.add(nonMasterDocument)).id;
+  });
+
+  test('Imports a JSON Resume into the master resume.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getImportUrl(user.username, masterDocumentId))
+      .send(jsonResume)
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+
+    const { document } = resp.body;
+    expect(document.id).toBe(masterDocumentId);
+    expect(document.contactInfo).toMatchObject({
+      fullName: jsonResume.basics.name,
+      location: jsonResume.basics.location.address,
+      github: jsonResume.basics.profiles[0].url,
     });
+    expect(document.sections.map((section) => section.sectionName)).toEqual([
+      'Education',
+      'Work Experience',
+      'Certifications',
+      'Projects',
+    ]);
+    expect(document.educations).toHaveLength(1);
+    expect(document.experiences).toHaveLength(1);
+    expect(document.certifications).toHaveLength(1);
+    expect(document.projects).toHaveLength(1);
+    expect(document.experiences[0].bullets.map((b) => b.content)).toEqual(
+      jsonResume.work[0].highlights
+    );
+    expect(document.projects[0].bullets.map((b) => b.content)).toEqual(
+      jsonResume.projects[0].highlights
+    );
   });
 
-  test('Returns no documents if they do not exist.', async () => {
+  test('Exports the same JSON Resume that was imported.', async () => {
+    // Arrange
+    await request(app)
+      .post(getImportUrl(user.username, masterDocumentId))
+      .send(jsonResume)
+      .set('authorization', `Bearer ${authToken}`);
+
     // Act
     const resp = await request(app)
-      .get(getUrl(user.username))
+      .get(getExportUrl(user.username, masterDocumentId))
       .set('authorization', `Bearer ${authToken}`);
 
     // Assert
     expect(resp.statusCode).toBe(200);
-    expect(resp.body).toEqual({ documents: [] });
+    expect(resp.headers['content-type']).toBe(
+      'application/json; charset=utf-8'
+    );
+    expect(resp.headers['content-disposition']).toBe(
+      `attachment; filename="${masterDocument.documentName}.json"`
+    );
+    expect(resp.body).toEqual(jsonResume);
   });
+
+  test(
+    'Attempting to import into a document that is not the master resume ' +
+      'should return 403 status.',
+    async () => {
+      // Act
+      const resp = await request(app)
+        .post(getImportUrl(user.username, nonMasterDocumentId))
+        .send(jsonResume)
+        .set('authorization', `Bearer ${authToken}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+    }
+  );
+
+  test.each([
+    [{ work: [{ name: 'Company' }] }],
+    // Does not pass the same validation as creating a single experience.
+    [{ work: [{ ...jsonResume.work[0], position: 'A' }] }],
+    // Does not pass the same validation as creating a single text snippet.
+    [{ work: [{ ...jsonResume.work[0], highlights: ['A'] }] }],
+  ])(
+    'Attempting to import invalid data should return 400 status, for %j',
+    async (invalidJsonResume) => {
+      // Act
+      const resp = await request(app)
+        .post(getImportUrl(user.username, masterDocumentId))
+        .send(invalidJsonResume)
+        .set('authorization', `Bearer ${authToken}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+
+      const document = await Document.getDocumentAndSectionContent(
+        masterDocumentId
+      );
+      expect(document.experiences).toBeNull();
+    }
+  );
+
+  test(
+    "Attempting to export another user's document " +
+      'should return 403 status.',
+    async () => {
+      // Act
+      const resp = await request(app)
+        .get(getExportUrl(users[1].username, masterDocumentId))
+        .set('authorization', `Bearer ${authTokens[1]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+    }
+  );
 });
 
 // --------------------------------------------------
@@ -230,6 +1341,7 @@ describe('PATCH /users/:username/documents/:docId', () => {
       isMaster: false,
       isTemplate: updateData.isTemplate,
       isLocked: true,
+      kind: 'resume',
     };
 
     expect(resp.body).toEqual({ document: expectedDocument });
@@ -276,6 +1388,7 @@ describe('PATCH /users/:username/documents/:docId', () => {
       isMaster: true,
       isTemplate: false,
       isLocked: false,
+      kind: 'resume',
     };
 
     expect(resp.body).toEqual({ document: expectedDocument });
@@ -350,6 +1463,49 @@ describe('PATCH /users/:username/documents/:docId', () => {
     }
   );
 
+  test.each([
+    ['only unlocking it', { isLocked: false }],
+    ['unlocking it and changing other properties', updateData],
+  ])('Updates a locked document when %s.', async (testTitle, unlockData) => {
+    // Arrange
+    await Document.update(docId, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .patch(getUrl(user.username, docId))
+      .send({ ...unlockData, isLocked: false })
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.document.isLocked).toBe(false);
+  });
+
+  test.each([
+    [{ documentName: 'New name' }],
+    [{ isTemplate: !document.isTemplate, isLocked: true }],
+  ])(
+    'Updating a locked document without unlocking it should return 403 ' +
+      'status for %j.',
+    async (updateData) => {
+      // Arrange
+      await Document.update(docId, { isLocked: true });
+
+      // Act
+      const resp = await request(app)
+        .patch(getUrl(user.username, docId))
+        .send(updateData)
+        .set('authorization', `Bearer ${authToken}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+      expect(resp.body).not.toHaveProperty('document');
+      expect((await Document.get({ id: docId })).documentName).toBe(
+        document.documentName
+      );
+    }
+  );
+
   test(
     "Attempting to update another user's document " +
       'should return 403 status.',
@@ -450,6 +1606,21 @@ describe('DELETE /users/:username/documents/:docId', () => {
     expect(resp.statusCode).toBe(403);
   });
 
+  test('Attempting to delete a locked document should return 403 status.', async () => {
+    // Arrange
+    const { id: docId } = await Document.add({ ...document, isMaster: false });
+    await Document.update(docId, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .delete(getUrl(user.username, docId))
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Document.get({ id: docId })).toBeTruthy();
+  });
+
   test(
     "Attempting to delete another user's document " +
       'should return 403 status.',
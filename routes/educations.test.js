@@ -608,6 +608,35 @@ describe('PATCH /users/:username/educations/:educationId', () => {
     expect(resp.body).not.toHaveProperty('education');
   });
 
+  test(
+    'Updating an education that is in a locked document ' +
+      'should return 403 status.',
+    async () => {
+      // Arrange
+      const lockedDocument = await Document.fork(documentId, {
+        documentName: 'Locked',
+        owner: username,
+        isTemplate: false,
+      });
+      await Document.update(lockedDocument.id, { isLocked: true });
+
+      // Act
+      const resp = await request(app)
+        .patch(getEducationUrl(username, educationId))
+        .send(updatedProps)
+        .set('authorization', `Bearer ${authToken}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+      expect(resp.body).not.toHaveProperty('education');
+      expect((await Education.get({ id: educationId })).school).toBe(
+        educations[0].school
+      );
+
+      await lockedDocument.delete();
+    }
+  );
+
   test("Updating another user's education should return 403 status.", async () => {
     // Arrange
     // Adding another user's education into database.
@@ -6,16 +6,17 @@ const urlParamsSchema = require('../schemas/urlParams.json');
 const textSnippetNewSchema = require('../schemas/textSnippetNew.json');
 const textSnippetVersionSchema = require('../schemas/textSnippetVersion.json');
 const textSnippetUpdateSchema = require('../schemas/textSnippetUpdate.json');
+const textSnippetPropagationSchema = require('../schemas/textSnippetPropagation.json');
 const documentRelationshipPositionsSchema = require('../schemas/documentRelationshipPositions.json');
 
 const {
   createTextSnippet,
   getTextSnippets,
   createExperience_x_textSnippet,
-  updateTextSnippet,
   updateExperienceXTextSnippetsPositions,
   deleteExperience_x_textSnippet,
 } = require('../services/experienceXTextSnippetService');
+const { updateTextSnippet } = require('../services/textSnippetService');
 const { ensureLoggedIn } = require('../middleware/auth');
 const { runJsonSchemaValidator } = require('../util/validators');
 
@@ -134,7 +135,7 @@ router.post(
       );
 
       const experienceXTextSnippet = await createExperience_x_textSnippet(
-        username,
+        userPayload.username,
         documentId,
         experienceId,
         textSnippetId,
@@ -187,19 +188,30 @@ router.get(
 
 /**
  * PATCH /users/:username/experiences/:experienceId/text-snippets/:textSnippetId
- * { textSnippetVersion, type, content } => { textSnippet }
+ * { textSnippetVersion, type, content, propagation, documentIds }
+ *  => { textSnippet, report }
  *
  * Authorization required: login
  *
  * Updates a text snippet.  This creates a new text snippet with a different
- * version, but it still references the old one.  The old text snippet is
- * replaced with the new one across all documents.
+ * version, but it still references the old one.  By default, the old text
+ * snippet is replaced with the new one across all documents.  The propagation
+ * mode can instead limit the replacement to all unlocked documents, only the
+ * master resume, or only the documents in documentIds.
  *
  * @param {String} textSnippetVersion - Version part of the text snippet.
  * @param {String} [type] - Type of content.
  * @param {String} [content] - Content of the text snippet.
- * @returns {{ textSnippet: TextSnippet }} The text snippet Object containing
- *  the updated info.
+ * @param {String} [propagation] - "all", "unlocked", "master", or
+ *  "documents".
+ * @param {Number[]} [documentIds] - IDs of the documents to update, for the
+ *  "documents" mode.  Each document must use the old version.
+ * @returns {{ textSnippet: TextSnippet, report }}
+ *  textSnippet - The text snippet Object containing the updated info.
+ *  report - { updatedDocuments, skippedDocuments, sharedDocuments }, the
+ *  documents that now use the new version, the documents that still use the
+ *  old version, and the chosen documents that still use the old version in a
+ *  skill or custom section entry.
  */
 router.patch(
   '/:username/experiences/:experienceId/text-snippets/:textSnippetId',
@@ -207,7 +219,12 @@ router.patch(
   async (req, res, next) => {
     const userPayload = res.locals.user;
     const { username, experienceId, textSnippetId } = req.params;
-    const { textSnippetVersion, ...restOfRequestBody } = req.body;
+    const {
+      textSnippetVersion,
+      propagation,
+      documentIds,
+      ...restOfRequestBody
+    } = req.body;
 
     const logPrefix =
       `PATCH /users/${username}/experiences/${experienceId}` +
@@ -228,15 +245,21 @@ router.patch(
         restOfRequestBody,
         logPrefix
       );
+      runJsonSchemaValidator(
+        textSnippetPropagationSchema,
+        { propagation, documentIds },
+        logPrefix
+      );
 
-      const textSnippet = await updateTextSnippet(
-        username,
+      const { textSnippet, report } = await updateTextSnippet(
+        userPayload.username,
         textSnippetId,
         textSnippetVersion,
-        restOfRequestBody
+        restOfRequestBody,
+        { propagation, documentIds }
       );
 
-      return res.json({ textSnippet });
+      return res.json({ textSnippet, report });
     } catch (err) {
       return next(err);
     }
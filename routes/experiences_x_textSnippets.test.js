@@ -0,0 +1,374 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const Experience = require('../models/experience');
+const TextSnippet = require('../models/textSnippet');
+const Skill = require('../models/skill');
+const Document_X_Skill = require('../models/document_x_skill');
+const { users, experiences, textSnippets } = require('../_testData');
+const {
+  urlRegisterUser,
+  getDocumentsGeneralUrl,
+  getDocumentsSpecificUrl,
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+const urlPrefix = '/api/v1';
+const getTextSnippetsSpecificUrl = (username, experienceId, textSnippetId) =>
+  `${urlPrefix}/users/${username}/experiences/${experienceId}` +
+  `/text-snippets/${textSnippetId}`;
+
+const username = users[0].username;
+const authTokens = [];
+let masterDocument;
+let experienceId;
+let textSnippet;
+// Documents forked from the master resume, so they have the same bullet.
+let forks;
+
+beforeAll(async () => {
+  await commonBeforeAll(db);
+
+  const responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  const resp = await request(app)
+    .get(getDocumentsGeneralUrl(username))
+    .set('authorization', `Bearer ${authTokens[0]}`);
+  masterDocument = resp.body.documents[0];
+});
+
+beforeEach(async () => {
+  await clearTable(db, TextSnippet.tableName);
+  await clearTable(db, Experience.tableName);
+
+  const { owner, ...experienceProps } = experiences[0];
+  let resp = await request(app)
+    .post(`${getDocumentsSpecificUrl(username, masterDocument.id)}/experiences`)
+    .send(experienceProps)
+    .set('authorization', `Bearer ${authTokens[0]}`);
+  experienceId = resp.body.experience.id;
+
+  const { owner: _, ...textSnippetProps } = textSnippets[0];
+  resp = await request(app)
+    .post(
+      `${getDocumentsSpecificUrl(username, masterDocument.id)}` +
+        `/experiences/${experienceId}/text-snippets`
+    )
+    .send(textSnippetProps)
+    .set('authorization', `Bearer ${authTokens[0]}`);
+  textSnippet = resp.body.textSnippet;
+
+  forks = [];
+  for (const documentName of ['Fork 1', 'Fork 2']) {
+    resp = await request(app)
+      .post(`${getDocumentsSpecificUrl(username, masterDocument.id)}/fork`)
+      .send({ documentName })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+    forks.push(resp.body.document);
+  }
+});
+
+afterEach(() =>
+  db.query({
+    queryConfig: {
+      text: `
+  DELETE FROM ${Document.tableName}
+  WHERE owner = $1 AND NOT is_master;`,
+      values: [username],
+    },
+  })
+);
+
+afterAll(() => commonAfterAll(db));
+
+/**
+ * Updates the content of the bullet, with the given propagation options.  The
+ * first user is signed in, unless another authentication token is given.
+ */
+function updateBullet(propagationOptions = {}, authToken = authTokens[0]) {
+  return request(app)
+    .patch(getTextSnippetsSpecificUrl(username, experienceId, textSnippet.id))
+    .send({
+      textSnippetVersion: textSnippet.version,
+      content: 'Built a new thing.',
+      ...propagationOptions,
+    })
+    .set('authorization', `Bearer ${authToken}`);
+}
+
+/**
+ * Gets the version of the bullet that each of the given documents uses.
+ */
+async function getBulletVersions(documents) {
+  const versions = [];
+
+  for (const { id } of documents) {
+    const { experiences } = await Document.getDocumentAndSectionContent(id);
+    versions.push(experiences[0].bullets[0].version);
+  }
+
+  return versions;
+}
+
+const getIds = (documents) => documents.map(({ id }) => id);
+
+// --------------------------------------------------
+// PATCH /users/:username/experiences/:experienceId/text-snippets/:textSnippetId
+
+describe('PATCH /users/:username/experiences/:experienceId/text-snippets/:textSnippetId', () => {
+  test('Replaces the text snippet in all documents by default.', async () => {
+    // Act
+    const resp = await updateBullet();
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.textSnippet).toEqual({
+      ...textSnippet,
+      version: expect.any(String),
+      parent: textSnippet.version,
+      content: 'Built a new thing.',
+    });
+    expect(getIds(resp.body.report.updatedDocuments)).toEqual(
+      getIds([masterDocument, ...forks])
+    );
+    expect(resp.body.report.skippedDocuments).toEqual([]);
+    expect(await getBulletVersions([masterDocument, ...forks])).toEqual(
+      Array(3).fill(resp.body.textSnippet.version)
+    );
+  });
+
+  test('Replacing the text snippet in all documents when one is locked should return 403 status.', async () => {
+    // Arrange
+    await Document.update(forks[1].id, { isLocked: true });
+
+    // Act
+    const resp = await updateBullet({ propagation: 'all' });
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await TextSnippet.getAllVersions(textSnippet.id)).toHaveLength(1);
+  });
+
+  test('Replaces the text snippet in only unlocked documents.', async () => {
+    // Arrange
+    await Document.update(forks[1].id, { isLocked: true });
+
+    // Act
+    const resp = await updateBullet({ propagation: 'unlocked' });
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(getIds(resp.body.report.updatedDocuments)).toEqual(
+      getIds([masterDocument, forks[0]])
+    );
+    expect(getIds(resp.body.report.skippedDocuments)).toEqual([forks[1].id]);
+    expect(await getBulletVersions([masterDocument, ...forks])).toEqual([
+      resp.body.textSnippet.version,
+      resp.body.textSnippet.version,
+      textSnippet.version,
+    ]);
+  });
+
+  test('Replaces the text snippet in only the master resume.', async () => {
+    // Act
+    const resp = await updateBullet({ propagation: 'master' });
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(getIds(resp.body.report.updatedDocuments)).toEqual([
+      masterDocument.id,
+    ]);
+    expect(getIds(resp.body.report.skippedDocuments)).toEqual(getIds(forks));
+  });
+
+  test('Replaces the text snippet in only the given documents.', async () => {
+    // Act
+    const resp = await updateBullet({
+      propagation: 'documents',
+      documentIds: [forks[0].id],
+    });
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(getIds(resp.body.report.updatedDocuments)).toEqual([forks[0].id]);
+    expect(getIds(resp.body.report.skippedDocuments)).toEqual(
+      getIds([masterDocument, forks[1]])
+    );
+    expect(resp.body.report.sharedDocuments).toEqual([]);
+    expect(await getBulletVersions([masterDocument, ...forks])).toEqual([
+      textSnippet.version,
+      resp.body.textSnippet.version,
+      textSnippet.version,
+    ]);
+  });
+
+  test('Replacing the text snippet in a locked document should return 403 status.', async () => {
+    // Arrange
+    await Document.update(forks[0].id, { isLocked: true });
+
+    // Act
+    const resp = await updateBullet({
+      propagation: 'documents',
+      documentIds: [forks[0].id],
+    });
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await TextSnippet.getAllVersions(textSnippet.id)).toHaveLength(1);
+  });
+
+  test('Reports the given documents that still use the text snippet in a skill.', async () => {
+    // Arrange
+    const skill = await Skill.add({
+      name: 'Backend',
+      owner: username,
+      textSnippetId: textSnippet.id,
+      textSnippetVersion: textSnippet.version,
+    });
+    await Document_X_Skill.add({ documentId: forks[0].id, skillId: skill.id });
+
+    // Act
+    const resp = await updateBullet({
+      propagation: 'documents',
+      documentIds: [forks[0].id],
+    });
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(getIds(resp.body.report.updatedDocuments)).toEqual([forks[0].id]);
+    expect(getIds(resp.body.report.skippedDocuments)).toEqual(
+      getIds([masterDocument, ...forks])
+    );
+    expect(getIds(resp.body.report.sharedDocuments)).toEqual([forks[0].id]);
+  });
+
+  test('Replacing the text snippet in a document that does not use it should return 400 status.', async () => {
+    // Arrange
+    const resp1 = await request(app)
+      .post(getDocumentsGeneralUrl(username))
+      .send({ documentName: 'Blank' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Act
+    const resp2 = await updateBullet({
+      propagation: 'documents',
+      documentIds: [forks[0].id, resp1.body.document.id],
+    });
+
+    // Assert
+    expect(resp2.statusCode).toBe(400);
+    expect(await TextSnippet.getAllVersions(textSnippet.id)).toHaveLength(1);
+  });
+
+  test('Replacing the text snippet in a master resume that no longer uses it should return 400 status.', async () => {
+    // Arrange
+    await updateBullet({ propagation: 'master' });
+
+    // Act
+    const resp = await updateBullet({ propagation: 'master' });
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect(await TextSnippet.getAllVersions(textSnippet.id)).toHaveLength(2);
+  });
+
+  test("Replacing the text snippet in another user's document should return 403 status.", async () => {
+    // Arrange
+    const otherDocumentId = (await Document.getAll(users[1].username))[0].id;
+
+    // Act
+    const resp = await updateBullet({
+      propagation: 'documents',
+      documentIds: [otherDocumentId],
+    });
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+
+  test.each([
+    ['all', () => ({})],
+    ['unlocked', () => ({ propagation: 'unlocked' })],
+    ['master', () => ({ propagation: 'master' })],
+    [
+      'documents',
+      () => ({ propagation: 'documents', documentIds: [masterDocument.id] }),
+    ],
+  ])(
+    "Updating another user's text snippet with their username in the %s mode should return 403 status.",
+    async (_, getPropagationOptions) => {
+      // Act
+      const resp = await updateBullet(getPropagationOptions(), authTokens[1]);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+      expect(await TextSnippet.getAllVersions(textSnippet.id)).toHaveLength(1);
+    }
+  );
+
+  test.each([
+    [{ propagation: 'some' }],
+    [{ propagation: 'documents' }],
+    [{ propagation: 'master', documentIds: [1] }],
+  ])(
+    'Updating with invalid propagation %j should return 400 status.',
+    async (propagationOptions) => {
+      // Act
+      const resp = await updateBullet(propagationOptions);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+    }
+  );
+});
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/experiences/:experienceId
+// /text-snippets/:textSnippetId
+
+describe('POST /users/:username/documents/:documentId/experiences/:experienceId/text-snippets/:textSnippetId', () => {
+  test("Adding an existing text snippet to another user's experience with their username should return 403 status.", async () => {
+    // Arrange
+    const newTextSnippet = await TextSnippet.add({
+      owner: username,
+      type: 'bullet point',
+      content: 'Built another thing.',
+    });
+
+    // Act
+    const resp = await request(app)
+      .post(
+        `${getDocumentsSpecificUrl(username, masterDocument.id)}` +
+          `/experiences/${experienceId}/text-snippets/${newTextSnippet.id}`
+      )
+      .send({ textSnippetVersion: newTextSnippet.version.toISOString() })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+
+    const { experiences } = await Document.getDocumentAndSectionContent(
+      masterDocument.id
+    );
+    expect(experiences[0].bullets.map(({ id }) => id)).toEqual([
+      textSnippet.id,
+    ]);
+  });
+});
@@ -0,0 +1,252 @@
+'use strict';
+
+const express = require('express');
+
+const urlParamsSchema = require('../schemas/urlParams.json');
+const jobApplicationNewSchema = require('../schemas/jobApplicationNew.json');
+const jobApplicationUpdateSchema = require('../schemas/jobApplicationUpdate.json');
+const jobApplicationFilterSchema = require('../schemas/jobApplicationFilter.json');
+
+const {
+  createJobApplication,
+  getJobApplications,
+  getJobApplication,
+  updateJobApplication,
+  deleteJobApplication,
+} = require('../services/jobApplicationService');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { runJsonSchemaValidator } = require('../util/validators');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+const router = new express.Router();
+
+// --------------------------------------------------
+
+/**
+ * POST /users/:username/job-applications
+ * {
+ *  documentId,
+ *  company,
+ *  role,
+ *  postingUrl,
+ *  status,
+ *  appliedOn,
+ *  notes
+ * } => { jobApplication }
+ *
+ * Authorization required: login
+ *
+ * Creates a job application, to keep track of where it is in the hiring
+ * process and which document was sent for it.
+ *
+ * @param {Number} [documentId] - ID of the document, such as a tailored
+ *  resume, that was sent for the application.
+ * @param {String} company - Name of the company.
+ * @param {String} role - Job title of the position.
+ * @param {String} [postingUrl] - URL of the job posting.
+ * @param {String} [status] - Stage of the hiring process.  One of "saved",
+ *  "applied", "interviewing", "offer", or "rejected".  Defaults to "saved".
+ * @param {String} [appliedOn] - Date the application was sent.
+ * @param {String} [notes] - Anything else about the application.
+ * @returns {Object} jobApplication - The job application info.
+ */
+router.post(
+  '/:username/job-applications',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/job-applications ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(jobApplicationNewSchema, req.body, logPrefix);
+
+      const jobApplication = await createJobApplication(
+        userPayload.username,
+        req.body
+      );
+
+      return res.status(201).json({ jobApplication });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/job-applications?status=&documentId=
+ * {} => { jobApplications }
+ *
+ * Authorization required: login
+ *
+ * Gets the job applications of a user, from newest to oldest.
+ *
+ * @param {String} [status] - Only get job applications at this stage of the
+ *  hiring process.
+ * @param {String} [documentId] - Only get job applications that this document
+ *  was sent for.
+ * @returns {Object[]} jobApplications - A list of job application info.
+ */
+router.get(
+  '/:username/job-applications',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/job-applications ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `query string: ${JSON.stringify(req.query)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(jobApplicationFilterSchema, req.query, logPrefix);
+
+      const { status, documentId } = req.query;
+
+      const jobApplications = await getJobApplications(userPayload.username, {
+        status,
+        documentId,
+      });
+
+      return res.json({ jobApplications });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/job-applications/:jobApplicationId
+ * {} => { jobApplication }
+ *
+ * Authorization required: login
+ *
+ * Gets a job application.
+ *
+ * @returns {Object} jobApplication - The job application info.
+ */
+router.get(
+  '/:username/job-applications/:jobApplicationId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, jobApplicationId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/job-applications/${jobApplicationId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { jobApplicationId }, logPrefix);
+
+      const jobApplication = await getJobApplication(
+        userPayload.username,
+        jobApplicationId
+      );
+
+      return res.json({ jobApplication });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PATCH /users/:username/job-applications/:jobApplicationId
+ * {
+ *  documentId,
+ *  company,
+ *  role,
+ *  postingUrl,
+ *  status,
+ *  appliedOn,
+ *  notes
+ * } => { jobApplication }
+ *
+ * Authorization required: login
+ *
+ * Updates a job application, such as when it moves to the next stage of the
+ * hiring process.  All input data are optional, but at least one is needed,
+ * else an error is thrown.  Document ID, posting URL, applied on, and notes can
+ * be removed by setting them to null.  See POST
+ * /users/:username/job-applications for the input data.
+ *
+ * @returns {Object} jobApplication - The updated job application info.
+ */
+router.patch(
+  '/:username/job-applications/:jobApplicationId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, jobApplicationId } = req.params;
+
+    const logPrefix =
+      `PATCH /users/${username}/job-applications/${jobApplicationId} ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { jobApplicationId }, logPrefix);
+      runJsonSchemaValidator(jobApplicationUpdateSchema, req.body, logPrefix);
+
+      const jobApplication = await updateJobApplication(
+        userPayload.username,
+        jobApplicationId,
+        req.body
+      );
+
+      return res.json({ jobApplication });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/job-applications/:jobApplicationId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes a job application.  The document that was sent for it is not
+ * deleted.
+ */
+router.delete(
+  '/:username/job-applications/:jobApplicationId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, jobApplicationId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/job-applications/${jobApplicationId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { jobApplicationId }, logPrefix);
+
+      await deleteJobApplication(userPayload.username, jobApplicationId);
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
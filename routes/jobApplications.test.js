@@ -0,0 +1,410 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const JobApplication = require('../models/jobApplication');
+const { users } = require('../_testData');
+const {
+  urlRegisterUser,
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+const urlPrefix = '/api/v1';
+const getJobApplicationsUrl = (username) =>
+  `${urlPrefix}/users/${username}/job-applications`;
+const getJobApplicationUrl = (username, jobApplicationId) =>
+  `${getJobApplicationsUrl(username)}/${jobApplicationId}`;
+
+const username = users[0].username;
+const authTokens = [];
+let documentId;
+let otherUserDocumentId;
+
+const jobApplicationProps = Object.freeze({
+  company: 'Company 1',
+  role: 'Software Engineer',
+  postingUrl: 'https://example.com/jobs/1',
+  status: 'applied',
+  appliedOn: '2025-03-01',
+  notes: 'Referred by a friend.',
+});
+
+beforeAll(async () => {
+  await commonBeforeAll(db);
+
+  const responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  documentId = (await Document.getAll(username))[0].id;
+  otherUserDocumentId = (await Document.getAll(users[1].username))[0].id;
+});
+
+beforeEach(() => clearTable(db, JobApplication.tableName));
+
+afterAll(() => commonAfterAll(db));
+
+/**
+ * Creates a job application for the first user.  The master resume is linked
+ * to it, unless document ID is given as null.
+ */
+async function createJobApplication(props = {}) {
+  const body = { ...jobApplicationProps, documentId, ...props };
+  if (body.documentId === null) delete body.documentId;
+
+  const resp = await request(app)
+    .post(getJobApplicationsUrl(username))
+    .send(body)
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.jobApplication;
+}
+
+// --------------------------------------------------
+// POST /users/:username/job-applications
+
+describe('POST /users/:username/job-applications', () => {
+  test('Creates a job application linked to a document.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getJobApplicationsUrl(username))
+      .send({ ...jobApplicationProps, documentId })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      jobApplication: {
+        ...jobApplicationProps,
+        id: expect.any(Number),
+        owner: username,
+        documentId,
+        createdOn: expect.any(String),
+        lastUpdated: null,
+      },
+    });
+  });
+
+  test('Creates a saved job application without optional info.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getJobApplicationsUrl(username))
+      .send({ company: 'Company 1', role: 'Software Engineer' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body.jobApplication).toEqual(
+      expect.objectContaining({ documentId: null, status: 'saved' })
+    );
+  });
+
+  test.each([
+    [{}],
+    [{ ...jobApplicationProps, status: 'ghosted' }],
+    [{ ...jobApplicationProps, appliedOn: 'yesterday' }],
+  ])(
+    'Giving invalid request body %j should return 400 status.',
+    async (body) => {
+      // Act
+      const resp = await request(app)
+        .post(getJobApplicationsUrl(username))
+        .send(body)
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+      expect(resp.body).not.toHaveProperty('jobApplication');
+    }
+  );
+
+  test("Linking another user's document should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .post(getJobApplicationsUrl(username))
+      .send({ ...jobApplicationProps, documentId: otherUserDocumentId })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await JobApplication.getAll(username)).toEqual([]);
+  });
+
+  test('Creating a job application without logging in should return 401 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getJobApplicationsUrl(username))
+      .send(jobApplicationProps);
+
+    // Assert
+    expect(resp.statusCode).toBe(401);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/job-applications
+
+describe('GET /users/:username/job-applications', () => {
+  test('Gets all job applications, newest first.', async () => {
+    // Arrange
+    const jobApplications = [
+      await createJobApplication(),
+      await createJobApplication({ company: 'Company 2', documentId: null }),
+    ];
+
+    // Act
+    const resp = await request(app)
+      .get(getJobApplicationsUrl(username))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ jobApplications: jobApplications.reverse() });
+  });
+
+  test('Gets the job applications that a document was sent for.', async () => {
+    // Arrange
+    const jobApplication = await createJobApplication();
+    await createJobApplication({ company: 'Company 2', documentId: null });
+
+    // Act
+    const resp = await request(app)
+      .get(getJobApplicationsUrl(username))
+      .query({ documentId })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ jobApplications: [jobApplication] });
+  });
+
+  test('Gets the job applications at a stage.', async () => {
+    // Arrange
+    await createJobApplication();
+    const offer = await createJobApplication({ status: 'offer' });
+
+    // Act
+    const resp = await request(app)
+      .get(getJobApplicationsUrl(username))
+      .query({ status: 'offer' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ jobApplications: [offer] });
+  });
+
+  test('Giving an invalid status should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getJobApplicationsUrl(username))
+      .query({ status: 'ghosted' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test("Filtering by another user's document should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .get(getJobApplicationsUrl(username))
+      .query({ documentId: otherUserDocumentId })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/job-applications/:jobApplicationId
+
+describe('GET /users/:username/job-applications/:jobApplicationId', () => {
+  test('Gets a job application.', async () => {
+    // Arrange
+    const jobApplication = await createJobApplication();
+
+    // Act
+    const resp = await request(app)
+      .get(getJobApplicationUrl(username, jobApplication.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ jobApplication });
+  });
+
+  test('Getting a nonexistent job application should return 404 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getJobApplicationUrl(username, 999))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+  });
+
+  test("Getting another user's job application should return 403 status.", async () => {
+    // Arrange
+    const jobApplication = await createJobApplication();
+
+    // Act
+    const resp = await request(app)
+      .get(getJobApplicationUrl(users[1].username, jobApplication.id))
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(resp.body).not.toHaveProperty('jobApplication');
+  });
+});
+
+// --------------------------------------------------
+// PATCH /users/:username/job-applications/:jobApplicationId
+
+describe('PATCH /users/:username/job-applications/:jobApplicationId', () => {
+  test('Updates a job application.', async () => {
+    // Arrange
+    const jobApplication = await createJobApplication();
+    const updatedProps = Object.freeze({
+      status: 'interviewing',
+      notes: 'Phone screen on Monday.',
+    });
+
+    // Act
+    const resp = await request(app)
+      .patch(getJobApplicationUrl(username, jobApplication.id))
+      .send(updatedProps)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      jobApplication: {
+        ...jobApplication,
+        ...updatedProps,
+        lastUpdated: expect.any(String),
+      },
+    });
+  });
+
+  test('Removes optional info.', async () => {
+    // Arrange
+    const jobApplication = await createJobApplication();
+    const updatedProps = Object.freeze({
+      documentId: null,
+      postingUrl: null,
+      appliedOn: null,
+      notes: null,
+    });
+
+    // Act
+    const resp = await request(app)
+      .patch(getJobApplicationUrl(username, jobApplication.id))
+      .send(updatedProps)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.jobApplication).toEqual(
+      expect.objectContaining(updatedProps)
+    );
+  });
+
+  test.each([[{}], [{ status: 'ghosted' }], [{ company: null }]])(
+    'Giving invalid request body %j should return 400 status.',
+    async (body) => {
+      // Arrange
+      const jobApplication = await createJobApplication();
+
+      // Act
+      const resp = await request(app)
+        .patch(getJobApplicationUrl(username, jobApplication.id))
+        .send(body)
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+    }
+  );
+
+  test("Linking another user's document should return 403 status.", async () => {
+    // Arrange
+    const jobApplication = await createJobApplication();
+
+    // Act
+    const resp = await request(app)
+      .patch(getJobApplicationUrl(username, jobApplication.id))
+      .send({ documentId: otherUserDocumentId })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await JobApplication.get({ id: jobApplication.id })).toEqual(
+      expect.objectContaining({ documentId })
+    );
+  });
+
+  test("Updating another user's job application should return 403 status.", async () => {
+    // Arrange
+    const jobApplication = await createJobApplication();
+
+    // Act
+    const resp = await request(app)
+      .patch(getJobApplicationUrl(users[1].username, jobApplication.id))
+      .send({ status: 'rejected' })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/job-applications/:jobApplicationId
+
+describe('DELETE /users/:username/job-applications/:jobApplicationId', () => {
+  test('Deletes a job application, but not its document.', async () => {
+    // Arrange
+    const jobApplication = await createJobApplication();
+
+    // Act
+    const resp = await request(app)
+      .delete(getJobApplicationUrl(username, jobApplication.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await JobApplication.getAll(username)).toEqual([]);
+    expect((await Document.get({ id: documentId })).id).toBe(documentId);
+  });
+
+  test("Deleting another user's job application should return 403 status.", async () => {
+    // Arrange
+    const jobApplication = await createJobApplication();
+
+    // Act
+    const resp = await request(app)
+      .delete(getJobApplicationUrl(users[1].username, jobApplication.id))
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await JobApplication.getAll(username)).toHaveLength(1);
+  });
+});
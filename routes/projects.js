@@ -0,0 +1,323 @@
+'use strict';
+
+const express = require('express');
+
+const urlParamsSchema = require('../schemas/urlParams.json');
+const projectNewSchema = require('../schemas/projectNew.json');
+const projectUpdateSchema = require('../schemas/projectUpdate.json');
+const documentRelationshipPositionsSchema = require('../schemas/documentRelationshipPositions.json');
+
+const Project = require('../models/project');
+const {
+  createProject,
+  createDocument_x_project,
+  updateProject,
+  updateDocument_x_projectPositions,
+  deleteDocument_x_project,
+  deleteProject,
+} = require('../services/projectService');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { runJsonSchemaValidator } = require('../util/validators');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+const router = new express.Router();
+
+// --------------------------------------------------
+
+/**
+ * POST /users/:username/documents/:documentId/projects
+ * { name, startDate, endDate } => { project, document_x_project }
+ *
+ * Authorization required: login
+ *
+ * Creates a project entry and a relationship between the entry and the
+ * document.  The position of the new entry will be after the last position of
+ * any existing projects.
+ *
+ * Note that, currently, projects can only be added to the master resume.
+ * This can be changed in the future.
+ *
+ * @param {String} name - Name of the project.
+ * @param {String} startDate - The start date of the project.
+ * @param {String} [endDate] - The end date of the project.
+ * @returns {{
+ *    project: Project,
+ *    document_x_project: Document_X_Project
+ *  }}
+ *  project - The project ID and all of the given info.
+ *  document_x_project - The ID of the document_x_project, the document ID
+ *  that owns the project, the project ID, and the position of the
+ *  project among other projects in the document.
+ */
+router.post(
+  '/:username/documents/:documentId/projects',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}/projects ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(projectNewSchema, req.body, logPrefix);
+
+      const { project, document_x_project } = await createProject(
+        userPayload.username,
+        documentId,
+        req.body
+      );
+
+      return res.status(201).json({ project, document_x_project });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /users/:username/documents/:documentId/projects/:projectId
+ * {} => { document_x_project }
+ *
+ * Authorization required: login
+ *
+ * Creates a document-project relationship.  The position of the project
+ * in the document will be after the last position of any existing projects.
+ *
+ * @returns {{document_x_project}} The ID of the document_x_project,
+ *  document ID, project ID, and position of project within the document.
+ */
+router.post(
+  '/:username/documents/:documentId/projects/:projectId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId, projectId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}` +
+      `/projects/${projectId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, projectId },
+        logPrefix
+      );
+
+      const document_x_project = await createDocument_x_project(
+        userPayload.username,
+        documentId,
+        projectId
+      );
+
+      return res.status(201).json({ document_x_project });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/projects
+ * {} => { projects }
+ *
+ * Authorization required: login
+ *
+ * Gets all projects for a user.
+ *
+ * @returns {{ projects }} A list of projects that a user has.
+ */
+router.get('/:username/projects', ensureLoggedIn, async (req, res, next) => {
+  const userPayload = res.locals.user;
+  const { username } = req.params;
+
+  const logPrefix =
+    `GET /users/${username}/projects ` +
+    `(user: ${JSON.stringify(userPayload)})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    const projects = await Project.getAll(userPayload.username);
+
+    return res.json({ projects });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * PATCH /users/:username/projects/:projectId
+ * { name, startDate, endDate } => { project }
+ *
+ * Authorization required: login
+ *
+ * Updates a project.  All input data are optional, but at least one is
+ * needed, else an error is thrown.
+ *
+ * @param {String} [name] - Name of the project.
+ * @param {String} [startDate] - Start date of the project.
+ * @param {String} [endDate] - End date of the project.
+ */
+router.patch(
+  '/:username/projects/:projectId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, projectId } = req.params;
+
+    const logPrefix =
+      `PATCH /users/${username}/projects/${projectId} ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { projectId }, logPrefix);
+      runJsonSchemaValidator(projectUpdateSchema, req.body, logPrefix);
+
+      const project = await updateProject(
+        userPayload.username,
+        projectId,
+        req.body
+      );
+
+      return res.json({ project });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PUT /users/:username/documents/:documentId/projects
+ * [ projectId, projectId, ... ] => { projects }
+ *
+ * Authorization required: login
+ *
+ * Updates the positions of all projects in a document.  All projects need
+ * to be included.
+ *
+ * @param {String} projectId - ID of a project.
+ * @returns {Project[]} projects - A list of Project Objects in order
+ *  of position in the document, each containing project info.
+ */
+router.put(
+  '/:username/documents/:documentId/projects',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `PUT /users/${username}/documents/${documentId}/projects ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(
+        documentRelationshipPositionsSchema,
+        req.body,
+        logPrefix
+      );
+
+      const projects = await updateDocument_x_projectPositions(
+        userPayload.username,
+        documentId,
+        req.body
+      );
+
+      return res.json({ projects });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/documents/:documentId/projects/:projectId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes a document-project relationship.
+ */
+router.delete(
+  '/:username/documents/:documentId/projects/:projectId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+
+    const { username, documentId, projectId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/documents/${documentId}` +
+      `/projects/${projectId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, projectId },
+        logPrefix
+      );
+
+      await deleteDocument_x_project(
+        userPayload.username,
+        documentId,
+        projectId
+      );
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/projects/:projectId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes a project.
+ */
+router.delete(
+  '/:username/projects/:projectId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, projectId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/projects/${projectId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { projectId }, logPrefix);
+
+      await deleteProject(userPayload.username, projectId);
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
@@ -0,0 +1,479 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const Project = require('../models/project');
+const Document_X_Project = require('../models/document_x_project');
+const { users, projects } = require('../_testData');
+const {
+  urlRegisterUser,
+  getDocumentsGeneralUrl,
+  getDocumentsSpecificUrl,
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+const urlPrefix = '/api/v1';
+const getProjectsGeneralUrl = (username, documentId) =>
+  `${getDocumentsSpecificUrl(username, documentId)}/projects`;
+const getProjectsSpecificUrl = (username, documentId, projectId) =>
+  `${getProjectsGeneralUrl(username, documentId)}/${projectId}`;
+const getProjectUrl = (username, projectId) =>
+  `${urlPrefix}/users/${username}/projects/${projectId}`;
+
+const projectsForRawClientInputs = Object.freeze(
+  projects.map(({ owner, ...project }) => Object.freeze(project))
+);
+
+const username = users[0].username;
+const authTokens = [];
+const masterDocumentIds = [];
+
+beforeAll(async () => {
+  // Clear all tables.
+  await commonBeforeAll(db);
+
+  // Creating users.
+  let responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+
+  // Saving the authentication tokens for users.
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  // Getting the master resume for each user.
+  responses = await Promise.all(
+    users.map((user, i) =>
+      request(app)
+        .get(getDocumentsGeneralUrl(user.username))
+        .set('authorization', `Bearer ${authTokens[i]}`)
+    )
+  );
+
+  // Saving the IDs of the master resumes.
+  responses.forEach((resp) =>
+    masterDocumentIds.push(resp.body.documents[0].id)
+  );
+});
+
+beforeEach(() => clearTable(db, Project.tableName));
+
+afterAll(() => commonAfterAll(db));
+
+/**
+ * Adds a project to the master resume of the first user.
+ */
+async function addProject(props = projectsForRawClientInputs[0]) {
+  const resp = await request(app)
+    .post(getProjectsGeneralUrl(username, masterDocumentIds[0]))
+    .send(props)
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.project;
+}
+
+/**
+ * Makes a document of the first user that is not the master resume, with none
+ * of the master resume's projects.
+ */
+async function addNonMasterDocument(documentName = 'Fork') {
+  const resp = await request(app)
+    .post(`${getDocumentsSpecificUrl(username, masterDocumentIds[0])}/fork`)
+    .send({ documentName, projectIds: [] })
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.document;
+}
+
+/**
+ * Removes all documents of the first user other than the master resume.
+ */
+function deleteNonMasterDocuments() {
+  return db.query({
+    queryConfig: {
+      text: `
+  DELETE FROM ${Document.tableName}
+  WHERE owner = $1 AND NOT is_master;`,
+      values: [username],
+    },
+  });
+}
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/projects
+
+describe('POST /users/:username/documents/:documentId/projects', () => {
+  afterEach(() => deleteNonMasterDocuments());
+
+  test('Adds a new project to a document.', async () => {
+    // Arrange
+    const documentId = masterDocumentIds[0];
+
+    // Act
+    const resp = await request(app)
+      .post(getProjectsGeneralUrl(username, documentId))
+      .send(projectsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      project: {
+        endDate: null,
+        ...projectsForRawClientInputs[0],
+        id: expect.any(Number),
+        owner: username,
+      },
+      document_x_project: {
+        id: expect.any(Number),
+        documentId,
+        projectId: resp.body.project.id,
+        position: 0,
+      },
+    });
+  });
+
+  test('Adds a new project after existing projects.', async () => {
+    // Arrange
+    await addProject();
+
+    // Act
+    const resp = await request(app)
+      .post(getProjectsGeneralUrl(username, masterDocumentIds[0]))
+      .send(projectsForRawClientInputs[1])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body.document_x_project.position).toBe(1);
+  });
+
+  test.each([
+    [{ ...projectsForRawClientInputs[0], startDate: '01-01-2020' }],
+    [{ ...projectsForRawClientInputs[0], name: undefined }],
+  ])('Giving an invalid project %j should return 400 status.', async (body) => {
+    // Act
+    const resp = await request(app)
+      .post(getProjectsGeneralUrl(username, masterDocumentIds[0]))
+      .send(body)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect(await Project.getAll(username)).toEqual([]);
+  });
+
+  test(
+    'Adding a project to a document that is not the master resume ' +
+      'should return 403 status.',
+    async () => {
+      // Arrange
+      const document = await addNonMasterDocument();
+
+      // Act
+      const resp = await request(app)
+        .post(getProjectsGeneralUrl(username, document.id))
+        .send(projectsForRawClientInputs[0])
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+      expect(await Project.getAll(username)).toEqual([]);
+    }
+  );
+
+  test("Adding a project to another user's document should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .post(getProjectsGeneralUrl(users[1].username, masterDocumentIds[0]))
+      .send(projectsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Project.getAll(username)).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/projects/:projectId
+
+describe('POST /users/:username/documents/:documentId/projects/:projectId', () => {
+  let document;
+
+  beforeEach(async () => {
+    document = await addNonMasterDocument();
+  });
+
+  afterEach(() => deleteNonMasterDocuments());
+
+  test('Attaches an existing project to another document.', async () => {
+    // Arrange
+    const project = await addProject();
+
+    // Act
+    const resp = await request(app)
+      .post(getProjectsSpecificUrl(username, document.id, project.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      document_x_project: {
+        id: expect.any(Number),
+        documentId: document.id,
+        projectId: project.id,
+        position: 0,
+      },
+    });
+  });
+
+  test('Attaching a project twice should return 400 status.', async () => {
+    // Arrange
+    const project = await addProject();
+
+    // Act
+    const resp = await request(app)
+      .post(getProjectsSpecificUrl(username, masterDocumentIds[0], project.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Attaching a project to a locked document should return 403 status.', async () => {
+    // Arrange
+    const project = await addProject();
+    await Document.update(document.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .post(getProjectsSpecificUrl(username, document.id, project.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Document_X_Project.getAll(document.id)).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/projects
+
+describe('GET /users/:username/projects', () => {
+  test('Gets all projects of a user.', async () => {
+    // Arrange
+    const projects = [
+      await addProject(projectsForRawClientInputs[0]),
+      await addProject(projectsForRawClientInputs[1]),
+    ];
+
+    // Act
+    const resp = await request(app)
+      .get(`${urlPrefix}/users/${username}/projects`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ projects });
+  });
+});
+
+// --------------------------------------------------
+// PATCH /users/:username/projects/:projectId
+
+describe('PATCH /users/:username/projects/:projectId', () => {
+  const updatedProps = Object.freeze({
+    name: 'New Name',
+    endDate: '2024-02-29',
+  });
+
+  afterEach(() => deleteNonMasterDocuments());
+
+  test('Updates a project.', async () => {
+    // Arrange
+    const project = await addProject();
+
+    // Act
+    const resp = await request(app)
+      .patch(getProjectUrl(username, project.id))
+      .send(updatedProps)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      project: { ...project, ...updatedProps },
+    });
+  });
+
+  test('Clears the end date when given an empty String.', async () => {
+    // Arrange
+    const project = await addProject(projectsForRawClientInputs[1]);
+
+    // Act
+    const resp = await request(app)
+      .patch(getProjectUrl(username, project.id))
+      .send({ endDate: '' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.project.endDate).toBeNull();
+  });
+
+  test('Updating with invalid input should return 400 status.', async () => {
+    // Arrange
+    const project = await addProject();
+
+    // Act
+    const resp = await request(app)
+      .patch(getProjectUrl(username, project.id))
+      .send({ startDate: '' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Updating a project in a locked document should return 403 status.', async () => {
+    // Arrange
+    const project = await addProject();
+    const document = await addNonMasterDocument();
+    await Document_X_Project.add({
+      documentId: document.id,
+      projectId: project.id,
+      position: 0,
+    });
+    await Document.update(document.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .patch(getProjectUrl(username, project.id))
+      .send(updatedProps)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Project.get({ id: project.id })).toEqual(project);
+  });
+
+  test("Updating another user's project should return 403 status.", async () => {
+    // Arrange
+    const project = await addProject();
+
+    // Act
+    const resp = await request(app)
+      .patch(getProjectUrl(users[1].username, project.id))
+      .send(updatedProps)
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// PUT /users/:username/documents/:documentId/projects
+
+describe('PUT /users/:username/documents/:documentId/projects', () => {
+  test('Reorders the projects in a document.', async () => {
+    // Arrange
+    const projects = [
+      await addProject(projectsForRawClientInputs[0]),
+      await addProject(projectsForRawClientInputs[1]),
+    ].reverse();
+
+    // Act
+    const resp = await request(app)
+      .put(getProjectsGeneralUrl(username, masterDocumentIds[0]))
+      .send(projects.map((project) => project.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ projects });
+  });
+
+  test('Not including all projects should return 400 status.', async () => {
+    // Arrange
+    const project = await addProject();
+    await addProject(projectsForRawClientInputs[1]);
+
+    // Act
+    const resp = await request(app)
+      .put(getProjectsGeneralUrl(username, masterDocumentIds[0]))
+      .send([project.id])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/documents/:documentId/projects/:projectId
+
+describe('DELETE /users/:username/documents/:documentId/projects/:projectId', () => {
+  test('Removes a project from a document without deleting it.', async () => {
+    // Arrange
+    const project = await addProject();
+
+    // Act
+    const resp = await request(app)
+      .delete(
+        getProjectsSpecificUrl(username, masterDocumentIds[0], project.id)
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await Document_X_Project.getAll(masterDocumentIds[0])).toEqual([]);
+    expect(await Project.getAll(username)).toEqual([project]);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/projects/:projectId
+
+describe('DELETE /users/:username/projects/:projectId', () => {
+  test('Deletes a project.', async () => {
+    // Arrange
+    const project = await addProject();
+
+    // Act
+    const resp = await request(app)
+      .delete(getProjectUrl(username, project.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await Project.getAll(username)).toEqual([]);
+  });
+
+  test("Deleting another user's project should return 403 status.", async () => {
+    // Arrange
+    const project = await addProject();
+
+    // Act
+    const resp = await request(app)
+      .delete(getProjectUrl(users[1].username, project.id))
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Project.getAll(username)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,370 @@
+'use strict';
+
+const express = require('express');
+
+const urlParamsSchema = require('../schemas/urlParams.json');
+const textSnippetNewSchema = require('../schemas/textSnippetNew.json');
+const textSnippetVersionSchema = require('../schemas/textSnippetVersion.json');
+const textSnippetUpdateSchema = require('../schemas/textSnippetUpdate.json');
+const textSnippetPropagationSchema = require('../schemas/textSnippetPropagation.json');
+const documentRelationshipPositionsSchema = require('../schemas/documentRelationshipPositions.json');
+
+const {
+  createTextSnippet,
+  getTextSnippets,
+  createProject_x_textSnippet,
+  updateProjectXTextSnippetsPositions,
+  deleteProject_x_textSnippet,
+} = require('../services/projectXTextSnippetService');
+const { updateTextSnippet } = require('../services/textSnippetService');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { runJsonSchemaValidator } = require('../util/validators');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+const router = new express.Router();
+
+// --------------------------------------------------
+
+/**
+ * POST /:username/documents/:documentId/projects/:projectId/text-snippets
+ * { type, content } => { textSnippet, projectXTextSnippet }
+ *
+ * Authorization required: login
+ *
+ * Creates a text snippet entry and a relationship between the entry and the
+ * project and document.
+ *
+ * Note that, currently, text snippets can only be added to projects in the
+ * master resume. This can be changed in the future.
+ *
+ * @param {String} type - The type of content, such as bullet point or
+ *  description.
+ * @param {String} content - Content of the text snippet.
+ * @returns {{
+ *    textSnippet: TextSnippet,
+ *    projectXTextSnippet: Project_X_Text_Snippet
+ *  }}
+ *  textSnippet - Text snippet ID, version, owner, parent, type, and content.
+ *  projectXTextSnippet - The document-project ID that owns the text
+ *  snippet, text snippet ID, version of the text snippet, and position of the
+ *  text snippet among other text snippets in the project and document.
+ */
+router.post(
+  '/:username/documents/:documentId/projects/:projectId/text-snippets',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId, projectId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}` +
+      `/projects/${projectId}/text-snippets ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, projectId },
+        logPrefix
+      );
+      runJsonSchemaValidator(textSnippetNewSchema, req.body, logPrefix);
+
+      const { textSnippet, projectXTextSnippet } = await createTextSnippet(
+        userPayload.username,
+        documentId,
+        projectId,
+        req.body
+      );
+
+      return res.status(201).json({ textSnippet, projectXTextSnippet });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /:username/documents/:documentId/projects/:projectId
+ * /text-snippets/:textSnippetId
+ * { textSnippetVersion } => { projectXTextSnippet }
+ *
+ * Authorization required: login
+ *
+ * Creates a project-text snippet relationship.  The position of the text
+ * snippet in the project will be after the last position of any existing
+ * text snippets.
+ *
+ * Document ID is needed, because the display of a project and its contents
+ * is specific to a document.
+ *
+ * @param {String} textSnippetVersion - Version part of the text snippet.
+ * @returns {{projectXTextSnippet}} The project_x_textSnippet Object,
+ *  which contains the ID of the document_x_project, text snippet ID and
+ *  version, and position of the text snippet within the project.
+ */
+router.post(
+  '/:username/documents/:documentId/projects/:projectId' +
+    '/text-snippets/:textSnippetId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId, projectId, textSnippetId } = req.params;
+    const { textSnippetVersion } = req.body;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}` +
+      `/projects/${projectId}/text-snippets/${textSnippetId} ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, projectId, textSnippetId },
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        textSnippetVersionSchema,
+        textSnippetVersion,
+        logPrefix
+      );
+
+      const projectXTextSnippet = await createProject_x_textSnippet(
+        userPayload.username,
+        documentId,
+        projectId,
+        textSnippetId,
+        textSnippetVersion
+      );
+
+      return res.json({ projectXTextSnippet });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /:username/projects/:projectId/text-snippets
+ * {} => { textSnippets }
+ *
+ * Authorization required: login
+ *
+ * Gets all the text snippets for a project from a user.
+ *
+ * @returns {{ textSnippets }} A list of text snippets that a project has.
+ */
+router.get(
+  '/:username/projects/:projectId/text-snippets',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, projectId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/projects/${projectId}/text-snippets ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { projectId }, logPrefix);
+
+      const textSnippets = await getTextSnippets(
+        userPayload.username,
+        projectId
+      );
+
+      return res.json({ textSnippets });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PATCH /users/:username/projects/:projectId/text-snippets/:textSnippetId
+ * { textSnippetVersion, type, content, propagation, documentIds }
+ *  => { textSnippet, report }
+ *
+ * Authorization required: login
+ *
+ * Updates a text snippet.  This creates a new text snippet with a different
+ * version, but it still references the old one.  By default, the old text
+ * snippet is replaced with the new one across all documents.  The propagation
+ * mode can instead limit the replacement to all unlocked documents, only the
+ * master resume, or only the documents in documentIds.
+ *
+ * @param {String} textSnippetVersion - Version part of the text snippet.
+ * @param {String} [type] - Type of content.
+ * @param {String} [content] - Content of the text snippet.
+ * @param {String} [propagation] - "all", "unlocked", "master", or
+ *  "documents".
+ * @param {Number[]} [documentIds] - IDs of the documents to update, for the
+ *  "documents" mode.  Each document must use the old version.
+ * @returns {{ textSnippet: TextSnippet, report }}
+ *  textSnippet - The text snippet Object containing the updated info.
+ *  report - { updatedDocuments, skippedDocuments, sharedDocuments }, the
+ *  documents that now use the new version, the documents that still use the
+ *  old version, and the chosen documents that still use the old version in a
+ *  skill or custom section entry.
+ */
+router.patch(
+  '/:username/projects/:projectId/text-snippets/:textSnippetId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, projectId, textSnippetId } = req.params;
+    const {
+      textSnippetVersion,
+      propagation,
+      documentIds,
+      ...restOfRequestBody
+    } = req.body;
+
+    const logPrefix =
+      `PATCH /users/${username}/projects/${projectId}` +
+      `/text-snippets/${textSnippetId} ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { textSnippetId }, logPrefix);
+      runJsonSchemaValidator(
+        textSnippetVersionSchema,
+        textSnippetVersion,
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        textSnippetUpdateSchema,
+        restOfRequestBody,
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        textSnippetPropagationSchema,
+        { propagation, documentIds },
+        logPrefix
+      );
+
+      const { textSnippet, report } = await updateTextSnippet(
+        userPayload.username,
+        textSnippetId,
+        textSnippetVersion,
+        restOfRequestBody,
+        { propagation, documentIds }
+      );
+
+      return res.json({ textSnippet, report });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PUT /users/:username/documents/:documentId/projects/:projectId
+ * /text-snippets
+ * [ textSnippetId, textSnippetId, ... ] => { textSnippets }
+ *
+ * Authorization required: login
+ *
+ * Updates the positions of all text snippets in a project in a document.
+ * All text snippets need to be included.
+ *
+ * @param {String} textSnippetId - ID of a text snippet.
+ * @returns {TextSnippet[]} textSnippets - A list of TextSnippet Objects in
+ *  order of position in the project in the document, each containing text
+ *  snippet info.
+ */
+router.put(
+  '/:username/documents/:documentId/projects/:projectId/text-snippets',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId, projectId } = req.params;
+
+    const logPrefix =
+      `PUT /users/${username}/documents/${documentId}` +
+      `/projects/${projectId}/text-snippets ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, projectId },
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        documentRelationshipPositionsSchema,
+        req.body,
+        logPrefix
+      );
+
+      const textSnippets = await updateProjectXTextSnippetsPositions(
+        userPayload.username,
+        documentId,
+        projectId,
+        req.body
+      );
+
+      return res.json({ textSnippets });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/documents/:documentId/projects/:projectId
+ * /text-snippets/:textSnippetId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes a project-text snippet relationship.
+ */
+router.delete(
+  '/:username/documents/:documentId/projects/:projectId' +
+    '/text-snippets/:textSnippetId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId, projectId, textSnippetId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/documents/${documentId}` +
+      `/projects/${projectId}/text-snippets/${textSnippetId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, projectId, textSnippetId },
+        logPrefix
+      );
+
+      await deleteProject_x_textSnippet(
+        userPayload.username,
+        documentId,
+        projectId,
+        textSnippetId
+      );
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
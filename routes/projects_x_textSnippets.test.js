@@ -0,0 +1,331 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const Project = require('../models/project');
+const TextSnippet = require('../models/textSnippet');
+const { users, projects, textSnippets } = require('../_testData');
+const {
+  urlRegisterUser,
+  getDocumentsGeneralUrl,
+  getDocumentsSpecificUrl,
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+const urlPrefix = '/api/v1';
+const getTextSnippetsGeneralUrl = (username, documentId, projectId) =>
+  `${getDocumentsSpecificUrl(username, documentId)}` +
+  `/projects/${projectId}/text-snippets`;
+
+const textSnippetsForRawClientInputs = Object.freeze(
+  textSnippets.map(({ owner, ...textSnippet }) => Object.freeze(textSnippet))
+);
+
+const username = users[0].username;
+const authTokens = [];
+let masterDocumentId;
+let projectId;
+
+beforeAll(async () => {
+  await commonBeforeAll(db);
+
+  const responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  const resp = await request(app)
+    .get(getDocumentsGeneralUrl(username))
+    .set('authorization', `Bearer ${authTokens[0]}`);
+  masterDocumentId = resp.body.documents[0].id;
+});
+
+beforeEach(async () => {
+  await clearTable(db, TextSnippet.tableName);
+  await clearTable(db, Project.tableName);
+
+  const { owner, ...projectProps } = projects[0];
+  const resp = await request(app)
+    .post(`${getDocumentsSpecificUrl(username, masterDocumentId)}/projects`)
+    .send(projectProps)
+    .set('authorization', `Bearer ${authTokens[0]}`);
+  projectId = resp.body.project.id;
+});
+
+afterAll(() => commonAfterAll(db));
+
+/**
+ * Adds text snippets to the project in the master resume of the first user.
+ */
+async function addTextSnippets() {
+  const addedTextSnippets = [];
+
+  for (const props of textSnippetsForRawClientInputs) {
+    const resp = await request(app)
+      .post(getTextSnippetsGeneralUrl(username, masterDocumentId, projectId))
+      .send(props)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    addedTextSnippets.push(resp.body.textSnippet);
+  }
+
+  return addedTextSnippets;
+}
+
+/**
+ * Gets the bullets of the project in the master resume of the first user.
+ */
+async function getBullets() {
+  const { projects } = await Document.getDocumentAndSectionContent(
+    masterDocumentId
+  );
+
+  return projects[0].bullets;
+}
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/projects/:projectId
+// /text-snippets
+
+describe('POST /users/:username/documents/:documentId/projects/:projectId/text-snippets', () => {
+  test('Adds text snippets to a project, in order.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getTextSnippetsGeneralUrl(username, masterDocumentId, projectId))
+      .send(textSnippetsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      textSnippet: {
+        id: expect.any(Number),
+        version: expect.any(String),
+        owner: username,
+        parent: null,
+        ...textSnippetsForRawClientInputs[0],
+      },
+      projectXTextSnippet: {
+        documentXProjectId: expect.any(Number),
+        textSnippetId: resp.body.textSnippet.id,
+        textSnippetVersion: resp.body.textSnippet.version,
+        position: 0,
+      },
+    });
+
+    expect(await getBullets()).toEqual([
+      expect.objectContaining({
+        id: resp.body.textSnippet.id,
+        content: textSnippetsForRawClientInputs[0].content,
+      }),
+    ]);
+  });
+
+  test(
+    "Adding a text snippet to another user's document " +
+      'should return 403 status.',
+    async () => {
+      // Act
+      const resp = await request(app)
+        .post(
+          getTextSnippetsGeneralUrl(
+            users[1].username,
+            masterDocumentId,
+            projectId
+          )
+        )
+        .send(textSnippetsForRawClientInputs[0])
+        .set('authorization', `Bearer ${authTokens[1]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+      expect(await TextSnippet.getAll(username)).toEqual([]);
+    }
+  );
+});
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/projects/:projectId
+// /text-snippets/:textSnippetId
+
+describe('POST /users/:username/documents/:documentId/projects/:projectId/text-snippets/:textSnippetId', () => {
+  test("Adding an existing text snippet to another user's project with their username should return 403 status.", async () => {
+    // Arrange
+    const addedTextSnippets = await addTextSnippets();
+    const newTextSnippet = await TextSnippet.add({
+      owner: username,
+      type: 'bullet point',
+      content: 'Built another thing.',
+    });
+
+    // Act
+    const resp = await request(app)
+      .post(
+        `${getTextSnippetsGeneralUrl(username, masterDocumentId, projectId)}` +
+          `/${newTextSnippet.id}`
+      )
+      .send({ textSnippetVersion: newTextSnippet.version.toISOString() })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect((await getBullets()).map(({ id }) => id)).toEqual(
+      addedTextSnippets.map(({ id }) => id)
+    );
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/projects/:projectId/text-snippets
+
+describe('GET /users/:username/projects/:projectId/text-snippets', () => {
+  test('Gets all text snippets of a project.', async () => {
+    // Arrange
+    const addedTextSnippets = await addTextSnippets();
+
+    // Act
+    const resp = await request(app)
+      .get(`${urlPrefix}/users/${username}/projects/${projectId}/text-snippets`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.textSnippets).toEqual(
+      expect.arrayContaining(addedTextSnippets)
+    );
+    expect(resp.body.textSnippets).toHaveLength(addedTextSnippets.length);
+  });
+});
+
+// --------------------------------------------------
+// PATCH /users/:username/projects/:projectId/text-snippets/:textSnippetId
+
+describe('PATCH /users/:username/projects/:projectId/text-snippets/:textSnippetId', () => {
+  test('Replaces the text snippet in the project with the new version.', async () => {
+    // Arrange
+    const [textSnippet] = await addTextSnippets();
+
+    // Act
+    const resp = await request(app)
+      .patch(
+        `${urlPrefix}/users/${username}/projects/${projectId}` +
+          `/text-snippets/${textSnippet.id}`
+      )
+      .send({
+        textSnippetVersion: textSnippet.version,
+        content: 'Built a new thing.',
+      })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.textSnippet.version).not.toBe(textSnippet.version);
+
+    const bullets = await getBullets();
+    expect(bullets[0]).toEqual(
+      expect.objectContaining({
+        id: textSnippet.id,
+        version: resp.body.textSnippet.version,
+        content: 'Built a new thing.',
+      })
+    );
+  });
+
+  test("Updating another user's text snippet with their username should return 403 status.", async () => {
+    // Arrange
+    const [textSnippet] = await addTextSnippets();
+
+    // Act
+    const resp = await request(app)
+      .patch(
+        `${urlPrefix}/users/${username}/projects/${projectId}` +
+          `/text-snippets/${textSnippet.id}`
+      )
+      .send({
+        textSnippetVersion: textSnippet.version,
+        content: 'Built a new thing.',
+      })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await TextSnippet.getAllVersions(textSnippet.id)).toHaveLength(1);
+    expect((await getBullets())[0].version).toBe(textSnippet.version);
+  });
+});
+
+// --------------------------------------------------
+// PUT /users/:username/documents/:documentId/projects/:projectId
+// /text-snippets
+
+describe('PUT /users/:username/documents/:documentId/projects/:projectId/text-snippets', () => {
+  test('Reorders the text snippets in a project.', async () => {
+    // Arrange
+    const addedTextSnippets = await addTextSnippets();
+    const reversedIds = addedTextSnippets.map(({ id }) => id).reverse();
+
+    // Act
+    const resp = await request(app)
+      .put(getTextSnippetsGeneralUrl(username, masterDocumentId, projectId))
+      .send(reversedIds)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.textSnippets.map(({ id }) => id)).toEqual(reversedIds);
+    expect((await getBullets()).map(({ id }) => id)).toEqual(reversedIds);
+  });
+
+  test('Not including all text snippets should return 400 status.', async () => {
+    // Arrange
+    const [textSnippet] = await addTextSnippets();
+
+    // Act
+    const resp = await request(app)
+      .put(getTextSnippetsGeneralUrl(username, masterDocumentId, projectId))
+      .send([textSnippet.id])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/documents/:documentId/projects/:projectId
+// /text-snippets/:textSnippetId
+
+describe('DELETE /users/:username/documents/:documentId/projects/:projectId/text-snippets/:textSnippetId', () => {
+  test('Removes a text snippet from a project without deleting it.', async () => {
+    // Arrange
+    const [textSnippet, otherTextSnippet] = await addTextSnippets();
+
+    // Act
+    const resp = await request(app)
+      .delete(
+        `${getTextSnippetsGeneralUrl(username, masterDocumentId, projectId)}` +
+          `/${textSnippet.id}`
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect((await getBullets()).map(({ id }) => id)).toEqual([
+      otherTextSnippet.id,
+    ]);
+    expect(await TextSnippet.getAll(username)).toHaveLength(2);
+  });
+});
@@ -35,6 +35,7 @@ const existingSections = Object.freeze(
     Object.freeze({
       id: idx + 1,
       sectionName: section.sectionName,
+      owner: null,
     })
   )
 );
@@ -87,12 +88,7 @@ describe('GET /sections', () => {
     // Assert
     expect(resp.statusCode).toBe(200);
 
-    const expectedSections = sections.map((section, idx) => ({
-      id: idx + 1,
-      sectionName: section.sectionName,
-    }));
-
-    expect(resp.body).toEqual({ sections: expectedSections });
+    expect(resp.body).toEqual({ sections: existingSections });
   });
 });
 
@@ -239,6 +235,37 @@ describe('POST /users/:username/documents/:docId/sections/:sectionId', () => {
     }
   );
 
+  test('Adding a section to a locked document should return 403 status.', async () => {
+    // Arrange
+    const sectionId = 1;
+    const { id: lockedDocumentId } = await Document.add({
+      documentName: 'Locked',
+      owner: user.username,
+      isMaster: false,
+      isTemplate: false,
+    });
+    await Document.update(lockedDocumentId, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .post(
+        getCreateDocumentSectionRelationshipUrl(
+          user.username,
+          lockedDocumentId,
+          sectionId
+        )
+      )
+      .set('authorization', `Bearer ${authToken}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(resp.body).not.toHaveProperty('document_x_section');
+    expect(await Document_X_Section.getAll(lockedDocumentId)).toEqual([]);
+
+    // Later tests use the first document of the user.
+    await Document.delete(lockedDocumentId);
+  });
+
   test(
     "Attempting to access another user's document " +
       'should return 403 status.',
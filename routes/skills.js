@@ -0,0 +1,268 @@
+'use strict';
+
+const express = require('express');
+
+const urlParamsSchema = require('../schemas/urlParams.json');
+const skillNewSchema = require('../schemas/skillNew.json');
+const skillUpdateSchema = require('../schemas/skillUpdate.json');
+
+const Skill = require('../models/skill');
+const {
+  createSkill,
+  createDocument_x_skill,
+  updateSkill,
+  deleteDocument_x_skill,
+  deleteSkill,
+} = require('../services/skillService');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { runJsonSchemaValidator } = require('../util/validators');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+const router = new express.Router();
+
+// --------------------------------------------------
+
+/**
+ * POST /users/:username/documents/:documentId/skills
+ * { name, content } => { skill, textSnippet, document_x_skill }
+ *
+ * Authorization required: login
+ *
+ * Creates a skill entry, a text snippet that holds its content, and a
+ * relationship between the skill and the document.
+ *
+ * Note that, currently, skills can only be added to the master resume.  This
+ * can be changed in the future.
+ *
+ * @param {String} name - Name of the skill, such as "Languages".  Names are
+ *  unique per user.
+ * @param {String} content - Content of the skill, such as "JavaScript,
+ *  Python".
+ * @returns {{
+ *    skill: Skill,
+ *    textSnippet: TextSnippet,
+ *    document_x_skill: Document_X_Skill
+ *  }}
+ *  skill - The skill ID, name, and the ID and version of its text snippet.
+ *  textSnippet - The text snippet that holds the content of the skill.
+ *  document_x_skill - The document ID that owns the skill and the skill ID.
+ */
+router.post(
+  '/:username/documents/:documentId/skills',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}/skills ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(skillNewSchema, req.body, logPrefix);
+
+      const { skill, textSnippet, document_x_skill } = await createSkill(
+        userPayload.username,
+        documentId,
+        req.body
+      );
+
+      return res.status(201).json({ skill, textSnippet, document_x_skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /users/:username/documents/:documentId/skills/:skillId
+ * {} => { document_x_skill }
+ *
+ * Authorization required: login
+ *
+ * Creates a document-skill relationship.
+ *
+ * @returns {{document_x_skill}} The document ID and skill ID.
+ */
+router.post(
+  '/:username/documents/:documentId/skills/:skillId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId, skillId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}/skills/${skillId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, skillId },
+        logPrefix
+      );
+
+      const document_x_skill = await createDocument_x_skill(
+        userPayload.username,
+        documentId,
+        skillId
+      );
+
+      return res.status(201).json({ document_x_skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/skills
+ * {} => { skills }
+ *
+ * Authorization required: login
+ *
+ * Gets all skills for a user.
+ *
+ * @returns {{ skills }} A list of skills that a user has.
+ */
+router.get('/:username/skills', ensureLoggedIn, async (req, res, next) => {
+  const userPayload = res.locals.user;
+  const { username } = req.params;
+
+  const logPrefix =
+    `GET /users/${username}/skills ` + `(user: ${JSON.stringify(userPayload)})`;
+  logger.info(logPrefix + ' BEGIN');
+
+  try {
+    const skills = await Skill.getAll(userPayload.username);
+
+    return res.json({ skills });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * PATCH /users/:username/skills/:skillId
+ * { name, content } => { skill, textSnippet }
+ *
+ * Authorization required: login
+ *
+ * Updates a skill.  All input data are optional, but at least one is needed,
+ * else an error is thrown.  Changing the content creates a new version of the
+ * skill's text snippet, so older versions are kept.  A skill that is in a
+ * locked document can not be updated.
+ *
+ * @param {String} [name] - Name of the skill.
+ * @param {String} [content] - Content of the skill.
+ * @returns {{ skill, textSnippet }} The skill ID, name, and the ID and version
+ *  of its text snippet, along with the text snippet itself.
+ */
+router.patch(
+  '/:username/skills/:skillId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, skillId } = req.params;
+
+    const logPrefix =
+      `PATCH /users/${username}/skills/${skillId} ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { skillId }, logPrefix);
+      runJsonSchemaValidator(skillUpdateSchema, req.body, logPrefix);
+
+      const { skill, textSnippet } = await updateSkill(
+        userPayload.username,
+        skillId,
+        req.body
+      );
+
+      return res.json({ skill, textSnippet });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/documents/:documentId/skills/:skillId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes a document-skill relationship.
+ */
+router.delete(
+  '/:username/documents/:documentId/skills/:skillId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+
+    const { username, documentId, skillId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/documents/${documentId}/skills/${skillId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(
+        urlParamsSchema,
+        { documentId, skillId },
+        logPrefix
+      );
+
+      await deleteDocument_x_skill(userPayload.username, documentId, skillId);
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/skills/:skillId
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Deletes a skill.  A skill that is in a locked document can not be deleted.
+ */
+router.delete(
+  '/:username/skills/:skillId',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, skillId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/skills/${skillId} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { skillId }, logPrefix);
+
+      await deleteSkill(userPayload.username, skillId);
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
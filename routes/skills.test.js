@@ -0,0 +1,549 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const Skill = require('../models/skill');
+const Document_X_Skill = require('../models/document_x_skill');
+const TextSnippet = require('../models/textSnippet');
+const { users, skills } = require('../_testData');
+const {
+  urlRegisterUser,
+  getDocumentsGeneralUrl,
+  getDocumentsSpecificUrl,
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+const urlPrefix = '/api/v1';
+const getSkillsGeneralUrl = (username, documentId) =>
+  `${getDocumentsSpecificUrl(username, documentId)}/skills`;
+const getSkillsSpecificUrl = (username, documentId, skillId) =>
+  `${getSkillsGeneralUrl(username, documentId)}/${skillId}`;
+const getSkillUrl = (username, skillId) =>
+  `${urlPrefix}/users/${username}/skills/${skillId}`;
+
+const skillsForRawClientInputs = Object.freeze(
+  skills.map(({ name }, idx) =>
+    Object.freeze({ name, content: `Skill ${idx}, Skill ${idx + 1}` })
+  )
+);
+
+const username = users[0].username;
+const authTokens = [];
+const masterDocumentIds = [];
+
+beforeAll(async () => {
+  // Clear all tables.
+  await commonBeforeAll(db);
+
+  // Creating users.
+  let responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+
+  // Saving the authentication tokens for users.
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  // Getting the master resume for each user.
+  responses = await Promise.all(
+    users.map((user, i) =>
+      request(app)
+        .get(getDocumentsGeneralUrl(user.username))
+        .set('authorization', `Bearer ${authTokens[i]}`)
+    )
+  );
+
+  // Saving the IDs of the master resumes.
+  responses.forEach((resp) =>
+    masterDocumentIds.push(resp.body.documents[0].id)
+  );
+});
+
+beforeEach(async () => {
+  await clearTable(db, Skill.tableName);
+  await clearTable(db, TextSnippet.tableName);
+});
+
+afterAll(() => commonAfterAll(db));
+
+/**
+ * Adds a skill to the master resume of a user.
+ */
+async function addSkill(props = skillsForRawClientInputs[0], userIdx = 0) {
+  const resp = await request(app)
+    .post(
+      getSkillsGeneralUrl(users[userIdx].username, masterDocumentIds[userIdx])
+    )
+    .send(props)
+    .set('authorization', `Bearer ${authTokens[userIdx]}`);
+
+  return resp.body.skill;
+}
+
+/**
+ * Makes a document of the first user that is not the master resume, with none
+ * of the master resume's skills.
+ */
+async function addNonMasterDocument(documentName = 'Fork') {
+  const resp = await request(app)
+    .post(`${getDocumentsSpecificUrl(username, masterDocumentIds[0])}/fork`)
+    .send({ documentName, skillIds: [] })
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.document;
+}
+
+/**
+ * Removes all documents of the first user other than the master resume.
+ */
+function deleteNonMasterDocuments() {
+  return db.query({
+    queryConfig: {
+      text: `
+  DELETE FROM ${Document.tableName}
+  WHERE owner = $1 AND NOT is_master;`,
+      values: [username],
+    },
+  });
+}
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/skills
+
+describe('POST /users/:username/documents/:documentId/skills', () => {
+  afterEach(() => deleteNonMasterDocuments());
+
+  test('Adds a new skill to a document.', async () => {
+    // Arrange
+    const documentId = masterDocumentIds[0];
+
+    // Act
+    const resp = await request(app)
+      .post(getSkillsGeneralUrl(username, documentId))
+      .send(skillsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      skill: {
+        id: expect.any(Number),
+        name: skillsForRawClientInputs[0].name,
+        owner: username,
+        textSnippetId: resp.body.textSnippet.id,
+        textSnippetVersion: resp.body.textSnippet.version,
+      },
+      textSnippet: {
+        id: expect.any(Number),
+        version: expect.any(String),
+        owner: username,
+        parent: null,
+        type: 'skill',
+        content: skillsForRawClientInputs[0].content,
+      },
+      document_x_skill: {
+        documentId,
+        skillId: resp.body.skill.id,
+      },
+    });
+
+    const { skills } = await Document.getDocumentAndSectionContent(documentId);
+    expect(skills).toEqual([
+      {
+        id: resp.body.skill.id,
+        name: skillsForRawClientInputs[0].name,
+        textSnippetId: resp.body.textSnippet.id,
+        textSnippetVersion: resp.body.textSnippet.version,
+        content: skillsForRawClientInputs[0].content,
+      },
+    ]);
+  });
+
+  test('Different users can have skills with the same name.', async () => {
+    // Arrange
+    await addSkill();
+
+    // Act
+    const resp = await request(app)
+      .post(getSkillsGeneralUrl(users[1].username, masterDocumentIds[1]))
+      .send(skillsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body.skill.owner).toBe(users[1].username);
+  });
+
+  test('Adding a skill with the same name as another should return 400 status.', async () => {
+    // Arrange
+    const skill = await addSkill();
+
+    // Act
+    const resp = await request(app)
+      .post(getSkillsGeneralUrl(username, masterDocumentIds[0]))
+      .send(skillsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect((await Skill.getAll(username)).map(({ id }) => id)).toEqual([
+      skill.id,
+    ]);
+    expect(await TextSnippet.getAll(username)).toHaveLength(1);
+  });
+
+  test.each([
+    [{ ...skillsForRawClientInputs[0], content: '' }],
+    [{ ...skillsForRawClientInputs[0], name: undefined }],
+  ])('Giving an invalid skill %j should return 400 status.', async (body) => {
+    // Act
+    const resp = await request(app)
+      .post(getSkillsGeneralUrl(username, masterDocumentIds[0]))
+      .send(body)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect(await Skill.getAll(username)).toEqual([]);
+  });
+
+  test(
+    'Adding a skill to a document that is not the master resume ' +
+      'should return 403 status.',
+    async () => {
+      // Arrange
+      const document = await addNonMasterDocument();
+
+      // Act
+      const resp = await request(app)
+        .post(getSkillsGeneralUrl(username, document.id))
+        .send(skillsForRawClientInputs[0])
+        .set('authorization', `Bearer ${authTokens[0]}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(403);
+      expect(await Skill.getAll(username)).toEqual([]);
+    }
+  );
+
+  test("Adding a skill to another user's document should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .post(getSkillsGeneralUrl(users[1].username, masterDocumentIds[0]))
+      .send(skillsForRawClientInputs[0])
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Skill.getAll(username)).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/skills/:skillId
+
+describe('POST /users/:username/documents/:documentId/skills/:skillId', () => {
+  let document;
+
+  beforeEach(async () => {
+    document = await addNonMasterDocument();
+  });
+
+  afterEach(() => deleteNonMasterDocuments());
+
+  test('Attaches an existing skill to another document.', async () => {
+    // Arrange
+    const skill = await addSkill();
+
+    // Act
+    const resp = await request(app)
+      .post(getSkillsSpecificUrl(username, document.id, skill.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      document_x_skill: { documentId: document.id, skillId: skill.id },
+    });
+  });
+
+  test('Attaching a skill twice should return 400 status.', async () => {
+    // Arrange
+    const skill = await addSkill();
+
+    // Act
+    const resp = await request(app)
+      .post(getSkillsSpecificUrl(username, masterDocumentIds[0], skill.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test("Attaching another user's skill should return 403 status.", async () => {
+    // Arrange
+    const skill = await addSkill(skillsForRawClientInputs[0], 1);
+
+    // Act
+    const resp = await request(app)
+      .post(getSkillsSpecificUrl(username, document.id, skill.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Document_X_Skill.getAll(document.id)).toEqual([]);
+  });
+
+  test('Attaching a skill to a locked document should return 403 status.', async () => {
+    // Arrange
+    const skill = await addSkill();
+    await Document.update(document.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .post(getSkillsSpecificUrl(username, document.id, skill.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Document_X_Skill.getAll(document.id)).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/skills
+
+describe('GET /users/:username/skills', () => {
+  test('Gets all skills of a user.', async () => {
+    // Arrange
+    const skills = [
+      await addSkill(skillsForRawClientInputs[0]),
+      await addSkill(skillsForRawClientInputs[1]),
+    ];
+
+    // Act
+    const resp = await request(app)
+      .get(`${urlPrefix}/users/${username}/skills`)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ skills });
+  });
+});
+
+// --------------------------------------------------
+// PATCH /users/:username/skills/:skillId
+
+describe('PATCH /users/:username/skills/:skillId', () => {
+  afterEach(() => deleteNonMasterDocuments());
+
+  test('Updates the name of a skill.', async () => {
+    // Arrange
+    const skill = await addSkill();
+
+    // Act
+    const resp = await request(app)
+      .patch(getSkillUrl(username, skill.id))
+      .send({ name: 'New Name' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.skill).toEqual({ ...skill, name: 'New Name' });
+    expect(resp.body.textSnippet).toEqual(
+      expect.objectContaining({
+        id: skill.textSnippetId,
+        version: skill.textSnippetVersion,
+      })
+    );
+  });
+
+  test('Updates the content of a skill with a new text snippet version.', async () => {
+    // Arrange
+    const skill = await addSkill();
+    const content = 'JavaScript, TypeScript';
+
+    // Act
+    const resp = await request(app)
+      .patch(getSkillUrl(username, skill.id))
+      .send({ content })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.textSnippet).toEqual({
+      id: skill.textSnippetId,
+      version: expect.any(String),
+      owner: username,
+      parent: skill.textSnippetVersion,
+      type: 'skill',
+      content,
+    });
+    expect(resp.body.textSnippet.version).not.toBe(skill.textSnippetVersion);
+    expect(resp.body.skill).toEqual({
+      ...skill,
+      textSnippetVersion: resp.body.textSnippet.version,
+    });
+
+    // Old version is kept.
+    const oldTextSnippet = await TextSnippet.get({
+      id: skill.textSnippetId,
+      version: skill.textSnippetVersion,
+    });
+    expect(oldTextSnippet.content).toBe(skillsForRawClientInputs[0].content);
+
+    const { skills } = await Document.getDocumentAndSectionContent(
+      masterDocumentIds[0]
+    );
+    expect(skills[0].content).toBe(content);
+  });
+
+  test('Updating to the name of another skill should return 400 status.', async () => {
+    // Arrange
+    const skill = await addSkill();
+    await addSkill(skillsForRawClientInputs[1]);
+
+    // Act
+    const resp = await request(app)
+      .patch(getSkillUrl(username, skill.id))
+      .send({ name: skillsForRawClientInputs[1].name })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Updating with invalid input should return 400 status.', async () => {
+    // Arrange
+    const skill = await addSkill();
+
+    // Act
+    const resp = await request(app)
+      .patch(getSkillUrl(username, skill.id))
+      .send({ content: '' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Updating a skill in a locked document should return 403 status.', async () => {
+    // Arrange
+    const skill = await addSkill();
+    const document = await addNonMasterDocument();
+    await Document_X_Skill.add({ documentId: document.id, skillId: skill.id });
+    await Document.update(document.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .patch(getSkillUrl(username, skill.id))
+      .send({ content: 'Changed' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Skill.get({ id: skill.id })).toEqual({
+      ...skill,
+      textSnippetVersion: new Date(skill.textSnippetVersion),
+    });
+  });
+
+  test("Updating another user's skill should return 403 status.", async () => {
+    // Arrange
+    const skill = await addSkill();
+
+    // Act
+    const resp = await request(app)
+      .patch(getSkillUrl(users[1].username, skill.id))
+      .send({ name: 'New Name' })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/documents/:documentId/skills/:skillId
+
+describe('DELETE /users/:username/documents/:documentId/skills/:skillId', () => {
+  test('Removes a skill from a document without deleting it.', async () => {
+    // Arrange
+    const skill = await addSkill();
+
+    // Act
+    const resp = await request(app)
+      .delete(getSkillsSpecificUrl(username, masterDocumentIds[0], skill.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await Document_X_Skill.getAll(masterDocumentIds[0])).toEqual([]);
+    expect(await Skill.getAll(username)).toHaveLength(1);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/skills/:skillId
+
+describe('DELETE /users/:username/skills/:skillId', () => {
+  afterEach(() => deleteNonMasterDocuments());
+
+  test('Deletes a skill.', async () => {
+    // Arrange
+    const skill = await addSkill();
+
+    // Act
+    const resp = await request(app)
+      .delete(getSkillUrl(username, skill.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await Skill.getAll(username)).toEqual([]);
+  });
+
+  test('Deleting a skill in a locked document should return 403 status.', async () => {
+    // Arrange
+    const skill = await addSkill();
+    const document = await addNonMasterDocument();
+    await Document_X_Skill.add({ documentId: document.id, skillId: skill.id });
+    await Document.update(document.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .delete(getSkillUrl(username, skill.id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Skill.getAll(username)).toHaveLength(1);
+  });
+
+  test("Deleting another user's skill should return 403 status.", async () => {
+    // Arrange
+    const skill = await addSkill();
+
+    // Act
+    const resp = await request(app)
+      .delete(getSkillUrl(users[1].username, skill.id))
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Skill.getAll(username)).toHaveLength(1);
+  });
+});
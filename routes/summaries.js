@@ -0,0 +1,185 @@
+'use strict';
+
+const express = require('express');
+
+const urlParamsSchema = require('../schemas/urlParams.json');
+const summarySchema = require('../schemas/summary.json');
+
+const {
+  createSummary,
+  getSummary,
+  updateSummary,
+  deleteSummary,
+} = require('../services/summaryService');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { runJsonSchemaValidator } = require('../util/validators');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+const router = new express.Router();
+
+// --------------------------------------------------
+
+/**
+ * POST /users/:username/documents/:documentId/summary
+ * { content } => { textSnippet, document_x_summary }
+ *
+ * Authorization required: login
+ *
+ * Creates a text snippet that holds the summary (or objective) of a document,
+ * and attaches it to the document.  A document can only have one summary.
+ *
+ * @param {String} content - Content of the summary.
+ * @returns {{ textSnippet, document_x_summary }}
+ *  textSnippet - The text snippet that holds the summary.
+ *  document_x_summary - The document ID, and the ID and version of the text
+ *  snippet.
+ */
+router.post(
+  '/:username/documents/:documentId/summary',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/documents/${documentId}/summary ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(summarySchema, req.body, logPrefix);
+
+      const { textSnippet, document_x_summary } = await createSummary(
+        userPayload.username,
+        documentId,
+        req.body
+      );
+
+      return res.status(201).json({ textSnippet, document_x_summary });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/documents/:documentId/summary
+ * {} => { textSnippet }
+ *
+ * Authorization required: login
+ *
+ * Gets the summary of a document.
+ *
+ * @returns {{ textSnippet }} The version of the summary that the document
+ *  uses.
+ */
+router.get(
+  '/:username/documents/:documentId/summary',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/documents/${documentId}/summary ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+
+      const textSnippet = await getSummary(userPayload.username, documentId);
+
+      return res.json({ textSnippet });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PATCH /users/:username/documents/:documentId/summary
+ * { content } => { textSnippet }
+ *
+ * Authorization required: login
+ *
+ * Updates the summary of a document.  Changing the content creates a new
+ * version of the summary's text snippet, which only this document uses.  Other
+ * documents that have the same summary, such as documents forked from this
+ * one, keep the version they have.
+ *
+ * @param {String} content - New content of the summary.
+ * @returns {{ textSnippet }} The version of the summary that the document now
+ *  uses.
+ */
+router.patch(
+  '/:username/documents/:documentId/summary',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `PATCH /users/${username}/documents/${documentId}/summary ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+      runJsonSchemaValidator(summarySchema, req.body, logPrefix);
+
+      const textSnippet = await updateSummary(
+        userPayload.username,
+        documentId,
+        req.body
+      );
+
+      return res.json({ textSnippet });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /users/:username/documents/:documentId/summary
+ * {} => {}
+ *
+ * Authorization required: login
+ *
+ * Removes the summary from a document.  The text snippet of the summary is
+ * kept.
+ */
+router.delete(
+  '/:username/documents/:documentId/summary',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, documentId } = req.params;
+
+    const logPrefix =
+      `DELETE /users/${username}/documents/${documentId}/summary ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { documentId }, logPrefix);
+
+      await deleteSummary(userPayload.username, documentId);
+
+      return res.sendStatus(200);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
@@ -0,0 +1,336 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const Document_X_Summary = require('../models/document_x_summary');
+const TextSnippet = require('../models/textSnippet');
+const { users } = require('../_testData');
+const {
+  urlRegisterUser,
+  getDocumentsGeneralUrl,
+  getDocumentsSpecificUrl,
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+const getSummaryUrl = (username, documentId) =>
+  `${getDocumentsSpecificUrl(username, documentId)}/summary`;
+
+const summaryForRawClientInput = Object.freeze({
+  content: 'Software engineer who builds reliable web applications.',
+});
+
+const username = users[0].username;
+const authTokens = [];
+const masterDocumentIds = [];
+
+beforeAll(async () => {
+  // Clear all tables.
+  await commonBeforeAll(db);
+
+  // Creating users.
+  let responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+
+  // Saving the authentication tokens for users.
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  // Getting the master resume for each user.
+  responses = await Promise.all(
+    users.map((user, i) =>
+      request(app)
+        .get(getDocumentsGeneralUrl(user.username))
+        .set('authorization', `Bearer ${authTokens[i]}`)
+    )
+  );
+
+  // Saving the IDs of the master resumes.
+  responses.forEach((resp) =>
+    masterDocumentIds.push(resp.body.documents[0].id)
+  );
+});
+
+beforeEach(async () => {
+  await clearTable(db, Document_X_Summary.tableName);
+  await clearTable(db, TextSnippet.tableName);
+});
+
+afterEach(async () => {
+  await db.query({
+    queryConfig: {
+      text: `
+  DELETE FROM ${Document.tableName}
+  WHERE owner = $1 AND NOT is_master;`,
+      values: [username],
+    },
+  });
+  await Document.update(masterDocumentIds[0], { isLocked: false });
+});
+
+afterAll(() => commonAfterAll(db));
+
+/**
+ * Adds a summary to the master resume of the first user.
+ */
+async function addSummary(props = summaryForRawClientInput) {
+  const resp = await request(app)
+    .post(getSummaryUrl(username, masterDocumentIds[0]))
+    .send(props)
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.textSnippet;
+}
+
+/**
+ * Makes a copy of the master resume of the first user, which comes with its
+ * summary.
+ */
+async function forkMasterDocument(documentName = 'Fork') {
+  const resp = await request(app)
+    .post(`${getDocumentsSpecificUrl(username, masterDocumentIds[0])}/fork`)
+    .send({ documentName })
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  return resp.body.document;
+}
+
+// --------------------------------------------------
+// POST /users/:username/documents/:documentId/summary
+
+describe('POST /users/:username/documents/:documentId/summary', () => {
+  test('Adds a summary to a document.', async () => {
+    // Arrange
+    const documentId = masterDocumentIds[0];
+
+    // Act
+    const resp = await request(app)
+      .post(getSummaryUrl(username, documentId))
+      .send(summaryForRawClientInput)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      textSnippet: {
+        id: expect.any(Number),
+        version: expect.any(String),
+        owner: username,
+        parent: null,
+        type: 'summary',
+        content: summaryForRawClientInput.content,
+      },
+      document_x_summary: {
+        documentId,
+        textSnippetId: resp.body.textSnippet.id,
+        textSnippetVersion: resp.body.textSnippet.version,
+      },
+    });
+
+    const { summary } = await Document.getDocumentAndSectionContent(documentId);
+    expect(summary).toEqual({
+      id: resp.body.textSnippet.id,
+      version: resp.body.textSnippet.version,
+      parent: null,
+      type: 'summary',
+      content: summaryForRawClientInput.content,
+    });
+  });
+
+  test('Adding a second summary should return 400 status.', async () => {
+    // Arrange
+    await addSummary();
+
+    // Act
+    const resp = await request(app)
+      .post(getSummaryUrl(username, masterDocumentIds[0]))
+      .send({ content: 'Another summary.' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect(await TextSnippet.getAll(username)).toHaveLength(1);
+  });
+
+  test('Adding a summary with invalid input should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getSummaryUrl(username, masterDocumentIds[0]))
+      .send({ content: '' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Adding a summary to a locked document should return 403 status.', async () => {
+    // Arrange
+    await Document.update(masterDocumentIds[0], { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .post(getSummaryUrl(username, masterDocumentIds[0]))
+      .send(summaryForRawClientInput)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Document_X_Summary.getAll(masterDocumentIds[0])).toEqual([]);
+  });
+
+  test("Adding a summary to another user's document should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .post(getSummaryUrl(users[1].username, masterDocumentIds[1]))
+      .send(summaryForRawClientInput)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/documents/:documentId/summary
+
+describe('GET /users/:username/documents/:documentId/summary', () => {
+  test('Gets the summary of a document.', async () => {
+    // Arrange
+    const textSnippet = await addSummary();
+
+    // Act
+    const resp = await request(app)
+      .get(getSummaryUrl(username, masterDocumentIds[0]))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ textSnippet });
+  });
+
+  test('Getting the summary of a document without one should return 404 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getSummaryUrl(username, masterDocumentIds[0]))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+  });
+});
+
+// --------------------------------------------------
+// PATCH /users/:username/documents/:documentId/summary
+
+describe('PATCH /users/:username/documents/:documentId/summary', () => {
+  test('Updates the summary of only one document with a new version.', async () => {
+    // Arrange
+    const textSnippet = await addSummary();
+    const fork = await forkMasterDocument();
+    const content = 'Backend engineer focused on APIs and databases.';
+
+    // Act
+    const resp = await request(app)
+      .patch(getSummaryUrl(username, fork.id))
+      .send({ content })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.textSnippet).toEqual({
+      ...textSnippet,
+      version: expect.any(String),
+      parent: textSnippet.version,
+      content,
+    });
+    expect(resp.body.textSnippet.version).not.toBe(textSnippet.version);
+
+    const { summary: forkSummary } =
+      await Document.getDocumentAndSectionContent(fork.id);
+    expect(forkSummary.content).toBe(content);
+
+    // The document that the fork came from keeps its summary.
+    const { summary: masterSummary } =
+      await Document.getDocumentAndSectionContent(masterDocumentIds[0]);
+    expect(masterSummary.version).toBe(textSnippet.version);
+    expect(masterSummary.content).toBe(summaryForRawClientInput.content);
+  });
+
+  test('Updating a document without a summary should return 404 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .patch(getSummaryUrl(username, masterDocumentIds[0]))
+      .send(summaryForRawClientInput)
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+  });
+
+  test('Updating the summary of a locked document should return 403 status.', async () => {
+    // Arrange
+    await addSummary();
+    await Document.update(masterDocumentIds[0], { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .patch(getSummaryUrl(username, masterDocumentIds[0]))
+      .send({ content: 'New summary.' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await TextSnippet.getAll(username)).toHaveLength(1);
+  });
+});
+
+// --------------------------------------------------
+// DELETE /users/:username/documents/:documentId/summary
+
+describe('DELETE /users/:username/documents/:documentId/summary', () => {
+  test('Removes the summary from a document without deleting it.', async () => {
+    // Arrange
+    const textSnippet = await addSummary();
+
+    // Act
+    const resp = await request(app)
+      .delete(getSummaryUrl(username, masterDocumentIds[0]))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await Document_X_Summary.getAll(masterDocumentIds[0])).toEqual([]);
+    expect((await TextSnippet.getAll(username)).map(({ id }) => id)).toEqual([
+      textSnippet.id,
+    ]);
+  });
+
+  test('Removing the summary of a locked document should return 403 status.', async () => {
+    // Arrange
+    await addSummary();
+    await Document.update(masterDocumentIds[0], { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .delete(getSummaryUrl(username, masterDocumentIds[0]))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await Document_X_Summary.getAll(masterDocumentIds[0])).toHaveLength(
+      1
+    );
+  });
+});
@@ -4,8 +4,17 @@ const express = require('express');
 
 const urlParamsSchema = require('../schemas/urlParams.json');
 const textSnippetVersionSchema = require('../schemas/textSnippetVersion.json');
+const textSnippetRevertSchema = require('../schemas/textSnippetRevert.json');
+const textSnippetSearchSchema = require('../schemas/textSnippetSearch.json');
 
-const { deleteTextSnippet } = require('../services/textSnippetService');
+const {
+  searchTextSnippets,
+  getTextSnippetVersions,
+  getTextSnippetVersion,
+  getTextSnippetDiff,
+  revertTextSnippet,
+  deleteTextSnippet,
+} = require('../services/textSnippetService');
 const { ensureLoggedIn } = require('../middleware/auth');
 const { runJsonSchemaValidator } = require('../util/validators');
 
@@ -17,6 +26,316 @@ const router = new express.Router();
 
 // --------------------------------------------------
 
+/**
+ * GET /users/:username/text-snippets/search?q=
+ * {} => { results }
+ *
+ * Authorization required: login
+ *
+ * Searches the content of all of the user's text snippets, including older
+ * versions, with full-text search.  Words are matched by their stem, so
+ * "building" matches "built" and "builds".  The query can have quoted phrases,
+ * "or", and "-" to exclude words.
+ *
+ * Query string parameters:
+ *  q - What to search for.
+ *  type - Only search text snippets of this type.
+ *  latestOnly - "true" to only search the newest version of each text snippet.
+ *  experienceId - Only search the text snippets in this experience.
+ *
+ * @returns {{ results: { textSnippet, highlight }[] }} The matching text
+ *  snippets, from best to worst match.
+ *  textSnippet - The matching text snippet.
+ *  highlight - HTML excerpt of the content around the matched words.  The
+ *  content is escaped, and the matched words are wrapped in <b> and </b>.
+ */
+router.get(
+  '/:username/text-snippets/search',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/text-snippets/search ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `query string: ${JSON.stringify(req.query)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(textSnippetSearchSchema, req.query, logPrefix);
+
+      const { q, type, latestOnly, experienceId } = req.query;
+
+      const results = await searchTextSnippets(userPayload.username, q, {
+        type,
+        latestOnly: latestOnly === 'true',
+        experienceId,
+      });
+
+      return res.json({ results });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/text-snippets/:textSnippetId/versions
+ * {} => { versions }
+ *
+ * Authorization required: login
+ *
+ * Gets every version of a text snippet, along with the documents that use each
+ * version.  The parent of each version is the version it was made from, so the
+ * versions together form a tree.
+ *
+ * @returns {{ versions: { textSnippet, documents }[] }} The versions of the
+ *  text snippet, from oldest to newest.
+ *  textSnippet - A version of the text snippet.
+ *  documents - The documents that use the version.
+ */
+router.get(
+  '/:username/text-snippets/:textSnippetId/versions',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, textSnippetId } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/text-snippets/${textSnippetId}/versions ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { textSnippetId }, logPrefix);
+
+      const versions = await getTextSnippetVersions(
+        userPayload.username,
+        textSnippetId
+      );
+
+      return res.json({ versions });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion
+ * {} => { textSnippet, documents }
+ *
+ * Authorization required: login
+ *
+ * Gets a specific version of a text snippet, along with the documents that use
+ * it.
+ *
+ * @returns {{ textSnippet, documents }}
+ *  textSnippet - The version of the text snippet.
+ *  documents - The documents that use the version.
+ */
+router.get(
+  '/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, textSnippetId, textSnippetVersion } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/text-snippets/${textSnippetId}/versions/` +
+      `${textSnippetVersion} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { textSnippetId }, logPrefix);
+      runJsonSchemaValidator(
+        textSnippetVersionSchema,
+        textSnippetVersion,
+        logPrefix
+      );
+
+      const { textSnippet, documents } = await getTextSnippetVersion(
+        userPayload.username,
+        textSnippetId,
+        textSnippetVersion
+      );
+
+      return res.json({ textSnippet, documents });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion
+ * /diff
+ * {} => { diff }
+ *
+ * Authorization required: login
+ *
+ * Compares the content of a version of a text snippet with the content of its
+ * parent, the version it was made from.  Reports the words that changed in
+ * going from the parent to the version.
+ *
+ * @returns {Object} diff - { from, to, changes, isSame }
+ *  from - The parent version.
+ *  to - The given version.
+ *  changes - [{ type, text }], where type is "unchanged", "deleted", or
+ *  "inserted".
+ *  isSame - Whether the content of the versions is the same.
+ */
+router.get(
+  '/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion/diff',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, textSnippetId, textSnippetVersion } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/text-snippets/${textSnippetId}/versions/` +
+      `${textSnippetVersion}/diff ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { textSnippetId }, logPrefix);
+      runJsonSchemaValidator(
+        textSnippetVersionSchema,
+        textSnippetVersion,
+        logPrefix
+      );
+
+      const diff = await getTextSnippetDiff(
+        userPayload.username,
+        textSnippetId,
+        textSnippetVersion
+      );
+
+      return res.json({ diff });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /users/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion
+ * /diff/:otherTextSnippetVersion
+ * {} => { diff }
+ *
+ * Authorization required: login
+ *
+ * Compares the content of two versions of the same text snippet.  Reports the
+ * words that changed in going from the first version to the second one.
+ *
+ * @returns {Object} diff - { from, to, changes, isSame }
+ *  from - The first version.
+ *  to - The second version.
+ *  changes - [{ type, text }], where type is "unchanged", "deleted", or
+ *  "inserted".
+ *  isSame - Whether the content of the versions is the same.
+ */
+router.get(
+  '/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion' +
+    '/diff/:otherTextSnippetVersion',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const {
+      username,
+      textSnippetId,
+      textSnippetVersion,
+      otherTextSnippetVersion,
+    } = req.params;
+
+    const logPrefix =
+      `GET /users/${username}/text-snippets/${textSnippetId}/versions/` +
+      `${textSnippetVersion}/diff/${otherTextSnippetVersion} ` +
+      `(user: ${JSON.stringify(userPayload)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { textSnippetId }, logPrefix);
+      runJsonSchemaValidator(
+        textSnippetVersionSchema,
+        textSnippetVersion,
+        logPrefix
+      );
+      runJsonSchemaValidator(
+        textSnippetVersionSchema,
+        otherTextSnippetVersion,
+        logPrefix
+      );
+
+      const diff = await getTextSnippetDiff(
+        userPayload.username,
+        textSnippetId,
+        textSnippetVersion,
+        otherTextSnippetVersion
+      );
+
+      return res.json({ diff });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /users/:username/text-snippets/:textSnippetId/revert
+ * { textSnippetVersion, documentId } => { textSnippet, documents }
+ *
+ * Authorization required: login
+ *
+ * Points the experience and project bullets that use other versions of a text
+ * snippet back to an earlier version, without creating a new version.  This is
+ * done in only one document if a document ID is given, or else in all
+ * documents.
+ *
+ * @param {String} textSnippetVersion - Version part of the text snippet to go
+ *  back to.
+ * @param {Number} [documentId] - ID of the only document to revert in.  The
+ *  document must have the text snippet as a bullet.
+ * @returns {{ textSnippet, documents }}
+ *  textSnippet - The version of the text snippet that was reverted to.
+ *  documents - The documents that now use the version.
+ */
+router.post(
+  '/:username/text-snippets/:textSnippetId/revert',
+  ensureLoggedIn,
+  async (req, res, next) => {
+    const userPayload = res.locals.user;
+    const { username, textSnippetId } = req.params;
+
+    const logPrefix =
+      `POST /users/${username}/text-snippets/${textSnippetId}/revert ` +
+      `(user: ${JSON.stringify(userPayload)}, ` +
+      `request body: ${JSON.stringify(req.body)})`;
+    logger.info(logPrefix + ' BEGIN');
+
+    try {
+      runJsonSchemaValidator(urlParamsSchema, { textSnippetId }, logPrefix);
+      runJsonSchemaValidator(textSnippetRevertSchema, req.body, logPrefix);
+
+      const { textSnippetVersion, documentId } = req.body;
+
+      const { textSnippet, documents } = await revertTextSnippet(
+        userPayload.username,
+        textSnippetId,
+        textSnippetVersion,
+        documentId
+      );
+
+      return res.json({ textSnippet, documents });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /**
  * DELETE /users/:username/text-snippets/:textSnippetId
  * { textSnippetVersion } => {}
@@ -0,0 +1,796 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const db = require('../database/db');
+
+const Document = require('../models/document');
+const Document_X_Summary = require('../models/document_x_summary');
+const Experience = require('../models/experience');
+const Document_X_Experience = require('../models/document_x_experience');
+const Experience_X_Text_Snippet = require('../models/experience_x_textSnippet');
+const Project = require('../models/project');
+const Document_X_Project = require('../models/document_x_project');
+const Project_X_Text_Snippet = require('../models/project_x_textSnippet');
+const TextSnippet = require('../models/textSnippet');
+const { users, experiences, projects } = require('../_testData');
+const {
+  urlRegisterUser,
+  getDocumentsGeneralUrl,
+  commonBeforeAll,
+  commonAfterAll,
+  clearTable,
+} = require('../_testCommon');
+
+// ==================================================
+
+const urlPrefix = '/api/v1';
+const getSearchUrl = (username) =>
+  `${urlPrefix}/users/${username}/text-snippets/search`;
+const getVersionsUrl = (username, textSnippetId) =>
+  `${urlPrefix}/users/${username}/text-snippets/${textSnippetId}/versions`;
+const getVersionUrl = (username, textSnippetId, version) =>
+  `${getVersionsUrl(username, textSnippetId)}/${version}`;
+const getDiffUrl = (username, textSnippetId, version, otherVersion) =>
+  `${getVersionUrl(username, textSnippetId, version)}/diff` +
+  (otherVersion ? `/${otherVersion}` : '');
+const getRevertUrl = (username, textSnippetId) =>
+  `${urlPrefix}/users/${username}/text-snippets/${textSnippetId}/revert`;
+
+const username = users[0].username;
+const authTokens = [];
+
+// Versions of a text snippet, from oldest to newest.
+const textSnippetVersions = [];
+let masterDocument;
+let otherDocument;
+
+/**
+ * Converts data into what it looks like in a response body.
+ */
+const toJson = (data) => JSON.parse(JSON.stringify(data));
+
+beforeAll(async () => {
+  // Clear all tables.
+  await commonBeforeAll(db);
+
+  // Creating users.
+  let responses = await Promise.all(
+    users.map((user) =>
+      request(app).post(urlRegisterUser).send({
+        username: user.username,
+        password: user.password,
+      })
+    )
+  );
+
+  // Saving the authentication tokens for users.
+  responses.forEach((resp) => authTokens.push(resp.body.authToken));
+
+  // Getting the master resume of the first user.
+  const resp = await request(app)
+    .get(getDocumentsGeneralUrl(username))
+    .set('authorization', `Bearer ${authTokens[0]}`);
+
+  masterDocument = await Document.get({ id: resp.body.documents[0].id });
+  otherDocument = await Document.add({
+    documentName: 'Tailored',
+    owner: username,
+    isMaster: false,
+    isTemplate: false,
+  });
+
+  // The master resume uses the first version of a summary, and the other
+  // document uses the second.
+  textSnippetVersions.push(
+    await TextSnippet.add({
+      owner: username,
+      type: 'summary',
+      content: 'Software engineer.',
+    })
+  );
+  textSnippetVersions.push(
+    await textSnippetVersions[0].update({ content: 'Backend engineer.' })
+  );
+
+  await Document_X_Summary.add({
+    documentId: masterDocument.id,
+    textSnippetId: textSnippetVersions[0].id,
+    textSnippetVersion: textSnippetVersions[0].version,
+  });
+  await Document_X_Summary.add({
+    documentId: otherDocument.id,
+    textSnippetId: textSnippetVersions[1].id,
+    textSnippetVersion: textSnippetVersions[1].version,
+  });
+});
+
+afterAll(() => commonAfterAll(db));
+
+// --------------------------------------------------
+// GET /users/:username/text-snippets/search
+
+describe('GET /users/:username/text-snippets/search', () => {
+  test('Searches the content of all versions of text snippets.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getSearchUrl(username))
+      .query({ q: 'engineer' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.results).toHaveLength(textSnippetVersions.length);
+    expect(resp.body.results).toEqual(
+      expect.arrayContaining([
+        {
+          textSnippet: toJson(textSnippetVersions[0]),
+          highlight: 'Software <b>engineer</b>.',
+        },
+        {
+          textSnippet: toJson(textSnippetVersions[1]),
+          highlight: 'Backend <b>engineer</b>.',
+        },
+      ])
+    );
+  });
+
+  test('Searches only the newest version of text snippets of a type.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getSearchUrl(username))
+      .query({ q: 'engineer', type: 'summary', latestOnly: 'true' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.results.map(({ textSnippet }) => textSnippet)).toEqual([
+      toJson(textSnippetVersions[1]),
+    ]);
+  });
+
+  test("Does not search another user's text snippets.", async () => {
+    // Act
+    const resp = await request(app)
+      .get(getSearchUrl(users[1].username))
+      .query({ q: 'engineer' })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ results: [] });
+  });
+
+  test('Searching without a query should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getSearchUrl(username))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test("Searching in another user's experience should return 403 status.", async () => {
+    // Arrange
+    const experience = await Experience.add(experiences[0]);
+
+    // Act
+    const resp = await request(app)
+      .get(getSearchUrl(users[1].username))
+      .query({ q: 'engineer', experienceId: experience.id })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+
+    await experience.delete();
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/text-snippets/:textSnippetId/versions
+
+describe('GET /users/:username/text-snippets/:textSnippetId/versions', () => {
+  test('Gets all versions of a text snippet and the documents using them.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getVersionsUrl(username, textSnippetVersions[0].id))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      versions: toJson([
+        { textSnippet: textSnippetVersions[0], documents: [masterDocument] },
+        { textSnippet: textSnippetVersions[1], documents: [otherDocument] },
+      ]),
+    });
+    expect(resp.body.versions[1].textSnippet.parent).toBe(
+      resp.body.versions[0].textSnippet.version
+    );
+  });
+
+  test('Getting the versions of a nonexistent text snippet should return 404 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getVersionsUrl(username, 999))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+  });
+
+  test("Getting the versions of another user's text snippet should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .get(getVersionsUrl(users[1].username, textSnippetVersions[0].id))
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion
+
+describe('GET /users/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion', () => {
+  test('Gets a version of a text snippet and the documents using it.', async () => {
+    // Arrange
+    const textSnippet = textSnippetVersions[1];
+
+    // Act
+    const resp = await request(app)
+      .get(
+        getVersionUrl(
+          username,
+          textSnippet.id,
+          textSnippet.version.toISOString()
+        )
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual(
+      toJson({ textSnippet, documents: [otherDocument] })
+    );
+  });
+
+  test('Getting a version with an invalid format should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(getVersionUrl(username, textSnippetVersions[0].id, 'yesterday'))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Getting a nonexistent version should return 404 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .get(
+        getVersionUrl(
+          username,
+          textSnippetVersions[0].id,
+          '2000-01-01T00:00:00.000Z'
+        )
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+  });
+
+  test("Getting a version of another user's text snippet should return 403 status.", async () => {
+    // Arrange
+    const textSnippet = textSnippetVersions[0];
+
+    // Act
+    const resp = await request(app)
+      .get(
+        getVersionUrl(
+          users[1].username,
+          textSnippet.id,
+          textSnippet.version.toISOString()
+        )
+      )
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion/diff
+
+describe('GET /users/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion/diff', () => {
+  test('Compares a version with its parent.', async () => {
+    // Arrange
+    const [parent, textSnippet] = textSnippetVersions;
+
+    // Act
+    const resp = await request(app)
+      .get(
+        getDiffUrl(username, textSnippet.id, textSnippet.version.toISOString())
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      diff: toJson({
+        from: parent,
+        to: textSnippet,
+        changes: [
+          { type: 'deleted', text: 'Software ' },
+          { type: 'inserted', text: 'Backend ' },
+          { type: 'unchanged', text: 'engineer.' },
+        ],
+        isSame: false,
+      }),
+    });
+  });
+
+  test('Comparing a version without a parent should return 400 status.', async () => {
+    // Arrange
+    const textSnippet = textSnippetVersions[0];
+
+    // Act
+    const resp = await request(app)
+      .get(
+        getDiffUrl(username, textSnippet.id, textSnippet.version.toISOString())
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test("Comparing a version of another user's text snippet should return 403 status.", async () => {
+    // Arrange
+    const textSnippet = textSnippetVersions[1];
+
+    // Act
+    const resp = await request(app)
+      .get(
+        getDiffUrl(
+          users[1].username,
+          textSnippet.id,
+          textSnippet.version.toISOString()
+        )
+      )
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
+
+// --------------------------------------------------
+// GET /users/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion/diff/:otherTextSnippetVersion
+
+describe('GET /users/:username/text-snippets/:textSnippetId/versions/:textSnippetVersion/diff/:otherTextSnippetVersion', () => {
+  test('Compares two versions.', async () => {
+    // Arrange
+    const [textSnippet, otherTextSnippet] = textSnippetVersions.toReversed();
+
+    // Act
+    const resp = await request(app)
+      .get(
+        getDiffUrl(
+          username,
+          textSnippet.id,
+          textSnippet.version.toISOString(),
+          otherTextSnippet.version.toISOString()
+        )
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      diff: toJson({
+        from: textSnippet,
+        to: otherTextSnippet,
+        changes: [
+          { type: 'deleted', text: 'Backend ' },
+          { type: 'inserted', text: 'Software ' },
+          { type: 'unchanged', text: 'engineer.' },
+        ],
+        isSame: false,
+      }),
+    });
+  });
+
+  test('Compares a version with itself.', async () => {
+    // Arrange
+    const textSnippet = textSnippetVersions[0];
+    const version = textSnippet.version.toISOString();
+
+    // Act
+    const resp = await request(app)
+      .get(getDiffUrl(username, textSnippet.id, version, version))
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.diff.changes).toEqual([
+      { type: 'unchanged', text: textSnippet.content },
+    ]);
+    expect(resp.body.diff.isSame).toBe(true);
+  });
+
+  test('Comparing with a version with an invalid format should return 400 status.', async () => {
+    // Arrange
+    const textSnippet = textSnippetVersions[0];
+
+    // Act
+    const resp = await request(app)
+      .get(
+        getDiffUrl(
+          username,
+          textSnippet.id,
+          textSnippet.version.toISOString(),
+          'yesterday'
+        )
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Comparing with a nonexistent version should return 404 status.', async () => {
+    // Arrange
+    const textSnippet = textSnippetVersions[0];
+
+    // Act
+    const resp = await request(app)
+      .get(
+        getDiffUrl(
+          username,
+          textSnippet.id,
+          textSnippet.version.toISOString(),
+          '2000-01-01T00:00:00.000Z'
+        )
+      )
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+  });
+});
+
+// --------------------------------------------------
+// POST /users/:username/text-snippets/:textSnippetId/revert
+
+describe('POST /users/:username/text-snippets/:textSnippetId/revert', () => {
+  // Versions of a bullet, from oldest to newest.
+  const bulletVersions = [];
+  // The document-experience relationships of the master resume and the other
+  // document.
+  const documentXExperiences = [];
+
+  beforeAll(async () => {
+    const experience = await Experience.add(experiences[0]);
+
+    for (const [position, document] of [
+      masterDocument,
+      otherDocument,
+    ].entries()) {
+      documentXExperiences.push(
+        await Document_X_Experience.add({
+          documentId: document.id,
+          experienceId: experience.id,
+          position,
+        })
+      );
+    }
+
+    bulletVersions.push(
+      await TextSnippet.add({
+        owner: username,
+        type: 'plain',
+        content: 'Built a web app.',
+      })
+    );
+    bulletVersions.push(
+      await bulletVersions[0].update({ content: 'Did some stuff.' })
+    );
+  });
+
+  // Both documents start out using the newest version of the bullet.
+  beforeEach(async () => {
+    await clearTable(db, Experience_X_Text_Snippet.tableName);
+
+    for (const documentXExperience of documentXExperiences) {
+      await Experience_X_Text_Snippet.add({
+        documentXExperienceId: documentXExperience.id,
+        textSnippetId: bulletVersions[1].id,
+        textSnippetVersion: bulletVersions[1].version,
+        position: 0,
+      });
+    }
+  });
+
+  afterEach(() => Document.update(otherDocument.id, { isLocked: false }));
+
+  /**
+   * Gets the versions of the bullet that each document uses, in the order of
+   * documentXExperiences.
+   */
+  async function getBulletVersionsInDocuments() {
+    const experiencesXTextSnippets = await Promise.all(
+      documentXExperiences.map(({ id }) => Experience_X_Text_Snippet.getAll(id))
+    );
+
+    return experiencesXTextSnippets.map(([{ textSnippetVersion }]) =>
+      textSnippetVersion.getTime()
+    );
+  }
+
+  /**
+   * Adds a project to the master resume and the other document, with the
+   * newest version of the bullet.
+   *
+   * @returns {Promise<{project: Project, documentXProjects: Object[]}>} The
+   *  project, and its relationships with the master resume and the other
+   *  document.
+   */
+  async function addProjectWithBullet() {
+    const project = await Project.add(projects[0]);
+    const documentXProjects = [];
+
+    for (const document of [masterDocument, otherDocument]) {
+      const documentXProject = await Document_X_Project.add({
+        documentId: document.id,
+        projectId: project.id,
+        position: 0,
+      });
+      await Project_X_Text_Snippet.add({
+        documentXProjectId: documentXProject.id,
+        textSnippetId: bulletVersions[1].id,
+        textSnippetVersion: bulletVersions[1].version,
+        position: 0,
+      });
+      documentXProjects.push(documentXProject);
+    }
+
+    return { project, documentXProjects };
+  }
+
+  test('Reverts the bullet in only one document.', async () => {
+    // Arrange
+    const textSnippet = bulletVersions[0];
+
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(username, textSnippet.id))
+      .send({
+        textSnippetVersion: textSnippet.version.toISOString(),
+        documentId: otherDocument.id,
+      })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.textSnippet).toEqual(toJson(textSnippet));
+    expect(resp.body.documents.map(({ id }) => id)).toEqual([otherDocument.id]);
+    expect(await getBulletVersionsInDocuments()).toEqual([
+      bulletVersions[1].version.getTime(),
+      bulletVersions[0].version.getTime(),
+    ]);
+    expect(await TextSnippet.getAllVersions(textSnippet.id)).toHaveLength(
+      bulletVersions.length
+    );
+  });
+
+  test('Reverts the bullet in all documents.', async () => {
+    // Arrange
+    const textSnippet = bulletVersions[0];
+
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(username, textSnippet.id))
+      .send({ textSnippetVersion: textSnippet.version.toISOString() })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.textSnippet).toEqual(toJson(textSnippet));
+    expect(resp.body.documents.map(({ id }) => id)).toEqual([
+      masterDocument.id,
+      otherDocument.id,
+    ]);
+    expect(await getBulletVersionsInDocuments()).toEqual([
+      bulletVersions[0].version.getTime(),
+      bulletVersions[0].version.getTime(),
+    ]);
+  });
+
+  test('Reverting in a locked document should return 403 status.', async () => {
+    // Arrange
+    await Document.update(otherDocument.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(username, bulletVersions[0].id))
+      .send({
+        textSnippetVersion: bulletVersions[0].version.toISOString(),
+        documentId: otherDocument.id,
+      })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await getBulletVersionsInDocuments()).toEqual([
+      bulletVersions[1].version.getTime(),
+      bulletVersions[1].version.getTime(),
+    ]);
+  });
+
+  test('Reverting in all documents when one is locked should return 403 status.', async () => {
+    // Arrange
+    await Document.update(otherDocument.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(username, bulletVersions[0].id))
+      .send({ textSnippetVersion: bulletVersions[0].version.toISOString() })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+    expect(await getBulletVersionsInDocuments()).toEqual([
+      bulletVersions[1].version.getTime(),
+      bulletVersions[1].version.getTime(),
+    ]);
+  });
+
+  test('Reverts the bullet in projects as well.', async () => {
+    // Arrange
+    const { project, documentXProjects } = await addProjectWithBullet();
+
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(username, bulletVersions[0].id))
+      .send({ textSnippetVersion: bulletVersions[0].version.toISOString() })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+
+    for (const { id } of documentXProjects) {
+      const [{ textSnippetVersion }] = await Project_X_Text_Snippet.getAll(id);
+      expect(textSnippetVersion).toEqual(bulletVersions[0].version);
+    }
+
+    await project.delete();
+  });
+
+  test('Reverting in all documents when a project in one is locked should return 403 status.', async () => {
+    // Arrange
+    const { project, documentXProjects } = await addProjectWithBullet();
+
+    await Experience_X_Text_Snippet.replaceTextSnippet(
+      bulletVersions[1].id,
+      bulletVersions[1].version,
+      bulletVersions[0].version,
+      otherDocument.id
+    );
+    await Document.update(otherDocument.id, { isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(username, bulletVersions[0].id))
+      .send({ textSnippetVersion: bulletVersions[0].version.toISOString() })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+
+    const [{ textSnippetVersion }] = await Project_X_Text_Snippet.getAll(
+      documentXProjects[0].id
+    );
+    expect(textSnippetVersion).toEqual(bulletVersions[1].version);
+
+    await project.delete();
+  });
+
+  test('Reverting in a document without the bullet should return 400 status.', async () => {
+    // Arrange
+    const document = await Document.add({
+      documentName: 'Without bullet',
+      owner: username,
+      isMaster: false,
+      isTemplate: false,
+    });
+
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(username, bulletVersions[0].id))
+      .send({
+        textSnippetVersion: bulletVersions[0].version.toISOString(),
+        documentId: document.id,
+      })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+
+    await document.delete();
+  });
+
+  test('Reverts the bullet in all documents when another version is only the summary of a locked document.', async () => {
+    // Arrange
+    const lockedDocument = await Document.add({
+      documentName: 'Locked',
+      owner: username,
+      isMaster: false,
+      isTemplate: false,
+    });
+    await Document_X_Summary.add({
+      documentId: lockedDocument.id,
+      textSnippetId: bulletVersions[1].id,
+      textSnippetVersion: bulletVersions[1].version,
+    });
+    await lockedDocument.update({ isLocked: true });
+
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(username, bulletVersions[0].id))
+      .send({ textSnippetVersion: bulletVersions[0].version.toISOString() })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(await getBulletVersionsInDocuments()).toEqual([
+      bulletVersions[0].version.getTime(),
+      bulletVersions[0].version.getTime(),
+    ]);
+    expect(
+      (await Document_X_Summary.get({ documentId: lockedDocument.id }))
+        .textSnippetVersion
+    ).toEqual(bulletVersions[1].version);
+
+    await lockedDocument.delete();
+  });
+
+  test('Reverting with invalid input should return 400 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(username, bulletVersions[0].id))
+      .send({ textSnippetVersion: 'yesterday' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test('Reverting to a nonexistent version should return 404 status.', async () => {
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(username, bulletVersions[0].id))
+      .send({ textSnippetVersion: '2000-01-01T00:00:00.000Z' })
+      .set('authorization', `Bearer ${authTokens[0]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+  });
+
+  test("Reverting another user's text snippet should return 403 status.", async () => {
+    // Act
+    const resp = await request(app)
+      .post(getRevertUrl(users[1].username, bulletVersions[0].id))
+      .send({ textSnippetVersion: bulletVersions[0].version.toISOString() })
+      .set('authorization', `Bearer ${authTokens[1]}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+});
@@ -27,7 +27,9 @@ const router = new express.Router();
  *
  * Authorization required: login
  *
- * Updates user account settings, such as password.
+ * Updates user account settings, such as password.  Changing the password
+ * revokes every refresh token of the user, so the user needs to sign in again
+ * on every device once their access tokens expire.
  *
  * @param {String} [oldPassword] - User's old password.
  * @param {String} [newPassword] - User's new password.
@@ -0,0 +1,58 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./certificationNew.json');
+
+const { certifications } = require('../_testData');
+
+// ==================================================
+
+describe('certificationNew', () => {
+  const certificationsData = certifications.map((certification) => {
+    const { owner, ...cert } = certification;
+    return cert;
+  });
+
+  test.each(certificationsData.map((certification) => [certification]))(
+    'Success for input %s',
+    (str) => {
+      // Act
+      const result = jsonschema.validate(str, schema);
+
+      // Assert
+      expect(result.valid).toBeTruthy();
+    }
+  );
+
+  test.each([
+    // Name too short.
+    [{ ...certificationsData[0], name: 'A' }],
+    // Name too long.
+    [{ ...certificationsData[0], name: 'A'.repeat(501) }],
+    // Issuing organization too short.
+    [{ ...certificationsData[0], issuingOrg: 'A' }],
+    // Issuing organization too long.
+    [{ ...certificationsData[0], issuingOrg: 'A'.repeat(501) }],
+    // issueDate not correct format.
+    [{ ...certificationsData[0], issueDate: '1-1-2010' }],
+    // issueDate not correct format.
+    [{ ...certificationsData[0], issueDate: '2010-20-12' }],
+    // Missing each required property.
+    ...Object.keys(certificationsData[0]).map((prop) => {
+      const certificationCopy = { ...certificationsData[0] };
+      delete certificationCopy[prop];
+      return [certificationCopy];
+    }),
+    // Not allowed property.
+    [{ ...certificationsData[0], owner: 'user1' }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./certificationUpdate.json');
+
+const { certifications } = require('../_testData');
+
+// ==================================================
+
+describe('certificationUpdate', () => {
+  const { owner: _, ...certification } = certifications[1];
+  Object.freeze(certification);
+
+  test.each([
+    // Put each property in certification into its own test.
+    ...Object.entries(certification).map((prop) => [
+      Object.fromEntries([prop]),
+    ]),
+    // Contains all properties at once.
+    [certification],
+  ])('Success for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Name too short.
+    [{ ...certification, name: 'A' }],
+    // Name too long.
+    [{ ...certification, name: 'A'.repeat(501) }],
+    // Issuing organization too short.
+    [{ ...certification, issuingOrg: 'A' }],
+    // Issuing organization too long.
+    [{ ...certification, issuingOrg: 'A'.repeat(501) }],
+    // issueDate not correct format.
+    [{ ...certification, issueDate: '1-1-2010' }],
+    // issueDate not correct format.
+    [{ ...certification, issueDate: '2010-20-12' }],
+    // Clearing a required value.
+    [{ issueDate: '' }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./coverLetterNew.json');
+
+// ==================================================
+
+describe('coverLetterNew', () => {
+  test.each([
+    [{ documentName: 'Cover Letter' }],
+    [
+      {
+        documentName: 'Cover Letter',
+        resumeDocumentId: 1,
+        company: 'Company 1',
+        role: 'Software Engineer',
+      },
+    ],
+  ])('Success for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Missing document name.
+    [{ company: 'Company 1' }],
+    [{ documentName: '' }],
+    // Not an ID.
+    [{ documentName: 'Cover Letter', resumeDocumentId: 0 }],
+    [{ documentName: 'Cover Letter', resumeDocumentId: '1' }],
+    // Unknown property.
+    [{ documentName: 'Cover Letter', isTemplate: true }],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
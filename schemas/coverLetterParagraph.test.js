@@ -0,0 +1,34 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./coverLetterParagraph.json');
+
+// ==================================================
+
+describe('coverLetterParagraph', () => {
+  test.each([[{ content: 'I am applying for the Software Engineer role.' }]])(
+    'Success for input %j',
+    (str) => {
+      // Act
+      const result = jsonschema.validate(str, schema);
+
+      // Assert
+      expect(result.valid).toBeTruthy();
+    }
+  );
+
+  test.each([
+    [{}],
+    [{ content: '' }],
+    [{ content: 'a'.repeat(5001) }],
+    // Unknown property.
+    [{ content: 'Paragraph.', type: 'paragraph' }],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./coverLetterUpdate.json');
+
+// ==================================================
+
+describe('coverLetterUpdate', () => {
+  test.each([
+    [{ company: 'Company 1' }],
+    [{ resumeDocumentId: 1, role: 'Software Engineer' }],
+    [{ resumeDocumentId: null, company: null, role: null }],
+  ])('Success for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Nothing to update.
+    [{}],
+    [{ company: '' }],
+    // Not an ID.
+    [{ resumeDocumentId: 0 }],
+    // Document name is updated thru the document.
+    [{ documentName: 'Cover Letter' }],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
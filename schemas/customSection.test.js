@@ -0,0 +1,38 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./customSection.json');
+
+// ==================================================
+
+describe('customSection', () => {
+  test.each([
+    [{ sectionName: 'Publications' }],
+    [{ sectionName: 'A' }],
+    [{ sectionName: 'A'.repeat(100) }],
+  ])('Success for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Name too short.
+    [{ sectionName: '' }],
+    // Name too long.
+    [{ sectionName: 'A'.repeat(101) }],
+    // Not allowed property.
+    [{ sectionName: 'Publications', owner: 'user1' }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
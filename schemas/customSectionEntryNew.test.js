@@ -0,0 +1,54 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./customSectionEntryNew.json');
+
+const { customSectionEntries } = require('../_testData');
+
+// ==================================================
+
+describe('customSectionEntryNew', () => {
+  const entries = customSectionEntries.map(({ owner, ...entry }) =>
+    Object.freeze(entry)
+  );
+
+  test.each([
+    ...entries.map((entry) => [entry]),
+    // Only required properties.
+    [{ title: entries[1].title }],
+  ])('Success for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Title too short.
+    [{ ...entries[1], title: '' }],
+    // Title too long.
+    [{ ...entries[1], title: 'A'.repeat(501) }],
+    // Subtitle too short.
+    [{ ...entries[1], subtitle: '' }],
+    // Location too long.
+    [{ ...entries[1], location: 'A'.repeat(501) }],
+    // startDate not correct format.
+    [{ ...entries[1], startDate: '1-1-2010' }],
+    // endDate not correct format.
+    [{ ...entries[1], endDate: '2010-20-12' }],
+    // Missing title.
+    [{ subtitle: entries[1].subtitle }],
+    // Not allowed property.
+    [{ ...entries[1], position: 0 }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
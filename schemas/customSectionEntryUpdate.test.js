@@ -0,0 +1,52 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./customSectionEntryUpdate.json');
+
+const { customSectionEntries } = require('../_testData');
+
+// ==================================================
+
+describe('customSectionEntryUpdate', () => {
+  const { owner: _, ...entry } = customSectionEntries[1];
+  Object.freeze(entry);
+
+  test.each([
+    // Put each property in entry into its own test.
+    ...Object.entries(entry).map((prop) => [Object.fromEntries([prop])]),
+    // Contains all properties at once.
+    [entry],
+    // Empty Strings for optional properties.
+    [{ subtitle: '', location: '', startDate: '', endDate: '' }],
+  ])('Success for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Title too short.
+    [{ ...entry, title: '' }],
+    // Title too long.
+    [{ ...entry, title: 'A'.repeat(501) }],
+    // Subtitle too long.
+    [{ ...entry, subtitle: 'A'.repeat(501) }],
+    // startDate not correct format.
+    [{ ...entry, startDate: '1-1-2010' }],
+    // endDate not correct format.
+    [{ ...entry, endDate: '2010-20-12' }],
+    // Not allowed property.
+    [{ ...entry, sectionId: 1 }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./documentBulletSuggestions.json');
+
+// ==================================================
+
+describe('documentBulletSuggestions', () => {
+  test.each([
+    [{ jobDescription: 'Looking for a software engineer.' }],
+    [
+      {
+        jobDescription: 'Looking for a software engineer.',
+        maxBulletsPerExperience: 1,
+      },
+    ],
+    [
+      {
+        jobDescription: 'Looking for a software engineer.',
+        maxBulletsPerExperience: 20,
+      },
+    ],
+  ])('Success for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Job description too short.
+    [{ jobDescription: '' }],
+    // Too few or too many bullets.
+    [{ jobDescription: 'Software engineer.', maxBulletsPerExperience: 0 }],
+    [{ jobDescription: 'Software engineer.', maxBulletsPerExperience: 21 }],
+    // Wrong data types.
+    [{ jobDescription: 1 }],
+    [{ jobDescription: 'Software engineer.', maxBulletsPerExperience: 1.5 }],
+    // Unknown property.
+    [{ jobDescription: 'Software engineer.', documentId: 1 }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./documentFilter.json');
+
+// ==================================================
+
+describe('documentFilter', () => {
+  test.each([[{}], [{ kind: 'resume' }], [{ kind: 'coverLetter' }]])(
+    'Success for input %j',
+    (str) => {
+      // Act
+      const result = jsonschema.validate(str, schema);
+
+      // Assert
+      expect(result.valid).toBeTruthy();
+    }
+  );
+
+  test.each([
+    // Unknown kind.
+    [{ kind: 'letter' }],
+    // Unknown property.
+    [{ isTemplate: 'true' }],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
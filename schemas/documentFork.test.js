@@ -0,0 +1,56 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./documentFork.json');
+
+// ==================================================
+
+describe('documentFork', () => {
+  const document = Object.freeze({ documentName: 'Resume for Company' });
+  const filter = Object.freeze({
+    sectionIds: [1, 2],
+    educationIds: [1],
+    experienceIds: [3, 4],
+    certificationIds: [2],
+    projectIds: [1],
+    skillIds: [],
+    textSnippetIds: [5, 6, 8],
+  });
+
+  test.each([
+    [document],
+    [{ ...document, isTemplate: true }],
+    [{ ...document, ...filter }],
+  ])('Success for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Document name too short.
+    [{ documentName: '' }],
+    // Wrong data type for IDs.
+    [{ ...document, sectionIds: 1 }],
+    [{ ...document, educationIds: ['1'] }],
+    // Duplicate IDs.
+    [{ ...document, experienceIds: [1, 1] }],
+    // Wrong data type for template boolean.
+    [{ ...document, isTemplate: 'true' }],
+    // Unknown property.
+    [{ ...document, isMaster: true }],
+    // Missing document name.
+    [filter],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./documentKeywordMatch.json');
+
+// ==================================================
+
+describe('documentKeywordMatch', () => {
+  test.each([
+    [{ jobDescription: 'Looking for a software engineer.' }],
+    [{ jobDescription: 'a'.repeat(20000) }],
+  ])('Success for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Job description too short.
+    [{ jobDescription: '' }],
+    // Job description too long.
+    [{ jobDescription: 'a'.repeat(20001) }],
+    // Wrong data type.
+    [{ jobDescription: 1 }],
+    // Unknown property.
+    [{ jobDescription: 'Looking for a software engineer.', documentId: 1 }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
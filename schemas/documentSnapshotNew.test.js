@@ -0,0 +1,37 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./documentSnapshotNew.json');
+
+// ==================================================
+
+describe('documentSnapshotNew', () => {
+  test.each([[{ snapshotName: 'Sent to Company' }]])(
+    'Success for input %j',
+    (str) => {
+      // Act
+      const result = jsonschema.validate(str, schema);
+
+      // Assert
+      expect(result.valid).toBeTruthy();
+    }
+  );
+
+  test.each([
+    // Snapshot name too short.
+    [{ snapshotName: '' }],
+    // Wrong data type.
+    [{ snapshotName: 1 }],
+    // Unknown property.
+    [{ snapshotName: 'Sent to Company', content: {} }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./jobApplicationFilter.json');
+
+// ==================================================
+
+describe('jobApplicationFilter', () => {
+  test.each([
+    [{}],
+    [{ status: 'offer' }],
+    [{ status: 'saved', documentId: '1' }],
+  ])('Success for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Unknown status.
+    [{ status: 'ghosted' }],
+    // Not an ID.
+    [{ documentId: 'abc' }],
+    // Unknown property.
+    [{ company: 'Company 1' }],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
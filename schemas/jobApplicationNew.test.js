@@ -0,0 +1,63 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./jobApplicationNew.json');
+
+// ==================================================
+
+describe('jobApplicationNew', () => {
+  const jobApplication = Object.freeze({
+    company: 'Company 1',
+    role: 'Software Engineer',
+  });
+
+  test.each([
+    [jobApplication],
+    [
+      {
+        ...jobApplication,
+        documentId: 1,
+        postingUrl: 'https://example.com/jobs/1?ref=abc',
+        status: 'applied',
+        appliedOn: '2025-03-01',
+        notes: '',
+      },
+    ],
+    ...['saved', 'applied', 'interviewing', 'offer', 'rejected'].map(
+      (status) => [{ ...jobApplication, status }]
+    ),
+  ])('Success for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Missing required properties.
+    [{ company: 'Company 1' }],
+    [{ role: 'Software Engineer' }],
+    // Company or role too short.
+    [{ ...jobApplication, company: '' }],
+    [{ ...jobApplication, role: '' }],
+    // Unknown status.
+    [{ ...jobApplication, status: 'ghosted' }],
+    // Not a URL.
+    [{ ...jobApplication, postingUrl: 'example.com/jobs/1' }],
+    // Not a date.
+    [{ ...jobApplication, appliedOn: '03/01/2025' }],
+    // Wrong data types.
+    [{ ...jobApplication, documentId: '1' }],
+    [{ ...jobApplication, notes: null }],
+    // Unknown property.
+    [{ ...jobApplication, owner: 'user1' }],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
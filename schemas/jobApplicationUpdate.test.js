@@ -0,0 +1,46 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./jobApplicationUpdate.json');
+
+// ==================================================
+
+describe('jobApplicationUpdate', () => {
+  test.each([
+    [{ status: 'interviewing' }],
+    [{ company: 'Company 2', role: 'Senior Software Engineer' }],
+    [{ documentId: 1, postingUrl: 'https://example.com/jobs/1' }],
+    [{ appliedOn: '2025-03-01', notes: 'Phone screen on Monday.' }],
+    // Removing optional info.
+    [{ documentId: null, postingUrl: null, appliedOn: null, notes: null }],
+  ])('Success for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Nothing to update.
+    [{}],
+    // Required info can not be removed.
+    [{ company: null }],
+    [{ status: null }],
+    // Unknown status.
+    [{ status: 'ghosted' }],
+    // Not a URL.
+    [{ postingUrl: 'example.com/jobs/1' }],
+    // Not a date.
+    [{ appliedOn: '' }],
+    // Unknown property.
+    [{ owner: 'user1' }],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./jsonResume.json');
+
+// ==================================================
+
+describe('jsonResume', () => {
+  const work = Object.freeze({
+    name: 'Company',
+    position: 'Software Engineer',
+    location: 'Remote',
+    startDate: '2020-01-15',
+  });
+  const education = Object.freeze({
+    institution: 'University',
+    location: 'Los Angeles, CA',
+    studyType: 'Bachelor of Science',
+    startDate: '2000-09',
+    endDate: '2004-06',
+  });
+  const certificate = Object.freeze({
+    name: 'Certification',
+    issuer: 'Organization',
+    date: '2021-03',
+  });
+  const project = Object.freeze({
+    name: 'Project',
+    startDate: '2022-01',
+  });
+
+  test.each([
+    [{}],
+    // Only parts of the schema.
+    [{ basics: { name: 'First Last' } }],
+    [{ work: [work] }],
+    [{ education: [education] }],
+    [{ certificates: [certificate] }],
+    [{ projects: [project] }],
+    // All properties.
+    [
+      {
+        basics: {
+          name: 'First Last',
+          email: 'email@email.com',
+          phone: '123-456-7890',
+          location: { address: '123 Main St.', city: 'City' },
+          profiles: [{ network: 'GitHub', url: 'https://github.com/name' }],
+        },
+        work: [{ ...work, endDate: '2021', highlights: ['Wrote code.'] }],
+        education: [{ ...education, area: 'CS', score: '4.0' }],
+        certificates: [certificate],
+        projects: [
+          { ...project, endDate: '2022-06', highlights: ['Wrote code.'] },
+        ],
+      },
+    ],
+    // Area instead of study type.
+    [
+      {
+        education: [
+          (({ studyType, ...rest }) => ({ ...rest, area: 'CS' }))(education),
+        ],
+      },
+    ],
+    // Year only and year-month dates.
+    [{ work: [{ ...work, startDate: '2020' }] }],
+    [{ work: [{ ...work, startDate: '2020-01' }] }],
+    // Sections and properties that are ignored.
+    [{ skills: [{ name: 'JavaScript' }], work: [{ ...work, url: 'a.com' }] }],
+  ])('Success for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Wrong types.
+    [{ basics: 'First Last' }],
+    [{ basics: { name: 1 } }],
+    [{ work: work }],
+    [{ work: [{ ...work, highlights: 'Wrote code.' }] }],
+    [{ work: [{ ...work, highlights: [1] }] }],
+    // Dates not in correct format.
+    [{ work: [{ ...work, startDate: '01-2020' }] }],
+    [{ work: [{ ...work, startDate: '2020-13' }] }],
+    [{ education: [{ ...education, endDate: '2004-06-32' }] }],
+    [{ certificates: [{ ...certificate, date: '03-2021' }] }],
+    [{ projects: [{ ...project, endDate: '2022-06-32' }] }],
+    [{ projects: [{ ...project, highlights: [1] }] }],
+    // Missing each required property.
+    ...Object.keys(work).map((prop) => {
+      const workCopy = { ...work };
+      delete workCopy[prop];
+      return [{ work: [workCopy] }];
+    }),
+    ...Object.keys(education).map((prop) => {
+      const educationCopy = { ...education };
+      delete educationCopy[prop];
+      return [{ education: [educationCopy] }];
+    }),
+    ...Object.keys(certificate).map((prop) => {
+      const certificateCopy = { ...certificate };
+      delete certificateCopy[prop];
+      return [{ certificates: [certificateCopy] }];
+    }),
+    ...Object.keys(project).map((prop) => {
+      const projectCopy = { ...project };
+      delete projectCopy[prop];
+      return [{ projects: [projectCopy] }];
+    }),
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./projectNew.json');
+
+const { projects } = require('../_testData');
+
+// ==================================================
+
+describe('projectNew', () => {
+  // Ensure first project item only contains required properties and second
+  // item contains both required and all optional properties.
+  const projectsData = Object.freeze(
+    projects.map((project) => {
+      const { owner, ...rest } = project;
+      return Object.freeze(rest);
+    })
+  );
+
+  test.each(projectsData.map((project) => [project]))(
+    'Success for input %s',
+    (str) => {
+      // Act
+      const result = jsonschema.validate(str, schema);
+
+      // Assert
+      expect(result.valid).toBeTruthy();
+    }
+  );
+
+  test.each([
+    // Name too short.
+    [{ ...projectsData[0], name: 'A' }],
+    // Name too long.
+    [{ ...projectsData[0], name: 'A'.repeat(501) }],
+    // startDate not correct format.
+    [{ ...projectsData[0], startDate: '1-1-2010' }],
+    // startDate not correct format.
+    [{ ...projectsData[0], startDate: '2010-20-12' }],
+    // endDate not correct format.
+    [{ ...projectsData[1], endDate: '1-1-2010' }],
+    // endDate not correct format.
+    [{ ...projectsData[1], endDate: '2010-20-12' }],
+    // endDate can not be empty when creating.
+    [{ ...projectsData[1], endDate: '' }],
+    // Missing each required property.
+    ...Object.keys(projectsData[0]).map((prop) => {
+      const projectCopy = { ...projectsData[0] };
+      delete projectCopy[prop];
+      return [projectCopy];
+    }),
+    // Not allowed property.
+    [{ ...projectsData[0], owner: 'user1' }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./projectUpdate.json');
+
+const { projects } = require('../_testData');
+
+// ==================================================
+
+describe('projectUpdate', () => {
+  const { owner: _, ...project } = projects[1];
+  Object.freeze(project);
+
+  test.each([
+    // Put each property in project into its own test.
+    ...Object.entries(project).map((prop) => [Object.fromEntries([prop])]),
+    // Contains all properties at once.
+    [project],
+    // Empty Strings for optional properties.
+    [{ ...project, endDate: '' }],
+  ])('Success for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Name too short.
+    [{ ...project, name: 'A' }],
+    // Name too long.
+    [{ ...project, name: 'A'.repeat(501) }],
+    // startDate not correct format.
+    [{ ...project, startDate: '1-1-2010' }],
+    // startDate not correct format.
+    [{ ...project, startDate: '2010-20-12' }],
+    // endDate not correct format.
+    [{ ...project, endDate: '1-1-2010' }],
+    // endDate not correct format.
+    [{ ...project, endDate: '2010-20-12' }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./refreshToken.json');
+
+// ==================================================
+
+describe('refreshToken', () => {
+  const refreshToken = 'a1'.repeat(32);
+
+  test.each([[{ refreshToken }]])('Success for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Missing required property.
+    [{}],
+    // Too short or too long.
+    [{ refreshToken: refreshToken.slice(1) }],
+    [{ refreshToken: refreshToken + 'a' }],
+    // Not hexadecimal.
+    [{ refreshToken: refreshToken.toUpperCase() }],
+    [{ refreshToken: 'g' + refreshToken.slice(1) }],
+    // Wrong data type.
+    [{ refreshToken: null }],
+    // Unknown property.
+    [{ refreshToken, username: 'user1' }],
+  ])('Failure for input %j', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./skillNew.json');
+
+const { skills } = require('../_testData');
+
+// ==================================================
+
+describe('skillNew', () => {
+  const skillsData = skills.map((skill) => ({
+    name: skill.name,
+    content: 'JavaScript, Python, SQL',
+  }));
+
+  test.each(skillsData.map((skill) => [skill]))(
+    'Success for input %s',
+    (str) => {
+      // Act
+      const result = jsonschema.validate(str, schema);
+
+      // Assert
+      expect(result.valid).toBeTruthy();
+    }
+  );
+
+  test.each([
+    // Name too short.
+    [{ ...skillsData[0], name: '' }],
+    // Name too long.
+    [{ ...skillsData[0], name: 'A'.repeat(101) }],
+    // Content too short.
+    [{ ...skillsData[0], content: '' }],
+    // Content too long.
+    [{ ...skillsData[0], content: 'A'.repeat(1001) }],
+    // Missing each required property.
+    ...Object.keys(skillsData[0]).map((prop) => {
+      const skillCopy = { ...skillsData[0] };
+      delete skillCopy[prop];
+      return [skillCopy];
+    }),
+    // Not allowed property.
+    [{ ...skillsData[0], owner: 'user1' }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./skillUpdate.json');
+
+const { skills } = require('../_testData');
+
+// ==================================================
+
+describe('skillUpdate', () => {
+  const skill = Object.freeze({
+    name: skills[1].name,
+    content: 'JavaScript, Python, SQL',
+  });
+
+  test.each([
+    // Put each property in skill into its own test.
+    ...Object.entries(skill).map((prop) => [Object.fromEntries([prop])]),
+    // Contains all properties at once.
+    [skill],
+  ])('Success for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Name too long.
+    [{ ...skill, name: 'A'.repeat(101) }],
+    // Content too long.
+    [{ ...skill, content: 'A'.repeat(1001) }],
+    // Clearing a required value.
+    [{ name: '' }],
+    [{ content: '' }],
+    // Not allowed property.
+    [{ ...skill, textSnippetId: 1 }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
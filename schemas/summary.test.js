@@ -0,0 +1,38 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./summary.json');
+
+// ==================================================
+
+describe('summary', () => {
+  test.each([
+    [{ content: 'Software engineer with 5 years of experience.' }],
+    [{ content: 'A' }],
+    [{ content: 'A'.repeat(2000) }],
+  ])('Success for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Content too short.
+    [{ content: '' }],
+    // Content too long.
+    [{ content: 'A'.repeat(2001) }],
+    // Not allowed property.
+    [{ content: 'Software engineer.', type: 'plain' }],
+    // Missing everything.
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./textSnippetPropagation.json');
+
+// ==================================================
+
+describe('textSnippetPropagation', () => {
+  test.each([
+    [{}],
+    [{ propagation: 'all' }],
+    [{ propagation: 'unlocked' }],
+    [{ propagation: 'master' }],
+    [{ propagation: 'documents', documentIds: [2, 3] }],
+  ])('Success for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Unknown mode.
+    [{ propagation: 'some' }],
+    // Missing document IDs.
+    [{ propagation: 'documents' }],
+    [{ propagation: 'documents', documentIds: [] }],
+    // Invalid document IDs.
+    [{ propagation: 'documents', documentIds: [2, 2] }],
+    [{ propagation: 'documents', documentIds: [0] }],
+    [{ propagation: 'documents', documentIds: ['2'] }],
+    // Document IDs with another mode.
+    [{ propagation: 'master', documentIds: [2] }],
+    [{ documentIds: [2] }],
+    // Unknown property.
+    [{ propagation: 'all', content: 'New content.' }],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./textSnippetRevert.json');
+
+// ==================================================
+
+describe('textSnippetRevert', () => {
+  const revert = Object.freeze({
+    textSnippetVersion: '2025-01-01T00:00:00.000Z',
+  });
+
+  test.each([[revert], [{ ...revert, documentId: 1 }]])(
+    'Success for input %s',
+    (str) => {
+      // Act
+      const result = jsonschema.validate(str, schema);
+
+      // Assert
+      expect(result.valid).toBeTruthy();
+    }
+  );
+
+  test.each([
+    // Wrong format for version.
+    [{ textSnippetVersion: '2025-01-01' }],
+    // Invalid document IDs.
+    [{ ...revert, documentId: 0 }],
+    [{ ...revert, documentId: '1' }],
+    [{ ...revert, documentId: 1.5 }],
+    // Unknown property.
+    [{ ...revert, content: 'Old content.' }],
+    // Missing version.
+    [{ documentId: 1 }],
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
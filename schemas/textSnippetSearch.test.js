@@ -0,0 +1,49 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const schema = require('./textSnippetSearch.json');
+
+// ==================================================
+
+describe('textSnippetSearch', () => {
+  const search = Object.freeze({ q: 'kafka' });
+
+  test.each([
+    [search],
+    [{ q: '"message queue" -rabbitmq' }],
+    [{ ...search, type: 'plain' }],
+    [{ ...search, latestOnly: 'true' }],
+    [{ ...search, latestOnly: 'false' }],
+    [{ ...search, experienceId: '1' }],
+  ])('Success for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeTruthy();
+  });
+
+  test.each([
+    // Query too short or too long.
+    [{ q: '' }],
+    [{ q: 'a'.repeat(201) }],
+    // Query given more than once.
+    [{ q: ['kafka', 'spark'] }],
+    // Invalid filters.
+    [{ ...search, type: '' }],
+    [{ ...search, latestOnly: 'yes' }],
+    [{ ...search, experienceId: 'one' }],
+    // Unknown parameter.
+    [{ ...search, owner: 'user1' }],
+    // Missing query.
+    [{ type: 'plain' }],
+    [{}],
+  ])('Failure for input %s', (str) => {
+    // Act
+    const result = jsonschema.validate(str, schema);
+
+    // Assert
+    expect(result.valid).toBeFalsy();
+  });
+});
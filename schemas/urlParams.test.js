@@ -13,6 +13,12 @@ describe('urlParams', () => {
     'educationId',
     'experienceId',
     'textSnippetId',
+    'certificationId',
+    'projectId',
+    'skillId',
+    'snapshotId',
+    'entryId',
+    'jobApplicationId',
   ]);
 
   test.each([
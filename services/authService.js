@@ -0,0 +1,152 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+const crypto = require('crypto');
+
+const RefreshToken = require('../models/refreshToken');
+const {
+  createJWT,
+  createRefreshToken,
+  hashRefreshToken,
+} = require('../util/tokens');
+
+const { REFRESH_TOKEN_LIFETIME } = require('../config');
+const { NotFoundError, UnauthorizedError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Creates an access token and a refresh token for a user.  Only the hash of
+ * the refresh token is stored.
+ *
+ * @param {String} username - Name of user that the tokens are for.
+ * @param {String} [familyId] - UUID of the family that the refresh token is
+ *  in.  A new family is started when signing in.
+ * @returns {Promise<{ authToken: String, refreshToken: String }>}
+ *  authToken - A short-lived JWT that can be used to authenticate further
+ *  requests.
+ *  refreshToken - A token that can be used once to get new tokens.
+ */
+async function createAuthTokens(username, familyId = crypto.randomUUID()) {
+  const logPrefix =
+    `${fileName}.createAuthTokens(` +
+    `username = "${username}", familyId = "${familyId}")`;
+  logger.verbose(logPrefix);
+
+  const authToken = createJWT({ username });
+  const refreshToken = createRefreshToken();
+
+  await RefreshToken.add({
+    tokenHash: hashRefreshToken(refreshToken),
+    familyId,
+    username,
+    expiresOn: new Date(Date.now() + REFRESH_TOKEN_LIFETIME * 1000),
+  });
+
+  return { authToken, refreshToken };
+}
+
+/**
+ * Uses a refresh token to get new tokens.  The refresh token can not be used
+ * again afterwards.  If it is used again, then it could have been stolen, so
+ * every refresh token of its family is revoked, and the user needs to sign in
+ * again.
+ *
+ * Only the last used refresh token of a family is kept for this, so the older
+ * used ones are deleted, along with every expired refresh token.
+ *
+ * @param {String} refreshToken - Refresh token given by client.
+ * @returns {Promise<{ authToken: String, refreshToken: String }>} New tokens.
+ *  See createAuthTokens.
+ * @throws {UnauthorizedError} If the refresh token is not known, was already
+ *  used, or has expired.
+ */
+async function refreshAuthTokens(refreshToken) {
+  const logPrefix = `${fileName}.refreshAuthTokens((refresh token))`;
+  logger.verbose(logPrefix);
+
+  let storedRefreshToken;
+  try {
+    storedRefreshToken = await RefreshToken.get({
+      tokenHash: hashRefreshToken(refreshToken),
+    });
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      throw new UnauthorizedError('Invalid refresh token.');
+    }
+    throw err;
+  }
+
+  const { familyId, username } = storedRefreshToken;
+
+  if (!(await storedRefreshToken.use())) {
+    logger.error(
+      `${logPrefix}: Refresh token was reused.  ` +
+        `Revoking family "${familyId}".`
+    );
+    await RefreshToken.deleteFamily(familyId);
+    throw new UnauthorizedError(
+      'Refresh token was already used.  Please sign in again.'
+    );
+  }
+
+  await storedRefreshToken.deleteUsedInFamily();
+  await RefreshToken.deleteExpired();
+
+  if (storedRefreshToken.expiresOn <= new Date()) {
+    logger.error(`${logPrefix}: Refresh token has expired.`);
+    throw new UnauthorizedError(
+      'Refresh token has expired.  Please sign in again.'
+    );
+  }
+
+  return await createAuthTokens(username, familyId);
+}
+
+/**
+ * Signs out a user by revoking every refresh token of the family that the
+ * given refresh token is in.  Access tokens that were already given out stay
+ * valid until they expire.
+ *
+ * @param {String} refreshToken - Refresh token given by client.
+ */
+async function signout(refreshToken) {
+  const logPrefix = `${fileName}.signout((refresh token))`;
+  logger.verbose(logPrefix);
+
+  try {
+    const storedRefreshToken = await RefreshToken.get({
+      tokenHash: hashRefreshToken(refreshToken),
+    });
+
+    await RefreshToken.deleteFamily(storedRefreshToken.familyId);
+  } catch (err) {
+    // Already signed out.
+    if (!(err instanceof NotFoundError)) throw err;
+  }
+}
+
+/**
+ * Signs out a user from every device by revoking all of their refresh tokens.
+ * Access tokens that were already given out stay valid until they expire.
+ *
+ * @param {String} username - Name of the user to sign out.
+ */
+async function signoutEverywhere(username) {
+  const logPrefix = `${fileName}.signoutEverywhere(username = "${username}")`;
+  logger.verbose(logPrefix);
+
+  await RefreshToken.deleteAllOfUser(username);
+}
+
+// ==================================================
+
+module.exports = {
+  createAuthTokens,
+  refreshAuthTokens,
+  signout,
+  signoutEverywhere,
+};
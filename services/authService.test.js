@@ -0,0 +1,214 @@
+'use strict';
+
+const RefreshToken = require('../models/refreshToken');
+const {
+  createAuthTokens,
+  refreshAuthTokens,
+  signout,
+  signoutEverywhere,
+} = require('./authService');
+const { verifyJWT, hashRefreshToken } = require('../util/tokens');
+
+const { REFRESH_TOKEN_LIFETIME } = require('../config');
+const { NotFoundError, UnauthorizedError } = require('../errors/appErrors');
+
+// ==================================================
+
+jest.mock('../models/refreshToken');
+
+// ==================================================
+
+const username = 'user1';
+const familyId = 'e4f3c5a6-1b2d-4c8e-9f0a-123456789abc';
+const oldRefreshToken = 'a'.repeat(64);
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+// --------------------------------------------------
+// createAuthTokens
+
+describe('createAuthTokens', () => {
+  test('Creates an access token and stores a refresh token hash.', async () => {
+    // Act
+    const { authToken, refreshToken } = await createAuthTokens(
+      username,
+      familyId
+    );
+
+    // Assert
+    expect(verifyJWT(authToken)).toEqual(expect.objectContaining({ username }));
+    expect(refreshToken).toMatch(/^[0-9a-f]{64}$/);
+
+    expect(RefreshToken.add).toHaveBeenCalledWith({
+      tokenHash: hashRefreshToken(refreshToken),
+      familyId,
+      username,
+      expiresOn: expect.any(Date),
+    });
+
+    const { expiresOn } = RefreshToken.add.mock.calls[0][0];
+    expect(expiresOn.getTime()).toBeGreaterThan(
+      Date.now() + (REFRESH_TOKEN_LIFETIME - 60) * 1000
+    );
+  });
+
+  test('Starts a new refresh token family if none is given.', async () => {
+    // Act
+    await createAuthTokens(username);
+    await createAuthTokens(username);
+
+    // Assert
+    const familyIds = RefreshToken.add.mock.calls.map(
+      ([props]) => props.familyId
+    );
+    expect(familyIds[0]).toEqual(expect.any(String));
+    expect(familyIds[0]).not.toBe(familyIds[1]);
+  });
+});
+
+// --------------------------------------------------
+// refreshAuthTokens
+
+describe('refreshAuthTokens', () => {
+  const mockStoredRefreshToken = (isUnused, expiresOn) => {
+    const storedRefreshToken = {
+      familyId,
+      username,
+      expiresOn,
+      use: jest.fn().mockResolvedValue(isUnused),
+      deleteUsedInFamily: jest.fn(),
+    };
+    RefreshToken.get.mockResolvedValue(storedRefreshToken);
+
+    return storedRefreshToken;
+  };
+
+  test('Uses the refresh token and creates new tokens in the same family.', async () => {
+    // Arrange
+    const storedRefreshToken = mockStoredRefreshToken(
+      true,
+      new Date(Date.now() + 60 * 1000)
+    );
+
+    // Act
+    const { authToken, refreshToken } = await refreshAuthTokens(
+      oldRefreshToken
+    );
+
+    // Assert
+    expect(verifyJWT(authToken)).toEqual(expect.objectContaining({ username }));
+    expect(refreshToken).not.toBe(oldRefreshToken);
+
+    expect(RefreshToken.get).toHaveBeenCalledWith({
+      tokenHash: hashRefreshToken(oldRefreshToken),
+    });
+    expect(storedRefreshToken.use).toHaveBeenCalled();
+    expect(RefreshToken.add).toHaveBeenCalledWith(
+      expect.objectContaining({ familyId, username })
+    );
+    expect(RefreshToken.deleteFamily).not.toHaveBeenCalled();
+  });
+
+  test('Deletes the older used refresh tokens and expired refresh tokens.', async () => {
+    // Arrange
+    const storedRefreshToken = mockStoredRefreshToken(
+      true,
+      new Date(Date.now() + 60 * 1000)
+    );
+
+    // Act
+    await refreshAuthTokens(oldRefreshToken);
+
+    // Assert
+    expect(storedRefreshToken.deleteUsedInFamily).toHaveBeenCalled();
+    expect(RefreshToken.deleteExpired).toHaveBeenCalled();
+  });
+
+  test('Throws an Error if the refresh token is not known.', async () => {
+    // Arrange
+    RefreshToken.get.mockRejectedValue(new NotFoundError());
+
+    // Act
+    async function runFunc() {
+      await refreshAuthTokens(oldRefreshToken);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(UnauthorizedError);
+    expect(RefreshToken.add).not.toHaveBeenCalled();
+  });
+
+  test('Revokes the family if the refresh token was already used.', async () => {
+    // Arrange
+    mockStoredRefreshToken(false, new Date(Date.now() + 60 * 1000));
+
+    // Act
+    async function runFunc() {
+      await refreshAuthTokens(oldRefreshToken);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(UnauthorizedError);
+    expect(RefreshToken.deleteFamily).toHaveBeenCalledWith(familyId);
+    expect(RefreshToken.add).not.toHaveBeenCalled();
+  });
+
+  test('Throws an Error if the refresh token has expired.', async () => {
+    // Arrange
+    mockStoredRefreshToken(true, new Date(Date.now() - 1000));
+
+    // Act
+    async function runFunc() {
+      await refreshAuthTokens(oldRefreshToken);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(UnauthorizedError);
+    expect(RefreshToken.add).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// signout
+
+describe('signout', () => {
+  test('Revokes the family of the refresh token.', async () => {
+    // Arrange
+    RefreshToken.get.mockResolvedValue({ familyId, username });
+
+    // Act
+    await signout(oldRefreshToken);
+
+    // Assert
+    expect(RefreshToken.get).toHaveBeenCalledWith({
+      tokenHash: hashRefreshToken(oldRefreshToken),
+    });
+    expect(RefreshToken.deleteFamily).toHaveBeenCalledWith(familyId);
+  });
+
+  test('Does nothing if the refresh token is not known.', async () => {
+    // Arrange
+    RefreshToken.get.mockRejectedValue(new NotFoundError());
+
+    // Act
+    await signout(oldRefreshToken);
+
+    // Assert
+    expect(RefreshToken.deleteFamily).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// signoutEverywhere
+
+describe('signoutEverywhere', () => {
+  test('Revokes every refresh token of the user.', async () => {
+    // Act
+    await signoutEverywhere(username);
+
+    // Assert
+    expect(RefreshToken.deleteAllOfUser).toHaveBeenCalledWith(username);
+  });
+});
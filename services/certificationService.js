@@ -0,0 +1,231 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+
+const Document = require('../models/document');
+const Certification = require('../models/certification');
+const Document_X_Certification = require('../models/document_x_certification');
+const {
+  createSectionItem,
+  createDocumentXSectionTypeRelationship,
+  updateDocumentXSectionTypePositions,
+} = require('./commonSectionsService');
+const {
+  validateOwnership,
+  validateDocumentNotLocked,
+  validateContentNotInLockedDocuments,
+} = require('../util/serviceHelpers');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Creates a certification and document-certification relationship entry in
+ * the database.  The new certification will be positioned after the last, or
+ * highest value position, certification in the document.
+ *
+ * Note that, currently, certifications can only be added to the master resume.
+ * This can be changed in the future.
+ *
+ * Document ownership is first verified.
+ *
+ * @param {String} username - Name of user that wants to add a certification to
+ *  the document.
+ * @param {Number} documentId - ID of the document that is being attached with
+ *  a certification.
+ * @param {Object} props - Properties of the certification to add.
+ * @returns {Promise<{
+ *    certification: Certification,
+ *    document_x_certification: Document_X_Certification
+ *  }>}
+ *  An Object containing a Certification instance that contains the saved data
+ *  and a Document_X_Certification instance that contains the
+ *  document-certification relationship data.
+ */
+async function createCertification(username, documentId, props) {
+  const logPrefix =
+    `${fileName}.createCertification(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  return await createSectionItem(
+    Certification,
+    Document_X_Certification,
+    username,
+    documentId,
+    props
+  );
+}
+
+/**
+ * Creates a document_x_certification record (document-certification
+ * relationship) in the database.  Certification and document ownership are
+ * verified, then the next position is found by getting all
+ * document_x_certification records.
+ *
+ * @param {String} username - Name of user that wants to interact with the
+ *  document.  This should be the owner.
+ * @param {Number} documentId - ID of the document that is having a
+ *  certification attach to it.
+ * @param {Number} certificationId - ID of the certification to attach to the
+ *  document.
+ * @returns {Document_X_Certification} A Document_X_Certification instance that
+ *  contains the document-certification relationship data.
+ */
+async function createDocument_x_certification(
+  username,
+  documentId,
+  certificationId
+) {
+  return await createDocumentXSectionTypeRelationship(
+    Certification,
+    Document_X_Certification,
+    username,
+    documentId,
+    certificationId
+  );
+}
+
+/**
+ * Verifies that a certification belongs to the specified user and then updates
+ * the certification.  The certification can not be updated if it is in a
+ * locked document, since the changes would show up there.
+ *
+ * @param {String} username - Name of user that wants to update the
+ *  certification.
+ * @param {Number} certificationId - ID of the certification to update.
+ * @param {Object} props - Properties of the certification to be updated.  See
+ *  route for full list.
+ * @returns {Certification} A Certification instance containing the updated
+ *  info.
+ * @throws {ForbiddenError} If the certification is in a locked document.
+ */
+async function updateCertification(username, certificationId, props) {
+  const logPrefix =
+    `${fileName}.updateCertification(` +
+    `username = "${username}", ` +
+    `certificationId = ${certificationId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const certification = await validateOwnership(
+    Certification,
+    username,
+    { id: certificationId },
+    logPrefix
+  );
+
+  await validateContentNotInLockedDocuments({ certificationId }, logPrefix);
+
+  return await certification.update(props);
+}
+
+/**
+ * Changes the order of the certifications in a document.
+ *
+ * @param {String} username - Name of user that wants to interact with the
+ *  document.  This should be the owner.
+ * @param {Number} documentId - ID of the document that is having its
+ *  certifications reordered.
+ * @param {Number[]} certificationIds - List of certification IDs with the
+ *  desired ordering.
+ * @returns {Certification[]} A list of Certification instances, in order of
+ *  position.
+ */
+async function updateDocument_x_certificationPositions(
+  username,
+  documentId,
+  certificationIds
+) {
+  const logPrefix =
+    `${fileName}.updateDocument_x_certificationPositions(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `certificationIds = ${certificationIds})`;
+  logger.verbose(logPrefix);
+
+  return await updateDocumentXSectionTypePositions(
+    Certification,
+    Document_X_Certification,
+    username,
+    documentId,
+    certificationIds
+  );
+}
+
+/**
+ * Deletes a document-certification relationship.  Document ownership is first
+ * verified.
+ *
+ * @param {String} username - Name of user that wants to delete the
+ *  document-certification relationship.  This should be the owner.
+ * @param {Number} documentId - ID of the document to remove the certification
+ *  from.
+ * @param {Number} certificationId - ID of the certification to be removed.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+async function deleteDocument_x_certification(
+  username,
+  documentId,
+  certificationId
+) {
+  const logPrefix =
+    `${fileName}.deleteDocument_x_certification(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `certificationId = ${certificationId})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  await Document_X_Certification.delete(documentId, certificationId);
+}
+
+/**
+ * Deletes a certification.
+ *
+ * @param {String} username - Name of user that wants to delete the
+ *  certification.  This should be the owner.
+ * @param {Number} certificationId - ID of the certification to be deleted.
+ * @throws {ForbiddenError} If the certification is in a locked document.
+ */
+async function deleteCertification(username, certificationId) {
+  const logPrefix =
+    `${fileName}.deleteCertification(` +
+    `username = "${username}", ` +
+    `certificationId = ${certificationId})`;
+  logger.verbose(logPrefix);
+
+  const certification = await validateOwnership(
+    Certification,
+    username,
+    { id: certificationId },
+    logPrefix
+  );
+
+  await validateContentNotInLockedDocuments({ certificationId }, logPrefix);
+
+  await certification.delete();
+}
+
+// ==================================================
+
+module.exports = {
+  createCertification,
+  createDocument_x_certification,
+  updateCertification,
+  updateDocument_x_certificationPositions,
+  deleteDocument_x_certification,
+  deleteCertification,
+};
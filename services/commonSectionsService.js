@@ -7,6 +7,8 @@ const { camelCase, sentenceCase } = require('change-case-all');
 const Document = require('../models/document');
 const {
   validateOwnership,
+  validateDocumentNotLocked,
+  validateDocumentIsResume,
   getLastPosition,
 } = require('../util/serviceHelpers');
 
@@ -38,7 +40,9 @@ const logger = require('../util/logger');
  *  An Object containing a specific section type instance that contains the
  *  saved data and a document and specific section type relationship instance
  *  that contains the document-(section item) relationship data.
- * @throws {ForbiddenError} If the document is not the master resume.
+ * @throws {BadRequestError} If the document is a cover letter.
+ * @throws {ForbiddenError} If the document is not the master resume or is
+ *  locked.
  */
 async function createSectionItem(
   classRef,
@@ -67,6 +71,8 @@ async function createSectionItem(
     logPrefix
   );
 
+  validateDocumentIsResume(document, logPrefix);
+
   if (!document.isMaster) {
     logger.error(
       `${logPrefix}: User attempted to add a/an ${classNameCamelCase} ` +
@@ -77,6 +83,8 @@ async function createSectionItem(
     );
   }
 
+  validateDocumentNotLocked(document, logPrefix);
+
   // Create specific section item.
   const sectionItem = await classRef.add({ ...props, owner: username });
 
@@ -112,7 +120,9 @@ async function createSectionItem(
  *  document.
  * @returns {Promise<DocumentXSectionTypeClass>} A document and specific section
  *  type relationship instance that contains the relationship data.
- * @throws {BadRequestError} If relationship already exists.
+ * @throws {BadRequestError} If relationship already exists or if the document
+ *  is a cover letter.
+ * @throws {ForbiddenError} If the document is locked.
  */
 async function createDocumentXSectionTypeRelationship(
   classRef,
@@ -136,7 +146,15 @@ async function createDocumentXSectionTypeRelationship(
 
   // Verify ownership.
   await validateOwnership(classRef, username, { id: sectionItemId }, logPrefix);
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentIsResume(document, logPrefix);
+  validateDocumentNotLocked(document, logPrefix);
 
   // Find next proper position to place section item in.
   const documentXSectionTypeRelationships = await documentXClassRef.getAll(
@@ -178,6 +196,7 @@ async function createDocumentXSectionTypeRelationship(
  *  order of position.
  * @throws {BadRequestError} If given section item IDs do not exactly match all
  *  section items of a section in a document.
+ * @throws {ForbiddenError} If the document is locked.
  */
 async function updateDocumentXSectionTypePositions(
   classRef,
@@ -199,7 +218,14 @@ async function updateDocumentXSectionTypePositions(
   const classNameLowerCaseSpaced = sentenceCase(className).toLowerCase();
   const classNameCamelCase = camelCase(className);
 
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
 
   // Verify that sectionItemIds contains all of the section items in the
   // document.
@@ -0,0 +1,332 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+
+const Document = require('../models/document');
+const CoverLetter = require('../models/coverLetter');
+const CoverLetter_X_Text_Snippet = require('../models/coverLetter_x_textSnippet');
+const TextSnippet = require('../models/textSnippet');
+const {
+  validateOwnership,
+  validateDocumentNotLocked,
+  getLastPosition,
+} = require('../util/serviceHelpers');
+
+const { BadRequestError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+// Type given to text snippets that hold the paragraphs of cover letters.
+const paragraphTextSnippetType = 'paragraph';
+
+// --------------------------------------------------
+
+/**
+ * Gets a document and checks that it belongs to a user and is a cover letter.
+ *
+ * @param {String} username - Name of the user that wants access.
+ * @param {Number} documentId - ID of the document that is the cover letter.
+ * @param {String} logPrefix - Log text to put in front of any logs.
+ * @returns {Promise<Document>} The document of the cover letter.
+ * @throws {BadRequestError} If the document is not a cover letter.
+ * @throws {ForbiddenError} If the document belongs to another user.
+ */
+async function getOwnCoverLetterDocument(username, documentId, logPrefix) {
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  if (document.kind !== 'coverLetter') {
+    logger.error(`${logPrefix}: Document is not a cover letter.`);
+    throw new BadRequestError(
+      `Document "${document.documentName}" is not a cover letter.`
+    );
+  }
+
+  return document;
+}
+
+/**
+ * Checks that a document that a cover letter is linked to belongs to a user
+ * and is a resume.
+ *
+ * @param {String} username - Name of the user that is linking the resume.
+ * @param {Number} resumeDocumentId - ID of the document to link.
+ * @param {String} logPrefix - Log text to put in front of any logs.
+ * @throws {BadRequestError} If the document is a cover letter.
+ * @throws {ForbiddenError} If the document belongs to another user.
+ */
+async function validateResumeDocument(username, resumeDocumentId, logPrefix) {
+  const resumeDocument = await validateOwnership(
+    Document,
+    username,
+    { id: resumeDocumentId },
+    logPrefix
+  );
+
+  if (resumeDocument.kind !== 'resume') {
+    logger.error(`${logPrefix}: Linked document is not a resume.`);
+    throw new BadRequestError(
+      `Document "${resumeDocument.documentName}" is not a resume.`
+    );
+  }
+}
+
+/**
+ * Creates a document that is a cover letter.  The contact info of the user is
+ * used for the header of the cover letter.
+ *
+ * @param {String} username - Name of the user that is creating the cover
+ *  letter.
+ * @param {Object} props - Properties of the cover letter.  See route for full
+ *  list.
+ * @returns {Promise<Object>} The cover letter content.  See
+ *  Document.getCoverLetterContent.
+ * @throws {BadRequestError} If the linked document is not a resume.
+ * @throws {ForbiddenError} If the linked resume belongs to another user.
+ */
+async function createCoverLetter(username, props) {
+  const logPrefix =
+    `${fileName}.createCoverLetter(` +
+    `username = "${username}", ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const { documentName, resumeDocumentId, company, role } = props;
+
+  if (resumeDocumentId !== undefined) {
+    await validateResumeDocument(username, resumeDocumentId, logPrefix);
+  }
+
+  const document = await Document.addCoverLetter({
+    documentName,
+    owner: username,
+    resumeDocumentId,
+    company,
+    role,
+  });
+
+  return await Document.getCoverLetterContent(document.id);
+}
+
+/**
+ * Updates the info of a cover letter, such as the company it is for or the
+ * resume it is sent with.  Use the document routes to rename a cover letter.
+ *
+ * @param {String} username - Name of the user that owns the cover letter.
+ * @param {Number} documentId - ID of the document that is the cover letter.
+ * @param {Object} props - Properties of the cover letter to be updated.  See
+ *  route for full list.
+ * @returns {Promise<CoverLetter>} A CoverLetter instance containing the
+ *  updated info.
+ * @throws {BadRequestError} If the document is not a cover letter, or the
+ *  linked document is not a resume.
+ * @throws {ForbiddenError} If the cover letter is locked.
+ */
+async function updateCoverLetter(username, documentId, props) {
+  const logPrefix =
+    `${fileName}.updateCoverLetter(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const document = await getOwnCoverLetterDocument(
+    username,
+    documentId,
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  if (props.resumeDocumentId != null) {
+    await validateResumeDocument(username, props.resumeDocumentId, logPrefix);
+  }
+
+  const coverLetter = await CoverLetter.get({ documentId });
+
+  return await coverLetter.update(props);
+}
+
+/**
+ * Creates a text snippet and attaches it to a cover letter as a paragraph.
+ * The new paragraph will be positioned after the last, or highest value
+ * position, paragraph in the cover letter.
+ *
+ * @param {String} username - Name of the user that owns the cover letter.
+ * @param {Number} documentId - ID of the document that is the cover letter.
+ * @param {Object} props - Properties of the paragraph to add.
+ * @param {String} props.content - Content of the paragraph.
+ * @returns {Promise<{
+ *    textSnippet: TextSnippet,
+ *    coverLetterXTextSnippet: CoverLetter_X_Text_Snippet
+ *  }>}
+ *  textSnippet - Text snippet ID, version, owner, parent, type, and content.
+ *  coverLetterXTextSnippet - The cover letter-(text snippet) relationship that
+ *  contains the document ID, text snippet ID, version of the text snippet, and
+ *  position of the paragraph among other paragraphs in the cover letter.
+ * @throws {BadRequestError} If the document is not a cover letter.
+ * @throws {ForbiddenError} If the cover letter is locked.
+ */
+async function createParagraph(username, documentId, props) {
+  const logPrefix =
+    `${fileName}.createParagraph(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const { content } = props;
+
+  const document = await getOwnCoverLetterDocument(
+    username,
+    documentId,
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  const textSnippet = await TextSnippet.add({
+    owner: username,
+    type: paragraphTextSnippetType,
+    content,
+  });
+
+  const coverLettersXTextSnippets = await CoverLetter_X_Text_Snippet.getAll(
+    documentId
+  );
+  const nextPosition = getLastPosition(coverLettersXTextSnippets) + 1;
+
+  const coverLetterXTextSnippet = await CoverLetter_X_Text_Snippet.add({
+    documentId,
+    textSnippetId: textSnippet.id,
+    textSnippetVersion: textSnippet.version,
+    position: nextPosition,
+  });
+
+  return { textSnippet, coverLetterXTextSnippet };
+}
+
+/**
+ * Gets all paragraphs of a cover letter.
+ *
+ * @param {String} username - Name of the user that owns the cover letter.
+ * @param {Number} documentId - ID of the document that is the cover letter.
+ * @returns {Promise<TextSnippet[]>} A list of TextSnippet instances, in order
+ *  of position within the cover letter.
+ * @throws {BadRequestError} If the document is not a cover letter.
+ */
+async function getParagraphs(username, documentId) {
+  const logPrefix =
+    `${fileName}.getParagraphs(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId})`;
+  logger.verbose(logPrefix);
+
+  await getOwnCoverLetterDocument(username, documentId, logPrefix);
+
+  return await TextSnippet.getAllForCoverLetter(username, documentId);
+}
+
+/**
+ * Changes the order of the paragraphs in a cover letter.
+ *
+ * @param {String} username - Name of the user that owns the cover letter.
+ * @param {Number} documentId - ID of the document that is the cover letter.
+ * @param {Number[]} textSnippetIds - List of text snippet IDs with the desired
+ *  ordering.
+ * @returns {Promise<TextSnippet[]>} A list of TextSnippet instances, in order
+ *  of position within the cover letter.
+ * @throws {BadRequestError} If the document is not a cover letter, or if not
+ *  exactly all of the paragraphs in the cover letter are given.
+ * @throws {ForbiddenError} If the cover letter is locked.
+ */
+async function updateParagraphPositions(username, documentId, textSnippetIds) {
+  const logPrefix =
+    `${fileName}.updateParagraphPositions(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `textSnippetIds = ${JSON.stringify(textSnippetIds)})`;
+  logger.verbose(logPrefix);
+
+  const document = await getOwnCoverLetterDocument(
+    username,
+    documentId,
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  // Verify that textSnippetIds contains all of the paragraphs in the cover
+  // letter.
+  const coverLettersXTextSnippets = await CoverLetter_X_Text_Snippet.getAll(
+    documentId
+  );
+  if (
+    coverLettersXTextSnippets.length !== textSnippetIds.length ||
+    !coverLettersXTextSnippets.every((clxt) =>
+      textSnippetIds.includes(clxt.textSnippetId)
+    )
+  ) {
+    logger.error(
+      `${logPrefix}: Provided text snippet IDs do not exactly ` +
+        'match those in cover letter.'
+    );
+    throw new BadRequestError(
+      'All paragraphs, and only those, need to be included ' +
+        'when updating their positions in a cover letter.'
+    );
+  }
+
+  await CoverLetter_X_Text_Snippet.updateAllPositions(
+    documentId,
+    textSnippetIds
+  );
+
+  return await TextSnippet.getAllForCoverLetter(username, documentId);
+}
+
+/**
+ * Removes a paragraph from a cover letter.  The text snippet itself is kept.
+ *
+ * @param {String} username - Name of the user that owns the cover letter.
+ * @param {Number} documentId - ID of the document that is the cover letter.
+ * @param {Number} textSnippetId - ID of the text snippet to remove.
+ * @throws {BadRequestError} If the document is not a cover letter.
+ * @throws {ForbiddenError} If the cover letter is locked.
+ */
+async function deleteParagraph(username, documentId, textSnippetId) {
+  const logPrefix =
+    `${fileName}.deleteParagraph(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `textSnippetId = ${textSnippetId})`;
+  logger.verbose(logPrefix);
+
+  const document = await getOwnCoverLetterDocument(
+    username,
+    documentId,
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  await CoverLetter_X_Text_Snippet.delete(documentId, textSnippetId);
+}
+
+// ==================================================
+
+module.exports = {
+  createCoverLetter,
+  updateCoverLetter,
+  createParagraph,
+  getParagraphs,
+  updateParagraphPositions,
+  deleteParagraph,
+};
@@ -0,0 +1,353 @@
+'use strict';
+
+const Document = require('../models/document');
+const CoverLetter = require('../models/coverLetter');
+const CoverLetter_X_Text_Snippet = require('../models/coverLetter_x_textSnippet');
+const TextSnippet = require('../models/textSnippet');
+const {
+  createCoverLetter,
+  updateCoverLetter,
+  createParagraph,
+  updateParagraphPositions,
+  deleteParagraph,
+} = require('./coverLetterService');
+const {
+  validateOwnership: mockValidateOwnership,
+  validateDocumentNotLocked: mockValidateDocumentNotLocked,
+  getLastPosition: mockGetLastPosition,
+} = require('../util/serviceHelpers');
+
+const { BadRequestError, ForbiddenError } = require('../errors/appErrors');
+
+// ==================================================
+
+jest.mock('../util/serviceHelpers');
+jest.mock('../models/document');
+jest.mock('../models/coverLetter');
+jest.mock('../models/coverLetter_x_textSnippet');
+jest.mock('../models/textSnippet');
+
+// ==================================================
+
+const username = 'user1';
+const documentId = 2;
+const resumeDocumentId = 1;
+
+const coverLetterDocument = Object.freeze({
+  id: documentId,
+  documentName: 'Cover Letter',
+  kind: 'coverLetter',
+  isLocked: false,
+});
+const resumeDocument = Object.freeze({
+  id: resumeDocumentId,
+  documentName: 'Resume',
+  kind: 'resume',
+  isLocked: false,
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+// --------------------------------------------------
+// createCoverLetter
+
+describe('createCoverLetter', () => {
+  const props = Object.freeze({
+    documentName: 'Cover Letter',
+    resumeDocumentId,
+    company: 'Company 1',
+    role: 'Software Engineer',
+  });
+
+  test('Creates a cover letter after verifying the linked resume.', async () => {
+    // Arrange
+    const contentMock = Object.freeze({ id: documentId });
+
+    mockValidateOwnership.mockResolvedValue(resumeDocument);
+    Document.addCoverLetter.mockResolvedValue(coverLetterDocument);
+    Document.getCoverLetterContent.mockResolvedValue(contentMock);
+
+    // Act
+    const coverLetter = await createCoverLetter(username, props);
+
+    // Assert
+    expect(coverLetter).toBe(contentMock);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: resumeDocumentId },
+      expect.any(String)
+    );
+    expect(Document.addCoverLetter).toHaveBeenCalledWith({
+      documentName: props.documentName,
+      owner: username,
+      resumeDocumentId,
+      company: props.company,
+      role: props.role,
+    });
+    expect(Document.getCoverLetterContent).toHaveBeenCalledWith(documentId);
+  });
+
+  test('Does not verify a resume if none is linked.', async () => {
+    // Arrange
+    Document.addCoverLetter.mockResolvedValue(coverLetterDocument);
+
+    // Act
+    await createCoverLetter(username, { documentName: 'Cover Letter' });
+
+    // Assert
+    expect(mockValidateOwnership).not.toHaveBeenCalled();
+    expect(Document.addCoverLetter).toHaveBeenCalled();
+  });
+
+  test('Throws an Error if the linked document is a cover letter.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue(coverLetterDocument);
+
+    // Act
+    async function runFunc() {
+      await createCoverLetter(username, props);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(BadRequestError);
+    expect(Document.addCoverLetter).not.toHaveBeenCalled();
+  });
+
+  test('Throws an Error if the linked resume is not owned by user.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new ForbiddenError());
+
+    // Act
+    async function runFunc() {
+      await createCoverLetter(username, props);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(Document.addCoverLetter).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// updateCoverLetter
+
+describe('updateCoverLetter', () => {
+  test('Updates a cover letter after verifying the document.', async () => {
+    // Arrange
+    const props = Object.freeze({ resumeDocumentId, company: 'Company 2' });
+    const coverLetterMock = { update: jest.fn() };
+    const updatedMock = Object.freeze({ documentId });
+
+    mockValidateOwnership
+      .mockResolvedValueOnce(coverLetterDocument)
+      .mockResolvedValueOnce(resumeDocument);
+    CoverLetter.get.mockResolvedValue(coverLetterMock);
+    coverLetterMock.update.mockResolvedValue(updatedMock);
+
+    // Act
+    const coverLetter = await updateCoverLetter(username, documentId, props);
+
+    // Assert
+    expect(coverLetter).toBe(updatedMock);
+    expect(mockValidateDocumentNotLocked).toHaveBeenCalledWith(
+      coverLetterDocument,
+      expect.any(String)
+    );
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: resumeDocumentId },
+      expect.any(String)
+    );
+    expect(CoverLetter.get).toHaveBeenCalledWith({ documentId });
+    expect(coverLetterMock.update).toHaveBeenCalledWith(props);
+  });
+
+  test('Does not verify a resume when unlinking it.', async () => {
+    // Arrange
+    const coverLetterMock = { update: jest.fn() };
+
+    mockValidateOwnership.mockResolvedValueOnce(coverLetterDocument);
+    CoverLetter.get.mockResolvedValue(coverLetterMock);
+
+    // Act
+    await updateCoverLetter(username, documentId, { resumeDocumentId: null });
+
+    // Assert
+    expect(mockValidateOwnership).toHaveBeenCalledTimes(1);
+    expect(coverLetterMock.update).toHaveBeenCalledWith({
+      resumeDocumentId: null,
+    });
+  });
+
+  test('Throws an Error if the document is not a cover letter.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue(resumeDocument);
+
+    // Act
+    async function runFunc() {
+      await updateCoverLetter(username, resumeDocumentId, { role: 'Role' });
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(BadRequestError);
+    expect(CoverLetter.get).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// createParagraph
+
+describe('createParagraph', () => {
+  test('Creates a text snippet and adds it as the last paragraph.', async () => {
+    // Arrange
+    const textSnippetMock = Object.freeze({
+      id: 3,
+      version: new Date(),
+    });
+    const coverLetterXTextSnippetMock = Object.freeze({ position: 2 });
+
+    mockValidateOwnership.mockResolvedValue(coverLetterDocument);
+    TextSnippet.add.mockResolvedValue(textSnippetMock);
+    mockGetLastPosition.mockReturnValue(1);
+    CoverLetter_X_Text_Snippet.add.mockResolvedValue(
+      coverLetterXTextSnippetMock
+    );
+
+    // Act
+    const result = await createParagraph(username, documentId, {
+      content: 'Paragraph.',
+    });
+
+    // Assert
+    expect(result).toEqual({
+      textSnippet: textSnippetMock,
+      coverLetterXTextSnippet: coverLetterXTextSnippetMock,
+    });
+    expect(mockValidateDocumentNotLocked).toHaveBeenCalledWith(
+      coverLetterDocument,
+      expect.any(String)
+    );
+    expect(TextSnippet.add).toHaveBeenCalledWith({
+      owner: username,
+      type: 'paragraph',
+      content: 'Paragraph.',
+    });
+    expect(CoverLetter_X_Text_Snippet.add).toHaveBeenCalledWith({
+      documentId,
+      textSnippetId: textSnippetMock.id,
+      textSnippetVersion: textSnippetMock.version,
+      position: 2,
+    });
+  });
+
+  test('Throws an Error if the cover letter is locked.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue(coverLetterDocument);
+    mockValidateDocumentNotLocked.mockImplementation(() => {
+      throw new ForbiddenError();
+    });
+
+    // Act
+    async function runFunc() {
+      await createParagraph(username, documentId, { content: 'Paragraph.' });
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(TextSnippet.add).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// updateParagraphPositions
+
+describe('updateParagraphPositions', () => {
+  const coverLettersXTextSnippets = Object.freeze([
+    Object.freeze({ textSnippetId: 3 }),
+    Object.freeze({ textSnippetId: 4 }),
+  ]);
+
+  test('Reorders the paragraphs of a cover letter.', async () => {
+    // Arrange
+    const textSnippetsMock = Object.freeze([]);
+
+    mockValidateOwnership.mockResolvedValue(coverLetterDocument);
+    CoverLetter_X_Text_Snippet.getAll.mockResolvedValue(
+      coverLettersXTextSnippets
+    );
+    TextSnippet.getAllForCoverLetter.mockResolvedValue(textSnippetsMock);
+
+    // Act
+    const textSnippets = await updateParagraphPositions(
+      username,
+      documentId,
+      [4, 3]
+    );
+
+    // Assert
+    expect(textSnippets).toBe(textSnippetsMock);
+    expect(CoverLetter_X_Text_Snippet.updateAllPositions).toHaveBeenCalledWith(
+      documentId,
+      [4, 3]
+    );
+  });
+
+  test.each([[[3]], [[3, 5]], [[3, 4, 5]]])(
+    'Throws an Error if text snippet IDs %j do not match the paragraphs.',
+    async (textSnippetIds) => {
+      // Arrange
+      mockValidateOwnership.mockResolvedValue(coverLetterDocument);
+      CoverLetter_X_Text_Snippet.getAll.mockResolvedValue(
+        coverLettersXTextSnippets
+      );
+
+      // Act
+      async function runFunc() {
+        await updateParagraphPositions(username, documentId, textSnippetIds);
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(BadRequestError);
+      expect(
+        CoverLetter_X_Text_Snippet.updateAllPositions
+      ).not.toHaveBeenCalled();
+    }
+  );
+});
+
+// --------------------------------------------------
+// deleteParagraph
+
+describe('deleteParagraph', () => {
+  test('Removes a paragraph from a cover letter.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue(coverLetterDocument);
+
+    // Act
+    await deleteParagraph(username, documentId, 3);
+
+    // Assert
+    expect(CoverLetter_X_Text_Snippet.delete).toHaveBeenCalledWith(
+      documentId,
+      3
+    );
+  });
+
+  test('Throws an Error if the document is not a cover letter.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue(resumeDocument);
+
+    // Act
+    async function runFunc() {
+      await deleteParagraph(username, resumeDocumentId, 3);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(BadRequestError);
+    expect(CoverLetter_X_Text_Snippet.delete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,542 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+
+const Section = require('../models/section');
+const CustomSectionEntry = require('../models/customSectionEntry');
+const TextSnippet = require('../models/textSnippet');
+const CustomSectionEntry_X_Text_Snippet = require('../models/customSectionEntry_x_textSnippet');
+const {
+  validateOwnership,
+  validateContentNotInLockedDocuments,
+  getLastPosition,
+  transformObjectEmptyStringValuesIntoNulls,
+} = require('../util/serviceHelpers');
+
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Gets a custom section and checks that it belongs to a user.  Built-in
+ * sections do not belong to anyone, so they can not be changed thru here.
+ *
+ * @param {String} username - Name of the user that wants access.
+ * @param {Number} sectionId - ID of the custom section.
+ * @param {String} logPrefix - Log text to put in front of any logs.
+ * @returns {Promise<Section>} The custom section.
+ * @throws {ForbiddenError} If the section is built in or belongs to another
+ *  user.
+ */
+async function getOwnCustomSection(username, sectionId, logPrefix) {
+  const section = await Section.get({ id: sectionId });
+
+  if (section.owner === null) {
+    logger.error(`${logPrefix}: Section is a built-in section.`);
+    throw new ForbiddenError('Built-in sections can not be changed.');
+  }
+
+  if (section.owner !== username) {
+    logger.error(
+      `${logPrefix}: Section does not belong to user "${username}"; ` +
+        `it belongs to "${section.owner}".`
+    );
+    throw new ForbiddenError(
+      "Can not access or interact with another user's section."
+    );
+  }
+
+  return section;
+}
+
+/**
+ * Gets an entry of a custom section and checks that it belongs to a user.
+ *
+ * @param {String} username - Name of the user that wants access.
+ * @param {Number} sectionId - ID of the custom section that the entry should
+ *  be in.
+ * @param {Number} entryId - ID of the entry.
+ * @param {String} logPrefix - Log text to put in front of any logs.
+ * @returns {Promise<CustomSectionEntry>} The entry.
+ * @throws {ForbiddenError} If the entry belongs to another user.
+ * @throws {NotFoundError} If the entry is not in the custom section.
+ */
+async function getOwnEntry(username, sectionId, entryId, logPrefix) {
+  const entry = await validateOwnership(
+    CustomSectionEntry,
+    username,
+    { id: entryId },
+    logPrefix
+  );
+
+  if (entry.sectionId !== +sectionId) {
+    logger.error(`${logPrefix}: Entry is in section ${entry.sectionId}.`);
+    throw new NotFoundError(
+      `Can not find entry with ID ${entryId} in section with ID ${sectionId}.`
+    );
+  }
+
+  return entry;
+}
+
+/**
+ * Checks that a user can not already use a section with a specific name.  This
+ * includes the built-in sections, so that custom sections are not confused
+ * with them.
+ *
+ * @param {String} username - Name of the user that owns the custom sections.
+ * @param {String} sectionName - Name of the section to check.
+ * @param {String} logPrefix - Log text to put in front of any logs.
+ * @param {Number} [sectionId] - ID of the custom section that is being
+ *  renamed, which is allowed to already have the name.
+ * @throws {BadRequestError} If another section already has the name.
+ */
+async function validateSectionNameNotTaken(
+  username,
+  sectionName,
+  logPrefix,
+  sectionId
+) {
+  const sections = await Section.getAll(username);
+
+  if (
+    sections.some(
+      (section) =>
+        section.sectionName === sectionName && section.id !== +sectionId
+    )
+  ) {
+    logger.error(`${logPrefix}: Section with the same name already exists.`);
+    throw new BadRequestError(
+      `Section with name "${sectionName}" already exists.`
+    );
+  }
+}
+
+// --------------------------------------------------
+
+/**
+ * Creates a custom section for a user.  It can then be attached to documents
+ * like a built-in section.
+ *
+ * @param {String} username - Name of the user that is making the section.
+ * @param {Object} props - Properties of the section to add.
+ * @param {String} props.sectionName - Name of the section.
+ * @returns {Promise<Section>} A Section instance that contains the saved
+ *  data.
+ * @throws {BadRequestError} If the user can already use a section with the
+ *  same name.
+ */
+async function createCustomSection(username, props) {
+  const logPrefix =
+    `${fileName}.createCustomSection(` +
+    `username = "${username}", ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const { sectionName } = props;
+
+  await validateSectionNameNotTaken(username, sectionName, logPrefix);
+
+  return await Section.add({ sectionName, owner: username });
+}
+
+/**
+ * Renames a custom section.  The section can not be changed if it is in a
+ * locked document, since the change would show up there.
+ *
+ * @param {String} username - Name of the user that wants to update the
+ *  section.
+ * @param {Number} sectionId - ID of the custom section to update.
+ * @param {Object} props - Properties of the section to be updated.
+ * @param {String} props.sectionName - New name of the section.
+ * @returns {Promise<Section>} A Section instance containing the updated info.
+ * @throws {BadRequestError} If the user can already use a section with the
+ *  new name.
+ * @throws {ForbiddenError} If the section is in a locked document.
+ */
+async function updateCustomSection(username, sectionId, props) {
+  const logPrefix =
+    `${fileName}.updateCustomSection(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const section = await getOwnCustomSection(username, sectionId, logPrefix);
+
+  await validateContentNotInLockedDocuments({ sectionId }, logPrefix);
+
+  await validateSectionNameNotTaken(
+    username,
+    props.sectionName,
+    logPrefix,
+    sectionId
+  );
+
+  return await section.update({ sectionName: props.sectionName });
+}
+
+/**
+ * Deletes a custom section, along with its entries.  The section is also
+ * removed from all documents.
+ *
+ * @param {String} username - Name of the user that wants to delete the
+ *  section.
+ * @param {Number} sectionId - ID of the custom section to delete.
+ * @throws {ForbiddenError} If the section is in a locked document.
+ */
+async function deleteCustomSection(username, sectionId) {
+  const logPrefix =
+    `${fileName}.deleteCustomSection(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId})`;
+  logger.verbose(logPrefix);
+
+  const section = await getOwnCustomSection(username, sectionId, logPrefix);
+
+  await validateContentNotInLockedDocuments({ sectionId }, logPrefix);
+
+  await section.delete();
+}
+
+/**
+ * Creates an entry in a custom section.  The new entry will be positioned
+ * after the last, or highest value position, entry in the section.
+ *
+ * @param {String} username - Name of the user that wants to add an entry.
+ * @param {Number} sectionId - ID of the custom section to add the entry to.
+ * @param {Object} props - Properties of the entry to add.  See route for full
+ *  list.
+ * @returns {Promise<CustomSectionEntry>} A CustomSectionEntry instance that
+ *  contains the saved data.
+ * @throws {ForbiddenError} If the section is in a locked document.
+ */
+async function createEntry(username, sectionId, props) {
+  const logPrefix =
+    `${fileName}.createEntry(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  await getOwnCustomSection(username, sectionId, logPrefix);
+
+  await validateContentNotInLockedDocuments({ sectionId }, logPrefix);
+
+  const entries = await CustomSectionEntry.getAll(sectionId);
+  const nextPosition = getLastPosition(entries) + 1;
+
+  return await CustomSectionEntry.add({
+    ...props,
+    owner: username,
+    sectionId,
+    position: nextPosition,
+  });
+}
+
+/**
+ * Gets all entries in a custom section.
+ *
+ * @param {String} username - Name of the user that owns the section.
+ * @param {Number} sectionId - ID of the custom section to get entries from.
+ * @returns {Promise<CustomSectionEntry[]>} A list of CustomSectionEntry
+ *  instances, in order of position.
+ */
+async function getEntries(username, sectionId) {
+  const logPrefix =
+    `${fileName}.getEntries(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId})`;
+  logger.verbose(logPrefix);
+
+  await getOwnCustomSection(username, sectionId, logPrefix);
+
+  return await CustomSectionEntry.getAll(sectionId);
+}
+
+/**
+ * Updates an entry in a custom section.
+ *
+ * @param {String} username - Name of the user that wants to update the entry.
+ * @param {Number} sectionId - ID of the custom section that the entry is in.
+ * @param {Number} entryId - ID of the entry to update.
+ * @param {Object} props - Properties of the entry to be updated.  See route
+ *  for full list.
+ * @returns {Promise<CustomSectionEntry>} A CustomSectionEntry instance
+ *  containing the updated info.
+ * @throws {ForbiddenError} If the section is in a locked document.
+ */
+async function updateEntry(username, sectionId, entryId, props) {
+  const logPrefix =
+    `${fileName}.updateEntry(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId}, ` +
+    `entryId = ${entryId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const entry = await getOwnEntry(username, sectionId, entryId, logPrefix);
+
+  await validateContentNotInLockedDocuments({ sectionId }, logPrefix);
+
+  return await entry.update(transformObjectEmptyStringValuesIntoNulls(props));
+}
+
+/**
+ * Changes the order of the entries in a custom section.
+ *
+ * @param {String} username - Name of the user that owns the section.
+ * @param {Number} sectionId - ID of the custom section that is having its
+ *  entries reordered.
+ * @param {Number[]} entryIds - List of entry IDs with the desired ordering.
+ * @returns {Promise<CustomSectionEntry[]>} A list of CustomSectionEntry
+ *  instances, in order of position.
+ * @throws {BadRequestError} If not exactly all of the entries in the section
+ *  are given.
+ * @throws {ForbiddenError} If the section is in a locked document.
+ */
+async function updateEntryPositions(username, sectionId, entryIds) {
+  const logPrefix =
+    `${fileName}.updateEntryPositions(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId}, ` +
+    `entryIds = ${JSON.stringify(entryIds)})`;
+  logger.verbose(logPrefix);
+
+  await getOwnCustomSection(username, sectionId, logPrefix);
+
+  await validateContentNotInLockedDocuments({ sectionId }, logPrefix);
+
+  // Verify that entryIds contains all of the entries in the section.
+  const entries = await CustomSectionEntry.getAll(sectionId);
+  if (
+    entries.length !== entryIds.length ||
+    !entries.every((entry) => entryIds.includes(entry.id))
+  ) {
+    logger.error(
+      `${logPrefix}: Provided entry IDs do not exactly ` +
+        'match those in section.'
+    );
+    throw new BadRequestError(
+      'All entries, and only those, need to be included ' +
+        'when updating their positions in a section.'
+    );
+  }
+
+  await CustomSectionEntry.updateAllPositions(sectionId, entryIds);
+
+  return await CustomSectionEntry.getAll(sectionId);
+}
+
+/**
+ * Deletes an entry in a custom section.  The text snippets of the entry are
+ * kept, like with other text snippets.
+ *
+ * @param {String} username - Name of the user that wants to delete the entry.
+ * @param {Number} sectionId - ID of the custom section that the entry is in.
+ * @param {Number} entryId - ID of the entry to delete.
+ * @throws {ForbiddenError} If the section is in a locked document.
+ */
+async function deleteEntry(username, sectionId, entryId) {
+  const logPrefix =
+    `${fileName}.deleteEntry(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId}, ` +
+    `entryId = ${entryId})`;
+  logger.verbose(logPrefix);
+
+  const entry = await getOwnEntry(username, sectionId, entryId, logPrefix);
+
+  await validateContentNotInLockedDocuments({ sectionId }, logPrefix);
+
+  await entry.delete();
+}
+
+/**
+ * Creates a text snippet and attaches it to an entry in a custom section, as
+ * a bullet point.  The new text snippet will be positioned after the last, or
+ * highest value position, text snippet in the entry.
+ *
+ * @param {String} username - Name of the user that wants to add a text
+ *  snippet.
+ * @param {Number} sectionId - ID of the custom section that the entry is in.
+ * @param {Number} entryId - ID of the entry to add a text snippet to.
+ * @param {Object} props - Properties of the text snippet to add.
+ * @returns {Promise<{
+ *    textSnippet: TextSnippet,
+ *    customSectionEntryXTextSnippet: CustomSectionEntry_X_Text_Snippet
+ *  }>}
+ *  textSnippet - Text snippet ID, version, owner, parent, type, and content.
+ *  customSectionEntryXTextSnippet - The entry-(text snippet) relationship that
+ *  contains the entry ID, text snippet ID, version of the text snippet, and
+ *  position of the text snippet among other text snippets in the entry.
+ * @throws {ForbiddenError} If the section is in a locked document.
+ */
+async function createEntryTextSnippet(username, sectionId, entryId, props) {
+  const logPrefix =
+    `${fileName}.createEntryTextSnippet(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId}, ` +
+    `entryId = ${entryId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  await getOwnEntry(username, sectionId, entryId, logPrefix);
+
+  await validateContentNotInLockedDocuments({ sectionId }, logPrefix);
+
+  const textSnippet = await TextSnippet.add({ ...props, owner: username });
+
+  const entriesXTextSnippets = await CustomSectionEntry_X_Text_Snippet.getAll(
+    entryId
+  );
+  const nextPosition = getLastPosition(entriesXTextSnippets) + 1;
+
+  const customSectionEntryXTextSnippet =
+    await CustomSectionEntry_X_Text_Snippet.add({
+      customSectionEntryId: entryId,
+      textSnippetId: textSnippet.id,
+      textSnippetVersion: textSnippet.version,
+      position: nextPosition,
+    });
+
+  return { textSnippet, customSectionEntryXTextSnippet };
+}
+
+/**
+ * Gets all text snippets of an entry in a custom section.
+ *
+ * @param {String} username - Name of the user that owns the entry.
+ * @param {Number} sectionId - ID of the custom section that the entry is in.
+ * @param {Number} entryId - ID of the entry to get text snippets for.
+ * @returns {Promise<TextSnippet[]>} A list of TextSnippet instances, in order
+ *  of position within the entry.
+ */
+async function getEntryTextSnippets(username, sectionId, entryId) {
+  const logPrefix =
+    `${fileName}.getEntryTextSnippets(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId}, ` +
+    `entryId = ${entryId})`;
+  logger.verbose(logPrefix);
+
+  await getOwnEntry(username, sectionId, entryId, logPrefix);
+
+  return await TextSnippet.getAllForCustomSectionEntry(username, entryId);
+}
+
+/**
+ * Changes the order of the text snippets in an entry of a custom section.
+ *
+ * @param {String} username - Name of the user that owns the entry.
+ * @param {Number} sectionId - ID of the custom section that the entry is in.
+ * @param {Number} entryId - ID of the entry that is having its text snippets
+ *  reordered.
+ * @param {Number[]} textSnippetIds - List of text snippet IDs with the desired
+ *  ordering.
+ * @returns {Promise<TextSnippet[]>} A list of TextSnippet instances, in order
+ *  of position within the entry.
+ * @throws {BadRequestError} If not exactly all of the text snippets in the
+ *  entry are given.
+ * @throws {ForbiddenError} If the section is in a locked document.
+ */
+async function updateEntryTextSnippetPositions(
+  username,
+  sectionId,
+  entryId,
+  textSnippetIds
+) {
+  const logPrefix =
+    `${fileName}.updateEntryTextSnippetPositions(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId}, ` +
+    `entryId = ${entryId}, ` +
+    `textSnippetIds = ${JSON.stringify(textSnippetIds)})`;
+  logger.verbose(logPrefix);
+
+  await getOwnEntry(username, sectionId, entryId, logPrefix);
+
+  await validateContentNotInLockedDocuments({ sectionId }, logPrefix);
+
+  // Verify that textSnippetIds contains all of the text snippets in the entry.
+  const entriesXTextSnippets = await CustomSectionEntry_X_Text_Snippet.getAll(
+    entryId
+  );
+  if (
+    entriesXTextSnippets.length !== textSnippetIds.length ||
+    !entriesXTextSnippets.every((cext) =>
+      textSnippetIds.includes(cext.textSnippetId)
+    )
+  ) {
+    logger.error(
+      `${logPrefix}: Provided text snippet IDs do not exactly ` +
+        'match those in entry.'
+    );
+    throw new BadRequestError(
+      'All text snippets, and only those, need to be included ' +
+        'when updating their positions in an entry.'
+    );
+  }
+
+  await CustomSectionEntry_X_Text_Snippet.updateAllPositions(
+    entryId,
+    textSnippetIds
+  );
+
+  return await TextSnippet.getAllForCustomSectionEntry(username, entryId);
+}
+
+/**
+ * Removes a text snippet from an entry in a custom section.  The text snippet
+ * itself is kept.
+ *
+ * @param {String} username - Name of the user that owns the entry.
+ * @param {Number} sectionId - ID of the custom section that the entry is in.
+ * @param {Number} entryId - ID of the entry to remove the text snippet from.
+ * @param {Number} textSnippetId - ID of the text snippet to remove.
+ * @throws {ForbiddenError} If the section is in a locked document.
+ */
+async function deleteEntry_x_textSnippet(
+  username,
+  sectionId,
+  entryId,
+  textSnippetId
+) {
+  const logPrefix =
+    `${fileName}.deleteEntry_x_textSnippet(` +
+    `username = "${username}", ` +
+    `sectionId = ${sectionId}, ` +
+    `entryId = ${entryId}, ` +
+    `textSnippetId = ${textSnippetId})`;
+  logger.verbose(logPrefix);
+
+  await getOwnEntry(username, sectionId, entryId, logPrefix);
+
+  await validateContentNotInLockedDocuments({ sectionId }, logPrefix);
+
+  await CustomSectionEntry_X_Text_Snippet.delete(entryId, textSnippetId);
+}
+
+// ==================================================
+
+module.exports = {
+  createCustomSection,
+  updateCustomSection,
+  deleteCustomSection,
+  createEntry,
+  getEntries,
+  updateEntry,
+  updateEntryPositions,
+  deleteEntry,
+  createEntryTextSnippet,
+  getEntryTextSnippets,
+  updateEntryTextSnippetPositions,
+  deleteEntry_x_textSnippet,
+};
@@ -4,7 +4,14 @@ const path = require('path');
 const fileName = path.basename(__filename, '.js');
 
 const Document = require('../models/document');
-const { validateOwnership } = require('../util/serviceHelpers');
+const {
+  validateOwnership,
+  validateDocumentNotLocked,
+} = require('../util/serviceHelpers');
+const { diffDocuments } = require('../util/documentDiff');
+const { lintBullets } = require('../util/bulletLinter');
+const { matchKeywords } = require('../util/keywordMatch');
+const { suggestBullets } = require('../util/bulletSuggestions');
 
 const {
   ForbiddenError,
@@ -21,7 +28,8 @@ const logger = require('../util/logger');
  *
  * @param {String} username - Name of user that wants to get the document.
  * @param {Number} documentId - ID of the document to get.
- * @returns {Object} All needed data to display a resume or template.
+ * @returns {Object} All needed data to display a resume, template, or cover
+ *  letter.
  */
 async function getDocument(username, documentId) {
   const logPrefix =
@@ -30,15 +38,247 @@ async function getDocument(username, documentId) {
     `documentId = ${documentId})`;
   logger.verbose(logPrefix);
 
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  if (document.kind === 'coverLetter') {
+    return await Document.getCoverLetterContent(documentId);
+  }
 
   return await Document.getDocumentAndSectionContent(documentId);
 }
 
+/**
+ * Creates a new document that is a copy of an existing document, such as for
+ * making a resume tailored to a job from the master resume, making a template,
+ * or making a document from a template.  Ownership of the source document is
+ * first verified.  See Document.fork for what is copied.
+ *
+ * @param {String} username - Name of user that wants to fork the document.
+ * @param {Number} documentId - ID of the document to copy.
+ * @param {Object} props - Properties of the new document and of what to copy.
+ *  See route for full list.
+ * @returns {Promise<Document>} A Document instance for the new document.
+ * @throws {ArgumentError} If the document is a cover letter.
+ */
+async function forkDocument(username, documentId, props) {
+  const logPrefix =
+    `${fileName}.forkDocument(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  if (document.kind === 'coverLetter') {
+    logger.error(`${logPrefix}: User attempted to fork a cover letter.`);
+    throw new ArgumentError('Cover letters can not be forked.');
+  }
+
+  const { documentName, isTemplate = false, ...filter } = props;
+
+  return await Document.fork(
+    documentId,
+    { documentName, owner: username, isTemplate },
+    filter
+  );
+}
+
+/**
+ * Compares the contents of two documents, after verifying that both belong to
+ * the specified user.  See diffDocuments in util/documentDiff.js for the
+ * differences that are reported.
+ *
+ * @param {String} username - Name of user that wants to compare the documents.
+ * @param {Number} documentId - ID of the document to compare from.
+ * @param {Number} otherDocumentId - ID of the document to compare to.
+ * @returns {Object} The differences between the two documents.
+ * @throws {ArgumentError} If either document is a cover letter.
+ */
+async function getDocumentDiff(username, documentId, otherDocumentId) {
+  const logPrefix =
+    `${fileName}.getDocumentDiff(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `otherDocumentId = ${otherDocumentId})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+  const otherDocument = await validateOwnership(
+    Document,
+    username,
+    { id: otherDocumentId },
+    logPrefix
+  );
+
+  if (document.kind === 'coverLetter' || otherDocument.kind === 'coverLetter') {
+    logger.error(`${logPrefix}: User attempted to compare a cover letter.`);
+    throw new ArgumentError('Cover letters can not be compared.');
+  }
+
+  const documentContent = await Document.getDocumentAndSectionContent(
+    documentId
+  );
+  const otherDocumentContent = await Document.getDocumentAndSectionContent(
+    otherDocumentId
+  );
+
+  return diffDocuments(documentContent, otherDocumentContent);
+}
+
+/**
+ * Checks the experience bullets of a document for common writing problems,
+ * after verifying that the document belongs to the specified user.  See
+ * lintBullets in util/bulletLinter.js for the problems that are found.
+ *
+ * @param {String} username - Name of user that wants to check the document.
+ * @param {Number} documentId - ID of the document to check.
+ * @returns {Object[]} The problems that were found, each pointing to the text
+ *  snippet that has it.
+ * @throws {ArgumentError} If the document is a cover letter.
+ */
+async function lintDocument(username, documentId) {
+  const logPrefix =
+    `${fileName}.lintDocument(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  if (document.kind === 'coverLetter') {
+    logger.error(`${logPrefix}: User attempted to lint a cover letter.`);
+    throw new ArgumentError('Cover letters do not have bullets to check.');
+  }
+
+  const { experiences } = await Document.getDocumentAndSectionContent(
+    documentId
+  );
+
+  return lintBullets(experiences);
+}
+
+/**
+ * Scores how well the content of a document covers the keywords of a job
+ * posting, after verifying that the document belongs to the specified user.
+ * For cover letters, the paragraphs are scored.  See matchKeywords in
+ * util/keywordMatch.js for how keywords are found and matched.
+ *
+ * @param {String} username - Name of user that wants to score the document.
+ * @param {Number} documentId - ID of the document to score.
+ * @param {String} jobDescription - Text of the job posting.
+ * @returns {Object} The score, and the keywords that are matched and missing.
+ */
+async function getKeywordMatch(username, documentId, jobDescription) {
+  const logPrefix =
+    `${fileName}.getKeywordMatch(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `jobDescription = "${jobDescription.slice(0, 50)}...")`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  const documentContent =
+    document.kind === 'coverLetter'
+      ? await Document.getCoverLetterContent(documentId)
+      : await Document.getDocumentAndSectionContent(documentId);
+
+  return matchKeywords(jobDescription, documentContent);
+}
+
+/**
+ * Ranks the bullets of the experiences in the master resume by relevance to a
+ * job posting, and suggests which experiences and bullets to put in a resume
+ * tailored to it.  Ownership of the document is first verified.  See
+ * suggestBullets in util/bulletSuggestions.js for how bullets are ranked.
+ *
+ * @param {String} username - Name of user that wants the suggestions.
+ * @param {Number} documentId - ID of the master resume.
+ * @param {String} jobDescription - Text of the job posting.
+ * @param {Object} [options] - Limits what is suggested.  See route for full
+ *  list.
+ * @returns {Object} The ranked bullets and the suggested experiences and
+ *  bullets.
+ * @throws {ArgumentError} If the document is a cover letter.
+ * @throws {ForbiddenError} If the document is not the master resume.
+ */
+async function getBulletSuggestions(
+  username,
+  documentId,
+  jobDescription,
+  options = {}
+) {
+  const logPrefix =
+    `${fileName}.getBulletSuggestions(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `jobDescription = "${jobDescription.slice(0, 50)}...", ` +
+    `options = ${JSON.stringify(options)})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  if (document.kind === 'coverLetter') {
+    logger.error(
+      `${logPrefix}: User attempted to get bullet suggestions ` +
+        'from a cover letter.'
+    );
+    throw new ArgumentError('Bullets can not be suggested from cover letters.');
+  }
+
+  if (!document.isMaster) {
+    logger.error(
+      `${logPrefix}: User attempted to get bullet suggestions ` +
+        'not from the master resume.'
+    );
+    throw new ForbiddenError(
+      'Bullets can only be suggested from the master resume.'
+    );
+  }
+
+  const { experiences } = await Document.getDocumentAndSectionContent(
+    documentId
+  );
+
+  return suggestBullets(jobDescription, experiences, options);
+}
+
 /**
  * Updates a document by first verifying that it belongs to the specified user.
  * If document is the master resume, then only the document name is allowed to
- * be changed.
+ * be changed.  If document is locked, then it can only be updated when it is
+ * also being unlocked.
  *
  * @param {String} username - Name of user that wants to update the document.
  * @param {Number} documentId - ID of the document to be updated.
@@ -47,6 +287,8 @@ async function getDocument(username, documentId) {
  * @returns {Document} A Document instance containing the updated info.
  * @throws {ArgumentError} If the document is a master resume and document name
  *  is not the only one being updated.
+ * @throws {ForbiddenError} If the document is locked and is not being
+ *  unlocked.
  */
 async function updateDocument(username, documentId, props) {
   const logPrefix =
@@ -75,16 +317,21 @@ async function updateDocument(username, documentId, props) {
     }
   }
 
+  if (props.isLocked !== false) {
+    validateDocumentNotLocked(document, logPrefix);
+  }
+
   return await document.update(props);
 }
 
 /**
  * Deletes a document by first verifying that it belongs to the specified user.
- * Master resumes can not be deleted.
+ * Master resumes and locked documents can not be deleted.
  *
  * @param {String} username - Name of user that wants to delete the document.
  * @param {Number} documentId - ID of the document to be deleted.
  * @throws {ForbiddenError} If the document is the master resume.
+ * @throws {ForbiddenError} If the document is locked.
  * @throws {ForbiddenError} If the document does not belong to the specified
  *  user.
  */
@@ -116,9 +363,20 @@ async function deleteDocument(username, documentId) {
     throw new ForbiddenError('Can not delete master resume.');
   }
 
+  validateDocumentNotLocked(document, logPrefix);
+
   await document.delete();
 }
 
 // ==================================================
 
-module.exports = { getDocument, updateDocument, deleteDocument };
+module.exports = {
+  getDocument,
+  forkDocument,
+  getDocumentDiff,
+  lintDocument,
+  getKeywordMatch,
+  getBulletSuggestions,
+  updateDocument,
+  deleteDocument,
+};
@@ -1,10 +1,26 @@
 'use strict';
 
 const Document = require('../models/document');
-const { updateDocument, deleteDocument } = require('./documentService');
+const {
+  getDocument,
+  forkDocument,
+  getDocumentDiff,
+  lintDocument,
+  getKeywordMatch,
+  getBulletSuggestions,
+  updateDocument,
+  deleteDocument,
+} = require('./documentService');
 const {
   validateOwnership: mockValidateOwnership,
+  validateDocumentNotLocked: mockValidateDocumentNotLocked,
 } = require('../util/serviceHelpers');
+const { diffDocuments: mockDiffDocuments } = require('../util/documentDiff');
+const { lintBullets: mockLintBullets } = require('../util/bulletLinter');
+const { matchKeywords: mockMatchKeywords } = require('../util/keywordMatch');
+const {
+  suggestBullets: mockSuggestBullets,
+} = require('../util/bulletSuggestions');
 
 const {
   ForbiddenError,
@@ -16,9 +32,422 @@ const {
 
 jest.mock('../util/serviceHelpers');
 jest.mock('../models/document');
+jest.mock('../util/documentDiff');
+jest.mock('../util/bulletLinter');
+jest.mock('../util/keywordMatch');
+jest.mock('../util/bulletSuggestions');
 
 // ==================================================
 
+// --------------------------------------------------
+// getDocument
+
+describe('getDocument', () => {
+  const username = 'user1';
+  const documentId = 1;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test.each([
+    ['resume', 'getDocumentAndSectionContent'],
+    ['coverLetter', 'getCoverLetterContent'],
+  ])(
+    'Gets the content of a document of kind "%s" with Document.%s.',
+    async (kind, methodName) => {
+      // Arrange
+      const contentMock = Object.freeze({ id: documentId, kind });
+
+      mockValidateOwnership.mockResolvedValue({ id: documentId, kind });
+      Document[methodName].mockResolvedValue(contentMock);
+
+      // Act
+      const document = await getDocument(username, documentId);
+
+      // Assert
+      expect(document).toBe(contentMock);
+      expect(mockValidateOwnership).toHaveBeenCalledWith(
+        Document,
+        username,
+        { id: documentId },
+        expect.any(String)
+      );
+      expect(Document[methodName]).toHaveBeenCalledWith(documentId);
+    }
+  );
+});
+
+// --------------------------------------------------
+// forkDocument
+
+describe('forkDocument', () => {
+  const username = 'user1';
+  const documentId = 1;
+  const filter = Object.freeze({ educationIds: [1], textSnippetIds: [] });
+  const props = Object.freeze({ documentName: 'Fork', ...filter });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+
+    mockValidateOwnership.mockResolvedValue({ id: documentId, kind: 'resume' });
+  });
+
+  test('Forks a document after verifying ownership.', async () => {
+    // Arrange
+    const newDocument = Object.freeze({ id: 2 });
+
+    Document.fork.mockResolvedValue(newDocument);
+
+    // Act
+    const document = await forkDocument(username, documentId, props);
+
+    // Assert
+    expect(document).toBe(newDocument);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(Document.fork).toHaveBeenCalledWith(
+      documentId,
+      { documentName: props.documentName, owner: username, isTemplate: false },
+      filter
+    );
+  });
+
+  test('Forks a document into a template.', async () => {
+    // Act
+    await forkDocument(username, documentId, { ...props, isTemplate: true });
+
+    // Assert
+    expect(Document.fork).toHaveBeenCalledWith(
+      documentId,
+      { documentName: props.documentName, owner: username, isTemplate: true },
+      filter
+    );
+  });
+
+  test('Throws an Error if document is not owned by user.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new ForbiddenError());
+
+    // Act
+    async function runFunc() {
+      await forkDocument(username, documentId, props);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(Document.fork).not.toHaveBeenCalled();
+  });
+
+  test('Throws an Error if the document is a cover letter.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue({
+      id: documentId,
+      kind: 'coverLetter',
+    });
+
+    // Act
+    async function runFunc() {
+      await forkDocument(username, documentId, props);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ArgumentError);
+    expect(Document.fork).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// getDocumentDiff
+
+describe('getDocumentDiff', () => {
+  const username = 'user1';
+  const documentId = 1;
+  const otherDocumentId = 2;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Compares the contents of two documents after verifying ownership.', async () => {
+    // Arrange
+    const contents = [Object.freeze({ id: 1 }), Object.freeze({ id: 2 })];
+    const diffMock = Object.freeze({ isSame: false });
+
+    mockValidateOwnership.mockResolvedValue({ kind: 'resume' });
+    Document.getDocumentAndSectionContent
+      .mockResolvedValueOnce(contents[0])
+      .mockResolvedValueOnce(contents[1]);
+    mockDiffDocuments.mockReturnValue(diffMock);
+
+    // Act
+    const diff = await getDocumentDiff(username, documentId, otherDocumentId);
+
+    // Assert
+    expect(diff).toBe(diffMock);
+    for (const id of [documentId, otherDocumentId]) {
+      expect(mockValidateOwnership).toHaveBeenCalledWith(
+        Document,
+        username,
+        { id },
+        expect.any(String)
+      );
+    }
+    expect(mockDiffDocuments).toHaveBeenCalledWith(contents[0], contents[1]);
+  });
+
+  test('Throws an Error if a document is not owned by user.', async () => {
+    // Arrange
+    mockValidateOwnership
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new ForbiddenError());
+
+    // Act
+    async function runFunc() {
+      await getDocumentDiff(username, documentId, otherDocumentId);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(mockDiffDocuments).not.toHaveBeenCalled();
+  });
+
+  test('Throws an Error if a document is a cover letter.', async () => {
+    // Arrange
+    mockValidateOwnership
+      .mockResolvedValueOnce({ kind: 'resume' })
+      .mockResolvedValueOnce({ kind: 'coverLetter' });
+
+    // Act
+    async function runFunc() {
+      await getDocumentDiff(username, documentId, otherDocumentId);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ArgumentError);
+    expect(mockDiffDocuments).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// lintDocument
+
+describe('lintDocument', () => {
+  const username = 'user1';
+  const documentId = 1;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Checks the bullets of a document after verifying ownership.', async () => {
+    // Arrange
+    const experiences = Object.freeze([Object.freeze({ id: 1 })]);
+    const issuesMock = Object.freeze([]);
+
+    mockValidateOwnership.mockResolvedValue({ kind: 'resume' });
+    Document.getDocumentAndSectionContent.mockResolvedValue({ experiences });
+    mockLintBullets.mockReturnValue(issuesMock);
+
+    // Act
+    const issues = await lintDocument(username, documentId);
+
+    // Assert
+    expect(issues).toBe(issuesMock);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(mockLintBullets).toHaveBeenCalledWith(experiences);
+  });
+
+  test('Throws an Error if the document is not owned by user.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new ForbiddenError());
+
+    // Act
+    async function runFunc() {
+      await lintDocument(username, documentId);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(mockLintBullets).not.toHaveBeenCalled();
+  });
+
+  test('Throws an Error if the document is a cover letter.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue({ kind: 'coverLetter' });
+
+    // Act
+    async function runFunc() {
+      await lintDocument(username, documentId);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ArgumentError);
+    expect(mockLintBullets).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// getKeywordMatch
+
+describe('getKeywordMatch', () => {
+  const username = 'user1';
+  const documentId = 1;
+  const jobDescription = 'Looking for a software engineer.';
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Scores the content of a document after verifying ownership.', async () => {
+    // Arrange
+    const documentContent = Object.freeze({ id: documentId });
+    const keywordMatchMock = Object.freeze({ score: 50 });
+
+    mockValidateOwnership.mockResolvedValue({ kind: 'resume' });
+    Document.getDocumentAndSectionContent.mockResolvedValue(documentContent);
+    mockMatchKeywords.mockReturnValue(keywordMatchMock);
+
+    // Act
+    const keywordMatch = await getKeywordMatch(
+      username,
+      documentId,
+      jobDescription
+    );
+
+    // Assert
+    expect(keywordMatch).toBe(keywordMatchMock);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(mockMatchKeywords).toHaveBeenCalledWith(
+      jobDescription,
+      documentContent
+    );
+  });
+
+  test('Scores the paragraphs of a cover letter.', async () => {
+    // Arrange
+    const documentContent = Object.freeze({ id: documentId, paragraphs: [] });
+
+    mockValidateOwnership.mockResolvedValue({ kind: 'coverLetter' });
+    Document.getCoverLetterContent.mockResolvedValue(documentContent);
+
+    // Act
+    await getKeywordMatch(username, documentId, jobDescription);
+
+    // Assert
+    expect(Document.getDocumentAndSectionContent).not.toHaveBeenCalled();
+    expect(mockMatchKeywords).toHaveBeenCalledWith(
+      jobDescription,
+      documentContent
+    );
+  });
+
+  test('Throws an Error if the document is not owned by user.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new ForbiddenError());
+
+    // Act
+    async function runFunc() {
+      await getKeywordMatch(username, documentId, jobDescription);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(mockMatchKeywords).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// getBulletSuggestions
+
+describe('getBulletSuggestions', () => {
+  const username = 'user1';
+  const documentId = 1;
+  const jobDescription = 'Looking for a software engineer.';
+  const options = Object.freeze({ maxBulletsPerExperience: 3 });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Suggests bullets from the master resume after verifying ownership.', async () => {
+    // Arrange
+    const experiences = Object.freeze([Object.freeze({ id: 1 })]);
+    const suggestionsMock = Object.freeze({ experiences: [] });
+
+    mockValidateOwnership.mockResolvedValue({ isMaster: true });
+    Document.getDocumentAndSectionContent.mockResolvedValue({ experiences });
+    mockSuggestBullets.mockReturnValue(suggestionsMock);
+
+    // Act
+    const suggestions = await getBulletSuggestions(
+      username,
+      documentId,
+      jobDescription,
+      options
+    );
+
+    // Assert
+    expect(suggestions).toBe(suggestionsMock);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(mockSuggestBullets).toHaveBeenCalledWith(
+      jobDescription,
+      experiences,
+      options
+    );
+  });
+
+  test('Throws an Error if the document is not the master resume.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue({ isMaster: false });
+
+    // Act
+    async function runFunc() {
+      await getBulletSuggestions(username, documentId, jobDescription);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(mockSuggestBullets).not.toHaveBeenCalled();
+  });
+
+  test('Throws an Error if the document is a cover letter.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue({
+      isMaster: false,
+      kind: 'coverLetter',
+    });
+
+    // Act
+    async function runFunc() {
+      await getBulletSuggestions(username, documentId, jobDescription);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ArgumentError);
+    expect(mockSuggestBullets).not.toHaveBeenCalled();
+  });
+});
+
 // --------------------------------------------------
 // updateDocument
 
@@ -131,6 +560,72 @@ describe('updateDocument', () => {
       expect(document.update).not.toHaveBeenCalled();
     }
   );
+
+  test.each([[{ documentName: 'New name' }], [{ isLocked: true }]])(
+    'Checks that document is not locked when updating it with %j.',
+    async (props) => {
+      // Arrange
+      const document = { owner: username, isMaster: false, isLocked: true };
+
+      mockValidateOwnership.mockResolvedValue(document);
+      mockValidateDocumentNotLocked.mockReset();
+      document.update = mockUpdate.mockResolvedValue(document);
+
+      Object.freeze(document);
+
+      // Act
+      await updateDocument(username, documentId, props);
+
+      // Assert
+      expect(mockValidateDocumentNotLocked).toHaveBeenCalledWith(
+        document,
+        expect.any(String)
+      );
+    }
+  );
+
+  test('Updates a locked document if it is being unlocked.', async () => {
+    // Arrange
+    const document = { owner: username, isMaster: false, isLocked: true };
+    const props = Object.freeze({ documentName: 'New name', isLocked: false });
+
+    mockValidateOwnership.mockResolvedValue(document);
+    mockValidateDocumentNotLocked.mockReset();
+    document.update = mockUpdate.mockResolvedValue(document);
+
+    Object.freeze(document);
+
+    // Act
+    await updateDocument(username, documentId, props);
+
+    // Assert
+    expect(mockValidateDocumentNotLocked).not.toHaveBeenCalled();
+    expect(document.update).toHaveBeenCalledWith(props);
+  });
+
+  test('Throws an Error if document is locked and not being unlocked.', async () => {
+    // Arrange
+    const document = { owner: username, isMaster: false, isLocked: true };
+
+    mockValidateOwnership.mockResolvedValue(document);
+    mockValidateDocumentNotLocked.mockImplementation(() => {
+      throw new ForbiddenError();
+    });
+    document.update = mockUpdate.mockResolvedValue(document);
+
+    Object.freeze(document);
+
+    // Act
+    async function runFunc() {
+      await updateDocument(username, documentId, props);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(document.update).not.toHaveBeenCalled();
+
+    mockValidateDocumentNotLocked.mockReset();
+  });
 });
 
 // --------------------------------------------------
@@ -190,6 +685,32 @@ describe('deleteDocument', () => {
     expect(document.delete).not.toHaveBeenCalled();
   });
 
+  test('Throws an Error if the document is locked.', async () => {
+    // Arrange
+    const document = { owner: username, isMaster: false, isLocked: true };
+
+    mockValidateOwnership.mockResolvedValue(document);
+    mockValidateDocumentNotLocked.mockImplementation(() => {
+      throw new ForbiddenError();
+    });
+    document.delete = mockDelete;
+
+    // Act
+    async function runFunc() {
+      await deleteDocument(username, documentId);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(mockValidateDocumentNotLocked).toHaveBeenCalledWith(
+      document,
+      expect.any(String)
+    );
+    expect(document.delete).not.toHaveBeenCalled();
+
+    mockValidateDocumentNotLocked.mockReset();
+  });
+
   test('Does not throw an Error if document is not found.', async () => {
     // Arrange
     const document = { owner: username, isMaster: false };
@@ -0,0 +1,142 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+
+const Document = require('../models/document');
+const DocumentSnapshot = require('../models/documentSnapshot');
+const { validateOwnership } = require('../util/serviceHelpers');
+
+const { NotFoundError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Takes a snapshot of a document.  The document and all of its contents,
+ * including contact info and the exact text snippet versions in it, are saved
+ * as they are now, so that later changes or deletions do not affect the
+ * snapshot.  Document ownership is first verified.
+ *
+ * @param {String} username - Name of user that wants to take the snapshot.
+ * @param {Number} documentId - ID of the document to take a snapshot of.
+ * @param {Object} props - Properties of the snapshot.  See route for full
+ *  list.
+ * @returns {Promise<DocumentSnapshot>} A DocumentSnapshot instance for the new
+ *  snapshot.
+ */
+async function createSnapshot(username, documentId, props) {
+  const logPrefix =
+    `${fileName}.createSnapshot(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  const content =
+    document.kind === 'coverLetter'
+      ? await Document.getCoverLetterContent(documentId)
+      : await Document.getDocumentAndSectionContent(documentId);
+
+  return await DocumentSnapshot.add({
+    owner: username,
+    documentId,
+    snapshotName: props.snapshotName,
+    content,
+  });
+}
+
+/**
+ * Gets all snapshots of a document, without their content.  Document
+ * ownership is first verified.
+ *
+ * @param {String} username - Name of user that wants to get the snapshots.
+ * @param {Number} documentId - ID of the document to get the snapshots of.
+ * @returns {Promise<DocumentSnapshot[]>} A list of DocumentSnapshot instances,
+ *  from newest to oldest.
+ */
+async function getSnapshotsOfDocument(username, documentId) {
+  const logPrefix =
+    `${fileName}.getSnapshotsOfDocument(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId})`;
+  logger.verbose(logPrefix);
+
+  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+
+  return await DocumentSnapshot.getAll(username, { documentId });
+}
+
+/**
+ * Helps validate the owner of a snapshot, then retrieves it along with its
+ * content.
+ *
+ * @param {String} username - Name of user that wants to get the snapshot.
+ * @param {Number} snapshotId - ID of the snapshot to get.
+ * @returns {Promise<DocumentSnapshot>} A DocumentSnapshot instance.
+ */
+async function getSnapshot(username, snapshotId) {
+  const logPrefix =
+    `${fileName}.getSnapshot(` +
+    `username = "${username}", ` +
+    `snapshotId = ${snapshotId})`;
+  logger.verbose(logPrefix);
+
+  return await validateOwnership(
+    DocumentSnapshot,
+    username,
+    { id: snapshotId },
+    logPrefix
+  );
+}
+
+/**
+ * Deletes a snapshot by first verifying that it belongs to the specified user.
+ *
+ * @param {String} username - Name of user that wants to delete the snapshot.
+ * @param {Number} snapshotId - ID of the snapshot to be deleted.
+ * @throws {ForbiddenError} If the snapshot does not belong to the specified
+ *  user.
+ */
+async function deleteSnapshot(username, snapshotId) {
+  const logPrefix =
+    `${fileName}.deleteSnapshot(` +
+    `username = "${username}", ` +
+    `snapshotId = ${snapshotId})`;
+  logger.verbose(logPrefix);
+
+  let snapshot;
+  try {
+    snapshot = await validateOwnership(
+      DocumentSnapshot,
+      username,
+      { id: snapshotId },
+      logPrefix
+    );
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      return;
+    } else {
+      throw err;
+    }
+  }
+
+  await snapshot.delete();
+}
+
+// ==================================================
+
+module.exports = {
+  createSnapshot,
+  getSnapshotsOfDocument,
+  getSnapshot,
+  deleteSnapshot,
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+const Document = require('../models/document');
+const DocumentSnapshot = require('../models/documentSnapshot');
+const {
+  createSnapshot,
+  getSnapshotsOfDocument,
+  getSnapshot,
+  deleteSnapshot,
+} = require('./documentSnapshotService');
+const {
+  validateOwnership: mockValidateOwnership,
+} = require('../util/serviceHelpers');
+
+const { ForbiddenError, NotFoundError } = require('../errors/appErrors');
+
+// ==================================================
+
+jest.mock('../util/serviceHelpers');
+jest.mock('../models/document');
+jest.mock('../models/documentSnapshot');
+
+// ==================================================
+
+const username = 'user1';
+const documentId = 1;
+const snapshotId = 2;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+// --------------------------------------------------
+// createSnapshot
+
+describe('createSnapshot', () => {
+  const props = Object.freeze({ snapshotName: 'Sent to Company' });
+
+  test('Saves the current content of the document.', async () => {
+    // Arrange
+    const content = Object.freeze({ id: documentId });
+    const snapshotMock = Object.freeze({ id: snapshotId });
+
+    mockValidateOwnership.mockResolvedValue({
+      id: documentId,
+      kind: 'resume',
+    });
+    Document.getDocumentAndSectionContent.mockResolvedValue(content);
+    DocumentSnapshot.add.mockResolvedValue(snapshotMock);
+
+    // Act
+    const snapshot = await createSnapshot(username, documentId, props);
+
+    // Assert
+    expect(snapshot).toBe(snapshotMock);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(Document.getDocumentAndSectionContent).toHaveBeenCalledWith(
+      documentId
+    );
+    expect(DocumentSnapshot.add).toHaveBeenCalledWith({
+      owner: username,
+      documentId,
+      snapshotName: props.snapshotName,
+      content,
+    });
+  });
+
+  test('Saves the current content of a cover letter.', async () => {
+    // Arrange
+    const content = Object.freeze({ id: documentId, paragraphs: [] });
+
+    mockValidateOwnership.mockResolvedValue({
+      id: documentId,
+      kind: 'coverLetter',
+    });
+    Document.getCoverLetterContent.mockResolvedValue(content);
+
+    // Act
+    await createSnapshot(username, documentId, props);
+
+    // Assert
+    expect(Document.getCoverLetterContent).toHaveBeenCalledWith(documentId);
+    expect(Document.getDocumentAndSectionContent).not.toHaveBeenCalled();
+    expect(DocumentSnapshot.add).toHaveBeenCalledWith(
+      expect.objectContaining({ content })
+    );
+  });
+
+  test('Throws an Error if document is not owned by user.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new ForbiddenError());
+
+    // Act
+    async function runFunc() {
+      await createSnapshot(username, documentId, props);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(DocumentSnapshot.add).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// getSnapshotsOfDocument
+
+describe('getSnapshotsOfDocument', () => {
+  test('Gets the snapshots of a document after verifying ownership.', async () => {
+    // Arrange
+    const snapshotsMock = Object.freeze([]);
+
+    DocumentSnapshot.getAll.mockResolvedValue(snapshotsMock);
+
+    // Act
+    const snapshots = await getSnapshotsOfDocument(username, documentId);
+
+    // Assert
+    expect(snapshots).toBe(snapshotsMock);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(DocumentSnapshot.getAll).toHaveBeenCalledWith(username, {
+      documentId,
+    });
+  });
+});
+
+// --------------------------------------------------
+// getSnapshot
+
+describe('getSnapshot', () => {
+  test('Gets a snapshot after verifying ownership.', async () => {
+    // Arrange
+    const snapshotMock = Object.freeze({ id: snapshotId });
+
+    mockValidateOwnership.mockResolvedValue(snapshotMock);
+
+    // Act
+    const snapshot = await getSnapshot(username, snapshotId);
+
+    // Assert
+    expect(snapshot).toBe(snapshotMock);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      DocumentSnapshot,
+      username,
+      { id: snapshotId },
+      expect.any(String)
+    );
+  });
+});
+
+// --------------------------------------------------
+// deleteSnapshot
+
+describe('deleteSnapshot', () => {
+  test('Deletes a snapshot after verifying ownership.', async () => {
+    // Arrange
+    const snapshot = Object.freeze({ delete: jest.fn() });
+
+    mockValidateOwnership.mockResolvedValue(snapshot);
+
+    // Act
+    await deleteSnapshot(username, snapshotId);
+
+    // Assert
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      DocumentSnapshot,
+      username,
+      { id: snapshotId },
+      expect.any(String)
+    );
+    expect(snapshot.delete).toHaveBeenCalled();
+  });
+
+  test('Does not throw an Error if snapshot is not found.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new NotFoundError());
+
+    // Act
+    async function runFunc() {
+      await deleteSnapshot(username, snapshotId);
+    }
+
+    // Assert
+    await expect(runFunc()).resolves.toBeUndefined();
+  });
+
+  test('Passes along other Errors from validateOwnership.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new ForbiddenError());
+
+    // Act
+    async function runFunc() {
+      await deleteSnapshot(username, snapshotId);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+  });
+});
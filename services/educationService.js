@@ -13,6 +13,8 @@ const {
 } = require('./commonSectionsService');
 const {
   validateOwnership,
+  validateDocumentNotLocked,
+  validateContentNotInLockedDocuments,
   transformObjectEmptyStringValuesIntoNulls,
 } = require('../util/serviceHelpers');
 
@@ -85,13 +87,15 @@ async function createDocument_x_education(username, documentId, educationId) {
 
 /**
  * Verifies that an education belongs to the specified user and then updates
- * the education.
+ * the education.  The education can not be updated if it is in a locked
+ * document, since the changes would show up there.
  *
  * @param {String} username - Name of user that wants to update the education.
  * @param {Number} educationId - ID of the education to update.
  * @param {Object} props - Properties of the education to be updated.  See route
  *  for full list.
  * @returns {Education} An Education instance containing the updated info.
+ * @throws {ForbiddenError} If the education is in a locked document.
  */
 async function updateEducation(username, educationId, props) {
   const logPrefix =
@@ -108,6 +112,8 @@ async function updateEducation(username, educationId, props) {
     logPrefix
   );
 
+  await validateContentNotInLockedDocuments({ educationId }, logPrefix);
+
   return await education.update(
     transformObjectEmptyStringValuesIntoNulls(props)
   );
@@ -153,6 +159,7 @@ async function updateDocument_x_educationPositions(
  *  document-education relationship.  This should be the owner.
  * @param {Number} documentId - ID of the document to remove the education from.
  * @param {Number} educationId - ID of the education to be removed.
+ * @throws {ForbiddenError} If the document is locked.
  */
 async function deleteDocument_x_education(username, documentId, educationId) {
   const logPrefix =
@@ -162,7 +169,14 @@ async function deleteDocument_x_education(username, documentId, educationId) {
     `educationId = ${educationId})`;
   logger.verbose(logPrefix);
 
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
 
   await Document_X_Education.delete(documentId, educationId);
 }
@@ -173,6 +187,7 @@ async function deleteDocument_x_education(username, documentId, educationId) {
  * @param {String} username - Name of user that wants to delete the education.
  *  This should be the owner.
  * @param {Number} educationId - ID of the education to be deleted.
+ * @throws {ForbiddenError} If the education is in a locked document.
  */
 async function deleteEducation(username, educationId) {
   const logPrefix =
@@ -188,6 +203,8 @@ async function deleteEducation(username, educationId) {
     logPrefix
   );
 
+  await validateContentNotInLockedDocuments({ educationId }, logPrefix);
+
   await education.delete();
 }
 
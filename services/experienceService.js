@@ -13,6 +13,8 @@ const {
 } = require('./commonSectionsService');
 const {
   validateOwnership,
+  validateDocumentNotLocked,
+  validateContentNotInLockedDocuments,
   transformObjectEmptyStringValuesIntoNulls,
 } = require('../util/serviceHelpers');
 
@@ -86,13 +88,15 @@ async function createDocument_x_experience(username, documentId, experienceId) {
 
 /**
  * Verifies that an experience belongs to the specified user and then updates
- * the experience.
+ * the experience.  The experience can not be updated if it is in a locked
+ * document, since the changes would show up there.
  *
  * @param {String} username - Name of user that wants to update the experience.
  * @param {Number} experienceId - ID of the experience to update.
  * @param {Object} props - Properties of the experience to be updated.  See
  *  route for full list.
  * @returns {Experience} An Experience instance containing the updated info.
+ * @throws {ForbiddenError} If the experience is in a locked document.
  */
 async function updateExperience(username, experienceId, props) {
   const logPrefix =
@@ -110,6 +114,8 @@ async function updateExperience(username, experienceId, props) {
     logPrefix
   );
 
+  await validateContentNotInLockedDocuments({ experienceId }, logPrefix);
+
   // Update experience.
   return await experience.update(
     transformObjectEmptyStringValuesIntoNulls(props)
@@ -157,6 +163,7 @@ async function updateDocument_x_experiencePositions(
  * @param {Number} documentId - ID of the document to remove the experience
  *  from.
  * @param {Number} experienceId - ID of the experience to be removed.
+ * @throws {ForbiddenError} If the document is locked.
  */
 async function deleteDocument_x_experience(username, documentId, experienceId) {
   const logPrefix =
@@ -166,7 +173,14 @@ async function deleteDocument_x_experience(username, documentId, experienceId) {
     `experienceId = ${experienceId})`;
   logger.verbose(logPrefix);
 
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
 
   await Document_X_Experience.delete(documentId, experienceId);
 }
@@ -177,6 +191,7 @@ async function deleteDocument_x_experience(username, documentId, experienceId) {
  * @param {String} username - Name of user that wants to delete the experience.
  *  This should be the owner.
  * @param {Number} experienceId - ID of the experience to be deleted.
+ * @throws {ForbiddenError} If the experience is in a locked document.
  */
 async function deleteExperience(username, experienceId) {
   const logPrefix =
@@ -192,6 +207,8 @@ async function deleteExperience(username, experienceId) {
     logPrefix
   );
 
+  await validateContentNotInLockedDocuments({ experienceId }, logPrefix);
+
   await experience.delete();
 }
 
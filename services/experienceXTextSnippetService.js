@@ -10,6 +10,7 @@ const TextSnippet = require('../models/textSnippet');
 const Experience_X_Text_Snippet = require('../models/experience_x_textSnippet');
 const {
   validateOwnership,
+  validateDocumentNotLocked,
   getLastPosition,
 } = require('../util/serviceHelpers');
 
@@ -36,7 +37,8 @@ const logger = require('../util/logger');
  * @param {Number} experienceId - ID of the experience that is being attached
  *  with a text snippet.
  * @param {Object} props - Properties of the text snippet to add.
- * @throws {ForbiddenError} If the document is not the master resume.
+ * @throws {ForbiddenError} If the document is not the master resume or is
+ *  locked.
  * @returns {Promise<{
  *    textSnippet: TextSnippet,
  *    experienceXTextSnippet: Experience_X_Text_Snippet
@@ -75,6 +77,8 @@ async function createTextSnippet(username, documentId, experienceId, props) {
     );
   }
 
+  validateDocumentNotLocked(document, logPrefix);
+
   // Verify experience ownership.
   await validateOwnership(
     Experience,
@@ -160,6 +164,7 @@ async function getTextSnippets(username, experienceId) {
  *  attach.
  * @returns {Promise<Experience_X_Text_Snippet>} An Experience_X_Text_Snippet
  *  instance that contains the experience-text snippet relationship data.
+ * @throws {ForbiddenError} If the document is locked.
  */
 async function createExperience_x_textSnippet(
   username,
@@ -178,7 +183,15 @@ async function createExperience_x_textSnippet(
   logger.verbose(logPrefix);
 
   // Verify ownership.
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
   await validateOwnership(
     Experience,
     username,
@@ -212,53 +225,6 @@ async function createExperience_x_textSnippet(
   });
 }
 
-/**
- * Verifies text snippet ownership and updates it.  Also updates all
- * experiences_x_textSnippets (experience-text snippet relationships) to replace
- * the old text snippet with the new one.
- *
- * @param {String} username - Name of the user that is doing the update.
- * @param {Number} textSnippetId - ID part of the text snippet to update.
- * @param {String} textSnippetVersion - Version part of the text snippet to
- *  update.
- * @param {object} props - Properties of the text snippet to be updated.  See
- *  route for full list.
- * @returns {Promise<TextSnippet>} A TextSnippet instance containing the updated
- *  info.
- */
-async function updateTextSnippet(
-  username,
-  textSnippetId,
-  textSnippetVersion,
-  props
-) {
-  const logPrefix =
-    `${fileName}.updateTextSnippet(` +
-    `username = "${username}", ` +
-    `textSnippetId = ${textSnippetId}, ` +
-    `textSnippetVersion = "${textSnippetVersion}", ` +
-    `props = ${JSON.stringify(props)})`;
-  logger.verbose(logPrefix);
-
-  const textSnippet = await validateOwnership(
-    TextSnippet,
-    username,
-    { id: textSnippetId, version: textSnippetVersion },
-    logPrefix
-  );
-
-  const updatedTextSnippet = await textSnippet.update(props);
-
-  // Ensure that updatedTextSnippet is a new instance.
-  await Experience_X_Text_Snippet.replaceTextSnippet(
-    textSnippetId,
-    textSnippet.version,
-    updatedTextSnippet.version
-  );
-
-  return updatedTextSnippet;
-}
-
 /**
  * Changes the order of the text snippets in an experience in a document.  The
  * text snippet versions are not needed, because there is only be one text
@@ -275,6 +241,7 @@ async function updateTextSnippet(
  *  ordering.
  * @returns {Promise<TextSnippet[]>} A list of TextSnippet instances, in order
  *  of position within experience and document.
+ * @throws {ForbiddenError} If the document is locked.
  */
 async function updateExperienceXTextSnippetsPositions(
   username,
@@ -294,7 +261,14 @@ async function updateExperienceXTextSnippetsPositions(
   // a user can only be added to that user's documents.  There would be no
   // documents_x_experiences entries if the experience ID does not belong to the
   // user.
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
 
   const documentXExperienceId = (
     await Document_X_Experience.get({
@@ -347,6 +321,7 @@ async function updateExperienceXTextSnippetsPositions(
  * @param {Number} experienceId - ID of the experience to remove the
  *  experience-text snippet relationship from.
  * @param {Number} textSnippetId - ID of the text snippet to remove.
+ * @throws {ForbiddenError} If the document is locked.
  */
 async function deleteExperience_x_textSnippet(
   username,
@@ -362,7 +337,14 @@ async function deleteExperience_x_textSnippet(
     `experienceId = ${experienceId})`;
   logger.verbose(logPrefix);
 
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
 
   const documentXExperienceId = (
     await Document_X_Experience.get({ documentId, experienceId })
@@ -377,7 +359,6 @@ module.exports = {
   createTextSnippet,
   getTextSnippets,
   createExperience_x_textSnippet,
-  updateTextSnippet,
   updateExperienceXTextSnippetsPositions,
   deleteExperience_x_textSnippet,
 };
@@ -0,0 +1,183 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+
+const Document = require('../models/document');
+const JobApplication = require('../models/jobApplication');
+const { validateOwnership } = require('../util/serviceHelpers');
+
+const { NotFoundError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Creates a job application.  If a document is linked to it, then ownership
+ * of the document is first verified.
+ *
+ * @param {String} username - Name of user that wants to create the job
+ *  application.
+ * @param {Object} props - Properties of the job application.  See route for
+ *  full list.
+ * @returns {Promise<JobApplication>} A JobApplication instance for the new
+ *  job application.
+ */
+async function createJobApplication(username, props) {
+  const logPrefix =
+    `${fileName}.createJobApplication(` +
+    `username = "${username}", ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  if (props.documentId != null) {
+    await validateOwnership(
+      Document,
+      username,
+      { id: props.documentId },
+      logPrefix
+    );
+  }
+
+  return await JobApplication.add({ ...props, owner: username });
+}
+
+/**
+ * Gets the job applications of a user.  If only the job applications of a
+ * document are wanted, then ownership of the document is first verified.
+ *
+ * @param {String} username - Name of user that wants to get the job
+ *  applications.
+ * @param {Object} [filter] - Narrows down which job applications are
+ *  retrieved.  See JobApplication.getAll.
+ * @returns {Promise<JobApplication[]>} A list of JobApplication instances,
+ *  from newest to oldest.
+ */
+async function getJobApplications(username, filter = {}) {
+  const logPrefix =
+    `${fileName}.getJobApplications(` +
+    `username = "${username}", ` +
+    `filter = ${JSON.stringify(filter)})`;
+  logger.verbose(logPrefix);
+
+  if (filter.documentId != null) {
+    await validateOwnership(
+      Document,
+      username,
+      { id: filter.documentId },
+      logPrefix
+    );
+  }
+
+  return await JobApplication.getAll(username, filter);
+}
+
+/**
+ * Helps validate the owner of a job application, then retrieves it.
+ *
+ * @param {String} username - Name of user that wants to get the job
+ *  application.
+ * @param {Number} jobApplicationId - ID of the job application to get.
+ * @returns {Promise<JobApplication>} A JobApplication instance.
+ */
+async function getJobApplication(username, jobApplicationId) {
+  const logPrefix =
+    `${fileName}.getJobApplication(` +
+    `username = "${username}", ` +
+    `jobApplicationId = ${jobApplicationId})`;
+  logger.verbose(logPrefix);
+
+  return await validateOwnership(
+    JobApplication,
+    username,
+    { id: jobApplicationId },
+    logPrefix
+  );
+}
+
+/**
+ * Updates a job application by first verifying that it belongs to the
+ * specified user.  If a new document is linked to it, then ownership of the
+ * document is also verified.
+ *
+ * @param {String} username - Name of user that wants to update the job
+ *  application.
+ * @param {Number} jobApplicationId - ID of the job application to update.
+ * @param {Object} props - Properties of the job application to be updated.
+ *  See route for full list.
+ * @returns {Promise<JobApplication>} A JobApplication instance containing the
+ *  updated info.
+ */
+async function updateJobApplication(username, jobApplicationId, props) {
+  const logPrefix =
+    `${fileName}.updateJobApplication(` +
+    `username = "${username}", ` +
+    `jobApplicationId = ${jobApplicationId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const jobApplication = await validateOwnership(
+    JobApplication,
+    username,
+    { id: jobApplicationId },
+    logPrefix
+  );
+
+  if (props.documentId != null) {
+    await validateOwnership(
+      Document,
+      username,
+      { id: props.documentId },
+      logPrefix
+    );
+  }
+
+  return await jobApplication.update(props);
+}
+
+/**
+ * Deletes a job application by first verifying that it belongs to the
+ * specified user.
+ *
+ * @param {String} username - Name of user that wants to delete the job
+ *  application.
+ * @param {Number} jobApplicationId - ID of the job application to be deleted.
+ * @throws {ForbiddenError} If the job application does not belong to the
+ *  specified user.
+ */
+async function deleteJobApplication(username, jobApplicationId) {
+  const logPrefix =
+    `${fileName}.deleteJobApplication(` +
+    `username = "${username}", ` +
+    `jobApplicationId = ${jobApplicationId})`;
+  logger.verbose(logPrefix);
+
+  let jobApplication;
+  try {
+    jobApplication = await validateOwnership(
+      JobApplication,
+      username,
+      { id: jobApplicationId },
+      logPrefix
+    );
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      return;
+    } else {
+      throw err;
+    }
+  }
+
+  await jobApplication.delete();
+}
+
+// ==================================================
+
+module.exports = {
+  createJobApplication,
+  getJobApplications,
+  getJobApplication,
+  updateJobApplication,
+  deleteJobApplication,
+};
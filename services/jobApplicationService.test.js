@@ -0,0 +1,225 @@
+'use strict';
+
+const Document = require('../models/document');
+const JobApplication = require('../models/jobApplication');
+const {
+  createJobApplication,
+  getJobApplications,
+  updateJobApplication,
+  deleteJobApplication,
+} = require('./jobApplicationService');
+const {
+  validateOwnership: mockValidateOwnership,
+} = require('../util/serviceHelpers');
+
+const { ForbiddenError, NotFoundError } = require('../errors/appErrors');
+
+// ==================================================
+
+jest.mock('../util/serviceHelpers');
+jest.mock('../models/document');
+jest.mock('../models/jobApplication');
+
+// ==================================================
+
+const username = 'user1';
+const documentId = 1;
+const jobApplicationId = 2;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+// --------------------------------------------------
+// createJobApplication
+
+describe('createJobApplication', () => {
+  const props = Object.freeze({
+    documentId,
+    company: 'Company 1',
+    role: 'Software Engineer',
+  });
+
+  test('Creates a job application after verifying document ownership.', async () => {
+    // Arrange
+    const jobApplicationMock = Object.freeze({ id: jobApplicationId });
+
+    JobApplication.add.mockResolvedValue(jobApplicationMock);
+
+    // Act
+    const jobApplication = await createJobApplication(username, props);
+
+    // Assert
+    expect(jobApplication).toBe(jobApplicationMock);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(JobApplication.add).toHaveBeenCalledWith({
+      ...props,
+      owner: username,
+    });
+  });
+
+  test('Does not verify a document if none is linked.', async () => {
+    // Act
+    await createJobApplication(username, { ...props, documentId: undefined });
+
+    // Assert
+    expect(mockValidateOwnership).not.toHaveBeenCalled();
+    expect(JobApplication.add).toHaveBeenCalled();
+  });
+
+  test('Throws an Error if document is not owned by user.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new ForbiddenError());
+
+    // Act
+    async function runFunc() {
+      await createJobApplication(username, props);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(JobApplication.add).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// getJobApplications
+
+describe('getJobApplications', () => {
+  test.each([[{}], [{ status: 'applied' }]])(
+    'Gets the job applications of a user with filter %j.',
+    async (filter) => {
+      // Arrange
+      const jobApplicationsMock = Object.freeze([]);
+
+      JobApplication.getAll.mockResolvedValue(jobApplicationsMock);
+
+      // Act
+      const jobApplications = await getJobApplications(username, filter);
+
+      // Assert
+      expect(jobApplications).toBe(jobApplicationsMock);
+      expect(mockValidateOwnership).not.toHaveBeenCalled();
+      expect(JobApplication.getAll).toHaveBeenCalledWith(username, filter);
+    }
+  );
+
+  test('Throws an Error if the filtered document is not owned by user.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new ForbiddenError());
+
+    // Act
+    async function runFunc() {
+      await getJobApplications(username, { documentId });
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    expect(JobApplication.getAll).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// updateJobApplication
+
+describe('updateJobApplication', () => {
+  test('Updates a job application after verifying ownership.', async () => {
+    // Arrange
+    const props = Object.freeze({ status: 'offer', documentId });
+    const jobApplicationMock = { update: jest.fn() };
+    const updatedMock = Object.freeze({ id: jobApplicationId });
+
+    mockValidateOwnership.mockResolvedValueOnce(jobApplicationMock);
+    jobApplicationMock.update.mockResolvedValue(updatedMock);
+
+    // Act
+    const jobApplication = await updateJobApplication(
+      username,
+      jobApplicationId,
+      props
+    );
+
+    // Assert
+    expect(jobApplication).toBe(updatedMock);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      JobApplication,
+      username,
+      { id: jobApplicationId },
+      expect.any(String)
+    );
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(jobApplicationMock.update).toHaveBeenCalledWith(props);
+  });
+
+  test('Does not verify a document when unlinking it.', async () => {
+    // Arrange
+    const jobApplicationMock = { update: jest.fn() };
+
+    mockValidateOwnership.mockResolvedValueOnce(jobApplicationMock);
+
+    // Act
+    await updateJobApplication(username, jobApplicationId, {
+      documentId: null,
+    });
+
+    // Assert
+    expect(mockValidateOwnership).toHaveBeenCalledTimes(1);
+    expect(jobApplicationMock.update).toHaveBeenCalledWith({
+      documentId: null,
+    });
+  });
+});
+
+// --------------------------------------------------
+// deleteJobApplication
+
+describe('deleteJobApplication', () => {
+  test('Deletes a job application after verifying ownership.', async () => {
+    // Arrange
+    const jobApplicationMock = { delete: jest.fn() };
+
+    mockValidateOwnership.mockResolvedValue(jobApplicationMock);
+
+    // Act
+    await deleteJobApplication(username, jobApplicationId);
+
+    // Assert
+    expect(jobApplicationMock.delete).toHaveBeenCalled();
+  });
+
+  test('Does nothing if the job application does not exist.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new NotFoundError());
+
+    // Act
+    async function runFunc() {
+      await deleteJobApplication(username, jobApplicationId);
+    }
+
+    // Assert
+    await expect(runFunc()).resolves.toBeUndefined();
+  });
+
+  test('Throws an Error if job application is not owned by user.', async () => {
+    // Arrange
+    mockValidateOwnership.mockRejectedValue(new ForbiddenError());
+
+    // Act
+    async function runFunc() {
+      await deleteJobApplication(username, jobApplicationId);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+  });
+});
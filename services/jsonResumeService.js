@@ -0,0 +1,271 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+
+const Document = require('../models/document');
+const Section = require('../models/section');
+const Education = require('../models/education');
+const Document_X_Education = require('../models/document_x_education');
+const Experience = require('../models/experience');
+const Document_X_Experience = require('../models/document_x_experience');
+const Certification = require('../models/certification');
+const Document_X_Certification = require('../models/document_x_certification');
+const Project = require('../models/project');
+const Document_X_Project = require('../models/document_x_project');
+const { createSectionItem } = require('./commonSectionsService');
+const {
+  createTextSnippet: createExperienceTextSnippet,
+} = require('./experienceXTextSnippetService');
+const {
+  createTextSnippet: createProjectTextSnippet,
+} = require('./projectXTextSnippetService');
+const { getSnapshot } = require('./documentSnapshotService');
+const { createDocument_x_section } = require('./sectionService');
+const { createUpdateContactInfo } = require('./userService');
+const {
+  validateOwnership,
+  validateDocumentNotLocked,
+} = require('../util/serviceHelpers');
+const { convertToJsonResume } = require('../util/jsonResume');
+
+const { ArgumentError, ForbiddenError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Converts a resume and all of its contents into the JSON Resume format, after
+ * verifying that it belongs to the specified user.  See convertToJsonResume in
+ * util/jsonResume.js for how content is converted.
+ *
+ * @param {String} username - Name of user that wants to export the resume.
+ * @param {Number} documentId - ID of the resume to export.
+ * @returns {Promise<{documentName: String, jsonResume: Object}>} Name of the
+ *  resume, and the resume in the JSON Resume format.
+ * @throws {ArgumentError} If the document is a cover letter, which the JSON
+ *  Resume format has no place for.
+ */
+async function exportJsonResume(username, documentId) {
+  const logPrefix =
+    `${fileName}.exportJsonResume(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  if (document.kind === 'coverLetter') {
+    logger.error(
+      `${logPrefix}: User attempted to export a cover letter as JSON Resume.`
+    );
+    throw new ArgumentError(
+      'Cover letters can not be exported in the JSON Resume format.'
+    );
+  }
+
+  const documentContent = await Document.getDocumentAndSectionContent(
+    documentId
+  );
+
+  return {
+    documentName: documentContent.documentName,
+    jsonResume: convertToJsonResume(documentContent),
+  };
+}
+
+/**
+ * Converts the content of a snapshot into the JSON Resume format, after
+ * verifying that it belongs to the specified user.  See exportJsonResume.
+ *
+ * @param {String} username - Name of user that wants to export the snapshot.
+ * @param {Number} snapshotId - ID of the snapshot to export.
+ * @returns {Promise<{snapshotName: String, jsonResume: Object}>} Name of the
+ *  snapshot, and its content in the JSON Resume format.
+ * @throws {ArgumentError} If the snapshot is of a cover letter.
+ */
+async function exportSnapshotJsonResume(username, snapshotId) {
+  const logPrefix =
+    `${fileName}.exportSnapshotJsonResume(` +
+    `username = "${username}", ` +
+    `snapshotId = ${snapshotId})`;
+  logger.verbose(logPrefix);
+
+  const snapshot = await getSnapshot(username, snapshotId);
+
+  if (snapshot.content.kind === 'coverLetter') {
+    logger.error(
+      `${logPrefix}: User attempted to export a cover letter snapshot as ` +
+        'JSON Resume.'
+    );
+    throw new ArgumentError(
+      'Cover letters can not be exported in the JSON Resume format.'
+    );
+  }
+
+  return {
+    snapshotName: snapshot.snapshotName,
+    jsonResume: convertToJsonResume(snapshot.content),
+  };
+}
+
+/**
+ * Imports the contents of a resume into the master resume.  Contact info is
+ * created or updated, then every education, experience, certification,
+ * project, and their text snippets are created and added after any existing
+ * ones in the master resume.  The Education, Work Experience, Certifications,
+ * and Projects sections are added to the master resume if they are needed and
+ * not already in it.
+ *
+ * Document ownership is first verified.
+ *
+ * @param {String} username - Name of user that wants to import a resume.  This
+ *  should be the owner of the document.
+ * @param {Number} documentId - ID of the master resume to import into.
+ * @param {Object} props - Contents of the resume to import, in the format
+ *  returned by convertFromJsonResume in util/jsonResume.js.
+ * @param {Object} [props.contactInfo] - Properties of the contact info.
+ * @param {Object[]} props.educations - Properties of each education.
+ * @param {{experience: Object, textSnippets: Object[]}[]} props.experiences -
+ *  Properties of each experience and of the text snippets that belong to it.
+ * @param {Object[]} [props.certifications] - Properties of each
+ *  certification.
+ * @param {{project: Object, textSnippets: Object[]}[]} [props.projects] -
+ *  Properties of each project and of the text snippets that belong to it.
+ * @returns {Promise<Object>} The master resume and all of its contents, after
+ *  the import.  See Document.getDocumentAndSectionContent.
+ * @throws {ForbiddenError} If the document is not the master resume or is
+ *  locked.
+ */
+async function importJsonResume(username, documentId, props) {
+  const logPrefix =
+    `${fileName}.importJsonResume(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const {
+    contactInfo,
+    educations,
+    experiences,
+    certifications = [],
+    projects = [],
+  } = props;
+
+  // Verify document ownership, if document is master, and if document is not
+  // locked, before anything is saved.
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  if (!document.isMaster) {
+    logger.error(
+      `${logPrefix}: User attempted to import a resume ` +
+        'not into the master resume.'
+    );
+    throw new ForbiddenError(
+      'Resumes can only be imported into the master resume.'
+    );
+  }
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  if (contactInfo) await createUpdateContactInfo(username, contactInfo);
+
+  // Add needed sections, so that imported content is shown in the document.
+  const sectionNamesInDocument = (
+    await Section.getAllInDocument(documentId)
+  ).map((section) => section.sectionName);
+
+  for (const [sectionName, sectionItems] of [
+    ['Education', educations],
+    ['Work Experience', experiences],
+    ['Certifications', certifications],
+    ['Projects', projects],
+  ]) {
+    if (sectionItems.length && !sectionNamesInDocument.includes(sectionName)) {
+      const section = await Section.get({ sectionName });
+      await createDocument_x_section(username, documentId, section.id);
+    }
+  }
+
+  // Items are created one at a time, so that their positions follow the order
+  // that they were given in.
+  for (const educationProps of educations) {
+    await createSectionItem(
+      Education,
+      Document_X_Education,
+      username,
+      documentId,
+      educationProps
+    );
+  }
+
+  for (const { experience: experienceProps, textSnippets } of experiences) {
+    const { experience } = await createSectionItem(
+      Experience,
+      Document_X_Experience,
+      username,
+      documentId,
+      experienceProps
+    );
+
+    for (const textSnippetProps of textSnippets) {
+      await createExperienceTextSnippet(
+        username,
+        documentId,
+        experience.id,
+        textSnippetProps
+      );
+    }
+  }
+
+  for (const certificationProps of certifications) {
+    await createSectionItem(
+      Certification,
+      Document_X_Certification,
+      username,
+      documentId,
+      certificationProps
+    );
+  }
+
+  for (const { project: projectProps, textSnippets } of projects) {
+    const { project } = await createSectionItem(
+      Project,
+      Document_X_Project,
+      username,
+      documentId,
+      projectProps
+    );
+
+    for (const textSnippetProps of textSnippets) {
+      await createProjectTextSnippet(
+        username,
+        documentId,
+        project.id,
+        textSnippetProps
+      );
+    }
+  }
+
+  return await Document.getDocumentAndSectionContent(documentId);
+}
+
+// ==================================================
+
+module.exports = {
+  exportJsonResume,
+  exportSnapshotJsonResume,
+  importJsonResume,
+};
@@ -0,0 +1,317 @@
+'use strict';
+
+const Document = require('../models/document');
+const Section = require('../models/section');
+const Education = require('../models/education');
+const Document_X_Education = require('../models/document_x_education');
+const Experience = require('../models/experience');
+const Document_X_Experience = require('../models/document_x_experience');
+const {
+  createSectionItem: mockCreateSectionItem,
+} = require('./commonSectionsService');
+const {
+  createTextSnippet: mockCreateTextSnippet,
+} = require('./experienceXTextSnippetService');
+const { getSnapshot: mockGetSnapshot } = require('./documentSnapshotService');
+const {
+  createDocument_x_section: mockCreateDocument_x_section,
+} = require('./sectionService');
+const {
+  createUpdateContactInfo: mockCreateUpdateContactInfo,
+} = require('./userService');
+const {
+  validateOwnership: mockValidateOwnership,
+} = require('../util/serviceHelpers');
+const {
+  convertToJsonResume: mockConvertToJsonResume,
+} = require('../util/jsonResume');
+
+const {
+  exportJsonResume,
+  exportSnapshotJsonResume,
+  importJsonResume,
+} = require('./jsonResumeService');
+
+const { ArgumentError, ForbiddenError } = require('../errors/appErrors');
+
+// ==================================================
+
+jest.mock('../models/document');
+jest.mock('../models/section');
+jest.mock('./commonSectionsService');
+jest.mock('./experienceXTextSnippetService');
+jest.mock('./documentSnapshotService');
+jest.mock('./sectionService');
+jest.mock('./userService');
+jest.mock('../util/serviceHelpers');
+jest.mock('../util/jsonResume');
+
+// ==================================================
+
+// --------------------------------------------------
+// exportJsonResume
+
+describe('exportJsonResume', () => {
+  const username = 'user1';
+  const documentId = 1;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Converts a resume into the JSON Resume format.', async () => {
+    // Arrange
+    const documentContentMock = Object.freeze({
+      id: documentId,
+      documentName: 'Resume',
+    });
+    const jsonResumeMock = Object.freeze({ basics: {} });
+
+    mockValidateOwnership.mockResolvedValue({ kind: 'resume' });
+    Document.getDocumentAndSectionContent.mockResolvedValue(
+      documentContentMock
+    );
+    mockConvertToJsonResume.mockReturnValue(jsonResumeMock);
+
+    // Act
+    const result = await exportJsonResume(username, documentId);
+
+    // Assert
+    expect(result).toEqual({
+      documentName: 'Resume',
+      jsonResume: jsonResumeMock,
+    });
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(mockConvertToJsonResume).toHaveBeenCalledWith(documentContentMock);
+  });
+
+  test('Throws ArgumentError if document is a cover letter.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue({ kind: 'coverLetter' });
+
+    // Act
+    async function runFunc() {
+      await exportJsonResume(username, documentId);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ArgumentError);
+    expect(mockConvertToJsonResume).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// exportSnapshotJsonResume
+
+describe('exportSnapshotJsonResume', () => {
+  const username = 'user1';
+  const snapshotId = 2;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Converts the content of a snapshot into the JSON Resume format.', async () => {
+    // Arrange
+    const contentMock = Object.freeze({ kind: 'resume' });
+    const jsonResumeMock = Object.freeze({ basics: {} });
+
+    mockGetSnapshot.mockResolvedValue({
+      snapshotName: 'Sent to Company',
+      content: contentMock,
+    });
+    mockConvertToJsonResume.mockReturnValue(jsonResumeMock);
+
+    // Act
+    const result = await exportSnapshotJsonResume(username, snapshotId);
+
+    // Assert
+    expect(result).toEqual({
+      snapshotName: 'Sent to Company',
+      jsonResume: jsonResumeMock,
+    });
+    expect(mockGetSnapshot).toHaveBeenCalledWith(username, snapshotId);
+    expect(mockConvertToJsonResume).toHaveBeenCalledWith(contentMock);
+  });
+
+  test('Throws ArgumentError if snapshot is of a cover letter.', async () => {
+    // Arrange
+    mockGetSnapshot.mockResolvedValue({
+      snapshotName: 'Sent to Company',
+      content: { kind: 'coverLetter' },
+    });
+
+    // Act
+    async function runFunc() {
+      await exportSnapshotJsonResume(username, snapshotId);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ArgumentError);
+    expect(mockConvertToJsonResume).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// importJsonResume
+
+describe('importJsonResume', () => {
+  const username = 'user1';
+  const documentId = 1;
+  const documentContentMock = Object.freeze({ id: documentId });
+
+  const contactInfo = Object.freeze({ fullName: 'First Last' });
+  const educations = Object.freeze([
+    Object.freeze({ school: 'University 1' }),
+    Object.freeze({ school: 'University 2' }),
+  ]);
+  const experiences = Object.freeze([
+    Object.freeze({
+      experience: Object.freeze({ title: 'Software Engineer' }),
+      textSnippets: Object.freeze([
+        Object.freeze({ type: 'bullet point', content: 'Wrote code.' }),
+        Object.freeze({ type: 'bullet point', content: 'Fixed bugs.' }),
+      ]),
+    }),
+  ]);
+  const props = Object.freeze({ contactInfo, educations, experiences });
+
+  const sections = Object.freeze({
+    Education: Object.freeze({ id: 1, sectionName: 'Education' }),
+    'Work Experience': Object.freeze({ id: 2, sectionName: 'Work Experience' }),
+  });
+  const experienceId = 5;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+
+    mockValidateOwnership.mockResolvedValue({ isMaster: true });
+    Section.get.mockImplementation(({ sectionName }) =>
+      Promise.resolve(sections[sectionName])
+    );
+    mockCreateSectionItem.mockImplementation((classRef) =>
+      Promise.resolve(
+        classRef === Experience ? { experience: { id: experienceId } } : {}
+      )
+    );
+    Document.getDocumentAndSectionContent.mockResolvedValue(
+      documentContentMock
+    );
+  });
+
+  test('Imports all contents into the master resume.', async () => {
+    // Arrange
+    Section.getAllInDocument.mockResolvedValue([]);
+
+    // Act
+    const document = await importJsonResume(username, documentId, props);
+
+    // Assert
+    expect(document).toBe(documentContentMock);
+
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+
+    expect(mockCreateUpdateContactInfo).toHaveBeenCalledWith(
+      username,
+      contactInfo
+    );
+
+    expect(mockCreateDocument_x_section).toHaveBeenCalledTimes(2);
+    Object.values(sections).forEach((section) =>
+      expect(mockCreateDocument_x_section).toHaveBeenCalledWith(
+        username,
+        documentId,
+        section.id
+      )
+    );
+
+    // Items should be created in the given order.
+    expect(mockCreateSectionItem.mock.calls).toEqual([
+      ...educations.map((education) => [
+        Education,
+        Document_X_Education,
+        username,
+        documentId,
+        education,
+      ]),
+      [
+        Experience,
+        Document_X_Experience,
+        username,
+        documentId,
+        experiences[0].experience,
+      ],
+    ]);
+
+    expect(mockCreateTextSnippet.mock.calls).toEqual(
+      experiences[0].textSnippets.map((textSnippet) => [
+        username,
+        documentId,
+        experienceId,
+        textSnippet,
+      ])
+    );
+
+    expect(Document.getDocumentAndSectionContent).toHaveBeenCalledWith(
+      documentId
+    );
+  });
+
+  test('Does not add sections that are already in the document.', async () => {
+    // Arrange
+    Section.getAllInDocument.mockResolvedValue([sections.Education]);
+
+    // Act
+    await importJsonResume(username, documentId, props);
+
+    // Assert
+    expect(mockCreateDocument_x_section).toHaveBeenCalledTimes(1);
+    expect(mockCreateDocument_x_section).toHaveBeenCalledWith(
+      username,
+      documentId,
+      sections['Work Experience'].id
+    );
+  });
+
+  test('Does not add sections or contact info without content.', async () => {
+    // Arrange
+    Section.getAllInDocument.mockResolvedValue([]);
+
+    // Act
+    await importJsonResume(username, documentId, {
+      educations: [],
+      experiences: [],
+    });
+
+    // Assert
+    expect(mockCreateUpdateContactInfo).not.toHaveBeenCalled();
+    expect(mockCreateDocument_x_section).not.toHaveBeenCalled();
+    expect(mockCreateSectionItem).not.toHaveBeenCalled();
+  });
+
+  test('Throws ForbiddenError if document is not master.', async () => {
+    // Arrange
+    mockValidateOwnership.mockResolvedValue({ isMaster: false });
+
+    // Act
+    async function runFunc() {
+      await importJsonResume(username, documentId, props);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+
+    expect(mockCreateUpdateContactInfo).not.toHaveBeenCalled();
+    expect(mockCreateSectionItem).not.toHaveBeenCalled();
+  });
+});
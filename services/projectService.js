@@ -0,0 +1,222 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+
+const Document = require('../models/document');
+const Project = require('../models/project');
+const Document_X_Project = require('../models/document_x_project');
+const {
+  createSectionItem,
+  createDocumentXSectionTypeRelationship,
+  updateDocumentXSectionTypePositions,
+} = require('./commonSectionsService');
+const {
+  validateOwnership,
+  validateDocumentNotLocked,
+  validateContentNotInLockedDocuments,
+  transformObjectEmptyStringValuesIntoNulls,
+} = require('../util/serviceHelpers');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Creates a project and document-project relationship entry in the
+ * database.  The new project will be positioned after the last, or highest
+ * value position, project in the document.
+ *
+ * Note that, currently, projects can only be added to the master resume.
+ * This can be changed in the future.
+ *
+ * Document ownership is first verified.
+ *
+ * @param {String} username - Name of user that wants to add a project to
+ *  the document.
+ * @param {Number} documentId - ID of the document that is being attached with
+ *  a project.
+ * @param {Object} props - Properties of the project to add.
+ * @returns {Promise<{
+ *    project: Project,
+ *    document_x_project: Document_X_Project
+ *  }>}
+ *  An Object containing a Project instance that contains the saved data
+ *  and a Document_X_Project instance that contains the document-project
+ *  relationship data.
+ */
+async function createProject(username, documentId, props) {
+  const logPrefix =
+    `${fileName}.createProject(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  return await createSectionItem(
+    Project,
+    Document_X_Project,
+    username,
+    documentId,
+    props
+  );
+}
+
+/**
+ * Creates a document_x_project record (document-project relationship) in
+ * the database.  Project and document ownership are verified, then the next
+ * position is found by getting all document_x_project records.
+ *
+ * @param {String} username - Name of user that wants to interact with the
+ *  document.  This should be the owner.
+ * @param {Number} documentId - ID of the document that is having a project
+ *  attach to it.
+ * @param {Number} projectId - ID of the project to attach to the
+ *  document.
+ * @returns {Document_X_Project} A Document_X_Project instance that
+ *  contains the document-project relationship data.
+ */
+async function createDocument_x_project(username, documentId, projectId) {
+  return await createDocumentXSectionTypeRelationship(
+    Project,
+    Document_X_Project,
+    username,
+    documentId,
+    projectId
+  );
+}
+
+/**
+ * Verifies that a project belongs to the specified user and then updates
+ * the project.  The project can not be updated if it is in a locked
+ * document, since the changes would show up there.
+ *
+ * @param {String} username - Name of user that wants to update the project.
+ * @param {Number} projectId - ID of the project to update.
+ * @param {Object} props - Properties of the project to be updated.  See
+ *  route for full list.
+ * @returns {Project} A Project instance containing the updated info.
+ * @throws {ForbiddenError} If the project is in a locked document.
+ */
+async function updateProject(username, projectId, props) {
+  const logPrefix =
+    `${fileName}.updateProject(` +
+    `username = "${username}", ` +
+    `projectId = ${projectId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  // Verify ownership.
+  const project = await validateOwnership(
+    Project,
+    username,
+    { id: projectId },
+    logPrefix
+  );
+
+  await validateContentNotInLockedDocuments({ projectId }, logPrefix);
+
+  // Update project.
+  return await project.update(transformObjectEmptyStringValuesIntoNulls(props));
+}
+
+/**
+ * Changes the order of the projects in a document.
+ *
+ * @param {String} username - Name of user that wants to interact with the
+ *  document.  This should be the owner.
+ * @param {Number} documentId - ID of the document that is having its
+ *  projects reordered.
+ * @param {Number[]} projectIds - List of projects IDs with the desired
+ *  ordering.
+ * @returns {Project[]} A list of Project instances, in order of position.
+ */
+async function updateDocument_x_projectPositions(
+  username,
+  documentId,
+  projectIds
+) {
+  const logPrefix =
+    `${fileName}.updateDocument_x_projectPositions(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `projectIds = ${JSON.stringify(projectIds)})`;
+  logger.verbose(logPrefix);
+
+  return await updateDocumentXSectionTypePositions(
+    Project,
+    Document_X_Project,
+    username,
+    documentId,
+    projectIds
+  );
+}
+
+/**
+ * Deletes a document-project relationship.  Document ownership is first
+ * verified.
+ *
+ * @param {String} username - Name of user that wants to delete the
+ *  document-project relationship.  This should be the owner.
+ * @param {Number} documentId - ID of the document to remove the project
+ *  from.
+ * @param {Number} projectId - ID of the project to be removed.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+async function deleteDocument_x_project(username, documentId, projectId) {
+  const logPrefix =
+    `${fileName}.deleteDocument_x_project(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `projectId = ${projectId})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  await Document_X_Project.delete(documentId, projectId);
+}
+
+/**
+ * Deletes a project.
+ *
+ * @param {String} username - Name of user that wants to delete the project.
+ *  This should be the owner.
+ * @param {Number} projectId - ID of the project to be deleted.
+ * @throws {ForbiddenError} If the project is in a locked document.
+ */
+async function deleteProject(username, projectId) {
+  const logPrefix =
+    `${fileName}.deleteProject(` +
+    `username = "${username}", ` +
+    `projectId = ${projectId})`;
+  logger.verbose(logPrefix);
+
+  const project = await validateOwnership(
+    Project,
+    username,
+    { id: projectId },
+    logPrefix
+  );
+
+  await validateContentNotInLockedDocuments({ projectId }, logPrefix);
+
+  await project.delete();
+}
+
+// ==================================================
+
+module.exports = {
+  createProject,
+  createDocument_x_project,
+  updateProject,
+  updateDocument_x_projectPositions,
+  deleteDocument_x_project,
+  deleteProject,
+};
@@ -0,0 +1,349 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+
+const Document = require('../models/document');
+const Project = require('../models/project');
+const Document_X_Project = require('../models/document_x_project');
+const TextSnippet = require('../models/textSnippet');
+const Project_X_Text_Snippet = require('../models/project_x_textSnippet');
+const {
+  validateOwnership,
+  validateDocumentNotLocked,
+  getLastPosition,
+} = require('../util/serviceHelpers');
+
+const { BadRequestError, ForbiddenError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+/**
+ * Creates a text snippet and project-text snippet relationship entry in the
+ * database.  The new text snippet will be positioned after the last, or highest
+ * value position, text snippet in the document.
+ *
+ * Note that, currently, text snippets can only be added to projects in the
+ * master resume. This can be changed in the future.
+ *
+ * Document and project ownerships are first verified.
+ *
+ * @param {String} username - Name of user that wants to add a text snippet to
+ *  the project and document.
+ * @param {Number} documentId - ID of the document that the associated
+ *  project is in.
+ * @param {Number} projectId - ID of the project that is being attached
+ *  with a text snippet.
+ * @param {Object} props - Properties of the text snippet to add.
+ * @throws {ForbiddenError} If the document is not the master resume or is
+ *  locked.
+ * @returns {Promise<{
+ *    textSnippet: TextSnippet,
+ *    projectXTextSnippet: Project_X_Text_Snippet
+ *  }>}
+ *  textSnippet - Text snippet ID, version, owner, parent, type, and content.
+ *  projectXTextSnippet - The project-(text snippet) relationship that
+ *  contains the document-project ID, text snippet ID, version of the text
+ *  snippet, and position of the text snippet among other text snippets in the
+ *  project and document.
+ */
+async function createTextSnippet(username, documentId, projectId, props) {
+  const logPrefix =
+    `${fileName}.createTextSnippet(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `projectId = ${projectId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  // Verify document ownership.
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  // Checking if document is master.
+  if (!document.isMaster) {
+    logger.error(
+      `${logPrefix}: User attempted to add a text snippet ` +
+        'not to the master resume.'
+    );
+    throw new ForbiddenError(
+      'Text snippet can only be added to the master resume.'
+    );
+  }
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  // Verify project ownership.
+  await validateOwnership(Project, username, { id: projectId }, logPrefix);
+
+  // Create text snippet.
+  const textSnippet = await TextSnippet.add({ ...props, owner: username });
+
+  // Creating relationship to master ...
+
+  // Find the document-project relationship ID.
+  const documentXProjectId = (
+    await Document_X_Project.get({ documentId, projectId })
+  ).id;
+
+  // Find next position.
+  const projectsXTextSnippets = await Project_X_Text_Snippet.getAll(
+    documentXProjectId
+  );
+  const nextPosition = getLastPosition(projectsXTextSnippets) + 1;
+
+  // Create project-text snippet relationship.
+  const projectXTextSnippet = await Project_X_Text_Snippet.add({
+    documentXProjectId,
+    textSnippetId: textSnippet.id,
+    textSnippetVersion: textSnippet.version,
+    position: nextPosition,
+  });
+
+  return { textSnippet, projectXTextSnippet };
+}
+
+/**
+ * Gets all text snippets for a specified project from a user.
+ *
+ * Project ownership is first verified.
+ *
+ * @param {String} username - Name of the user to get text snippets for.
+ * @param {Number} projectId - ID of the project to get text snippets for.
+ * @returns {Promise<TextSnippet[]>} A list of text snippets belonging to an
+ *  project.
+ */
+async function getTextSnippets(username, projectId) {
+  const logPrefix =
+    `${fileName}.getTextSnippets(` +
+    `username = "${username}", ` +
+    `projectId = ${projectId})`;
+  logger.verbose(logPrefix);
+
+  await validateOwnership(Project, username, { id: projectId }, logPrefix);
+
+  return await TextSnippet.getAllForProject(username, projectId);
+}
+
+/**
+ * Verifies document, project, and text snippet ownership and creates a
+ * project-text snippet relationship in the database.  The new text snippet
+ * will be positioned after the last, or highest value position, text snippet in
+ * the document.
+ *
+ * Note that, text snippets can only be attached to projects not in the
+ * master resume, because currently, only text snippets can be added to the
+ * master, which results in a relationship already being created in the master.
+ * It would also not make sense to have the master resume pull info from other
+ * documents when the purpose of the master resume is to have info be pulled out
+ * of it.
+ *
+ * @param {String} username - Name of the user that wants to attach a text
+ *  snippet.
+ * @param {Number} documentId - ID of the document that the associated
+ *  project is in.
+ * @param {Number} projectId - ID of the project to a text snippet to.
+ * @param {Number} textSnippetId - ID part of the text snippet to attach.
+ * @param {String} textSnippetVersion - Version part of the text snippet to
+ *  attach.
+ * @returns {Promise<Project_X_Text_Snippet>} An Project_X_Text_Snippet
+ *  instance that contains the project-text snippet relationship data.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+async function createProject_x_textSnippet(
+  username,
+  documentId,
+  projectId,
+  textSnippetId,
+  textSnippetVersion
+) {
+  const logPrefix =
+    `${fileName}.createProject_x_textSnippet(` +
+    `username = "${username}", ` +
+    `documentId = "${documentId}", ` +
+    `projectId = "${projectId}", ` +
+    `textSnippetId = "${textSnippetId}", ` +
+    `textSnippetVersion = ${textSnippetVersion})`;
+  logger.verbose(logPrefix);
+
+  // Verify ownership.
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  await validateOwnership(Project, username, { id: projectId }, logPrefix);
+  await validateOwnership(
+    TextSnippet,
+    username,
+    { id: textSnippetId, version: textSnippetVersion },
+    logPrefix
+  );
+
+  // Find the document-project relationship ID.
+  const documentXProjectId = (
+    await Document_X_Project.get({ documentId, projectId })
+  ).id;
+
+  // Find next position.
+  const projectsXTextSnippets = await Project_X_Text_Snippet.getAll(
+    documentXProjectId
+  );
+  const nextPosition = getLastPosition(projectsXTextSnippets) + 1;
+
+  // Create project-text snippet relationship.
+  return await Project_X_Text_Snippet.add({
+    documentXProjectId,
+    textSnippetId,
+    textSnippetVersion,
+    position: nextPosition,
+  });
+}
+
+/**
+ * Changes the order of the text snippets in a project in a document.  The
+ * text snippet versions are not needed, because there is only be one text
+ * snippet for a particular text snippet ID in a project in a specific
+ * document.
+ *
+ * @param {String} username - Name of user that wants to interact with the
+ *  document.  This should be the owner.
+ * @param {Number} documentId - ID of the document that the project belongs
+ *  to.
+ * @param {Number} projectId - ID of the project that is having its text
+ *  snippets reordered.
+ * @param {Number[]} textSnippetIds - List of text snippet IDs with the desired
+ *  ordering.
+ * @returns {Promise<TextSnippet[]>} A list of TextSnippet instances, in order
+ *  of position within project and document.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+async function updateProjectXTextSnippetsPositions(
+  username,
+  documentId,
+  projectId,
+  textSnippetIds
+) {
+  const logPrefix =
+    `${fileName}.updateProject_x_textSnippetsPositions(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `projectId = ${projectId}, ` +
+    `textSnippetIds = ${JSON.stringify(textSnippetIds)})`;
+  logger.verbose(logPrefix);
+
+  // Project ID does not need to be validated, because only projects from
+  // a user can only be added to that user's documents.  There would be no
+  // documents_x_projects entries if the project ID does not belong to the
+  // user.
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  const documentXProjectId = (
+    await Document_X_Project.get({
+      documentId,
+      projectId,
+    })
+  ).id;
+
+  // Verify that textSnippetIds contains all of the text snippets in the
+  // project in the document.
+  const projectsXTextSnippets = await Project_X_Text_Snippet.getAll(
+    documentXProjectId
+  );
+  if (
+    projectsXTextSnippets.length !== textSnippetIds.length ||
+    !projectsXTextSnippets.every((pxt) =>
+      textSnippetIds.includes(pxt.textSnippetId)
+    )
+  ) {
+    logger.error(
+      `${logPrefix}: Provided text snippet IDs do not exactly ` +
+        'match those in document.'
+    );
+    throw new BadRequestError(
+      'All text snippets, and only those, need to be included ' +
+        'when updating their positions in a project in a document.'
+    );
+  }
+
+  await Project_X_Text_Snippet.updateAllPositions(
+    documentXProjectId,
+    textSnippetIds
+  );
+
+  return await TextSnippet.getAllForProjectInDocument(
+    username,
+    documentId,
+    projectId
+  );
+}
+
+/**
+ * Deletes a project-text snippet relationship.  Document ownership is first
+ * verified.
+ *
+ * @param {String} username - Name of user that wants to delete the
+ *  project-text snippet relationship.  This should be the owner.
+ * @param {Number} documentId - ID of the document to remove the project-text
+ *  snippet relationship from.
+ * @param {Number} projectId - ID of the project to remove the
+ *  project-text snippet relationship from.
+ * @param {Number} textSnippetId - ID of the text snippet to remove.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+async function deleteProject_x_textSnippet(
+  username,
+  documentId,
+  projectId,
+  textSnippetId
+) {
+  const logPrefix =
+    `${fileName}.deleteProject_x_textSnippet(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `textSnippetId = ${textSnippetId}, ` +
+    `projectId = ${projectId})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  const documentXProjectId = (
+    await Document_X_Project.get({ documentId, projectId })
+  ).id;
+
+  await Project_X_Text_Snippet.delete(documentXProjectId, textSnippetId);
+}
+
+// ==================================================
+
+module.exports = {
+  createTextSnippet,
+  getTextSnippets,
+  createProject_x_textSnippet,
+  updateProjectXTextSnippetsPositions,
+  deleteProject_x_textSnippet,
+};
@@ -0,0 +1,369 @@
+'use strict';
+
+const Document = require('../models/document');
+const Project = require('../models/project');
+const Document_X_Project = require('../models/document_x_project');
+const TextSnippet = require('../models/textSnippet');
+const Project_X_Text_Snippet = require('../models/project_x_textSnippet');
+const {
+  validateOwnership: mockValidateOwnership,
+  getLastPosition: mockGetLastPosition,
+} = require('../util/serviceHelpers');
+
+const {
+  createTextSnippet,
+  createProject_x_textSnippet,
+  updateProjectXTextSnippetsPositions,
+} = require('./projectXTextSnippetService');
+
+const { BadRequestError, ForbiddenError } = require('../errors/appErrors');
+
+// ==================================================
+
+jest.mock('../models/document');
+jest.mock('../models/project');
+jest.mock('../models/document_x_project');
+jest.mock('../models/textSnippet');
+jest.mock('../models/project_x_textSnippet');
+jest.mock('../util/serviceHelpers');
+
+// ==================================================
+
+const username = 'user1';
+const documentId = 1;
+const projectId = 1;
+const textSnippetId = 1;
+const textSnippetVersion = '2000-01-01T00:00:00.000Z';
+const documentXProjectMock = Object.freeze({ id: 1 });
+const projectsXTextSnippetsMock = Object.freeze([]);
+const lastPosition = 9;
+const projectXTextSnippetMock = Object.freeze({});
+
+// --------------------------------------------------
+// createTextSnippet
+
+describe('createTextSnippet', () => {
+  const props = Object.freeze({
+    type: 'plain',
+    content: 'Achieved 20% reduction in cost.',
+  });
+
+  const textSnippetMock = Object.freeze({
+    id: textSnippetId,
+    version: textSnippetVersion,
+    owner: username,
+    type: props.type,
+    content: props.content,
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Creates textSnippet and projectXTextSnippet successfully.', async () => {
+    // Arrange
+
+    // For document:
+    mockValidateOwnership.mockResolvedValueOnce({ isMaster: true });
+    // For project:
+    mockValidateOwnership.mockResolvedValueOnce({});
+
+    TextSnippet.add.mockResolvedValue(textSnippetMock);
+    Document_X_Project.get.mockResolvedValue(documentXProjectMock);
+    Project_X_Text_Snippet.getAll.mockResolvedValue(projectsXTextSnippetsMock);
+    mockGetLastPosition.mockReturnValue(lastPosition);
+    Project_X_Text_Snippet.add.mockResolvedValue(projectXTextSnippetMock);
+
+    // Act
+    const result = await createTextSnippet(
+      username,
+      documentId,
+      projectId,
+      props
+    );
+
+    // Assert
+    expect(result).toStrictEqual({
+      textSnippet: textSnippetMock,
+      projectXTextSnippet: projectXTextSnippetMock,
+    });
+
+    expect(mockValidateOwnership).toHaveBeenCalledTimes(2);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Project,
+      username,
+      { id: projectId },
+      expect.any(String)
+    );
+
+    expect(TextSnippet.add).toHaveBeenCalledWith({ ...props, owner: username });
+
+    expect(Document_X_Project.get).toHaveBeenCalledWith({
+      documentId,
+      projectId,
+    });
+
+    expect(Project_X_Text_Snippet.getAll).toHaveBeenCalledWith(
+      documentXProjectMock.id
+    );
+
+    expect(mockGetLastPosition).toHaveBeenCalledWith(projectsXTextSnippetsMock);
+
+    expect(Project_X_Text_Snippet.add).toHaveBeenCalledWith({
+      documentXProjectId: documentXProjectMock.id,
+      textSnippetId: textSnippetMock.id,
+      textSnippetVersion: textSnippetMock.version,
+      position: lastPosition + 1,
+    });
+  });
+
+  test('Throws ForbiddenError if document is not master.', async () => {
+    // Arrange
+
+    // For document:
+    mockValidateOwnership.mockResolvedValueOnce({ isMaster: false });
+
+    // Act
+    async function runFunc() {
+      await createTextSnippet(username, documentId, projectId, props);
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+
+    expect(mockValidateOwnership).toHaveBeenCalledTimes(1);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+
+    expect(TextSnippet.add).not.toHaveBeenCalled();
+    expect(Document_X_Project.get).not.toHaveBeenCalled();
+    expect(Project_X_Text_Snippet.getAll).not.toHaveBeenCalled();
+    expect(mockGetLastPosition).not.toHaveBeenCalled();
+    expect(Project_X_Text_Snippet.add).not.toHaveBeenCalled();
+  });
+});
+
+// --------------------------------------------------
+// createProject_x_textSnippet
+
+describe('createProject_x_textSnippet', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Creates projectXTextSnippet successfully.', async () => {
+    // Arrange
+    Document_X_Project.get.mockResolvedValue(documentXProjectMock);
+    Project_X_Text_Snippet.getAll.mockResolvedValue(projectsXTextSnippetsMock);
+    mockGetLastPosition.mockReturnValue(lastPosition);
+    Project_X_Text_Snippet.add.mockResolvedValue(projectXTextSnippetMock);
+
+    // Act
+    const projectXTextSnippet = await createProject_x_textSnippet(
+      username,
+      documentId,
+      projectId,
+      textSnippetId,
+      textSnippetVersion
+    );
+
+    // Assert
+    expect(projectXTextSnippet).toBe(projectXTextSnippetMock);
+
+    expect(mockValidateOwnership).toHaveBeenCalledTimes(3);
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Project,
+      username,
+      { id: projectId },
+      expect.any(String)
+    );
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      TextSnippet,
+      username,
+      { id: textSnippetId, version: textSnippetVersion },
+      expect.any(String)
+    );
+
+    expect(Document_X_Project.get).toHaveBeenCalledWith({
+      documentId,
+      projectId,
+    });
+
+    expect(Project_X_Text_Snippet.getAll).toHaveBeenCalledWith(
+      documentXProjectMock.id
+    );
+
+    expect(mockGetLastPosition).toHaveBeenCalledWith(projectsXTextSnippetsMock);
+
+    expect(Project_X_Text_Snippet.add).toHaveBeenCalledWith({
+      documentXProjectId: documentXProjectMock.id,
+      textSnippetId,
+      textSnippetVersion,
+      position: lastPosition + 1,
+    });
+  });
+});
+
+// --------------------------------------------------
+// updateProjectXTextSnippetsPositions
+
+describe('updateProjectXTextSnippetsPositions', () => {
+  const projectsXTextSnippetsMock = Object.freeze(
+    [{ textSnippetId: 1 }, { textSnippetId: 2 }, { textSnippetId: 3 }].map(
+      (item) => Object.freeze(item)
+    )
+  );
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Updates positions and returns ordered text snippets.', async () => {
+    // Arrange
+    const textSnippetIds = Object.freeze([3, 1, 2]);
+    const repositionedTextSnippetsMock = Object.freeze([]);
+
+    Document_X_Project.get.mockResolvedValue(documentXProjectMock);
+    Project_X_Text_Snippet.getAll.mockResolvedValue(projectsXTextSnippetsMock);
+    TextSnippet.getAllForProjectInDocument.mockResolvedValue(
+      repositionedTextSnippetsMock
+    );
+
+    // Act
+    const updatedTextSnippets = await updateProjectXTextSnippetsPositions(
+      username,
+      documentId,
+      projectId,
+      textSnippetIds
+    );
+
+    // Assert
+    expect(updatedTextSnippets).toBe(repositionedTextSnippetsMock);
+
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+
+    expect(Document_X_Project.get).toHaveBeenCalledWith({
+      documentId,
+      projectId,
+    });
+
+    expect(Project_X_Text_Snippet.getAll).toHaveBeenCalledWith(
+      documentXProjectMock.id
+    );
+
+    expect(Project_X_Text_Snippet.updateAllPositions).toHaveBeenCalledWith(
+      documentXProjectMock.id,
+      textSnippetIds
+    );
+
+    expect(TextSnippet.getAllForProjectInDocument).toHaveBeenCalledWith(
+      username,
+      documentId,
+      projectId
+    );
+  });
+
+  test.each([[[3, 1]], [[3, 1, 2, 4]]])(
+    'Throws an Error if number of IDs does not match.',
+    async (textSnippetIds) => {
+      // Arrange
+      Document_X_Project.get.mockResolvedValue(documentXProjectMock);
+      Project_X_Text_Snippet.getAll.mockResolvedValue(
+        projectsXTextSnippetsMock
+      );
+
+      // Act
+      async function runFunc() {
+        await updateProjectXTextSnippetsPositions(
+          username,
+          documentId,
+          projectId,
+          textSnippetIds
+        );
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(BadRequestError);
+
+      expect(mockValidateOwnership).toHaveBeenCalledWith(
+        Document,
+        username,
+        { id: documentId },
+        expect.any(String)
+      );
+
+      expect(Document_X_Project.get).toHaveBeenCalledWith({
+        documentId,
+        projectId,
+      });
+
+      expect(Project_X_Text_Snippet.getAll).toHaveBeenCalledWith(
+        documentXProjectMock.id
+      );
+
+      expect(Project_X_Text_Snippet.updateAllPositions).not.toHaveBeenCalled();
+      expect(TextSnippet.getAllForProjectInDocument).not.toHaveBeenCalled();
+    }
+  );
+
+  test('Throws an Error if text snippet IDs mismatch.', async () => {
+    // Arrange
+    const textSnippetIds = [1, 2, 4];
+
+    Document_X_Project.get.mockResolvedValue(documentXProjectMock);
+    Project_X_Text_Snippet.getAll.mockResolvedValue(projectsXTextSnippetsMock);
+
+    // Act
+    async function runFunc() {
+      await updateProjectXTextSnippetsPositions(
+        username,
+        documentId,
+        projectId,
+        textSnippetIds
+      );
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(BadRequestError);
+
+    expect(mockValidateOwnership).toHaveBeenCalledWith(
+      Document,
+      username,
+      { id: documentId },
+      expect.any(String)
+    );
+
+    expect(Document_X_Project.get).toHaveBeenCalledWith({
+      documentId,
+      projectId,
+    });
+
+    expect(Project_X_Text_Snippet.getAll).toHaveBeenCalledWith(
+      documentXProjectMock.id
+    );
+
+    expect(Project_X_Text_Snippet.updateAllPositions).not.toHaveBeenCalled();
+    expect(TextSnippet.getAllForProjectInDocument).not.toHaveBeenCalled();
+  });
+});
@@ -8,10 +8,12 @@ const Section = require('../models/section');
 const Document_X_Section = require('../models/document_x_section');
 const {
   validateOwnership,
+  validateDocumentNotLocked,
+  validateDocumentIsResume,
   getLastPosition,
 } = require('../util/serviceHelpers');
 
-const { BadRequestError } = require('../errors/appErrors');
+const { BadRequestError, ForbiddenError } = require('../errors/appErrors');
 
 const logger = require('../util/logger');
 
@@ -22,6 +24,9 @@ const logger = require('../util/logger');
  * database.  The document owner is first verified, then the next position is
  * found by getting all document_x_section records.
  *
+ * Built-in sections can be attached to any document, but custom sections can
+ * only be attached to documents of the user that made them.
+ *
  * @param {String} username - Name of user that wants to interact with the
  *  document.  This should be the owner.
  * @param {Number} documentId - ID of the document that is having a section
@@ -29,6 +34,9 @@ const logger = require('../util/logger');
  * @param {Number} sectionId - ID of the section to attach to the document.
  * @returns {Document_X_Section} A Document_X_Section instance that contains the
  *  document-section relationship data.
+ * @throws {BadRequestError} If the document is a cover letter.
+ * @throws {ForbiddenError} If the document is locked or if the section is a
+ *  custom section of another user.
  */
 async function createDocument_x_section(username, documentId, sectionId) {
   const logPrefix =
@@ -38,7 +46,25 @@ async function createDocument_x_section(username, documentId, sectionId) {
     `sectionId = ${sectionId})`;
   logger.verbose(logPrefix);
 
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentIsResume(document, logPrefix);
+  validateDocumentNotLocked(document, logPrefix);
+
+  const section = await Section.get({ id: sectionId });
+  if (section.owner !== null && section.owner !== username) {
+    logger.error(
+      `${logPrefix}: Custom section belongs to user "${section.owner}".`
+    );
+    throw new ForbiddenError(
+      "Can not access or interact with another user's section."
+    );
+  }
 
   const documents_x_sections = await Document_X_Section.getAll(documentId);
   const nextPosition = getLastPosition(documents_x_sections) + 1;
@@ -93,6 +119,7 @@ async function getSections(username, documentId) {
  * @param {Number[]} sectionIds - List of sections IDs with the desired
  *  ordering.
  * @returns {Section[]} A list of Section instances, in order of position.
+ * @throws {ForbiddenError} If the document is locked.
  */
 async function updateDocument_x_sectionPositions(
   username,
@@ -106,7 +133,14 @@ async function updateDocument_x_sectionPositions(
     `sectionIds = [${sectionIds}])`;
   logger.verbose(logPrefix);
 
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
 
   // Verify that sectionIds contains all of the sections in the document.
   const documents_x_sections = await Document_X_Section.getAll(documentId);
@@ -137,6 +171,7 @@ async function updateDocument_x_sectionPositions(
  *  document-section relationship.  This should be the owner.
  * @param {Number} documentId - ID of the document to remove the section from.
  * @param {Number} sectionId - ID of the section to be removed.
+ * @throws {ForbiddenError} If the document is locked.
  */
 async function deleteDocument_x_section(username, documentId, sectionId) {
   const logPrefix =
@@ -146,7 +181,14 @@ async function deleteDocument_x_section(username, documentId, sectionId) {
     `sectionId = ${sectionId})`;
   logger.verbose(logPrefix);
 
-  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
 
   await Document_X_Section.delete(documentId, sectionId);
 }
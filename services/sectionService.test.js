@@ -12,7 +12,7 @@ const {
   getLastPosition: mockGetLastPosition,
 } = require('../util/serviceHelpers');
 
-const { BadRequestError } = require('../errors/appErrors');
+const { BadRequestError, ForbiddenError } = require('../errors/appErrors');
 
 const { documents_x_sections } = require('../_testData');
 
@@ -36,6 +36,13 @@ describe('createDocument_x_section', () => {
     Document_X_Section.getAll.mockReset();
     mockGetLastPosition.mockReset();
     Document_X_Section.add.mockReset();
+    Section.get.mockReset();
+
+    Section.get.mockResolvedValue({
+      id: 3,
+      sectionName: 'Skills',
+      owner: null,
+    });
   });
 
   test.each([
@@ -84,6 +91,54 @@ describe('createDocument_x_section', () => {
     }
   );
 
+  test('Adds a Document_X_Section for a custom section of the user.', async () => {
+    // Arrange
+    const sectionIdToAdd = 6;
+
+    Section.get.mockResolvedValue({
+      id: sectionIdToAdd,
+      sectionName: 'Publications',
+      owner: username,
+    });
+    Document_X_Section.getAll.mockResolvedValue([]);
+    mockGetLastPosition.mockReturnValue(-1);
+
+    // Act
+    await createDocument_x_section(username, documentId, sectionIdToAdd);
+
+    // Assert
+    expect(Section.get).toHaveBeenCalledWith({ id: sectionIdToAdd });
+    expect(Document_X_Section.add).toHaveBeenCalledWith({
+      documentId,
+      sectionId: sectionIdToAdd,
+      position: 0,
+    });
+  });
+
+  test(
+    'Throws a ForbiddenError if the section is a custom section of ' +
+      'another user.',
+    async () => {
+      // Arrange
+      const sectionIdToAdd = 6;
+
+      Section.get.mockResolvedValue({
+        id: sectionIdToAdd,
+        sectionName: 'Publications',
+        owner: 'user2',
+      });
+
+      // Act
+      async function runFunc() {
+        await createDocument_x_section(username, documentId, sectionIdToAdd);
+      }
+
+      // Assert
+      await expect(runFunc).rejects.toThrow(ForbiddenError);
+      expect(Document_X_Section.add).not.toHaveBeenCalled();
+    }
+  );
+
   test(
     'Throws a BadRequestError if adding a Document_X_Section results in ' +
       'a duplicate primary key database error.',
@@ -0,0 +1,309 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+
+const Document = require('../models/document');
+const Skill = require('../models/skill');
+const Document_X_Skill = require('../models/document_x_skill');
+const TextSnippet = require('../models/textSnippet');
+const {
+  validateOwnership,
+  validateDocumentNotLocked,
+  validateDocumentIsResume,
+  validateContentNotInLockedDocuments,
+} = require('../util/serviceHelpers');
+
+const { BadRequestError, ForbiddenError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+// Type given to text snippets that hold the content of skills.
+const skillTextSnippetType = 'skill';
+
+// --------------------------------------------------
+
+/**
+ * Checks that a user does not already have another skill with a specific
+ * name.  This is checked before anything is saved, so that a text snippet is
+ * not left without a skill when the name is already taken.
+ *
+ * @param {String} username - Name of the user that owns the skills.
+ * @param {String} name - Name of the skill to check.
+ * @param {String} logPrefix - Log text to put in front of any logs.
+ * @param {Number} [skillId] - ID of the skill that is being renamed, which is
+ *  allowed to already have the name.
+ * @throws {BadRequestError} If another skill already has the name.
+ */
+async function validateSkillNameNotTaken(username, name, logPrefix, skillId) {
+  const existingSkills = await Skill.getAll(username);
+
+  if (
+    existingSkills.some((skill) => skill.name === name && skill.id != skillId)
+  ) {
+    logger.error(`${logPrefix}: Skill with the same name already exists.`);
+    throw new BadRequestError(`Skill with name "${name}" already exists.`);
+  }
+}
+
+/**
+ * Creates a skill, the text snippet that holds its content, and a
+ * document-skill relationship entry in the database.
+ *
+ * Note that, currently, skills can only be added to the master resume.  This
+ * can be changed in the future.
+ *
+ * Document ownership is first verified.
+ *
+ * @param {String} username - Name of user that wants to add a skill to the
+ *  document.
+ * @param {Number} documentId - ID of the document that is being attached with
+ *  a skill.
+ * @param {Object} props - Properties of the skill to add.
+ * @param {String} props.name - Name of the skill, such as "Languages".
+ * @param {String} props.content - Content of the skill, such as "JavaScript,
+ *  Python".
+ * @returns {Promise<{
+ *    skill: Skill,
+ *    textSnippet: TextSnippet,
+ *    document_x_skill: Document_X_Skill
+ *  }>}
+ *  An Object containing a Skill instance that contains the saved data, a
+ *  TextSnippet instance that contains the skill's content, and a
+ *  Document_X_Skill instance that contains the document-skill relationship
+ *  data.
+ * @throws {BadRequestError} If the user already has a skill with the same
+ *  name, or if the document is a cover letter.
+ * @throws {ForbiddenError} If the document is not the master resume or is
+ *  locked.
+ */
+async function createSkill(username, documentId, props) {
+  const logPrefix =
+    `${fileName}.createSkill(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const { name, content } = props;
+
+  // Verify document ownership and if document is master.
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentIsResume(document, logPrefix);
+
+  if (!document.isMaster) {
+    logger.error(
+      `${logPrefix}: User attempted to add a skill not to the master resume.`
+    );
+    throw new ForbiddenError('Skills can only be added to the master resume.');
+  }
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  await validateSkillNameNotTaken(username, name, logPrefix);
+
+  const textSnippet = await TextSnippet.add({
+    owner: username,
+    type: skillTextSnippetType,
+    content,
+  });
+
+  const skill = await Skill.add({
+    name,
+    owner: username,
+    textSnippetId: textSnippet.id,
+    textSnippetVersion: textSnippet.version,
+  });
+
+  const document_x_skill = await Document_X_Skill.add({
+    documentId,
+    skillId: skill.id,
+  });
+
+  return { skill, textSnippet, document_x_skill };
+}
+
+/**
+ * Creates a document_x_skill record (document-skill relationship) in the
+ * database.  Skill and document ownership are verified first.
+ *
+ * @param {String} username - Name of user that wants to interact with the
+ *  document.  This should be the owner.
+ * @param {Number} documentId - ID of the document that is having a skill
+ *  attach to it.
+ * @param {Number} skillId - ID of the skill to attach to the document.
+ * @returns {Promise<Document_X_Skill>} A Document_X_Skill instance that
+ *  contains the document-skill relationship data.
+ * @throws {BadRequestError} If the skill is already in the document or if the
+ *  document is a cover letter.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+async function createDocument_x_skill(username, documentId, skillId) {
+  const logPrefix =
+    `${fileName}.createDocument_x_skill(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `skillId = ${skillId})`;
+  logger.verbose(logPrefix);
+
+  // Verify ownership.
+  await validateOwnership(Skill, username, { id: skillId }, logPrefix);
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentIsResume(document, logPrefix);
+  validateDocumentNotLocked(document, logPrefix);
+
+  try {
+    return await Document_X_Skill.add({ documentId, skillId });
+  } catch (err) {
+    // PostgreSQL error code 23505 is for unique constraint violation.
+    if (err.code === '23505') {
+      logger.error(`${logPrefix}: Relationship already exists.`);
+      throw new BadRequestError(
+        'Can not add skill to document, as it already exists.'
+      );
+    } else {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Verifies that a skill belongs to the specified user and then updates it.
+ * Changing the content of a skill creates a new version of its text snippet,
+ * which the skill then uses.  The skill can not be updated if it is in a
+ * locked document, since the changes would show up there.
+ *
+ * @param {String} username - Name of user that wants to update the skill.
+ * @param {Number} skillId - ID of the skill to update.
+ * @param {Object} props - Properties of the skill to be updated.  See route
+ *  for full list.
+ * @returns {Promise<{ skill: Skill, textSnippet: TextSnippet }>} A Skill
+ *  instance containing the updated info and a TextSnippet instance of the
+ *  version of the content that the skill now uses.
+ * @throws {BadRequestError} If another skill already has the new name.
+ * @throws {ForbiddenError} If the skill is in a locked document.
+ */
+async function updateSkill(username, skillId, props) {
+  const logPrefix =
+    `${fileName}.updateSkill(` +
+    `username = "${username}", ` +
+    `skillId = ${skillId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const { content, ...skillProps } = props;
+
+  const skill = await validateOwnership(
+    Skill,
+    username,
+    { id: skillId },
+    logPrefix
+  );
+
+  await validateContentNotInLockedDocuments({ skillId }, logPrefix);
+
+  if (skillProps.name !== undefined) {
+    await validateSkillNameNotTaken(
+      username,
+      skillProps.name,
+      logPrefix,
+      skill.id
+    );
+  }
+
+  let textSnippet = await TextSnippet.get({
+    id: skill.textSnippetId,
+    version: skill.textSnippetVersion,
+  });
+
+  if (content !== undefined && content !== textSnippet.content) {
+    textSnippet = await textSnippet.update({ content });
+    skillProps.textSnippetVersion = textSnippet.version;
+  }
+
+  if (Object.keys(skillProps).length) await skill.update(skillProps);
+
+  return { skill, textSnippet };
+}
+
+/**
+ * Deletes a document-skill relationship.  Document ownership is first
+ * verified.
+ *
+ * @param {String} username - Name of user that wants to delete the
+ *  document-skill relationship.  This should be the owner.
+ * @param {Number} documentId - ID of the document to remove the skill from.
+ * @param {Number} skillId - ID of the skill to be removed.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+async function deleteDocument_x_skill(username, documentId, skillId) {
+  const logPrefix =
+    `${fileName}.deleteDocument_x_skill(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `skillId = ${skillId})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  await Document_X_Skill.delete(documentId, skillId);
+}
+
+/**
+ * Deletes a skill.  The text snippet that holds its content is kept, like
+ * with other text snippets.
+ *
+ * @param {String} username - Name of user that wants to delete the skill.
+ *  This should be the owner.
+ * @param {Number} skillId - ID of the skill to be deleted.
+ * @throws {ForbiddenError} If the skill is in a locked document.
+ */
+async function deleteSkill(username, skillId) {
+  const logPrefix =
+    `${fileName}.deleteSkill(` +
+    `username = "${username}", ` +
+    `skillId = ${skillId})`;
+  logger.verbose(logPrefix);
+
+  const skill = await validateOwnership(
+    Skill,
+    username,
+    { id: skillId },
+    logPrefix
+  );
+
+  await validateContentNotInLockedDocuments({ skillId }, logPrefix);
+
+  await skill.delete();
+}
+
+// ==================================================
+
+module.exports = {
+  createSkill,
+  createDocument_x_skill,
+  updateSkill,
+  deleteDocument_x_skill,
+  deleteSkill,
+};
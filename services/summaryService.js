@@ -0,0 +1,204 @@
+'use strict';
+
+const path = require('path');
+const fileName = path.basename(__filename, '.js');
+
+const Document = require('../models/document');
+const Document_X_Summary = require('../models/document_x_summary');
+const TextSnippet = require('../models/textSnippet');
+const {
+  validateOwnership,
+  validateDocumentNotLocked,
+  validateDocumentIsResume,
+} = require('../util/serviceHelpers');
+
+const { BadRequestError } = require('../errors/appErrors');
+
+const logger = require('../util/logger');
+
+// ==================================================
+
+// Type given to text snippets that hold the content of summaries.
+const summaryTextSnippetType = 'summary';
+
+// --------------------------------------------------
+
+/**
+ * Creates a text snippet that holds the summary of a document, and attaches it
+ * to the document.  Document ownership is first verified.
+ *
+ * @param {String} username - Name of user that wants to add a summary to the
+ *  document.  This should be the owner.
+ * @param {Number} documentId - ID of the document that is getting a summary.
+ * @param {Object} props - Properties of the summary to add.
+ * @param {String} props.content - Content of the summary.
+ * @returns {Promise<{
+ *    textSnippet: TextSnippet,
+ *    document_x_summary: Document_X_Summary
+ *  }>}
+ *  An Object containing a TextSnippet instance that contains the summary's
+ *  content, and a Document_X_Summary instance that contains the
+ *  document-summary relationship data.
+ * @throws {BadRequestError} If the document already has a summary or is a
+ *  cover letter.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+async function createSummary(username, documentId, props) {
+  const logPrefix =
+    `${fileName}.createSummary(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const { content } = props;
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentIsResume(document, logPrefix);
+  validateDocumentNotLocked(document, logPrefix);
+
+  // Checked before anything is saved, so that a text snippet is not left
+  // without a document.
+  const existingSummaries = await Document_X_Summary.getAll(documentId);
+  if (existingSummaries.length) {
+    logger.error(`${logPrefix}: Document already has a summary.`);
+    throw new BadRequestError(
+      'Document already has a summary.  Update it instead.'
+    );
+  }
+
+  const textSnippet = await TextSnippet.add({
+    owner: username,
+    type: summaryTextSnippetType,
+    content,
+  });
+
+  const document_x_summary = await Document_X_Summary.add({
+    documentId,
+    textSnippetId: textSnippet.id,
+    textSnippetVersion: textSnippet.version,
+  });
+
+  return { textSnippet, document_x_summary };
+}
+
+/**
+ * Gets the summary of a document.  Document ownership is first verified.
+ *
+ * @param {String} username - Name of user that owns the document.
+ * @param {Number} documentId - ID of the document to get the summary of.
+ * @returns {Promise<TextSnippet>} A TextSnippet instance that contains the
+ *  version of the summary that the document uses.
+ * @throws {NotFoundError} If the document does not have a summary.
+ */
+async function getSummary(username, documentId) {
+  const logPrefix =
+    `${fileName}.getSummary(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId})`;
+  logger.verbose(logPrefix);
+
+  await validateOwnership(Document, username, { id: documentId }, logPrefix);
+
+  const document_x_summary = await Document_X_Summary.get({ documentId });
+
+  return await TextSnippet.get({
+    id: document_x_summary.textSnippetId,
+    version: document_x_summary.textSnippetVersion,
+  });
+}
+
+/**
+ * Updates the summary of a document.  Changing the content creates a new
+ * version of the summary's text snippet, which only this document then uses.
+ * Other documents that share the summary, such as the document this one was
+ * forked from, keep their version.  This way, each tailored document can have
+ * its own summary, while the versions stay connected.
+ *
+ * @param {String} username - Name of user that wants to update the summary.
+ *  This should be the owner.
+ * @param {Number} documentId - ID of the document whose summary is updated.
+ * @param {Object} props - Properties of the summary to be updated.
+ * @param {String} props.content - New content of the summary.
+ * @returns {Promise<TextSnippet>} A TextSnippet instance of the version of the
+ *  summary that the document now uses.
+ * @throws {NotFoundError} If the document does not have a summary.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+async function updateSummary(username, documentId, props) {
+  const logPrefix =
+    `${fileName}.updateSummary(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId}, ` +
+    `props = ${JSON.stringify(props)})`;
+  logger.verbose(logPrefix);
+
+  const { content } = props;
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  const document_x_summary = await Document_X_Summary.get({ documentId });
+
+  const textSnippet = await TextSnippet.get({
+    id: document_x_summary.textSnippetId,
+    version: document_x_summary.textSnippetVersion,
+  });
+
+  if (content === textSnippet.content) return textSnippet;
+
+  const updatedTextSnippet = await textSnippet.update({ content });
+
+  await document_x_summary.updateTextSnippetVersion(updatedTextSnippet.version);
+
+  return updatedTextSnippet;
+}
+
+/**
+ * Removes the summary from a document.  The text snippet that holds the
+ * summary is kept, like with other text snippets.
+ *
+ * @param {String} username - Name of user that wants to remove the summary.
+ *  This should be the owner.
+ * @param {Number} documentId - ID of the document to remove the summary from.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+async function deleteSummary(username, documentId) {
+  const logPrefix =
+    `${fileName}.deleteSummary(` +
+    `username = "${username}", ` +
+    `documentId = ${documentId})`;
+  logger.verbose(logPrefix);
+
+  const document = await validateOwnership(
+    Document,
+    username,
+    { id: documentId },
+    logPrefix
+  );
+
+  validateDocumentNotLocked(document, logPrefix);
+
+  await Document_X_Summary.delete(documentId);
+}
+
+// ==================================================
+
+module.exports = {
+  createSummary,
+  getSummary,
+  updateSummary,
+  deleteSummary,
+};
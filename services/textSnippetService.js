@@ -3,13 +3,626 @@
 const path = require('path');
 const fileName = path.basename(__filename, '.js');
 
+const Document = require('../models/document');
+const Experience = require('../models/experience');
 const TextSnippet = require('../models/textSnippet');
-const { validateOwnership } = require('../util/serviceHelpers');
+const Experience_X_Text_Snippet = require('../models/experience_x_textSnippet');
+const Project_X_Text_Snippet = require('../models/project_x_textSnippet');
+const CustomSectionEntry_X_Text_Snippet = require('../models/customSectionEntry_x_textSnippet');
+const Document_X_Summary = require('../models/document_x_summary');
+const CoverLetter_X_Text_Snippet = require('../models/coverLetter_x_textSnippet');
+const Skill = require('../models/skill');
+const {
+  validateOwnership,
+  validateDocumentNotLocked,
+  validateContentNotInLockedDocuments,
+} = require('../util/serviceHelpers');
+
+const { diffWords } = require('../util/textDiff');
+
+const { BadRequestError, NotFoundError } = require('../errors/appErrors');
 
 const logger = require('../util/logger');
 
 // ==================================================
 
+/**
+ * Gets the documents that use a specific version of a text snippet.
+ *
+ * @param {{textSnippetVersion: Date, document: Document}[]} references - The
+ *  documents that use any version of the text snippet.  See
+ *  Document.getAllReferencingTextSnippet.
+ * @param {Date} version - Version of the text snippet.
+ * @returns {Document[]} The documents that use the version.
+ */
+function getDocumentsUsingVersion(references, version) {
+  return references
+    .filter(
+      ({ textSnippetVersion }) =>
+        textSnippetVersion.getTime() === version.getTime()
+    )
+    .map(({ document }) => document);
+}
+
+/**
+ * Verifies that a document uses a specific version of a text snippet.
+ *
+ * @param {Document} document - The document to check.
+ * @param {Document[]} documentsUsingVersion - The documents that use the
+ *  version.  See getDocumentsUsingVersion.
+ * @param {String} logPrefix - Log text to put in front of main content of logs.
+ * @throws {BadRequestError} If the document does not use the version.
+ */
+function validateDocumentUsesVersion(
+  document,
+  documentsUsingVersion,
+  logPrefix
+) {
+  if (!documentsUsingVersion.some(({ id }) => id === document.id)) {
+    logger.error(
+      `${logPrefix}: Document ${document.id} does not use the text snippet.`
+    );
+    throw new BadRequestError(
+      `Document "${document.documentName}" does not use this version of the ` +
+        'text snippet.'
+    );
+  }
+}
+
+/**
+ * Searches the content of a user's text snippets.  If the search is limited to
+ * an experience, ownership of the experience is first verified.
+ *
+ * @param {String} username - Name of user whose text snippets are searched.
+ * @param {String} query - What to search for.  See TextSnippet.search for the
+ *  format.
+ * @param {Object} [filters] - Limits the text snippets that are searched.  See
+ *  TextSnippet.search.
+ * @returns {Promise<{textSnippet: TextSnippet, highlight: String}[]>} The
+ *  matching text snippets, from best to worst match, each with an excerpt of
+ *  its content where the matched words are highlighted.
+ */
+async function searchTextSnippets(username, query, filters = {}) {
+  const logPrefix =
+    `${fileName}.searchTextSnippets(` +
+    `username = "${username}", ` +
+    `query = "${query}", ` +
+    `filters = ${JSON.stringify(filters)})`;
+  logger.verbose(logPrefix);
+
+  if (filters.experienceId !== undefined) {
+    await validateOwnership(
+      Experience,
+      username,
+      { id: filters.experienceId },
+      logPrefix
+    );
+  }
+
+  return await TextSnippet.search(username, query, filters);
+}
+
+/**
+ * Gets the full version history of a text snippet, along with the documents
+ * that use each version.  Ownership is verified with the oldest version, since
+ * all versions have the same owner.
+ *
+ * @param {String} username - Name of user that owns the text snippet.
+ * @param {Number} textSnippetId - ID of the text snippet.
+ * @returns {Promise<{textSnippet: TextSnippet, documents: Document[]}[]>} Every
+ *  version of the text snippet, from oldest to newest, each with the documents
+ *  that use it.  The parent of each version links the versions into a tree.
+ * @throws {NotFoundError} If the text snippet does not exist.
+ */
+async function getTextSnippetVersions(username, textSnippetId) {
+  const logPrefix =
+    `${fileName}.getTextSnippetVersions(` +
+    `username = "${username}", ` +
+    `textSnippetId = ${textSnippetId})`;
+  logger.verbose(logPrefix);
+
+  const textSnippets = await TextSnippet.getAllVersions(textSnippetId);
+
+  if (!textSnippets.length) {
+    logger.error(`${logPrefix}: TextSnippet not found.`);
+    throw new NotFoundError(
+      `Can not find text snippet with ID ${textSnippetId}.`
+    );
+  }
+
+  await validateOwnership(
+    TextSnippet,
+    username,
+    { id: textSnippetId, version: textSnippets[0].version },
+    logPrefix
+  );
+
+  const references = await Document.getAllReferencingTextSnippet(textSnippetId);
+
+  return textSnippets.map((textSnippet) => ({
+    textSnippet,
+    documents: getDocumentsUsingVersion(references, textSnippet.version),
+  }));
+}
+
+/**
+ * Gets a specific version of a text snippet, along with the documents that use
+ * it.
+ *
+ * @param {String} username - Name of user that owns the text snippet.
+ * @param {Number} textSnippetId - ID part of the text snippet.
+ * @param {String} textSnippetVersion - Version part of the text snippet.
+ * @returns {Promise<{textSnippet: TextSnippet, documents: Document[]}>} The
+ *  version of the text snippet and the documents that use it.
+ * @throws {NotFoundError} If the text snippet version does not exist.
+ */
+async function getTextSnippetVersion(
+  username,
+  textSnippetId,
+  textSnippetVersion
+) {
+  const logPrefix =
+    `${fileName}.getTextSnippetVersion(` +
+    `username = "${username}", ` +
+    `textSnippetId = ${textSnippetId}, ` +
+    `textSnippetVersion = "${textSnippetVersion}")`;
+  logger.verbose(logPrefix);
+
+  const textSnippet = await validateOwnership(
+    TextSnippet,
+    username,
+    { id: textSnippetId, version: textSnippetVersion },
+    logPrefix
+  );
+
+  const references = await Document.getAllReferencingTextSnippet(textSnippetId);
+
+  return {
+    textSnippet,
+    documents: getDocumentsUsingVersion(references, textSnippet.version),
+  };
+}
+
+/**
+ * Compares the content of two versions of a text snippet word by word.  If
+ * only one version is given, it is compared with the version it was made
+ * from, its parent.  See diffWords in util/textDiff.js for the differences
+ * that are reported.
+ *
+ * @param {String} username - Name of user that owns the text snippet.
+ * @param {Number} textSnippetId - ID of the text snippet.
+ * @param {String} textSnippetVersion - Version to compare from, or, if no
+ *  other version is given, version to compare to.
+ * @param {String} [otherTextSnippetVersion] - Version to compare to.
+ * @returns {Promise<{
+ *    from: TextSnippet,
+ *    to: TextSnippet,
+ *    changes: {type: String, text: String}[],
+ *    isSame: Boolean
+ *  }>}
+ *  from - The version that is compared from.
+ *  to - The version that is compared to.
+ *  changes - The word differences in going from one version to the other.
+ *  isSame - Whether the content of the versions is the same.
+ * @throws {BadRequestError} If only one version is given and it does not have
+ *  a parent.
+ * @throws {NotFoundError} If a version does not exist.
+ */
+async function getTextSnippetDiff(
+  username,
+  textSnippetId,
+  textSnippetVersion,
+  otherTextSnippetVersion
+) {
+  const logPrefix =
+    `${fileName}.getTextSnippetDiff(` +
+    `username = "${username}", ` +
+    `textSnippetId = ${textSnippetId}, ` +
+    `textSnippetVersion = "${textSnippetVersion}", ` +
+    `otherTextSnippetVersion = "${otherTextSnippetVersion}")`;
+  logger.verbose(logPrefix);
+
+  const textSnippet = await validateOwnership(
+    TextSnippet,
+    username,
+    { id: textSnippetId, version: textSnippetVersion },
+    logPrefix
+  );
+
+  let from;
+  let to;
+
+  if (otherTextSnippetVersion === undefined) {
+    if (!textSnippet.parent) {
+      logger.error(`${logPrefix}: TextSnippet does not have a parent.`);
+      throw new BadRequestError(
+        'Text snippet version does not have a parent to compare with.  ' +
+          'Give another version instead.'
+      );
+    }
+
+    from = await TextSnippet.get({
+      id: textSnippetId,
+      version: textSnippet.parent,
+    });
+    to = textSnippet;
+  } else {
+    from = textSnippet;
+    to = await TextSnippet.get({
+      id: textSnippetId,
+      version: otherTextSnippetVersion,
+    });
+  }
+
+  return {
+    from,
+    to,
+    changes: diffWords(from.content, to.content),
+    isSame: from.content === to.content,
+  };
+}
+
+/**
+ * Gets the documents that an update of a text snippet is applied to, based on
+ * the propagation mode.  Documents that are chosen directly are verified to
+ * belong to the user, to not be locked, and to use the version of the text
+ * snippet that is being updated.
+ *
+ * @param {String} username - Name of the user that is doing the update.
+ * @param {TextSnippet} textSnippet - The text snippet that is being updated.
+ * @param {String} propagation - Propagation mode.  See updateTextSnippet.
+ * @param {Number[]} [documentIds] - IDs of the documents to update, for the
+ *  "documents" mode.
+ * @param {String} logPrefix - Log text to put in front of main content of logs.
+ * @returns {Promise<Document[] | null>} The documents to update, or null if
+ *  every reference to the text snippet is updated.
+ * @throws {BadRequestError} If a chosen document does not use the text
+ *  snippet.
+ * @throws {ForbiddenError} If a chosen document is locked, or, for the "all"
+ *  mode, if the text snippet is in a locked document.
+ */
+async function getDocumentsToPropagateTo(
+  username,
+  textSnippet,
+  propagation,
+  documentIds,
+  logPrefix
+) {
+  if (propagation === 'all') {
+    await validateContentNotInLockedDocuments(
+      { textSnippet: { id: textSnippet.id, version: textSnippet.version } },
+      logPrefix
+    );
+
+    return null;
+  }
+
+  const documentsUsingVersion = getDocumentsUsingVersion(
+    await Document.getAllReferencingTextSnippet(textSnippet.id),
+    textSnippet.version
+  );
+
+  switch (propagation) {
+    case 'unlocked':
+      return documentsUsingVersion.filter((document) => !document.isLocked);
+
+    case 'master': {
+      const masterDocument = (await Document.getAll(username)).find(
+        (document) => document.isMaster
+      );
+
+      validateDocumentNotLocked(masterDocument, logPrefix);
+      validateDocumentUsesVersion(
+        masterDocument,
+        documentsUsingVersion,
+        logPrefix
+      );
+
+      return [masterDocument];
+    }
+
+    case 'documents': {
+      const documents = [];
+
+      for (const documentId of documentIds) {
+        const document = await validateOwnership(
+          Document,
+          username,
+          { id: documentId },
+          logPrefix
+        );
+
+        validateDocumentNotLocked(document, logPrefix);
+        validateDocumentUsesVersion(document, documentsUsingVersion, logPrefix);
+
+        documents.push(document);
+      }
+
+      return documents;
+    }
+  }
+}
+
+/**
+ * Verifies text snippet ownership and updates it.  The new version then
+ * replaces the old one in the documents chosen by the propagation mode:
+ *
+ * - "all", the default, updates all experiences_x_textSnippets,
+ *   projects_x_textSnippets, and customSectionEntries_x_textSnippets
+ *   (experience-text snippet, project-text snippet, and custom section
+ *   entry-text snippet relationships), and all skills, document summaries,
+ *   and cover letter paragraphs.
+ *   Because of this, the text snippet can not be updated if it is in a locked
+ *   document.
+ * - "unlocked" updates every unlocked document that uses the old version.
+ *   Locked documents keep the old version.
+ * - "master" updates only the master resume.
+ * - "documents" updates only the documents in documentIds.
+ *
+ * Skills and custom section entries are shared by every document that has
+ * them, so they are only updated in the "all" mode.  The other modes update
+ * the experience bullets, project bullets, summaries, and cover letter
+ * paragraphs of each document, and report the documents whose skills or
+ * custom section entries still use the old version.
+ *
+ * @param {String} username - Name of the user that is doing the update.
+ * @param {Number} textSnippetId - ID part of the text snippet to update.
+ * @param {String} textSnippetVersion - Version part of the text snippet to
+ *  update.
+ * @param {object} props - Properties of the text snippet to be updated.  See
+ *  route for full list.
+ * @param {Object} [options] - Which documents receive the update.
+ * @param {String} [options.propagation] - Propagation mode, which is "all",
+ *  "unlocked", "master", or "documents".
+ * @param {Number[]} [options.documentIds] - IDs of the documents to update, for
+ *  the "documents" mode.
+ * @returns {Promise<{
+ *    textSnippet: TextSnippet,
+ *    report: {
+ *      updatedDocuments: Document[],
+ *      skippedDocuments: Document[],
+ *      sharedDocuments: Document[]
+ *    }
+ *  }>}
+ *  textSnippet - A TextSnippet instance containing the updated info.
+ *  report - The documents that now use the new version, and the documents
+ *  that still use the old version.  sharedDocuments are the chosen documents
+ *  that still use the old version in a skill or custom section entry.
+ * @throws {BadRequestError} If a chosen document does not use the text
+ *  snippet.
+ * @throws {ForbiddenError} If a chosen document is locked, or, for the "all"
+ *  mode, if the text snippet is in a locked document.
+ */
+async function updateTextSnippet(
+  username,
+  textSnippetId,
+  textSnippetVersion,
+  props,
+  options = {}
+) {
+  const logPrefix =
+    `${fileName}.updateTextSnippet(` +
+    `username = "${username}", ` +
+    `textSnippetId = ${textSnippetId}, ` +
+    `textSnippetVersion = "${textSnippetVersion}", ` +
+    `props = ${JSON.stringify(props)}, ` +
+    `options = ${JSON.stringify(options)})`;
+  logger.verbose(logPrefix);
+
+  const { propagation = 'all', documentIds } = options;
+
+  const textSnippet = await validateOwnership(
+    TextSnippet,
+    username,
+    { id: textSnippetId, version: textSnippetVersion },
+    logPrefix
+  );
+
+  const documents = await getDocumentsToPropagateTo(
+    username,
+    textSnippet,
+    propagation,
+    documentIds,
+    logPrefix
+  );
+
+  const updatedTextSnippet = await textSnippet.update(props);
+
+  // Ensure that updatedTextSnippet is a new instance.
+  if (documents === null) {
+    await Experience_X_Text_Snippet.replaceTextSnippet(
+      textSnippetId,
+      textSnippet.version,
+      updatedTextSnippet.version
+    );
+    await Project_X_Text_Snippet.replaceTextSnippet(
+      textSnippetId,
+      textSnippet.version,
+      updatedTextSnippet.version
+    );
+    await CustomSectionEntry_X_Text_Snippet.replaceTextSnippet(
+      textSnippetId,
+      textSnippet.version,
+      updatedTextSnippet.version
+    );
+    await Skill.replaceTextSnippet(
+      textSnippetId,
+      textSnippet.version,
+      updatedTextSnippet.version
+    );
+    await Document_X_Summary.replaceTextSnippet(
+      textSnippetId,
+      textSnippet.version,
+      updatedTextSnippet.version
+    );
+    await CoverLetter_X_Text_Snippet.replaceTextSnippet(
+      textSnippetId,
+      textSnippet.version,
+      updatedTextSnippet.version
+    );
+  } else {
+    for (const { id: documentId } of documents) {
+      await Experience_X_Text_Snippet.replaceTextSnippet(
+        textSnippetId,
+        textSnippet.version,
+        updatedTextSnippet.version,
+        documentId
+      );
+      await Project_X_Text_Snippet.replaceTextSnippet(
+        textSnippetId,
+        textSnippet.version,
+        updatedTextSnippet.version,
+        documentId
+      );
+      await Document_X_Summary.replaceTextSnippet(
+        textSnippetId,
+        textSnippet.version,
+        updatedTextSnippet.version,
+        documentId
+      );
+      await CoverLetter_X_Text_Snippet.replaceTextSnippet(
+        textSnippetId,
+        textSnippet.version,
+        updatedTextSnippet.version,
+        documentId
+      );
+    }
+  }
+
+  const references = await Document.getAllReferencingTextSnippet(textSnippetId);
+  const skippedDocuments = getDocumentsUsingVersion(
+    references,
+    textSnippet.version
+  );
+
+  return {
+    textSnippet: updatedTextSnippet,
+    report: {
+      updatedDocuments: getDocumentsUsingVersion(
+        references,
+        updatedTextSnippet.version
+      ),
+      skippedDocuments,
+      // Every other reference of a chosen document was replaced above.
+      sharedDocuments:
+        documents === null
+          ? []
+          : skippedDocuments.filter((skippedDocument) =>
+              documents.some(({ id }) => id === skippedDocument.id)
+            ),
+    },
+  };
+}
+
+/**
+ * Reverts the bullets of experiences and projects back to an earlier version
+ * of a text snippet.  Every experiences_x_textSnippets and
+ * projects_x_textSnippets (experience-text snippet and project-text snippet
+ * relationships) that uses another version of the text snippet is pointed to
+ * the given version, either in one document or in all documents.  Unlike
+ * updating, this does not create a new version.
+ *
+ * When reverting in all documents, no other version of the text snippet can be
+ * a bullet in a locked document.  Other uses of the text snippet, like in
+ * summaries, are not changed.
+ *
+ * @param {String} username - Name of the user that is doing the revert.
+ * @param {Number} textSnippetId - ID part of the text snippet to revert.
+ * @param {String} textSnippetVersion - Version part of the text snippet to go
+ *  back to.
+ * @param {Number} [documentId] - ID of the only document to revert in.  All
+ *  documents are included if not given.
+ * @returns {Promise<{textSnippet: TextSnippet, documents: Document[]}>} The
+ *  version of the text snippet that was reverted to, and the documents that
+ *  now use it.
+ * @throws {BadRequestError} If the document does not have the text snippet
+ *  as a bullet.
+ * @throws {ForbiddenError} If the document is locked, or, without a document,
+ *  if another version of the text snippet is a bullet in a locked document.
+ */
+async function revertTextSnippet(
+  username,
+  textSnippetId,
+  textSnippetVersion,
+  documentId
+) {
+  const logPrefix =
+    `${fileName}.revertTextSnippet(` +
+    `username = "${username}", ` +
+    `textSnippetId = ${textSnippetId}, ` +
+    `textSnippetVersion = "${textSnippetVersion}", ` +
+    `documentId = ${documentId})`;
+  logger.verbose(logPrefix);
+
+  const textSnippet = await validateOwnership(
+    TextSnippet,
+    username,
+    { id: textSnippetId, version: textSnippetVersion },
+    logPrefix
+  );
+
+  const otherVersions = (await TextSnippet.getAllVersions(textSnippetId))
+    .map(({ version }) => version)
+    .filter((version) => version.getTime() !== textSnippet.version.getTime());
+
+  if (documentId === undefined) {
+    for (const version of otherVersions) {
+      await validateContentNotInLockedDocuments(
+        { bulletTextSnippet: { id: textSnippetId, version } },
+        logPrefix
+      );
+    }
+  } else {
+    const document = await validateOwnership(
+      Document,
+      username,
+      { id: documentId },
+      logPrefix
+    );
+
+    validateDocumentNotLocked(document, logPrefix);
+
+    const { experiences, projects } =
+      await Document.getDocumentAndSectionContent(document.id);
+    const hasBullet = [...(experiences ?? []), ...(projects ?? [])].some(
+      ({ bullets }) => (bullets ?? []).some(({ id }) => id === textSnippet.id)
+    );
+
+    if (!hasBullet) {
+      logger.error(
+        `${logPrefix}: Document ${document.id} does not use the text snippet ` +
+          'as a bullet.'
+      );
+      throw new BadRequestError(
+        `Document "${document.documentName}" does not have this text snippet ` +
+          'as a bullet.'
+      );
+    }
+  }
+
+  for (const version of otherVersions) {
+    await Experience_X_Text_Snippet.replaceTextSnippet(
+      textSnippetId,
+      version,
+      textSnippet.version,
+      documentId
+    );
+    await Project_X_Text_Snippet.replaceTextSnippet(
+      textSnippetId,
+      version,
+      textSnippet.version,
+      documentId
+    );
+  }
+
+  const references = await Document.getAllReferencingTextSnippet(textSnippetId);
+
+  return {
+    textSnippet,
+    documents: getDocumentsUsingVersion(references, textSnippet.version),
+  };
+}
+
 /**
  * Verifies ownership of a text snippet and deletes it from the database.
  *
@@ -18,6 +631,7 @@ const logger = require('../util/logger');
  * @param {Number} textSnippetId - ID part of the text snippet to delete.
  * @param {String} textSnippetVersion - Version part of the text snippet to
  *  delete.
+ * @throws {ForbiddenError} If the text snippet is in a locked document.
  */
 async function deleteTextSnippet(username, textSnippetId, textSnippetVersion) {
   const logPrefix =
@@ -34,9 +648,22 @@ async function deleteTextSnippet(username, textSnippetId, textSnippetVersion) {
     logPrefix
   );
 
+  await validateContentNotInLockedDocuments(
+    { textSnippet: { id: textSnippetId, version: textSnippet.version } },
+    logPrefix
+  );
+
   await textSnippet.delete();
 }
 
 // ==================================================
 
-module.exports = { deleteTextSnippet };
+module.exports = {
+  searchTextSnippets,
+  getTextSnippetVersions,
+  getTextSnippetVersion,
+  getTextSnippetDiff,
+  updateTextSnippet,
+  revertTextSnippet,
+  deleteTextSnippet,
+};
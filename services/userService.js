@@ -6,7 +6,7 @@ const fileName = path.basename(__filename, '.js');
 const Document = require('../models/document');
 const User = require('../models/user');
 const ContactInfo = require('../models/contactInfo');
-const { createJWT } = require('../util/tokens');
+const { createAuthTokens, signoutEverywhere } = require('./authService');
 
 const { BadRequestError, NotFoundError } = require('../errors/appErrors');
 const { SigninError } = require('../errors/userErrors');
@@ -22,14 +22,15 @@ const logger = require('../util/logger');
  * @param {Object} props - Contains the data to create a new user account.  See
  *  route for full list.
  * @param {String} props.username - Username for the new user.
- * @returns {String} An authentication token for the user to use.
+ * @returns {Promise<{ authToken: String, refreshToken: String }>} Tokens for
+ *  the user to use.  See authService.createAuthTokens.
  */
 async function createUser(props) {
   const logPrefix = `${fileName}.createUser(${JSON.stringify(props)})`;
   logger.verbose(logPrefix);
 
   const newUser = await User.register(props);
-  const authToken = createJWT(newUser);
+  const authTokens = await createAuthTokens(newUser.username);
 
   // This does not need to be awaited, because the master resume does not need
   // to be used immediately.  The main concern is to create a user account.
@@ -40,12 +41,14 @@ async function createUser(props) {
     isTemplate: false,
   });
 
-  return authToken;
+  return authTokens;
 }
 
 /**
  * For updating password, verifies the old password if a new password is
- * supplied.  Makes a database call to store the new settings.
+ * supplied.  Makes a database call to store the new settings.  After the
+ * password is changed, the user is signed out everywhere, so every refresh
+ * token that was given out with the old password stops working.
  *
  * @param {String} username - Name of user that wants to update his/her account
  *  settings.
@@ -78,7 +81,11 @@ async function updateUser(username, props) {
     dataToUpdate.password = props.newPassword;
   }
 
-  return await User.update(username, dataToUpdate);
+  const user = await User.update(username, dataToUpdate);
+
+  if (props.newPassword) await signoutEverywhere(username);
+
+  return user;
 }
 
 /**
@@ -2,6 +2,7 @@
 
 const User = require('../models/user');
 const ContactInfo = require('../models/contactInfo');
+const { signoutEverywhere } = require('./authService');
 const { updateUser, createUpdateContactInfo } = require('./userService');
 
 const { BadRequestError, NotFoundError } = require('../errors/appErrors');
@@ -13,6 +14,7 @@ const { users, contactInfos } = require('../_testData');
 
 jest.mock('../models/user');
 jest.mock('../models/contactInfo');
+jest.mock('./authService');
 
 // ==================================================
 
@@ -29,6 +31,7 @@ describe('updateUser', () => {
   beforeEach(() => {
     User.signin.mockReset();
     User.update.mockReset();
+    signoutEverywhere.mockReset();
   });
 
   test('Verifies old password if setting new password.', async () => {
@@ -54,6 +57,7 @@ describe('updateUser', () => {
     expect(User.update).toHaveBeenCalledWith(username, {
       password: newPassword,
     });
+    expect(signoutEverywhere).toHaveBeenCalledWith(username);
   });
 
   // Temporary test until other kinds of props exist.
@@ -74,6 +78,7 @@ describe('updateUser', () => {
     expect(User.signin).not.toHaveBeenCalled();
 
     expect(User.update).toHaveBeenCalledWith(username, {});
+    expect(signoutEverywhere).not.toHaveBeenCalled();
   });
 
   test('Replaces error message if old password is invalid.', async () => {
@@ -99,6 +104,7 @@ describe('updateUser', () => {
     });
 
     expect(User.update).not.toHaveBeenCalled();
+    expect(signoutEverywhere).not.toHaveBeenCalled();
   });
 
   test(
@@ -0,0 +1,215 @@
+/**
+ * Holds test data that looks like the output of
+ * Document.getDocumentAndSectionContent, for testing things like renderers.
+ */
+
+'use strict';
+
+const { users } = require('../_testData');
+
+// ==================================================
+
+const documentContent = Object.freeze({
+  id: 1,
+  documentName: 'Master',
+  owner: users[0].username,
+  createdOn: new Date(2025, 0, 1),
+  lastUpdated: null,
+  isMaster: true,
+  isTemplate: false,
+  isLocked: false,
+  contactInfo: Object.freeze({
+    fullName: 'First Last',
+    location: 'City, State',
+    email: 'email@email.com',
+    phone: '123-456-7890',
+    linkedin: 'https://www.linkedin.com/in/example/',
+    github: null,
+  }),
+  summary: Object.freeze({
+    id: 6,
+    version: '2025-01-06T00:00:00.000Z',
+    parent: null,
+    type: 'summary',
+    content: 'Software engineer who builds reliable web applications.',
+  }),
+  sections: Object.freeze([
+    Object.freeze({ id: 7, sectionName: 'Summary' }),
+    Object.freeze({ id: 2, sectionName: 'Work Experience' }),
+    Object.freeze({ id: 1, sectionName: 'Education' }),
+    Object.freeze({ id: 4, sectionName: 'Certifications' }),
+    Object.freeze({ id: 5, sectionName: 'Projects' }),
+    Object.freeze({ id: 3, sectionName: 'Skills' }),
+    Object.freeze({ id: 6, sectionName: 'Publications' }),
+  ]),
+  educations: Object.freeze([
+    Object.freeze({
+      id: 1,
+      school: 'University',
+      location: 'Los Angeles, CA',
+      startDate: '2000-09-01',
+      endDate: '2004-06-01',
+      degree: 'Bachelor of Science, Computer Science',
+      gpa: '4.0 / 4.0',
+      awardsAndHonors: null,
+      activities: 'Robotics Club',
+    }),
+  ]),
+  experiences: Object.freeze([
+    Object.freeze({
+      id: 1,
+      title: 'Software Engineer',
+      organization: 'Company 1',
+      location: 'Remote',
+      startDate: '2020-01-15',
+      endDate: null,
+      bullets: Object.freeze([
+        Object.freeze({
+          id: 1,
+          version: '2025-01-01T00:00:00.000Z',
+          parent: null,
+          type: 'bullet point',
+          content: 'Built an API that serves 1,000 requests per second.',
+        }),
+        Object.freeze({
+          id: 2,
+          version: '2025-01-02T00:00:00.000Z',
+          parent: null,
+          type: 'bullet point',
+          content: 'Reduced cloud costs by 20%.',
+        }),
+      ]),
+    }),
+    Object.freeze({
+      id: 2,
+      title: 'Intern',
+      organization: 'Company 2',
+      location: 'New York, NY',
+      startDate: '2019-06-01',
+      endDate: '2019-08-31',
+      bullets: null,
+    }),
+  ]),
+  certifications: Object.freeze([
+    Object.freeze({
+      id: 1,
+      name: 'AWS Certified Solutions Architect - Associate',
+      issuingOrg: 'Amazon Web Services',
+      issueDate: '2023-11-01',
+    }),
+  ]),
+  projects: Object.freeze([
+    Object.freeze({
+      id: 1,
+      name: 'Resume Manager',
+      startDate: '2024-06-15',
+      endDate: '2025-02-28',
+      bullets: Object.freeze([
+        Object.freeze({
+          id: 3,
+          version: '2025-01-03T00:00:00.000Z',
+          parent: null,
+          type: 'bullet point',
+          content: 'Designed a REST API for versioned resume content.',
+        }),
+      ]),
+    }),
+  ]),
+  skills: Object.freeze([
+    Object.freeze({
+      id: 1,
+      name: 'Languages',
+      textSnippetId: 4,
+      textSnippetVersion: '2025-01-04T00:00:00.000Z',
+      content: 'JavaScript, Python, SQL',
+    }),
+  ]),
+  customSections: Object.freeze([
+    Object.freeze({
+      id: 6,
+      sectionName: 'Publications',
+      entries: Object.freeze([
+        Object.freeze({
+          id: 1,
+          title: 'Scaling Resume Storage',
+          subtitle: 'Journal of Examples',
+          location: null,
+          startDate: null,
+          endDate: '2023-05-01',
+          bullets: Object.freeze([
+            Object.freeze({
+              id: 5,
+              version: '2025-01-05T00:00:00.000Z',
+              parent: null,
+              type: 'bullet point',
+              content: 'Cited by 10 other papers.',
+            }),
+          ]),
+        }),
+        Object.freeze({
+          id: 2,
+          title: 'Volunteer Tutor',
+          subtitle: 'Community Center',
+          location: 'Los Angeles, CA',
+          startDate: '2021-01-01',
+          endDate: '2022-06-30',
+          bullets: null,
+        }),
+      ]),
+    }),
+  ]),
+});
+
+// A document that has no sections or content.
+const emptyDocumentContent = Object.freeze({
+  ...documentContent,
+  summary: null,
+  sections: null,
+  educations: null,
+  experiences: null,
+  certifications: null,
+  projects: null,
+  skills: null,
+  customSections: null,
+});
+
+// A cover letter, which has paragraphs instead of sections.
+const coverLetterContent = Object.freeze({
+  id: 2,
+  documentName: 'Cover Letter',
+  owner: users[0].username,
+  createdOn: new Date(2025, 0, 2),
+  lastUpdated: null,
+  isMaster: false,
+  isTemplate: false,
+  isLocked: false,
+  kind: 'coverLetter',
+  contactInfo: documentContent.contactInfo,
+  resumeDocumentId: documentContent.id,
+  company: 'Company 1',
+  role: 'Software Engineer',
+  paragraphs: Object.freeze([
+    Object.freeze({
+      id: 20,
+      version: '2025-01-20T00:00:00.000Z',
+      parent: null,
+      type: 'paragraph',
+      content: 'I am applying for the Software Engineer role.',
+    }),
+    Object.freeze({
+      id: 21,
+      version: '2025-01-21T00:00:00.000Z',
+      parent: null,
+      type: 'paragraph',
+      content: 'Thank you for your time.',
+    }),
+  ]),
+});
+
+// ==================================================
+
+module.exports = {
+  documentContent,
+  emptyDocumentContent,
+  coverLetterContent,
+};
@@ -0,0 +1,303 @@
+'use strict';
+
+// ==================================================
+
+/**
+ * Action verbs that bullets should start with, mapped to their past tense.
+ * The present tense is made from the base form, such as "build" or "builds".
+ */
+const actionVerbs = Object.freeze({
+  accelerate: 'accelerated',
+  achieve: 'achieved',
+  analyze: 'analyzed',
+  architect: 'architected',
+  automate: 'automated',
+  boost: 'boosted',
+  build: 'built',
+  coach: 'coached',
+  collaborate: 'collaborated',
+  conduct: 'conducted',
+  configure: 'configured',
+  construct: 'constructed',
+  contribute: 'contributed',
+  coordinate: 'coordinated',
+  create: 'created',
+  cut: 'cut',
+  debug: 'debugged',
+  decrease: 'decreased',
+  define: 'defined',
+  deliver: 'delivered',
+  deploy: 'deployed',
+  design: 'designed',
+  develop: 'developed',
+  direct: 'directed',
+  document: 'documented',
+  drive: 'drove',
+  eliminate: 'eliminated',
+  enable: 'enabled',
+  engineer: 'engineered',
+  establish: 'established',
+  evaluate: 'evaluated',
+  expand: 'expanded',
+  facilitate: 'facilitated',
+  generate: 'generated',
+  grow: 'grew',
+  guide: 'guided',
+  identify: 'identified',
+  implement: 'implemented',
+  improve: 'improved',
+  increase: 'increased',
+  integrate: 'integrated',
+  launch: 'launched',
+  lead: 'led',
+  maintain: 'maintained',
+  manage: 'managed',
+  mentor: 'mentored',
+  migrate: 'migrated',
+  model: 'modeled',
+  modernize: 'modernized',
+  monitor: 'monitored',
+  negotiate: 'negotiated',
+  optimize: 'optimized',
+  organize: 'organized',
+  oversee: 'oversaw',
+  own: 'owned',
+  partner: 'partnered',
+  plan: 'planned',
+  present: 'presented',
+  produce: 'produced',
+  prototype: 'prototyped',
+  publish: 'published',
+  redesign: 'redesigned',
+  reduce: 'reduced',
+  refactor: 'refactored',
+  research: 'researched',
+  resolve: 'resolved',
+  review: 'reviewed',
+  run: 'ran',
+  save: 'saved',
+  scale: 'scaled',
+  secure: 'secured',
+  ship: 'shipped',
+  simplify: 'simplified',
+  spearhead: 'spearheaded',
+  streamline: 'streamlined',
+  support: 'supported',
+  teach: 'taught',
+  test: 'tested',
+  train: 'trained',
+  transform: 'transformed',
+  troubleshoot: 'troubleshot',
+  upgrade: 'upgraded',
+  write: 'wrote',
+});
+
+// Longest a bullet should be, in characters.
+const maxBulletLength = 200;
+
+// Words that show that a bullet has a number in it, besides digits.
+const quantityPattern =
+  /\b(one|two|three|four|five|six|seven|eight|nine|ten|dozens?|hundreds?|thousands?|millions?|billions?|doubled?|tripled?|half|percent)\b/i;
+
+// A form of "to be" followed by a past participle, like "was built".
+const passiveVoicePattern =
+  /\b(am|is|are|was|were|be|been|being)\s+(\w+ed|built|led|made|run|set|sent|taught|held|kept|paid|sold|told|found|shown|done|given|taken|written|chosen|driven|grown|known|seen|begun|broken|won|brought|bought|caught|cut|put)\b/i;
+
+const firstPersonPronouns = Object.freeze(
+  new Set(['i', 'me', 'my', 'mine', 'myself', 'we', 'our', 'ours', 'ourselves'])
+);
+
+/**
+ * Names of the problems that the linter looks for.
+ */
+const lintRules = Object.freeze({
+  weakOpening: 'weakOpening',
+  missingQuantification: 'missingQuantification',
+  passiveVoice: 'passiveVoice',
+  firstPerson: 'firstPerson',
+  tooLong: 'tooLong',
+  repeatedVerb: 'repeatedVerb',
+  inconsistentTense: 'inconsistentTense',
+});
+
+// --------------------------------------------------
+
+/**
+ * Makes the present tense of a verb that goes with "he", "she", or "it", such
+ * as "builds" or "simplifies".
+ *
+ * @param {String} verb - Base form of the verb.
+ * @returns {String} The verb ending in "s".
+ */
+function toThirdPerson(verb) {
+  if (/(s|sh|ch|x|z)$/.test(verb)) return verb + 'es';
+  if (/[^aeiou]y$/.test(verb)) return verb.slice(0, -1) + 'ies';
+  return verb + 's';
+}
+
+/**
+ * Forms of the action verbs, mapped to their base forms and tenses.  The base
+ * form of a verb is used to find bullets that start with the same verb.
+ */
+const actionVerbForms = (() => {
+  const forms = new Map();
+
+  const addForm = (form, verb, tense) => {
+    const existing = forms.get(form);
+
+    // Some verbs, like "cut", are the same in both tenses.
+    forms.set(form, {
+      verb,
+      tense: existing && existing.tense !== tense ? null : tense,
+    });
+  };
+
+  for (const [verb, pastTense] of Object.entries(actionVerbs)) {
+    addForm(verb, verb, 'present');
+    addForm(toThirdPerson(verb), verb, 'present');
+    addForm(pastTense, verb, 'past');
+  }
+
+  return forms;
+})();
+
+/**
+ * Gets the first word of a bullet, in lowercase.
+ *
+ * @param {String} content - Content of the bullet.
+ * @returns {String} The first word, or an empty String if there is none.
+ */
+function getFirstWord(content) {
+  return (content.trim().match(/^[a-z'-]+/i)?.[0] ?? '').toLowerCase();
+}
+
+/**
+ * Finds the problems in a single bullet that do not depend on other bullets.
+ *
+ * @param {String} content - Content of the bullet.
+ * @returns {{rule: String, message: String}[]} The problems that were found.
+ */
+function lintBulletContent(content) {
+  const problems = [];
+  const firstWord = getFirstWord(content);
+
+  if (!actionVerbForms.has(firstWord)) {
+    problems.push({
+      rule: lintRules.weakOpening,
+      message: `Starts with "${firstWord}" instead of an action verb.`,
+    });
+  }
+
+  if (!/\d/.test(content) && !quantityPattern.test(content)) {
+    problems.push({
+      rule: lintRules.missingQuantification,
+      message: 'Does not have any numbers to show the impact.',
+    });
+  }
+
+  const passiveVoiceMatch = content.match(passiveVoicePattern);
+  if (passiveVoiceMatch) {
+    problems.push({
+      rule: lintRules.passiveVoice,
+      message: `Uses passive voice, "${passiveVoiceMatch[0]}".`,
+    });
+  }
+
+  const pronoun = (content.match(/[a-z]+/gi) ?? []).find(
+    (word) =>
+      firstPersonPronouns.has(word.toLowerCase()) &&
+      (word.toLowerCase() !== 'i' || word === 'I')
+  );
+  if (pronoun) {
+    problems.push({
+      rule: lintRules.firstPerson,
+      message: `Uses the first-person pronoun "${pronoun}".`,
+    });
+  }
+
+  if (content.length > maxBulletLength) {
+    problems.push({
+      rule: lintRules.tooLong,
+      message:
+        `Is ${content.length} characters long.  ` +
+        `Keep bullets under ${maxBulletLength} characters.`,
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Finds problems in the bullets of the experiences in a document.  Besides the
+ * problems in each bullet, this finds bullets that start with the same verb as
+ * an earlier bullet, and bullets whose tense does not match the experience.
+ * Experiences without an end date are current, so their bullets should be in
+ * present tense, and the bullets of other experiences should be in past tense.
+ *
+ * @param {Object[]} [experiences] - Experiences of a document, each with its
+ *  bullets.  See Document.getDocumentAndSectionContent.
+ * @returns {{
+ *    experienceId: Number,
+ *    textSnippetId: Number,
+ *    textSnippetVersion: String,
+ *    rule: String,
+ *    message: String
+ *  }[]}
+ *  The problems, in the order of the experiences and bullets.  Each points to
+ *  the text snippet, and version of it, that has the problem.  See lintRules
+ *  for the names of the rules.
+ */
+function lintBullets(experiences) {
+  const issues = [];
+
+  // Base forms of the leading verbs that have been used, mapped to the ID of
+  // the first text snippet to use each.
+  const usedVerbs = new Map();
+
+  for (const experience of experiences ?? []) {
+    const expectedTense = experience.endDate == null ? 'present' : 'past';
+
+    for (const bullet of experience.bullets ?? []) {
+      const problems = lintBulletContent(bullet.content);
+      const verbForm = actionVerbForms.get(getFirstWord(bullet.content));
+
+      if (verbForm) {
+        if (usedVerbs.has(verbForm.verb)) {
+          problems.push({
+            rule: lintRules.repeatedVerb,
+            message:
+              `Starts with the same verb, "${verbForm.verb}", as the text ` +
+              `snippet with ID ${usedVerbs.get(verbForm.verb)}.`,
+          });
+        } else {
+          usedVerbs.set(verbForm.verb, bullet.id);
+        }
+
+        if (verbForm.tense && verbForm.tense !== expectedTense) {
+          problems.push({
+            rule: lintRules.inconsistentTense,
+            message:
+              `Uses ${verbForm.tense} tense for a ` +
+              `${expectedTense === 'present' ? 'current' : 'past'} ` +
+              'experience.',
+          });
+        }
+      }
+
+      issues.push(
+        ...problems.map((problem) => ({
+          experienceId: experience.id,
+          textSnippetId: bullet.id,
+          textSnippetVersion: bullet.version,
+          ...problem,
+        }))
+      );
+    }
+  }
+
+  return issues;
+}
+
+// ==================================================
+
+module.exports = { lintRules, lintBullets };
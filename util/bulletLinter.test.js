@@ -0,0 +1,137 @@
+'use strict';
+
+const { lintRules, lintBullets } = require('./bulletLinter');
+
+const {
+  documentContent,
+  emptyDocumentContent,
+} = require('./_documentContentTestData');
+
+// ==================================================
+
+/**
+ * Makes an experience with bullets that have the given contents.  The
+ * experience has ended, unless an end date of null is given.
+ */
+function makeExperience(contents, endDate = '2024-01-01', id = 1) {
+  return {
+    id,
+    endDate,
+    bullets: contents.map((content, idx) => ({
+      id: id * 100 + idx,
+      version: `2025-01-0${idx + 1}T00:00:00.000Z`,
+      content,
+    })),
+  };
+}
+
+/**
+ * Gets the names of the rules that a single bullet breaks.
+ */
+const getRules = (content, endDate) =>
+  lintBullets([makeExperience([content], endDate)]).map(({ rule }) => rule);
+
+// --------------------------------------------------
+
+describe('lintBullets', () => {
+  test.each([
+    ['Reduced cloud costs by 20%.'],
+    ['Led a team of four engineers.'],
+    ['Simplified the deploy process, saving 3 hours a week.'],
+  ])('Finds no problems in "%s".', (content) => {
+    // Act
+    const rules = getRules(content);
+
+    // Assert
+    expect(rules).toEqual([]);
+  });
+
+  test.each([
+    ['Responsible for the billing API for 5 teams.', lintRules.weakOpening],
+    ['Worked on 3 internal tools.', lintRules.weakOpening],
+    ['Built the billing API.', lintRules.missingQuantification],
+    ['Built a service that was used by 5 teams.', lintRules.passiveVoice],
+    ['Built my first 3 APIs.', lintRules.firstPerson],
+    ['Built 3 APIs that I designed.', lintRules.firstPerson],
+    [`Built 3 APIs${' and more'.repeat(25)}.`, lintRules.tooLong],
+  ])('Finds a problem in "%s".', (content, rule) => {
+    // Act
+    const rules = getRules(content);
+
+    // Assert
+    expect(rules).toEqual([rule]);
+  });
+
+  test.each([
+    ['Built 3 APIs.', null, [lintRules.inconsistentTense]],
+    ['Builds 3 APIs.', null, []],
+    ['Build 3 APIs.', null, []],
+    ['Builds 3 APIs.', '2024-01-01', [lintRules.inconsistentTense]],
+    ['Simplifies 3 APIs.', '2024-01-01', [lintRules.inconsistentTense]],
+    // Same in both tenses.
+    ['Cut costs by 20%.', null, []],
+    ['Cut costs by 20%.', '2024-01-01', []],
+  ])(
+    'Checks the tense of "%s" for an experience that ends on %s.',
+    (content, endDate, expected) => {
+      // Act
+      const rules = getRules(content, endDate);
+
+      // Assert
+      expect(rules).toEqual(expected);
+    }
+  );
+
+  test('Finds bullets that start with the same verb as an earlier bullet.', () => {
+    // Arrange
+    const experiences = [
+      makeExperience(['Built 3 APIs.', 'Reduced costs by 20%.'], null, 1),
+      makeExperience(['Build 2 tools.', 'Built 5 dashboards.'], null, 2),
+    ];
+
+    // Act
+    const issues = lintBullets(experiences).filter(
+      ({ rule }) => rule === lintRules.repeatedVerb
+    );
+
+    // Assert
+    expect(issues.map(({ textSnippetId }) => textSnippetId)).toEqual([
+      200, 201,
+    ]);
+    expect(issues[0].message).toBe(
+      'Starts with the same verb, "build", as the text snippet with ID 100.'
+    );
+  });
+
+  test('Points each problem to the text snippet and experience.', () => {
+    // Act
+    const issues = lintBullets(documentContent.experiences);
+
+    // Assert
+    const [experience] = documentContent.experiences;
+    expect(issues).toEqual([
+      {
+        experienceId: experience.id,
+        textSnippetId: experience.bullets[0].id,
+        textSnippetVersion: experience.bullets[0].version,
+        rule: lintRules.inconsistentTense,
+        message: 'Uses past tense for a current experience.',
+      },
+      {
+        experienceId: experience.id,
+        textSnippetId: experience.bullets[1].id,
+        textSnippetVersion: experience.bullets[1].version,
+        rule: lintRules.inconsistentTense,
+        message: 'Uses past tense for a current experience.',
+      },
+    ]);
+  });
+
+  test('Finds no problems in a document without experiences.', () => {
+    // Act
+    const issues = lintBullets(emptyDocumentContent.experiences);
+
+    // Assert
+    expect(issues).toEqual([]);
+  });
+});
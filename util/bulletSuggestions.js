@@ -0,0 +1,96 @@
+'use strict';
+
+const { extractKeywords, findKeywords } = require('./keywordMatch');
+
+// ==================================================
+
+// Most bullets that are suggested for each experience, if not given.
+const defaultMaxBulletsPerExperience = 5;
+
+// --------------------------------------------------
+
+/**
+ * Ranks the bullets of experiences by how relevant they are to a job posting,
+ * then suggests which experiences and bullets to put in a resume tailored to
+ * the posting.
+ *
+ * The relevance of a bullet is the number of times that the keywords it has
+ * are in the job posting.  See extractKeywords and findKeywords in
+ * util/keywordMatch.js.  Bullets that are equally relevant keep the order that
+ * they are in the experiences.
+ *
+ * Only experiences with relevant bullets are suggested, in the same order as
+ * given, since that is the order the user chose for them.  The bullets of each
+ * experience are suggested from most to least relevant.
+ *
+ * @param {String} jobDescription - Text of the job posting.
+ * @param {Object[]} [experiences] - Experiences, each with its bullets, such
+ *  as those of the master resume.  See Document.getDocumentAndSectionContent.
+ * @param {Object} [options] - Limits what is suggested.
+ * @param {Number} [options.maxBulletsPerExperience] - Most bullets to suggest
+ *  for each experience.
+ * @returns {{
+ *    rankedBullets: {
+ *      experienceId: Number,
+ *      textSnippetId: Number,
+ *      textSnippetVersion: String,
+ *      content: String,
+ *      relevance: Number,
+ *      matchedKeywords: String[]
+ *    }[],
+ *    experiences: {
+ *      experienceId: Number,
+ *      bullets: {textSnippetId: Number, textSnippetVersion: String}[]
+ *    }[]
+ *  }}
+ *  rankedBullets - Every bullet, most relevant first.
+ *  experiences - The suggested experiences and bullets, in the order that they
+ *  should be attached to a document.
+ */
+function suggestBullets(jobDescription, experiences, options = {}) {
+  const { maxBulletsPerExperience = defaultMaxBulletsPerExperience } = options;
+
+  const keywords = extractKeywords(jobDescription);
+
+  const rankedBullets = (experiences ?? [])
+    .flatMap(({ id: experienceId, bullets }) =>
+      (bullets ?? []).map(({ id, version, content }) => {
+        const foundKeywords = findKeywords(keywords, [content]);
+
+        return {
+          experienceId,
+          textSnippetId: id,
+          textSnippetVersion: version,
+          content,
+          relevance: foundKeywords.reduce(
+            (total, { occurrences }) => total + occurrences,
+            0
+          ),
+          matchedKeywords: foundKeywords.map(({ keyword }) => keyword),
+        };
+      })
+    )
+    // Sorting is stable, so equally relevant bullets keep their order.
+    .sort((a, b) => b.relevance - a.relevance);
+
+  const suggestedExperiences = (experiences ?? [])
+    .map(({ id: experienceId }) => ({
+      experienceId,
+      bullets: rankedBullets
+        .filter(
+          (bullet) => bullet.experienceId === experienceId && bullet.relevance
+        )
+        .slice(0, maxBulletsPerExperience)
+        .map(({ textSnippetId, textSnippetVersion }) => ({
+          textSnippetId,
+          textSnippetVersion,
+        })),
+    }))
+    .filter(({ bullets }) => bullets.length);
+
+  return { rankedBullets, experiences: suggestedExperiences };
+}
+
+// ==================================================
+
+module.exports = { suggestBullets };
@@ -0,0 +1,133 @@
+'use strict';
+
+const { suggestBullets } = require('./bulletSuggestions');
+
+const {
+  documentContent,
+  emptyDocumentContent,
+} = require('./_documentContentTestData');
+
+// ==================================================
+
+const jobDescription =
+  'Looking for an engineer to build APIs and reduce cloud costs.  ' +
+  'You will build APIs for web applications.';
+
+/**
+ * Makes a bullet with the given ID and content.
+ */
+const makeBullet = (id, content) => ({
+  id,
+  version: '2025-01-01T00:00:00.000Z',
+  content,
+});
+
+// --------------------------------------------------
+
+describe('suggestBullets', () => {
+  test('Ranks bullets and suggests the relevant ones.', () => {
+    // Act
+    const suggestions = suggestBullets(
+      jobDescription,
+      documentContent.experiences
+    );
+
+    // Assert
+    const [bulletA, bulletB] = documentContent.experiences[0].bullets;
+
+    expect(suggestions).toEqual({
+      rankedBullets: [
+        {
+          experienceId: 1,
+          textSnippetId: bulletA.id,
+          textSnippetVersion: bulletA.version,
+          content: bulletA.content,
+          relevance: 2,
+          matchedKeywords: ['apis'],
+        },
+        {
+          experienceId: 1,
+          textSnippetId: bulletB.id,
+          textSnippetVersion: bulletB.version,
+          content: bulletB.content,
+          relevance: 2,
+          matchedKeywords: ['cloud', 'costs'],
+        },
+      ],
+      experiences: [
+        {
+          experienceId: 1,
+          bullets: [
+            { textSnippetId: bulletA.id, textSnippetVersion: bulletA.version },
+            { textSnippetId: bulletB.id, textSnippetVersion: bulletB.version },
+          ],
+        },
+      ],
+    });
+  });
+
+  test('Suggests bullets by relevance and experiences in their order.', () => {
+    // Arrange
+    const experiences = [
+      { id: 1, bullets: [makeBullet(1, 'Planted 3 trees.')] },
+      {
+        id: 2,
+        bullets: [
+          makeBullet(2, 'Reduced cloud costs by 20%.'),
+          makeBullet(3, 'Designed 3 APIs for web applications.'),
+          makeBullet(4, 'Built 2 web tools.'),
+        ],
+      },
+      { id: 3, bullets: [makeBullet(5, 'Designed 4 APIs.')] },
+    ];
+
+    // Act
+    const suggestions = suggestBullets(jobDescription, experiences, {
+      maxBulletsPerExperience: 2,
+    });
+
+    // Assert
+    expect(
+      suggestions.rankedBullets.map(({ textSnippetId }) => textSnippetId)
+    ).toEqual([3, 2, 5, 4, 1]);
+    expect(suggestions.experiences).toEqual([
+      {
+        experienceId: 2,
+        bullets: [
+          {
+            textSnippetId: 3,
+            textSnippetVersion: experiences[1].bullets[1].version,
+          },
+          {
+            textSnippetId: 2,
+            textSnippetVersion: experiences[1].bullets[0].version,
+          },
+        ],
+      },
+      {
+        experienceId: 3,
+        bullets: [
+          {
+            textSnippetId: 5,
+            textSnippetVersion: experiences[2].bullets[0].version,
+          },
+        ],
+      },
+    ]);
+  });
+
+  test.each([
+    [jobDescription, emptyDocumentContent.experiences],
+    [jobDescription, [{ id: 1, bullets: null }]],
+    ['The and of.', documentContent.experiences],
+  ])(
+    'Suggests nothing for job description %j and experiences %j.',
+    (text, experiences) => {
+      // Act
+      const suggestions = suggestBullets(text, experiences);
+
+      // Assert
+      expect(suggestions.experiences).toEqual([]);
+    }
+  );
+});
@@ -0,0 +1,258 @@
+'use strict';
+
+// ==================================================
+
+/**
+ * The properties, in the Object returned by
+ * Document.getDocumentAndSectionContent, that hold lists of items to compare
+ * between documents.  Items are matched by ID.
+ */
+const diffedContentProperties = Object.freeze([
+  'sections',
+  'educations',
+  'experiences',
+  'certifications',
+  'projects',
+  'skills',
+]);
+
+/**
+ * The properties that hold lists of items that have bullets, mapped to the
+ * property names that hold the bullet differences in the result of
+ * diffDocuments, and to the names of the item IDs in those differences.
+ */
+const bulletedContentProperties = Object.freeze({
+  experiences: Object.freeze({
+    diffProperty: 'bullets',
+    idName: 'experienceId',
+  }),
+  projects: Object.freeze({
+    diffProperty: 'projectBullets',
+    idName: 'projectId',
+  }),
+});
+
+// --------------------------------------------------
+
+/**
+ * Finds the positions of the longest increasing subsequence in a list of
+ * numbers.
+ *
+ * @param {Number[]} numbers - A list of unique numbers.
+ * @returns {Set<Number>} The positions, in the given list, of the numbers that
+ *  are part of the longest increasing subsequence.
+ */
+function findLongestIncreasingSubsequence(numbers) {
+  // lengths[i] is the length of the longest increasing subsequence that ends
+  // at numbers[i], and previous[i] is the position before i in it.
+  const lengths = numbers.map(() => 1);
+  const previous = numbers.map(() => -1);
+
+  for (let i = 0; i < numbers.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (numbers[j] < numbers[i] && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  }
+
+  const positions = new Set();
+  let i = lengths.indexOf(Math.max(...lengths));
+  while (i >= 0) {
+    positions.add(i);
+    i = previous[i];
+  }
+
+  return positions;
+}
+
+/**
+ * Compares two lists of items that are identified by ID, such as the sections
+ * of two documents.
+ *
+ * Items are reordered when their order relative to the other items in both
+ * lists has changed.  Only the fewest items that need to be moved, to go from
+ * the first order to the second, are counted as reordered.
+ *
+ * @param {Object[]} [itemsA] - Items in the first list.
+ * @param {Object[]} [itemsB] - Items in the second list.
+ * @returns {{
+ *    added: Object[],
+ *    removed: Object[],
+ *    reordered: {item: Object, fromPosition: Number, toPosition: Number}[]
+ *  }}
+ *  added - Items only in the second list.
+ *  removed - Items only in the first list.
+ *  reordered - Items in both lists that were moved, along with their positions
+ *  in the first and second lists.
+ */
+function diffItems(itemsA, itemsB) {
+  itemsA = itemsA ?? [];
+  itemsB = itemsB ?? [];
+
+  const positionsA = new Map(itemsA.map((item, idx) => [item.id, idx]));
+  const positionsB = new Map(itemsB.map((item, idx) => [item.id, idx]));
+
+  const added = itemsB.filter((item) => !positionsA.has(item.id));
+  const removed = itemsA.filter((item) => !positionsB.has(item.id));
+
+  // Items in both lists, in the order of the first list.
+  const commonItems = itemsA.filter((item) => positionsB.has(item.id));
+  const unmovedPositions = findLongestIncreasingSubsequence(
+    commonItems.map((item) => positionsB.get(item.id))
+  );
+
+  const reordered = commonItems
+    .filter((_, idx) => !unmovedPositions.has(idx))
+    .map((item) => ({
+      item,
+      fromPosition: positionsA.get(item.id),
+      toPosition: positionsB.get(item.id),
+    }))
+    .sort((a, b) => a.toPosition - b.toPosition);
+
+  return { added, removed, reordered };
+}
+
+/**
+ * Compares the bullets of each item, such as an experience, in two documents.
+ * An item that is only in one document is treated as having no bullets in the
+ * other.
+ *
+ * Bullets are identified by text snippet ID, so the same text snippet at
+ * different versions is counted as a changed version instead of as added and
+ * removed.
+ *
+ * @param {Object[]} [itemsA] - Items in the first document.
+ * @param {Object[]} [itemsB] - Items in the second document.
+ * @param {String} [idName] - Name of the property that holds the item ID in
+ *  each bullet difference.
+ * @returns {Object[]} A list of bullet differences of each item that has any.
+ *  Each has the item ID, the added, removed, and reordered bullets, and the
+ *  bullets with changed versions.
+ */
+function diffBullets(itemsA, itemsB, idName = 'experienceId') {
+  const getBulletsById = (items) =>
+    new Map((items ?? []).map((item) => [item.id, item.bullets ?? []]));
+
+  const bulletsA = getBulletsById(itemsA);
+  const bulletsB = getBulletsById(itemsB);
+  const itemIds = new Set([...bulletsA.keys(), ...bulletsB.keys()]);
+
+  const bulletDiffs = [];
+
+  for (const itemId of itemIds) {
+    const itemBulletsA = bulletsA.get(itemId) ?? [];
+    const itemBulletsB = bulletsB.get(itemId) ?? [];
+
+    const versionChanged = itemBulletsA.flatMap((bulletA) => {
+      const bulletB = itemBulletsB.find((bullet) => bullet.id === bulletA.id);
+
+      return bulletB && bulletB.version !== bulletA.version
+        ? [{ from: bulletA, to: bulletB }]
+        : [];
+    });
+
+    const bulletDiff = {
+      [idName]: itemId,
+      ...diffItems(itemBulletsA, itemBulletsB),
+      versionChanged,
+    };
+
+    if (hasDifferences(bulletDiff)) bulletDiffs.push(bulletDiff);
+  }
+
+  return bulletDiffs;
+}
+
+/**
+ * Compares the summaries of two documents.  A summary is the same if it is the
+ * same version of the same text snippet.
+ *
+ * @param {Object} [summaryA] - Summary of the first document.
+ * @param {Object} [summaryB] - Summary of the second document.
+ * @returns {{from: Object, to: Object} | null} The summaries of both
+ *  documents, or null if they are the same.  A document without a summary has
+ *  null as its summary.
+ */
+function diffSummaries(summaryA, summaryB) {
+  summaryA = summaryA ?? null;
+  summaryB = summaryB ?? null;
+
+  const isSame =
+    summaryA?.id === summaryB?.id && summaryA?.version === summaryB?.version;
+
+  return isSame ? null : { from: summaryA, to: summaryB };
+}
+
+/**
+ * Checks if any of the lists of differences in an Object is not empty.
+ *
+ * @param {Object} diff - Contains lists of differences.
+ * @returns {Boolean} Whether there are any differences.
+ */
+function hasDifferences(diff) {
+  return Object.values(diff).some(
+    (value) => Array.isArray(value) && value.length > 0
+  );
+}
+
+/**
+ * Compares the contents of two documents.  Reports what would need to change
+ * to go from the first document to the second one.
+ *
+ * Experiences and projects in the differences do not have their bullets,
+ * because bullets are compared separately.
+ *
+ * @param {Object} documentA - The first document and all of its contents.  See
+ *  Document.getDocumentAndSectionContent.
+ * @param {Object} documentB - The second document and all of its contents.
+ * @returns {Object} The differences in summary, sections, educations,
+ *  experiences, certifications, projects, experience bullets, and project
+ *  bullets.  See diffSummaries, diffItems, and diffBullets for their formats.
+ */
+function diffDocuments(documentA, documentB) {
+  const withoutBullets = (items) =>
+    items?.map(({ bullets, ...item }) => item) ?? [];
+
+  const diff = {
+    from: { id: documentA.id, documentName: documentA.documentName },
+    to: { id: documentB.id, documentName: documentB.documentName },
+    summary: diffSummaries(documentA.summary, documentB.summary),
+  };
+
+  for (const property of diffedContentProperties) {
+    diff[property] =
+      property in bulletedContentProperties
+        ? diffItems(
+            withoutBullets(documentA[property]),
+            withoutBullets(documentB[property])
+          )
+        : diffItems(documentA[property], documentB[property]);
+  }
+
+  const bulletDiffProperties = Object.entries(bulletedContentProperties).map(
+    ([property, { diffProperty, idName }]) => {
+      diff[diffProperty] = diffBullets(
+        documentA[property],
+        documentB[property],
+        idName
+      );
+      return diffProperty;
+    }
+  );
+
+  diff.isSame =
+    diff.summary === null &&
+    bulletDiffProperties.every((property) => diff[property].length === 0) &&
+    diffedContentProperties.every(
+      (property) => !hasDifferences(diff[property])
+    );
+
+  return diff;
+}
+
+// ==================================================
+
+module.exports = { diffItems, diffBullets, diffSummaries, diffDocuments };
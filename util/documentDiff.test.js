@@ -0,0 +1,382 @@
+'use strict';
+
+const {
+  diffItems,
+  diffBullets,
+  diffSummaries,
+  diffDocuments,
+} = require('./documentDiff');
+
+const {
+  documentContent,
+  emptyDocumentContent,
+} = require('./_documentContentTestData');
+
+// ==================================================
+
+const toItems = (ids) => ids.map((id) => ({ id }));
+
+// --------------------------------------------------
+
+describe('diffItems', () => {
+  test('Finds no differences in the same lists.', () => {
+    // Act
+    const diff = diffItems(toItems([1, 2, 3]), toItems([1, 2, 3]));
+
+    // Assert
+    expect(diff).toEqual({ added: [], removed: [], reordered: [] });
+  });
+
+  test('Finds added and removed items.', () => {
+    // Act
+    const diff = diffItems(toItems([1, 2, 3]), toItems([1, 3, 4]));
+
+    // Assert
+    expect(diff).toEqual({
+      added: [{ id: 4 }],
+      removed: [{ id: 2 }],
+      reordered: [],
+    });
+  });
+
+  test.each([
+    [[1, 2, 3, 4], [4, 1, 2, 3], [{ id: 4, fromPosition: 3, toPosition: 0 }]],
+    [[1, 2, 3, 4], [2, 3, 4, 1], [{ id: 1, fromPosition: 0, toPosition: 3 }]],
+    [
+      [1, 2, 3],
+      [3, 2, 1],
+      [
+        { id: 3, fromPosition: 2, toPosition: 0 },
+        { id: 2, fromPosition: 1, toPosition: 1 },
+      ],
+    ],
+  ])(
+    'Finds the fewest moved items when going from %j to %j.',
+    (idsA, idsB, expected) => {
+      // Act
+      const diff = diffItems(toItems(idsA), toItems(idsB));
+
+      // Assert
+      expect(diff.reordered).toEqual(
+        expected.map(({ id, ...positions }) => ({ item: { id }, ...positions }))
+      );
+    }
+  );
+
+  test('Does not count positions shifted by added or removed items as reordered.', () => {
+    // Act
+    const diff = diffItems(toItems([1, 2, 3]), toItems([4, 1, 3]));
+
+    // Assert
+    expect(diff.reordered).toEqual([]);
+  });
+
+  test('Treats null lists as empty.', () => {
+    // Act
+    const diff = diffItems(null, toItems([1]));
+
+    // Assert
+    expect(diff).toEqual({ added: [{ id: 1 }], removed: [], reordered: [] });
+  });
+});
+
+// --------------------------------------------------
+
+describe('diffBullets', () => {
+  const [experience] = documentContent.experiences;
+  const [bullet1, bullet2] = experience.bullets;
+
+  test('Finds bullets of the same text snippet at different versions.', () => {
+    // Arrange
+    const newBullet1 = {
+      ...bullet1,
+      version: '2025-02-01T00:00:00.000Z',
+      content: 'Built an API.',
+    };
+
+    // Act
+    const diff = diffBullets(
+      [experience],
+      [{ ...experience, bullets: [newBullet1, bullet2] }]
+    );
+
+    // Assert
+    expect(diff).toEqual([
+      {
+        experienceId: experience.id,
+        added: [],
+        removed: [],
+        reordered: [],
+        versionChanged: [{ from: bullet1, to: newBullet1 }],
+      },
+    ]);
+  });
+
+  test('Finds added, removed, and reordered bullets.', () => {
+    // Arrange
+    const bullet3 = { ...bullet1, id: 3 };
+    const bullet4 = { ...bullet1, id: 4 };
+
+    // Act
+    const diff = diffBullets(
+      [{ ...experience, bullets: [bullet1, bullet2, bullet3] }],
+      [{ ...experience, bullets: [bullet2, bullet1, bullet4] }]
+    );
+
+    // Assert
+    expect(diff).toEqual([
+      {
+        experienceId: experience.id,
+        added: [bullet4],
+        removed: [bullet3],
+        reordered: [{ item: bullet2, fromPosition: 1, toPosition: 0 }],
+        versionChanged: [],
+      },
+    ]);
+  });
+
+  test('Treats bullets of an experience in only one document as added.', () => {
+    // Act
+    const diff = diffBullets(null, [experience]);
+
+    // Assert
+    expect(diff).toEqual([
+      {
+        experienceId: experience.id,
+        added: [bullet1, bullet2],
+        removed: [],
+        reordered: [],
+        versionChanged: [],
+      },
+    ]);
+  });
+
+  test('Names the item IDs with the given name.', () => {
+    // Arrange
+    const [project] = documentContent.projects;
+
+    // Act
+    const diff = diffBullets([project], null, 'projectId');
+
+    // Assert
+    expect(diff).toEqual([
+      {
+        projectId: project.id,
+        added: [],
+        removed: project.bullets,
+        reordered: [],
+        versionChanged: [],
+      },
+    ]);
+  });
+
+  test('Leaves out experiences with no bullet differences.', () => {
+    // Act
+    const diff = diffBullets(
+      documentContent.experiences,
+      documentContent.experiences
+    );
+
+    // Assert
+    expect(diff).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+
+describe('diffSummaries', () => {
+  const { summary } = documentContent;
+
+  test('Finds no differences in the same summary.', () => {
+    // Act
+    const diff = diffSummaries(summary, { ...summary });
+
+    // Assert
+    expect(diff).toBeNull();
+  });
+
+  test.each([
+    ['another version', { ...summary, version: '2025-02-01T00:00:00.000Z' }],
+    ['another text snippet', { ...summary, id: 60 }],
+    ['no summary', null],
+  ])('Finds a summary changed to %s.', (_, otherSummary) => {
+    // Act
+    const diff = diffSummaries(summary, otherSummary);
+
+    // Assert
+    expect(diff).toEqual({ from: summary, to: otherSummary });
+  });
+
+  test('Finds no differences when neither document has a summary.', () => {
+    // Act
+    const diff = diffSummaries(null, undefined);
+
+    // Assert
+    expect(diff).toBeNull();
+  });
+});
+
+// --------------------------------------------------
+
+describe('diffDocuments', () => {
+  const noDifferences = Object.freeze({
+    added: [],
+    removed: [],
+    reordered: [],
+  });
+
+  test('Finds no differences in the same document content.', () => {
+    // Act
+    const diff = diffDocuments(documentContent, {
+      ...documentContent,
+      id: 2,
+      documentName: 'Fork',
+    });
+
+    // Assert
+    expect(diff).toEqual({
+      from: { id: 1, documentName: 'Master' },
+      to: { id: 2, documentName: 'Fork' },
+      summary: null,
+      sections: noDifferences,
+      educations: noDifferences,
+      experiences: noDifferences,
+      certifications: noDifferences,
+      projects: noDifferences,
+      skills: noDifferences,
+      bullets: [],
+      projectBullets: [],
+      isSame: true,
+    });
+  });
+
+  test('Finds differences in sections, content, and bullets.', () => {
+    // Arrange
+    const [experience1, experience2] = documentContent.experiences;
+    const [bullet1, bullet2] = experience1.bullets;
+    const { bullets, ...experience2WithoutBullets } = experience2;
+
+    const otherDocumentContent = {
+      ...documentContent,
+      sections: [...documentContent.sections].reverse(),
+      educations: null,
+      experiences: [{ ...experience1, bullets: [bullet2, bullet1] }],
+    };
+
+    // Act
+    const diff = diffDocuments(documentContent, otherDocumentContent);
+
+    // Assert
+    expect(diff.sections).toEqual({
+      added: [],
+      removed: [],
+      reordered: [
+        {
+          item: documentContent.sections[6],
+          fromPosition: 6,
+          toPosition: 0,
+        },
+        {
+          item: documentContent.sections[5],
+          fromPosition: 5,
+          toPosition: 1,
+        },
+        {
+          item: documentContent.sections[4],
+          fromPosition: 4,
+          toPosition: 2,
+        },
+        {
+          item: documentContent.sections[3],
+          fromPosition: 3,
+          toPosition: 3,
+        },
+        {
+          item: documentContent.sections[2],
+          fromPosition: 2,
+          toPosition: 4,
+        },
+        {
+          item: documentContent.sections[1],
+          fromPosition: 1,
+          toPosition: 5,
+        },
+      ],
+    });
+    expect(diff.educations).toEqual({
+      ...noDifferences,
+      removed: documentContent.educations,
+    });
+    expect(diff.experiences).toEqual({
+      ...noDifferences,
+      removed: [experience2WithoutBullets],
+    });
+    expect(diff.bullets).toEqual([
+      {
+        experienceId: experience1.id,
+        added: [],
+        removed: [],
+        reordered: [{ item: bullet2, fromPosition: 1, toPosition: 0 }],
+        versionChanged: [],
+      },
+    ]);
+    expect(diff.projectBullets).toEqual([]);
+    expect(diff.isSame).toBe(false);
+  });
+
+  test('Finds differences in project bullets.', () => {
+    // Arrange
+    const [project] = documentContent.projects;
+    const [bullet] = project.bullets;
+    const newBullet = { ...bullet, version: '2025-02-01T00:00:00.000Z' };
+
+    // Act
+    const diff = diffDocuments(documentContent, {
+      ...documentContent,
+      projects: [{ ...project, bullets: [newBullet] }],
+    });
+
+    // Assert
+    expect(diff.projects).toEqual(noDifferences);
+    expect(diff.projectBullets).toEqual([
+      {
+        projectId: project.id,
+        added: [],
+        removed: [],
+        reordered: [],
+        versionChanged: [{ from: bullet, to: newBullet }],
+      },
+    ]);
+    expect(diff.isSame).toBe(false);
+  });
+
+  test('Finds documents that only differ in summary.', () => {
+    // Arrange
+    const newSummary = {
+      ...documentContent.summary,
+      version: '2025-02-01T00:00:00.000Z',
+      content: 'Backend engineer.',
+    };
+
+    // Act
+    const diff = diffDocuments(documentContent, {
+      ...documentContent,
+      summary: newSummary,
+    });
+
+    // Assert
+    expect(diff.summary).toEqual({
+      from: documentContent.summary,
+      to: newSummary,
+    });
+    expect(diff.isSame).toBe(false);
+  });
+
+  test('Works with documents that have no content.', () => {
+    // Act
+    const diff = diffDocuments(emptyDocumentContent, emptyDocumentContent);
+
+    // Assert
+    expect(diff.isSame).toBe(true);
+  });
+});
@@ -0,0 +1,302 @@
+'use strict';
+
+const docx = require('docx');
+
+const {
+  formatDate,
+  formatDateRange,
+  formatOptionalDateRange,
+  getContactInfoLines,
+  getSectionsWithContent,
+} = require('./renderHelpers');
+
+// ==================================================
+
+// Measurements are in twentieths of a point (twips).  1 inch is 1440 twips.
+const pageSize = Object.freeze({ width: 12240, height: 15840 });
+const pageMargin = 1440;
+const contentWidth = pageSize.width - pageMargin * 2;
+
+// --------------------------------------------------
+
+/**
+ * Creates the paragraphs for the user's name and contact info.
+ *
+ * @param {Object} [contactInfo] - The contact info of a user.
+ * @returns {docx.Paragraph[]} The header paragraphs.
+ */
+function createHeader(contactInfo) {
+  if (!contactInfo) return [];
+
+  return [
+    new docx.Paragraph({
+      text: contactInfo.fullName,
+      heading: docx.HeadingLevel.TITLE,
+      alignment: docx.AlignmentType.CENTER,
+    }),
+    new docx.Paragraph({
+      text: getContactInfoLines(contactInfo).join(' | '),
+      alignment: docx.AlignmentType.CENTER,
+    }),
+  ];
+}
+
+/**
+ * Creates a paragraph with bolded text on the left and normal text aligned to
+ * the right.  This is for things like a school or job title on the left and
+ * dates on the right.
+ *
+ * @param {String} leftText - Bolded text to put on the left.
+ * @param {String} rightText - Text to put on the right.
+ * @returns {docx.Paragraph} The item heading paragraph.
+ */
+function createItemHeading(leftText, rightText) {
+  return new docx.Paragraph({
+    tabStops: [{ type: docx.TabStopType.RIGHT, position: contentWidth }],
+    spacing: { before: 120 },
+    keepNext: true,
+    children: [
+      new docx.TextRun({ text: leftText, bold: true }),
+      new docx.TextRun({ children: [new docx.Tab(), rightText] }),
+    ],
+  });
+}
+
+/**
+ * Creates the paragraphs for a single education.
+ *
+ * @param {Object} education - An education in a document.
+ * @returns {docx.Paragraph[]} The education paragraphs.
+ */
+function createEducation(education) {
+  const paragraphs = [
+    createItemHeading(
+      education.school,
+      formatDateRange(education.startDate, education.endDate)
+    ),
+    new docx.Paragraph({
+      children: [
+        new docx.TextRun({
+          text: `${education.degree}, ${education.location}`,
+          italics: true,
+        }),
+      ],
+    }),
+  ];
+
+  [
+    ['GPA', education.gpa],
+    ['Awards and Honors', education.awardsAndHonors],
+    ['Activities', education.activities],
+  ].forEach(([label, value]) => {
+    if (value) paragraphs.push(new docx.Paragraph(`${label}: ${value}`));
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Creates the paragraphs for a single experience.  Bullet points are created
+ * as an actual list, instead of as text starting with bullet characters.
+ *
+ * @param {Object} experience - An experience in a document.
+ * @returns {docx.Paragraph[]} The experience paragraphs.
+ */
+function createExperience(experience) {
+  return [
+    createItemHeading(
+      experience.title,
+      formatDateRange(experience.startDate, experience.endDate)
+    ),
+    new docx.Paragraph({
+      children: [
+        new docx.TextRun({
+          text: `${experience.organization}, ${experience.location}`,
+          italics: true,
+        }),
+      ],
+    }),
+    ...(experience.bullets ?? []).map(
+      (bullet) =>
+        new docx.Paragraph({ text: bullet.content, bullet: { level: 0 } })
+    ),
+  ];
+}
+
+/**
+ * Creates the paragraphs for a single certification.
+ *
+ * @param {Object} certification - A certification in a document.
+ * @returns {docx.Paragraph[]} The certification paragraphs.
+ */
+function createCertification(certification) {
+  return [
+    createItemHeading(certification.name, formatDate(certification.issueDate)),
+    new docx.Paragraph({
+      children: [
+        new docx.TextRun({ text: certification.issuingOrg, italics: true }),
+      ],
+    }),
+  ];
+}
+
+/**
+ * Creates the paragraphs for a single project.  Bullet points are created the
+ * same way as in experiences.
+ *
+ * @param {Object} project - A project in a document.
+ * @returns {docx.Paragraph[]} The project paragraphs.
+ */
+function createProject(project) {
+  return [
+    createItemHeading(
+      project.name,
+      formatDateRange(project.startDate, project.endDate)
+    ),
+    ...(project.bullets ?? []).map(
+      (bullet) =>
+        new docx.Paragraph({ text: bullet.content, bullet: { level: 0 } })
+    ),
+  ];
+}
+
+/**
+ * Creates the paragraph for a single skill, with its name bolded in front of
+ * its content.
+ *
+ * @param {Object} skill - A skill in a document.
+ * @returns {docx.Paragraph[]} The skill paragraph.
+ */
+function createSkill(skill) {
+  return [
+    new docx.Paragraph({
+      children: [
+        new docx.TextRun({ text: `${skill.name}: `, bold: true }),
+        new docx.TextRun(skill.content),
+      ],
+    }),
+  ];
+}
+
+/**
+ * Creates the paragraph for the summary of a document.
+ *
+ * @param {Object} summary - The text snippet that is the summary of a
+ *  document.
+ * @returns {docx.Paragraph[]} The summary paragraph.
+ */
+function createSummary(summary) {
+  return [new docx.Paragraph(summary.content)];
+}
+
+/**
+ * Creates the paragraphs for a single entry in a custom section.  Only the
+ * title is required, so the other parts are left out when empty.
+ *
+ * @param {Object} entry - An entry of a custom section in a document.
+ * @returns {docx.Paragraph[]} The entry paragraphs.
+ */
+function createCustomSectionEntry(entry) {
+  const paragraphs = [
+    createItemHeading(
+      entry.title,
+      formatOptionalDateRange(entry.startDate, entry.endDate)
+    ),
+  ];
+
+  const details = [entry.subtitle, entry.location].filter((val) => val);
+  if (details.length) {
+    paragraphs.push(
+      new docx.Paragraph({
+        children: [
+          new docx.TextRun({ text: details.join(', '), italics: true }),
+        ],
+      })
+    );
+  }
+
+  return [
+    ...paragraphs,
+    ...(entry.bullets ?? []).map(
+      (bullet) =>
+        new docx.Paragraph({ text: bullet.content, bullet: { level: 0 } })
+    ),
+  ];
+}
+
+const itemCreators = Object.freeze({
+  educations: createEducation,
+  experiences: createExperience,
+  certifications: createCertification,
+  projects: createProject,
+  skills: createSkill,
+  summary: createSummary,
+  customSectionEntries: createCustomSectionEntry,
+});
+
+/**
+ * Renders a full document and its contents into a Word document (DOCX).
+ * Sections are written in the order of their positions in the document, with
+ * each section name as a heading.  Cover letters have paragraphs instead of
+ * sections.
+ *
+ * @param {Object} document - The Object returned by
+ *  Document.getDocumentAndSectionContent or Document.getCoverLetterContent.
+ * @returns {Promise<Buffer>} The DOCX file data.
+ */
+async function renderDocx(document) {
+  const children = createHeader(document.contactInfo);
+
+  if (document.kind === 'coverLetter') {
+    (document.paragraphs ?? []).forEach((paragraph) =>
+      children.push(
+        new docx.Paragraph({ text: paragraph.content, spacing: { after: 240 } })
+      )
+    );
+  }
+
+  getSectionsWithContent(document).forEach(
+    ({ sectionName, contentProperty, items }) => {
+      children.push(
+        new docx.Paragraph({
+          text: sectionName,
+          heading: docx.HeadingLevel.HEADING_1,
+          border: {
+            bottom: { style: docx.BorderStyle.SINGLE, size: 6, space: 1 },
+          },
+        })
+      );
+
+      items.forEach((item) =>
+        children.push(...itemCreators[contentProperty](item))
+      );
+    }
+  );
+
+  const wordDocument = new docx.Document({
+    title: document.documentName,
+    creator: document.contactInfo?.fullName ?? document.owner,
+    sections: [
+      {
+        properties: {
+          page: {
+            size: pageSize,
+            margin: {
+              top: pageMargin,
+              right: pageMargin,
+              bottom: pageMargin,
+              left: pageMargin,
+            },
+          },
+        },
+        children,
+      },
+    ],
+  });
+
+  return await docx.Packer.toBuffer(wordDocument);
+}
+
+// ==================================================
+
+module.exports = { renderDocx };
@@ -0,0 +1,112 @@
+'use strict';
+
+const JSZip = require('jszip');
+
+const { renderDocx } = require('./docxRenderer');
+
+const {
+  documentContent,
+  emptyDocumentContent,
+  coverLetterContent,
+} = require('./_documentContentTestData');
+
+// ==================================================
+
+/**
+ * Gets the text of each paragraph in DOCX data, in the order they are written.
+ * Tabs are kept as "\t".
+ *
+ * @param {Buffer} docxData - The DOCX file data.
+ * @returns {Promise<String[]>} Text of each paragraph.
+ */
+async function getParagraphs(docxData) {
+  const zip = await JSZip.loadAsync(docxData);
+  const xml = await zip.file('word/document.xml').async('string');
+
+  return [...xml.matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)].map(([paragraph]) =>
+    [...paragraph.matchAll(/<w:tab\/>|<w:t(?: [^>]*)?>([^<]*)<\/w:t>/g)]
+      .map(([tag, text]) => (tag === '<w:tab/>' ? '\t' : text))
+      .join('')
+  );
+}
+
+// ==================================================
+
+describe('renderDocx', () => {
+  test('Renders a document into DOCX data.', async () => {
+    // Act
+    const docxData = await renderDocx(documentContent);
+
+    // Assert
+    expect(docxData).toBeInstanceOf(Buffer);
+
+    // DOCX files are ZIP files, which start with "PK".  File names inside of a
+    // ZIP file are not compressed.
+    expect(docxData.subarray(0, 2).toString()).toBe('PK');
+    expect(docxData.includes('word/document.xml')).toBeTruthy();
+    expect(docxData.includes('word/numbering.xml')).toBeTruthy();
+    expect(await getParagraphs(docxData)).toEqual([
+      'First Last',
+      'City, State | email@email.com | 123-456-7890 | ' +
+        'https://www.linkedin.com/in/example/',
+      'Summary',
+      'Software engineer who builds reliable web applications.',
+      'Work Experience',
+      'Software Engineer\tJan 2020 - Present',
+      'Company 1, Remote',
+      'Built an API that serves 1,000 requests per second.',
+      'Reduced cloud costs by 20%.',
+      'Intern\tJun 2019 - Aug 2019',
+      'Company 2, New York, NY',
+      'Education',
+      'University\tSep 2000 - Jun 2004',
+      'Bachelor of Science, Computer Science, Los Angeles, CA',
+      'GPA: 4.0 / 4.0',
+      'Activities: Robotics Club',
+      'Certifications',
+      'AWS Certified Solutions Architect - Associate\tNov 2023',
+      'Amazon Web Services',
+      'Projects',
+      'Resume Manager\tJun 2024 - Feb 2025',
+      'Designed a REST API for versioned resume content.',
+      'Skills',
+      'Languages: JavaScript, Python, SQL',
+      'Publications',
+      'Scaling Resume Storage\tMay 2023',
+      'Journal of Examples',
+      'Cited by 10 other papers.',
+      'Volunteer Tutor\tJan 2021 - Jun 2022',
+      'Community Center, Los Angeles, CA',
+    ]);
+  });
+
+  test('Renders a cover letter into DOCX data.', async () => {
+    // Act
+    const docxData = await renderDocx(coverLetterContent);
+
+    // Assert
+    expect(await getParagraphs(docxData)).toEqual([
+      'First Last',
+      'City, State | email@email.com | 123-456-7890 | ' +
+        'https://www.linkedin.com/in/example/',
+      'I am applying for the Software Engineer role.',
+      'Thank you for your time.',
+    ]);
+  });
+
+  test.each([
+    ['without any sections or content', emptyDocumentContent],
+    [
+      'for a user without contact info',
+      { ...documentContent, contactInfo: null },
+    ],
+    ['that is a cover letter', coverLetterContent],
+  ])('Renders a document %s.', async (testTitle, document) => {
+    // Act
+    const docxData = await renderDocx(document);
+
+    // Assert
+    expect(docxData.subarray(0, 2).toString()).toBe('PK');
+    expect(docxData.includes('word/document.xml')).toBeTruthy();
+  });
+});
@@ -0,0 +1,256 @@
+'use strict';
+
+// ==================================================
+
+// Type given to text snippets that are created from JSON Resume highlights.
+const highlightTextSnippetType = 'bullet point';
+
+// Social network profiles that map to contact info properties.
+const profileNetworks = Object.freeze({
+  linkedin: 'LinkedIn',
+  github: 'GitHub',
+});
+
+// --------------------------------------------------
+
+/**
+ * Removes properties with null, undefined, or empty String values from an
+ * Object, because JSON Resume leaves out unknown values instead of storing
+ * them as null.
+ *
+ * @param {Object} obj - Object to remove empty values from.
+ * @returns {Object} A new Object without the empty values.
+ */
+function removeEmptyValues(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(
+      ([_, value]) => value !== null && value !== undefined && value !== ''
+    )
+  );
+}
+
+/**
+ * Converts a JSON Resume date, which can be only a year or a year and month,
+ * into a full date.  Missing parts are filled in with the first month or day.
+ *
+ * @param {String} [date] - A date in YYYY, YYYY-MM, or YYYY-MM-DD format.
+ * @returns {String | undefined} The date in YYYY-MM-DD format, or undefined if
+ *  no date was given.
+ */
+function convertToFullDate(date) {
+  if (!date) return undefined;
+
+  const [year, month = '01', day = '01'] = date.split('-');
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+// --------------------------------------------------
+
+/**
+ * Converts contact info into the JSON Resume basics section.  LinkedIn and
+ * GitHub URLs are put into profiles.
+ *
+ * @param {Object} [contactInfo] - The contact info of a user.
+ * @returns {Object} JSON Resume basics.
+ */
+function convertContactInfoToBasics(contactInfo) {
+  if (!contactInfo) return {};
+
+  const profiles = Object.entries(profileNetworks)
+    .filter(([prop]) => contactInfo[prop])
+    .map(([prop, network]) => ({ network, url: contactInfo[prop] }));
+
+  return removeEmptyValues({
+    name: contactInfo.fullName,
+    email: contactInfo.email,
+    phone: contactInfo.phone,
+    location: contactInfo.location
+      ? { address: contactInfo.location }
+      : undefined,
+    profiles: profiles.length ? profiles : undefined,
+  });
+}
+
+/**
+ * Converts a document and its contents into the JSON Resume format
+ * (https://jsonresume.org/schema).  Educations, experiences, certifications,
+ * and projects are kept in the order of their positions in the document, and
+ * experience and project bullet points become highlights.  The summary of the
+ * document goes into basics.
+ *
+ * Properties that JSON Resume does not have, such as an education's location,
+ * are added as extra properties, which the JSON Resume schema allows.  This
+ * keeps exporting and then importing from losing any data.
+ *
+ * @param {Object} document - The Object returned by
+ *  Document.getDocumentAndSectionContent.
+ * @returns {Object} The document in the JSON Resume format.
+ */
+function convertToJsonResume(document) {
+  return {
+    basics: removeEmptyValues({
+      ...convertContactInfoToBasics(document.contactInfo),
+      summary: document.summary?.content,
+    }),
+    work: (document.experiences ?? []).map((experience) =>
+      removeEmptyValues({
+        name: experience.organization,
+        position: experience.title,
+        location: experience.location,
+        startDate: experience.startDate,
+        endDate: experience.endDate,
+        highlights: (experience.bullets ?? []).map((bullet) => bullet.content),
+      })
+    ),
+    education: (document.educations ?? []).map((education) =>
+      removeEmptyValues({
+        institution: education.school,
+        location: education.location,
+        studyType: education.degree,
+        startDate: education.startDate,
+        endDate: education.endDate,
+        score: education.gpa,
+        awardsAndHonors: education.awardsAndHonors,
+        activities: education.activities,
+      })
+    ),
+    certificates: (document.certifications ?? []).map((certification) =>
+      removeEmptyValues({
+        name: certification.name,
+        issuer: certification.issuingOrg,
+        date: certification.issueDate,
+      })
+    ),
+    projects: (document.projects ?? []).map((project) =>
+      removeEmptyValues({
+        name: project.name,
+        startDate: project.startDate,
+        endDate: project.endDate,
+        highlights: (project.bullets ?? []).map((bullet) => bullet.content),
+      })
+    ),
+  };
+}
+
+// --------------------------------------------------
+
+/**
+ * Converts the JSON Resume basics section into contact info properties.  If
+ * the location does not have an address, then its other parts are joined
+ * together.
+ *
+ * @param {Object} basics - JSON Resume basics.
+ * @returns {Object} Contact info properties, without empty values.
+ */
+function convertBasicsToContactInfo(basics) {
+  const { address, city, region, postalCode, countryCode } =
+    basics.location ?? {};
+
+  const contactInfo = {
+    fullName: basics.name,
+    location:
+      address ||
+      [city, region, postalCode, countryCode].filter((part) => part).join(', '),
+    email: basics.email,
+    phone: basics.phone,
+  };
+
+  Object.entries(profileNetworks).forEach(([prop, network]) => {
+    const profile = (basics.profiles ?? []).find(
+      (profile) => profile.network?.toLowerCase() === network.toLowerCase()
+    );
+    contactInfo[prop] = profile?.url;
+  });
+
+  return removeEmptyValues(contactInfo);
+}
+
+/**
+ * Converts a resume in the JSON Resume format into properties that can be used
+ * to create contact info, educations, experiences, text snippets,
+ * certifications, and projects.  This is the reverse of convertToJsonResume.
+ *
+ * An education's degree is made from its study type and area.  Partial dates
+ * are filled in to be full dates.
+ *
+ * @param {Object} jsonResume - A resume in the JSON Resume format.  This should
+ *  have been validated with the jsonResume schema.
+ * @returns {{
+ *    contactInfo: Object | undefined,
+ *    educations: Object[],
+ *    experiences: {experience: Object, textSnippets: Object[]}[],
+ *    certifications: Object[],
+ *    projects: {project: Object, textSnippets: Object[]}[]
+ *  }}
+ *  contactInfo - Contact info properties, or undefined if the basics section
+ *  does not exist or is empty.
+ *  educations - Properties of each education.
+ *  experiences - Properties of each experience and of the text snippets that
+ *  belong to it.
+ *  certifications - Properties of each certification.
+ *  projects - Properties of each project and of the text snippets that belong
+ *  to it.
+ */
+function convertFromJsonResume(jsonResume) {
+  const {
+    basics,
+    work = [],
+    education = [],
+    certificates = [],
+    projects = [],
+  } = jsonResume;
+
+  const contactInfo = basics && convertBasicsToContactInfo(basics);
+
+  return {
+    contactInfo:
+      contactInfo && Object.keys(contactInfo).length ? contactInfo : undefined,
+    educations: education.map((item) =>
+      removeEmptyValues({
+        school: item.institution,
+        location: item.location,
+        startDate: convertToFullDate(item.startDate),
+        endDate: convertToFullDate(item.endDate),
+        degree: [item.studyType, item.area].filter((part) => part).join(', '),
+        gpa: item.score,
+        awardsAndHonors: item.awardsAndHonors,
+        activities: item.activities,
+      })
+    ),
+    experiences: work.map((item) => ({
+      experience: removeEmptyValues({
+        title: item.position,
+        organization: item.name,
+        location: item.location,
+        startDate: convertToFullDate(item.startDate),
+        endDate: convertToFullDate(item.endDate),
+      }),
+      textSnippets: (item.highlights ?? []).map((content) => ({
+        type: highlightTextSnippetType,
+        content,
+      })),
+    })),
+    certifications: certificates.map((item) =>
+      removeEmptyValues({
+        name: item.name,
+        issuingOrg: item.issuer,
+        issueDate: convertToFullDate(item.date),
+      })
+    ),
+    projects: projects.map((item) => ({
+      project: removeEmptyValues({
+        name: item.name,
+        startDate: convertToFullDate(item.startDate),
+        endDate: convertToFullDate(item.endDate),
+      }),
+      textSnippets: (item.highlights ?? []).map((content) => ({
+        type: highlightTextSnippetType,
+        content,
+      })),
+    })),
+  };
+}
+
+// ==================================================
+
+module.exports = { convertToJsonResume, convertFromJsonResume };
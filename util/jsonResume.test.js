@@ -0,0 +1,214 @@
+'use strict';
+
+const { convertToJsonResume, convertFromJsonResume } = require('./jsonResume');
+
+const {
+  documentContent,
+  emptyDocumentContent,
+} = require('./_documentContentTestData');
+
+// ==================================================
+
+describe('convertToJsonResume', () => {
+  test('Converts a document into a JSON Resume.', () => {
+    // Act
+    const jsonResume = convertToJsonResume(documentContent);
+
+    // Assert
+    expect(jsonResume).toEqual({
+      basics: {
+        name: 'First Last',
+        email: 'email@email.com',
+        phone: '123-456-7890',
+        location: { address: 'City, State' },
+        profiles: [
+          {
+            network: 'LinkedIn',
+            url: 'https://www.linkedin.com/in/example/',
+          },
+        ],
+        summary: 'Software engineer who builds reliable web applications.',
+      },
+      work: [
+        {
+          name: 'Company 1',
+          position: 'Software Engineer',
+          location: 'Remote',
+          startDate: '2020-01-15',
+          highlights: [
+            'Built an API that serves 1,000 requests per second.',
+            'Reduced cloud costs by 20%.',
+          ],
+        },
+        {
+          name: 'Company 2',
+          position: 'Intern',
+          location: 'New York, NY',
+          startDate: '2019-06-01',
+          endDate: '2019-08-31',
+          highlights: [],
+        },
+      ],
+      education: [
+        {
+          institution: 'University',
+          location: 'Los Angeles, CA',
+          studyType: 'Bachelor of Science, Computer Science',
+          startDate: '2000-09-01',
+          endDate: '2004-06-01',
+          score: '4.0 / 4.0',
+          activities: 'Robotics Club',
+        },
+      ],
+      certificates: [
+        {
+          name: 'AWS Certified Solutions Architect - Associate',
+          issuer: 'Amazon Web Services',
+          date: '2023-11-01',
+        },
+      ],
+      projects: [
+        {
+          name: 'Resume Manager',
+          startDate: '2024-06-15',
+          endDate: '2025-02-28',
+          highlights: ['Designed a REST API for versioned resume content.'],
+        },
+      ],
+    });
+  });
+
+  test('Converts a document without any content.', () => {
+    // Arrange
+    const document = { ...emptyDocumentContent, contactInfo: null };
+
+    // Act
+    const jsonResume = convertToJsonResume(document);
+
+    // Assert
+    expect(jsonResume).toEqual({
+      basics: {},
+      work: [],
+      education: [],
+      certificates: [],
+      projects: [],
+    });
+  });
+});
+
+describe('convertFromJsonResume', () => {
+  test('Does not lose data when converting an exported JSON Resume.', () => {
+    // Act
+    const props = convertFromJsonResume(convertToJsonResume(documentContent));
+
+    // Assert
+    const { fullName, location, email, phone, linkedin } =
+      documentContent.contactInfo;
+    expect(props.contactInfo).toEqual({
+      fullName,
+      location,
+      email,
+      phone,
+      linkedin,
+    });
+
+    expect(props.educations).toEqual(
+      documentContent.educations.map(({ id, awardsAndHonors, ...rest }) => rest)
+    );
+
+    expect(props.experiences).toEqual(
+      documentContent.experiences.map(({ id, bullets, ...experience }) => ({
+        experience: experience.endDate
+          ? experience
+          : (({ endDate, ...rest }) => rest)(experience),
+        textSnippets: (bullets ?? []).map(({ type, content }) => ({
+          type,
+          content,
+        })),
+      }))
+    );
+
+    expect(props.certifications).toEqual(
+      documentContent.certifications.map(({ id, ...rest }) => rest)
+    );
+
+    expect(props.projects).toEqual(
+      documentContent.projects.map(({ id, bullets, ...project }) => ({
+        project,
+        textSnippets: bullets.map(({ type, content }) => ({ type, content })),
+      }))
+    );
+  });
+
+  test('Converts JSON Resume values that are written differently.', () => {
+    // Arrange
+    const jsonResume = {
+      basics: {
+        location: { city: 'City', region: 'State', countryCode: 'US' },
+        profiles: [{ network: 'github', url: 'https://github.com/name' }],
+      },
+      education: [
+        {
+          institution: 'University',
+          location: 'Los Angeles, CA',
+          studyType: 'Bachelor of Science',
+          area: 'Computer Science',
+          startDate: '2000',
+          endDate: '2004-6',
+        },
+      ],
+      certificates: [
+        { name: 'Certification', issuer: 'Organization', date: '2021-3' },
+      ],
+      projects: [{ name: 'Project', startDate: '2022' }],
+    };
+
+    // Act
+    const props = convertFromJsonResume(jsonResume);
+
+    // Assert
+    expect(props).toEqual({
+      contactInfo: {
+        location: 'City, State, US',
+        github: 'https://github.com/name',
+      },
+      educations: [
+        {
+          school: 'University',
+          location: 'Los Angeles, CA',
+          startDate: '2000-01-01',
+          endDate: '2004-06-01',
+          degree: 'Bachelor of Science, Computer Science',
+        },
+      ],
+      experiences: [],
+      certifications: [
+        {
+          name: 'Certification',
+          issuingOrg: 'Organization',
+          issueDate: '2021-03-01',
+        },
+      ],
+      projects: [
+        {
+          project: { name: 'Project', startDate: '2022-01-01' },
+          textSnippets: [],
+        },
+      ],
+    });
+  });
+
+  test('Leaves out contact info if basics is empty.', () => {
+    // Act
+    const props = convertFromJsonResume({ basics: {} });
+
+    // Assert
+    expect(props).toEqual({
+      contactInfo: undefined,
+      educations: [],
+      experiences: [],
+      certifications: [],
+      projects: [],
+    });
+  });
+});
@@ -0,0 +1,397 @@
+'use strict';
+
+// ==================================================
+
+/**
+ * Words that are too common to be keywords, including words that are in most
+ * job postings but say nothing about the job.
+ */
+const stopWords = Object.freeze(
+  new Set([
+    // Common English words.
+    'a',
+    'about',
+    'above',
+    'across',
+    'after',
+    'all',
+    'also',
+    'an',
+    'and',
+    'any',
+    'are',
+    'as',
+    'at',
+    'be',
+    'been',
+    'being',
+    'both',
+    'but',
+    'by',
+    'can',
+    'could',
+    'do',
+    'does',
+    'each',
+    'either',
+    'etc',
+    'every',
+    'for',
+    'from',
+    'get',
+    'has',
+    'have',
+    'he',
+    'her',
+    'his',
+    'how',
+    'i',
+    'if',
+    'in',
+    'into',
+    'is',
+    'it',
+    'its',
+    'like',
+    'may',
+    'more',
+    'most',
+    'much',
+    'must',
+    'new',
+    'no',
+    'not',
+    'of',
+    'on',
+    'one',
+    'or',
+    'other',
+    'our',
+    'out',
+    'over',
+    'own',
+    'per',
+    'she',
+    'should',
+    'so',
+    'some',
+    'such',
+    'than',
+    'that',
+    'the',
+    'their',
+    'them',
+    'then',
+    'there',
+    'these',
+    'they',
+    'this',
+    'those',
+    'through',
+    'to',
+    'up',
+    'us',
+    'very',
+    'via',
+    'was',
+    'we',
+    'well',
+    'were',
+    'what',
+    'when',
+    'where',
+    'which',
+    'while',
+    'who',
+    'whom',
+    'why',
+    'will',
+    'with',
+    'within',
+    'without',
+    'would',
+    'you',
+    'your',
+    // Words that are in most job postings.
+    'ability',
+    'able',
+    'applicant',
+    'applicants',
+    'apply',
+    'benefits',
+    'bonus',
+    'candidate',
+    'candidates',
+    'company',
+    'equal',
+    'excellent',
+    'experience',
+    'familiarity',
+    'good',
+    'great',
+    'ideal',
+    'ideally',
+    'including',
+    'job',
+    'join',
+    'knowledge',
+    'looking',
+    'opportunity',
+    'plus',
+    'position',
+    'preferred',
+    'proficiency',
+    'proficient',
+    'qualifications',
+    'required',
+    'requirements',
+    'responsibilities',
+    'role',
+    'salary',
+    'seeking',
+    'skills',
+    'strong',
+    'team',
+    'understanding',
+    'work',
+    'working',
+    'year',
+    'years',
+  ])
+);
+
+// Most keywords that are reported.
+const maxKeywords = 30;
+
+// Fewest times that a phrase must be in a job posting to be a keyword.  Words
+// are keywords even if they are only in the posting once.
+const minPhraseOccurrences = 2;
+
+// --------------------------------------------------
+
+/**
+ * Splits text into clauses, then each clause into lowercase words.  Words can
+ * have symbols inside or at the end of them, like "node.js", "ci/cd", or "c++",
+ * but periods and other punctuation at the end of words are removed.  Keywords
+ * with more than one word are never split across clauses.
+ *
+ * @param {String} [text] - Text to split.
+ * @returns {String[][]} The words of each clause, in order.
+ */
+function tokenize(text) {
+  return (text ?? '')
+    .toLowerCase()
+    .split(/[,;:!?()[\]{}"•|\n]|\.(?=\s|$)/)
+    .map((clause) =>
+      clause.match(/[a-z0-9][a-z0-9+#./'-]*[a-z0-9+#]|[a-z0-9]/g)
+    )
+    .filter((words) => words);
+}
+
+/**
+ * Makes the form of a word that is used to compare it with other words, so
+ * that words like "API" and "APIs" match.
+ *
+ * @param {String} word - A lowercase word.
+ * @returns {String} The word without a plural ending.
+ */
+function normalizeWord(word) {
+  if (word.length > 3 && /[^su']s$/.test(word)) return word.slice(0, -1);
+  return word.replace(/'s$/, '');
+}
+
+/**
+ * Checks whether a word could be part of a keyword.
+ *
+ * @param {String} word - A lowercase word.
+ * @returns {Boolean} Whether the word is not a stop word or a number.
+ */
+function isKeywordWord(word) {
+  return !stopWords.has(word) && !/^[\d.,/+-]+$/.test(word);
+}
+
+/**
+ * Finds the words and two-word phrases in a job posting that are most likely
+ * to be keywords, such as skills and tools.  Keywords are ranked by how many
+ * times they are in the posting, then by where they first are.
+ *
+ * @param {String} jobDescription - Text of the job posting.
+ * @returns {{keyword: String, occurrences: Number}[]} The keywords, most
+ *  important first.  Each keyword is in the form that it first appears as.
+ */
+function extractKeywords(jobDescription) {
+  // Normalized keywords mapped to how they first appear, where they first
+  // appear, and how many times they appear.
+  const candidates = new Map();
+  let position = 0;
+
+  const addCandidate = (normalized, keyword) => {
+    const candidate = candidates.get(normalized);
+
+    if (candidate) candidate.occurrences++;
+    else {
+      candidates.set(normalized, {
+        keyword,
+        position: position++,
+        occurrences: 1,
+        isPhrase: keyword.includes(' '),
+      });
+    }
+  };
+
+  for (const words of tokenize(jobDescription)) {
+    words.forEach((word, idx) => {
+      if (!isKeywordWord(word)) return;
+
+      addCandidate(normalizeWord(word), word);
+
+      const nextWord = words[idx + 1];
+      if (nextWord && isKeywordWord(nextWord)) {
+        addCandidate(
+          `${normalizeWord(word)} ${normalizeWord(nextWord)}`,
+          `${word} ${nextWord}`
+        );
+      }
+    });
+  }
+
+  return [...candidates.values()]
+    .filter(
+      ({ isPhrase, occurrences }) =>
+        !isPhrase || occurrences >= minPhraseOccurrences
+    )
+    .sort((a, b) => b.occurrences - a.occurrences || a.position - b.position)
+    .slice(0, maxKeywords)
+    .map(({ keyword, occurrences }) => ({ keyword, occurrences }));
+}
+
+/**
+ * Gets the text of a document that keywords are searched for in.  This is the
+ * summary, titles, bullets, skills, and other text that is shown in the
+ * document.  For cover letters, it is the paragraphs.
+ *
+ * @param {Object} documentContent - Content of a document.  See
+ *  Document.getDocumentAndSectionContent and Document.getCoverLetterContent.
+ * @returns {String[]} Pieces of text of the document.
+ */
+function getDocumentTexts(documentContent) {
+  const {
+    summary,
+    educations,
+    experiences,
+    certifications,
+    projects,
+    skills,
+    customSections,
+    paragraphs,
+  } = documentContent;
+
+  const getBulletTexts = (bullets) =>
+    (bullets ?? []).map(({ content }) => content);
+
+  return [
+    summary?.content,
+    ...(educations ?? []).flatMap(({ degree, school, awardsAndHonors }) => [
+      degree,
+      school,
+      awardsAndHonors,
+    ]),
+    ...(experiences ?? []).flatMap(({ title, organization, bullets }) => [
+      title,
+      organization,
+      ...getBulletTexts(bullets),
+    ]),
+    ...(certifications ?? []).flatMap(({ name, issuingOrg }) => [
+      name,
+      issuingOrg,
+    ]),
+    ...(projects ?? []).flatMap(({ name, bullets }) => [
+      name,
+      ...getBulletTexts(bullets),
+    ]),
+    ...(skills ?? []).flatMap(({ name, content }) => [name, content]),
+    ...(customSections ?? []).flatMap(({ entries }) =>
+      (entries ?? []).flatMap(({ title, subtitle, bullets }) => [
+        title,
+        subtitle,
+        ...getBulletTexts(bullets),
+      ])
+    ),
+    ...getBulletTexts(paragraphs),
+  ].filter((text) => text);
+}
+
+/**
+ * Finds which keywords are in some text.  A keyword is found if its words are
+ * next to each other in the same clause of a text, ignoring case and plural
+ * endings.
+ *
+ * @param {{keyword: String, occurrences: Number}[]} keywords - Keywords to
+ *  look for.  See extractKeywords.
+ * @param {String[]} texts - Pieces of text to look in.
+ * @returns {{keyword: String, occurrences: Number}[]} The keywords that were
+ *  found, in the same order as given.
+ */
+function findKeywords(keywords, texts) {
+  // Normalized words and pairs of words of the texts.
+  const terms = new Set();
+  for (const text of texts) {
+    for (const words of tokenize(text)) {
+      const normalizedWords = words.map(normalizeWord);
+
+      normalizedWords.forEach((word, idx) => {
+        terms.add(word);
+        if (idx > 0) terms.add(`${normalizedWords[idx - 1]} ${word}`);
+      });
+    }
+  }
+
+  return keywords.filter(({ keyword }) =>
+    terms.has(keyword.split(' ').map(normalizeWord).join(' '))
+  );
+}
+
+/**
+ * Scores how well the content of a document covers the keywords of a job
+ * posting.  See extractKeywords for how keywords are found, and findKeywords
+ * for how they are matched.
+ *
+ * @param {String} jobDescription - Text of the job posting.
+ * @param {Object} documentContent - Content of a document.  See
+ *  getDocumentTexts.
+ * @returns {{
+ *    score: Number,
+ *    matchedKeywords: {keyword: String, occurrences: Number}[],
+ *    missingKeywords: {keyword: String, occurrences: Number}[]
+ *  }}
+ *  The score is the percent, from 0 to 100, of keyword occurrences in the job
+ *  posting that are matched, so keywords that are in the posting more often
+ *  count for more.  Keywords are listed most important first.
+ */
+function matchKeywords(jobDescription, documentContent) {
+  const keywords = extractKeywords(jobDescription);
+
+  const matchedKeywords = findKeywords(
+    keywords,
+    getDocumentTexts(documentContent)
+  );
+  const missingKeywords = keywords.filter(
+    (keywordInfo) => !matchedKeywords.includes(keywordInfo)
+  );
+
+  const countOccurrences = (list) =>
+    list.reduce((total, { occurrences }) => total + occurrences, 0);
+  const totalOccurrences = countOccurrences(keywords);
+
+  return {
+    score: totalOccurrences
+      ? Math.round((countOccurrences(matchedKeywords) / totalOccurrences) * 100)
+      : 0,
+    matchedKeywords,
+    missingKeywords,
+  };
+}
+
+// ==================================================
+
+module.exports = { extractKeywords, findKeywords, matchKeywords };
@@ -0,0 +1,163 @@
+'use strict';
+
+const {
+  extractKeywords,
+  findKeywords,
+  matchKeywords,
+} = require('./keywordMatch');
+
+const {
+  documentContent,
+  emptyDocumentContent,
+} = require('./_documentContentTestData');
+
+// ==================================================
+
+const jobDescription =
+  'We are looking for a Software Engineer with 3+ years of experience in ' +
+  'Node.js, PostgreSQL, and REST APIs.  You will design REST APIs and ' +
+  'build web applications.  Experience with CI/CD and C++ is a plus.';
+
+// --------------------------------------------------
+
+describe('extractKeywords', () => {
+  test('Finds words and repeated phrases, most frequent first.', () => {
+    // Act
+    const keywords = extractKeywords(jobDescription);
+
+    // Assert
+    expect(keywords.map(({ keyword }) => keyword)).toEqual([
+      'rest',
+      'rest apis',
+      'apis',
+      'software',
+      'engineer',
+      'node.js',
+      'postgresql',
+      'design',
+      'build',
+      'web',
+      'applications',
+      'ci/cd',
+      'c++',
+    ]);
+    expect(keywords[0]).toEqual({ keyword: 'rest', occurrences: 2 });
+  });
+
+  test('Counts plural and singular words as the same keyword.', () => {
+    // Act
+    const keywords = extractKeywords('Write APIs.  Test the API.');
+
+    // Assert
+    expect(keywords).toEqual([
+      { keyword: 'apis', occurrences: 2 },
+      { keyword: 'write', occurrences: 1 },
+      { keyword: 'test', occurrences: 1 },
+    ]);
+  });
+
+  test('Does not make phrases across clauses.', () => {
+    // Act
+    const keywords = extractKeywords('Knows Python, Java.  Python, Java.');
+
+    // Assert
+    expect(keywords.map(({ keyword }) => keyword)).toEqual([
+      'python',
+      'java',
+      'knows',
+    ]);
+  });
+
+  test.each([[''], [null], ['The and of, a.']])(
+    'Finds no keywords in %j.',
+    (text) => {
+      // Act
+      const keywords = extractKeywords(text);
+
+      // Assert
+      expect(keywords).toEqual([]);
+    }
+  );
+});
+
+// --------------------------------------------------
+
+describe('findKeywords', () => {
+  const keywords = Object.freeze([
+    Object.freeze({ keyword: 'rest apis', occurrences: 2 }),
+    Object.freeze({ keyword: 'node.js', occurrences: 1 }),
+    Object.freeze({ keyword: 'sql', occurrences: 1 }),
+  ]);
+
+  test('Finds keywords in any of the texts, ignoring case and plurals.', () => {
+    // Act
+    const foundKeywords = findKeywords(keywords, [
+      'Designed a REST API.',
+      'Knows SQL',
+    ]);
+
+    // Assert
+    expect(foundKeywords).toEqual([keywords[0], keywords[2]]);
+  });
+
+  test('Does not find phrases whose words are not next to each other.', () => {
+    // Act
+    const foundKeywords = findKeywords(keywords, ['Rest, then APIs.']);
+
+    // Assert
+    expect(foundKeywords).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+
+describe('matchKeywords', () => {
+  test('Scores how well a document covers the keywords.', () => {
+    // Act
+    const keywordMatch = matchKeywords(jobDescription, documentContent);
+
+    // Assert
+    expect(keywordMatch).toEqual({
+      score: 69,
+      matchedKeywords: [
+        { keyword: 'rest', occurrences: 2 },
+        { keyword: 'rest apis', occurrences: 2 },
+        { keyword: 'apis', occurrences: 2 },
+        { keyword: 'software', occurrences: 1 },
+        { keyword: 'engineer', occurrences: 1 },
+        { keyword: 'build', occurrences: 1 },
+        { keyword: 'web', occurrences: 1 },
+        { keyword: 'applications', occurrences: 1 },
+      ],
+      missingKeywords: [
+        { keyword: 'node.js', occurrences: 1 },
+        { keyword: 'postgresql', occurrences: 1 },
+        { keyword: 'design', occurrences: 1 },
+        { keyword: 'ci/cd', occurrences: 1 },
+        { keyword: 'c++', occurrences: 1 },
+      ],
+    });
+  });
+
+  test('Scores a document without content as 0.', () => {
+    // Act
+    const keywordMatch = matchKeywords(jobDescription, emptyDocumentContent);
+
+    // Assert
+    expect(keywordMatch.score).toBe(0);
+    expect(keywordMatch.matchedKeywords).toEqual([]);
+    expect(keywordMatch.missingKeywords).toHaveLength(13);
+  });
+
+  test('Scores a job posting without keywords as 0.', () => {
+    // Act
+    const keywordMatch = matchKeywords('The and of.', documentContent);
+
+    // Assert
+    expect(keywordMatch).toEqual({
+      score: 0,
+      matchedKeywords: [],
+      missingKeywords: [],
+    });
+  });
+});
@@ -0,0 +1,359 @@
+'use strict';
+
+const PDFDocument = require('pdfkit');
+
+const {
+  formatDate,
+  formatDateRange,
+  formatOptionalDateRange,
+  getContactInfoLines,
+  getSectionsWithContent,
+} = require('./renderHelpers');
+
+// ==================================================
+
+const fonts = Object.freeze({
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+});
+
+const fontSizes = Object.freeze({
+  name: 20,
+  sectionHeading: 13,
+  body: 10,
+  footer: 8,
+});
+
+const pageMargin = 50;
+
+// --------------------------------------------------
+
+/**
+ * Writes the user's name and contact info at the top of the PDF.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {Object} [contactInfo] - The contact info of a user.
+ */
+function writeHeader(pdf, contactInfo) {
+  if (!contactInfo) return;
+
+  pdf
+    .font(fonts.bold)
+    .fontSize(fontSizes.name)
+    .text(contactInfo.fullName, { align: 'center' });
+
+  pdf
+    .font(fonts.regular)
+    .fontSize(fontSizes.body)
+    .text(getContactInfoLines(contactInfo).join('  |  '), { align: 'center' });
+}
+
+/**
+ * Writes a section heading with a line underneath it.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {String} sectionName - Name of the section.
+ */
+function writeSectionHeading(pdf, sectionName) {
+  pdf.moveDown();
+
+  pdf
+    .font(fonts.bold)
+    .fontSize(fontSizes.sectionHeading)
+    .text(sectionName.toUpperCase());
+
+  const lineY = pdf.y + 1;
+  pdf
+    .moveTo(pageMargin, lineY)
+    .lineTo(pdf.page.width - pageMargin, lineY)
+    .lineWidth(0.5)
+    .stroke();
+
+  pdf.moveDown(0.5);
+}
+
+/**
+ * Writes a bolded line on the left and a normal line on the right, at the same
+ * height.  This is for things like a school or job title on the left and dates
+ * on the right.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {String} leftText - Bolded text to put on the left.
+ * @param {String} rightText - Text to put on the right.
+ */
+function writeItemHeading(pdf, leftText, rightText) {
+  const contentWidth = pdf.page.width - pageMargin * 2;
+
+  pdf.font(fonts.regular).fontSize(fontSizes.body);
+
+  // Avoids the left and right text being split across pages.
+  if (pdf.y + pdf.currentLineHeight(true) > pdf.page.maxY()) pdf.addPage();
+
+  const y = pdf.y;
+  pdf.text(rightText, pageMargin, y, { width: contentWidth, align: 'right' });
+
+  pdf.font(fonts.bold).text(leftText, pageMargin, y, {
+    width: contentWidth - pdf.widthOfString(rightText) - 10,
+  });
+}
+
+/**
+ * Writes a single education.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {Object} education - An education in a document.
+ */
+function writeEducation(pdf, education) {
+  writeItemHeading(
+    pdf,
+    education.school,
+    formatDateRange(education.startDate, education.endDate)
+  );
+
+  pdf.font(fonts.italic).text(`${education.degree}, ${education.location}`);
+
+  pdf.font(fonts.regular);
+  if (education.gpa) pdf.text(`GPA: ${education.gpa}`);
+  if (education.awardsAndHonors) {
+    pdf.text(`Awards and Honors: ${education.awardsAndHonors}`);
+  }
+  if (education.activities) pdf.text(`Activities: ${education.activities}`);
+
+  pdf.moveDown(0.5);
+}
+
+/**
+ * Writes a single experience and its bullet points.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {Object} experience - An experience in a document.
+ */
+function writeExperience(pdf, experience) {
+  writeItemHeading(
+    pdf,
+    experience.title,
+    formatDateRange(experience.startDate, experience.endDate)
+  );
+
+  pdf
+    .font(fonts.italic)
+    .text(`${experience.organization}, ${experience.location}`);
+
+  if (experience.bullets?.length) {
+    pdf.font(fonts.regular).list(
+      experience.bullets.map((bullet) => bullet.content),
+      { bulletRadius: 1.5, textIndent: 10, bulletIndent: 5 }
+    );
+  }
+
+  pdf.moveDown(0.5);
+}
+
+/**
+ * Writes a single certification.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {Object} certification - A certification in a document.
+ */
+function writeCertification(pdf, certification) {
+  writeItemHeading(
+    pdf,
+    certification.name,
+    formatDate(certification.issueDate)
+  );
+
+  pdf.font(fonts.italic).text(certification.issuingOrg);
+
+  pdf.moveDown(0.5);
+}
+
+/**
+ * Writes a single project and its bullet points.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {Object} project - A project in a document.
+ */
+function writeProject(pdf, project) {
+  writeItemHeading(
+    pdf,
+    project.name,
+    formatDateRange(project.startDate, project.endDate)
+  );
+
+  if (project.bullets?.length) {
+    pdf.font(fonts.regular).list(
+      project.bullets.map((bullet) => bullet.content),
+      { bulletRadius: 1.5, textIndent: 10, bulletIndent: 5 }
+    );
+  }
+
+  pdf.moveDown(0.5);
+}
+
+/**
+ * Writes a single skill, with its name bolded in front of its content.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {Object} skill - A skill in a document.
+ */
+function writeSkill(pdf, skill) {
+  pdf
+    .font(fonts.bold)
+    .fontSize(fontSizes.body)
+    .text(`${skill.name}: `, { continued: true });
+
+  pdf.font(fonts.regular).text(skill.content);
+
+  pdf.moveDown(0.25);
+}
+
+/**
+ * Writes the summary of a document as a paragraph.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {Object} summary - The text snippet that is the summary of a
+ *  document.
+ */
+function writeSummary(pdf, summary) {
+  pdf.font(fonts.regular).fontSize(fontSizes.body).text(summary.content);
+
+  pdf.moveDown(0.5);
+}
+
+/**
+ * Writes a paragraph of a cover letter.  Paragraphs are spaced further apart
+ * than resume content, like in a letter.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {Object} paragraph - The text snippet that is the paragraph.
+ */
+function writeParagraph(pdf, paragraph) {
+  pdf
+    .font(fonts.regular)
+    .fontSize(fontSizes.body)
+    .text(paragraph.content, { align: 'justify' });
+
+  pdf.moveDown();
+}
+
+/**
+ * Writes a single entry of a custom section and its bullet points.  Only the
+ * title is required, so the other parts are left out when empty.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ * @param {Object} entry - An entry of a custom section in a document.
+ */
+function writeCustomSectionEntry(pdf, entry) {
+  const dates = formatOptionalDateRange(entry.startDate, entry.endDate);
+  if (dates) {
+    writeItemHeading(pdf, entry.title, dates);
+  } else {
+    pdf.font(fonts.bold).fontSize(fontSizes.body).text(entry.title);
+  }
+
+  const details = [entry.subtitle, entry.location].filter((val) => val);
+  if (details.length) pdf.font(fonts.italic).text(details.join(', '));
+
+  if (entry.bullets?.length) {
+    pdf.font(fonts.regular).list(
+      entry.bullets.map((bullet) => bullet.content),
+      { bulletRadius: 1.5, textIndent: 10, bulletIndent: 5 }
+    );
+  }
+
+  pdf.moveDown(0.5);
+}
+
+const itemWriters = Object.freeze({
+  educations: writeEducation,
+  experiences: writeExperience,
+  certifications: writeCertification,
+  projects: writeProject,
+  skills: writeSkill,
+  summary: writeSummary,
+  customSectionEntries: writeCustomSectionEntry,
+});
+
+/**
+ * Writes page numbers at the bottom of every page.  Requires the PDFKit
+ * document to have been created with the bufferPages option.
+ *
+ * @param {PDFDocument} pdf - The PDFKit document being written to.
+ */
+function writePageNumbers(pdf) {
+  const { start, count } = pdf.bufferedPageRange();
+
+  for (let i = start; i < start + count; i++) {
+    pdf.switchToPage(i);
+
+    // Writing within the bottom margin would otherwise create a new page.
+    const bottomMargin = pdf.page.margins.bottom;
+    pdf.page.margins.bottom = 0;
+
+    pdf
+      .font(fonts.regular)
+      .fontSize(fontSizes.footer)
+      .text(
+        `Page ${i - start + 1} of ${count}`,
+        pageMargin,
+        pdf.page.height - bottomMargin / 2,
+        { width: pdf.page.width - pageMargin * 2, align: 'center' }
+      );
+
+    pdf.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * Renders a full document and its contents into a PDF.  Sections are written
+ * in the order of their positions in the document.  Cover letters have
+ * paragraphs instead of sections.  New pages are added as needed.
+ *
+ * @param {Object} document - The Object returned by
+ *  Document.getDocumentAndSectionContent or Document.getCoverLetterContent.
+ * @returns {Promise<Buffer>} The PDF file data.
+ */
+function renderPdf(document) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: 'LETTER',
+      margin: pageMargin,
+      bufferPages: true,
+      // PDFKit does not accept undefined metadata values.
+      info: {
+        Title: document.documentName,
+        ...(document.contactInfo && { Author: document.contactInfo.fullName }),
+      },
+    });
+
+    const chunks = [];
+    pdf.on('data', (chunk) => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    writeHeader(pdf, document.contactInfo);
+
+    if (document.kind === 'coverLetter') {
+      pdf.moveDown(2);
+      (document.paragraphs ?? []).forEach((paragraph) =>
+        writeParagraph(pdf, paragraph)
+      );
+    }
+
+    getSectionsWithContent(document).forEach(
+      ({ sectionName, contentProperty, items }) => {
+        writeSectionHeading(pdf, sectionName);
+        items.forEach((item) => itemWriters[contentProperty](pdf, item));
+      }
+    );
+
+    writePageNumbers(pdf);
+
+    pdf.end();
+  });
+}
+
+// ==================================================
+
+module.exports = { renderPdf };
@@ -0,0 +1,161 @@
+'use strict';
+
+const zlib = require('zlib');
+
+const { renderPdf } = require('./pdfRenderer');
+
+const {
+  documentContent,
+  emptyDocumentContent,
+  coverLetterContent,
+} = require('./_documentContentTestData');
+
+// ==================================================
+
+/**
+ * Counts the number of pages in PDF data.  Page objects are not compressed,
+ * so they can be found by searching for their type.
+ *
+ * @param {Buffer} pdfData - The PDF file data.
+ * @returns {Number} Number of pages.
+ */
+function countPages(pdfData) {
+  return (pdfData.toString('latin1').match(/\/Type \/Page\b(?!s)/g) ?? [])
+    .length;
+}
+
+/**
+ * Gets the lines of text in PDF data, in the order they are written.  PDFKit
+ * compresses page content, and writes each line as a TJ operator with an
+ * Array of hex Strings, which are split up for kerning.
+ *
+ * @param {Buffer} pdfData - The PDF file data.
+ * @returns {String[]} Lines of text.
+ */
+function getLines(pdfData) {
+  const streams = pdfData
+    .toString('latin1')
+    .matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g);
+
+  return [...streams].flatMap(([, stream]) => {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(stream, 'latin1'));
+    } catch {
+      // Not compressed page content, like font data.
+      return [];
+    }
+
+    return [...content.toString('latin1').matchAll(/\[(.*?)\] TJ/g)].map(
+      ([, textArray]) =>
+        [...textArray.matchAll(/<([0-9a-f]*)>/gi)]
+          .map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1'))
+          .join('')
+    );
+  });
+}
+
+// ==================================================
+
+describe('renderPdf', () => {
+  test('Renders a document into PDF data.', async () => {
+    // Act
+    const pdfData = await renderPdf(documentContent);
+
+    // Assert
+    expect(pdfData).toBeInstanceOf(Buffer);
+    expect(pdfData.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(countPages(pdfData)).toBe(1);
+    expect(getLines(pdfData)).toEqual([
+      'First Last',
+      'City, State  |  email@email.com  |  123-456-7890  |  ' +
+        'https://www.linkedin.com/in/example/',
+      'SUMMARY',
+      'Software engineer who builds reliable web applications.',
+      'WORK EXPERIENCE',
+      'Jan 2020 - Present',
+      'Software Engineer',
+      'Company 1, Remote',
+      'Built an API that serves 1,000 requests per second.',
+      'Reduced cloud costs by 20%.',
+      'Jun 2019 - Aug 2019',
+      'Intern',
+      'Company 2, New York, NY',
+      'EDUCATION',
+      'Sep 2000 - Jun 2004',
+      'University',
+      'Bachelor of Science, Computer Science, Los Angeles, CA',
+      'GPA: 4.0 / 4.0',
+      'Activities: Robotics Club',
+      'CERTIFICATIONS',
+      'Nov 2023',
+      'AWS Certified Solutions Architect - Associate',
+      'Amazon Web Services',
+      'PROJECTS',
+      'Jun 2024 - Feb 2025',
+      'Resume Manager',
+      'Designed a REST API for versioned resume content.',
+      'SKILLS',
+      'Languages: ',
+      'JavaScript, Python, SQL',
+      'PUBLICATIONS',
+      'May 2023',
+      'Scaling Resume Storage',
+      'Journal of Examples',
+      'Cited by 10 other papers.',
+      'Jan 2021 - Jun 2022',
+      'Volunteer Tutor',
+      'Community Center, Los Angeles, CA',
+      'Page 1 of 1',
+    ]);
+  });
+
+  test('Renders a document without any sections or content.', async () => {
+    // Act
+    const pdfData = await renderPdf(emptyDocumentContent);
+
+    // Assert
+    expect(pdfData.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(countPages(pdfData)).toBe(1);
+  });
+
+  test('Renders a cover letter into PDF data.', async () => {
+    // Act
+    const pdfData = await renderPdf(coverLetterContent);
+
+    // Assert
+    expect(pdfData.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(countPages(pdfData)).toBe(1);
+    expect(getLines(pdfData)).toEqual([
+      'First Last',
+      'City, State  |  email@email.com  |  123-456-7890  |  ' +
+        'https://www.linkedin.com/in/example/',
+      'I am applying for the Software Engineer role.',
+      'Thank you for your time.',
+      'Page 1 of 1',
+    ]);
+  });
+
+  test('Renders a document for a user without contact info.', async () => {
+    // Arrange
+    const document = { ...documentContent, contactInfo: null };
+
+    // Act
+    const pdfData = await renderPdf(document);
+
+    // Assert
+    expect(pdfData.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('Adds pages when content does not fit on one page.', async () => {
+    // Arrange
+    const experiences = new Array(20).fill(documentContent.experiences[0]);
+    const document = { ...documentContent, experiences };
+
+    // Act
+    const pdfData = await renderPdf(document);
+
+    // Assert
+    expect(countPages(pdfData)).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+// ==================================================
+
+const monthAbbreviations = Object.freeze([
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+]);
+
+/**
+ * The section names that have content in a document, mapped to the name of the
+ * property that holds the content in the Object returned by
+ * Document.getDocumentAndSectionContent.
+ */
+const sectionContentProperties = Object.freeze({
+  Education: 'educations',
+  'Work Experience': 'experiences',
+  Certifications: 'certifications',
+  Projects: 'projects',
+  Skills: 'skills',
+  Summary: 'summary',
+});
+
+// Content property given to custom sections, whose content are their entries
+// instead of a property of the document.
+const customSectionContentProperty = 'customSectionEntries';
+
+// --------------------------------------------------
+
+/**
+ * Formats a date String into a short, human-readable month and year.  The day
+ * is dropped, because resumes normally do not show it.
+ *
+ * The date String is parsed manually, instead of with the Date constructor, to
+ * avoid the date changing because of timezones.
+ *
+ * @param {String} dateString - A date in YYYY-MM-DD format.
+ * @returns {String} The date in "Mon YYYY" format, such as "Jan 2000".
+ */
+function formatDate(dateString) {
+  const [year, month] = dateString.split('-');
+  return `${monthAbbreviations[+month - 1]} ${year}`;
+}
+
+/**
+ * Formats a start and end date into a date range String.  An end date that
+ * does not exist means that the item (education, experience, etc.) is ongoing.
+ *
+ * @param {String} startDate - The start date in YYYY-MM-DD format.
+ * @param {String} [endDate] - The end date in YYYY-MM-DD format.
+ * @returns {String} The date range, such as "Jan 2000 - Present".
+ */
+function formatDateRange(startDate, endDate) {
+  return (
+    `${formatDate(startDate)} - ` + (endDate ? formatDate(endDate) : 'Present')
+  );
+}
+
+/**
+ * Formats the dates of an item whose dates are all optional, such as an entry
+ * in a custom section.  Only an end date means that the item happened at a
+ * single point in time.
+ *
+ * @param {String} [startDate] - The start date in YYYY-MM-DD format.
+ * @param {String} [endDate] - The end date in YYYY-MM-DD format.
+ * @returns {String} The date range, single date, or an empty String if there
+ *  are no dates.
+ */
+function formatOptionalDateRange(startDate, endDate) {
+  if (startDate) return formatDateRange(startDate, endDate);
+  return endDate ? formatDate(endDate) : '';
+}
+
+/**
+ * Gets the pieces of contact info that should be displayed in a resume header,
+ * besides the full name.  Empty values are left out.
+ *
+ * @param {Object} [contactInfo] - The contact info of a user.  See
+ *  Document.getDocumentAndSectionContent.
+ * @returns {String[]} The contact info values, in display order.
+ */
+function getContactInfoLines(contactInfo) {
+  if (!contactInfo) return [];
+
+  const { location, email, phone, linkedin, github } = contactInfo;
+  return [location, email, phone, linkedin, github].filter((val) => val);
+}
+
+/**
+ * Pairs each section in a document with its content, keeping the order of the
+ * sections in the document.  Sections that are not supported or that do not
+ * have any content are left out, so that empty headings are not rendered.
+ *
+ * Custom sections are matched by ID, and their content is their entries.  The
+ * summary is a single item instead of a list, so it is put into a list.
+ *
+ * @param {Object} document - The Object returned by
+ *  Document.getDocumentAndSectionContent.
+ * @returns {{sectionName: String, contentProperty: String, items: Object[]}[]}
+ *  A list of the sections that have content, in order of position.
+ */
+function getSectionsWithContent(document) {
+  return (document.sections ?? [])
+    .map(({ id, sectionName }) => {
+      const customSection = (document.customSections ?? []).find(
+        (customSection) => customSection.id === id
+      );
+      if (customSection) {
+        return {
+          sectionName,
+          contentProperty: customSectionContentProperty,
+          items: customSection.entries ?? [],
+        };
+      }
+
+      const contentProperty = sectionContentProperties[sectionName];
+      const content = (contentProperty && document[contentProperty]) ?? [];
+      return {
+        sectionName,
+        contentProperty,
+        items: Array.isArray(content) ? content : [content],
+      };
+    })
+    .filter(({ items }) => items.length);
+}
+
+// ==================================================
+
+module.exports = {
+  sectionContentProperties,
+  customSectionContentProperty,
+  formatDate,
+  formatDateRange,
+  formatOptionalDateRange,
+  getContactInfoLines,
+  getSectionsWithContent,
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+const {
+  formatDate,
+  formatDateRange,
+  formatOptionalDateRange,
+  getContactInfoLines,
+  getSectionsWithContent,
+} = require('./renderHelpers');
+
+const {
+  documentContent,
+  emptyDocumentContent,
+} = require('./_documentContentTestData');
+
+// ==================================================
+
+describe('formatDate', () => {
+  test.each([
+    ['2000-01-01', 'Jan 2000'],
+    ['1999-12-31', 'Dec 1999'],
+    ['2020-6-15', 'Jun 2020'],
+  ])('Formats %s into a month and year.', (dateString, expected) => {
+    // Act
+    const formattedDate = formatDate(dateString);
+
+    // Assert
+    expect(formattedDate).toBe(expected);
+  });
+});
+
+// --------------------------------------------------
+
+describe('formatDateRange', () => {
+  test.each([
+    ['2000-01-01', '2004-05-20', 'Jan 2000 - May 2004'],
+    ['2000-01-01', null, 'Jan 2000 - Present'],
+    ['2000-01-01', undefined, 'Jan 2000 - Present'],
+  ])(
+    'Formats start date %s and end date %s into a date range.',
+    (startDate, endDate, expected) => {
+      // Act
+      const dateRange = formatDateRange(startDate, endDate);
+
+      // Assert
+      expect(dateRange).toBe(expected);
+    }
+  );
+});
+
+// --------------------------------------------------
+
+describe('formatOptionalDateRange', () => {
+  test.each([
+    ['2000-01-01', '2004-05-20', 'Jan 2000 - May 2004'],
+    ['2000-01-01', null, 'Jan 2000 - Present'],
+    [null, '2004-05-20', 'May 2004'],
+    [null, null, ''],
+  ])(
+    'Formats start date %s and end date %s.',
+    (startDate, endDate, expected) => {
+      // Act
+      const dates = formatOptionalDateRange(startDate, endDate);
+
+      // Assert
+      expect(dates).toBe(expected);
+    }
+  );
+});
+
+// --------------------------------------------------
+
+describe('getContactInfoLines', () => {
+  test('Returns the contact info values without empty values.', () => {
+    // Act
+    const lines = getContactInfoLines(documentContent.contactInfo);
+
+    // Assert
+    expect(lines).toEqual([
+      'City, State',
+      'email@email.com',
+      '123-456-7890',
+      'https://www.linkedin.com/in/example/',
+    ]);
+  });
+
+  test('Returns an empty Array if there is no contact info.', () => {
+    // Act
+    const lines = getContactInfoLines(null);
+
+    // Assert
+    expect(lines).toEqual([]);
+  });
+});
+
+// --------------------------------------------------
+
+describe('getSectionsWithContent', () => {
+  test(
+    'Returns the sections that have content, in order of position, ' +
+      'along with the content.',
+    () => {
+      // Act
+      const sections = getSectionsWithContent(documentContent);
+
+      // Assert
+      expect(sections).toEqual([
+        {
+          sectionName: 'Summary',
+          contentProperty: 'summary',
+          items: [documentContent.summary],
+        },
+        {
+          sectionName: 'Work Experience',
+          contentProperty: 'experiences',
+          items: documentContent.experiences,
+        },
+        {
+          sectionName: 'Education',
+          contentProperty: 'educations',
+          items: documentContent.educations,
+        },
+        {
+          sectionName: 'Certifications',
+          contentProperty: 'certifications',
+          items: documentContent.certifications,
+        },
+        {
+          sectionName: 'Projects',
+          contentProperty: 'projects',
+          items: documentContent.projects,
+        },
+        {
+          sectionName: 'Skills',
+          contentProperty: 'skills',
+          items: documentContent.skills,
+        },
+        {
+          sectionName: 'Publications',
+          contentProperty: 'customSectionEntries',
+          items: documentContent.customSections[0].entries,
+        },
+      ]);
+    }
+  );
+
+  test('Returns an empty Array if the document has no sections.', () => {
+    // Act
+    const sections = getSectionsWithContent(emptyDocumentContent);
+
+    // Assert
+    expect(sections).toEqual([]);
+  });
+
+  test('Leaves out sections that do not have any content.', () => {
+    // Arrange
+    const document = { ...documentContent, experiences: null };
+
+    // Act
+    const sections = getSectionsWithContent(document);
+
+    // Assert
+    expect(sections.map(({ sectionName }) => sectionName)).toEqual([
+      'Summary',
+      'Education',
+      'Certifications',
+      'Projects',
+      'Skills',
+      'Publications',
+    ]);
+  });
+
+  test('Leaves out the summary section if there is no summary.', () => {
+    // Arrange
+    const document = { ...documentContent, summary: null };
+
+    // Act
+    const sections = getSectionsWithContent(document);
+
+    // Assert
+    expect(sections.map(({ sectionName }) => sectionName)).not.toContain(
+      'Summary'
+    );
+  });
+
+  test('Leaves out custom sections that do not have any entries.', () => {
+    // Arrange
+    const document = {
+      ...documentContent,
+      customSections: [{ ...documentContent.customSections[0], entries: null }],
+    };
+
+    // Act
+    const sections = getSectionsWithContent(document);
+
+    // Assert
+    expect(sections.map(({ sectionName }) => sectionName)).not.toContain(
+      'Publications'
+    );
+  });
+});
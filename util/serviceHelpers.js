@@ -2,7 +2,9 @@
 
 const { sentenceCase } = require('change-case-all');
 
-const { ForbiddenError } = require('../errors/appErrors');
+const Document = require('../models/document');
+
+const { BadRequestError, ForbiddenError } = require('../errors/appErrors');
 
 const logger = require('../util/logger');
 
@@ -39,6 +41,78 @@ async function validateOwnership(modelClass, username, idOrOthers, logPrefix) {
   return object;
 }
 
+/**
+ * Checks that a document is not locked.  Locked documents can not be changed,
+ * other than to be unlocked.
+ *
+ * @param {Document} document - The document that is going to be changed.
+ * @param {String} logPrefix - Log text to put in front of any logs.
+ * @throws {ForbiddenError} If the document is locked.
+ */
+function validateDocumentNotLocked(document, logPrefix) {
+  if (document.isLocked) {
+    logger.error(
+      `${logPrefix}: User attempted to change locked document ` +
+        `with ID ${document.id}.`
+    );
+    throw new ForbiddenError(
+      `Can not change locked document "${document.documentName}".  ` +
+        'Unlock it first.'
+    );
+  }
+}
+
+/**
+ * Checks that a document is a resume or template.  Section items, sections,
+ * and summaries are not shown in cover letters, so they can not be added to
+ * them.
+ *
+ * @param {Document} document - The document that is going to be changed.
+ * @param {String} logPrefix - Log text to put in front of any logs.
+ * @throws {BadRequestError} If the document is a cover letter.
+ */
+function validateDocumentIsResume(document, logPrefix) {
+  if (document.kind === 'coverLetter') {
+    logger.error(
+      `${logPrefix}: User attempted to add resume content to cover letter ` +
+        `with ID ${document.id}.`
+    );
+    throw new BadRequestError(
+      `Can not add resume content to cover letter "${document.documentName}".`
+    );
+  }
+}
+
+/**
+ * Checks that a piece of content (education, experience, etc.) is not in any
+ * locked document.  Changes to content show up in every document that contains
+ * it, so this is needed before changing or deleting the content itself.
+ *
+ * @param {Object} content - Identifies the content.  See
+ *  Document.getAllLockedContaining for the accepted properties.
+ * @param {String} logPrefix - Log text to put in front of any logs.
+ * @throws {ForbiddenError} If any document that contains the content is
+ *  locked.
+ */
+async function validateContentNotInLockedDocuments(content, logPrefix) {
+  const lockedDocuments = await Document.getAllLockedContaining(content);
+
+  if (lockedDocuments.length) {
+    const documentNames = lockedDocuments
+      .map((document) => `"${document.documentName}"`)
+      .join(', ');
+
+    logger.error(
+      `${logPrefix}: User attempted to change content that is in ` +
+        `locked documents: ${documentNames}.`
+    );
+    throw new ForbiddenError(
+      'Can not change content that is in locked documents: ' +
+        `${documentNames}.  Unlock them first.`
+    );
+  }
+}
+
 /**
  * Gets the position of the last section, education, experience, etc. of a
  * document, or return -1.  The last position is the one with the highest value.
@@ -79,6 +153,9 @@ function transformObjectEmptyStringValuesIntoNulls(obj) {
 
 module.exports = {
   validateOwnership,
+  validateDocumentNotLocked,
+  validateDocumentIsResume,
+  validateContentNotInLockedDocuments,
   getLastPosition,
   transformObjectEmptyStringValuesIntoNulls,
 };
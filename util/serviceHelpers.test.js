@@ -1,12 +1,16 @@
 'use strict';
 
+const Document = require('../models/document');
 const {
   validateOwnership,
+  validateDocumentNotLocked,
+  validateDocumentIsResume,
+  validateContentNotInLockedDocuments,
   getLastPosition,
   transformObjectEmptyStringValuesIntoNulls,
 } = require('./serviceHelpers');
 
-const { ForbiddenError } = require('../errors/appErrors');
+const { BadRequestError, ForbiddenError } = require('../errors/appErrors');
 
 // ==================================================
 
@@ -62,6 +66,110 @@ describe('validateOwnership', () => {
 
 // --------------------------------------------------
 
+describe('validateDocumentNotLocked', () => {
+  test('Does not throw an Error if document is not locked.', () => {
+    // Arrange
+    const document = Object.freeze({ id: 1, isLocked: false });
+
+    // Act
+    function runFunc() {
+      validateDocumentNotLocked(document, '');
+    }
+
+    // Assert
+    expect(runFunc).not.toThrow();
+  });
+
+  test('Throws an Error if document is locked.', () => {
+    // Arrange
+    const document = Object.freeze({ id: 1, isLocked: true });
+
+    // Act
+    function runFunc() {
+      validateDocumentNotLocked(document, '');
+    }
+
+    // Assert
+    expect(runFunc).toThrow(ForbiddenError);
+  });
+});
+
+// --------------------------------------------------
+
+describe('validateDocumentIsResume', () => {
+  test.each([['resume'], [undefined]])(
+    'Does not throw an Error if document kind is %s.',
+    (kind) => {
+      // Arrange
+      const document = Object.freeze({ id: 1, kind });
+
+      // Act
+      function runFunc() {
+        validateDocumentIsResume(document, '');
+      }
+
+      // Assert
+      expect(runFunc).not.toThrow();
+    }
+  );
+
+  test('Throws an Error if document is a cover letter.', () => {
+    // Arrange
+    const document = Object.freeze({ id: 1, kind: 'coverLetter' });
+
+    // Act
+    function runFunc() {
+      validateDocumentIsResume(document, '');
+    }
+
+    // Assert
+    expect(runFunc).toThrow(BadRequestError);
+  });
+});
+
+// --------------------------------------------------
+
+describe('validateContentNotInLockedDocuments', () => {
+  const content = Object.freeze({ educationId: 1 });
+
+  beforeEach(() => {
+    Document.getAllLockedContaining.mockReset();
+  });
+
+  test('Does not throw an Error if content is not in locked documents.', async () => {
+    // Arrange
+    Document.getAllLockedContaining.mockResolvedValue([]);
+
+    // Act
+    async function runFunc() {
+      await validateContentNotInLockedDocuments(content, '');
+    }
+
+    // Assert
+    await expect(runFunc()).resolves.toBeUndefined();
+    expect(Document.getAllLockedContaining).toHaveBeenCalledWith(content);
+  });
+
+  test('Throws an Error naming the locked documents the content is in.', async () => {
+    // Arrange
+    Document.getAllLockedContaining.mockResolvedValue([
+      { documentName: 'Resume 1' },
+      { documentName: 'Resume 2' },
+    ]);
+
+    // Act
+    async function runFunc() {
+      await validateContentNotInLockedDocuments(content, '');
+    }
+
+    // Assert
+    await expect(runFunc).rejects.toThrow(ForbiddenError);
+    await expect(runFunc).rejects.toThrow('"Resume 1", "Resume 2"');
+  });
+});
+
+// --------------------------------------------------
+
 describe('getLastPosition', () => {
   test.each([
     [[{ position: 0 }], 0],
@@ -0,0 +1,191 @@
+'use strict';
+
+// ==================================================
+
+// Most pairs of words that are compared to find the longest common
+// subsequence.  The time taken grows with this, so longer texts are not
+// compared word by word.
+const maxComparedWordPairs = 2000 * 2000;
+
+// --------------------------------------------------
+
+/**
+ * Splits text into words, each with the whitespace that follows it.  Keeping
+ * the whitespace allows the original text to be rebuilt from the differences,
+ * and keeping it with the words stops matching spaces from splitting up
+ * changed words.
+ *
+ * @param {String} [text] - Text to split.
+ * @returns {String[]} The words, in order.  Whitespace at the start of the text
+ *  is on its own.
+ */
+function tokenize(text) {
+  return text?.match(/^\s+|\S+\s*/g) ?? [];
+}
+
+/**
+ * Adds a piece of text to a list of differences.  It is joined with the last
+ * difference if they are of the same type.
+ *
+ * @param {{type: String, text: String}[]} changes - List of differences to add
+ *  to.
+ * @param {String} type - Type of the difference.
+ * @param {String} text - Text of the difference.
+ */
+function pushChange(changes, type, text) {
+  const lastChange = changes.at(-1);
+
+  if (lastChange?.type === type) lastChange.text += text;
+  else changes.push({ type, text });
+}
+
+/**
+ * Finds the lengths of the longest common subsequences of some words and each
+ * start or end of other words.  Only two rows of lengths are kept, so memory
+ * grows with the number of words, not with their square.
+ *
+ * @param {String[]} tokensA - Words to compare with every start or end of
+ *  tokensB.
+ * @param {String[]} tokensB - Words whose starts or ends are compared with.
+ * @param {Boolean} isFromEnd - Whether ends of tokensB are compared instead of
+ *  starts.
+ * @returns {Number[]} If not isFromEnd, the length for tokensB.slice(0, k) is
+ *  at index k.  Else, the length for tokensB.slice(k) is at index k.
+ */
+function getLcsLengths(tokensA, tokensB, isFromEnd) {
+  const a = isFromEnd ? [...tokensA].reverse() : tokensA;
+  const b = isFromEnd ? [...tokensB].reverse() : tokensB;
+
+  let previousRow = new Array(b.length + 1).fill(0);
+  let row = new Array(b.length + 1).fill(0);
+
+  for (const tokenA of a) {
+    for (let j = 1; j <= b.length; j++) {
+      row[j] =
+        tokenA === b[j - 1]
+          ? previousRow[j - 1] + 1
+          : Math.max(previousRow[j], row[j - 1]);
+    }
+    [previousRow, row] = [row, previousRow];
+  }
+
+  return isFromEnd ? previousRow.reverse() : previousRow;
+}
+
+/**
+ * Adds the differences between two lists of words to a list of differences,
+ * by using Hirschberg's algorithm.  The first list is split in half, and the
+ * second list is split where the longest common subsequences of both halves
+ * are longest together.  Then each half is compared on its own.
+ *
+ * The second list is split as early as possible, so each first half ends with
+ * a common word or with deleted words.  This keeps deleted words before
+ * inserted ones.
+ *
+ * If the lists have too many words to compare, after common words at the start
+ * and end are set aside, the rest of the first list is deleted and the rest of
+ * the second list is inserted.
+ *
+ * @param {{type: String, text: String}[]} changes - List of differences to add
+ *  to.
+ * @param {String[]} tokensA - Words of the first text.
+ * @param {String[]} tokensB - Words of the second text.
+ */
+function pushDiff(changes, tokensA, tokensB) {
+  let start = 0;
+  while (
+    start < tokensA.length &&
+    start < tokensB.length &&
+    tokensA[start] === tokensB[start]
+  ) {
+    pushChange(changes, 'unchanged', tokensA[start]);
+    start++;
+  }
+
+  let endA = tokensA.length;
+  let endB = tokensB.length;
+  while (
+    endA > start &&
+    endB > start &&
+    tokensA[endA - 1] === tokensB[endB - 1]
+  ) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = tokensA.slice(start, endA);
+  const middleB = tokensB.slice(start, endB);
+
+  if (middleA.length * middleB.length > maxComparedWordPairs) {
+    middleA.forEach((token) => pushChange(changes, 'deleted', token));
+    middleB.forEach((token) => pushChange(changes, 'inserted', token));
+  } else if (middleA.length <= 1 || middleB.length === 0) {
+    const matchIndex = middleA.length ? middleB.lastIndexOf(middleA[0]) : -1;
+
+    if (matchIndex === -1) {
+      middleA.forEach((token) => pushChange(changes, 'deleted', token));
+      middleB.forEach((token) => pushChange(changes, 'inserted', token));
+    } else {
+      middleB
+        .slice(0, matchIndex)
+        .forEach((token) => pushChange(changes, 'inserted', token));
+      pushChange(changes, 'unchanged', middleA[0]);
+      middleB
+        .slice(matchIndex + 1)
+        .forEach((token) => pushChange(changes, 'inserted', token));
+    }
+  } else {
+    const half = Math.floor(middleA.length / 2);
+    const firstHalfA = middleA.slice(0, half);
+    const secondHalfA = middleA.slice(half);
+
+    const firstLengths = getLcsLengths(firstHalfA, middleB, false);
+    const secondLengths = getLcsLengths(secondHalfA, middleB, true);
+
+    let split = 0;
+    for (let k = 1; k <= middleB.length; k++) {
+      if (
+        firstLengths[k] + secondLengths[k] >
+        firstLengths[split] + secondLengths[split]
+      ) {
+        split = k;
+      }
+    }
+
+    pushDiff(changes, firstHalfA, middleB.slice(0, split));
+    pushDiff(changes, secondHalfA, middleB.slice(split));
+  }
+
+  tokensA
+    .slice(endA)
+    .forEach((token) => pushChange(changes, 'unchanged', token));
+}
+
+/**
+ * Compares two texts word by word.  Reports what would need to change to go
+ * from the first text to the second one, based on the longest common
+ * subsequence of words.
+ *
+ * Whitespace after a word is compared as part of the word, so the text of the
+ * differences together make up both texts.  Joining the text of the unchanged
+ * and deleted differences gives the first text, and joining the unchanged and
+ * inserted differences gives the second text.  When words are replaced, the
+ * deleted words come before the inserted ones.  Very long texts are only
+ * compared at their start and end.  See pushDiff.
+ *
+ * @param {String} [textA] - The first text.
+ * @param {String} [textB] - The second text.
+ * @returns {{type: String, text: String}[]} The differences, in order.  Each
+ *  type is "unchanged", "deleted", or "inserted".
+ */
+function diffWords(textA, textB) {
+  const changes = [];
+
+  pushDiff(changes, tokenize(textA), tokenize(textB));
+
+  return changes;
+}
+
+// ==================================================
+
+module.exports = { diffWords };
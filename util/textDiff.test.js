@@ -0,0 +1,127 @@
+'use strict';
+
+const { diffWords } = require('./textDiff');
+
+// ==================================================
+
+/**
+ * Rebuilds a text from differences, by leaving out a type of difference.
+ */
+const joinChanges = (changes, excludedType) =>
+  changes
+    .filter(({ type }) => type !== excludedType)
+    .map(({ text }) => text)
+    .join('');
+
+// --------------------------------------------------
+
+describe('diffWords', () => {
+  test('Finds no differences in the same texts.', () => {
+    // Act
+    const changes = diffWords('Built a web app.', 'Built a web app.');
+
+    // Assert
+    expect(changes).toEqual([{ type: 'unchanged', text: 'Built a web app.' }]);
+  });
+
+  test('Finds inserted and deleted words.', () => {
+    // Act
+    const changes = diffWords(
+      'Built a web app for customers.',
+      'Built a fast web app.'
+    );
+
+    // Assert
+    expect(changes).toEqual([
+      { type: 'unchanged', text: 'Built a ' },
+      { type: 'inserted', text: 'fast ' },
+      { type: 'unchanged', text: 'web ' },
+      { type: 'deleted', text: 'app for customers.' },
+      { type: 'inserted', text: 'app.' },
+    ]);
+  });
+
+  test('Puts deleted words before inserted words when words are replaced.', () => {
+    // Act
+    const changes = diffWords('Wrote code.', 'Designed code.');
+
+    // Assert
+    expect(changes).toEqual([
+      { type: 'deleted', text: 'Wrote ' },
+      { type: 'inserted', text: 'Designed ' },
+      { type: 'unchanged', text: 'code.' },
+    ]);
+  });
+
+  test.each([
+    ['', 'Built a web app.', [{ type: 'inserted', text: 'Built a web app.' }]],
+    ['Built a web app.', '', [{ type: 'deleted', text: 'Built a web app.' }]],
+    [null, undefined, []],
+  ])('Compares an empty text: %j to %j.', (textA, textB, expected) => {
+    // Act
+    const changes = diffWords(textA, textB);
+
+    // Assert
+    expect(changes).toEqual(expected);
+  });
+
+  test('Differences make up both texts.', () => {
+    // Arrange
+    const textA = '  Led a team of 4  engineers to ship\nthe payments API.';
+    const textB = 'Led 6 engineers to ship the billing API on time.';
+
+    // Act
+    const changes = diffWords(textA, textB);
+
+    // Assert
+    expect(joinChanges(changes, 'inserted')).toBe(textA);
+    expect(joinChanges(changes, 'deleted')).toBe(textB);
+  });
+
+  test('Compares long texts.', () => {
+    // Arrange
+    const words = (count, step) =>
+      Array.from({ length: count }, (_, i) => `word${(i * step) % 97} `);
+    const textA = words(1500, 1).join('');
+    const textB = words(1500, 7).join('');
+
+    // Act
+    const changes = diffWords(textA, textB);
+
+    // Assert
+    expect(joinChanges(changes, 'inserted')).toBe(textA);
+    expect(joinChanges(changes, 'deleted')).toBe(textB);
+  });
+
+  test('Only compares the start and end of texts that are too long.', () => {
+    // Arrange
+    const words = Array.from({ length: 3000 }, (_, i) => `word${i} `);
+    const middleA = words.join('');
+    const middleB = ['new ', ...words.slice(0, -1)].join('');
+
+    // Act
+    const changes = diffWords(`Start ${middleA}end.`, `Start ${middleB}end.`);
+
+    // Assert
+    expect(changes).toEqual([
+      { type: 'unchanged', text: 'Start ' },
+      { type: 'deleted', text: middleA },
+      { type: 'inserted', text: middleB },
+      { type: 'unchanged', text: 'end.' },
+    ]);
+  });
+
+  test('Finds a longest common subsequence of words.', () => {
+    // Act
+    const changes = diffWords('a b c d e z', 'b a c f d e z');
+
+    // Assert
+    expect(
+      changes
+        .filter(({ type }) => type === 'unchanged')
+        .map(({ text }) => text)
+        .join('')
+        .split(' ')
+    ).toHaveLength(5);
+  });
+});
@@ -0,0 +1,461 @@
+'use strict';
+
+const {
+  formatDate,
+  formatDateRange,
+  formatOptionalDateRange,
+  getContactInfoLines,
+  getSectionsWithContent,
+} = require('./renderHelpers');
+
+// ==================================================
+
+// Number of characters in a line of plain text.
+const plainTextLineWidth = 80;
+
+// --------------------------------------------------
+// Markdown
+
+/**
+ * Escapes characters that have special meanings in Markdown, so that content
+ * is displayed as-is.
+ *
+ * @param {String} text - Text to escape.
+ * @returns {String} The escaped text.
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>#]/g, '\\$&');
+}
+
+/**
+ * Creates the Markdown lines for a single education.
+ *
+ * @param {Object} education - An education in a document.
+ * @returns {String[]} Lines of Markdown.
+ */
+function createMarkdownEducation(education) {
+  const details = [
+    `*${escapeMarkdown(`${education.degree}, ${education.location}`)}* | ` +
+      formatDateRange(education.startDate, education.endDate),
+  ];
+
+  [
+    ['GPA', education.gpa],
+    ['Awards and Honors', education.awardsAndHonors],
+    ['Activities', education.activities],
+  ].forEach(([label, value]) => {
+    if (value) details.push(`${label}: ${escapeMarkdown(value)}`);
+  });
+
+  // Two trailing spaces are a line break within a Markdown paragraph.
+  return [`### ${escapeMarkdown(education.school)}`, '', details.join('  \n')];
+}
+
+/**
+ * Creates the Markdown lines for a single experience.
+ *
+ * @param {Object} experience - An experience in a document.
+ * @returns {String[]} Lines of Markdown.
+ */
+function createMarkdownExperience(experience) {
+  const lines = [
+    `### ${escapeMarkdown(experience.title)}`,
+    '',
+    `*${escapeMarkdown(
+      `${experience.organization}, ${experience.location}`
+    )}* | ` + formatDateRange(experience.startDate, experience.endDate),
+  ];
+
+  if (experience.bullets?.length) {
+    lines.push(
+      '',
+      ...experience.bullets.map(
+        (bullet) => `- ${escapeMarkdown(bullet.content)}`
+      )
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * Creates the Markdown lines for a single certification.
+ *
+ * @param {Object} certification - A certification in a document.
+ * @returns {String[]} Lines of Markdown.
+ */
+function createMarkdownCertification(certification) {
+  return [
+    `### ${escapeMarkdown(certification.name)}`,
+    '',
+    `*${escapeMarkdown(certification.issuingOrg)}* | ` +
+      formatDate(certification.issueDate),
+  ];
+}
+
+/**
+ * Creates the Markdown lines for a single project.
+ *
+ * @param {Object} project - A project in a document.
+ * @returns {String[]} Lines of Markdown.
+ */
+function createMarkdownProject(project) {
+  const lines = [
+    `### ${escapeMarkdown(project.name)}`,
+    '',
+    formatDateRange(project.startDate, project.endDate),
+  ];
+
+  if (project.bullets?.length) {
+    lines.push(
+      '',
+      ...project.bullets.map((bullet) => `- ${escapeMarkdown(bullet.content)}`)
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * Creates the Markdown lines for a single skill.
+ *
+ * @param {Object} skill - A skill in a document.
+ * @returns {String[]} Lines of Markdown.
+ */
+function createMarkdownSkill(skill) {
+  return [
+    `**${escapeMarkdown(skill.name)}:** ${escapeMarkdown(skill.content)}`,
+  ];
+}
+
+/**
+ * Creates the Markdown lines for the summary of a document.
+ *
+ * @param {Object} summary - The text snippet that is the summary of a
+ *  document.
+ * @returns {String[]} Lines of Markdown.
+ */
+function createMarkdownSummary(summary) {
+  return [escapeMarkdown(summary.content)];
+}
+
+/**
+ * Creates the Markdown lines for a single entry in a custom section.  Only the
+ * title is required, so the other parts are left out when empty.
+ *
+ * @param {Object} entry - An entry of a custom section in a document.
+ * @returns {String[]} Lines of Markdown.
+ */
+function createMarkdownCustomSectionEntry(entry) {
+  const lines = [`### ${escapeMarkdown(entry.title)}`];
+
+  const details = [entry.subtitle, entry.location].filter((val) => val);
+  const dates = formatOptionalDateRange(entry.startDate, entry.endDate);
+  const detailsLine = [
+    details.length ? `*${escapeMarkdown(details.join(', '))}*` : '',
+    dates,
+  ]
+    .filter((val) => val)
+    .join(' | ');
+  if (detailsLine) lines.push('', detailsLine);
+
+  if (entry.bullets?.length) {
+    lines.push(
+      '',
+      ...entry.bullets.map((bullet) => `- ${escapeMarkdown(bullet.content)}`)
+    );
+  }
+
+  return lines;
+}
+
+const markdownItemCreators = Object.freeze({
+  educations: createMarkdownEducation,
+  experiences: createMarkdownExperience,
+  certifications: createMarkdownCertification,
+  projects: createMarkdownProject,
+  skills: createMarkdownSkill,
+  summary: createMarkdownSummary,
+  customSectionEntries: createMarkdownCustomSectionEntry,
+});
+
+/**
+ * Renders a full document and its contents into Markdown.  Sections are written
+ * in the order of their positions in the document.  Sections without any
+ * content are left out.  Cover letters have paragraphs instead of sections.
+ *
+ * @param {Object} document - The Object returned by
+ *  Document.getDocumentAndSectionContent or Document.getCoverLetterContent.
+ * @returns {String} The document as Markdown.
+ */
+function renderMarkdown(document) {
+  const blocks = [];
+
+  if (document.contactInfo) {
+    blocks.push(
+      `# ${escapeMarkdown(document.contactInfo.fullName)}`,
+      escapeMarkdown(getContactInfoLines(document.contactInfo).join(' | '))
+    );
+  }
+
+  if (document.kind === 'coverLetter') {
+    (document.paragraphs ?? []).forEach((paragraph) =>
+      blocks.push(escapeMarkdown(paragraph.content))
+    );
+  }
+
+  getSectionsWithContent(document).forEach(
+    ({ sectionName, contentProperty, items }) => {
+      blocks.push(`## ${escapeMarkdown(sectionName)}`);
+      items.forEach((item) =>
+        blocks.push(markdownItemCreators[contentProperty](item).join('\n'))
+      );
+    }
+  );
+
+  return blocks.filter((block) => block).join('\n\n') + '\n';
+}
+
+// --------------------------------------------------
+// Plain text
+
+/**
+ * Wraps text into lines that are no longer than a certain width.  Words longer
+ * than the width are not split.
+ *
+ * @param {String} text - Text to wrap.
+ * @param {Object} [options] - Options for wrapping.
+ * @param {Number} [options.width] - Maximum number of characters in a line,
+ *  including indentation.
+ * @param {String} [options.firstIndent] - Text to put in front of the first
+ *  line, such as a bullet.
+ * @param {String} [options.indent] - Text to put in front of the other lines.
+ * @returns {String[]} The wrapped lines.
+ */
+function wrapText(
+  text,
+  { width = plainTextLineWidth, firstIndent = '', indent = '' } = {}
+) {
+  const lines = [];
+  let line = firstIndent;
+  let isLineEmpty = true;
+
+  text
+    .split(/\s+/)
+    .filter((word) => word)
+    .forEach((word) => {
+      if (!isLineEmpty && line.length + 1 + word.length > width) {
+        lines.push(line);
+        line = indent;
+        isLineEmpty = true;
+      }
+
+      line += (isLineEmpty ? '' : ' ') + word;
+      isLineEmpty = false;
+    });
+
+  lines.push(line);
+
+  return lines;
+}
+
+/**
+ * Creates a line with text on the left and text on the right, separated by
+ * spaces to fill the line.  If both can not fit, the right text is put on its
+ * own line.
+ *
+ * @param {String} leftText - Text to put on the left.
+ * @param {String} rightText - Text to put on the right.
+ * @returns {String[]} The line(s).
+ */
+function justifyLine(leftText, rightText) {
+  const numSpaces = plainTextLineWidth - leftText.length - rightText.length;
+
+  return numSpaces > 0
+    ? [leftText + ' '.repeat(numSpaces) + rightText]
+    : [...wrapText(leftText), rightText.padStart(plainTextLineWidth)];
+}
+
+/**
+ * Creates the plain text lines for a single education.
+ *
+ * @param {Object} education - An education in a document.
+ * @returns {String[]} Lines of plain text.
+ */
+function createPlainTextEducation(education) {
+  const lines = [
+    ...justifyLine(
+      education.school,
+      formatDateRange(education.startDate, education.endDate)
+    ),
+    ...wrapText(`${education.degree}, ${education.location}`),
+  ];
+
+  [
+    ['GPA', education.gpa],
+    ['Awards and Honors', education.awardsAndHonors],
+    ['Activities', education.activities],
+  ].forEach(([label, value]) => {
+    if (value) lines.push(...wrapText(`${label}: ${value}`, { indent: '  ' }));
+  });
+
+  return lines;
+}
+
+/**
+ * Creates the plain text lines for a single experience.
+ *
+ * @param {Object} experience - An experience in a document.
+ * @returns {String[]} Lines of plain text.
+ */
+function createPlainTextExperience(experience) {
+  const lines = [
+    ...justifyLine(
+      experience.title,
+      formatDateRange(experience.startDate, experience.endDate)
+    ),
+    ...wrapText(`${experience.organization}, ${experience.location}`),
+  ];
+
+  (experience.bullets ?? []).forEach((bullet) =>
+    lines.push(
+      ...wrapText(bullet.content, { firstIndent: '  * ', indent: '    ' })
+    )
+  );
+
+  return lines;
+}
+
+/**
+ * Creates the plain text lines for a single certification.
+ *
+ * @param {Object} certification - A certification in a document.
+ * @returns {String[]} Lines of plain text.
+ */
+function createPlainTextCertification(certification) {
+  return [
+    ...justifyLine(certification.name, formatDate(certification.issueDate)),
+    ...wrapText(certification.issuingOrg),
+  ];
+}
+
+/**
+ * Creates the plain text lines for a single project.
+ *
+ * @param {Object} project - A project in a document.
+ * @returns {String[]} Lines of plain text.
+ */
+function createPlainTextProject(project) {
+  const lines = justifyLine(
+    project.name,
+    formatDateRange(project.startDate, project.endDate)
+  );
+
+  (project.bullets ?? []).forEach((bullet) =>
+    lines.push(
+      ...wrapText(bullet.content, { firstIndent: '  * ', indent: '    ' })
+    )
+  );
+
+  return lines;
+}
+
+/**
+ * Creates the plain text lines for a single skill.
+ *
+ * @param {Object} skill - A skill in a document.
+ * @returns {String[]} Lines of plain text.
+ */
+function createPlainTextSkill(skill) {
+  return wrapText(`${skill.name}: ${skill.content}`, { indent: '  ' });
+}
+
+/**
+ * Creates the plain text lines for the summary of a document.
+ *
+ * @param {Object} summary - The text snippet that is the summary of a
+ *  document.
+ * @returns {String[]} Lines of plain text.
+ */
+function createPlainTextSummary(summary) {
+  return wrapText(summary.content);
+}
+
+/**
+ * Creates the plain text lines for a single entry in a custom section.  Only
+ * the title is required, so the other parts are left out when empty.
+ *
+ * @param {Object} entry - An entry of a custom section in a document.
+ * @returns {String[]} Lines of plain text.
+ */
+function createPlainTextCustomSectionEntry(entry) {
+  const dates = formatOptionalDateRange(entry.startDate, entry.endDate);
+  const lines = dates ? justifyLine(entry.title, dates) : wrapText(entry.title);
+
+  const details = [entry.subtitle, entry.location].filter((val) => val);
+  if (details.length) lines.push(...wrapText(details.join(', ')));
+
+  (entry.bullets ?? []).forEach((bullet) =>
+    lines.push(
+      ...wrapText(bullet.content, { firstIndent: '  * ', indent: '    ' })
+    )
+  );
+
+  return lines;
+}
+
+const plainTextItemCreators = Object.freeze({
+  educations: createPlainTextEducation,
+  experiences: createPlainTextExperience,
+  certifications: createPlainTextCertification,
+  projects: createPlainTextProject,
+  skills: createPlainTextSkill,
+  summary: createPlainTextSummary,
+  customSectionEntries: createPlainTextCustomSectionEntry,
+});
+
+/**
+ * Renders a full document and its contents into fixed-width plain text, for
+ * pasting into places like web forms and emails.  Sections are written in the
+ * order of their positions in the document.  Sections without any content are
+ * left out.  Cover letters have paragraphs instead of sections.
+ *
+ * @param {Object} document - The Object returned by
+ *  Document.getDocumentAndSectionContent or Document.getCoverLetterContent.
+ * @returns {String} The document as plain text.
+ */
+function renderPlainText(document) {
+  const blocks = [];
+
+  if (document.contactInfo) {
+    blocks.push(
+      [
+        document.contactInfo.fullName.toUpperCase(),
+        ...wrapText(getContactInfoLines(document.contactInfo).join(' | ')),
+      ].join('\n')
+    );
+  }
+
+  if (document.kind === 'coverLetter') {
+    (document.paragraphs ?? []).forEach((paragraph) =>
+      blocks.push(wrapText(paragraph.content).join('\n'))
+    );
+  }
+
+  getSectionsWithContent(document).forEach(
+    ({ sectionName, contentProperty, items }) => {
+      blocks.push(
+        sectionName.toUpperCase() + '\n' + '-'.repeat(plainTextLineWidth)
+      );
+      items.forEach((item) =>
+        blocks.push(plainTextItemCreators[contentProperty](item).join('\n'))
+      );
+    }
+  );
+
+  return blocks.join('\n\n') + '\n';
+}
+
+// ==================================================
+
+module.exports = { renderMarkdown, renderPlainText };
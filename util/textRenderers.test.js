@@ -0,0 +1,273 @@
+'use strict';
+
+const { renderMarkdown, renderPlainText } = require('./textRenderers');
+
+const {
+  documentContent,
+  emptyDocumentContent,
+  coverLetterContent,
+} = require('./_documentContentTestData');
+
+// ==================================================
+
+describe('renderMarkdown', () => {
+  test('Renders a document into Markdown.', () => {
+    // Act
+    const markdown = renderMarkdown(documentContent);
+
+    // Assert
+    expect(markdown).toBe(
+      [
+        '# First Last',
+        '',
+        'City, State | email@email.com | 123-456-7890 | ' +
+          'https://www.linkedin.com/in/example/',
+        '',
+        '## Summary',
+        '',
+        'Software engineer who builds reliable web applications.',
+        '',
+        '## Work Experience',
+        '',
+        '### Software Engineer',
+        '',
+        '*Company 1, Remote* | Jan 2020 - Present',
+        '',
+        '- Built an API that serves 1,000 requests per second.',
+        '- Reduced cloud costs by 20%.',
+        '',
+        '### Intern',
+        '',
+        '*Company 2, New York, NY* | Jun 2019 - Aug 2019',
+        '',
+        '## Education',
+        '',
+        '### University',
+        '',
+        '*Bachelor of Science, Computer Science, Los Angeles, CA* | ' +
+          'Sep 2000 - Jun 2004  ',
+        'GPA: 4.0 / 4.0  ',
+        'Activities: Robotics Club',
+        '',
+        '## Certifications',
+        '',
+        '### AWS Certified Solutions Architect - Associate',
+        '',
+        '*Amazon Web Services* | Nov 2023',
+        '',
+        '## Projects',
+        '',
+        '### Resume Manager',
+        '',
+        'Jun 2024 - Feb 2025',
+        '',
+        '- Designed a REST API for versioned resume content.',
+        '',
+        '## Skills',
+        '',
+        '**Languages:** JavaScript, Python, SQL',
+        '',
+        '## Publications',
+        '',
+        '### Scaling Resume Storage',
+        '',
+        '*Journal of Examples* | May 2023',
+        '',
+        '- Cited by 10 other papers.',
+        '',
+        '### Volunteer Tutor',
+        '',
+        '*Community Center, Los Angeles, CA* | Jan 2021 - Jun 2022',
+        '',
+      ].join('\n')
+    );
+  });
+
+  test('Escapes Markdown characters in content.', () => {
+    // Arrange
+    const experience = {
+      ...documentContent.experiences[0],
+      title: '*Lead* Engineer',
+      bullets: [{ content: 'Wrote `snake_case` code.' }],
+    };
+    const document = { ...documentContent, experiences: [experience] };
+
+    // Act
+    const markdown = renderMarkdown(document);
+
+    // Assert
+    expect(markdown).toContain('### \\*Lead\\* Engineer\n');
+    expect(markdown).toContain('- Wrote \\`snake\\_case\\` code.\n');
+  });
+
+  test('Renders only the title of a custom section entry without details.', () => {
+    // Arrange
+    const [customSection] = documentContent.customSections;
+    const document = {
+      ...emptyDocumentContent,
+      contactInfo: null,
+      sections: [{ id: customSection.id, sectionName: 'Publications' }],
+      customSections: [{ ...customSection, entries: [{ title: 'Paper' }] }],
+    };
+
+    // Act
+    const markdown = renderMarkdown(document);
+
+    // Assert
+    expect(markdown).toBe('## Publications\n\n### Paper\n');
+  });
+
+  test('Renders a cover letter into Markdown.', () => {
+    // Act
+    const markdown = renderMarkdown(coverLetterContent);
+
+    // Assert
+    expect(markdown).toBe(
+      [
+        '# First Last',
+        '',
+        'City, State | email@email.com | 123-456-7890 | ' +
+          'https://www.linkedin.com/in/example/',
+        '',
+        'I am applying for the Software Engineer role.',
+        '',
+        'Thank you for your time.',
+        '',
+      ].join('\n')
+    );
+  });
+
+  test('Renders a document without any sections or content.', () => {
+    // Arrange
+    const document = { ...emptyDocumentContent, contactInfo: null };
+
+    // Act
+    const markdown = renderMarkdown(document);
+
+    // Assert
+    expect(markdown).toBe('\n');
+  });
+});
+
+describe('renderPlainText', () => {
+  test('Renders a document into plain text.', () => {
+    // Act
+    const plainText = renderPlainText(documentContent);
+
+    // Assert
+    expect(plainText).toBe(
+      [
+        'FIRST LAST',
+        'City, State | email@email.com | 123-456-7890 |',
+        'https://www.linkedin.com/in/example/',
+        '',
+        'SUMMARY',
+        '-'.repeat(80),
+        '',
+        'Software engineer who builds reliable web applications.',
+        '',
+        'WORK EXPERIENCE',
+        '-'.repeat(80),
+        '',
+        'Software Engineer' + ' '.repeat(45) + 'Jan 2020 - Present',
+        'Company 1, Remote',
+        '  * Built an API that serves 1,000 requests per second.',
+        '  * Reduced cloud costs by 20%.',
+        '',
+        'Intern' + ' '.repeat(55) + 'Jun 2019 - Aug 2019',
+        'Company 2, New York, NY',
+        '',
+        'EDUCATION',
+        '-'.repeat(80),
+        '',
+        'University' + ' '.repeat(51) + 'Sep 2000 - Jun 2004',
+        'Bachelor of Science, Computer Science, Los Angeles, CA',
+        'GPA: 4.0 / 4.0',
+        'Activities: Robotics Club',
+        '',
+        'CERTIFICATIONS',
+        '-'.repeat(80),
+        '',
+        'AWS Certified Solutions Architect - Associate' +
+          ' '.repeat(27) +
+          'Nov 2023',
+        'Amazon Web Services',
+        '',
+        'PROJECTS',
+        '-'.repeat(80),
+        '',
+        'Resume Manager' + ' '.repeat(47) + 'Jun 2024 - Feb 2025',
+        '  * Designed a REST API for versioned resume content.',
+        '',
+        'SKILLS',
+        '-'.repeat(80),
+        '',
+        'Languages: JavaScript, Python, SQL',
+        '',
+        'PUBLICATIONS',
+        '-'.repeat(80),
+        '',
+        'Scaling Resume Storage' + ' '.repeat(50) + 'May 2023',
+        'Journal of Examples',
+        '  * Cited by 10 other papers.',
+        '',
+        'Volunteer Tutor' + ' '.repeat(46) + 'Jan 2021 - Jun 2022',
+        'Community Center, Los Angeles, CA',
+        '',
+      ].join('\n')
+    );
+  });
+
+  test('Wraps long lines with hanging indents.', () => {
+    // Arrange
+    const experience = {
+      ...documentContent.experiences[0],
+      bullets: [{ content: 'word '.repeat(30) }],
+    };
+    const document = { ...documentContent, experiences: [experience] };
+
+    // Act
+    const plainText = renderPlainText(document);
+
+    // Assert
+    const lines = plainText.split('\n');
+
+    expect(lines.every((line) => line.length <= 80)).toBeTruthy();
+    expect(plainText).toContain(
+      `\n  * ${'word '.repeat(14)}word\n    ${'word '.repeat(14)}word\n`
+    );
+  });
+
+  test('Renders a cover letter into plain text.', () => {
+    // Arrange
+    const paragraph = { content: 'word '.repeat(20).trim() };
+    const document = { ...coverLetterContent, paragraphs: [paragraph] };
+
+    // Act
+    const plainText = renderPlainText(document);
+
+    // Assert
+    expect(plainText).toBe(
+      [
+        'FIRST LAST',
+        'City, State | email@email.com | 123-456-7890 |',
+        'https://www.linkedin.com/in/example/',
+        '',
+        `${'word '.repeat(15)}word`,
+        `${'word '.repeat(3)}word`,
+        '',
+      ].join('\n')
+    );
+  });
+
+  test('Renders a document without any sections or content.', () => {
+    // Arrange
+    const document = { ...emptyDocumentContent, contactInfo: null };
+
+    // Act
+    const plainText = renderPlainText(document);
+
+    // Assert
+    expect(plainText).toBe('\n');
+  });
+});
@@ -1,13 +1,16 @@
 'use strict';
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const { SECRET_KEY } = require('../config');
+const { SECRET_KEY, ACCESS_TOKEN_LIFETIME } = require('../config');
 
 // ==================================================
 
 /**
- * Creates a JSON web token by using user info.
+ * Creates a JSON web token by using user info.  The token expires after
+ * ACCESS_TOKEN_LIFETIME seconds, after which a new one can be gotten with a
+ * refresh token.
  *
  * @param {Object} user - Contains the user data to store in the JWT.
  * @returns {String} JWT.
@@ -15,19 +18,50 @@ const { SECRET_KEY } = require('../config');
 function createJWT(user) {
   const payload = { username: user.username };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_LIFETIME });
 }
 
 /**
- * Verifies if the JWT is valid and returns the encoded user info.
+ * Verifies if the JWT is valid and returns the encoded user info.  Tokens that
+ * are older than ACCESS_TOKEN_LIFETIME seconds are not valid, even if they were
+ * made without an expiration.
  *
  * @param {String} token - JSON web token given by client for authentication.
  * @returns {Object} The payload containing user data.
+ * @throws {jwt.TokenExpiredError} If the token has expired.
+ * @throws {jwt.JsonWebTokenError} If the token is otherwise not valid.
  */
 function verifyJWT(token) {
-  return jwt.verify(token, SECRET_KEY);
+  return jwt.verify(token, SECRET_KEY, { maxAge: ACCESS_TOKEN_LIFETIME });
+}
+
+/**
+ * Creates a random refresh token.  Unlike a JWT, a refresh token holds no
+ * info, and is only valid while it is stored.
+ *
+ * @returns {String} Refresh token, as 64 hexadecimal characters.
+ */
+function createRefreshToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hashes a refresh token for storing, so that stored refresh tokens can not be
+ * used if they are leaked.  Refresh tokens are random and long, so they do not
+ * need a slow hash like passwords do.
+ *
+ * @param {String} refreshToken - Refresh token to hash.
+ * @returns {String} SHA-256 hash of the refresh token.
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
 }
 
 // ==================================================
 
-module.exports = { createJWT, verifyJWT };
+module.exports = {
+  createJWT,
+  verifyJWT,
+  createRefreshToken,
+  hashRefreshToken,
+};